@@ -23,6 +23,14 @@ const chatRouter = require('./routes/chat');
 const artistRouter = require('./routes/artist');
 const branchChatRouter = require('./routes/branch-chat');
 const newsletterRouter = require('./routes/newsletter');
+const stockTransfersRouter = require('./routes/stock-transfers');
+const inventoryRouter = require('./routes/inventory');
+const purchasingRouter = require('./routes/purchasing');
+const promoCodesRouter = require('./routes/promo-codes');
+const shippingRouter = require('./routes/shipping');
+const afterSalesRouter = require('./routes/after-sales');
+const deliveryRunsRouter = require('./routes/delivery-runs');
+const designProofsRouter = require('./routes/design-proofs');
 // Using Supabase instead of local database
 
 const app = express();
@@ -171,6 +179,14 @@ app.use('/api/chat', chatRouter);
 app.use('/api/artist', artistRouter);
 app.use('/api/branch-chat', branchChatRouter);
 app.use('/api/newsletter', newsletterRouter);
+app.use('/api/stock-transfers', stockTransfersRouter);
+app.use('/api/inventory', inventoryRouter);
+app.use('/api/purchasing', purchasingRouter);
+app.use('/api/promo-codes', promoCodesRouter);
+app.use('/api/shipping', shippingRouter);
+app.use('/api/after-sales', afterSalesRouter);
+app.use('/api/delivery-runs', deliveryRunsRouter);
+app.use('/api/design-proofs', designProofsRouter);
 
 // Serve static files from React build in production
 if (process.env.NODE_ENV === 'production') {
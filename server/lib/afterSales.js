@@ -0,0 +1,328 @@
+// After-sales requests: a customer reports a defect on a delivered order and asks for a
+// refund or a remake. Approving a remake creates a linked, no-charge production order;
+// approving a refund records it in order_payments and takes it off the branch's sales.
+
+const { roundCurrency } = require('./pricing');
+const { findBranch } = require('./branches');
+const { MOVEMENT_TYPES, reserveOrderStock, recordStockMovements } = require('./inventory');
+const { PAYMENT_KINDS, recordPayment } = require('./payments');
+const { TRANSITION_SOURCES, recordStatusHistory, transitionOrderStatus } = require('./orderStatus');
+
+const ISSUE_TYPES = {
+  misprint: 'Misprint',
+  wrong_size: 'Wrong size',
+  wrong_name_number: 'Wrong name / number',
+  damaged: 'Damaged item',
+  missing_item: 'Missing item',
+  other: 'Other'
+};
+
+const RESOLUTIONS = {
+  REFUND: 'refund',
+  REMAKE: 'remake'
+};
+
+const REQUEST_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Methods an admin can give a refund back through
+const REFUND_METHODS = ['cash', 'bank_transfer', 'gcash'];
+
+// Only delivered / picked-up orders can be reported
+const ELIGIBLE_ORDER_STATUSES = ['picked_up_delivered'];
+
+const MAX_PHOTOS = 5;
+
+class AfterSalesError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AfterSalesError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseOrderItems(order) {
+  if (Array.isArray(order?.order_items)) {
+    return order.order_items;
+  }
+  if (typeof order?.order_items === 'string') {
+    try {
+      return JSON.parse(order.order_items);
+    } catch (error) {
+      return [];
+    }
+  }
+  return [];
+}
+
+function describeMember(member) {
+  const name = member?.surname || member?.lastName || member?.name || '';
+  const number = member?.number || member?.jerseyNo || member?.jerseyNumber || '';
+  return [name, number ? `#${number}` : ''].filter(Boolean).join(' ');
+}
+
+/**
+ * Check the order lines / team members a request points at and label them
+ * @param {Object} order - Order row (order_items)
+ * @param {Array} affectedItems - [{ itemIndex, memberIndex }]
+ * @returns {Array} - [{ itemIndex, memberIndex, label }]
+ * @throws {AfterSalesError} - When an index does not exist on the order
+ */
+function normalizeAffectedItems(order, affectedItems = []) {
+  const items = parseOrderItems(order);
+  if (!Array.isArray(affectedItems)) {
+    throw new AfterSalesError('affectedItems must be a list');
+  }
+
+  return affectedItems.map(entry => {
+    const itemIndex = parseInt(entry?.itemIndex, 10);
+    const item = items[itemIndex];
+    if (!item) {
+      throw new AfterSalesError('One of the selected items is not on this order');
+    }
+
+    const hasMember = entry.memberIndex !== undefined && entry.memberIndex !== null && entry.memberIndex !== '';
+    const memberIndex = hasMember ? parseInt(entry.memberIndex, 10) : null;
+    const members = Array.isArray(item.teamMembers) ? item.teamMembers : [];
+    if (hasMember && !members[memberIndex]) {
+      throw new AfterSalesError(`Team member not found on ${item.name || 'this item'}`);
+    }
+
+    const memberLabel = hasMember ? describeMember(members[memberIndex]) : '';
+    return {
+      itemIndex,
+      memberIndex,
+      label: [item.name || 'Item', memberLabel].filter(Boolean).join(' - ')
+    };
+  });
+}
+
+/**
+ * Validate a customer's after-sales request
+ * @param {Object} order - Order row
+ * @param {Object} body - { issueType, description, resolution, refundAmount, affectedItems }
+ * @returns {Object} - Columns for after_sales_requests (without photos)
+ * @throws {AfterSalesError} - When the request cannot be filed
+ */
+function validateAfterSalesRequest(order, { issueType, description, resolution, refundAmount, affectedItems }) {
+  if (!ELIGIBLE_ORDER_STATUSES.includes(order.status)) {
+    throw new AfterSalesError('Problems can only be reported once the order has been picked up or delivered');
+  }
+  if (!ISSUE_TYPES[issueType]) {
+    throw new AfterSalesError(`issueType must be one of: ${Object.keys(ISSUE_TYPES).join(', ')}`);
+  }
+  const text = (description || '').toString().trim();
+  if (!text) {
+    throw new AfterSalesError('Describe what is wrong with the order');
+  }
+  if (!Object.values(RESOLUTIONS).includes(resolution)) {
+    throw new AfterSalesError('resolution must be refund or remake');
+  }
+
+  let amount = null;
+  if (resolution === RESOLUTIONS.REFUND && refundAmount !== undefined && refundAmount !== null && refundAmount !== '') {
+    amount = roundCurrency(refundAmount);
+    const paid = roundCurrency(order.amount_paid);
+    if (!(amount > 0) || amount > paid) {
+      throw new AfterSalesError(`Refund amount must be between ₱1 and the ₱${paid.toFixed(2)} paid on this order`);
+    }
+  }
+
+  return {
+    issue_type: issueType,
+    description: text,
+    resolution,
+    refund_amount: amount,
+    affected_items: normalizeAffectedItems(order, affectedItems)
+  };
+}
+
+/**
+ * Order lines for a remake: the affected lines, narrowed to the affected team members
+ * @param {Object} order - Original order row
+ * @param {Array} affectedItems - Normalized affected_items from the request
+ * @returns {Array} - order_items for the remake order (all lines when none were picked)
+ */
+function buildRemakeItems(order, affectedItems = []) {
+  const items = parseOrderItems(order);
+  if (affectedItems.length === 0) {
+    return items.map(item => ({ ...item, price: 0 }));
+  }
+
+  const byLine = new Map();
+  affectedItems.forEach(({ itemIndex, memberIndex }) => {
+    if (!byLine.has(itemIndex)) {
+      byLine.set(itemIndex, new Set());
+    }
+    if (memberIndex !== null && memberIndex !== undefined) {
+      byLine.get(itemIndex).add(memberIndex);
+    }
+  });
+
+  return [...byLine.entries()].map(([itemIndex, memberIndexes]) => {
+    const item = items[itemIndex];
+    if (memberIndexes.size === 0 || !Array.isArray(item.teamMembers)) {
+      return { ...item, price: 0 };
+    }
+    const teamMembers = item.teamMembers.filter((member, index) => memberIndexes.has(index));
+    return { ...item, price: 0, teamMembers, quantity: teamMembers.length };
+  });
+}
+
+async function resolveOrderBranchId(order) {
+  const branch = await findBranch({ branchId: order.pickup_branch_id, location: order.pickup_location }, 'id');
+  return branch ? branch.id : null;
+}
+
+async function createRemakeOrder(client, order, request, branchId, actorId = null) {
+  const remakeItems = buildRemakeItems(order, request.affected_items || []);
+  const { rows: countRows } = await client.query(
+    'SELECT COUNT(*)::int AS count FROM orders WHERE remake_of_order_id = $1',
+    [order.id]
+  );
+  const orderNumber = `${order.order_number}-R${countRows[0].count + 1}`;
+
+  // Replacement balls/trophies come out of the same branch's stock
+  const reservations = await reserveOrderStock(client, remakeItems, branchId);
+  const issue = ISSUE_TYPES[request.issue_type] || request.issue_type;
+
+  const { rows } = await client.query(
+    `INSERT INTO orders (
+       user_id, order_number, status, shipping_method, pickup_location, delivery_address,
+       order_notes, subtotal_amount, shipping_cost, total_amount, total_items, order_items,
+       stock_reservations, order_type, remake_of_order_id,
+       downpayment_percent, downpayment_required, amount_paid, balance_due, payment_status
+     )
+     VALUES ($1, $2, 'confirmed', $3, $4, $5, $6, 0, 0, 0, $7, $8, $9, $10, $11, 0, 0, 0, 0, 'paid')
+     RETURNING *`,
+    [
+      order.user_id,
+      orderNumber,
+      order.shipping_method,
+      order.pickup_location,
+      order.delivery_address ? JSON.stringify(order.delivery_address) : null,
+      `Remake of ${order.order_number} (${issue}): ${request.description}`,
+      remakeItems.reduce((sum, item) => sum + (parseInt(item.quantity, 10) || 1), 0),
+      JSON.stringify(remakeItems),
+      JSON.stringify(reservations),
+      order.order_type || null,
+      order.id
+    ]
+  );
+
+  // Same ledger entries as a checkout, so stock_movements keeps matching the product stock
+  await recordStockMovements(client, reservations.map(reservation => ({
+    ...reservation,
+    type: MOVEMENT_TYPES.ORDER_DEDUCTION,
+    orderId: rows[0].id,
+    actorId,
+    reason: `Remake order ${orderNumber} for ${order.order_number}`
+  })));
+
+  return rows[0];
+}
+
+/**
+ * Approve a pending request. Must run inside withTransaction.
+ * Remake: creates the linked production order. Refund: records the refund, takes it off the
+ * branch's total_sales and marks the order 'refunded' once nothing paid is left on it.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} requestId - after_sales_requests ID
+ * @param {Object} options - { reviewedBy, reviewerRole, refundAmount, refundMethod, adminNotes }
+ * @returns {Object} - { request, order, remakeOrder, payment }
+ */
+async function approveAfterSalesRequest(client, requestId, { reviewedBy, reviewerRole, refundAmount = null, refundMethod = 'cash', adminNotes = null }) {
+  const { rows: requestRows } = await client.query('SELECT * FROM after_sales_requests WHERE id = $1 FOR UPDATE', [requestId]);
+  const request = requestRows[0];
+  if (!request) {
+    throw new AfterSalesError('Request not found', 404);
+  }
+  if (request.status !== REQUEST_STATUS.PENDING) {
+    throw new AfterSalesError(`This request was already ${request.status}`, 409);
+  }
+
+  const { rows: orderRows } = await client.query('SELECT * FROM orders WHERE id = $1', [request.order_id]);
+  let order = orderRows[0];
+
+  const branchId = await resolveOrderBranchId(order);
+  let remakeOrder = null;
+  let payment = null;
+
+  if (request.resolution === RESOLUTIONS.REMAKE) {
+    remakeOrder = await createRemakeOrder(client, order, request, branchId, reviewedBy);
+    await recordStatusHistory(client, {
+      orderId: remakeOrder.id,
+      fromStatus: null,
+      toStatus: remakeOrder.status,
+      actor: { id: reviewedBy, role: reviewerRole },
+      source: TRANSITION_SOURCES.AFTER_SALES,
+      note: `Remake of ${order.order_number}`
+    });
+  } else {
+    if (!REFUND_METHODS.includes(refundMethod)) {
+      throw new AfterSalesError(`refundMethod must be one of: ${REFUND_METHODS.join(', ')}`);
+    }
+    const amount = roundCurrency(refundAmount ?? request.refund_amount ?? order.amount_paid);
+    const result = await recordPayment(client, order.id, {
+      kind: PAYMENT_KINDS.REFUND,
+      amount,
+      method: refundMethod,
+      notes: `After-sales refund: ${ISSUE_TYPES[request.issue_type] || request.issue_type}`,
+      recordedBy: reviewedBy
+    });
+    payment = result.payment;
+    order = result.order;
+
+    if (branchId) {
+      await client.query(
+        'UPDATE branches SET total_sales = GREATEST(0, COALESCE(total_sales, 0) - $1), updated_at = now() WHERE id = $2',
+        [amount, branchId]
+      );
+    } else {
+      console.log(`⚠️ No branch found for order ${order.order_number}, skipping branch total_sales update`);
+    }
+
+    if (roundCurrency(order.amount_paid) <= 0) {
+      const transition = await transitionOrderStatus(client, order.id, 'refunded', {
+        actor: { id: reviewedBy, role: reviewerRole },
+        source: TRANSITION_SOURCES.AFTER_SALES,
+        note: `Refunded ₱${amount.toFixed(2)} (${ISSUE_TYPES[request.issue_type] || request.issue_type})`
+      });
+      order = transition.order;
+    }
+  }
+
+  const { rows: updatedRows } = await client.query(
+    `UPDATE after_sales_requests
+        SET status = $1, admin_notes = $2, remake_order_id = $3, refund_payment_id = $4,
+            refund_amount = COALESCE($5, refund_amount), reviewed_by = $6, reviewed_at = now()
+      WHERE id = $7
+      RETURNING *`,
+    [
+      REQUEST_STATUS.APPROVED,
+      adminNotes,
+      remakeOrder?.id || null,
+      payment?.id || null,
+      payment ? payment.amount : null,
+      reviewedBy,
+      requestId
+    ]
+  );
+
+  return { request: updatedRows[0], order, remakeOrder, payment };
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  RESOLUTIONS,
+  REQUEST_STATUS,
+  REFUND_METHODS,
+  MAX_PHOTOS,
+  AfterSalesError,
+  validateAfterSalesRequest,
+  buildRemakeItems,
+  approveAfterSalesRequest
+};
@@ -0,0 +1,411 @@
+// Artist task assignment.
+// A layout task goes to the artist with the lowest score instead of the one with the fewest open
+// tasks: every task is weighted by its size and order type, artists have a daily capacity and
+// specialties (sublimation layout vs. trophy engraving), and work already due before the new
+// task's deadline counts against them. Artists on leave (artist_leave) are skipped and working
+// hours (artist_profiles.working_hours) are taken into account. The policy is a list of scorers,
+// so it can be replaced or extended (createArtistAssigner({ scorers })) and tested without a
+// database. The reasons behind each pick are stored on the task (artist_tasks.assignment_reasons).
+
+const { supabase } = require('./db');
+const { parseTimeOfDay, toBranchLocal } = require('./pickupSlots');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tasks that still need the artist's time
+const OPEN_TASK_STATUSES = ['pending', 'in_progress', 'revision_required'];
+
+// Weight units per day an artist can take when artist_profiles.daily_capacity is not set
+const DEFAULT_DAILY_CAPACITY = 8;
+
+// Setup work per order type plus a little per extra unit (each team member is another
+// name/number on the layout), so a 30-member custom set weighs 4.9 and one store jersey 1
+const ORDER_TYPE_WEIGHTS = {
+  custom_design: 2,
+  walk_in: 1,
+  regular: 1
+};
+const PER_UNIT_WEIGHT = 0.1;
+
+const TASK_DEFAULTS = {
+  custom_design: { deadlineDays: 3, priority: 'medium', orderSource: 'online', title: 'Custom Design', description: 'Create custom design layout' },
+  walk_in: { deadlineDays: 1, priority: 'high', orderSource: 'walk_in', title: 'Walk-in Order', description: 'Process walk-in order' },
+  regular: { deadlineDays: 2, priority: 'medium', orderSource: 'online', title: 'Layout Store Product', description: 'Prepare layout for store product' }
+};
+
+// Specialties are free text on artist profiles ("Team Jerseys", "Trophy Engraving"); these
+// keywords map them to the skills a task needs
+const SKILL_KEYWORDS = {
+  sublimation_layout: ['sublimation', 'layout', 'jersey', 'uniform', 'apparel', 'shirt', 'hoodie'],
+  trophy_engraving: ['trophy', 'trophies', 'engrav', 'plaque', 'medal']
+};
+
+const SKILL_LABELS = {
+  sublimation_layout: 'sublimation layout',
+  trophy_engraving: 'trophy engraving'
+};
+
+// Monday to Saturday, 8am to 5pm (branch time) when artist_profiles.working_hours is not set
+const DEFAULT_WORKING_HOURS = { days: [1, 2, 3, 4, 5, 6], start: '08:00', end: '17:00' };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Skill a task needs from its order items: trophies need engraving, apparel needs sublimation
+ * layout, balls (or unknown items) can go to anyone
+ * @param {string} orderType - custom_design, regular or walk_in
+ * @param {Array} orderItems - Order items
+ * @returns {string|null}
+ */
+function resolveTaskSkill(orderType, orderItems = []) {
+  if (orderType === 'custom_design') {
+    return 'sublimation_layout';
+  }
+  const categories = orderItems.map(item => (item?.category || '').toString().toLowerCase());
+  if (categories.includes('trophies')) {
+    return 'trophy_engraving';
+  }
+  if (categories.some(category => category && category !== 'balls')) {
+    return 'sublimation_layout';
+  }
+  return null;
+}
+
+/**
+ * Workload weight of a task
+ * @param {string} orderType - custom_design, regular or walk_in
+ * @param {number} quantity - Units (team members, pieces)
+ * @returns {number}
+ */
+function taskWeight(orderType, quantity) {
+  const base = ORDER_TYPE_WEIGHTS[orderType] || ORDER_TYPE_WEIGHTS.regular;
+  const units = Math.max(1, parseInt(quantity, 10) || 1);
+  return round(base + PER_UNIT_WEIGHT * (units - 1));
+}
+
+/**
+ * What the assigner needs to know about a new task
+ * @param {Object} params - { orderType, quantity, orderItems, deadline }
+ * @returns {Object} - { orderType, quantity, skill, weight, deadline }
+ */
+function describeTask({ orderType = 'regular', quantity = 1, orderItems = [], deadline = null }) {
+  const defaults = TASK_DEFAULTS[orderType] || TASK_DEFAULTS.regular;
+  return {
+    orderType,
+    quantity: Math.max(1, parseInt(quantity, 10) || 1),
+    skill: resolveTaskSkill(orderType, orderItems),
+    weight: taskWeight(orderType, quantity),
+    deadline: deadline ? new Date(deadline) : new Date(Date.now() + defaults.deadlineDays * DAY_MS)
+  };
+}
+
+function artistSkills(artist) {
+  const specialties = (Array.isArray(artist.specialties) ? artist.specialties : [])
+    .map(value => String(value).toLowerCase());
+  return Object.keys(SKILL_KEYWORDS).filter(skill =>
+    specialties.some(specialty => specialty === skill || SKILL_KEYWORDS[skill].some(keyword => specialty.includes(keyword)))
+  );
+}
+
+function openTasks(artist) {
+  return (artist.tasks || []).filter(task => OPEN_TASK_STATUSES.includes(task.status));
+}
+
+// Tasks created before the weighting existed have no workload_weight; count their setup work
+function openTaskWeight(task) {
+  const weight = parseFloat(task.workload_weight);
+  return Number.isFinite(weight) && weight > 0 ? weight : (ORDER_TYPE_WEIGHTS[task.order_type] || ORDER_TYPE_WEIGHTS.regular);
+}
+
+function dailyCapacity(artist) {
+  const capacity = parseFloat(artist.daily_capacity);
+  return Number.isFinite(capacity) && capacity > 0 ? capacity : DEFAULT_DAILY_CAPACITY;
+}
+
+/**
+ * Leave of an artist covering a branch-local date
+ * @param {Object} artist - Artist with leave: [{ start_date, end_date }]
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Object|null} - The leave row
+ */
+function findLeaveOn(artist, date) {
+  return (artist.leave || []).find(leave => leave.start_date <= date && date <= leave.end_date) || null;
+}
+
+/**
+ * Whether an instant falls inside the artist's working hours
+ * @param {Object} artist - Artist with working_hours: { days: [0-6], start: 'HH:MM', end: 'HH:MM' }
+ * @param {Date} instant - Point in time
+ * @returns {boolean}
+ */
+function isWithinWorkingHours(artist, instant) {
+  const hours = artist.working_hours || DEFAULT_WORKING_HOURS;
+  const local = toBranchLocal(instant);
+  const days = Array.isArray(hours.days) ? hours.days : DEFAULT_WORKING_HOURS.days;
+  const start = parseTimeOfDay(hours.start) ?? parseTimeOfDay(DEFAULT_WORKING_HOURS.start);
+  const end = parseTimeOfDay(hours.end) ?? parseTimeOfDay(DEFAULT_WORKING_HOURS.end);
+  return days.includes(local.dayOfWeek) && local.minutes >= start && local.minutes < end;
+}
+
+// Scorers: score(task, artist, context) returns { cost, reason } (lower cost wins) and may set
+// exclude: true to take the artist out of the running. context = { now, candidates }.
+
+const specialtyScorer = {
+  name: 'specialty',
+  score(task, artist, { candidates }) {
+    if (!task.skill) {
+      return { cost: 0 };
+    }
+    const label = SKILL_LABELS[task.skill];
+    if (artistSkills(artist).includes(task.skill)) {
+      return { cost: -2, reason: `specialises in ${label}` };
+    }
+    // Only hold it against the artist when someone else has the specialty
+    const someoneHasSkill = candidates.some(candidate => artistSkills(candidate).includes(task.skill));
+    return someoneHasSkill ? { cost: 3, reason: `no ${label} specialty` } : { cost: 0 };
+  }
+};
+
+const backlogScorer = {
+  name: 'backlog',
+  score(task, artist) {
+    const load = openTasks(artist).reduce((sum, current) => sum + openTaskWeight(current), 0);
+    const days = load / dailyCapacity(artist);
+    return { cost: round(days), reason: `${round(load)} units open (${round(days)} days of work)` };
+  }
+};
+
+const deadlineScorer = {
+  name: 'deadline',
+  score(task, artist, { now }) {
+    const dueBefore = openTasks(artist)
+      .filter(current => current.deadline && new Date(current.deadline) <= task.deadline)
+      .reduce((sum, current) => sum + openTaskWeight(current), 0);
+    const daysLeft = Math.max(0.5, (task.deadline.getTime() - now.getTime()) / DAY_MS);
+    const available = dailyCapacity(artist) * daysLeft;
+    const needed = dueBefore + task.weight;
+    const ratio = needed / available;
+    if (ratio > 1) {
+      return { cost: round(1 + 5 * (ratio - 1)), reason: `would miss the deadline (${round(needed)} units due, ${round(available)} available)` };
+    }
+    return { cost: round(ratio), reason: `${round(dueBefore)} units already due before this deadline` };
+  }
+};
+
+const dailyCapacityScorer = {
+  name: 'dailyCapacity',
+  score(task, artist, { now }) {
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+    const assignedToday = (artist.tasks || [])
+      .filter(current => current.created_at && new Date(current.created_at) >= startOfDay && current.status !== 'cancelled')
+      .reduce((sum, current) => sum + openTaskWeight(current), 0);
+    const capacity = dailyCapacity(artist);
+    if (assignedToday + task.weight > capacity) {
+      return { cost: 0, exclude: true, reason: `daily capacity reached (${round(assignedToday)} of ${capacity} units today)` };
+    }
+    return { cost: 0 };
+  }
+};
+
+const availabilityScorer = {
+  name: 'availability',
+  score(task, artist, { now }) {
+    const today = toBranchLocal(now).date;
+    const leaveToday = findLeaveOn(artist, today);
+    if (leaveToday) {
+      return { cost: 0, exclude: true, reason: `on leave until ${leaveToday.end_date}` };
+    }
+    const deadlineDate = toBranchLocal(task.deadline).date;
+    const leaveBeforeDeadline = (artist.leave || []).find(leave => leave.start_date <= deadlineDate && leave.end_date >= today);
+    if (leaveBeforeDeadline) {
+      return { cost: 2, reason: `on leave from ${leaveBeforeDeadline.start_date}, before the deadline` };
+    }
+    if (!isWithinWorkingHours(artist, now)) {
+      return { cost: 0.5, reason: 'outside working hours right now' };
+    }
+    return { cost: 0 };
+  }
+};
+
+const DEFAULT_SCORERS = [availabilityScorer, dailyCapacityScorer, specialtyScorer, backlogScorer, deadlineScorer];
+
+/**
+ * Build an assigner from a list of scorers
+ * @param {Object} options - { scorers } (defaults to DEFAULT_SCORERS)
+ * @returns {Object} - { rank(task, artists, now), pick(task, artists, now) }
+ */
+function createArtistAssigner({ scorers = DEFAULT_SCORERS } = {}) {
+  const rank = (task, artists, now = new Date()) => {
+    const context = { now, candidates: artists };
+    return artists
+      .map(artist => {
+        const results = scorers.map(scorer => ({ scorer: scorer.name, ...scorer.score(task, artist, context) }));
+        return {
+          artist,
+          score: round(results.reduce((sum, result) => sum + (result.cost || 0), 0)),
+          excluded: results.some(result => result.exclude),
+          reasons: results.filter(result => result.reason).map(result => result.reason)
+        };
+      })
+      // Deterministic tie-break on name so the same inputs always give the same artist
+      .sort((a, b) => (a.excluded - b.excluded) || (a.score - b.score) ||
+        (a.artist.artist_name || '').localeCompare(b.artist.artist_name || ''));
+  };
+
+  const pick = (task, artists, now = new Date()) => {
+    if (!Array.isArray(artists) || artists.length === 0) {
+      return null;
+    }
+    // When everyone is at capacity the task still has to go somewhere: best score wins
+    const [best] = rank(task, artists, now);
+    return best;
+  };
+
+  return { rank, pick };
+}
+
+const defaultAssigner = createArtistAssigner();
+
+/**
+ * Active artists with their tasks, in the shape the scorers expect
+ * @returns {Array} - [{ id, artist_name, specialties, daily_capacity, working_hours, tasks, leave }]
+ */
+async function loadAssignableArtists() {
+  const { data: artists, error } = await supabase
+    .from('artist_profiles')
+    .select(`
+      id,
+      artist_name,
+      specialties,
+      daily_capacity,
+      working_hours,
+      artist_leave!left(
+        start_date,
+        end_date
+      ),
+      artist_tasks!left(
+        id,
+        status,
+        order_type,
+        workload_weight,
+        deadline,
+        created_at
+      )
+    `)
+    .eq('is_active', true)
+    // Past leave does not matter to the scorers
+    .gte('artist_leave.end_date', toBranchLocal(new Date()).date);
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(error.message || 'Failed to query active artists');
+  }
+
+  return (artists || []).map(({ artist_tasks: tasks, artist_leave: leave, ...artist }) => ({
+    ...artist,
+    tasks: tasks || [],
+    leave: leave || []
+  }));
+}
+
+/**
+ * Create the layout task for an order and assign it to the best-scoring artist
+ * @param {Object} params
+ * @param {Object} params.order - Order row
+ * @param {string} params.orderType - custom_design, regular or walk_in
+ * @param {string} params.productName - First item name
+ * @param {number} params.quantity - Units in the order
+ * @param {string} params.requirements - Customer notes
+ * @param {string} params.productId - First item product ID
+ * @param {string} params.productImage - First item image (becomes the task thumbnail)
+ * @param {Object} params.assigner - Assigner from createArtistAssigner (defaults to the scoring one)
+ * @returns {Object} - { taskId, artist, score, reasons }
+ */
+async function assignArtistTask({
+  order,
+  orderType,
+  productName,
+  quantity,
+  requirements,
+  productId,
+  productImage,
+  assigner = defaultAssigner
+}) {
+  const type = TASK_DEFAULTS[orderType] ? orderType : 'regular';
+  const defaults = TASK_DEFAULTS[type];
+  const safeProductName = productName || 'Store Product';
+  const safeQuantity = quantity || 1;
+  let designRequirements = requirements || '';
+
+  if (productImage && !designRequirements.includes(productImage)) {
+    designRequirements = designRequirements
+      ? `${designRequirements}\n\n🖼️ Product Reference Image: ${productImage}`
+      : `🖼️ Product Reference Image: ${productImage}`;
+  }
+
+  const task = describeTask({ orderType: type, quantity: safeQuantity, orderItems: order?.order_items || [] });
+  const artists = await loadAssignableArtists();
+  const choice = assigner.pick(task, artists);
+  if (!choice) {
+    throw new Error('No active artists available to assign task');
+  }
+
+  const assignmentReasons = {
+    score: choice.score,
+    reasons: choice.reasons,
+    overCapacity: choice.excluded,
+    taskWeight: task.weight,
+    skill: task.skill,
+    candidates: artists.length,
+    assignedAt: new Date().toISOString()
+  };
+
+  const { data: insertedTask, error: insertError } = await supabase
+    .from('artist_tasks')
+    .insert({
+      artist_id: choice.artist.id,
+      order_id: order?.id || null,
+      product_id: productId || null,
+      task_title: `${defaults.title}: ${safeProductName}`,
+      task_description: `${defaults.description}. Quantity: ${safeQuantity}.`,
+      design_requirements: designRequirements || null,
+      product_thumbnail: productImage || null,
+      order_type: type,
+      is_custom_order: type === 'custom_design',
+      order_source: defaults.orderSource,
+      priority: defaults.priority,
+      deadline: task.deadline.toISOString(),
+      status: 'pending',
+      workload_weight: task.weight,
+      assignment_reasons: assignmentReasons
+    })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    throw new Error(insertError.message || 'Failed to insert artist task');
+  }
+
+  return { taskId: insertedTask.id, artist: choice.artist, score: choice.score, reasons: choice.reasons };
+}
+
+module.exports = {
+  OPEN_TASK_STATUSES,
+  DEFAULT_DAILY_CAPACITY,
+  DEFAULT_WORKING_HOURS,
+  DEFAULT_SCORERS,
+  availabilityScorer,
+  specialtyScorer,
+  backlogScorer,
+  deadlineScorer,
+  dailyCapacityScorer,
+  resolveTaskSkill,
+  taskWeight,
+  openTaskWeight,
+  describeTask,
+  findLeaveOn,
+  isWithinWorkingHours,
+  createArtistAssigner,
+  loadAssignableArtists,
+  assignArtistTask
+};
@@ -0,0 +1,461 @@
+// Artist availability and task handoff.
+// Artists have working hours (artist_profiles.working_hours) and leave days (artist_leave), which
+// the assigner in lib/artistAssignment.js uses for new tasks. When an artist is away, admins hand
+// their tasks to someone else: one task to a chosen artist, or every open task of the artist to
+// whoever the assigner picks. The task row moves as is (revision notes, reference files, status),
+// the order's design chat room is moved to the new artist with a note in the conversation, and
+// each handoff is appended to artist_tasks.reassignment_log.
+
+const { supabase } = require('./db');
+const { parseTimeOfDay, toBranchLocal } = require('./pickupSlots');
+const {
+  OPEN_TASK_STATUSES,
+  DEFAULT_WORKING_HOURS,
+  createArtistAssigner,
+  describeTask,
+  resolveTaskSkill,
+  openTaskWeight,
+  findLeaveOn,
+  loadAssignableArtists
+} = require('./artistAssignment');
+
+// Submitted work still waits on the artist for revisions, so it moves too
+const REASSIGNABLE_STATUSES = [...OPEN_TASK_STATUSES, 'submitted'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LEAVE_DAYS = 90;
+
+const TASK_COLUMNS = `
+  id,
+  artist_id,
+  order_id,
+  task_title,
+  status,
+  order_type,
+  workload_weight,
+  deadline,
+  revision_notes,
+  assignment_reasons,
+  reassignment_log
+`;
+
+class ArtistAvailabilityError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ArtistAvailabilityError';
+    this.statusCode = statusCode;
+  }
+}
+
+const todayInBranch = () => toBranchLocal(new Date()).date;
+
+/**
+ * Validate working hours from the admin form
+ * @param {Object} input - { days: [0-6], start: 'HH:MM', end: 'HH:MM' } (0 = Sunday)
+ * @returns {Object} - Normalised working hours
+ */
+function normalizeWorkingHours(input) {
+  if (!input || typeof input !== 'object') {
+    throw new ArtistAvailabilityError('Working hours are required');
+  }
+  const days = [...new Set((Array.isArray(input.days) ? input.days : []).map(day => parseInt(day, 10)))]
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    .sort((a, b) => a - b);
+  if (days.length === 0) {
+    throw new ArtistAvailabilityError('Pick at least one working day');
+  }
+  const start = parseTimeOfDay(input.start);
+  const end = parseTimeOfDay(input.end);
+  if (start === null || end === null) {
+    throw new ArtistAvailabilityError('Working hours must be in HH:MM format');
+  }
+  if (end <= start) {
+    throw new ArtistAvailabilityError('Working hours must end after they start');
+  }
+  return { days, start: String(input.start).trim(), end: String(input.end).trim() };
+}
+
+async function loadArtistProfile(artistId) {
+  const { data, error } = await supabase
+    .from('artist_profiles')
+    .select('id, user_id, artist_name, is_active, working_hours')
+    .eq('id', artistId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message || 'Failed to load artist profile');
+  }
+  if (!data) {
+    throw new ArtistAvailabilityError('Artist not found', 404);
+  }
+  return data;
+}
+
+async function loadUpcomingLeave(artistId) {
+  const { data, error } = await supabase
+    .from('artist_leave')
+    .select('id, start_date, end_date, reason, created_at')
+    .eq('artist_id', artistId)
+    .gte('end_date', todayInBranch())
+    .order('start_date', { ascending: true });
+
+  if (error) {
+    throw new Error(error.message || 'Failed to load artist leave');
+  }
+  return data || [];
+}
+
+async function loadOpenTasks(artistId) {
+  const { data, error } = await supabase
+    .from('artist_tasks')
+    .select(TASK_COLUMNS)
+    .eq('artist_id', artistId)
+    .in('status', REASSIGNABLE_STATUSES)
+    .order('deadline', { ascending: true });
+
+  if (error) {
+    throw new Error(error.message || 'Failed to load artist tasks');
+  }
+  return data || [];
+}
+
+/**
+ * Working hours, upcoming leave and open tasks of an artist
+ * @param {string} artistId - artist_profiles.id
+ * @returns {Object} - { artist, workingHours, leave, onLeaveToday, openTasks }
+ */
+async function getArtistAvailability(artistId) {
+  const artist = await loadArtistProfile(artistId);
+  const [leave, openTasks] = await Promise.all([loadUpcomingLeave(artistId), loadOpenTasks(artistId)]);
+  const leaveToday = findLeaveOn({ leave }, todayInBranch());
+
+  return {
+    artist: { id: artist.id, user_id: artist.user_id, artist_name: artist.artist_name, is_active: artist.is_active },
+    workingHours: artist.working_hours || DEFAULT_WORKING_HOURS,
+    leave,
+    onLeaveToday: Boolean(leaveToday),
+    leaveTodayUntil: leaveToday ? leaveToday.end_date : null,
+    openTasks
+  };
+}
+
+/**
+ * Save an artist's working hours
+ * @param {string} artistId - artist_profiles.id
+ * @param {Object} hours - { days, start, end }
+ * @returns {Object} - Saved working hours
+ */
+async function setWorkingHours(artistId, hours) {
+  const workingHours = normalizeWorkingHours(hours);
+  await loadArtistProfile(artistId);
+
+  const { error } = await supabase
+    .from('artist_profiles')
+    .update({ working_hours: workingHours })
+    .eq('id', artistId);
+
+  if (error) {
+    throw new Error(error.message || 'Failed to save working hours');
+  }
+  return workingHours;
+}
+
+/**
+ * Add leave days for an artist
+ * @param {string} artistId - artist_profiles.id
+ * @param {Object} leave - { startDate, endDate, reason } (dates as YYYY-MM-DD, inclusive)
+ * @param {string} createdBy - User ID of the admin
+ * @returns {Object} - Inserted artist_leave row
+ */
+async function addLeave(artistId, { startDate, endDate, reason = null }, createdBy = null) {
+  const start = String(startDate || '').trim();
+  const end = String(endDate || start).trim();
+  if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end) || Number.isNaN(Date.parse(start)) || Number.isNaN(Date.parse(end))) {
+    throw new ArtistAvailabilityError('Leave dates must be in YYYY-MM-DD format');
+  }
+  if (end < start) {
+    throw new ArtistAvailabilityError('Leave must end on or after its first day');
+  }
+  if ((Date.parse(end) - Date.parse(start)) / (24 * 60 * 60 * 1000) >= MAX_LEAVE_DAYS) {
+    throw new ArtistAvailabilityError(`Leave can cover at most ${MAX_LEAVE_DAYS} days at a time`);
+  }
+  if (end < todayInBranch()) {
+    throw new ArtistAvailabilityError('Leave cannot be entered for past dates');
+  }
+
+  await loadArtistProfile(artistId);
+  const existing = await loadUpcomingLeave(artistId);
+  const overlap = existing.find(leave => leave.start_date <= end && start <= leave.end_date);
+  if (overlap) {
+    throw new ArtistAvailabilityError(`Overlaps leave from ${overlap.start_date} to ${overlap.end_date}`, 409);
+  }
+
+  const { data, error } = await supabase
+    .from('artist_leave')
+    .insert({
+      artist_id: artistId,
+      start_date: start,
+      end_date: end,
+      reason: reason ? String(reason).trim().slice(0, 500) || null : null,
+      created_by: createdBy
+    })
+    .select('id, start_date, end_date, reason, created_at')
+    .single();
+
+  if (error) {
+    throw new Error(error.message || 'Failed to add leave');
+  }
+  return data;
+}
+
+/**
+ * Remove leave days
+ * @param {string} artistId - artist_profiles.id
+ * @param {string} leaveId - artist_leave.id
+ */
+async function removeLeave(artistId, leaveId) {
+  const { data, error } = await supabase
+    .from('artist_leave')
+    .delete()
+    .eq('id', leaveId)
+    .eq('artist_id', artistId)
+    .select('id');
+
+  if (error) {
+    throw new Error(error.message || 'Failed to remove leave');
+  }
+  if (!data || data.length === 0) {
+    throw new ArtistAvailabilityError('Leave not found', 404);
+  }
+}
+
+// An existing task as the assigner sees it: its stored weight and the skill it was assigned for
+function describeExistingTask(task) {
+  return {
+    ...describeTask({ orderType: task.order_type || 'regular', deadline: task.deadline }),
+    skill: task.assignment_reasons?.skill !== undefined ? task.assignment_reasons.skill : resolveTaskSkill(task.order_type),
+    weight: openTaskWeight(task)
+  };
+}
+
+// Design chat rooms are per order; older rooms may only carry the task ID
+async function findTaskChatRooms(task) {
+  let query = supabase.from('design_chat_rooms').select('id');
+  query = task.order_id
+    ? query.or(`task_id.eq.${task.id},order_id.eq.${task.order_id}`)
+    : query.eq('task_id', task.id);
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message || 'Failed to load design chat rooms');
+  }
+  return data || [];
+}
+
+/**
+ * Move a task to another artist: the task row keeps its revision notes and files, the design chat
+ * room of the order follows it, and the handoff is logged on the task
+ * @returns {Object} - The reassignment_log entry
+ */
+async function handOverTask(task, fromArtist, toArtist, { mode, reason, note, reasons = null }, user) {
+  const chatRooms = await findTaskChatRooms(task);
+  const entry = {
+    at: new Date().toISOString(),
+    fromArtistId: fromArtist?.id || task.artist_id,
+    fromArtistName: fromArtist?.artist_name || null,
+    toArtistId: toArtist.id,
+    toArtistName: toArtist.artist_name,
+    mode,
+    reason: reason || null,
+    note: note || null,
+    by: user?.id || null,
+    byRole: user?.role || null,
+    chatRoomIds: chatRooms.map(room => room.id),
+    ...(reasons ? { reasons } : {})
+  };
+
+  // Guard on the current artist so two admins moving the same task do not both win
+  const { data: updated, error: updateError } = await supabase
+    .from('artist_tasks')
+    .update({
+      artist_id: toArtist.id,
+      reassignment_log: [...(Array.isArray(task.reassignment_log) ? task.reassignment_log : []), entry]
+    })
+    .eq('id', task.id)
+    .eq('artist_id', task.artist_id)
+    .select('id');
+
+  if (updateError) {
+    throw new Error(updateError.message || 'Failed to reassign task');
+  }
+  if (!updated || updated.length === 0) {
+    throw new ArtistAvailabilityError('The task was reassigned by someone else, reload and try again', 409);
+  }
+
+  if (chatRooms.length > 0) {
+    const roomIds = chatRooms.map(room => room.id);
+    const { error: roomError } = await supabase
+      .from('design_chat_rooms')
+      .update({ artist_id: toArtist.id })
+      .in('id', roomIds);
+
+    if (roomError) {
+      console.error('❌ Failed to move design chat rooms to the new artist:', roomError);
+    } else if (user?.id) {
+      const handoffMessage = [
+        `This design has been handed over from ${entry.fromArtistName || 'the previous artist'} to ${toArtist.artist_name}.`,
+        `${toArtist.artist_name} has the full conversation and revision notes and will continue from here.`
+      ].join(' ');
+      const { error: messageError } = await supabase
+        .from('design_chat_messages')
+        .insert(roomIds.map(roomId => ({
+          room_id: roomId,
+          sender_id: user.id,
+          sender_type: 'admin',
+          message: handoffMessage,
+          message_type: 'text'
+        })));
+
+      if (messageError) {
+        console.error('⚠️ Failed to post the handoff message in design chat:', messageError);
+      }
+    }
+  }
+
+  return entry;
+}
+
+async function loadTask(taskId) {
+  const { data, error } = await supabase
+    .from('artist_tasks')
+    .select(TASK_COLUMNS)
+    .eq('id', taskId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message || 'Failed to load task');
+  }
+  if (!data) {
+    throw new ArtistAvailabilityError('Task not found', 404);
+  }
+  return data;
+}
+
+async function loadTargetArtist(toArtistId, fromArtistId) {
+  if (toArtistId === fromArtistId) {
+    throw new ArtistAvailabilityError('The task is already assigned to this artist');
+  }
+  const target = await loadArtistProfile(toArtistId);
+  if (!target.is_active) {
+    throw new ArtistAvailabilityError(`${target.artist_name} is inactive`);
+  }
+  const leaveToday = findLeaveOn({ leave: await loadUpcomingLeave(target.id) }, todayInBranch());
+  if (leaveToday) {
+    throw new ArtistAvailabilityError(`${target.artist_name} is on leave until ${leaveToday.end_date}`, 409);
+  }
+  return target;
+}
+
+function pickReplacement(assigner, task, candidates, fromArtistId) {
+  const choice = assigner.pick(describeExistingTask(task), candidates.filter(artist => artist.id !== fromArtistId));
+  if (!choice) {
+    throw new ArtistAvailabilityError('No other active artist is available to take the task', 409);
+  }
+  return choice;
+}
+
+/**
+ * Reassign one task
+ * @param {string} taskId - artist_tasks.id
+ * @param {Object} options - { toArtistId (artist_profiles.id, omit to let the assigner pick), reason, note }
+ * @param {Object} user - Admin doing the handoff (req.user)
+ * @returns {Object} - { task, entry }
+ */
+async function reassignTask(taskId, { toArtistId = null, reason = null, note = null, assigner = createArtistAssigner() } = {}, user = null) {
+  const task = await loadTask(taskId);
+  if (!REASSIGNABLE_STATUSES.includes(task.status)) {
+    throw new ArtistAvailabilityError(`A ${task.status.replace(/_/g, ' ')} task cannot be reassigned`);
+  }
+
+  const fromArtist = task.artist_id ? await loadArtistProfile(task.artist_id).catch(() => null) : null;
+  let toArtist;
+  let reasons = null;
+  if (toArtistId) {
+    toArtist = await loadTargetArtist(toArtistId, task.artist_id);
+  } else {
+    const choice = pickReplacement(assigner, task, await loadAssignableArtists(), task.artist_id);
+    toArtist = choice.artist;
+    reasons = choice.reasons;
+  }
+
+  const entry = await handOverTask(task, fromArtist, toArtist, {
+    mode: toArtistId ? 'manual' : 'auto',
+    reason,
+    note,
+    reasons
+  }, user);
+
+  console.log(`🔁 Task ${task.id} reassigned from ${entry.fromArtistName || entry.fromArtistId} to ${toArtist.artist_name}`);
+  return { task: { ...task, artist_id: toArtist.id }, entry };
+}
+
+/**
+ * Reassign every open task of an artist (absence, deactivation). Without a target each task goes
+ * to the artist the assigner picks, counting the tasks handed out earlier in the same run.
+ * @param {string} fromArtistId - artist_profiles.id of the absent artist
+ * @param {Object} options - { toArtistId, reason, note }
+ * @param {Object} user - Admin doing the handoff (req.user)
+ * @returns {Object} - { reassigned: [{ taskId, taskTitle, toArtistId, toArtistName }], failed: [{ taskId, taskTitle, error }] }
+ */
+async function reassignOpenTasks(fromArtistId, { toArtistId = null, reason = null, note = null, assigner = createArtistAssigner() } = {}, user = null) {
+  const fromArtist = await loadArtistProfile(fromArtistId);
+  const tasks = await loadOpenTasks(fromArtistId);
+  const reassigned = [];
+  const failed = [];
+  if (tasks.length === 0) {
+    return { reassigned, failed };
+  }
+
+  const target = toArtistId ? await loadTargetArtist(toArtistId, fromArtistId) : null;
+  const candidates = target ? [] : await loadAssignableArtists();
+
+  // Earliest deadline first so the most urgent work gets the best-placed artist
+  for (const task of tasks) {
+    try {
+      let toArtist = target;
+      let reasons = null;
+      if (!toArtist) {
+        const choice = pickReplacement(assigner, task, candidates, fromArtistId);
+        toArtist = choice.artist;
+        reasons = choice.reasons;
+      }
+
+      await handOverTask(task, fromArtist, toArtist, { mode: target ? 'manual' : 'auto', reason, note, reasons }, user);
+
+      if (!target) {
+        // The next pick has to see this task on the new artist's plate
+        toArtist.tasks = [...(toArtist.tasks || []), { ...task, created_at: new Date().toISOString() }];
+      }
+      reassigned.push({ taskId: task.id, taskTitle: task.task_title, toArtistId: toArtist.id, toArtistName: toArtist.artist_name });
+    } catch (error) {
+      console.error(`❌ Failed to reassign task ${task.id}:`, error);
+      failed.push({ taskId: task.id, taskTitle: task.task_title, error: error.statusCode ? error.message : 'Failed to reassign task' });
+    }
+  }
+
+  console.log(`🔁 Reassigned ${reassigned.length} of ${tasks.length} open tasks from ${fromArtist.artist_name}`);
+  return { reassigned, failed };
+}
+
+module.exports = {
+  REASSIGNABLE_STATUSES,
+  ArtistAvailabilityError,
+  normalizeWorkingHours,
+  describeExistingTask,
+  getArtistAvailability,
+  setWorkingHours,
+  addLeave,
+  removeLeave,
+  reassignTask,
+  reassignOpenTasks
+};
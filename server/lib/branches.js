@@ -0,0 +1,173 @@
+// Branch lookup helpers shared by routes that only know a branch by its display name
+// (orders store the fulfilling branch as pickup_location text, not an id), and the
+// branch scoping applied to admin accounts.
+
+const { supabase } = require('./db');
+
+/**
+ * Normalize a branch name for comparison, e.g. "SAN PASCUAL (MAIN BRANCH)" -> "sanpascual"
+ * @param {string} value - Branch name or pickup_location
+ * @returns {string|null} - Comparable key, or null when empty
+ */
+function normalizeBranchValue(value) {
+  if (!value) {
+    return null;
+  }
+
+  return value
+    .toString()
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/branch/g, ' ')
+    .replace(/main/g, ' ')
+    .replace(/[^a-z0-9]+/g, '')
+    .trim();
+}
+
+/**
+ * Find a branch row by id or by name
+ * @param {Object} target - { branchId, location }
+ * @param {string} columns - Columns to select
+ * @returns {Object|null} - branches row
+ */
+async function findBranch({ branchId = null, location = null }, columns = '*') {
+  const { data: branches, error } = await supabase
+    .from('branches')
+    .select(columns);
+
+  if (error) {
+    throw new Error(`Failed to load branches: ${error.message}`);
+  }
+
+  const branchList = branches || [];
+  const numericId = parseInt(branchId, 10);
+  if (!Number.isNaN(numericId)) {
+    const byId = branchList.find(branch => branch.id === numericId);
+    if (byId) {
+      return byId;
+    }
+  }
+
+  const normalizedLocation = normalizeBranchValue(location);
+  if (!normalizedLocation) {
+    return null;
+  }
+  return branchList.find(branch => normalizeBranchValue(branch.name) === normalizedLocation) || null;
+}
+
+/**
+ * Branch scope for an admin account (owners are not scoped)
+ * @param {Object} user - req.user
+ * @returns {Object|null} - { branchId, branchName, normalizedName }, or null for non-admins
+ * @throws {Error} - 403 when the admin has no valid branch assignment
+ */
+async function resolveAdminBranchContext(user) {
+  if (!user || user.role !== 'admin') {
+    return null;
+  }
+
+  const branchIdRaw = user.branch_id;
+  if (!branchIdRaw && branchIdRaw !== 0) {
+    const error = new Error('Admin account is missing branch assignment');
+    error.statusCode = 403;
+    throw error;
+  }
+ 
+  const branchId = parseInt(branchIdRaw, 10);
+  if (Number.isNaN(branchId)) {
+    const error = new Error('Admin account has invalid branch assignment');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  let branchName = null;
+
+  try {
+    const { data: branchData, error: branchError } = await supabase
+      .from('branches')
+      .select('id, name')
+      .eq('id', branchId)
+      .single();
+
+    if (!branchError && branchData?.name) {
+      branchName = branchData.name;
+    }
+  } catch (err) {
+    console.warn('⚠️ Unable to resolve branch name for admin:', err.message);
+  }
+
+  return { branchId, branchName, normalizedName: normalizeBranchValue(branchName) };
+}
+
+/**
+ * Whether an order belongs to the admin's branch
+ * @param {Object} order - Order row (pickup_branch_id, pickup_location)
+ * @param {Object|null} branchContext - From resolveAdminBranchContext
+ * @returns {boolean} - True when in scope (always true without a context)
+ */
+function orderMatchesBranch(order, branchContext) {
+  if (!branchContext) {
+    return true;
+  }
+ 
+  const { branchId, normalizedName } = branchContext;
+  const normalizedBranchId = Number.isNaN(branchId) ? null : branchId;
+  
+  // Try to get branch ID from order (check multiple possible fields)
+  const orderBranchId = order?.pickup_branch_id !== undefined && order?.pickup_branch_id !== null
+    ? parseInt(order.pickup_branch_id, 10)
+    : order?.branch_id !== undefined && order?.branch_id !== null
+      ? parseInt(order.branch_id, 10)
+      : null;
+ 
+  // Match by ID if both are available
+  const matchesId = normalizedBranchId !== null && orderBranchId !== null && orderBranchId === normalizedBranchId;
+  
+  // Match by name (this is the primary method since pickup_branch_id doesn't exist)
+  const matchesName = normalizedName ? shouldMatchByName(branchContext, order) : false;
+ 
+  // If we can't match by ID, rely on name matching
+  return matchesId || matchesName;
+}
+
+/**
+ * Throw a 403 error when an order is outside the admin's branch
+ * @param {Object} order - Order row
+ * @param {Object|null} branchContext - From resolveAdminBranchContext
+ */
+function ensureOrderAccess(order, branchContext) {
+  if (!orderMatchesBranch(order, branchContext)) {
+    const error = new Error('Access denied for orders outside assigned branch');
+    error.statusCode = 403;
+    throw error;
+  }
+}
+
+function shouldMatchByName(branchContext, order) {
+  if (!branchContext?.normalizedName) {
+    return false;
+  }
+
+  const normalizedTargets = [
+    order?.pickup_location,
+    order?.branch_name,
+    order?.managing_branch_name
+  ]
+    .filter(Boolean)
+    .map(normalizeBranchValue)
+    .filter(Boolean);
+
+  if (normalizedTargets.length === 0) {
+    return false;
+  }
+
+  return normalizedTargets.includes(branchContext.normalizedName);
+}
+
+module.exports = {
+  normalizeBranchValue,
+  findBranch,
+  resolveAdminBranchContext,
+  orderMatchesBranch,
+  ensureOrderAccess
+};
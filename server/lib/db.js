@@ -1,6 +1,7 @@
 const { createClient } = require('@supabase/supabase-js');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const { withTransaction } = require('./sqlClient');
 
 // Supabase connection configuration
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -215,6 +216,7 @@ async function ensureUsersTable() {
   await query(`ALTER TABLE user_carts ADD COLUMN IF NOT EXISTS size_surcharge NUMERIC DEFAULT 0;`);
   await query(`ALTER TABLE user_carts ADD COLUMN IF NOT EXISTS size_surcharge_total NUMERIC DEFAULT 0;`);
   await query(`ALTER TABLE user_carts ADD COLUMN IF NOT EXISTS surcharge_details JSONB;`);
+  await query(`ALTER TABLE user_carts ADD COLUMN IF NOT EXISTS reorder_of_order_id UUID;`);
 
   // Create user_wishlist table
   await query(`
@@ -336,4 +338,4 @@ async function ensureUsersTable() {
   `);
 }
 
-module.exports = { supabase, query, ensureUsersTable };
+module.exports = { supabase, query, withTransaction, ensureUsersTable };
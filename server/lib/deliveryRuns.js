@@ -0,0 +1,426 @@
+// Delivery runs for COD orders.
+// A run groups packed COD orders of one branch for one rider. Stops are ordered by straight-line
+// distance from the branch or by barangay when the run is created. The rider opens the run from a
+// link carrying its access_token (riders have no accounts) and records each stop: proof photos
+// plus the COD cash collected, which is booked through recordPayment like any other payment.
+// Closing the run compares the cash expected and collected with what the rider hands in.
+// Orders still move to picked_up_delivered through PATCH /api/orders/:id/status.
+
+const crypto = require('crypto');
+const { roundCurrency } = require('./pricing');
+const { orderMatchesBranch, normalizeBranchValue } = require('./branches');
+const { calculateDistanceKm, resolveDestination } = require('./shipping');
+const { PAYMENT_KINDS, recordPayment } = require('./payments');
+
+const RUN_STATUS = {
+  PLANNED: 'planned',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const STOP_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+const SORT_OPTIONS = ['distance', 'barangay'];
+
+// Runs still being planned or driven
+const OPEN_RUN_STATUSES = [RUN_STATUS.PLANNED, RUN_STATUS.OUT_FOR_DELIVERY];
+
+const MAX_PROOF_PHOTOS = 5;
+
+class DeliveryRunError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DeliveryRunError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseDeliveryAddress(order) {
+  if (order?.delivery_address && typeof order.delivery_address === 'object') {
+    return order.delivery_address;
+  }
+  if (typeof order?.delivery_address === 'string') {
+    try {
+      return JSON.parse(order.delivery_address);
+    } catch (error) {
+      return { address: order.delivery_address };
+    }
+  }
+  return {};
+}
+
+function distanceFromBranch(branch, address) {
+  const latitude = Number.parseFloat(branch?.latitude);
+  const longitude = Number.parseFloat(branch?.longitude);
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    return null;
+  }
+  try {
+    const destination = resolveDestination(address);
+    return Math.round(calculateDistanceKm(latitude, longitude, destination.latitude, destination.longitude) * 10) / 10;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Put orders in the sequence the rider will visit them
+ * @param {Object[]} orders - Order rows (delivery_address)
+ * @param {Object} branch - branches row (latitude, longitude)
+ * @param {string} sortBy - 'distance' (nearest first) or 'barangay' (province, city, barangay)
+ * @returns {Object[]} - { order, distanceKm } in visiting order; unlocated addresses go last
+ */
+function sortStops(orders, branch, sortBy = 'distance') {
+  const stops = orders.map(order => {
+    const address = parseDeliveryAddress(order);
+    return {
+      order,
+      distanceKm: distanceFromBranch(branch, address),
+      areaKey: [address.province, address.city, address.barangay]
+        .map(part => (part || '').toString().trim().toLowerCase())
+        .join('|')
+    };
+  });
+
+  const byDistance = (a, b) => {
+    if (a.distanceKm === null || b.distanceKm === null) {
+      return (a.distanceKm === null) - (b.distanceKm === null);
+    }
+    return a.distanceKm - b.distanceKm;
+  };
+
+  stops.sort(sortBy === 'barangay'
+    ? (a, b) => a.areaKey.localeCompare(b.areaKey) || byDistance(a, b)
+    : byDistance);
+
+  return stops.map(({ order, distanceKm }) => ({ order, distanceKm }));
+}
+
+/**
+ * Cash totals for a run
+ * @param {Object[]} stops - delivery_run_stops rows
+ * @param {Object} run - delivery_runs row (cash_remitted)
+ * @returns {Object} - Stop counts, cash expected / collected and the differences
+ */
+function summarizeRun(stops, run = {}) {
+  const counts = { total: stops.length, pending: 0, delivered: 0, failed: 0 };
+  let cashExpected = 0;
+  let cashCollected = 0;
+  let cashOutstanding = 0;
+
+  stops.forEach(stop => {
+    counts[stop.status] = (counts[stop.status] || 0) + 1;
+    const expected = roundCurrency(stop.cash_expected);
+    if (stop.status === STOP_STATUS.DELIVERED) {
+      cashExpected += expected;
+      cashCollected += roundCurrency(stop.cash_collected);
+    } else if (stop.status === STOP_STATUS.PENDING) {
+      cashOutstanding += expected;
+    }
+  });
+
+  const cashRemitted = run.cash_remitted === null || run.cash_remitted === undefined
+    ? null
+    : roundCurrency(run.cash_remitted);
+
+  return {
+    stops: counts,
+    cashExpected: roundCurrency(cashExpected),
+    cashCollected: roundCurrency(cashCollected),
+    // Positive when the rider collected less than the delivered orders owed
+    collectionShortfall: roundCurrency(cashExpected - cashCollected),
+    cashOutstanding: roundCurrency(cashOutstanding),
+    cashRemitted,
+    // Positive when the rider handed in less than they recorded collecting
+    remittanceShortfall: cashRemitted === null ? null : roundCurrency(cashCollected - cashRemitted)
+  };
+}
+
+/**
+ * Create a run with its stops. Must run inside withTransaction; the orders are locked so the same
+ * order can't be put on two runs at once.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} params - { branch, riderId, orderIds, sortBy, notes, createdBy }
+ * @returns {Object} - { run, stops }
+ */
+async function createDeliveryRun(client, { branch, riderId, orderIds, sortBy = 'distance', notes = null, createdBy = null }) {
+  if (!SORT_OPTIONS.includes(sortBy)) {
+    throw new DeliveryRunError(`sortBy must be one of: ${SORT_OPTIONS.join(', ')}`);
+  }
+  const uniqueOrderIds = [...new Set(orderIds || [])];
+  if (uniqueOrderIds.length === 0) {
+    throw new DeliveryRunError('Select at least one order for the run');
+  }
+
+  const { rows: riderRows } = await client.query('SELECT * FROM riders WHERE id = $1', [riderId]);
+  const rider = riderRows[0];
+  if (!rider || Number(rider.branch_id) !== Number(branch.id)) {
+    throw new DeliveryRunError('Rider not found for this branch', 404);
+  }
+  if (!rider.is_active) {
+    throw new DeliveryRunError(`${rider.name} is no longer active`);
+  }
+
+  const { rows: orders } = await client.query(
+    'SELECT * FROM orders WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE',
+    [uniqueOrderIds]
+  );
+  if (orders.length !== uniqueOrderIds.length) {
+    throw new DeliveryRunError('Some orders were not found', 404);
+  }
+
+  const branchContext = { branchId: branch.id, normalizedName: normalizeBranchValue(branch.name) };
+  orders.forEach(order => {
+    if (order.shipping_method !== 'cod') {
+      throw new DeliveryRunError(`Order ${order.order_number} is not a COD order`);
+    }
+    if (order.status !== 'packing_completing') {
+      throw new DeliveryRunError(`Order ${order.order_number} is not packed yet (${order.status})`);
+    }
+    if (!orderMatchesBranch(order, branchContext)) {
+      throw new DeliveryRunError(`Order ${order.order_number} is fulfilled by another branch`);
+    }
+  });
+
+  const { rows: onOtherRuns } = await client.query(
+    `SELECT o.order_number, r.run_number
+       FROM delivery_run_stops s
+       JOIN delivery_runs r ON r.id = s.run_id
+       JOIN orders o ON o.id = s.order_id
+      WHERE s.order_id = ANY($1::uuid[])
+        AND r.status <> $2
+        AND s.status <> $3`,
+    [uniqueOrderIds, RUN_STATUS.CANCELLED, STOP_STATUS.FAILED]
+  );
+  if (onOtherRuns.length > 0) {
+    throw new DeliveryRunError(`Order ${onOtherRuns[0].order_number} is already on run ${onOtherRuns[0].run_number}`, 409);
+  }
+
+  const { rows: runRows } = await client.query(
+    `INSERT INTO delivery_runs (run_number, branch_id, rider_id, sort_by, access_token, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [`RUN-${Date.now()}`, branch.id, rider.id, sortBy, crypto.randomBytes(24).toString('hex'), notes, createdBy]
+  );
+  const run = runRows[0];
+
+  const stops = [];
+  for (const [index, { order, distanceKm }] of sortStops(orders, branch, sortBy).entries()) {
+    const { rows } = await client.query(
+      `INSERT INTO delivery_run_stops (run_id, order_id, sequence, distance_km, cash_expected)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [run.id, order.id, index + 1, distanceKm, roundCurrency(order.balance_due ?? order.total_amount)]
+    );
+    stops.push(rows[0]);
+  }
+
+  return { run, stops };
+}
+
+/**
+ * Lock a run and check it is in one of the expected statuses
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} runId - Run ID
+ * @param {string[]} statuses - Allowed statuses
+ * @returns {Object} - delivery_runs row
+ */
+async function lockRun(client, runId, statuses) {
+  const { rows } = await client.query('SELECT * FROM delivery_runs WHERE id = $1 FOR UPDATE', [runId]);
+  const run = rows[0];
+  if (!run) {
+    throw new DeliveryRunError('Delivery run not found', 404);
+  }
+  if (!statuses.includes(run.status)) {
+    throw new DeliveryRunError(`Run ${run.run_number} is ${run.status.replace(/_/g, ' ')}`);
+  }
+  return run;
+}
+
+/**
+ * Send a planned run out and add an "on the way" tracking entry to each of its orders
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} runId - Run ID
+ * @param {string} actorId - Admin dispatching the run
+ * @returns {Object} - Updated delivery_runs row
+ */
+async function dispatchDeliveryRun(client, runId, actorId) {
+  await lockRun(client, runId, [RUN_STATUS.PLANNED]);
+
+  const { rows } = await client.query(
+    `UPDATE delivery_runs
+        SET status = $1, dispatched_at = now(), updated_at = now()
+      WHERE id = $2
+      RETURNING *`,
+    [RUN_STATUS.OUT_FOR_DELIVERY, runId]
+  );
+  const run = rows[0];
+
+  const { rows: riderRows } = await client.query('SELECT name FROM riders WHERE id = $1', [run.rider_id]);
+  await client.query(
+    `INSERT INTO order_tracking (order_id, status, location, description, created_by, metadata)
+     SELECT s.order_id, 'on_the_way', 'On The Way', $2, $3, $4::jsonb
+       FROM delivery_run_stops s
+      WHERE s.run_id = $1 AND s.status = $5`,
+    [
+      runId,
+      `Your order is out for delivery with ${riderRows[0]?.name || 'our rider'}`,
+      actorId,
+      JSON.stringify({ icon: '🚚', color: '#F59E0B', updatedBy: actorId, deliveryRunId: runId }),
+      STOP_STATUS.PENDING
+    ]
+  );
+
+  return run;
+}
+
+/**
+ * Record what happened at a stop. A delivered stop needs proof photos; its delivery_proof row is
+ * created and the cash collected is booked as a COD payment on the order.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} run - delivery_runs row (from the rider's token)
+ * @param {string} stopId - Stop ID
+ * @param {Object} outcome - { status, cashCollected, proofImages, notes, failureReason }
+ * @returns {Object} - Updated delivery_run_stops row
+ */
+async function recordStopOutcome(client, run, stopId, { status, cashCollected = 0, proofImages = [], notes = null, failureReason = null }) {
+  await lockRun(client, run.id, [RUN_STATUS.OUT_FOR_DELIVERY]);
+
+  const { rows: stopRows } = await client.query(
+    'SELECT * FROM delivery_run_stops WHERE id = $1 AND run_id = $2 FOR UPDATE',
+    [stopId, run.id]
+  );
+  const stop = stopRows[0];
+  if (!stop) {
+    throw new DeliveryRunError('Stop not found on this run', 404);
+  }
+  if (stop.status !== STOP_STATUS.PENDING) {
+    throw new DeliveryRunError(`This stop was already marked ${stop.status}`, 409);
+  }
+
+  if (status === STOP_STATUS.FAILED) {
+    if (!failureReason || !failureReason.trim()) {
+      throw new DeliveryRunError('Say why the delivery failed');
+    }
+    const { rows } = await client.query(
+      `UPDATE delivery_run_stops
+          SET status = $1, failure_reason = $2, notes = $3, proof_images = $4, completed_at = now(), updated_at = now()
+        WHERE id = $5
+        RETURNING *`,
+      [STOP_STATUS.FAILED, failureReason.trim(), notes, proofImages, stop.id]
+    );
+    return rows[0];
+  }
+
+  if (status !== STOP_STATUS.DELIVERED) {
+    throw new DeliveryRunError('status must be delivered or failed');
+  }
+  if (proofImages.length === 0) {
+    throw new DeliveryRunError('Attach at least one proof of delivery photo');
+  }
+
+  const collected = roundCurrency(cashCollected);
+  if (collected < 0) {
+    throw new DeliveryRunError('Cash collected must be zero or more');
+  }
+
+  const { rows: riderRows } = await client.query('SELECT name, phone FROM riders WHERE id = $1', [run.rider_id]);
+  const rider = riderRows[0] || {};
+
+  const { rows: proofRows } = await client.query(
+    `INSERT INTO delivery_proof (order_id, delivery_person_name, delivery_person_contact, proof_images, delivery_notes)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [stop.order_id, rider.name || null, rider.phone || null, proofImages, notes]
+  );
+
+  // PaymentError (e.g. more cash than the balance due) rolls the whole stop back
+  if (collected > 0) {
+    await recordPayment(client, stop.order_id, {
+      kind: PAYMENT_KINDS.PAYMENT,
+      amount: collected,
+      method: 'cod',
+      reference: run.run_number,
+      notes: `Collected by ${rider.name || 'rider'} on delivery`
+    });
+  }
+
+  const { rows } = await client.query(
+    `UPDATE delivery_run_stops
+        SET status = $1, cash_collected = $2, proof_images = $3, notes = $4, delivery_proof_id = $5,
+            completed_at = now(), updated_at = now()
+      WHERE id = $6
+      RETURNING *`,
+    [STOP_STATUS.DELIVERED, collected, proofImages, notes, proofRows[0].id, stop.id]
+  );
+  return rows[0];
+}
+
+/**
+ * Close a run once every stop has an outcome, recording the cash the rider handed in
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} runId - Run ID
+ * @param {Object} params - { cashRemitted, notes, completedBy }
+ * @returns {Object} - { run, stops, summary }
+ */
+async function completeDeliveryRun(client, runId, { cashRemitted, notes = null, completedBy = null }) {
+  const current = await lockRun(client, runId, [RUN_STATUS.OUT_FOR_DELIVERY]);
+
+  const { rows: stops } = await client.query('SELECT * FROM delivery_run_stops WHERE run_id = $1 ORDER BY sequence', [runId]);
+  const pending = stops.filter(stop => stop.status === STOP_STATUS.PENDING);
+  if (pending.length > 0) {
+    throw new DeliveryRunError(`${pending.length} stop(s) still have no delivery result`);
+  }
+
+  const remitted = roundCurrency(cashRemitted);
+  if (cashRemitted === undefined || cashRemitted === null || cashRemitted === '' || remitted < 0) {
+    throw new DeliveryRunError('Enter the cash the rider handed in');
+  }
+
+  const { rows } = await client.query(
+    `UPDATE delivery_runs
+        SET status = $1, cash_remitted = $2, notes = COALESCE($3, notes), completed_at = now(), completed_by = $4, updated_at = now()
+      WHERE id = $5
+      RETURNING *`,
+    [RUN_STATUS.COMPLETED, remitted, notes, completedBy, current.id]
+  );
+
+  return { run: rows[0], stops, summary: summarizeRun(stops, rows[0]) };
+}
+
+/**
+ * Call off a run that hasn't left yet; its orders become free for another run
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} runId - Run ID
+ * @returns {Object} - Updated delivery_runs row
+ */
+async function cancelDeliveryRun(client, runId) {
+  await lockRun(client, runId, [RUN_STATUS.PLANNED]);
+  const { rows } = await client.query(
+    'UPDATE delivery_runs SET status = $1, updated_at = now() WHERE id = $2 RETURNING *',
+    [RUN_STATUS.CANCELLED, runId]
+  );
+  return rows[0];
+}
+
+module.exports = {
+  RUN_STATUS,
+  STOP_STATUS,
+  SORT_OPTIONS,
+  OPEN_RUN_STATUSES,
+  MAX_PROOF_PHOTOS,
+  DeliveryRunError,
+  parseDeliveryAddress,
+  sortStops,
+  summarizeRun,
+  createDeliveryRun,
+  dispatchDeliveryRun,
+  recordStopOutcome,
+  completeDeliveryRun,
+  cancelDeliveryRun
+};
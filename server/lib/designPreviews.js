@@ -0,0 +1,125 @@
+// Customer-facing design previews.
+// Artwork uploaded to the yohanns-designs Cloudinary folder is stored as 'authenticated' assets,
+// so an original can only be fetched through a signed URL. Customers get a downscaled,
+// watermarked derivative (shop name + order number tiled across the image) whose signed URL
+// fixes the transformation: changing it to strip the watermark breaks the signature. Originals
+// go to staff and the order's artists, and to the customer once the order is paid in full.
+// Files uploaded before this existed are public assets: anyone holding their URL can fetch the
+// original. Browser roles can't select orders.design_files at all (migration
+// restrict-order-design-files.sql), so customers only see design files through this module.
+
+const cloudinary = require('./cloudinary');
+const { PAYMENT_STATUS } = require('./payments');
+
+const DESIGN_FOLDER = 'yohanns-designs';
+const DESIGN_DELIVERY_TYPE = 'authenticated';
+const WATERMARK_BRAND = 'YOHANNS';
+const PREVIEW_MAX_SIZE = 720;
+const PREVIEW_QUALITY = 45;
+
+// Cloudinary renders the first page of PDFs, AI and PSD files as an image; raw uploads can't be previewed
+const PREVIEWABLE_RESOURCE_TYPES = ['image'];
+
+/**
+ * Text tiled across the preview
+ * @param {Object} order - Order row (order_number)
+ * @returns {string}
+ */
+function watermarkText(order) {
+  return order?.order_number ? `${WATERMARK_BRAND} - ${order.order_number}` : WATERMARK_BRAND;
+}
+
+/**
+ * Signed URL of the watermarked preview of a design file, or null when it can't be previewed
+ * @param {Object} file - Design file ({ publicId, deliveryType, resourceType })
+ * @param {Object} order - Order row (order_number)
+ * @returns {string|null}
+ */
+function buildPreviewUrl(file, order) {
+  if (!file?.publicId || !PREVIEWABLE_RESOURCE_TYPES.includes(file.resourceType || 'image')) {
+    return null;
+  }
+  return cloudinary.url(file.publicId, {
+    type: file.deliveryType || 'upload',
+    resource_type: 'image',
+    sign_url: true,
+    secure: true,
+    format: 'jpg',
+    transformation: [
+      { width: PREVIEW_MAX_SIZE, height: PREVIEW_MAX_SIZE, crop: 'limit', page: 1 },
+      { quality: PREVIEW_QUALITY },
+      {
+        overlay: { font_family: 'Arial', font_size: 28, font_weight: 'bold', text: watermarkText(order) },
+        color: '#FFFFFF',
+        opacity: 45,
+        angle: -30,
+        flags: 'tiled'
+      }
+    ]
+  });
+}
+
+/**
+ * URL of the original file. Authenticated uploads are re-signed so older links keep working.
+ * @param {Object} file - Design file
+ * @returns {string}
+ */
+function buildOriginalUrl(file) {
+  if (file?.deliveryType === DESIGN_DELIVERY_TYPE && file.publicId) {
+    return cloudinary.url(file.publicId, {
+      type: DESIGN_DELIVERY_TYPE,
+      resource_type: file.resourceType || 'image',
+      sign_url: true,
+      secure: true,
+      ...(file.format ? { format: file.format } : {})
+    });
+  }
+  return file?.url || null;
+}
+
+/**
+ * Originals are released to the customer once the order is fully paid
+ * @param {Object} order - Order row (payment_status)
+ * @returns {boolean}
+ */
+function originalsReleased(order) {
+  return order?.payment_status === PAYMENT_STATUS.PAID;
+}
+
+/**
+ * A design file as the customer sees it: url is the watermarked preview. The original (and its
+ * Cloudinary public ID) is left out until the order is paid.
+ * @param {Object} file - Design file
+ * @param {Object} order - Order row (order_number, payment_status)
+ * @returns {Object} - { filename, uploadedAt, url, previewUrl, originalUrl? }
+ */
+function toCustomerFile(file, order) {
+  const previewUrl = buildPreviewUrl(file, order);
+  return {
+    filename: file.filename,
+    uploadedAt: file.uploadedAt || null,
+    url: previewUrl,
+    previewUrl,
+    ...(originalsReleased(order) ? { originalUrl: buildOriginalUrl(file) } : {})
+  };
+}
+
+/**
+ * A design file for staff and artists: the original plus the preview the customer sees
+ * @param {Object} file - Design file
+ * @param {Object} order - Order row (order_number)
+ * @returns {Object}
+ */
+function toStaffFile(file, order) {
+  return { ...file, url: buildOriginalUrl(file), previewUrl: buildPreviewUrl(file, order) };
+}
+
+module.exports = {
+  DESIGN_FOLDER,
+  DESIGN_DELIVERY_TYPE,
+  buildPreviewUrl,
+  buildOriginalUrl,
+  originalsReleased,
+  toCustomerFile,
+  toStaffFile
+};
@@ -0,0 +1,298 @@
+// Design proofs.
+// Every design upload by the artist is stored as a numbered proof version of the order with its
+// files and notes; the previous pending version is superseded but kept for comparison. The
+// customer answers a version from a link carrying its review_token (no sign-in needed): approving
+// releases the order from layout to sizing (the proof guards in lib/orderStatus hold the order
+// back until the latest version is approved), requesting changes sends the artist's task back to
+// in_progress with the customer's comment as revision notes.
+
+const crypto = require('crypto');
+const { TRANSITION_SOURCES, transitionOrderStatus } = require('./orderStatus');
+const { toCustomerFile } = require('./designPreviews');
+
+const PROOF_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes_requested',
+  SUPERSEDED: 'superseded'
+};
+
+const PROOF_ACTIONS = {
+  APPROVE: 'approve',
+  REQUEST_CHANGES: 'request_changes'
+};
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Tasks still waiting on the design
+const OPEN_TASK_STATUSES = ['pending', 'in_progress', 'submitted', 'revision_required'];
+
+class DesignProofError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DesignProofError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Link the customer opens to review a proof
+ * @param {Object} proof - design_proofs row
+ * @returns {string}
+ */
+function proofReviewUrl(proof) {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${clientUrl.replace(/\/$/, '')}/proofs/${proof.review_token}`;
+}
+
+/**
+ * A proof without its review token, for lists shown to artists and on the review page
+ * @param {Object} proof - design_proofs row
+ * @returns {Object}
+ */
+function publicProof(proof) {
+  const { review_token: reviewToken, ...rest } = proof;
+  return rest;
+}
+
+/**
+ * A proof as the customer sees it: no review token, and watermarked previews instead of the
+ * original files until the order is paid (lib/designPreviews)
+ * @param {Object} proof - design_proofs row
+ * @param {Object} order - Order row (order_number, payment_status)
+ * @returns {Object}
+ */
+function customerProof(proof, order) {
+  return {
+    ...publicProof(proof),
+    files: (proof.files || []).map(file => toCustomerFile(file, order))
+  };
+}
+
+/**
+ * Store an upload as the next proof version of the order
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} params - { orderId, files: [{ filename, url, publicId, uploadedAt }], notes, submittedBy }
+ * @returns {Object} - Inserted design_proofs row
+ */
+async function createProofVersion(client, { orderId, files, notes = null, submittedBy = null }) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new DesignProofError('A proof needs at least one file');
+  }
+
+  // Lock the order so two uploads can't take the same version number
+  const { rows: orderRows } = await client.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  if (orderRows.length === 0) {
+    throw new DesignProofError('Order not found', 404);
+  }
+
+  const { rows: taskRows } = await client.query(
+    `SELECT t.id
+       FROM artist_tasks t
+       JOIN artist_profiles p ON p.id = t.artist_id
+      WHERE t.order_id = $1 AND p.user_id = $2
+      ORDER BY t.created_at DESC
+      LIMIT 1`,
+    [orderId, submittedBy]
+  );
+
+  await client.query(
+    `UPDATE design_proofs SET status = $2, updated_at = now()
+      WHERE order_id = $1 AND status = $3`,
+    [orderId, PROOF_STATUS.SUPERSEDED, PROOF_STATUS.PENDING]
+  );
+
+  const { rows: versionRows } = await client.query(
+    'SELECT COALESCE(MAX(version), 0) + 1 AS next_version FROM design_proofs WHERE order_id = $1',
+    [orderId]
+  );
+
+  const trimmedNotes = notes ? String(notes).trim().slice(0, MAX_COMMENT_LENGTH) : '';
+  const { rows } = await client.query(
+    `INSERT INTO design_proofs (order_id, task_id, version, files, notes, review_token, submitted_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      orderId,
+      taskRows[0]?.id || null,
+      versionRows[0].next_version,
+      JSON.stringify(files),
+      trimmedNotes || null,
+      crypto.randomBytes(24).toString('hex'),
+      submittedBy
+    ]
+  );
+  return rows[0];
+}
+
+/**
+ * Proof versions of an order, newest first
+ * @param {Object} client - pg client
+ * @param {string} orderId - Order ID
+ * @returns {Array} - design_proofs rows
+ */
+async function listOrderProofs(client, orderId) {
+  const { rows } = await client.query(
+    'SELECT * FROM design_proofs WHERE order_id = $1 ORDER BY version DESC',
+    [orderId]
+  );
+  return rows;
+}
+
+async function loadProofByToken(client, token, { lock = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM design_proofs WHERE review_token = $1${lock ? ' FOR UPDATE' : ''}`,
+    [token]
+  );
+  if (rows.length === 0) {
+    throw new DesignProofError('Design proof not found', 404);
+  }
+  return rows[0];
+}
+
+/**
+ * What the review page shows: the proof behind the link, the order and every version
+ * @param {Object} client - pg client
+ * @param {string} token - review_token from the link
+ * @returns {Object} - { proof, order, versions, canRespond }
+ */
+async function getProofReview(client, token) {
+  const proof = await loadProofByToken(client, token);
+  const { rows: orderRows } = await client.query(
+    'SELECT id, order_number, status, customer_name, order_type, payment_status FROM orders WHERE id = $1',
+    [proof.order_id]
+  );
+  const order = orderRows[0] || null;
+  const versions = await listOrderProofs(client, proof.order_id);
+
+  return {
+    proof: customerProof(proof, order),
+    order,
+    versions: versions.map(version => customerProof(version, order)),
+    latestVersion: versions[0]?.version || proof.version,
+    canRespond: proof.status === PROOF_STATUS.PENDING
+  };
+}
+
+/**
+ * Record the customer's answer on a proof version. Staff recording an answer given in person or
+ * in chat pass respondedBy.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} proof - design_proofs row (locked)
+ * @param {Object} response - { action: 'approve' | 'request_changes', comment, respondedBy }
+ * @returns {Object} - Updated design_proofs row
+ */
+async function recordProofResponse(client, proof, { action, comment = null, respondedBy = null }) {
+  if (!Object.values(PROOF_ACTIONS).includes(action)) {
+    throw new DesignProofError('Choose approve or request changes');
+  }
+  const trimmedComment = comment ? String(comment).trim().slice(0, MAX_COMMENT_LENGTH) : '';
+  if (action === PROOF_ACTIONS.REQUEST_CHANGES && !trimmedComment) {
+    throw new DesignProofError('Tell the artist what to change');
+  }
+
+  if (proof.status === PROOF_STATUS.SUPERSEDED) {
+    throw new DesignProofError(`Version ${proof.version} has been replaced by a newer proof`, 409);
+  }
+  if (proof.status !== PROOF_STATUS.PENDING) {
+    throw new DesignProofError(`Version ${proof.version} was already ${proof.status === PROOF_STATUS.APPROVED ? 'approved' : 'sent back for changes'}`, 409);
+  }
+
+  const status = action === PROOF_ACTIONS.APPROVE ? PROOF_STATUS.APPROVED : PROOF_STATUS.CHANGES_REQUESTED;
+  const { rows } = await client.query(
+    `UPDATE design_proofs
+        SET status = $2, response_comment = $3, responded_at = now(), responded_by = $4, updated_at = now()
+      WHERE id = $1
+      RETURNING *`,
+    [proof.id, status, trimmedComment || null, respondedBy]
+  );
+  const updated = rows[0];
+
+  if (status === PROOF_STATUS.CHANGES_REQUESTED) {
+    // Back to the artist with the customer's words as revision notes; the design chat reopens
+    await client.query(
+      `UPDATE artist_tasks
+          SET status = 'in_progress', revision_notes = $2, submitted_at = NULL, updated_at = now()
+        WHERE id = (
+          SELECT id FROM artist_tasks
+           WHERE order_id = $1 AND status = ANY($3::text[])
+           ORDER BY (id = $4) DESC, created_at DESC
+           LIMIT 1
+        )`,
+      [proof.order_id, `Changes requested on proof v${proof.version}: ${trimmedComment}`, OPEN_TASK_STATUSES, proof.task_id]
+    );
+    await client.query(
+      "UPDATE design_chat_rooms SET status = 'active', updated_at = now() WHERE order_id = $1",
+      [proof.order_id]
+    );
+  }
+
+  return updated;
+}
+
+/**
+ * Customer answer from the review link
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} token - review_token from the link
+ * @param {Object} response - { action, comment }
+ * @returns {Object} - Updated design_proofs row
+ */
+async function respondToProof(client, token, { action, comment }) {
+  const proof = await loadProofByToken(client, token, { lock: true });
+  return recordProofResponse(client, proof, { action, comment });
+}
+
+/**
+ * After the latest proof is approved: move the order from layout to sizing and close the design
+ * task and chat, as the admin design review used to. Throws OrderTransitionError / PaymentError
+ * when the order can't move yet (e.g. no downpayment); the approval itself is already saved.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} proof - Approved design_proofs row
+ * @param {Object} options - { actor (defaults to the customer), source, note }
+ * @returns {Object} - { moved, order }
+ */
+async function releaseApprovedDesign(client, proof, { actor = null, source = TRANSITION_SOURCES.PROOF_APPROVAL, note = null } = {}) {
+  const { rows } = await client.query('SELECT id, status, user_id FROM orders WHERE id = $1', [proof.order_id]);
+  const order = rows[0];
+  if (!order) {
+    throw new DesignProofError('Order not found', 404);
+  }
+
+  let moved = false;
+  if (order.status === 'layout') {
+    await transitionOrderStatus(client, order.id, 'sizing', {
+      actor: actor || { id: order.user_id, role: 'customer' },
+      source,
+      note: note || `Design proof v${proof.version} approved by the customer`
+    });
+    moved = true;
+  }
+
+  await client.query(
+    `UPDATE artist_tasks
+        SET status = 'completed', approved_at = now(), completed_at = now(), updated_at = now()
+      WHERE order_id = $1 AND status = ANY($2::text[])`,
+    [order.id, OPEN_TASK_STATUSES]
+  );
+  await client.query(
+    "UPDATE design_chat_rooms SET status = 'closed', updated_at = now() WHERE order_id = $1",
+    [order.id]
+  );
+
+  return { moved, order: { ...order, status: moved ? 'sizing' : order.status } };
+}
+
+module.exports = {
+  PROOF_STATUS,
+  PROOF_ACTIONS,
+  DesignProofError,
+  proofReviewUrl,
+  publicProof,
+  customerProof,
+  createProofVersion,
+  listOrderProofs,
+  getProofReview,
+  recordProofResponse,
+  respondToProof,
+  releaseApprovedDesign
+};
@@ -229,6 +229,159 @@ class EmailService {
     }
   }
 
+  // Let the customer know a proof of payment was rejected so they can upload a new one
+  async sendPaymentProofRejected(orderData, proof, customerEmail, customerName, reason) {
+    try {
+      if (!this._isClientReady()) {
+        return { success: false, error: 'Email service not configured' };
+      }
+
+      const amount = `₱${(parseFloat(proof.amount) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      const submittedAt = new Date(proof.created_at).toLocaleString('en-PH');
+
+      const mailOptions = {
+        from: {
+          name: 'Yohanns - No Reply',
+          address: this.fromAddress
+        },
+        to: customerEmail,
+        subject: `Order ${orderData.order_number} - Proof of Payment Not Accepted`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1e293b;">
+            <h2 style="color: #dc2626;">We couldn't verify your payment</h2>
+            <p>Hi ${customerName || 'there'},</p>
+            <p>The proof of payment you submitted for order <strong>${orderData.order_number}</strong> was not accepted.</p>
+            <table style="border-collapse: collapse; margin: 16px 0;">
+              <tr><td style="padding: 4px 12px 4px 0; color: #64748b;">Amount</td><td style="padding: 4px 0;">${amount}</td></tr>
+              <tr><td style="padding: 4px 12px 4px 0; color: #64748b;">Reference</td><td style="padding: 4px 0;">${proof.reference || '—'}</td></tr>
+              <tr><td style="padding: 4px 12px 4px 0; color: #64748b;">Submitted</td><td style="padding: 4px 0;">${submittedAt}</td></tr>
+            </table>
+            <p><strong>Reason:</strong> ${reason}</p>
+            <p>Please upload a clearer receipt from <strong>My Orders</strong>, or contact your branch if you believe this is a mistake.</p>
+            <p style="color: #64748b; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
+          </div>
+        `,
+        text: `Hi ${customerName || 'there'},\n\n` +
+          `The proof of payment you submitted for order ${orderData.order_number} was not accepted.\n\n` +
+          `Amount: ${amount}\nReference: ${proof.reference || '-'}\nSubmitted: ${submittedAt}\n\n` +
+          `Reason: ${reason}\n\n` +
+          'Please upload a clearer receipt from My Orders, or contact your branch if you believe this is a mistake.\n\n' +
+          'This is an automated message. Please do not reply to this email.'
+      };
+
+      const result = await this._sendEmailWithRetry(mailOptions, 2);
+      console.log('✅ Payment proof rejection email sent successfully:', result.id);
+      return { success: true, messageId: result.id };
+
+    } catch (error) {
+      console.error('❌ Failed to send payment proof rejection email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tell a pickup customer their order is packed: booked slot, branch address and the pickup code
+  async sendReadyForPickup(orderData, branch, pickupSlot, customerEmail, customerName) {
+    try {
+      if (!this._isClientReady()) {
+        return { success: false, error: 'Email service not configured' };
+      }
+
+      const branchName = branch?.name || orderData.pickup_location || 'your selected branch';
+      const branchAddress = [branch?.address, branch?.city].filter(Boolean).join(', ');
+      const slotText = pickupSlot || 'Not booked yet - choose a pickup time in My Orders';
+
+      const mailOptions = {
+        from: {
+          name: 'Yohanns - No Reply',
+          address: this.fromAddress
+        },
+        to: customerEmail,
+        subject: `Order ${orderData.order_number} is Ready for Pickup`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1e293b;">
+            <h2 style="color: #22c55e;">Your order is ready for pickup</h2>
+            <p>Hi ${customerName || 'there'},</p>
+            <p>Order <strong>${orderData.order_number}</strong> has been packed and is waiting for you at <strong>${branchName}</strong>.</p>
+            <table style="border-collapse: collapse; margin: 16px 0;">
+              <tr><td style="padding: 4px 12px 4px 0; color: #64748b;">Pickup time</td><td style="padding: 4px 0;">${slotText}</td></tr>
+              <tr><td style="padding: 4px 12px 4px 0; color: #64748b;">Branch</td><td style="padding: 4px 0;">${branchName}</td></tr>
+              ${branchAddress ? `<tr><td style="padding: 4px 12px 4px 0; color: #64748b;">Address</td><td style="padding: 4px 0;">${branchAddress}</td></tr>` : ''}
+              ${branch?.phone ? `<tr><td style="padding: 4px 12px 4px 0; color: #64748b;">Phone</td><td style="padding: 4px 0;">${branch.phone}</td></tr>` : ''}
+            </table>
+            <p>Show this pickup code to our staff when you collect your order:</p>
+            <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px; margin: 8px 0 16px;">${orderData.pickup_code}</p>
+            <p>Anyone collecting on your behalf will need the code too.</p>
+            <p style="color: #64748b; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
+          </div>
+        `,
+        text: `Hi ${customerName || 'there'},\n\n` +
+          `Order ${orderData.order_number} has been packed and is waiting for you at ${branchName}.\n\n` +
+          `Pickup time: ${slotText}\nBranch: ${branchName}\n` +
+          (branchAddress ? `Address: ${branchAddress}\n` : '') +
+          (branch?.phone ? `Phone: ${branch.phone}\n` : '') +
+          `\nPickup code: ${orderData.pickup_code}\n` +
+          'Show this code to our staff when you collect your order. Anyone collecting on your behalf will need the code too.\n\n' +
+          'This is an automated message. Please do not reply to this email.'
+      };
+
+      const result = await this._sendEmailWithRetry(mailOptions, 2);
+      console.log('✅ Ready for pickup email sent successfully:', result.id);
+      return { success: true, messageId: result.id };
+
+    } catch (error) {
+      console.error('❌ Failed to send ready for pickup email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send the customer the link to approve or comment on a new design proof version
+  async sendDesignProofReady(orderData, proof, customerEmail, customerName, reviewUrl) {
+    try {
+      if (!this._isClientReady()) {
+        return { success: false, error: 'Email service not configured' };
+      }
+
+      const fileCount = Array.isArray(proof.files) ? proof.files.length : 0;
+
+      const mailOptions = {
+        from: {
+          name: 'Yohanns - No Reply',
+          address: this.fromAddress
+        },
+        to: customerEmail,
+        subject: `Order ${orderData.order_number} - Design Proof v${proof.version} Ready for Your Approval`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1e293b;">
+            <h2 style="color: #0ea5e9;">Your design proof is ready</h2>
+            <p>Hi ${customerName || 'there'},</p>
+            <p>Our artist has uploaded <strong>version ${proof.version}</strong> of the design for order <strong>${orderData.order_number}</strong> (${fileCount} file${fileCount === 1 ? '' : 's'}).</p>
+            ${proof.notes ? `<p><strong>Notes from the artist:</strong> ${proof.notes}</p>` : ''}
+            <p>Please review it and either approve it or tell us what to change. We start sizing and printing only after you approve.</p>
+            <p style="margin: 24px 0;">
+              <a href="${reviewUrl}" style="background: #0ea5e9; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Review design proof</a>
+            </p>
+            <p style="font-size: 12px; color: #64748b;">Or open this link: ${reviewUrl}</p>
+            <p style="color: #64748b; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
+          </div>
+        `,
+        text: `Hi ${customerName || 'there'},\n\n` +
+          `Our artist has uploaded version ${proof.version} of the design for order ${orderData.order_number} (${fileCount} file${fileCount === 1 ? '' : 's'}).\n` +
+          (proof.notes ? `Notes from the artist: ${proof.notes}\n` : '') +
+          '\nPlease review it and either approve it or tell us what to change. We start sizing and printing only after you approve.\n\n' +
+          `Review design proof: ${reviewUrl}\n\n` +
+          'This is an automated message. Please do not reply to this email.'
+      };
+
+      const result = await this._sendEmailWithRetry(mailOptions, 2);
+      console.log('✅ Design proof email sent successfully:', result.id);
+      return { success: true, messageId: result.id };
+
+    } catch (error) {
+      console.error('❌ Failed to send design proof email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Send custom design order confirmation email
   async sendCustomDesignConfirmation(orderData, customerEmail, customerName) {
     try {
@@ -271,6 +424,7 @@ class EmailService {
       'packing_completing': 'Packing & Completing',
       'picked_up_delivered': 'Picked Up / Delivered',
       'cancelled': 'Cancelled',
+      'refunded': 'Refunded',
       // Legacy statuses
       'processing': 'In Production',
       'completed': 'Ready for Pickup/Delivery',
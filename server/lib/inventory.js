@@ -0,0 +1,434 @@
+// Stock helpers for on-stock products (balls and trophies).
+// Apparel is made to order and never touches stock_quantity / size_stocks.
+// Every function here takes a pg client that is already inside a transaction
+// (see withTransaction in ./sqlClient) so row locks are held until COMMIT.
+
+const STOCKED_CATEGORIES = ['balls', 'trophies'];
+
+// movement_type values accepted by the stock_movements ledger
+const MOVEMENT_TYPES = {
+  INITIAL: 'initial',
+  ORDER_DEDUCTION: 'order_deduction',
+  CANCELLATION_RESTORE: 'cancellation_restore',
+  MANUAL_ADJUSTMENT: 'manual_adjustment',
+  TRANSFER_OUT: 'transfer_out',
+  TRANSFER_IN: 'transfer_in',
+  PURCHASE_RECEIPT: 'purchase_receipt'
+};
+
+class InsufficientStockError extends Error {
+  constructor(message, stockChecks = []) {
+    super(message);
+    this.name = 'InsufficientStockError';
+    this.statusCode = 400;
+    this.stockChecks = stockChecks;
+  }
+}
+
+function isStockedItem(item) {
+  return STOCKED_CATEGORIES.includes(item?.category?.toLowerCase());
+}
+
+function parseSizeStocks(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  let parsed = value;
+  if (typeof parsed === 'string') {
+    const trimmed = parsed.trim();
+    if (!trimmed || trimmed === 'null') {
+      return null;
+    }
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      return null;
+    }
+  }
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+}
+
+function resolveTrophySize(item) {
+  const size = item.trophyDetails?.size || item.trophyDetails?.trophySize || item.size;
+  return size ? String(size) : null;
+}
+
+/**
+ * Lock the product row for an item in its branch (SELECT ... FOR UPDATE)
+ * Prefers rows that have size_stocks populated when duplicates exist.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} item - Order item
+ * @param {number} branchId - Branch holding the stock
+ * @returns {Object|null} - Locked product row
+ */
+async function lockProductRow(client, item, branchId) {
+  const { rows } = await client.query(
+    `SELECT id, name, category, stock_quantity, size_stocks, branch_id
+       FROM products
+      WHERE name = $1
+        AND category ILIKE $2
+        AND branch_id = $3
+      ORDER BY (size_stocks IS NULL) ASC, created_at ASC
+      FOR UPDATE`,
+    [item.name, item.category, branchId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Lock a product row by id (SELECT ... FOR UPDATE)
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} productId - Product ID
+ * @returns {Object|null} - Locked product row
+ */
+async function lockProductById(client, productId) {
+  const { rows } = await client.query(
+    `SELECT id, name, category, stock_quantity, size_stocks, branch_id
+       FROM products
+      WHERE id = $1
+      FOR UPDATE`,
+    [productId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Add (positive delta) or remove (negative delta) stock on a locked product row
+ * Trophies change size_stocks[size]; everything else changes stock_quantity.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} product - Product row locked with FOR UPDATE
+ * @param {string|null} size - Size key for size_stocks, or null
+ * @param {number} delta - Units to add (positive) or remove (negative)
+ * @returns {Object} - { before, after }
+ */
+async function applyStockChange(client, product, size, delta) {
+  if (size) {
+    const sizeStocks = parseSizeStocks(product.size_stocks);
+    if (!sizeStocks || sizeStocks[size] === undefined) {
+      if (delta < 0) {
+        throw new InsufficientStockError(`${product.name} (${size}) has no size stocks configured in this branch.`);
+      }
+    }
+    const before = parseInt(sizeStocks?.[size], 10) || 0;
+    const after = before + delta;
+    if (after < 0) {
+      throw new InsufficientStockError(`${product.name} (${size}) has insufficient stock. Available: ${before}, Required: ${-delta}.`);
+    }
+    await client.query(
+      `UPDATE products
+          SET size_stocks = jsonb_set(COALESCE(size_stocks, '{}'::jsonb), ARRAY[$1::text], to_jsonb($2::int)),
+              updated_at = now()
+        WHERE id = $3`,
+      [size, after, product.id]
+    );
+    return { before, after };
+  }
+
+  const before = product.stock_quantity || 0;
+  const after = before + delta;
+  if (after < 0) {
+    throw new InsufficientStockError(`${product.name} has insufficient stock. Available: ${before}, Required: ${-delta}.`);
+  }
+  await client.query(
+    'UPDATE products SET stock_quantity = $1, updated_at = now() WHERE id = $2',
+    [after, product.id]
+  );
+  return { before, after };
+}
+
+/**
+ * Map a movement to a stock_movements row
+ * @param {Object} movement - { productId, branchId, size, before, after, type, orderId, transferId, purchaseOrderId, actorId, reason }
+ * @returns {Object} - Row keyed by stock_movements column names
+ */
+function toStockMovementRow(movement) {
+  const before = parseInt(movement.before, 10) || 0;
+  const after = parseInt(movement.after, 10) || 0;
+  return {
+    product_id: movement.productId,
+    branch_id: movement.branchId || null,
+    size: movement.size || null,
+    movement_type: movement.type,
+    quantity_change: after - before,
+    balance_before: before,
+    balance_after: after,
+    order_id: movement.orderId || null,
+    actor_id: movement.actorId || null,
+    reason: movement.reason || null,
+    ...(movement.transferId ? { transfer_id: movement.transferId } : {}),
+    ...(movement.purchaseOrderId ? { purchase_order_id: movement.purchaseOrderId } : {})
+  };
+}
+
+/**
+ * Compare two stock snapshots of the same product row and list what changed
+ * A null previous snapshot is treated as zero stock (new product).
+ * @param {Object|null} previous - { stock_quantity, size_stocks } before the change
+ * @param {Object} next - { stock_quantity, size_stocks } after the change
+ * @returns {Array} - { size, before, after } per changed size (size null for stock_quantity)
+ */
+function diffStockLevels(previous, next) {
+  const changes = [];
+  const previousSizes = parseSizeStocks(previous?.size_stocks) || {};
+  const nextSizes = parseSizeStocks(next?.size_stocks) || {};
+  const sizeKeys = new Set([...Object.keys(previousSizes), ...Object.keys(nextSizes)]);
+
+  sizeKeys.forEach(size => {
+    // Skip nested { branchId: { size: qty } } entries - only flat per-size counts are stock
+    const beforeValue = previousSizes[size];
+    const afterValue = nextSizes[size];
+    if ((beforeValue !== undefined && typeof beforeValue === 'object') || (afterValue !== undefined && typeof afterValue === 'object')) {
+      return;
+    }
+    const before = parseInt(beforeValue, 10) || 0;
+    const after = parseInt(afterValue, 10) || 0;
+    if (before !== after) {
+      changes.push({ size, before, after });
+    }
+  });
+
+  if (changes.length === 0 && sizeKeys.size === 0) {
+    const before = parseInt(previous?.stock_quantity, 10) || 0;
+    const after = parseInt(next?.stock_quantity, 10) || 0;
+    if (before !== after) {
+      changes.push({ size: null, before, after });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Append movements to the stock_movements ledger inside a transaction
+ * @param {Object} client - pg client inside a transaction
+ * @param {Array} movements - Movements accepted by toStockMovementRow
+ */
+async function recordStockMovements(client, movements = []) {
+  for (const movement of movements) {
+    const row = toStockMovementRow(movement);
+    const columns = Object.keys(row);
+    const placeholders = columns.map((column, index) => `$${index + 1}`);
+    await client.query(
+      `INSERT INTO stock_movements (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+      columns.map(column => row[column])
+    );
+  }
+}
+
+/**
+ * Reserve (deduct) stock for every ball/trophy in an order inside a transaction.
+ * Each item is resolved by its product id (the row the order was priced from); whether it is
+ * stocked, its name and category come from that row, never from the submitted item. Stock is
+ * taken from that row, or from the same product's row in the branch the customer picked.
+ * Throws InsufficientStockError when any line cannot be fulfilled so the caller's
+ * transaction rolls back together with the order insert.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Array} orderItems - Order items
+ * @param {number|null} fallbackBranchId - Branch used when an item has no branchId
+ * @returns {Array} - One entry per deducted line: productId, branchId, size, quantity, before, after
+ */
+async function reserveOrderStock(client, orderItems, fallbackBranchId = null) {
+  const deductions = [];
+  const errors = [];
+  const stockChecks = [];
+
+  for (const item of orderItems || []) {
+    const { rows: pricedRows } = item?.id
+      ? await client.query('SELECT id, name, category, branch_id FROM products WHERE id = $1', [item.id])
+      : { rows: [] };
+    const priced = pricedRows[0];
+
+    if (!priced) {
+      // Checkout already refuses unknown products; a remake of a since-deleted jersey still goes through
+      if (isStockedItem(item)) {
+        errors.push(`${item.name || 'An item'} is no longer available.`);
+        stockChecks.push({ product: item.name || null, available: false, reason: 'Product not found' });
+      }
+      continue;
+    }
+    if (!isStockedItem(priced)) {
+      continue;
+    }
+
+    const productName = priced.name;
+    const quantity = parseInt(item.quantity, 10) || 1;
+    const category = priced.category.toLowerCase();
+    const branchId = parseInt(item.branchId || item.branch_id || fallbackBranchId || priced.branch_id, 10);
+
+    if (Number.isNaN(branchId)) {
+      errors.push(`Please select a branch for ${productName}.`);
+      stockChecks.push({ product: productName, available: false, reason: 'Branch not selected' });
+      continue;
+    }
+
+    const product = priced.branch_id === branchId
+      ? await lockProductById(client, priced.id)
+      : await lockProductRow(client, priced, branchId);
+    if (!product) {
+      errors.push(`${productName} is not available in the selected branch.`);
+      stockChecks.push({ product: productName, branchId, available: false, reason: 'Product not found in branch' });
+      continue;
+    }
+
+    if (category === 'balls') {
+      const currentStock = product.stock_quantity || 0;
+      if (currentStock < quantity) {
+        errors.push(`${productName} has insufficient stock. Available: ${currentStock}, Required: ${quantity}.`);
+        stockChecks.push({ product: productName, branchId, available: false, availableStock: currentStock, required: quantity });
+        continue;
+      }
+
+      const newStock = currentStock - quantity;
+      await client.query(
+        'UPDATE products SET stock_quantity = $1, updated_at = now() WHERE id = $2',
+        [newStock, product.id]
+      );
+      stockChecks.push({ product: productName, branchId, available: true, availableStock: currentStock, required: quantity });
+      deductions.push({ productId: product.id, branchId, size: null, quantity, before: currentStock, after: newStock });
+      console.log(`✅ Reserved ${quantity} × ${productName} (balls) at branch ${branchId}. Stock: ${currentStock} → ${newStock}`);
+      continue;
+    }
+
+    const trophySize = resolveTrophySize(item);
+    if (!trophySize) {
+      errors.push(`${productName} size is not specified in order.`);
+      stockChecks.push({ product: productName, branchId, available: false, reason: 'Size not specified' });
+      continue;
+    }
+
+    const sizeStocks = parseSizeStocks(product.size_stocks);
+    if (!sizeStocks || sizeStocks[trophySize] === undefined) {
+      errors.push(`${productName} (${trophySize}) has no size stocks configured in the selected branch.`);
+      stockChecks.push({ product: productName, size: trophySize, branchId, available: false, reason: 'No size stocks configured' });
+      continue;
+    }
+
+    const currentStock = parseInt(sizeStocks[trophySize], 10) || 0;
+    if (currentStock < quantity) {
+      errors.push(`${productName} (${trophySize}) has insufficient stock. Available: ${currentStock}, Required: ${quantity}.`);
+      stockChecks.push({ product: productName, size: trophySize, branchId, available: false, availableStock: currentStock, required: quantity });
+      continue;
+    }
+
+    const newStock = currentStock - quantity;
+    await client.query(
+      `UPDATE products
+          SET size_stocks = jsonb_set(COALESCE(size_stocks, '{}'::jsonb), ARRAY[$1::text], to_jsonb($2::int)),
+              updated_at = now()
+        WHERE id = $3`,
+      [trophySize, newStock, product.id]
+    );
+    stockChecks.push({ product: productName, size: trophySize, branchId, available: true, availableStock: currentStock, required: quantity });
+    deductions.push({ productId: product.id, branchId, size: trophySize, quantity, before: currentStock, after: newStock });
+    console.log(`✅ Reserved ${quantity} × ${productName} (${trophySize}) at branch ${branchId}. Stock: ${currentStock} → ${newStock}`);
+  }
+
+  if (errors.length > 0) {
+    throw new InsufficientStockError(errors.join(' '), stockChecks);
+  }
+
+  return deductions;
+}
+
+/**
+ * Return the stock recorded in orders.stock_reservations to the exact product rows
+ * and sizes it was taken from. The order row is locked and stamped with
+ * stock_restored_at, so calling this twice for the same order is a no-op.
+ * Each restored line is written to the stock_movements ledger.
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} orderId - Order ID
+ * @param {Object} options - { actorId, reason } recorded on the ledger entries
+ * @returns {Array} - Reservations that were put back (empty when already restored)
+ */
+async function restoreOrderStock(client, orderId, options = {}) {
+  const { rows } = await client.query(
+    'SELECT id, order_number, stock_reservations, stock_restored_at FROM orders WHERE id = $1 FOR UPDATE',
+    [orderId]
+  );
+  const order = rows[0];
+
+  if (!order) {
+    return [];
+  }
+
+  if (order.stock_restored_at) {
+    console.log(`ℹ️ Stock for order ${order.order_number} was already restored at ${order.stock_restored_at}`);
+    return [];
+  }
+
+  const reservations = Array.isArray(order.stock_reservations) ? order.stock_reservations : [];
+  const restored = [];
+
+  for (const reservation of reservations) {
+    const quantity = parseInt(reservation.quantity, 10) || 0;
+    if (!reservation.productId || quantity <= 0) {
+      continue;
+    }
+
+    const { rows: productRows } = await client.query(
+      'SELECT id, name, stock_quantity, size_stocks FROM products WHERE id = $1 FOR UPDATE',
+      [reservation.productId]
+    );
+    const product = productRows[0];
+
+    if (!product) {
+      console.warn(`⚠️ Product ${reservation.productId} no longer exists - cannot restore ${quantity} unit(s) for order ${order.order_number}`);
+      continue;
+    }
+
+    if (reservation.size) {
+      const sizeStocks = parseSizeStocks(product.size_stocks) || {};
+      const currentStock = parseInt(sizeStocks[reservation.size], 10) || 0;
+      const newStock = currentStock + quantity;
+      await client.query(
+        `UPDATE products
+            SET size_stocks = jsonb_set(COALESCE(size_stocks, '{}'::jsonb), ARRAY[$1::text], to_jsonb($2::int)),
+                updated_at = now()
+          WHERE id = $3`,
+        [reservation.size, newStock, product.id]
+      );
+      console.log(`↩️ Restored ${quantity} × ${product.name} (${reservation.size}) at branch ${reservation.branchId}. Stock: ${currentStock} → ${newStock}`);
+      restored.push({ ...reservation, before: currentStock, after: newStock });
+    } else {
+      const currentStock = product.stock_quantity || 0;
+      const newStock = currentStock + quantity;
+      await client.query(
+        'UPDATE products SET stock_quantity = $1, updated_at = now() WHERE id = $2',
+        [newStock, product.id]
+      );
+      console.log(`↩️ Restored ${quantity} × ${product.name} at branch ${reservation.branchId}. Stock: ${currentStock} → ${newStock}`);
+      restored.push({ ...reservation, before: currentStock, after: newStock });
+    }
+  }
+
+  await recordStockMovements(client, restored.map(reservation => ({
+    ...reservation,
+    type: MOVEMENT_TYPES.CANCELLATION_RESTORE,
+    orderId,
+    actorId: options.actorId,
+    reason: options.reason || `Order ${order.order_number} cancelled`
+  })));
+
+  await client.query(
+    'UPDATE orders SET stock_restored_at = now() WHERE id = $1',
+    [orderId]
+  );
+
+  return restored;
+}
+
+module.exports = {
+  STOCKED_CATEGORIES,
+  MOVEMENT_TYPES,
+  InsufficientStockError,
+  isStockedItem,
+  parseSizeStocks,
+  lockProductRow,
+  lockProductById,
+  applyStockChange,
+  diffStockLevels,
+  toStockMovementRow,
+  recordStockMovements,
+  reserveOrderStock,
+  restoreOrderStock
+};
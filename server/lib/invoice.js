@@ -0,0 +1,270 @@
+// Printable invoice / official receipt for an order.
+// Receipt numbers are sequential per branch (branch_receipt_sequences) and are stored on the
+// order the first time an invoice is printed, so every reprint shows the same number.
+
+const { jsPDF } = require('jspdf');
+const { autoTable } = require('jspdf-autotable');
+
+const COMPANY_NAME = 'YOHANNS';
+const COMPANY_TAGLINE = 'Premium Sports Apparel';
+const BRAND_COLOR = [30, 58, 138];
+
+function formatCurrency(value) {
+  const amount = Number.parseFloat(value) || 0;
+  return `PHP ${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Format a receipt number, e.g. OR-03-000042
+ * @param {number} branchId - Branch the receipt belongs to
+ * @param {number} sequence - Sequence number within the branch
+ * @returns {string} - Receipt number
+ */
+function formatReceiptNumber(branchId, sequence) {
+  return `OR-${String(branchId).padStart(2, '0')}-${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Give an order its receipt number, or return the one it already has
+ * Must run inside withTransaction so the order lock and the sequence bump commit together.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} orderId - Order ID
+ * @param {number} branchId - Branch issuing the receipt
+ * @returns {Object} - The order row with receipt_number set
+ */
+async function assignReceiptNumber(client, orderId, branchId) {
+  const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  const order = rows[0];
+
+  if (!order || order.receipt_number) {
+    return order || null;
+  }
+
+  const { rows: sequenceRows } = await client.query(
+    `INSERT INTO branch_receipt_sequences (branch_id, last_number)
+     VALUES ($1, 1)
+     ON CONFLICT (branch_id)
+     DO UPDATE SET last_number = branch_receipt_sequences.last_number + 1, updated_at = now()
+     RETURNING last_number`,
+    [branchId]
+  );
+  const sequence = sequenceRows[0].last_number;
+
+  const { rows: updatedRows } = await client.query(
+    `UPDATE orders
+        SET receipt_number = $1, receipt_branch_id = $2, receipt_sequence = $3, receipt_issued_at = now()
+      WHERE id = $4
+      RETURNING *`,
+    [formatReceiptNumber(branchId, sequence), branchId, sequence, orderId]
+  );
+  return updatedRows[0];
+}
+
+function describeItemOptions(item) {
+  const options = [];
+  const details = item.singleOrderDetails || {};
+
+  if (item.trophyDetails?.size) options.push(`Size: ${item.trophyDetails.size}`);
+  if (item.jerseyType && !item.isTeamOrder) options.push(`Type: ${item.jerseyType}`);
+  if (!item.isTeamOrder) {
+    const size = details.jerseySize || details.size || item.size;
+    if (size) options.push(`Size: ${size}`);
+    if (details.shortsSize) options.push(`Shorts: ${details.shortsSize}`);
+    if (details.surname || details.teamName) options.push(`Name: ${details.surname || details.teamName}`);
+    if (details.number || details.jerseyNo) options.push(`No. ${details.number || details.jerseyNo}`);
+  }
+  if (item.fabricOption) options.push(`Fabric: ${item.fabricOption}`);
+  if (item.cutType) options.push(`Cut: ${item.cutType}`);
+  if (item.sizeType === 'kids') options.push('Kids');
+
+  return options.join(' | ');
+}
+
+function describeSurcharges(breakdown) {
+  if (!breakdown) return null;
+  const parts = [
+    ['Fabric', breakdown.fabricSurcharge],
+    ['Cut type', breakdown.cutTypeSurcharge],
+    ['Size', breakdown.sizeSurcharge]
+  ].filter(([, amount]) => Number.parseFloat(amount) > 0);
+
+  if (parts.length === 0) return null;
+  return `Surcharges: ${parts.map(([label, amount]) => `${label} +${formatCurrency(amount)}`).join(', ')}`;
+}
+
+/**
+ * Build the table rows for the invoice: one row per line item plus one per team member
+ * @param {Array} orderItems - orders.order_items
+ * @returns {Array} - autoTable body rows
+ */
+function buildInvoiceRows(orderItems = []) {
+  const rows = [];
+
+  orderItems.forEach(item => {
+    const quantity = Math.max(1, parseInt(item.quantity, 10) || 1);
+    const unitPrice = Number.parseFloat(item.price) || 0;
+    const descriptionLines = [item.name || 'Item'];
+    const options = describeItemOptions(item);
+    const surcharges = describeSurcharges(item.priceBreakdown);
+
+    if (item.category) descriptionLines[0] += ` (${item.category})`;
+    if (options) descriptionLines.push(options);
+    if (surcharges) descriptionLines.push(surcharges);
+
+    rows.push([descriptionLines.join('\n'), String(quantity), formatCurrency(unitPrice), formatCurrency(unitPrice * quantity)]);
+
+    const members = Array.isArray(item.teamMembers) ? item.teamMembers : [];
+    if (item.isTeamOrder && members.length > 0) {
+      const memberPrices = item.priceBreakdown?.members || [];
+      members.forEach((member, index) => {
+        const size = member.jerseySize || member.size || '';
+        const parts = [
+          member.surname || member.name || `Member ${index + 1}`,
+          member.number || member.jerseyNo || member.jerseyNumber ? `#${member.number || member.jerseyNo || member.jerseyNumber}` : null,
+          size ? `Size ${size}` : null,
+          member.shortsSize ? `Shorts ${member.shortsSize}` : null,
+          member.sizingType === 'kids' ? 'Kids' : null
+        ].filter(Boolean);
+        const memberPrice = memberPrices[index]?.totalPrice;
+
+        rows.push([
+          { content: `    - ${parts.join(' | ')}`, styles: { textColor: [100, 116, 139], fontSize: 8 } },
+          { content: '', styles: { fontSize: 8 } },
+          { content: memberPrice !== undefined ? formatCurrency(memberPrice) : '', styles: { textColor: [100, 116, 139], fontSize: 8 } },
+          { content: '', styles: { fontSize: 8 } }
+        ]);
+      });
+    }
+  });
+
+  return rows;
+}
+
+function formatAddress(address) {
+  if (!address || typeof address !== 'object') return null;
+  return [address.streetAddress || address.address, address.barangay, address.city, address.province, address.postalCode]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Render the invoice PDF
+ * @param {Object} order - Order row (with receipt_number)
+ * @param {Object} context - { branch: branches row, customer: { name, email } }
+ * @returns {Buffer} - PDF file contents
+ */
+function renderInvoicePdf(order, { branch = null, customer = {} } = {}) {
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const margin = 40;
+
+  // Header band
+  doc.setFillColor(...BRAND_COLOR);
+  doc.rect(0, 0, pageWidth, 80, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(22);
+  doc.text(COMPANY_NAME, margin, 42);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(COMPANY_TAGLINE, margin, 60);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text('INVOICE / OFFICIAL RECEIPT', pageWidth - margin, 42, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(order.receipt_number || '', pageWidth - margin, 60, { align: 'right' });
+
+  // Branch and order details
+  doc.setTextColor(30, 41, 59);
+  let y = 110;
+  const branchLines = [
+    branch?.name || order.pickup_location || 'Yohanns',
+    [branch?.address, branch?.city].filter(Boolean).join(', '),
+    [branch?.phone, branch?.email].filter(Boolean).join(' | ')
+  ].filter(Boolean);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Issued by', margin, y);
+  doc.setFont('helvetica', 'normal');
+  branchLines.forEach((line, index) => doc.text(line, margin, y + 14 * (index + 1)));
+
+  const detailLines = [
+    ['Receipt No.', order.receipt_number || '-'],
+    ['Order No.', order.order_number || '-'],
+    ['Order Date', new Date(order.created_at).toLocaleDateString('en-PH', { year: 'numeric', month: 'long', day: 'numeric' })],
+    ['Issued', new Date(order.receipt_issued_at || Date.now()).toLocaleDateString('en-PH', { year: 'numeric', month: 'long', day: 'numeric' })],
+    ['Shipping', order.shipping_method === 'cod' ? 'Cash on Delivery' : 'Pickup']
+  ];
+  detailLines.forEach(([label, value], index) => {
+    doc.setFont('helvetica', 'bold');
+    doc.text(label, pageWidth - 230, y + 14 * index);
+    doc.setFont('helvetica', 'normal');
+    doc.text(String(value), pageWidth - margin, y + 14 * index, { align: 'right' });
+  });
+
+  y += 14 * Math.max(branchLines.length + 1, detailLines.length) + 16;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Billed to', margin, y);
+  doc.setFont('helvetica', 'normal');
+  const customerLines = [
+    customer.name || order.delivery_address?.receiver,
+    customer.email,
+    order.delivery_address?.phone,
+    order.shipping_method === 'cod' ? formatAddress(order.delivery_address) : null
+  ].filter(Boolean);
+  customerLines.forEach((line, index) => {
+    doc.text(doc.splitTextToSize(line, pageWidth - margin * 2), margin, y + 14 * (index + 1));
+  });
+  y += 14 * (customerLines.length + 1) + 10;
+
+  const orderItems = Array.isArray(order.order_items) ? order.order_items : [];
+  autoTable(doc, {
+    startY: y,
+    margin: { left: margin, right: margin },
+    head: [['Description', 'Qty', 'Unit Price', 'Amount']],
+    body: buildInvoiceRows(orderItems),
+    headStyles: { fillColor: BRAND_COLOR, textColor: 255, fontStyle: 'bold' },
+    styles: { fontSize: 9, cellPadding: 5, valign: 'top' },
+    columnStyles: {
+      1: { halign: 'center', cellWidth: 40 },
+      2: { halign: 'right', cellWidth: 90 },
+      3: { halign: 'right', cellWidth: 90 }
+    }
+  });
+
+  // Totals
+  const totals = [
+    ['Subtotal', formatCurrency(order.subtotal_amount)],
+    ['Shipping Fee', formatCurrency(order.shipping_cost)]
+  ];
+  if (Number.parseFloat(order.discount_amount) > 0) {
+    totals.push([`Discount${order.promo_code ? ` (${order.promo_code})` : ''}`, `-${formatCurrency(order.discount_amount)}`]);
+  }
+  totals.push(['Total', formatCurrency(order.total_amount)]);
+
+  y = doc.lastAutoTable.finalY + 20;
+  totals.forEach(([label, value], index) => {
+    const isGrandTotal = index === totals.length - 1;
+    doc.setFont('helvetica', isGrandTotal ? 'bold' : 'normal');
+    doc.setFontSize(isGrandTotal ? 12 : 10);
+    doc.text(label, pageWidth - 230, y);
+    doc.text(value, pageWidth - margin, y, { align: 'right' });
+    y += isGrandTotal ? 20 : 16;
+  });
+
+  // Footer
+  const pageHeight = doc.internal.pageSize.getHeight();
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(100, 116, 139);
+  doc.text('Thank you for choosing Yohanns!', pageWidth / 2, pageHeight - 40, { align: 'center' });
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+module.exports = {
+  formatReceiptNumber,
+  assignReceiptNumber,
+  buildInvoiceRows,
+  renderInvoicePdf
+};
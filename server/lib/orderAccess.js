@@ -0,0 +1,150 @@
+// Ownership checks for routes that act on one order or chat room: customers only reach their
+// own, artists only orders they have a task on, admins only their branch, owners everything.
+// Failures throw an Error with statusCode 403 like ensureOrderAccess does.
+const { supabase } = require('./db');
+const { resolveAdminBranchContext, orderMatchesBranch, ensureOrderAccess } = require('./branches');
+
+function accessDenied(message) {
+  const error = new Error(message);
+  error.statusCode = 403;
+  return error;
+}
+
+/**
+ * artist_profiles.id for a user (artist tasks and chat rooms reference the profile, not the user)
+ * @param {string} userId - Auth user ID
+ * @returns {string|null} - Profile ID, or null when the user has no artist profile
+ */
+async function findArtistProfileId(userId) {
+  const { data, error } = await supabase
+    .from('artist_profiles')
+    .select('id')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load artist profile: ${error.message}`);
+  }
+  return data?.id || null;
+}
+
+/**
+ * Whether the artist has a task on the order
+ * @param {string} orderId - Order ID
+ * @param {string} userId - Artist's auth user ID
+ * @returns {boolean} - True when assigned
+ */
+async function isAssignedArtist(orderId, userId) {
+  const profileId = await findArtistProfileId(userId);
+  if (!profileId) {
+    return false;
+  }
+
+  const { data, error } = await supabase
+    .from('artist_tasks')
+    .select('id')
+    .eq('order_id', orderId)
+    .eq('artist_id', profileId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to load artist tasks: ${error.message}`);
+  }
+  return (data || []).length > 0;
+}
+
+/**
+ * Throw a 403 unless the user may act on the order
+ * @param {Object} user - req.user
+ * @param {Object} order - Order row (id, user_id, pickup_location, pickup_branch_id)
+ */
+async function ensureUserCanAccessOrder(user, order) {
+  if (user.role === 'owner') {
+    return;
+  }
+  if (user.role === 'admin') {
+    ensureOrderAccess(order, await resolveAdminBranchContext(user));
+    return;
+  }
+  if (user.role === 'artist') {
+    if (!(await isAssignedArtist(order.id, user.id))) {
+      throw accessDenied('This order is not assigned to you');
+    }
+    return;
+  }
+  if (order.user_id !== user.id) {
+    throw accessDenied('Access denied. You can only access your own orders.');
+  }
+}
+
+/**
+ * Throw a 403 unless the user is a participant of the design chat room (or staff over its order)
+ * @param {Object} user - req.user
+ * @param {Object} room - design_chat_rooms row (customer_id, artist_id, order_id)
+ */
+async function ensureUserCanAccessChatRoom(user, room) {
+  if (user.role === 'owner') {
+    return;
+  }
+  if (user.role === 'admin') {
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('id, pickup_location, pickup_branch_id')
+      .eq('id', room.order_id)
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load order: ${error.message}`);
+    }
+    ensureOrderAccess(order || {}, await resolveAdminBranchContext(user));
+    return;
+  }
+  if (user.role === 'artist') {
+    if (!room.artist_id || room.artist_id !== await findArtistProfileId(user.id)) {
+      throw accessDenied('Access denied. This chat room is not assigned to you.');
+    }
+    return;
+  }
+  if (room.customer_id !== user.id) {
+    throw accessDenied('Access denied. You can only use chat rooms for your own orders.');
+  }
+}
+
+/**
+ * Keep the design chat rooms the user takes part in (or, for admins, whose order is in their branch)
+ * @param {Object} user - req.user
+ * @param {Object[]} rooms - design_chat_rooms rows
+ * @returns {Object[]} - Rooms the user may see
+ */
+async function filterAccessibleChatRooms(user, rooms) {
+  if (user.role === 'owner') {
+    return rooms;
+  }
+  if (user.role === 'admin') {
+    const orderIds = [...new Set(rooms.map(room => room.order_id).filter(Boolean))];
+    if (orderIds.length === 0) {
+      return [];
+    }
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select('id, pickup_location, pickup_branch_id')
+      .in('id', orderIds);
+    if (error) {
+      throw new Error(`Failed to load orders: ${error.message}`);
+    }
+    const branchContext = await resolveAdminBranchContext(user);
+    const visible = new Set((orders || []).filter(order => orderMatchesBranch(order, branchContext)).map(order => order.id));
+    return rooms.filter(room => visible.has(room.order_id));
+  }
+  if (user.role === 'artist') {
+    const profileId = await findArtistProfileId(user.id);
+    return profileId ? rooms.filter(room => room.artist_id === profileId) : [];
+  }
+  return rooms.filter(room => room.customer_id === user.id);
+}
+
+module.exports = {
+  findArtistProfileId,
+  ensureUserCanAccessOrder,
+  ensureUserCanAccessChatRoom,
+  filterAccessibleChatRooms
+};
@@ -0,0 +1,371 @@
+// Split orders: an order handed over in parts (order_shipments).
+// An admin splits the order's lines into parts, typically in-stock balls / trophies released
+// now and made-to-order apparel once production is done. Each part moves
+// pending -> ready -> picked_up_delivered on its own and gets its own delivery proof.
+// Sales and sold_quantity are counted per part when it is handed over (sales_recorded_at), each
+// part carrying its share of the order total; when the order itself reaches picked_up_delivered
+// only what no part has counted yet is added.
+
+const { roundCurrency } = require('./pricing');
+const { isStockedItem } = require('./inventory');
+const { assertDownpaymentForStatus } = require('./payments');
+const { assignPickupCode, pickupCodeMatches } = require('./pickupSlots');
+
+const SHIPMENT_STATUS = {
+  PENDING: 'pending',
+  READY: 'ready',
+  PICKED_UP_DELIVERED: 'picked_up_delivered'
+};
+
+const SHIPMENT_TRANSITIONS = {
+  [SHIPMENT_STATUS.PENDING]: [SHIPMENT_STATUS.READY],
+  [SHIPMENT_STATUS.READY]: [SHIPMENT_STATUS.PENDING, SHIPMENT_STATUS.PICKED_UP_DELIVERED],
+  [SHIPMENT_STATUS.PICKED_UP_DELIVERED]: []
+};
+
+// Orders past these can no longer be split or have parts moved
+const CLOSED_ORDER_STATUSES = ['picked_up_delivered', 'cancelled', 'refunded'];
+
+const MAX_PROOF_PHOTOS = 5;
+
+class ShipmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ShipmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+function orderLines(order) {
+  return Array.isArray(order?.order_items) ? order.order_items : [];
+}
+
+function lineAmount(item) {
+  return roundCurrency((Number.parseFloat(item.price) || 0) * (parseInt(item.quantity, 10) || 1));
+}
+
+/**
+ * Default split for an order that mixes stock and made-to-order lines
+ * @param {Object} order - Order row (order_items)
+ * @returns {Object[]|null} - [{ label, lines }] or null when every line is the same kind
+ */
+function suggestSplit(order) {
+  const stocked = [];
+  const madeToOrder = [];
+  orderLines(order).forEach((item, index) => {
+    (isStockedItem(item) ? stocked : madeToOrder).push(index);
+  });
+  if (stocked.length === 0 || madeToOrder.length === 0) {
+    return null;
+  }
+  return [
+    { label: 'In-stock items', lines: stocked },
+    { label: 'Made-to-order items', lines: madeToOrder }
+  ];
+}
+
+/**
+ * Share the order total (after any promo discount, with shipping) across parts in proportion to
+ * their lines, so the parts add up to exactly what the order sells for. The last part takes the
+ * rounding remainder.
+ * @param {Object} order - Order row (total_amount)
+ * @param {Object[]} parts - [{ items }]
+ * @returns {number[]} - Amount of each part
+ */
+function shareOrderTotal(order, parts) {
+  const total = roundCurrency(Number.parseFloat(order.total_amount) || 0);
+  const gross = parts.map(part => roundCurrency(part.items.reduce((sum, item) => sum + lineAmount(item), 0)));
+  const grossTotal = gross.reduce((sum, amount) => sum + amount, 0);
+
+  let allocated = 0;
+  return gross.map((amount, index) => {
+    if (index === gross.length - 1) {
+      return roundCurrency(total - allocated);
+    }
+    const share = grossTotal > 0 ? roundCurrency(total * amount / grossTotal) : 0;
+    allocated = roundCurrency(allocated + share);
+    return share;
+  });
+}
+
+/**
+ * Check a requested split and build the parts. Every order line goes to exactly one part.
+ * @param {Object} order - Order row (order_items, total_amount)
+ * @param {Object[]} parts - [{ label, lines }] where lines are indexes into order_items
+ * @returns {Object[]} - [{ label, items, amount }]
+ */
+function buildShipmentParts(order, parts) {
+  const items = orderLines(order);
+  if (!Array.isArray(parts) || parts.length < 2) {
+    throw new ShipmentError('Split the order into at least two parts');
+  }
+
+  const assigned = new Set();
+  const built = parts.map((part, partIndex) => {
+    const lines = Array.isArray(part?.lines) ? part.lines.map(line => parseInt(line, 10)) : [];
+    if (lines.length === 0) {
+      throw new ShipmentError(`Part ${partIndex + 1} has no items`);
+    }
+    lines.forEach(line => {
+      if (!Number.isInteger(line) || line < 0 || line >= items.length) {
+        throw new ShipmentError(`Part ${partIndex + 1} has an unknown item`);
+      }
+      if (assigned.has(line)) {
+        throw new ShipmentError(`${items[line].name || 'An item'} is in more than one part`);
+      }
+      assigned.add(line);
+    });
+
+    const partItems = lines.sort((a, b) => a - b).map(line => ({ ...items[line], line }));
+    return {
+      label: (part.label || '').trim() || `Part ${partIndex + 1}`,
+      items: partItems
+    };
+  });
+
+  if (assigned.size !== items.length) {
+    throw new ShipmentError('Every item of the order must be in one of the parts');
+  }
+  const amounts = shareOrderTotal(order, built);
+  return built.map((part, index) => ({ ...part, amount: amounts[index] }));
+}
+
+/**
+ * Parts of an order, in part order
+ * @param {Object} client - pg client
+ * @param {string} orderId - Order ID
+ * @param {Object} options - { forUpdate }
+ * @returns {Object[]} - order_shipments rows
+ */
+async function listOrderShipments(client, orderId, { forUpdate = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM order_shipments WHERE order_id = $1 ORDER BY part_number${forUpdate ? ' FOR UPDATE' : ''}`,
+    [orderId]
+  );
+  return rows;
+}
+
+async function lockOrder(client, orderId) {
+  const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  if (!rows[0]) {
+    throw new ShipmentError('Order not found', 404);
+  }
+  return rows[0];
+}
+
+/**
+ * Split an order into parts. Must run inside withTransaction.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} orderId - Order ID
+ * @param {Object[]} parts - [{ label, lines }]
+ * @param {string} createdBy - Admin splitting the order
+ * @returns {Object[]} - Created order_shipments rows
+ */
+async function splitOrder(client, orderId, parts, createdBy = null) {
+  const order = await lockOrder(client, orderId);
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+    throw new ShipmentError(`Order ${order.order_number} is already ${order.status.replace(/_/g, ' ')}`);
+  }
+  if ((await listOrderShipments(client, orderId)).length > 0) {
+    throw new ShipmentError(`Order ${order.order_number} is already split`, 409);
+  }
+
+  const shipments = [];
+  for (const [index, part] of buildShipmentParts(order, parts).entries()) {
+    const { rows } = await client.query(
+      `INSERT INTO order_shipments (order_id, part_number, label, items, amount, created_by)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6)
+       RETURNING *`,
+      [orderId, index + 1, part.label, JSON.stringify(part.items), part.amount, createdBy]
+    );
+    shipments.push(rows[0]);
+  }
+  return shipments;
+}
+
+/**
+ * Undo a split while none of its parts has been released
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} orderId - Order ID
+ */
+async function removeOrderSplit(client, orderId) {
+  await lockOrder(client, orderId);
+  const shipments = await listOrderShipments(client, orderId, { forUpdate: true });
+  if (shipments.length === 0) {
+    throw new ShipmentError('This order is not split', 404);
+  }
+  if (shipments.some(shipment => shipment.status !== SHIPMENT_STATUS.PENDING)) {
+    throw new ShipmentError('Parts already released can\'t be merged back', 409);
+  }
+  await client.query('DELETE FROM order_shipments WHERE order_id = $1', [orderId]);
+}
+
+// Stock parts can leave as soon as the order is confirmed (and any downpayment is in);
+// a part with made-to-order items waits for the order to be packed
+function assertPartCanBeReleased(order, shipment) {
+  if (['pending', ...CLOSED_ORDER_STATUSES].includes(order.status)) {
+    throw new ShipmentError(`Confirm order ${order.order_number} before releasing any part`);
+  }
+  const items = Array.isArray(shipment.items) ? shipment.items : [];
+  if (items.some(item => !isStockedItem(item)) && order.status !== 'packing_completing') {
+    throw new ShipmentError(`${shipment.label} has made-to-order items; it is ready once the order is packed`);
+  }
+  assertDownpaymentForStatus(order, 'packing_completing');
+}
+
+/**
+ * Move one part to its next status. A handed-over part needs the pickup code (pickup orders) or
+ * proof photos (COD); its delivery_proof row is created and its sales are marked as counted.
+ * Must run inside withTransaction.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} orderId - Order ID
+ * @param {string} shipmentId - Part ID
+ * @param {string} nextStatus - Status to move the part to
+ * @param {Object} options - { actorId, pickupCode, proofImages, deliveryPersonName, deliveryPersonContact, notes }
+ * @returns {Object} - { shipment, order, allHandedOver }
+ */
+async function updateShipmentStatus(client, orderId, shipmentId, nextStatus, {
+  actorId = null,
+  pickupCode = null,
+  proofImages = [],
+  deliveryPersonName = null,
+  deliveryPersonContact = null,
+  notes = null
+} = {}) {
+  let order = await lockOrder(client, orderId);
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+    throw new ShipmentError(`Order ${order.order_number} is already ${order.status.replace(/_/g, ' ')}`);
+  }
+
+  const shipments = await listOrderShipments(client, orderId, { forUpdate: true });
+  const shipment = shipments.find(candidate => candidate.id === shipmentId);
+  if (!shipment) {
+    throw new ShipmentError('Part not found on this order', 404);
+  }
+  if (!(SHIPMENT_TRANSITIONS[shipment.status] || []).includes(nextStatus)) {
+    throw new ShipmentError(`${shipment.label} can't go from ${shipment.status.replace(/_/g, ' ')} to ${String(nextStatus).replace(/_/g, ' ')}`);
+  }
+
+  let proofId = null;
+  if (nextStatus === SHIPMENT_STATUS.READY) {
+    assertPartCanBeReleased(order, shipment);
+    // The same pickup code covers every part of the order
+    if (order.shipping_method === 'pickup') {
+      order = await assignPickupCode(client, orderId);
+    }
+  } else if (nextStatus === SHIPMENT_STATUS.PICKED_UP_DELIVERED) {
+    if (order.shipping_method === 'pickup' && order.pickup_code && !pickupCodeMatches(order, pickupCode)) {
+      throw new ShipmentError(pickupCode ? 'Pickup code does not match this order' : 'Enter the pickup code the customer received to hand over this part');
+    }
+    if (order.shipping_method === 'cod' && proofImages.length === 0) {
+      throw new ShipmentError('Attach at least one proof of delivery photo');
+    }
+    if (proofImages.length > 0) {
+      const { rows } = await client.query(
+        `INSERT INTO delivery_proof (order_id, shipment_id, delivery_person_name, delivery_person_contact, proof_images, delivery_notes)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [orderId, shipment.id, deliveryPersonName, deliveryPersonContact, proofImages, notes]
+      );
+      proofId = rows[0].id;
+    }
+  }
+
+  const handingOver = nextStatus === SHIPMENT_STATUS.PICKED_UP_DELIVERED;
+  const { rows } = await client.query(
+    `UPDATE order_shipments
+        SET status = $1,
+            ready_at = CASE WHEN $1 = 'ready' THEN now() ELSE ready_at END,
+            completed_at = CASE WHEN $2 THEN now() ELSE NULL END,
+            completed_by = CASE WHEN $2 THEN $3::uuid ELSE NULL END,
+            sales_recorded_at = CASE WHEN $2 THEN now() ELSE sales_recorded_at END,
+            updated_at = now()
+      WHERE id = $4
+      RETURNING *`,
+    [nextStatus, handingOver, actorId, shipment.id]
+  );
+
+  const updated = rows[0];
+  const allHandedOver = shipments.every(candidate =>
+    (candidate.id === updated.id ? updated.status : candidate.status) === SHIPMENT_STATUS.PICKED_UP_DELIVERED
+  );
+  return { shipment: { ...updated, delivery_proof_id: proofId }, order, allHandedOver };
+}
+
+/**
+ * Parts still waiting to be released; a split order can't be closed while there are any
+ * @param {Object} client - pg client
+ * @param {string} orderId - Order ID
+ * @returns {Object[]} - Pending order_shipments rows
+ */
+async function listPendingShipments(client, orderId) {
+  const { rows } = await client.query(
+    'SELECT * FROM order_shipments WHERE order_id = $1 AND status = $2 ORDER BY part_number',
+    [orderId, SHIPMENT_STATUS.PENDING]
+  );
+  return rows;
+}
+
+/**
+ * When a split order is marked picked_up_delivered: hand over the parts that were ready and
+ * claim the sales no part has counted yet. Must run inside withTransaction.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} orderId - Order ID
+ * @param {string} actorId - Admin closing the order
+ * @returns {Object} - { split, recordedAmount, items }: the amount parts already counted and the
+ *   lines still to count
+ */
+async function completeOrderShipments(client, orderId, actorId = null) {
+  const shipments = await listOrderShipments(client, orderId, { forUpdate: true });
+  if (shipments.length === 0) {
+    return { split: false, recordedAmount: 0, items: [] };
+  }
+
+  const recorded = shipments.filter(shipment => shipment.sales_recorded_at);
+  const { rows: claimed } = await client.query(
+    `UPDATE order_shipments
+        SET status = $1,
+            completed_at = COALESCE(completed_at, now()),
+            completed_by = COALESCE(completed_by, $2::uuid),
+            sales_recorded_at = now(),
+            updated_at = now()
+      WHERE order_id = $3 AND sales_recorded_at IS NULL
+      RETURNING *`,
+    [SHIPMENT_STATUS.PICKED_UP_DELIVERED, actorId, orderId]
+  );
+
+  return {
+    split: true,
+    recordedAmount: roundCurrency(recorded.reduce((total, shipment) => total + roundCurrency(shipment.amount), 0)),
+    items: claimed.flatMap(shipment => shipment.items || [])
+  };
+}
+
+/**
+ * Sales already counted by handed-over parts (subtracted again if the order is cancelled)
+ * @param {Object} client - pg client
+ * @param {string} orderId - Order ID
+ * @returns {number} - Amount
+ */
+async function recordedShipmentSales(client, orderId) {
+  const { rows } = await client.query(
+    'SELECT COALESCE(SUM(amount), 0) AS amount FROM order_shipments WHERE order_id = $1 AND sales_recorded_at IS NOT NULL',
+    [orderId]
+  );
+  return roundCurrency(rows[0].amount);
+}
+
+module.exports = {
+  SHIPMENT_STATUS,
+  MAX_PROOF_PHOTOS,
+  ShipmentError,
+  suggestSplit,
+  buildShipmentParts,
+  listOrderShipments,
+  splitOrder,
+  removeOrderSplit,
+  updateShipmentStatus,
+  listPendingShipments,
+  completeOrderShipments,
+  recordedShipmentSales
+};
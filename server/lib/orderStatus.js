@@ -0,0 +1,273 @@
+// Order state machine: which role may move an order from one status to the next, and under
+// which conditions. Every route that changes orders.status goes through transitionOrderStatus,
+// which checks the edge against ORDER_TRANSITIONS and writes the change to order_status_history.
+const { assertDownpaymentForStatus } = require('./payments');
+const { roundCurrency } = require('./pricing');
+const { pickupCodeMatches } = require('./pickupSlots');
+const { listPendingShipments } = require('./orderShipments');
+
+const ORDER_STATUSES = [
+  'pending', 'confirmed', 'layout', 'sizing', 'printing', 'press', 'prod',
+  'packing_completing', 'picked_up_delivered', 'cancelled', 'refunded'
+];
+
+const STAFF_ROLES = ['admin', 'owner'];
+
+// Where a transition was requested from; stored on each history row
+const TRANSITION_SOURCES = {
+  STATUS_UPDATE: 'status_update',
+  DESIGN_REVIEW: 'design_review',
+  PROOF_APPROVAL: 'proof_approval',
+  ORDER_TRACKING: 'order_tracking',
+  AFTER_SALES: 'after_sales'
+};
+
+class OrderTransitionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Conditions an edge can require. Each one throws when the order can't take the edge.
+const GUARDS = {
+  // Made-to-order work can't go past 'confirmed' until the downpayment is recorded (throws PaymentError)
+  downpaymentRecorded: (order, { nextStatus }) => {
+    assertDownpaymentForStatus(order, nextStatus);
+  },
+
+  designFilesUploaded: (order) => {
+    if (!Array.isArray(order.design_files) || order.design_files.length === 0) {
+      throw new OrderTransitionError('Design files must be uploaded before moving to sizing status');
+    }
+  },
+
+  // Artists can only move orders they have a task on
+  assignedArtist: async (order, { client, actor }) => {
+    const { rows } = await client.query(
+      `SELECT 1
+         FROM artist_tasks t
+         JOIN artist_profiles p ON p.id = t.artist_id
+        WHERE t.order_id = $1 AND p.user_id = $2
+        LIMIT 1`,
+      [order.id, actor.id]
+    );
+    if (rows.length === 0) {
+      throw new OrderTransitionError('This order is not assigned to you', 403);
+    }
+  },
+
+  // Admins only release a layout to sizing by approving the artist's submission
+  designReviewApproval: (order, { source }) => {
+    if (source !== TRANSITION_SOURCES.DESIGN_REVIEW) {
+      throw new OrderTransitionError('Only artists can move orders to sizing status. Approve the design review instead.', 403);
+    }
+  },
+
+  // Once proofs exist (lib/designProofs) the customer has to approve the latest version.
+  // Orders whose designs were uploaded before proofs existed have none and are not held back.
+  latestProofApproved: async (order, { client }) => {
+    const { rows } = await client.query(
+      'SELECT version, status FROM design_proofs WHERE order_id = $1 ORDER BY version DESC LIMIT 1',
+      [order.id]
+    );
+    const latest = rows[0];
+    if (latest && latest.status !== 'approved') {
+      throw new OrderTransitionError(`Waiting for the customer to approve design proof v${latest.version}`);
+    }
+  },
+
+  // Customers only move an order by approving a proof from its review link
+  customerProofApproval: (order, { source }) => {
+    if (source !== TRANSITION_SOURCES.PROOF_APPROVAL) {
+      throw new OrderTransitionError('Approve the design from the proof link instead', 403);
+    }
+  },
+
+  orderOwner: (order, { actor }) => {
+    if (order.user_id !== actor.id) {
+      throw new OrderTransitionError('Customers can only cancel their own pending orders', 403);
+    }
+  },
+
+  // Pickup orders are handed over only to someone who has the code emailed when the order was
+  // packed. Orders packed before pickup codes existed have none and are not held back.
+  pickupCodeVerified: (order, { pickupCode }) => {
+    if (order.shipping_method !== 'pickup' || !order.pickup_code) {
+      return;
+    }
+    if (!pickupCode) {
+      throw new OrderTransitionError('Enter the pickup code the customer received to hand over this order');
+    }
+    if (!pickupCodeMatches(order, pickupCode)) {
+      throw new OrderTransitionError('Pickup code does not match this order');
+    }
+  },
+
+  // A split order is closed once every part has been released (lib/orderShipments);
+  // parts that are ready are handed over together with the order
+  shipmentsReleased: async (order, { client }) => {
+    const pending = await listPendingShipments(client, order.id);
+    if (pending.length > 0) {
+      throw new OrderTransitionError(`Release ${pending.map(shipment => shipment.label).join(', ')} before closing this order`);
+    }
+  },
+
+  fullyRefunded: (order) => {
+    if (roundCurrency(order.amount_paid) > 0) {
+      throw new OrderTransitionError('An order can only be marked refunded once everything paid has been refunded');
+    }
+  }
+};
+
+// Every allowed status change. An edge may appear more than once with different roles and guards.
+const ORDER_TRANSITIONS = [
+  { from: 'pending', to: 'confirmed', roles: STAFF_ROLES },
+  { from: 'pending', to: 'cancelled', roles: STAFF_ROLES },
+  { from: 'pending', to: 'cancelled', roles: ['customer'], guards: ['orderOwner'] },
+
+  // Apparel goes through the design stages; balls and trophies go straight to packing
+  { from: 'confirmed', to: 'layout', roles: STAFF_ROLES, guards: ['downpaymentRecorded'] },
+  { from: 'confirmed', to: 'packing_completing', roles: STAFF_ROLES, guards: ['downpaymentRecorded'] },
+  { from: 'layout', to: 'sizing', roles: ['artist'], guards: ['assignedArtist', 'designFilesUploaded', 'latestProofApproved', 'downpaymentRecorded'] },
+  { from: 'layout', to: 'sizing', roles: STAFF_ROLES, guards: ['designReviewApproval', 'latestProofApproved', 'downpaymentRecorded'] },
+  { from: 'layout', to: 'sizing', roles: ['customer'], guards: ['customerProofApproval', 'latestProofApproved', 'downpaymentRecorded'] },
+  { from: 'sizing', to: 'printing', roles: STAFF_ROLES, guards: ['downpaymentRecorded'] },
+  { from: 'printing', to: 'press', roles: STAFF_ROLES, guards: ['downpaymentRecorded'] },
+  { from: 'press', to: 'prod', roles: STAFF_ROLES, guards: ['downpaymentRecorded'] },
+  { from: 'prod', to: 'packing_completing', roles: STAFF_ROLES, guards: ['downpaymentRecorded'] },
+  { from: 'packing_completing', to: 'picked_up_delivered', roles: STAFF_ROLES, guards: ['downpaymentRecorded', 'pickupCodeVerified', 'shipmentsReleased'] },
+
+  // Going back one stage (sizing -> layout is a revision request)
+  { from: 'layout', to: 'confirmed', roles: STAFF_ROLES },
+  { from: 'sizing', to: 'layout', roles: STAFF_ROLES },
+  { from: 'printing', to: 'sizing', roles: STAFF_ROLES },
+  { from: 'press', to: 'printing', roles: STAFF_ROLES },
+  { from: 'prod', to: 'press', roles: STAFF_ROLES },
+  { from: 'packing_completing', to: 'prod', roles: STAFF_ROLES },
+  { from: 'packing_completing', to: 'confirmed', roles: STAFF_ROLES },
+
+  ...['confirmed', 'layout', 'sizing', 'printing', 'press', 'prod', 'packing_completing', 'picked_up_delivered']
+    .map(from => ({ from, to: 'cancelled', roles: STAFF_ROLES })),
+
+  { from: 'picked_up_delivered', to: 'refunded', roles: STAFF_ROLES, guards: ['fullyRefunded'] }
+];
+
+/**
+ * Role an actor takes on for a given order: staff and artists keep their role,
+ * everyone else is treated as a customer (GUARDS.orderOwner checks ownership)
+ * @param {Object} actor - { id, role } (req.user)
+ * @returns {string} - 'admin', 'owner', 'artist' or 'customer'
+ */
+function resolveActorRole(actor) {
+  return [...STAFF_ROLES, 'artist'].includes(actor?.role) ? actor.role : 'customer';
+}
+
+/**
+ * Statuses an actor could move the order to next, before guards are checked
+ * @param {Object} order - Order row (status)
+ * @param {Object} actor - { id, role }
+ * @returns {string[]} - Target statuses
+ */
+function getAllowedTransitions(order, actor) {
+  const role = resolveActorRole(actor);
+  return [...new Set(
+    ORDER_TRANSITIONS
+      .filter(edge => edge.from === order.status && edge.roles.includes(role))
+      .map(edge => edge.to)
+  )];
+}
+
+/**
+ * Check that the actor may move the order to nextStatus and that every guard on the edge passes.
+ * Throws OrderTransitionError (or PaymentError from the downpayment guard).
+ * @param {Object} client - pg client (used by guards that query)
+ * @param {Object} order - Current order row
+ * @param {string} nextStatus - Requested status
+ * @param {Object} context - { actor: { id, role }, source, pickupCode }
+ * @returns {Object} - The matching edge
+ */
+async function assertTransition(client, order, nextStatus, { actor, source = TRANSITION_SOURCES.STATUS_UPDATE, pickupCode = null }) {
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    throw new OrderTransitionError(`Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`);
+  }
+
+  const edges = ORDER_TRANSITIONS.filter(edge => edge.from === order.status && edge.to === nextStatus);
+  if (edges.length === 0) {
+    throw new OrderTransitionError(`Order cannot move from ${order.status} to ${nextStatus}`);
+  }
+
+  const role = resolveActorRole(actor);
+  const edge = edges.find(candidate => candidate.roles.includes(role));
+  if (!edge) {
+    const allowedRoles = [...new Set(edges.flatMap(candidate => candidate.roles))];
+    throw new OrderTransitionError(`Only ${allowedRoles.join(' or ')} can move orders from ${order.status} to ${nextStatus}`, 403);
+  }
+
+  for (const guard of edge.guards || []) {
+    await GUARDS[guard](order, { client, actor, source, nextStatus, pickupCode });
+  }
+  return edge;
+}
+
+/**
+ * Add a row to the order's status timeline
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} entry - { orderId, fromStatus, toStatus, actor, source, note }
+ * @returns {Object} - Inserted order_status_history row
+ */
+async function recordStatusHistory(client, { orderId, fromStatus, toStatus, actor = null, source = null, note = null }) {
+  const { rows } = await client.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, actor_id, actor_role, source, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [orderId, fromStatus, toStatus, actor?.id || null, actor ? resolveActorRole(actor) : null, source, note]
+  );
+  return rows[0];
+}
+
+/**
+ * Move an order to a new status. Must run inside withTransaction; the order row is locked
+ * so two concurrent updates can't both pass the checks against the same starting status.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} orderId - Order ID
+ * @param {string} nextStatus - Requested status
+ * @param {Object} options - { actor: { id, role }, source, note, pickupCode }
+ * @returns {Object} - { order, previousStatus, history }
+ */
+async function transitionOrderStatus(client, orderId, nextStatus, { actor, source = TRANSITION_SOURCES.STATUS_UPDATE, note = null, pickupCode = null }) {
+  const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  const current = rows[0];
+  if (!current) {
+    throw new OrderTransitionError('Order not found', 404);
+  }
+
+  await assertTransition(client, current, nextStatus, { actor, source, pickupCode });
+
+  const { rows: updatedRows } = await client.query(
+    'UPDATE orders SET status = $1, updated_at = now() WHERE id = $2 RETURNING *',
+    [nextStatus, orderId]
+  );
+  const history = await recordStatusHistory(client, {
+    orderId,
+    fromStatus: current.status,
+    toStatus: nextStatus,
+    actor,
+    source,
+    note
+  });
+
+  return { order: updatedRows[0], previousStatus: current.status, history };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  TRANSITION_SOURCES,
+  OrderTransitionError,
+  getAllowedTransitions,
+  assertTransition,
+  recordStatusHistory,
+  transitionOrderStatus
+};
@@ -0,0 +1,272 @@
+// Order payments: entries in order_payments plus the running totals kept on the order
+// (amount_paid, balance_due, payment_status). Custom and team orders are made to order,
+// so they need a downpayment before production can start. Transfers the customer pays
+// themselves come in as payment_proofs and only count once an admin approves them.
+
+const { roundCurrency } = require('./pricing');
+
+const PAYMENT_STATUS = {
+  UNPAID: 'unpaid',
+  PARTIALLY_PAID: 'partially_paid',
+  PAID: 'paid',
+  REFUNDED: 'refunded'
+};
+
+const PAYMENT_METHODS = ['cash', 'cod', 'bank_transfer', 'gcash'];
+
+const PAYMENT_KINDS = {
+  PAYMENT: 'payment',
+  REFUND: 'refund'
+};
+
+const PROOF_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Methods a customer can submit a proof of payment for
+const PROOF_METHODS = ['bank_transfer', 'gcash'];
+
+// Share of the order total required before a custom / team order goes into production
+const DOWNPAYMENT_PERCENT = 50;
+
+// Statuses after 'confirmed' that put an order into production
+const PRODUCTION_STATUSES = ['layout', 'sizing', 'printing', 'press', 'prod', 'packing_completing', 'picked_up_delivered'];
+
+class PaymentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether an order is made to order and needs a downpayment before production
+ * @param {Object} order - Order row (order_type, order_items)
+ * @returns {boolean} - True for custom design and team orders
+ */
+function requiresDownpayment(order) {
+  if (order?.order_type === 'custom_design') {
+    return true;
+  }
+  const items = Array.isArray(order?.order_items) ? order.order_items : [];
+  return items.some(item => item?.isTeamOrder || item?.product_type === 'custom_design');
+}
+
+/**
+ * Payment columns for a new order
+ * @param {Object} order - Order being created (order_type, order_items, total_amount)
+ * @returns {Object} - downpayment_percent, downpayment_required, amount_paid, balance_due, payment_status
+ */
+function initialPaymentFields(order) {
+  const total = roundCurrency(order.total_amount);
+  const percent = requiresDownpayment(order) ? DOWNPAYMENT_PERCENT : 0;
+  return {
+    downpayment_percent: percent,
+    downpayment_required: roundCurrency(total * percent / 100),
+    amount_paid: 0,
+    balance_due: total,
+    payment_status: PAYMENT_STATUS.UNPAID
+  };
+}
+
+/**
+ * Work out an order's payment totals from its entries
+ * @param {Object} order - Order row (total_amount)
+ * @param {Array} payments - order_payments rows
+ * @returns {Object} - { amountPaid, amountRefunded, balanceDue, paymentStatus }
+ */
+function summarizePayments(order, payments = []) {
+  const total = roundCurrency(order.total_amount);
+  let paid = 0;
+  let refunded = 0;
+
+  payments.forEach(payment => {
+    const amount = roundCurrency(payment.amount);
+    if (payment.kind === PAYMENT_KINDS.REFUND) {
+      refunded += amount;
+    } else {
+      paid += amount;
+    }
+  });
+
+  // A refund gives money back for goods the customer no longer pays for, so it lowers
+  // what was paid without putting that amount back on the balance
+  const amountPaid = roundCurrency(paid - refunded);
+  let paymentStatus = PAYMENT_STATUS.UNPAID;
+  if (refunded > 0 && amountPaid <= 0) {
+    paymentStatus = PAYMENT_STATUS.REFUNDED;
+  } else if (paid >= total && total > 0) {
+    paymentStatus = PAYMENT_STATUS.PAID;
+  } else if (amountPaid > 0) {
+    paymentStatus = PAYMENT_STATUS.PARTIALLY_PAID;
+  }
+
+  return {
+    amountPaid,
+    amountRefunded: roundCurrency(refunded),
+    balanceDue: roundCurrency(Math.max(0, total - paid)),
+    paymentStatus
+  };
+}
+
+/**
+ * Block production statuses until the downpayment is in
+ * @param {Object} order - Order row (downpayment_required, amount_paid)
+ * @param {string} nextStatus - Status the order is moving to
+ * @throws {PaymentError} - When the downpayment has not been recorded
+ */
+function assertDownpaymentForStatus(order, nextStatus) {
+  if (!PRODUCTION_STATUSES.includes(nextStatus)) {
+    return;
+  }
+  const required = roundCurrency(order.downpayment_required);
+  const paid = roundCurrency(order.amount_paid);
+  if (required > 0 && paid < required) {
+    throw new PaymentError(
+      `A downpayment of ₱${required.toLocaleString('en-US', { minimumFractionDigits: 2 })} is required before production can start ` +
+      `(₱${paid.toLocaleString('en-US', { minimumFractionDigits: 2 })} recorded)`,
+      409
+    );
+  }
+}
+
+/**
+ * Record a payment or refund and refresh the order's totals.
+ * Must run inside withTransaction; the order row is locked so concurrent entries add up.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} orderId - Order ID
+ * @param {Object} entry - { kind, amount, method, reference, notes, paidAt, recordedBy }
+ * @returns {Object} - { payment, order }
+ */
+async function recordPayment(client, orderId, { kind = PAYMENT_KINDS.PAYMENT, amount, method, reference = null, notes = null, paidAt = null, recordedBy = null }) {
+  const value = roundCurrency(amount);
+  if (!(value > 0)) {
+    throw new PaymentError('Amount must be greater than zero');
+  }
+  if (!Object.values(PAYMENT_KINDS).includes(kind)) {
+    throw new PaymentError('kind must be payment or refund');
+  }
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw new PaymentError(`method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+
+  const { rows: orderRows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  const order = orderRows[0];
+  if (!order) {
+    throw new PaymentError('Order not found', 404);
+  }
+  if (order.status === 'cancelled' && kind === PAYMENT_KINDS.PAYMENT) {
+    throw new PaymentError('Cannot record a payment on a cancelled order');
+  }
+
+  const { rows: existing } = await client.query('SELECT kind, amount FROM order_payments WHERE order_id = $1', [orderId]);
+  const before = summarizePayments(order, existing);
+  if (kind === PAYMENT_KINDS.PAYMENT && value > before.balanceDue) {
+    throw new PaymentError(`Amount exceeds the outstanding balance of ₱${before.balanceDue.toFixed(2)}`);
+  }
+  if (kind === PAYMENT_KINDS.REFUND && value > before.amountPaid) {
+    throw new PaymentError(`Refund exceeds the ₱${before.amountPaid.toFixed(2)} paid on this order`);
+  }
+
+  const { rows: paymentRows } = await client.query(
+    `INSERT INTO order_payments (order_id, kind, amount, method, reference, notes, recorded_by, paid_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::timestamptz, now()))
+     RETURNING *`,
+    [orderId, kind, value, method, reference, notes, recordedBy, paidAt]
+  );
+
+  const summary = summarizePayments(order, [...existing, paymentRows[0]]);
+  const { rows: updatedRows } = await client.query(
+    `UPDATE orders
+        SET amount_paid = $1, balance_due = $2, payment_status = $3, amount_refunded = $4, updated_at = now()
+      WHERE id = $5
+      RETURNING *`,
+    [summary.amountPaid, summary.balanceDue, summary.paymentStatus, summary.amountRefunded, orderId]
+  );
+
+  return { payment: paymentRows[0], order: updatedRows[0] };
+}
+
+/**
+ * Check a customer's proof of payment before it is uploaded
+ * @param {Object} order - Order row (status, balance_due, total_amount)
+ * @param {Object} proof - { amount, method }
+ * @returns {Object} - { amount, method } with the amount rounded
+ * @throws {PaymentError} - When the proof cannot be accepted for this order
+ */
+function validateProofSubmission(order, { amount, method }) {
+  const value = roundCurrency(amount);
+  if (!(value > 0)) {
+    throw new PaymentError('Amount must be greater than zero');
+  }
+  if (!PROOF_METHODS.includes(method)) {
+    throw new PaymentError(`method must be one of: ${PROOF_METHODS.join(', ')}`);
+  }
+  if (order.status === 'cancelled') {
+    throw new PaymentError('Cannot submit a payment for a cancelled order');
+  }
+  const balanceDue = roundCurrency(order.balance_due ?? order.total_amount);
+  if (value > balanceDue) {
+    throw new PaymentError(`Amount exceeds the outstanding balance of ₱${balanceDue.toFixed(2)}`);
+  }
+  return { amount: value, method };
+}
+
+/**
+ * Approve a pending proof of payment: record it as a payment and link the entry.
+ * Must run inside withTransaction; the proof row is locked so it can only be approved once.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} proofId - payment_proofs ID
+ * @param {string} reviewedBy - User ID of the approving admin
+ * @returns {Object} - { proof, payment, order }
+ */
+async function approvePaymentProof(client, proofId, reviewedBy) {
+  const { rows: proofRows } = await client.query('SELECT * FROM payment_proofs WHERE id = $1 FOR UPDATE', [proofId]);
+  const proof = proofRows[0];
+  if (!proof) {
+    throw new PaymentError('Proof of payment not found', 404);
+  }
+  if (proof.status !== PROOF_STATUS.PENDING) {
+    throw new PaymentError(`This proof of payment was already ${proof.status}`, 409);
+  }
+
+  const { payment, order } = await recordPayment(client, proof.order_id, {
+    kind: PAYMENT_KINDS.PAYMENT,
+    amount: proof.amount,
+    method: proof.method,
+    reference: proof.reference,
+    notes: 'Customer proof of payment',
+    paidAt: proof.created_at,
+    recordedBy: reviewedBy
+  });
+
+  const { rows: updatedRows } = await client.query(
+    `UPDATE payment_proofs
+        SET status = $1, payment_id = $2, reviewed_by = $3, reviewed_at = now()
+      WHERE id = $4
+      RETURNING *`,
+    [PROOF_STATUS.APPROVED, payment.id, reviewedBy, proofId]
+  );
+
+  return { proof: updatedRows[0], payment, order };
+}
+
+module.exports = {
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  PAYMENT_KINDS,
+  PROOF_STATUS,
+  PROOF_METHODS,
+  DOWNPAYMENT_PERCENT,
+  PaymentError,
+  requiresDownpayment,
+  initialPaymentFields,
+  summarizePayments,
+  assertDownpaymentForStatus,
+  recordPayment,
+  validateProofSubmission,
+  approvePaymentProof
+};
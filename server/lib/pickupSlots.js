@@ -0,0 +1,380 @@
+// Pickup slots for 'pickup' orders.
+// Each branch publishes weekly pickup windows (branch_pickup_windows: a weekday, opening and
+// closing time, slot length and how many orders each slot takes). Slots are generated from the
+// windows on the fly; an order books one by storing pickup_window_id and pickup_slot_start.
+// All branches are in the Philippines, so window times are read as Asia/Manila (UTC+8, no DST).
+// When a pickup order is packed it gets a pickup_code that staff check at handover
+// (GUARDS.pickupCodeVerified in lib/orderStatus).
+
+const crypto = require('crypto');
+const { supabase } = require('./db');
+const { findBranch } = require('./branches');
+
+const BRANCH_TIME_ZONE = 'Asia/Manila';
+const BRANCH_UTC_OFFSET_MINUTES = 8 * 60;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DEFAULT_SLOT_DAYS = 7;
+const MAX_SLOT_DAYS = 30;
+
+// Statuses whose booking no longer holds a place in the slot
+const RELEASED_STATUSES = ['cancelled', 'refunded'];
+
+class PickupSlotError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PickupSlotError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Minutes after midnight for a TIME value
+ * @param {string} value - 'HH:MM' or 'HH:MM:SS'
+ * @returns {number|null} - Minutes, or null when the value isn't a time of day
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+function formatTimeOfDay(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Branch-local calendar date and time of an instant
+ * @param {Date} instant - Point in time
+ * @returns {Object} - { date: 'YYYY-MM-DD', dayOfWeek, minutes }
+ */
+function toBranchLocal(instant) {
+  const local = new Date(instant.getTime() + BRANCH_UTC_OFFSET_MINUTES * MINUTE_MS);
+  return {
+    date: local.toISOString().slice(0, 10),
+    dayOfWeek: local.getUTCDay(),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+}
+
+function fromBranchLocal(date, minutes) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, 0, minutes) - BRANCH_UTC_OFFSET_MINUTES * MINUTE_MS);
+}
+
+/**
+ * Start times (minutes after midnight) of every slot in a window. A slot that would run past
+ * closing time is not offered.
+ * @param {Object} window - branch_pickup_windows row
+ * @returns {number[]} - Slot start minutes
+ */
+function windowSlotStarts(window) {
+  const opensAt = parseTimeOfDay(window.opens_at);
+  const closesAt = parseTimeOfDay(window.closes_at);
+  const length = parseInt(window.slot_minutes, 10);
+  if (opensAt === null || closesAt === null || !(length > 0)) {
+    return [];
+  }
+
+  const starts = [];
+  for (let start = opensAt; start + length <= closesAt; start += length) {
+    starts.push(start);
+  }
+  return starts;
+}
+
+/**
+ * Every slot the windows produce between `from` and `days` later, skipping slots that have started
+ * @param {Object[]} windows - Active branch_pickup_windows rows
+ * @param {Object} options - { from: Date, days }
+ * @returns {Object[]} - { windowId, branchId, date, start, end, capacity }, sorted by start
+ */
+function buildSlots(windows, { from = new Date(), days = DEFAULT_SLOT_DAYS } = {}) {
+  const slots = [];
+  const firstDay = Date.parse(`${toBranchLocal(from).date}T00:00:00Z`);
+
+  for (let offset = 0; offset < days; offset += 1) {
+    const calendarDay = new Date(firstDay + offset * DAY_MS);
+    const date = calendarDay.toISOString().slice(0, 10);
+    const dayOfWeek = calendarDay.getUTCDay();
+
+    windows
+      .filter(window => window.is_active !== false && Number(window.day_of_week) === dayOfWeek)
+      .forEach(window => {
+        windowSlotStarts(window).forEach(minutes => {
+          const start = fromBranchLocal(date, minutes);
+          if (start <= from) {
+            return;
+          }
+          slots.push({
+            windowId: window.id,
+            branchId: window.branch_id,
+            date,
+            start: start.toISOString(),
+            end: new Date(start.getTime() + window.slot_minutes * MINUTE_MS).toISOString(),
+            capacity: window.capacity
+          });
+        });
+      });
+  }
+
+  return slots.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Validate and normalize a pickup window from an admin request body
+ * @param {Object} body - { dayOfWeek, opensAt, closesAt, slotMinutes, capacity, isActive }
+ * @returns {Object} - Column values for branch_pickup_windows
+ */
+function validatePickupWindow(body = {}) {
+  const dayOfWeek = parseInt(body.dayOfWeek ?? body.day_of_week, 10);
+  if (Number.isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+    throw new PickupSlotError('Day of week must be 0 (Sunday) to 6 (Saturday)');
+  }
+
+  const opensAt = parseTimeOfDay(body.opensAt ?? body.opens_at);
+  const closesAt = parseTimeOfDay(body.closesAt ?? body.closes_at);
+  if (opensAt === null || closesAt === null) {
+    throw new PickupSlotError('Opening and closing times must be in HH:MM format');
+  }
+  if (closesAt <= opensAt) {
+    throw new PickupSlotError('Closing time must be after opening time');
+  }
+
+  const slotMinutes = parseInt(body.slotMinutes ?? body.slot_minutes ?? 60, 10);
+  if (Number.isNaN(slotMinutes) || slotMinutes < 10 || slotMinutes > 480) {
+    throw new PickupSlotError('Slot length must be between 10 and 480 minutes');
+  }
+  if (slotMinutes > closesAt - opensAt) {
+    throw new PickupSlotError('Slot length is longer than the window');
+  }
+
+  const capacity = parseInt(body.capacity ?? 5, 10);
+  if (Number.isNaN(capacity) || capacity < 1) {
+    throw new PickupSlotError('Capacity must be at least 1 order per slot');
+  }
+
+  return {
+    day_of_week: dayOfWeek,
+    opens_at: formatTimeOfDay(opensAt),
+    closes_at: formatTimeOfDay(closesAt),
+    slot_minutes: slotMinutes,
+    capacity,
+    is_active: body.isActive ?? body.is_active ?? true
+  };
+}
+
+/**
+ * Pickup windows of a branch
+ * @param {number} branchId - Branch ID
+ * @param {Object} options - { includeInactive }
+ * @returns {Object[]} - branch_pickup_windows rows by weekday and opening time
+ */
+async function listPickupWindows(branchId, { includeInactive = false } = {}) {
+  let windowsQuery = supabase
+    .from('branch_pickup_windows')
+    .select('*')
+    .eq('branch_id', branchId);
+
+  if (!includeInactive) {
+    windowsQuery = windowsQuery.eq('is_active', true);
+  }
+
+  const { data, error } = await windowsQuery
+    .order('day_of_week', { ascending: true })
+    .order('opens_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load pickup windows: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Upcoming slots of a branch with how many places are left in each
+ * @param {number} branchId - Branch ID
+ * @param {Object} options - { from: Date, days }
+ * @returns {Object[]} - Slots from buildSlots plus { booked, remaining, available }
+ */
+async function listAvailableSlots(branchId, { from = new Date(), days = DEFAULT_SLOT_DAYS } = {}) {
+  const windows = await listPickupWindows(branchId);
+  const slots = buildSlots(windows, { from, days: Math.min(Math.max(days, 1), MAX_SLOT_DAYS) });
+  if (slots.length === 0) {
+    return [];
+  }
+
+  const { data: bookings, error } = await supabase
+    .from('orders')
+    .select('pickup_window_id, pickup_slot_start, status')
+    .in('pickup_window_id', windows.map(window => window.id))
+    .gte('pickup_slot_start', slots[0].start)
+    .lte('pickup_slot_start', slots[slots.length - 1].start);
+
+  if (error) {
+    throw new Error(`Failed to load pickup bookings: ${error.message}`);
+  }
+
+  const booked = {};
+  (bookings || [])
+    .filter(booking => !RELEASED_STATUSES.includes(booking.status))
+    .forEach(booking => {
+      const key = `${booking.pickup_window_id}|${new Date(booking.pickup_slot_start).getTime()}`;
+      booked[key] = (booked[key] || 0) + 1;
+    });
+
+  return slots.map(slot => {
+    const count = booked[`${slot.windowId}|${new Date(slot.start).getTime()}`] || 0;
+    const remaining = Math.max(slot.capacity - count, 0);
+    return { ...slot, booked: count, remaining, available: remaining > 0 };
+  });
+}
+
+/**
+ * Branch an order is collected from (orders only store the branch name)
+ * @param {Object} order - Order row (pickup_branch_id, pickup_location)
+ * @param {string} columns - Columns to select
+ * @returns {Object|null} - branches row
+ */
+async function findOrderBranch(order, columns = 'id, name') {
+  return findBranch({ branchId: order.pickup_branch_id, location: order.pickup_location }, columns);
+}
+
+/**
+ * Book a pickup slot for an order. Must run inside withTransaction: the window row is locked so
+ * two customers can't both take the last place in a slot.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} order - Order row
+ * @param {Object} slot - { branchId, windowId, slotStart }
+ * @returns {Object} - Updated order row
+ */
+async function reservePickupSlot(client, order, { branchId, windowId, slotStart }) {
+  if (order.shipping_method !== 'pickup') {
+    throw new PickupSlotError('Pickup times can only be booked for pickup orders');
+  }
+
+  const { rows } = await client.query('SELECT * FROM branch_pickup_windows WHERE id = $1 FOR UPDATE', [windowId]);
+  const window = rows[0];
+  if (!window || !window.is_active) {
+    throw new PickupSlotError('That pickup time is no longer offered', 404);
+  }
+  if (branchId !== null && branchId !== undefined && Number(window.branch_id) !== Number(branchId)) {
+    throw new PickupSlotError('That pickup time belongs to a different branch');
+  }
+
+  const start = new Date(slotStart);
+  if (Number.isNaN(start.getTime())) {
+    throw new PickupSlotError('Invalid pickup time');
+  }
+  if (start <= new Date()) {
+    throw new PickupSlotError('That pickup time has already passed');
+  }
+
+  const local = toBranchLocal(start);
+  if (Number(window.day_of_week) !== local.dayOfWeek || !windowSlotStarts(window).includes(local.minutes)) {
+    throw new PickupSlotError("That time is not one of the branch's pickup slots");
+  }
+
+  const { rows: countRows } = await client.query(
+    `SELECT COUNT(*)::int AS booked
+       FROM orders
+      WHERE pickup_window_id = $1
+        AND pickup_slot_start = $2
+        AND id <> $3
+        AND status <> ALL($4::text[])`,
+    [window.id, start.toISOString(), order.id, RELEASED_STATUSES]
+  );
+  if (countRows[0].booked >= window.capacity) {
+    throw new PickupSlotError('That pickup time is fully booked. Please choose another slot.', 409);
+  }
+
+  const end = new Date(start.getTime() + window.slot_minutes * MINUTE_MS);
+  const { rows: updatedRows } = await client.query(
+    `UPDATE orders
+        SET pickup_window_id = $1, pickup_slot_start = $2, pickup_slot_end = $3, updated_at = now()
+      WHERE id = $4
+      RETURNING *`,
+    [window.id, start.toISOString(), end.toISOString(), order.id]
+  );
+  return updatedRows[0];
+}
+
+/**
+ * Give a packed pickup order its handover code. Keeps an existing code, so moving an order
+ * back and forth through packing never changes the code the customer was emailed.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} orderId - Order ID
+ * @returns {Object} - Order row with pickup_code
+ */
+async function assignPickupCode(client, orderId) {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const { rows } = await client.query(
+    'UPDATE orders SET pickup_code = $1 WHERE id = $2 AND pickup_code IS NULL RETURNING *',
+    [code, orderId]
+  );
+  if (rows[0]) {
+    return rows[0];
+  }
+
+  const { rows: existing } = await client.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+  return existing[0];
+}
+
+/**
+ * Whether the code staff entered at handover is the order's pickup code
+ * @param {Object} order - Order row
+ * @param {string} code - Code as typed
+ * @returns {boolean} - True when it matches
+ */
+function pickupCodeMatches(order, code) {
+  const entered = String(code || '').replace(/\s+/g, '');
+  return Boolean(order.pickup_code) && entered === order.pickup_code;
+}
+
+/**
+ * Human-readable slot, e.g. "Saturday, November 1, 9:00 AM – 10:00 AM"
+ * @param {Object} order - Order row (pickup_slot_start, pickup_slot_end)
+ * @returns {string|null} - Slot label, or null when no slot is booked
+ */
+function formatPickupSlot(order) {
+  if (!order.pickup_slot_start) {
+    return null;
+  }
+  const day = new Date(order.pickup_slot_start).toLocaleDateString('en-PH', {
+    timeZone: BRANCH_TIME_ZONE,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric'
+  });
+  const time = (value) => new Date(value).toLocaleTimeString('en-PH', {
+    timeZone: BRANCH_TIME_ZONE,
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  return order.pickup_slot_end
+    ? `${day}, ${time(order.pickup_slot_start)} – ${time(order.pickup_slot_end)}`
+    : `${day}, ${time(order.pickup_slot_start)}`;
+}
+
+module.exports = {
+  DEFAULT_SLOT_DAYS,
+  PickupSlotError,
+  parseTimeOfDay,
+  toBranchLocal,
+  buildSlots,
+  validatePickupWindow,
+  listPickupWindows,
+  listAvailableSlots,
+  findOrderBranch,
+  reservePickupSlot,
+  assignPickupCode,
+  pickupCodeMatches,
+  formatPickupSlot
+};
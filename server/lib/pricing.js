@@ -0,0 +1,472 @@
+// Server-side price engine for order line items.
+// Mirrors the pricing rules in ProductModal.js so totals submitted by the
+// browser can be rebuilt from the product rows and checked before insert.
+
+const { supabase } = require('./db');
+
+// Allowed difference (in pesos) between client and server totals before an
+// order is treated as tampered. Covers floating point drift from the browser.
+const PRICE_TOLERANCE = 1;
+
+// Fallback discount applied to kids jerseys when the product has no kids prices
+const KIDS_FALLBACK_DISCOUNT = 200;
+
+const SHIRT_ONLY_CATEGORIES = ['hoodies', 'long sleeves', 't-shirts', 't-shirt'];
+const NO_JERSEY_TYPE_CATEGORIES = ['uniforms', ...SHIRT_ONLY_CATEGORIES];
+
+function toNumber(value) {
+  const numeric = Number.parseFloat(value);
+  return Number.isFinite(numeric) ? numeric : 0;
+}
+
+function roundCurrency(value) {
+  return Math.round(toNumber(value) * 100) / 100;
+}
+
+/**
+ * Parse a JSON/JSONB product column that may arrive as a string
+ * @param {*} value - Raw column value
+ * @returns {Object|null} - Parsed object or null when empty/invalid
+ */
+function parseJsonField(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (!trimmed || trimmed.toLowerCase() === 'null') {
+      return null;
+    }
+    try {
+      const parsed = JSON.parse(trimmed);
+      return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return typeof value === 'object' ? value : null;
+}
+
+function getCategoryFlags(category) {
+  const normalized = (category || '').toString().toLowerCase();
+  const isBall = normalized === 'balls';
+  const isTrophy = normalized === 'trophies';
+  const isApparel = !isBall && !isTrophy;
+
+  return {
+    isBall,
+    isTrophy,
+    isApparel,
+    isJersey: isApparel && normalized === 'jerseys',
+    isShirtOnly: SHIRT_ONLY_CATEGORIES.includes(normalized),
+    hidesJerseyType: NO_JERSEY_TYPE_CATEGORIES.includes(normalized)
+  };
+}
+
+/**
+ * Resolve jersey prices from a product row (same fallbacks as ProductModal)
+ * @param {Object} product - Product row
+ * @returns {Object} - fullSet/shirtOnly/shortsOnly prices plus optional kids prices
+ */
+function resolveJerseyPrices(product) {
+  const fallbackPrice = toNumber(product?.price);
+  const prices = parseJsonField(product?.jersey_prices);
+
+  if (!prices) {
+    return {
+      fullSet: fallbackPrice,
+      shirtOnly: fallbackPrice,
+      shortsOnly: fallbackPrice,
+      fullSetKids: null,
+      shirtOnlyKids: null,
+      shortsOnlyKids: null
+    };
+  }
+
+  const kidsPrice = (value) => (value ? toNumber(value) : null);
+
+  return {
+    fullSet: toNumber(prices.fullSet || prices.full_set || product.price),
+    shirtOnly: toNumber(prices.shirtOnly || prices.shirt_only || product.price),
+    shortsOnly: toNumber(prices.shortsOnly || prices.shorts_only || product.price),
+    fullSetKids: kidsPrice(prices.fullSetKids || prices.full_set_kids),
+    shirtOnlyKids: kidsPrice(prices.shirtOnlyKids || prices.shirt_only_kids),
+    shortsOnlyKids: kidsPrice(prices.shortsOnlyKids || prices.shorts_only_kids)
+  };
+}
+
+function pickJerseyPrice(jerseyPrices, jerseyType, useKidsPrices) {
+  switch (jerseyType) {
+    case 'shirt':
+      return useKidsPrices ? jerseyPrices.shirtOnlyKids : jerseyPrices.shirtOnly;
+    case 'shorts':
+      return useKidsPrices ? jerseyPrices.shortsOnlyKids : jerseyPrices.shortsOnly;
+    default:
+      return useKidsPrices ? jerseyPrices.fullSetKids : jerseyPrices.fullSet;
+  }
+}
+
+/**
+ * Look up a named surcharge (fabric or cut type) from a product surcharge map
+ * @param {Object|string} config - fabric_surcharges / cut_type_surcharges column
+ * @param {string} option - Selected option name
+ * @returns {number} - Surcharge amount, 0 when the option is unknown
+ */
+function lookupOptionSurcharge(config, option) {
+  if (!option) {
+    return 0;
+  }
+  const parsed = parseJsonField(config);
+  if (!parsed || !Object.prototype.hasOwnProperty.call(parsed, option)) {
+    return 0;
+  }
+  return toNumber(parsed[option]);
+}
+
+/**
+ * Resolve the size surcharge for a size key, honouring adults/kids/general groups
+ * @param {Object|string} config - size_surcharges column
+ * @param {string} sizeKey - Selected size
+ * @param {string} groupHint - 'adults', 'kids' or 'general'
+ * @returns {number} - Surcharge amount
+ */
+function resolveSizeSurcharge(config, sizeKey, groupHint) {
+  const parsed = parseJsonField(config);
+  if (!parsed || !sizeKey) {
+    return 0;
+  }
+
+  const key = String(sizeKey).trim();
+  if (!key) {
+    return 0;
+  }
+
+  const normalizedKey = key.replace(/\s+/g, '').toLowerCase();
+  const findMatch = (obj) => {
+    if (!obj || typeof obj !== 'object') return undefined;
+    if (Object.prototype.hasOwnProperty.call(obj, key)) {
+      return obj[key];
+    }
+    const entry = Object.entries(obj).find(([candidate]) =>
+      typeof candidate === 'string' && candidate.replace(/\s+/g, '').toLowerCase() === normalizedKey
+    );
+    return entry ? entry[1] : undefined;
+  };
+
+  if (parsed.adults || parsed.kids || parsed.general) {
+    const groupOrder = [];
+    if (groupHint === 'kids') groupOrder.push('kids');
+    if (groupHint === 'adults') groupOrder.push('adults');
+    groupOrder.push('general', 'adults', 'kids');
+
+    for (const group of groupOrder) {
+      const match = findMatch(parsed[group]);
+      if (match !== undefined) {
+        return toNumber(match);
+      }
+    }
+    return 0;
+  }
+
+  const match = findMatch(parsed);
+  return match !== undefined ? toNumber(match) : 0;
+}
+
+function resolveSingleBasePrice(item, product, flags) {
+  let basePrice = toNumber(product.price);
+
+  if (flags.isTrophy) {
+    const trophyPrices = parseJsonField(product.trophy_prices);
+    const trophySize = item.trophyDetails?.size;
+    if (trophyPrices && trophySize && trophyPrices[trophySize] !== undefined && trophyPrices[trophySize] !== null) {
+      basePrice = toNumber(trophyPrices[trophySize]);
+    }
+    return basePrice;
+  }
+
+  if (flags.isJersey) {
+    const jerseyPrices = resolveJerseyPrices(product);
+    const jerseyType = flags.hidesJerseyType ? 'shirt' : (item.jerseyType || 'full');
+    const isKids = item.sizeType === 'kids';
+    const useKidsPrices = isKids &&
+      jerseyPrices.fullSetKids !== null &&
+      jerseyPrices.shirtOnlyKids !== null &&
+      jerseyPrices.shortsOnlyKids !== null;
+
+    basePrice = toNumber(pickJerseyPrice(jerseyPrices, jerseyType, useKidsPrices));
+    if (isKids && !useKidsPrices) {
+      basePrice = Math.max(0, basePrice - KIDS_FALLBACK_DISCOUNT);
+    }
+  }
+
+  return basePrice;
+}
+
+function resolveSingleSizeKey(item, flags) {
+  const details = item.singleOrderDetails || {};
+
+  if (flags.isTrophy) {
+    return item.trophyDetails?.size || null;
+  }
+  if (flags.isJersey) {
+    if (item.jerseyType === 'shorts') {
+      return details.shortsSize || details.size || null;
+    }
+    return details.jerseySize || details.size || item.size || null;
+  }
+  if (flags.isApparel) {
+    return details.size || item.size || null;
+  }
+  return null;
+}
+
+function resolveSingleGroupHint(item, flags) {
+  if (flags.isJersey) {
+    return item.sizeType === 'kids' ? 'kids' : 'adults';
+  }
+  if (flags.isTrophy || flags.isApparel) {
+    return 'general';
+  }
+  return null;
+}
+
+/**
+ * Price one team member of an apparel team order
+ * @param {Object} member - Team member entry from the cart item
+ * @param {Object} product - Product row
+ * @param {Object} flags - Category flags for the product
+ * @returns {Object} - basePrice, surcharges and totalPrice for the member
+ */
+function priceTeamMember(member, product, flags) {
+  const jerseyType = flags.isShirtOnly ? 'shirt' : (member?.jerseyType || member?.jersey_type || 'full');
+  const sizingType = member?.sizingType || member?.sizing_type || 'adult';
+  const fabricOption = member?.fabricOption || member?.fabric_option || '';
+  const cutType = member?.cutType || member?.cut_type || '';
+
+  let basePrice = toNumber(product.price);
+  if (flags.isJersey) {
+    const jerseyPrices = resolveJerseyPrices(product);
+    const useKidsPrices = sizingType === 'kids' && jerseyPrices.fullSetKids !== null;
+    basePrice = toNumber(pickJerseyPrice(jerseyPrices, jerseyType, useKidsPrices));
+    if (sizingType === 'kids' && !useKidsPrices) {
+      basePrice = Math.max(0, basePrice - KIDS_FALLBACK_DISCOUNT);
+    }
+  }
+
+  let sizeKey;
+  if (flags.isJersey) {
+    sizeKey = jerseyType === 'shorts'
+      ? member?.shortsSize || member?.size || member?.jerseySize || null
+      : member?.jerseySize || member?.size || null;
+  } else {
+    sizeKey = member?.size || member?.jerseySize || member?.shortsSize || null;
+  }
+  const sizeGroup = sizingType === 'kids' ? 'kids' : flags.isJersey ? 'adults' : 'general';
+
+  const fabricSurcharge = lookupOptionSurcharge(product.fabric_surcharges, fabricOption);
+  const cutTypeSurcharge = lookupOptionSurcharge(product.cut_type_surcharges, cutType);
+  const sizeSurcharge = resolveSizeSurcharge(product.size_surcharges, sizeKey, sizeGroup);
+
+  return {
+    basePrice: roundCurrency(basePrice),
+    fabricSurcharge: roundCurrency(fabricSurcharge),
+    cutTypeSurcharge: roundCurrency(cutTypeSurcharge),
+    sizeSurcharge: roundCurrency(sizeSurcharge),
+    totalPrice: roundCurrency(basePrice + fabricSurcharge + cutTypeSurcharge + sizeSurcharge)
+  };
+}
+
+/**
+ * Rebuild the price of a single order line item from its product row
+ * @param {Object} item - Order item as submitted by the client
+ * @param {Object} product - Matching product row
+ * @returns {Object} - unitPrice, quantity, lineTotal and a breakdown of surcharges
+ */
+function priceLineItem(item, product) {
+  const flags = getCategoryFlags(product.category || item.category);
+  const quantity = Math.max(1, parseInt(item.quantity, 10) || 1);
+  const teamMembers = Array.isArray(item.teamMembers) ? item.teamMembers : [];
+
+  if (item.isTeamOrder && flags.isApparel && teamMembers.length > 0) {
+    const members = teamMembers.map(member => priceTeamMember(member, product, flags));
+    const sum = (field) => roundCurrency(members.reduce((total, member) => total + member[field], 0));
+    const unitPrice = sum('totalPrice');
+
+    return {
+      unitPrice,
+      quantity,
+      lineTotal: roundCurrency(unitPrice * quantity),
+      breakdown: {
+        basePrice: sum('basePrice'),
+        fabricSurcharge: sum('fabricSurcharge'),
+        cutTypeSurcharge: sum('cutTypeSurcharge'),
+        sizeSurcharge: sum('sizeSurcharge'),
+        members
+      }
+    };
+  }
+
+  const basePrice = resolveSingleBasePrice(item, product, flags);
+  const fabricSurcharge = lookupOptionSurcharge(product.fabric_surcharges, item.fabricOption);
+  const cutTypeSurcharge = lookupOptionSurcharge(product.cut_type_surcharges, item.cutType);
+  const sizeSurcharge = resolveSizeSurcharge(
+    product.size_surcharges,
+    resolveSingleSizeKey(item, flags),
+    resolveSingleGroupHint(item, flags)
+  );
+  const unitPrice = roundCurrency(basePrice + fabricSurcharge + cutTypeSurcharge + sizeSurcharge);
+
+  return {
+    unitPrice,
+    quantity,
+    lineTotal: roundCurrency(unitPrice * quantity),
+    breakdown: {
+      basePrice: roundCurrency(basePrice),
+      fabricSurcharge: roundCurrency(fabricSurcharge),
+      cutTypeSurcharge: roundCurrency(cutTypeSurcharge),
+      sizeSurcharge: roundCurrency(sizeSurcharge)
+    }
+  };
+}
+
+/**
+ * Shipping fee for an order
+ * @param {string} shippingMethod - 'pickup' or 'cod'
+ * @param {Object|null} shippingQuote - COD quote from lib/shipping quoteShipping
+ * @returns {number} - Shipping fee in pesos
+ */
+function calculateShippingCost(shippingMethod, shippingQuote = null) {
+  return shippingMethod === 'cod' && shippingQuote ? roundCurrency(shippingQuote.total) : 0;
+}
+
+/**
+ * Price a whole order from its items and the product rows they reference
+ * @param {Array} orderItems - Items as submitted by the client
+ * @param {Object} options
+ * @param {Map|Object} options.products - Product rows keyed by product id
+ * @param {string} options.shippingMethod - 'pickup' or 'cod'
+ * @param {Object} [options.shippingQuote] - COD shipping quote for the delivery address
+ * @returns {Object} - items (priced lines with the product's name and category), subtotal, shippingCost,
+ *   discount, total and missingProducts
+ */
+function quoteOrder(orderItems, { products, shippingMethod, shippingQuote = null }) {
+  const getProduct = (id) => (products instanceof Map ? products.get(id) : products?.[id]);
+  const missingProducts = [];
+
+  const items = (orderItems || []).map((item, index) => {
+    const product = item?.id ? getProduct(item.id) : null;
+    if (!product) {
+      missingProducts.push({ index, id: item?.id || null, name: item?.name || null });
+      return null;
+    }
+    return { index, productId: product.id, name: product.name, category: product.category, ...priceLineItem(item, product) };
+  }).filter(Boolean);
+
+  const subtotal = roundCurrency(items.reduce((total, item) => total + item.lineTotal, 0));
+  const shippingCost = calculateShippingCost(shippingMethod, shippingQuote);
+
+  return {
+    items,
+    subtotal,
+    shippingCost,
+    discount: 0,
+    total: roundCurrency(subtotal + shippingCost),
+    missingProducts
+  };
+}
+
+/**
+ * Load the product rows referenced by order items so prices can be rebuilt server-side
+ * @param {Array} orderItems - Items as submitted by the client
+ * @returns {Map} - Product rows keyed by product id
+ */
+async function loadProductsForPricing(orderItems) {
+  const productIds = [...new Set((orderItems || []).map(item => item?.id).filter(Boolean))];
+  const products = new Map();
+
+  if (productIds.length === 0) {
+    return products;
+  }
+
+  const { data, error } = await supabase
+    .from('products')
+    .select('id, name, category, price, jersey_prices, trophy_prices, fabric_surcharges, size_surcharges, cut_type_surcharges')
+    .in('id', productIds);
+
+  if (error) {
+    throw new Error(`Failed to load products for pricing: ${error.message}`);
+  }
+
+  (data || []).forEach(product => products.set(product.id, product));
+  return products;
+}
+
+/**
+ * Apply an order-level discount (e.g. a promo code) to a quote. Shipping is never discounted.
+ * @param {Object} quote - Result of quoteOrder
+ * @param {number} discount - Discount amount in pesos
+ * @returns {Object} - The quote with discount and the reduced total
+ */
+function applyDiscount(quote, discount) {
+  const amount = Math.min(roundCurrency(discount), quote.subtotal);
+  return {
+    ...quote,
+    discount: amount,
+    total: roundCurrency(quote.subtotal - amount + quote.shippingCost)
+  };
+}
+
+/**
+ * Compare client-submitted amounts against a server quote
+ * @param {Object} quote - Result of quoteOrder
+ * @param {Object} client - { orderItems, subtotal, shippingCost, total } from the request
+ * @returns {Array} - List of mismatches (empty when the client totals are valid)
+ */
+function findPriceMismatches(quote, client) {
+  const mismatches = [];
+  const differs = (a, b) => Math.abs(roundCurrency(a) - roundCurrency(b)) > PRICE_TOLERANCE;
+
+  quote.items.forEach(line => {
+    const clientItem = client.orderItems?.[line.index] || {};
+    const clientLineTotal = toNumber(clientItem.price) * line.quantity;
+    if (differs(clientLineTotal, line.lineTotal)) {
+      mismatches.push({
+        field: 'item',
+        index: line.index,
+        name: line.name,
+        expected: line.lineTotal,
+        received: roundCurrency(clientLineTotal)
+      });
+    }
+  });
+
+  [
+    ['subtotal_amount', client.subtotal, quote.subtotal],
+    ['shipping_cost', client.shippingCost, quote.shippingCost],
+    ['total_amount', client.total, quote.total]
+  ].forEach(([field, received, expected]) => {
+    if (differs(received, expected)) {
+      mismatches.push({ field, expected, received: roundCurrency(received) });
+    }
+  });
+
+  return mismatches;
+}
+
+module.exports = {
+  PRICE_TOLERANCE,
+  parseJsonField,
+  roundCurrency,
+  resolveJerseyPrices,
+  resolveSizeSurcharge,
+  lookupOptionSurcharge,
+  priceTeamMember,
+  priceLineItem,
+  calculateShippingCost,
+  quoteOrder,
+  applyDiscount,
+  findPriceMismatches,
+  loadProductsForPricing
+};
@@ -0,0 +1,229 @@
+// Production floor board (admin Production page).
+// Each order sits in the column of its current production_workflow stage: the first stage that is
+// still pending or in progress. Moving a card to the next column completes that stage and starts
+// the next one, through the same checks as a single stage update in routes/production-workflow.js.
+// Branches set a WIP limit per stage (production_wip_limits); a column holding more orders than
+// its limit is flagged as a bottleneck. Limits are advisory: cards can still move into a full column.
+
+const { OPEN_TASK_STATUSES } = require('./artistAssignment');
+
+const WORKFLOW_STAGE_ORDER = [
+  'layout', 'sizing', 'printing', 'press', 'prod', 'packing_completing', 'picked_up_delivered'
+];
+
+// Handover to the customer happens at pickup or delivery, not on the floor
+const BOARD_STAGES = WORKFLOW_STAGE_ORDER.slice(0, -1);
+
+// Orders not yet confirmed, or already finished, stay off the board
+const OFF_FLOOR_ORDER_STATUSES = ['pending', 'picked_up_delivered', 'cancelled', 'refunded'];
+
+const MAX_WIP_LIMIT = 500;
+
+class ProductionBoardError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProductionBoardError';
+    this.statusCode = statusCode;
+  }
+}
+
+const stagePosition = (stage) => WORKFLOW_STAGE_ORDER.indexOf(stage);
+
+/**
+ * The stage an order is currently in
+ * @param {Array} workflowRows - production_workflow rows of the order (stage, status)
+ * @returns {Object|null} - First pending or in-progress row, or null when every stage is done
+ */
+function findCurrentStage(workflowRows) {
+  return [...workflowRows]
+    .filter(row => stagePosition(row.stage) !== -1)
+    .sort((a, b) => stagePosition(a.stage) - stagePosition(b.stage))
+    .find(row => row.status === 'pending' || row.status === 'in_progress') || null;
+}
+
+/**
+ * Throw unless a card can move from fromStage to toStage: the order must still be in fromStage
+ * (the board may be stale) and cards only move one column forward
+ * @param {Array} workflowRows - production_workflow rows of the order
+ * @param {string} fromStage - Column the card was dragged from
+ * @param {string} toStage - Column it was dropped on
+ */
+function assertAdvance(workflowRows, fromStage, toStage) {
+  if (!BOARD_STAGES.includes(fromStage) || !BOARD_STAGES.includes(toStage)) {
+    throw new ProductionBoardError('Orders can only be moved between production stages');
+  }
+  if (stagePosition(toStage) !== stagePosition(fromStage) + 1) {
+    throw new ProductionBoardError('Orders move forward one stage at a time');
+  }
+
+  const current = findCurrentStage(workflowRows);
+  if (!current || current.stage !== fromStage) {
+    throw new ProductionBoardError('The order is no longer in this stage. Refresh the board.', 409);
+  }
+  if (!workflowRows.some(row => row.stage === toStage)) {
+    throw new ProductionBoardError('Workflow stage not found', 404);
+  }
+}
+
+/**
+ * Validate WIP limits sent by the board. Empty values clear the limit of that stage.
+ * @param {Object} input - { [stage]: number|string|null }
+ * @returns {Object} - { [stage]: number|null } for every stage present in the input
+ */
+function normalizeWipLimits(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ProductionBoardError('limits must be an object keyed by stage');
+  }
+
+  const limits = {};
+  for (const [stage, value] of Object.entries(input)) {
+    if (!BOARD_STAGES.includes(stage)) {
+      throw new ProductionBoardError(`Unknown stage: ${stage}`);
+    }
+    if (value === null || value === undefined || value === '') {
+      limits[stage] = null;
+      continue;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_WIP_LIMIT) {
+      throw new ProductionBoardError(`WIP limit for ${stage} must be a whole number from 1 to ${MAX_WIP_LIMIT}`);
+    }
+    limits[stage] = limit;
+  }
+  return limits;
+}
+
+/**
+ * Card of an order on the board
+ * @param {Object} row - Row from loadBoardRows
+ * @returns {Object}
+ */
+function toCard(row) {
+  return {
+    orderId: row.id,
+    orderNumber: row.order_number,
+    orderType: row.order_type,
+    branchName: row.branch_name || row.pickup_location || null,
+    itemCount: parseInt(row.total_items, 10) || 0,
+    stage: row.stage,
+    stageStatus: row.stage_status,
+    stageEnteredAt: row.stage_entered_at,
+    // The booked pickup is what the customer holds us to; before one is booked, the layout deadline
+    deadline: row.pickup_slot_start || row.task_deadline || null,
+    deadlineKind: row.pickup_slot_start ? 'pickup' : (row.task_deadline ? 'design' : null)
+  };
+}
+
+/**
+ * One column per board stage with its cards (longest in the stage first) and WIP state
+ * @param {Array} cards - Cards from toCard
+ * @param {Object} wipLimits - { [stage]: number }
+ * @returns {Array} - [{ stage, wipLimit, count, overLimit, orders }]
+ */
+function buildBoardColumns(cards, wipLimits = {}) {
+  return BOARD_STAGES.map(stage => {
+    const orders = cards
+      .filter(card => card.stage === stage)
+      .sort((a, b) => new Date(a.stageEnteredAt) - new Date(b.stageEnteredAt));
+    const wipLimit = wipLimits[stage] || null;
+    return {
+      stage,
+      wipLimit,
+      count: orders.length,
+      overLimit: wipLimit !== null && orders.length > wipLimit,
+      orders
+    };
+  });
+}
+
+/**
+ * Orders on the floor with their current stage. The time in the stage counts from when it was
+ * started, else from when the stage before it was finished, else from when the order was placed.
+ * @param {Object} db - pg client or { query }
+ * @returns {Array} - Rows for toCard (plus pickup_location and pickup_branch_id for branch scoping)
+ */
+async function loadBoardRows(db) {
+  const { rows } = await db.query(
+    `WITH current_stage AS (
+       SELECT DISTINCT ON (pw.order_id) pw.order_id, pw.stage, pw.status, pw.started_at
+         FROM production_workflow pw
+        WHERE pw.status IN ('pending', 'in_progress')
+          AND array_position($1::text[], pw.stage::text) IS NOT NULL
+        ORDER BY pw.order_id, array_position($1::text[], pw.stage::text)
+     )
+     SELECT o.id, o.order_number, o.order_type, o.total_items, o.pickup_location, o.pickup_branch_id,
+            o.pickup_slot_start, b.name AS branch_name,
+            cs.stage, cs.status AS stage_status,
+            COALESCE(
+              cs.started_at,
+              (SELECT MAX(p.completed_at)
+                 FROM production_workflow p
+                WHERE p.order_id = o.id
+                  AND array_position($1::text[], p.stage::text) < array_position($1::text[], cs.stage::text)),
+              o.created_at
+            ) AS stage_entered_at,
+            (SELECT MIN(t.deadline)
+               FROM artist_tasks t
+              WHERE t.order_id = o.id AND t.status = ANY($4::text[])) AS task_deadline
+       FROM current_stage cs
+       JOIN orders o ON o.id = cs.order_id
+       LEFT JOIN branches b ON b.id = o.pickup_branch_id
+      WHERE cs.stage = ANY($2::text[])
+        AND o.status <> ALL($3::text[])`,
+    [WORKFLOW_STAGE_ORDER, BOARD_STAGES, OFF_FLOOR_ORDER_STATUSES, OPEN_TASK_STATUSES]
+  );
+  return rows;
+}
+
+/**
+ * WIP limits of a branch
+ * @param {Object} db - pg client or { query }
+ * @param {number} branchId - Branch ID
+ * @returns {Object} - { [stage]: number }
+ */
+async function loadWipLimits(db, branchId) {
+  const { rows } = await db.query(
+    'SELECT stage, wip_limit FROM production_wip_limits WHERE branch_id = $1',
+    [branchId]
+  );
+  return Object.fromEntries(rows.map(row => [row.stage, row.wip_limit]));
+}
+
+/**
+ * Save a branch's WIP limits (run inside withTransaction)
+ * @param {Object} client - pg client
+ * @param {number} branchId - Branch ID
+ * @param {Object} limits - Output of normalizeWipLimits
+ * @param {string} userId - Who changed them
+ * @returns {Object} - The branch's limits after the change
+ */
+async function saveWipLimits(client, branchId, limits, userId) {
+  for (const [stage, limit] of Object.entries(limits)) {
+    if (limit === null) {
+      await client.query('DELETE FROM production_wip_limits WHERE branch_id = $1 AND stage = $2', [branchId, stage]);
+      continue;
+    }
+    await client.query(
+      `INSERT INTO production_wip_limits (branch_id, stage, wip_limit, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (branch_id, stage)
+       DO UPDATE SET wip_limit = EXCLUDED.wip_limit, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+      [branchId, stage, limit, userId]
+    );
+  }
+  return loadWipLimits(client, branchId);
+}
+
+module.exports = {
+  WORKFLOW_STAGE_ORDER,
+  BOARD_STAGES,
+  ProductionBoardError,
+  findCurrentStage,
+  assertAdvance,
+  normalizeWipLimits,
+  toCard,
+  buildBoardColumns,
+  loadBoardRows,
+  loadWipLimits,
+  saveWipLimits
+};
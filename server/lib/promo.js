@@ -0,0 +1,184 @@
+// Promo code engine used at checkout.
+// A code gives a percentage or fixed discount on the eligible part of the merchandise
+// subtotal (optionally restricted to some categories), subject to a minimum spend,
+// a start / expiry window and global and per-user usage limits.
+
+const { supabase } = require('./db');
+const { roundCurrency } = require('./pricing');
+
+const DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed'
+};
+
+class PromoCodeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PromoCodeError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Normalize a promo code as typed by a customer
+ * @param {string} code - Raw code
+ * @returns {string} - Trimmed, upper-case code ('' when empty)
+ */
+function normalizePromoCode(code) {
+  return (code || '').toString().trim().toUpperCase();
+}
+
+function normalizeCategories(categories) {
+  return (Array.isArray(categories) ? categories : [])
+    .map(category => (category || '').toString().toLowerCase().trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check that a promo code can be used right now
+ * @param {Object} promo - promo_codes row
+ * @param {Object} usage - { userId, userRedemptions, now }
+ * @throws {PromoCodeError} - When the code is inactive, outside its window or used up
+ */
+function assertPromoUsable(promo, { userId = null, userRedemptions = 0, now = new Date() } = {}) {
+  if (!promo || !promo.is_active) {
+    throw new PromoCodeError('This promo code is not valid');
+  }
+  if (promo.starts_at && new Date(promo.starts_at) > now) {
+    throw new PromoCodeError('This promo code is not active yet');
+  }
+  if (promo.expires_at && new Date(promo.expires_at) <= now) {
+    throw new PromoCodeError('This promo code has expired');
+  }
+  if (promo.max_uses !== null && promo.max_uses !== undefined && promo.used_count >= promo.max_uses) {
+    throw new PromoCodeError('This promo code has reached its usage limit');
+  }
+  if (promo.max_uses_per_user !== null && promo.max_uses_per_user !== undefined) {
+    if (!userId) {
+      throw new PromoCodeError('Please log in to use this promo code', 401);
+    }
+    if (userRedemptions >= promo.max_uses_per_user) {
+      throw new PromoCodeError('You have already used this promo code');
+    }
+  }
+}
+
+/**
+ * Work out the discount a promo code gives on a priced order
+ * @param {Object} promo - promo_codes row
+ * @param {Object} quote - Result of quoteOrder (each line carries its product's category)
+ * @returns {Object} - { eligibleSubtotal, discount }
+ * @throws {PromoCodeError} - When no item qualifies or the minimum spend is not met
+ */
+function calculatePromoDiscount(promo, quote) {
+  const categories = normalizeCategories(promo.categories);
+  const eligibleLines = categories.length === 0
+    ? quote.items
+    : quote.items.filter(line => categories.includes((line.category || '').toString().toLowerCase().trim()));
+
+  if (eligibleLines.length === 0) {
+    throw new PromoCodeError(`This promo code only applies to ${categories.join(', ')}`);
+  }
+
+  const eligibleSubtotal = roundCurrency(eligibleLines.reduce((total, line) => total + line.lineTotal, 0));
+  const minSpend = parseFloat(promo.min_spend) || 0;
+  if (eligibleSubtotal < minSpend) {
+    throw new PromoCodeError(`Spend at least ₱${minSpend.toLocaleString()}${categories.length > 0 ? ` on ${categories.join(', ')}` : ''} to use this promo code`);
+  }
+
+  const value = parseFloat(promo.discount_value) || 0;
+  const rawDiscount = promo.discount_type === DISCOUNT_TYPES.PERCENTAGE
+    ? eligibleSubtotal * Math.min(value, 100) / 100
+    : value;
+
+  return {
+    eligibleSubtotal,
+    discount: roundCurrency(Math.min(rawDiscount, eligibleSubtotal))
+  };
+}
+
+/**
+ * Validate a code against a priced order without redeeming it (checkout preview and
+ * the pre-insert check in order creation)
+ * @param {string} code - Code entered by the customer
+ * @param {Object} options - { userId (the authenticated user), quote }
+ * @returns {Object} - { promo, eligibleSubtotal, discount }
+ */
+async function previewPromoCode(code, { userId = null, quote }) {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) {
+    throw new PromoCodeError('Enter a promo code');
+  }
+
+  const { data: promo, error } = await supabase
+    .from('promo_codes')
+    .select('*')
+    .eq('code', normalized)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up promo code: ${error.message}`);
+  }
+  if (!promo) {
+    throw new PromoCodeError('This promo code is not valid');
+  }
+
+  let userRedemptions = 0;
+  if (userId) {
+    const { count, error: countError } = await supabase
+      .from('promo_code_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('promo_code_id', promo.id)
+      .eq('user_id', userId);
+
+    if (countError) {
+      throw new Error(`Failed to check promo code usage: ${countError.message}`);
+    }
+    userRedemptions = count || 0;
+  }
+
+  assertPromoUsable(promo, { userId, userRedemptions });
+  return { promo, ...calculatePromoDiscount(promo, quote) };
+}
+
+/**
+ * Redeem a previewed code for a new order inside the order transaction.
+ * The promo row is locked so two checkouts cannot both take the last use.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} promo - promo_codes row returned by previewPromoCode
+ * @param {Object} redemption - { orderId, userId, discount }
+ */
+async function redeemPromoCode(client, promo, { orderId, userId, discount }) {
+  const { rows } = await client.query('SELECT * FROM promo_codes WHERE id = $1 FOR UPDATE', [promo.id]);
+
+  let userRedemptions = 0;
+  if (userId) {
+    const { rows: countRows } = await client.query(
+      'SELECT COUNT(*)::int AS count FROM promo_code_redemptions WHERE promo_code_id = $1 AND user_id = $2',
+      [promo.id, userId]
+    );
+    userRedemptions = countRows[0].count;
+  }
+
+  assertPromoUsable(rows[0], { userId, userRedemptions });
+
+  await client.query(
+    `INSERT INTO promo_code_redemptions (promo_code_id, order_id, user_id, discount_amount)
+     VALUES ($1, $2, $3, $4)`,
+    [promo.id, orderId, userId || null, discount]
+  );
+  await client.query(
+    'UPDATE promo_codes SET used_count = used_count + 1, updated_at = now() WHERE id = $1',
+    [promo.id]
+  );
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  PromoCodeError,
+  normalizePromoCode,
+  assertPromoUsable,
+  calculatePromoDiscount,
+  previewPromoCode,
+  redeemPromoCode
+};
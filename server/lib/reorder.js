@@ -0,0 +1,260 @@
+// Reorder-point engine for on-stock products (balls, trophies, medals).
+// Combines the per-product reorder thresholds (see scripts/add-reorder-level-columns.sql)
+// with recent sales velocity from completed orders to flag low / out-of-stock rows
+// per branch, product and size, and suggest how many units to reorder.
+
+const { supabase } = require('./db');
+const { parseSizeStocks } = require('./inventory');
+const { isOnStockCategory } = require('../scripts/generate-skus');
+
+// Same defaults as scripts/set-default-reorder-levels.js
+const DEFAULT_LOW_STOCK_THRESHOLD = 10;
+const DEFAULT_SUFFICIENT_STOCK_THRESHOLD = 30;
+
+const DEFAULT_VELOCITY_DAYS = 30;
+// Days a reorder takes to arrive, and how many days of sales a reorder should cover
+const LEAD_TIME_DAYS = 7;
+const COVER_DAYS = 30;
+
+const COMPLETED_ORDER_STATUSES = ['picked_up_delivered', 'completed'];
+
+// Movement types that put stock on the shelf (used for "last restocked")
+const RESTOCK_MOVEMENT_TYPES = ['initial', 'manual_adjustment', 'transfer_in', 'purchase_receipt'];
+
+const STOCK_STATUS = {
+  IN_STOCK: 'In Stock',
+  LOW_STOCK: 'Low Stock',
+  OUT_OF_STOCK: 'Out of Stock'
+};
+
+function velocityKey(productId, size) {
+  return `${productId}|${size || ''}`;
+}
+
+function productLookupKey(name, category, branchId) {
+  return `${(name || '').toLowerCase().trim()}|${(category || '').toLowerCase().trim()}|${branchId}`;
+}
+
+function resolveItemSize(item) {
+  const size = item.trophyDetails?.size || item.trophyDetails?.trophySize || item.size;
+  return size ? String(size) : null;
+}
+
+/**
+ * Sum units sold per product row and size from completed orders
+ * Uses orders.stock_reservations when present (exact rows), otherwise matches
+ * order items to product rows by name, category and the item's branchId.
+ * @param {Array} orders - Completed orders with order_items and stock_reservations
+ * @param {Array} products - Product rows (id, name, category, branch_id)
+ * @returns {Map} - velocityKey(productId, size) -> units sold
+ */
+function summarizeUnitsSold(orders = [], products = []) {
+  const unitsSold = new Map();
+  const productsByLookup = new Map();
+  products.forEach(product => {
+    productsByLookup.set(productLookupKey(product.name, product.category, product.branch_id), product);
+  });
+
+  const addUnits = (productId, size, quantity) => {
+    if (!productId || !quantity) return;
+    const key = velocityKey(productId, size);
+    unitsSold.set(key, (unitsSold.get(key) || 0) + quantity);
+  };
+
+  orders.forEach(order => {
+    const reservations = Array.isArray(order.stock_reservations) ? order.stock_reservations : [];
+    if (reservations.length > 0) {
+      reservations.forEach(reservation => {
+        addUnits(reservation.productId, reservation.size, parseInt(reservation.quantity, 10) || 0);
+      });
+      return;
+    }
+
+    const items = Array.isArray(order.order_items) ? order.order_items : [];
+    items.forEach(item => {
+      const branchId = parseInt(item.branchId || item.branch_id, 10);
+      if (Number.isNaN(branchId)) return;
+      const product = productsByLookup.get(productLookupKey(item.name, item.category, branchId));
+      if (!product) return;
+      const size = item.category?.toLowerCase() === 'balls' ? null : resolveItemSize(item);
+      addUnits(product.id, size, parseInt(item.quantity, 10) || 1);
+    });
+  });
+
+  return unitsSold;
+}
+
+/**
+ * Classify one stock level and suggest a reorder quantity
+ * @param {number} stockQuantity - Units on hand
+ * @param {Object} levels - { reorderLevel, targetLevel, dailyVelocity }
+ * @returns {Object} - { status, reorderPoint, suggestedReorderQty, daysOfCover }
+ */
+function evaluateStockLevel(stockQuantity, { reorderLevel, targetLevel, dailyVelocity }) {
+  // Reorder early enough to cover sales while the restock is on its way
+  const reorderPoint = reorderLevel + Math.ceil(dailyVelocity * LEAD_TIME_DAYS);
+  const orderUpTo = Math.max(targetLevel, reorderPoint + Math.ceil(dailyVelocity * COVER_DAYS));
+
+  let status = STOCK_STATUS.IN_STOCK;
+  if (stockQuantity <= 0) {
+    status = STOCK_STATUS.OUT_OF_STOCK;
+  } else if (stockQuantity <= reorderPoint) {
+    status = STOCK_STATUS.LOW_STOCK;
+  }
+
+  return {
+    status,
+    reorderPoint,
+    suggestedReorderQty: status === STOCK_STATUS.IN_STOCK ? 0 : Math.max(orderUpTo - stockQuantity, 0),
+    daysOfCover: dailyVelocity > 0 ? Math.floor(stockQuantity / dailyVelocity) : null
+  };
+}
+
+/**
+ * Build the reorder report: one entry per branch product row and size
+ * @param {Array} products - On-stock product rows with stock and threshold columns
+ * @param {Map} unitsSold - Output of summarizeUnitsSold
+ * @param {Object} options - { days, branchNames (Map), lastRestocked (Map velocityKey -> ISO date) }
+ * @returns {Array} - Report rows sorted most urgent first
+ */
+function buildReorderReport(products = [], unitsSold = new Map(), options = {}) {
+  const days = options.days || DEFAULT_VELOCITY_DAYS;
+  const branchNames = options.branchNames || new Map();
+  const lastRestocked = options.lastRestocked || new Map();
+  const rows = [];
+
+  products.forEach(product => {
+    const reorderLevel = product.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+    const targetLevel = product.sufficient_stock_threshold ?? DEFAULT_SUFFICIENT_STOCK_THRESHOLD;
+    const sizeStocks = parseSizeStocks(product.size_stocks);
+    const flatSizes = sizeStocks
+      ? Object.entries(sizeStocks).filter(([, value]) => value === null || typeof value !== 'object')
+      : [];
+
+    const levels = flatSizes.length > 0
+      ? flatSizes.map(([size, quantity]) => ({ size, stockQuantity: parseInt(quantity, 10) || 0 }))
+      : [{ size: null, stockQuantity: product.stock_quantity || 0 }];
+
+    levels.forEach(({ size, stockQuantity }) => {
+      const key = velocityKey(product.id, size);
+      const sold = unitsSold.get(key) || 0;
+      const dailyVelocity = sold / days;
+      const evaluation = evaluateStockLevel(stockQuantity, { reorderLevel, targetLevel, dailyVelocity });
+
+      rows.push({
+        id: size ? `${product.id}-${size}` : product.id,
+        productId: product.id,
+        name: product.name,
+        category: product.category,
+        sku: product.sku || null,
+        thumbnail: product.main_image || null,
+        branchId: product.branch_id,
+        branchName: branchNames.get(product.branch_id) || null,
+        size,
+        stockQuantity,
+        reorderLevel,
+        targetLevel,
+        unitsSold: sold,
+        dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+        lastRestocked: lastRestocked.get(key) || null,
+        ...evaluation
+      });
+    });
+  });
+
+  const urgency = {
+    [STOCK_STATUS.OUT_OF_STOCK]: 0,
+    [STOCK_STATUS.LOW_STOCK]: 1,
+    [STOCK_STATUS.IN_STOCK]: 2
+  };
+
+  return rows.sort((a, b) => (urgency[a.status] - urgency[b.status]) || (b.suggestedReorderQty - a.suggestedReorderQty));
+}
+
+/**
+ * Load products, completed orders and restock history, then build the reorder report
+ * @param {Object} options - { branchId (optional), days }
+ * @returns {Object} - { days, branchId, summary, items }
+ */
+async function loadReorderReport({ branchId = null, days = DEFAULT_VELOCITY_DAYS } = {}) {
+  let productsQuery = supabase
+    .from('products')
+    .select('id, name, category, sku, main_image, branch_id, stock_quantity, size_stocks, low_stock_threshold, sufficient_stock_threshold, archived');
+
+  if (branchId) {
+    productsQuery = productsQuery.eq('branch_id', branchId);
+  }
+
+  const { data: productRows, error: productsError } = await productsQuery;
+  if (productsError) {
+    throw new Error(`Failed to load products: ${productsError.message}`);
+  }
+
+  const products = (productRows || []).filter(product => !product.archived && isOnStockCategory(product.category));
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const { data: completedOrders, error: ordersError } = await supabase
+    .from('orders')
+    .select('id, order_items, stock_reservations')
+    .in('status', COMPLETED_ORDER_STATUSES)
+    .gte('created_at', since);
+
+  if (ordersError) {
+    throw new Error(`Failed to load completed orders: ${ordersError.message}`);
+  }
+
+  const unitsSold = summarizeUnitsSold(completedOrders || [], products);
+
+  const branchNames = new Map();
+  const { data: branches } = await supabase.from('branches').select('id, name');
+  (branches || []).forEach(branch => branchNames.set(branch.id, branch.name));
+
+  const lastRestocked = new Map();
+  if (products.length > 0) {
+    const { data: restocks, error: restockError } = await supabase
+      .from('stock_movements')
+      .select('product_id, size, created_at')
+      .in('product_id', products.map(product => product.id))
+      .in('movement_type', RESTOCK_MOVEMENT_TYPES)
+      .gt('quantity_change', 0)
+      .order('created_at', { ascending: false });
+
+    if (restockError) {
+      console.warn('⚠️ Could not load restock history for reorder report:', restockError.message);
+    }
+
+    (restocks || []).forEach(movement => {
+      const key = velocityKey(movement.product_id, movement.size);
+      if (!lastRestocked.has(key)) {
+        lastRestocked.set(key, movement.created_at);
+      }
+    });
+  }
+
+  const items = buildReorderReport(products, unitsSold, { days, branchNames, lastRestocked });
+
+  return {
+    days,
+    branchId,
+    summary: {
+      total: items.length,
+      outOfStock: items.filter(item => item.status === STOCK_STATUS.OUT_OF_STOCK).length,
+      lowStock: items.filter(item => item.status === STOCK_STATUS.LOW_STOCK).length,
+      inStock: items.filter(item => item.status === STOCK_STATUS.IN_STOCK).length
+    },
+    items
+  };
+}
+
+module.exports = {
+  DEFAULT_VELOCITY_DAYS,
+  LEAD_TIME_DAYS,
+  COVER_DAYS,
+  COMPLETED_ORDER_STATUSES,
+  STOCK_STATUS,
+  velocityKey,
+  summarizeUnitsSold,
+  evaluateStockLevel,
+  buildReorderReport,
+  loadReorderReport
+};
@@ -0,0 +1,284 @@
+// "Order again" for delivered orders.
+// Teams come back every season with the same roster. A delivered catalog order is copied into
+// the customer's cart with its team members intact and repriced from the current product rows;
+// a delivered custom design order becomes a prefilled custom design form. Either way the new
+// order keeps orders.reorder_of_order_id, and when its artist task is created the original
+// order's final artwork (design_files) is attached as the task's reference_files.
+
+const { supabase } = require('./db');
+const { priceLineItem, loadProductsForPricing } = require('./pricing');
+const { toCustomerFile, toStaffFile } = require('./designPreviews');
+
+// Only orders the customer actually received can be ordered again
+const REPEATABLE_STATUS = 'picked_up_delivered';
+
+// Cart-only fields of an order line that must not be copied into a new cart line
+const LINE_FIELDS_TO_DROP = ['uniqueId', 'createdAt', 'updatedAt', 'addedAt', 'priceBreakdown', 'reorderOfOrderId'];
+
+class RepeatOrderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RepeatOrderError';
+    this.statusCode = statusCode;
+  }
+}
+
+function isCustomDesignOrder(order) {
+  return order.order_type === 'custom_design' ||
+    (Array.isArray(order.order_items) && order.order_items[0]?.product_type === 'custom_design');
+}
+
+/**
+ * Load a delivered order the customer wants to order again
+ * @param {string} orderId - Original order ID
+ * @param {Object} user - req.user
+ * @returns {Object} - The order row
+ */
+async function loadRepeatableOrder(orderId, user) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('id, order_number, user_id, status, order_type, payment_status, shipping_method, pickup_location, delivery_address, order_notes, order_items, design_files')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load order: ${error.message}`);
+  }
+  if (!order) {
+    throw new RepeatOrderError('Order not found', 404);
+  }
+  if (order.user_id !== user.id) {
+    throw new RepeatOrderError('Access denied. You can only order again from your own orders.', 403);
+  }
+  if (order.status !== REPEATABLE_STATUS) {
+    throw new RepeatOrderError('Only delivered or picked up orders can be ordered again');
+  }
+  return order;
+}
+
+/**
+ * Copy an order line into cart options priced at today's product prices.
+ * Team members keep their names, numbers and sizes; their per-member prices are refreshed.
+ * @param {Object} line - Original order item
+ * @param {Object} product - Current product row
+ * @param {string} orderId - Original order ID, kept on the cart line
+ * @returns {Object} - { product, options } as taken by CartContext addToCart
+ */
+function buildCartLine(line, product, orderId) {
+  const copy = { ...line };
+  LINE_FIELDS_TO_DROP.forEach(field => delete copy[field]);
+
+  const pricing = priceLineItem(copy, product);
+  const { breakdown } = pricing;
+  const isTeamOrder = Boolean(copy.isTeamOrder) && Array.isArray(copy.teamMembers) && copy.teamMembers.length > 0;
+
+  let teamMembers = isTeamOrder ? copy.teamMembers.map(member => ({ ...member })) : null;
+  if (isTeamOrder && Array.isArray(breakdown.members)) {
+    teamMembers = teamMembers.map((member, index) => ({ ...member, ...breakdown.members[index] }));
+  }
+
+  return {
+    product: {
+      id: product.id,
+      name: product.name,
+      category: product.category,
+      price: product.price,
+      main_image: copy.image || null
+    },
+    options: {
+      size: copy.size,
+      quantity: pricing.quantity,
+      isTeamOrder,
+      teamMembers,
+      teamName: isTeamOrder ? (copy.teamName || teamMembers[0]?.teamName || null) : null,
+      singleOrderDetails: isTeamOrder ? null : (copy.singleOrderDetails || null),
+      sizeType: copy.sizeType || null,
+      jerseyType: copy.jerseyType || null,
+      ballDetails: copy.ballDetails || null,
+      trophyDetails: copy.trophyDetails || null,
+      price: pricing.unitPrice,
+      basePrice: breakdown.basePrice,
+      fabricOption: copy.fabricOption || null,
+      fabricSurcharge: breakdown.fabricSurcharge,
+      cutType: copy.cutType || null,
+      cutTypeSurcharge: breakdown.cutTypeSurcharge,
+      sizeSurcharge: isTeamOrder ? 0 : breakdown.sizeSurcharge,
+      sizeSurchargeTotal: breakdown.sizeSurcharge,
+      surchargeDetails: copy.surchargeDetails || null,
+      reorderOfOrderId: orderId
+    }
+  };
+}
+
+/**
+ * What "order again" puts in front of the customer for a delivered order
+ * @param {Object} order - Order row from loadRepeatableOrder
+ * @returns {Object} - { orderId, orderNumber, type: 'cart', lines, unavailable } for catalog
+ *   orders, or { orderId, orderNumber, type: 'custom_design', customDesign } for custom designs
+ */
+async function buildRepeatOrder(order) {
+  const orderItems = Array.isArray(order.order_items) ? order.order_items : [];
+
+  if (isCustomDesignOrder(order)) {
+    const item = orderItems[0] || {};
+    return {
+      orderId: order.id,
+      orderNumber: order.order_number,
+      type: 'custom_design',
+      customDesign: {
+        teamName: item.team_name || '',
+        apparelType: item.apparel_type || '',
+        members: Array.isArray(item.team_members) ? item.team_members : [],
+        designImages: Array.isArray(item.design_images) ? item.design_images : [],
+        shippingMethod: order.shipping_method === 'cod' ? 'delivery' : order.shipping_method,
+        pickupLocation: order.pickup_location || null,
+        deliveryAddress: order.delivery_address || null,
+        // Shown to the customer, so previews only (lib/designPreviews)
+        previousArtwork: Array.isArray(order.design_files) ? order.design_files.map(file => toCustomerFile(file, order)) : []
+      }
+    };
+  }
+
+  const products = await loadProductsForPricing(orderItems);
+  const lines = [];
+  const unavailable = [];
+  orderItems.forEach(line => {
+    const product = line?.id ? products.get(line.id) : null;
+    if (product) {
+      lines.push(buildCartLine(line, product, order.id));
+    } else {
+      unavailable.push({ id: line?.id || null, name: line?.name || null });
+    }
+  });
+
+  return {
+    orderId: order.id,
+    orderNumber: order.order_number,
+    type: 'cart',
+    lines,
+    unavailable
+  };
+}
+
+/**
+ * Validate the reorder link a new order claims. Links to someone else's order (or to an order
+ * that no longer exists) are dropped rather than failing the checkout.
+ * @param {string|null} orderId - Claimed original order ID
+ * @param {string} userId - Customer placing the new order
+ * @returns {string|null} - The original order ID, or null
+ */
+async function resolveReorderSource(orderId, userId) {
+  if (!orderId || !userId) {
+    return null;
+  }
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('id, user_id')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error || !order || order.user_id !== userId) {
+    console.warn(`⚠️ Ignoring reorder link to order ${orderId} for user ${userId}`);
+    return null;
+  }
+  return order.id;
+}
+
+/**
+ * Reference images the customer uploaded with a custom design order, reused when the repeat
+ * order is submitted without new ones
+ * @param {string} orderId - Original custom design order ID
+ * @returns {Array} - [{ filename, url, publicId, uploadedAt }]
+ */
+async function loadPreviousDesignImages(orderId) {
+  const { data: order } = await supabase
+    .from('orders')
+    .select('order_items')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  const images = Array.isArray(order?.order_items) ? order.order_items[0]?.design_images : null;
+  return Array.isArray(images) ? images : [];
+}
+
+/**
+ * The original order a cart checkout was copied from: an explicit reorder_of_order_id or the
+ * reorderOfOrderId carried on the cart lines
+ * @param {Object} body - Order POST body
+ * @param {Array} orderItems - Order items
+ * @returns {string|null}
+ */
+function findClaimedReorderSource(body, orderItems) {
+  const explicit = body.reorderOfOrderId || body.reorder_of_order_id;
+  if (explicit) {
+    return explicit;
+  }
+  const line = (orderItems || []).find(item => item?.reorderOfOrderId);
+  return line ? line.reorderOfOrderId : null;
+}
+
+/**
+ * Attach the original order's artwork to the artist task of a repeat order.
+ * Non-critical: failures are logged and the task is left as it was.
+ * @param {string} taskId - artist_tasks ID
+ * @param {Object} order - The new order (needs reorder_of_order_id)
+ * @returns {Array} - Files attached
+ */
+async function attachPreviousArtwork(taskId, order) {
+  if (!taskId || !order?.reorder_of_order_id) {
+    return [];
+  }
+  try {
+    const { data: original } = await supabase
+      .from('orders')
+      .select('order_number, design_files')
+      .eq('id', order.reorder_of_order_id)
+      .maybeSingle();
+
+    const files = Array.isArray(original?.design_files) ? original.design_files : [];
+    if (files.length === 0) {
+      return [];
+    }
+
+    const { data: task } = await supabase
+      .from('artist_tasks')
+      .select('design_requirements, reference_files')
+      .eq('id', taskId)
+      .single();
+
+    const existing = Array.isArray(task?.reference_files) ? task.reference_files : [];
+    const referenceFiles = [
+      ...existing,
+      ...files
+        .filter(file => !existing.some(current => current.publicId && current.publicId === file.publicId))
+        .map(file => ({ ...toStaffFile(file, original), source: 'previous_order', sourceOrderNumber: original.order_number }))
+    ];
+    const note = `🔁 Repeat of order ${original.order_number} - previous artwork attached (${files.length} file${files.length === 1 ? '' : 's'})`;
+
+    await supabase
+      .from('artist_tasks')
+      .update({
+        reference_files: referenceFiles,
+        design_requirements: task?.design_requirements ? `${task.design_requirements}\n\n${note}` : note
+      })
+      .eq('id', taskId);
+
+    console.log(`✅ Attached ${files.length} file(s) from order ${original.order_number} to task ${taskId}`);
+    return files;
+  } catch (error) {
+    console.error('⚠️ Could not attach previous artwork to task (non-critical):', error);
+    return [];
+  }
+}
+
+module.exports = {
+  REPEATABLE_STATUS,
+  RepeatOrderError,
+  loadRepeatableOrder,
+  buildCartLine,
+  buildRepeatOrder,
+  resolveReorderSource,
+  loadPreviousDesignImages,
+  findClaimedReorderSource,
+  attachPreviousArtwork
+};
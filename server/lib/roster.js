@@ -0,0 +1,194 @@
+// Printable team roster for an order.
+// Sizing and printing staff work from one sheet per order: every team member of every team line
+// (catalog team orders and custom designs) with name, number, sizes, jersey type, fabric and cut,
+// plus a size tally for cutting. Exported as PDF (same layout family as lib/invoice) or CSV.
+
+const { jsPDF } = require('jspdf');
+const { autoTable } = require('jspdf-autotable');
+
+const BRAND_COLOR = [30, 58, 138];
+
+const ROSTER_COLUMNS = [
+  { key: 'line', label: 'Item' },
+  { key: 'teamName', label: 'Team' },
+  { key: 'surname', label: 'Surname' },
+  { key: 'number', label: 'Number' },
+  { key: 'jerseySize', label: 'Jersey Size' },
+  { key: 'shortsSize', label: 'Shorts Size' },
+  { key: 'jerseyType', label: 'Jersey Type' },
+  { key: 'sizingType', label: 'Sizing' },
+  { key: 'fabricOption', label: 'Fabric' },
+  { key: 'cutType', label: 'Cut' }
+];
+
+const JERSEY_TYPE_LABELS = {
+  full: 'Full set',
+  shirt: 'Shirt only',
+  shorts: 'Shorts only'
+};
+
+function normalizeSizingType(value) {
+  return String(value || '').toLowerCase().startsWith('kid') ? 'Kids' : 'Adult';
+}
+
+/**
+ * Flatten the team members of an order into roster rows
+ * @param {Object} order - Order row
+ * @returns {Array} - [{ line, teamName, surname, number, jerseySize, shortsSize, jerseyType, sizingType, fabricOption, cutType }]
+ */
+function collectRosterEntries(order) {
+  const items = Array.isArray(order.order_items) ? order.order_items : [];
+  const entries = [];
+
+  items.forEach(item => {
+    const isCustomDesign = item.product_type === 'custom_design';
+    const members = isCustomDesign ? item.team_members : (item.isTeamOrder ? item.teamMembers : null);
+    if (!Array.isArray(members) || members.length === 0) {
+      return;
+    }
+
+    members.forEach(member => {
+      const jerseyType = member.jerseyType || member.jersey_type || item.jerseyType || 'full';
+      // Catalog members keep the shirt size in jerseySize; custom design members in size
+      const jerseySize = jerseyType === 'shorts' ? '' : (member.jerseySize || member.size || '');
+      const shortsSize = jerseyType === 'shirt' ? '' : (member.shortsSize || '');
+
+      entries.push({
+        line: item.name || 'Item',
+        teamName: member.teamName || member.team_name || item.teamName || item.team_name || '',
+        surname: (member.surname || member.name || '').toString().toUpperCase(),
+        number: member.number ?? member.jerseyNo ?? member.jerseyNumber ?? '',
+        jerseySize,
+        shortsSize,
+        jerseyType: JERSEY_TYPE_LABELS[jerseyType] || jerseyType,
+        sizingType: normalizeSizingType(member.sizingType || member.sizing_type),
+        fabricOption: member.fabricOption || member.fabric_option || item.fabricOption || '',
+        cutType: member.cutType || member.cut_type || item.cutType || ''
+      });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Pieces per size, split into jerseys and shorts, for the cutting table
+ * @param {Array} entries - Result of collectRosterEntries
+ * @returns {Array} - [{ sizing, size, jerseys, shorts }] sorted by sizing then size
+ */
+function tallySizes(entries) {
+  const tally = new Map();
+  const bump = (sizing, size, field) => {
+    if (!size) return;
+    const key = `${sizing}|${size}`;
+    const current = tally.get(key) || { sizing, size, jerseys: 0, shorts: 0 };
+    current[field] += 1;
+    tally.set(key, current);
+  };
+
+  entries.forEach(entry => {
+    bump(entry.sizingType, entry.jerseySize, 'jerseys');
+    bump(entry.sizingType, entry.shortsSize, 'shorts');
+  });
+
+  return [...tally.values()].sort((a, b) => a.sizing.localeCompare(b.sizing) || a.size.localeCompare(b.size, 'en', { numeric: true }));
+}
+
+// Cells starting with one of these are read as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Roster as CSV (one row per team member). The header matches the roster import columns.
+ * @param {Object} order - Order row
+ * @returns {string} - CSV text
+ */
+function renderRosterCsv(order) {
+  const entries = collectRosterEntries(order);
+  const lines = [ROSTER_COLUMNS.map(column => column.label).join(',')];
+  entries.forEach(entry => {
+    lines.push(ROSTER_COLUMNS.map(column => escapeCsvValue(entry[column.key])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Printable roster PDF for the sizing and printing stations
+ * @param {Object} order - Order row
+ * @param {Object} context - { branch: branches row }
+ * @returns {Buffer} - PDF file contents
+ */
+function renderRosterPdf(order, { branch = null } = {}) {
+  const entries = collectRosterEntries(order);
+  const doc = new jsPDF({ unit: 'pt', format: 'a4', orientation: 'landscape' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const margin = 32;
+
+  doc.setFillColor(...BRAND_COLOR);
+  doc.rect(0, 0, pageWidth, 60, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text('TEAM ROSTER', margin, 38);
+  doc.setFontSize(12);
+  doc.text(order.order_number || '', pageWidth - margin, 30, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text(
+    [branch?.name || order.pickup_location, `${entries.length} member${entries.length === 1 ? '' : 's'}`].filter(Boolean).join(' | '),
+    pageWidth - margin,
+    46,
+    { align: 'right' }
+  );
+
+  doc.setTextColor(30, 41, 59);
+  autoTable(doc, {
+    startY: 80,
+    margin: { left: margin, right: margin },
+    head: [['#', ...ROSTER_COLUMNS.map(column => column.label)]],
+    body: entries.map((entry, index) => [String(index + 1), ...ROSTER_COLUMNS.map(column => String(entry[column.key] ?? ''))]),
+    headStyles: { fillColor: BRAND_COLOR, textColor: 255, fontStyle: 'bold' },
+    styles: { fontSize: 9, cellPadding: 4 },
+    columnStyles: {
+      0: { cellWidth: 24, halign: 'right' },
+      3: { fontStyle: 'bold' },
+      4: { fontStyle: 'bold', halign: 'center' }
+    }
+  });
+
+  const tally = tallySizes(entries);
+  if (tally.length > 0) {
+    autoTable(doc, {
+      startY: doc.lastAutoTable.finalY + 20,
+      margin: { left: margin },
+      tableWidth: 300,
+      head: [['Sizing', 'Size', 'Jerseys', 'Shorts']],
+      body: tally.map(row => [row.sizing, row.size, String(row.jerseys), String(row.shorts)]),
+      headStyles: { fillColor: [71, 85, 105], textColor: 255, fontStyle: 'bold' },
+      styles: { fontSize: 9, cellPadding: 4 },
+      columnStyles: { 2: { halign: 'right' }, 3: { halign: 'right' } }
+    });
+  }
+
+  const pageHeight = doc.internal.pageSize.getHeight();
+  doc.setFontSize(8);
+  doc.setTextColor(100, 116, 139);
+  doc.text(`Printed ${new Date().toLocaleString('en-PH')}`, margin, pageHeight - 20);
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+module.exports = {
+  ROSTER_COLUMNS,
+  collectRosterEntries,
+  tallySizes,
+  renderRosterCsv,
+  renderRosterPdf
+};
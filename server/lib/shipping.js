@@ -0,0 +1,273 @@
+// COD shipping quotes.
+// The fee is priced from the fulfilling branch to the centroid of the customer's barangay
+// (server/scripts/data/barangay-centroids.csv): a base fee by straight-line distance band,
+// a per-kg charge once the parcel is over the included weight, and a flat surcharge when
+// the parcel has to cross between Batangas and Oriental Mindoro by ferry.
+
+const fs = require('fs');
+const path = require('path');
+const { findBranch } = require('./branches');
+
+const DATA_DIR = path.join(__dirname, '..', 'scripts', 'data');
+const CENTROIDS_PATH = path.join(DATA_DIR, 'barangay-centroids.csv');
+const LOCATIONS_PATH = path.join(DATA_DIR, 'barangays-calabarzon-oriental-mindoro.json');
+
+const ISLAND_PROVINCE = 'oriental mindoro';
+
+const SHIPPING_RATES = {
+  // Base fee by distance from the branch; the last band adds a per-km fee past its start
+  distanceBands: [
+    { maxKm: 5, fee: 50 },
+    { maxKm: 15, fee: 80 },
+    { maxKm: 30, fee: 120 },
+    { maxKm: 60, fee: 180 },
+    { maxKm: Infinity, fee: 250, perKmOver: 3 }
+  ],
+  includedWeightKg: 3,
+  perExtraKg: 20,
+  ferrySurcharge: 250
+};
+
+// Estimated packed weight per piece, by product category
+const ITEM_WEIGHTS_KG = {
+  jerseys: 0.35,
+  uniforms: 0.35,
+  't-shirts': 0.25,
+  't-shirt': 0.25,
+  'long sleeves': 0.3,
+  hoodies: 0.6,
+  jackets: 0.7,
+  hats: 0.15,
+  accessories: 0.2,
+  balls: 0.65,
+  trophies: 1.2,
+  medals: 0.1
+};
+const DEFAULT_ITEM_WEIGHT_KG = 0.3;
+
+class ShippingQuoteError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ShippingQuoteError';
+    this.statusCode = statusCode;
+  }
+}
+
+function roundTo(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function normaliseKey(value) {
+  return (value || '').toString().toUpperCase().replace(/^CITY OF\s+/, '').replace(/\s+CITY$/, '').replace(/[^A-Z0-9]/g, '');
+}
+
+let locationIndex = null;
+
+// Read the centroid CSV and the PSGC name tree once, on first quote
+function loadLocationIndex() {
+  if (locationIndex) {
+    return locationIndex;
+  }
+
+  const centroids = new Map();
+  const rows = fs.readFileSync(CENTROIDS_PATH, 'utf8').split(/\r?\n/).slice(1);
+  rows.forEach(line => {
+    if (!line.trim()) return;
+    // Barangay names may be quoted and contain commas, so read the codes from the
+    // front and the coordinates from the back
+    const parts = line.split(',');
+    const latitude = Number(parts[parts.length - 2]);
+    const longitude = Number(parts[parts.length - 1]);
+    if (Number.isNaN(latitude) || Number.isNaN(longitude)) return;
+    centroids.set(parts[3], { latitude, longitude, provinceCode: parts[1], cityCode: parts[2] });
+  });
+
+  const provinceNames = new Map();
+  const barangaysByName = new Map();
+  const cityCentroids = new Map();
+  const dataset = JSON.parse(fs.readFileSync(LOCATIONS_PATH, 'utf8'));
+
+  (dataset.provinces || []).forEach(province => {
+    provinceNames.set(province.code, province.name);
+    (province.citiesAndMunicipalities || []).forEach(city => {
+      const cityKey = `${normaliseKey(province.name)}|${normaliseKey(city.name)}`;
+      const points = [];
+      (city.barangays || []).forEach(barangay => {
+        barangaysByName.set(`${cityKey}|${normaliseKey(barangay.name)}`, barangay.code);
+        const centroid = centroids.get(barangay.code);
+        if (centroid) points.push(centroid);
+      });
+      // City fallback for addresses whose barangay name does not match the PSGC list
+      if (points.length > 0) {
+        cityCentroids.set(cityKey, {
+          latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+          longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length,
+          provinceCode: province.code
+        });
+      }
+    });
+  });
+
+  locationIndex = { centroids, provinceNames, barangaysByName, cityCentroids };
+  return locationIndex;
+}
+
+/**
+ * Straight-line distance between two points (Haversine formula)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} - Distance in km
+ */
+function calculateDistanceKm(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Locate a delivery address, by barangay PSGC code when present, else by its names
+ * @param {Object} address - Delivery address ({ barangay_code, barangay, city, province })
+ * @returns {Object} - { latitude, longitude, province, barangayCode, precision }
+ * @throws {ShippingQuoteError} - When the address is outside the delivery area
+ */
+function resolveDestination(address) {
+  if (!address || typeof address !== 'object') {
+    throw new ShippingQuoteError('A delivery address is required for COD orders');
+  }
+
+  const { centroids, provinceNames, barangaysByName, cityCentroids } = loadLocationIndex();
+  const cityKey = `${normaliseKey(address.province)}|${normaliseKey(address.city)}`;
+  const barangayCode = (address.barangay_code || address.barangayCode || '').toString().trim()
+    || barangaysByName.get(`${cityKey}|${normaliseKey(address.barangay)}`)
+    || null;
+
+  const barangayCentroid = barangayCode ? centroids.get(barangayCode) : null;
+  if (barangayCentroid) {
+    return {
+      latitude: barangayCentroid.latitude,
+      longitude: barangayCentroid.longitude,
+      province: provinceNames.get(barangayCentroid.provinceCode) || address.province || null,
+      barangayCode,
+      precision: 'barangay'
+    };
+  }
+
+  const cityCentroid = cityCentroids.get(cityKey);
+  if (cityCentroid) {
+    return {
+      latitude: cityCentroid.latitude,
+      longitude: cityCentroid.longitude,
+      province: provinceNames.get(cityCentroid.provinceCode) || address.province || null,
+      barangayCode: null,
+      precision: 'city'
+    };
+  }
+
+  throw new ShippingQuoteError('We could not locate this address for delivery. Please choose a province, city and barangay from the list.', 422);
+}
+
+/**
+ * Estimate the packed weight of an order
+ * @param {Array} orderItems - Order items (category, quantity, teamMembers)
+ * @returns {Object} - { pieces, weightKg }
+ */
+function estimateParcel(orderItems = []) {
+  let pieces = 0;
+  let weightKg = 0;
+
+  orderItems.forEach(item => {
+    const quantity = Math.max(
+      parseInt(item?.quantity, 10) || 1,
+      item?.isTeamOrder && Array.isArray(item.teamMembers) ? item.teamMembers.length : 0
+    );
+    const category = (item?.category || '').toString().toLowerCase().trim();
+    pieces += quantity;
+    weightKg += quantity * (ITEM_WEIGHTS_KG[category] ?? DEFAULT_ITEM_WEIGHT_KG);
+  });
+
+  return { pieces, weightKg: roundTo(weightKg, 2) };
+}
+
+function isIslandProvince(province) {
+  return (province || '').toString().toLowerCase().trim() === ISLAND_PROVINCE;
+}
+
+/**
+ * Quote the COD shipping fee from a branch to a delivery address
+ * @param {Object} params - { branch: branches row with latitude/longitude/province, deliveryAddress, orderItems }
+ * @returns {Object} - Quote with the fee breakdown; stored on the order as shipping_quote
+ * @throws {ShippingQuoteError} - When the branch or address cannot be located
+ */
+function quoteShipping({ branch, deliveryAddress, orderItems }) {
+  const branchLatitude = Number.parseFloat(branch?.latitude);
+  const branchLongitude = Number.parseFloat(branch?.longitude);
+  if (!branch || Number.isNaN(branchLatitude) || Number.isNaN(branchLongitude)) {
+    throw new ShippingQuoteError('The selected branch does not ship COD orders yet. Please choose another branch or pick up your order.', 422);
+  }
+
+  const destination = resolveDestination(deliveryAddress);
+  const distanceKm = roundTo(calculateDistanceKm(branchLatitude, branchLongitude, destination.latitude, destination.longitude), 1);
+
+  const bands = SHIPPING_RATES.distanceBands;
+  const bandIndex = bands.findIndex(band => distanceKm <= band.maxKm);
+  const band = bands[bandIndex];
+  const bandStartKm = bandIndex > 0 ? bands[bandIndex - 1].maxKm : 0;
+  const distanceFee = band.fee + (band.perKmOver ? Math.ceil(distanceKm - bandStartKm) * band.perKmOver : 0);
+
+  const { pieces, weightKg } = estimateParcel(orderItems);
+  const extraKg = Math.max(0, Math.ceil(weightKg - SHIPPING_RATES.includedWeightKg));
+  const weightFee = extraKg * SHIPPING_RATES.perExtraKg;
+
+  const crossesFerry = isIslandProvince(branch.province) !== isIslandProvince(destination.province);
+  const ferrySurcharge = crossesFerry ? SHIPPING_RATES.ferrySurcharge : 0;
+
+  return {
+    branchId: branch.id,
+    branchName: branch.name,
+    destination: {
+      province: destination.province,
+      barangayCode: destination.barangayCode,
+      precision: destination.precision
+    },
+    distanceKm,
+    distanceBand: Number.isFinite(band.maxKm) ? `${bandStartKm}-${band.maxKm} km` : `over ${bandStartKm} km`,
+    pieces,
+    weightKg,
+    distanceFee,
+    weightFee,
+    ferrySurcharge,
+    total: distanceFee + weightFee + ferrySurcharge,
+    quotedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Quote COD shipping for a checkout, looking up the fulfilling branch by id or name
+ * @param {Object} params - { branchId, location, deliveryAddress, orderItems }
+ * @returns {Object} - Quote from quoteShipping
+ */
+async function quoteOrderShipping({ branchId = null, location = null, deliveryAddress, orderItems }) {
+  if (!branchId && !location) {
+    throw new ShippingQuoteError('Select the branch that will prepare your order');
+  }
+  const branch = await findBranch({ branchId, location }, 'id, name, latitude, longitude, province');
+  return quoteShipping({ branch, deliveryAddress, orderItems });
+}
+
+module.exports = {
+  SHIPPING_RATES,
+  ShippingQuoteError,
+  calculateDistanceKm,
+  resolveDestination,
+  estimateParcel,
+  quoteShipping,
+  quoteOrderShipping
+};
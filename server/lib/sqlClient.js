@@ -338,6 +338,33 @@ async function executeSql(sql, params = [], retryCount = 0) {
   }
 }
 
+/**
+ * Run a callback inside a single BEGIN/COMMIT transaction on one pooled client.
+ * The callback receives the client; any thrown error rolls the transaction back
+ * and is re-thrown to the caller.
+ */
+async function withTransaction(callback) {
+  const client = await getPool().connect();
+  lastActivityTime = Date.now();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    lastActivityTime = Date.now();
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('❌ Transaction rollback failed:', rollbackError.message);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Cleanup function to close pool and intervals
  */
@@ -358,6 +385,7 @@ process.on('SIGTERM', cleanup);
 
 module.exports = {
   executeSql,
+  withTransaction,
   checkPoolHealth,
   cleanup
 };
@@ -313,8 +313,17 @@ const requireBranchAccess = (req, res, next) => {
   next();
 };
 
+// Authenticate when the request carries a token; anonymous requests go through without req.user
+const optionalSupabaseToken = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  return authenticateSupabaseToken(req, res, next);
+};
+
 module.exports = {
   authenticateSupabaseToken,
+  optionalSupabaseToken,
   requireRole,
   requireAdminOrOwner,
   requireOwner,
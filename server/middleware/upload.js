@@ -34,8 +34,8 @@ const upload = multer({
   }
 });
 
-// Helper function to upload to Cloudinary
-const uploadToCloudinary = async (file, folder = 'yohanns-products') => {
+// Helper function to upload to Cloudinary (options are passed on, e.g. { type: 'authenticated' })
+const uploadToCloudinary = async (file, folder = 'yohanns-products', options = {}) => {
   return new Promise((resolve, reject) => {
     console.log('Uploading to Cloudinary:', {
       originalname: file.originalname,
@@ -50,7 +50,8 @@ const uploadToCloudinary = async (file, folder = 'yohanns-products') => {
         transformation: [
           { width: 800, height: 600, crop: 'limit' },
           { quality: 'auto' }
-        ]
+        ],
+        ...options
       },
       (error, result) => {
         if (error) {
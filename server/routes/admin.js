@@ -3,6 +3,15 @@ const { authenticateSupabaseToken, requireAdminOrOwner, requireOwner, requireBra
 const { createClient } = require('@supabase/supabase-js');
 const path = require('path');
 const { executeSql } = require('../lib/sqlClient');
+const {
+  ArtistAvailabilityError,
+  getArtistAvailability,
+  setWorkingHours,
+  addLeave,
+  removeLeave,
+  reassignTask,
+  reassignOpenTasks
+} = require('../lib/artistAvailability');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 // Initialize Supabase client for admin operations
@@ -280,7 +289,7 @@ async function fetchArtistUsersWithFallback() {
       try {
         const { data: profileData } = await supabase
           .from('artist_profiles')
-          .select('id, artist_name, is_active, is_verified, total_tasks_completed, rating, commission_rate')
+          .select('id, artist_name, is_active, is_verified, total_tasks_completed, rating, commission_rate, specialties, daily_capacity')
           .eq('user_id', user.id)
           .maybeSingle();
 
@@ -311,6 +320,8 @@ async function fetchArtistUsersWithFallback() {
         total_tasks_assigned: totalTasksAssigned,
         rating: artistProfile?.rating || 0,
         commission_rate: artistProfile?.commission_rate || 0,
+        specialties: artistProfile?.specialties || [],
+        daily_capacity: artistProfile?.daily_capacity ?? null,
         created_at: user.created_at
       };
     })
@@ -336,6 +347,8 @@ async function fetchArtistUsersViaSql() {
       ap.total_tasks_completed,
       ap.rating,
       ap.commission_rate,
+      ap.specialties,
+      ap.daily_capacity,
       COALESCE(task_counts.total_tasks, 0) AS total_tasks_assigned
     FROM auth.users u
     LEFT JOIN artist_profiles ap ON ap.user_id = u.id
@@ -359,6 +372,8 @@ async function fetchArtistUsersViaSql() {
       total_tasks_assigned: row.total_tasks_assigned || 0,
       rating: row.rating || 0,
       commission_rate: row.commission_rate || 0,
+      specialties: row.specialties || [],
+      daily_capacity: row.daily_capacity ?? null,
       created_at: row.created_at
     };
   });
@@ -908,15 +923,29 @@ router.get('/artists', requireAdminOrOwner, async (req, res) => {
 router.put('/artists/:id', requireOwner, async (req, res) => {
   try {
     const { id } = req.params;
-    const { artist_name, email } = req.body;
+    const { artist_name, email, specialties, daily_capacity } = req.body;
     
     console.log('🔄 Updating artist with ID:', id);
-    console.log('📝 New data:', { artist_name, email });
+    console.log('📝 New data:', { artist_name, email, specialties, daily_capacity });
     
     // Validate required fields
     if (!artist_name || !email) {
       return res.status(400).json({ error: 'Artist name and email are required' });
     }
+
+    // Assignment settings (lib/artistAssignment): specialties and daily capacity in weight units
+    const profileUpdate = { artist_name: artist_name };
+    if (specialties !== undefined) {
+      const list = Array.isArray(specialties) ? specialties : String(specialties || '').split(',');
+      profileUpdate.specialties = list.map(value => String(value).trim()).filter(Boolean);
+    }
+    if (daily_capacity !== undefined && daily_capacity !== null && daily_capacity !== '') {
+      const capacity = Number(daily_capacity);
+      if (!Number.isFinite(capacity) || capacity <= 0 || capacity > 100) {
+        return res.status(400).json({ error: 'Daily capacity must be a number between 0 and 100' });
+      }
+      profileUpdate.daily_capacity = capacity;
+    }
     
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -952,7 +981,7 @@ router.put('/artists/:id', requireOwner, async (req, res) => {
     // Update artist profile in database
     const { data: profileData, error: profileError } = await supabase
       .from('artist_profiles')
-      .update({ artist_name: artist_name })
+      .update(profileUpdate)
       .eq('user_id', id)
       .select()
       .single();
@@ -968,7 +997,9 @@ router.put('/artists/:id', requireOwner, async (req, res) => {
       data: {
         id: id,
         artist_name: artist_name,
-        email: email
+        email: email,
+        specialties: profileData?.specialties || [],
+        daily_capacity: profileData?.daily_capacity ?? null
       }
     });
     
@@ -982,9 +1013,9 @@ router.put('/artists/:id', requireOwner, async (req, res) => {
 router.patch('/artists/:id/toggle-status', authenticateSupabaseToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { is_active } = req.body;
+    const { is_active, reassign_open_tasks } = req.body;
     const user = req.user;
-    const userRole = user?.user_metadata?.role || user?.raw_user_meta_data?.role;
+    const userRole = user?.role || user?.user_metadata?.role || user?.raw_user_meta_data?.role;
     const isOwner = userRole === 'owner';
     const isAdmin = userRole === 'admin';
     
@@ -1018,13 +1049,26 @@ router.patch('/artists/:id/toggle-status', authenticateSupabaseToken, async (req
     }
     
     console.log('✅ Artist status updated successfully');
+
+    // Deactivated artists keep their tasks unless the admin asks to hand them over
+    let reassignment = null;
+    if (!is_active && reassign_open_tasks === true && (isOwner || isAdmin)) {
+      try {
+        reassignment = await reassignOpenTasks(profileData.id, { reason: 'Artist deactivated' }, user);
+      } catch (reassignError) {
+        console.error('Error reassigning tasks of deactivated artist:', reassignError);
+        reassignment = { reassigned: [], failed: [], error: reassignError.statusCode ? reassignError.message : 'Failed to reassign open tasks' };
+      }
+    }
+
     res.json({ 
       message: `Artist status updated to ${is_active ? 'active' : 'inactive'}`,
       data: {
         id: id,
         artist_name: updatedProfile.artist_name,
         is_active: is_active
-      }
+      },
+      reassignment
     });
     
   } catch (error) {
@@ -1033,6 +1077,85 @@ router.patch('/artists/:id/toggle-status', authenticateSupabaseToken, async (req
   }
 });
 
+function sendAvailabilityError(res, error, fallbackMessage) {
+  if (error instanceof ArtistAvailabilityError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// Working hours, upcoming leave and open tasks of an artist (:id is the artist's user ID)
+router.get('/artists/:id/availability', requireAdminOrOwner, async (req, res) => {
+  try {
+    const profile = await ensureArtistProfileRecord(req.params.id);
+    res.json(await getArtistAvailability(profile.id));
+  } catch (error) {
+    sendAvailabilityError(res, error, 'Failed to load artist availability');
+  }
+});
+
+router.put('/artists/:id/working-hours', requireAdminOrOwner, async (req, res) => {
+  try {
+    const profile = await ensureArtistProfileRecord(req.params.id);
+    const workingHours = await setWorkingHours(profile.id, req.body);
+    res.json({ message: 'Working hours saved', workingHours });
+  } catch (error) {
+    sendAvailabilityError(res, error, 'Failed to save working hours');
+  }
+});
+
+router.post('/artists/:id/leave', requireAdminOrOwner, async (req, res) => {
+  try {
+    const { start_date, end_date, reason } = req.body;
+    const profile = await ensureArtistProfileRecord(req.params.id);
+    const leave = await addLeave(profile.id, { startDate: start_date, endDate: end_date, reason }, req.user.id);
+    console.log(`🏖️ Leave added for ${profile.artist_name}: ${leave.start_date} to ${leave.end_date}`);
+    res.status(201).json({ message: 'Leave added', leave });
+  } catch (error) {
+    sendAvailabilityError(res, error, 'Failed to add leave');
+  }
+});
+
+router.delete('/artists/:id/leave/:leaveId', requireAdminOrOwner, async (req, res) => {
+  try {
+    const profile = await ensureArtistProfileRecord(req.params.id);
+    await removeLeave(profile.id, req.params.leaveId);
+    res.json({ message: 'Leave removed' });
+  } catch (error) {
+    sendAvailabilityError(res, error, 'Failed to remove leave');
+  }
+});
+
+// Hand every open task of an absent artist to another artist (to_artist_id, a user ID) or, without
+// one, to whoever the assigner picks for each task
+router.post('/artists/:id/reassign-tasks', requireAdminOrOwner, async (req, res) => {
+  try {
+    const { to_artist_id, reason, note } = req.body;
+    const profile = await ensureArtistProfileRecord(req.params.id);
+    const target = to_artist_id ? await ensureArtistProfileRecord(to_artist_id) : null;
+    const result = await reassignOpenTasks(profile.id, { toArtistId: target?.id || null, reason, note }, req.user);
+    res.json({
+      message: `Reassigned ${result.reassigned.length} task${result.reassigned.length === 1 ? '' : 's'}`,
+      ...result
+    });
+  } catch (error) {
+    sendAvailabilityError(res, error, 'Failed to reassign tasks');
+  }
+});
+
+// Reassign one task; the task keeps its revision notes and the order's design chat moves with it
+router.post('/artists/tasks/:taskId/reassign', requireAdminOrOwner, async (req, res) => {
+  try {
+    const { to_artist_id, reason, note } = req.body;
+    const target = to_artist_id ? await ensureArtistProfileRecord(to_artist_id) : null;
+    const { entry } = await reassignTask(req.params.taskId, { toArtistId: target?.id || null, reason, note }, req.user);
+    res.json({ message: `Task reassigned to ${entry.toArtistName}`, entry });
+  } catch (error) {
+    sendAvailabilityError(res, error, 'Failed to reassign task');
+  }
+});
+
 // Delete artist account (admin or owner)
 router.delete('/artists/:id', requireAdminOrOwner, async (req, res) => {
   try {
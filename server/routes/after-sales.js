@@ -0,0 +1,275 @@
+const express = require('express');
+const { supabase, withTransaction } = require('../lib/db');
+const {
+  REQUEST_STATUS,
+  MAX_PHOTOS,
+  AfterSalesError,
+  validateAfterSalesRequest,
+  approveAfterSalesRequest
+} = require('../lib/afterSales');
+const { PaymentError } = require('../lib/payments');
+const { OrderTransitionError } = require('../lib/orderStatus');
+const { InsufficientStockError } = require('../lib/inventory');
+const { resolveAdminBranchContext, orderMatchesBranch, ensureOrderAccess } = require('../lib/branches');
+const { upload, uploadToCloudinary } = require('../middleware/upload');
+const { authenticateSupabaseToken, requireAdminOrOwner } = require('../middleware/supabaseAuth');
+
+const router = express.Router();
+
+const ORDER_COLUMNS = 'id, order_number, user_id, status, pickup_location, pickup_branch_id, total_amount, amount_paid, amount_refunded, order_items';
+
+async function loadOrder(orderId) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select(ORDER_COLUMNS)
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Supabase error: ${error.message}`);
+  }
+  return order;
+}
+
+async function loadRequestForReview(req) {
+  const { data: request, error } = await supabase
+    .from('after_sales_requests')
+    .select(`*, orders!after_sales_requests_order_id_fkey(${ORDER_COLUMNS})`)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Supabase error: ${error.message}`);
+  }
+  if (request && req.user.role === 'admin') {
+    ensureOrderAccess(request.orders, await resolveAdminBranchContext(req.user));
+  }
+  return request;
+}
+
+function parseAffectedItems(value) {
+  if (!value) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new AfterSalesError('affectedItems must be a JSON list');
+  }
+}
+
+// Customer reports a problem with a delivered order.
+// Multipart: orderId, issueType, description, resolution (refund | remake), refundAmount,
+// affectedItems (JSON [{ itemIndex, memberIndex }]), photos (up to 5 images)
+router.post('/', authenticateSupabaseToken, upload.array('photos', MAX_PHOTOS), async (req, res) => {
+  try {
+    const order = await loadOrder(req.body.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'You can only report problems with your own orders' });
+    }
+
+    const fields = validateAfterSalesRequest(order, {
+      issueType: req.body.issueType,
+      description: req.body.description,
+      resolution: req.body.resolution,
+      refundAmount: req.body.refundAmount,
+      affectedItems: parseAffectedItems(req.body.affectedItems)
+    });
+
+    const files = (req.files || []).filter(file => file.mimetype.startsWith('image/'));
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'Attach at least one photo of the problem' });
+    }
+
+    const { data: openRequest } = await supabase
+      .from('after_sales_requests')
+      .select('id')
+      .eq('order_id', order.id)
+      .eq('status', REQUEST_STATUS.PENDING)
+      .limit(1)
+      .maybeSingle();
+    if (openRequest) {
+      return res.status(409).json({ error: 'You already have a pending request for this order' });
+    }
+
+    let photos;
+    try {
+      const results = await Promise.all(files.map(file => uploadToCloudinary(file, 'yohanns-after-sales')));
+      photos = results.map(result => ({ url: result.secure_url, publicId: result.public_id }));
+    } catch (cloudinaryError) {
+      console.error('❌ Cloudinary upload error:', cloudinaryError);
+      return res.status(500).json({ error: 'Failed to upload photos' });
+    }
+
+    const { data: request, error } = await supabase
+      .from('after_sales_requests')
+      .insert({
+        ...fields,
+        order_id: order.id,
+        user_id: req.user.id,
+        photos
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    console.log(`🛠️ After-sales ${fields.resolution} requested for order ${order.order_number}: ${fields.issue_type}`);
+    res.status(201).json({ request });
+  } catch (error) {
+    if (error instanceof AfterSalesError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error creating after-sales request:', error);
+    res.status(500).json({ error: 'Failed to submit your request' });
+  }
+});
+
+// Requests for one order (staff, or the customer who placed it)
+router.get('/order/:orderId', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const order = await loadOrder(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const isStaff = ['admin', 'owner'].includes(req.user.role);
+    if (!isStaff && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (req.user.role === 'admin') {
+      ensureOrderAccess(order, await resolveAdminBranchContext(req.user));
+    }
+
+    const { data: requests, error } = await supabase
+      .from('after_sales_requests')
+      .select('*, remake_order:orders!after_sales_requests_remake_order_id_fkey(id, order_number, status)')
+      .eq('order_id', order.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    res.json({ requests: requests || [] });
+  } catch (error) {
+    console.error('Error fetching after-sales requests:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to fetch requests' });
+  }
+});
+
+// Admin queue (admins see their branch only). Query: status (default pending)
+router.get('/', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const status = Object.values(REQUEST_STATUS).includes(req.query.status) ? req.query.status : REQUEST_STATUS.PENDING;
+    const branchContext = await resolveAdminBranchContext(req.user);
+
+    const { data: requests, error } = await supabase
+      .from('after_sales_requests')
+      .select(`*, orders!after_sales_requests_order_id_fkey(${ORDER_COLUMNS}), remake_order:orders!after_sales_requests_remake_order_id_fkey(id, order_number, status)`)
+      .eq('status', status)
+      .order('created_at', { ascending: status === REQUEST_STATUS.PENDING })
+      .limit(200);
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    const visible = (requests || []).filter(request => request.orders && orderMatchesBranch(request.orders, branchContext));
+    res.json({
+      requests: visible.map(({ orders: order, ...request }) => ({ ...request, order }))
+    });
+  } catch (error) {
+    console.error('Error fetching after-sales queue:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to fetch requests' });
+  }
+});
+
+// Approve a request. Body: { refundAmount, refundMethod, adminNotes }
+router.post('/:id/approve', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const request = await loadRequestForReview(req);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    const { refundAmount = null, refundMethod = 'cash', adminNotes = null } = req.body || {};
+    const result = await withTransaction(client => approveAfterSalesRequest(client, request.id, {
+      reviewedBy: req.user.id,
+      reviewerRole: req.user.role,
+      refundAmount: refundAmount === '' ? null : refundAmount,
+      refundMethod,
+      adminNotes: adminNotes || null
+    }));
+
+    if (result.remakeOrder) {
+      console.log(`🛠️ Remake ${result.remakeOrder.order_number} created for order ${request.orders.order_number}`);
+    } else {
+      console.log(`💸 Refund of ₱${result.payment.amount} approved for order ${request.orders.order_number} - ${result.order.status}`);
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof AfterSalesError || error instanceof PaymentError || error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error instanceof InsufficientStockError) {
+      return res.status(409).json({ error: 'Insufficient stock', message: error.message, stockChecks: error.stockChecks });
+    }
+    console.error('Error approving after-sales request:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to approve request' });
+  }
+});
+
+// Reject a request. Body: { adminNotes } - shown to the customer
+router.post('/:id/reject', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const adminNotes = (req.body?.adminNotes || '').toString().trim();
+    if (!adminNotes) {
+      return res.status(400).json({ error: 'Add a note explaining why the request was rejected' });
+    }
+
+    const request = await loadRequestForReview(req);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    const { data: rejected, error } = await supabase
+      .from('after_sales_requests')
+      .update({
+        status: REQUEST_STATUS.REJECTED,
+        admin_notes: adminNotes,
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', request.id)
+      .eq('status', REQUEST_STATUS.PENDING)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    if (!rejected) {
+      return res.status(409).json({ error: `This request was already ${request.status}` });
+    }
+
+    res.json({ request: rejected });
+  } catch (error) {
+    console.error('Error rejecting after-sales request:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to reject request' });
+  }
+});
+
+module.exports = router;
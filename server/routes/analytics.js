@@ -35,6 +35,14 @@ const SALES_FORECAST_RANGE_LABELS = {
   nextYear: 'Next Year'
 };
 
+// Revenue counts what the customer kept paying for: refunds from after-sales
+// requests are taken off the order total (orders.amount_refunded)
+const NET_SALES_SQL = '(total_amount - COALESCE(amount_refunded, 0))';
+
+function netOrderAmount(order) {
+  return (parseFloat(order.total_amount) || 0) - (parseFloat(order.amount_refunded) || 0);
+}
+
 let barangayGeoCache = null;
 
 const MAX_FORECAST_HISTORY_MONTHS = 36;
@@ -1173,7 +1181,7 @@ router.get('/dashboard-summary', async (req, res) => {
         // Use current time to include all orders up to now (including current month)
         let ordersQuery = supabase
           .from('orders')
-          .select('status, user_id, total_amount')
+          .select('status, user_id, total_amount, amount_refunded')
           .lte('created_at', nowIso);
         
         if (branchContext?.branchId) {
@@ -1199,7 +1207,7 @@ router.get('/dashboard-summary', async (req, res) => {
           const status = (order.status || '').toLowerCase();
           return status === 'picked_up_delivered' || status === 'completed';
         });
-        const totalRevenue = completedOrders.reduce((sum, order) => sum + (parseFloat(order.total_amount) || 0), 0);
+        const totalRevenue = completedOrders.reduce((sum, order) => sum + netOrderAmount(order), 0);
         
         const totalOrders = validOrders.length;
         const customerSet = new Set();
@@ -1243,7 +1251,7 @@ router.get('/dashboard-summary', async (req, res) => {
     const revenueFilter = buildBranchFilterClause(branchContext, 2);
     const totalRevenueQuery = executeSql(
       `
-        SELECT COALESCE(SUM(total_amount), 0)::numeric AS total_revenue
+        SELECT COALESCE(SUM(${NET_SALES_SQL}), 0)::numeric AS total_revenue
         FROM orders
         WHERE LOWER(status) IN ('picked_up_delivered', 'completed')
           AND created_at <= $1
@@ -1427,7 +1435,7 @@ router.get('/dashboard', async (req, res) => {
         // Use current time to include all orders up to now (including current month)
         let ordersQuery = supabase
           .from('orders')
-          .select('id, order_number, total_amount, status, created_at, user_id, pickup_location, order_items')
+          .select('id, order_number, total_amount, amount_refunded, status, created_at, user_id, pickup_location, order_items')
           .lte('created_at', nowIso);
         
         // Apply branch filter if needed
@@ -1480,13 +1488,13 @@ router.get('/dashboard', async (req, res) => {
             const orderDate = new Date(order.created_at);
             const monthKey = `${orderDate.getFullYear()}-${String(orderDate.getMonth() + 1).padStart(2, '0')}`;
             const current = monthlySales.get(monthKey) || 0;
-            monthlySales.set(monthKey, current + (parseFloat(order.total_amount) || 0));
+            monthlySales.set(monthKey, current + netOrderAmount(order));
           }
           
           // Branch sales (only from completed orders)
           const branch = order.pickup_location || 'Online Orders';
           const branchTotal = branchSales.get(branch) || 0;
-          branchSales.set(branch, branchTotal + (parseFloat(order.total_amount) || 0));
+          branchSales.set(branch, branchTotal + netOrderAmount(order));
           
           // Product and category analysis (from completed orders only for revenue)
           try {
@@ -1752,7 +1760,7 @@ router.get('/dashboard', async (req, res) => {
     const monthlySalesPromise = executeSql(
       `
         SELECT date_trunc('month', created_at) AS month_start,
-               SUM(total_amount)::numeric AS sales
+               SUM(${NET_SALES_SQL})::numeric AS sales
         FROM orders
         WHERE LOWER(status) NOT IN ('cancelled', 'canceled')
           AND created_at < $1
@@ -1767,7 +1775,7 @@ router.get('/dashboard', async (req, res) => {
     const totalRevenueFilter = buildBranchFilterClause(branchContext, 2);
     const totalRevenuePromise = executeSql(
       `
-        SELECT COALESCE(SUM(total_amount), 0)::numeric AS total_revenue
+        SELECT COALESCE(SUM(${NET_SALES_SQL}), 0)::numeric AS total_revenue
         FROM orders
         WHERE LOWER(status) IN ('picked_up_delivered', 'completed')
           AND created_at <= $1
@@ -1786,7 +1794,7 @@ router.get('/dashboard', async (req, res) => {
         `
           SELECT 
             COALESCE(NULLIF(TRIM(pickup_location), ''), 'Unspecified') AS pickup_location,
-            COALESCE(SUM(total_amount), 0)::numeric AS sales
+            COALESCE(SUM(${NET_SALES_SQL}), 0)::numeric AS sales
           FROM orders
           WHERE LOWER(status) IN ('picked_up_delivered', 'completed')
             AND pickup_branch_id = $1
@@ -1801,7 +1809,7 @@ router.get('/dashboard', async (req, res) => {
         `
           SELECT 
             COALESCE(NULLIF(TRIM(pickup_location), ''), 'Unspecified') AS pickup_location,
-            COALESCE(SUM(total_amount), 0)::numeric AS sales
+            COALESCE(SUM(${NET_SALES_SQL}), 0)::numeric AS sales
           FROM orders
           WHERE LOWER(status) IN ('picked_up_delivered', 'completed')
             AND pickup_location ILIKE $1
@@ -1816,7 +1824,7 @@ router.get('/dashboard', async (req, res) => {
         `
           SELECT 
             COALESCE(NULLIF(TRIM(pickup_location), ''), 'Unspecified') AS pickup_location,
-            COALESCE(SUM(total_amount), 0)::numeric AS sales
+            COALESCE(SUM(${NET_SALES_SQL}), 0)::numeric AS sales
           FROM orders
           WHERE LOWER(status) IN ('picked_up_delivered', 'completed')
           GROUP BY pickup_location
@@ -2005,7 +2013,7 @@ router.get('/dashboard', async (req, res) => {
             `
               SELECT 
                 COALESCE(NULLIF(TRIM(pickup_location), ''), 'Unspecified') AS pickup_location,
-                COALESCE(SUM(total_amount), 0)::numeric AS sales
+                COALESCE(SUM(${NET_SALES_SQL}), 0)::numeric AS sales
               FROM orders
               WHERE LOWER(status) IN ('picked_up_delivered', 'completed')
                 AND LOWER(status) NOT IN ('cancelled', 'canceled')
@@ -2507,7 +2515,7 @@ router.get('/sales-trends', async (req, res) => {
         const sqlQuery = `
           SELECT 
             ${dateFormat} AS date,
-            COALESCE(SUM(CASE WHEN LOWER(status) IN ('picked_up_delivered', 'completed') THEN total_amount ELSE 0 END), 0)::numeric AS sales,
+            COALESCE(SUM(CASE WHEN LOWER(status) IN ('picked_up_delivered', 'completed') THEN ${NET_SALES_SQL} ELSE 0 END), 0)::numeric AS sales,
             COUNT(*)::bigint AS orders
           FROM orders
           WHERE LOWER(status) NOT IN ('cancelled', 'canceled')
@@ -2599,7 +2607,7 @@ router.get('/sales-trends', async (req, res) => {
         // Only count sales from completed orders
         const status = (order.status || '').toLowerCase();
         if (status === 'picked_up_delivered' || status === 'completed') {
-          periodData[dateKey].sales += parseFloat(order.total_amount || 0);
+          periodData[dateKey].sales += netOrderAmount(order);
         }
         // Count all non-cancelled orders
         periodData[dateKey].orders += 1;
@@ -2744,7 +2752,7 @@ router.get('/customer-analytics', async (req, res) => {
         // Note: customer_name and related fields don't exist in orders table - they're resolved from delivery_address JSONB
         const { data: orders, error } = await supabase
           .from('orders')
-          .select('id, user_id, total_amount, created_at, status, delivery_address, pickup_location, pickup_branch_id, client_name, client_email')
+          .select('id, user_id, total_amount, amount_refunded, created_at, status, delivery_address, pickup_location, pickup_branch_id, client_name, client_email')
           .neq('status', 'cancelled')
           .neq('status', 'canceled')
           .order('created_at', { ascending: false })
@@ -2839,7 +2847,7 @@ router.get('/customer-analytics', async (req, res) => {
         }
         
         customerStats[userId].orderCount += 1;
-        customerStats[userId].totalSpent += parseFloat(order.total_amount || 0);
+        customerStats[userId].totalSpent += netOrderAmount(order);
         
         const orderDate = new Date(order.created_at);
         if (Number.isFinite(orderDate.getTime())) {
@@ -2948,7 +2956,7 @@ async function computeSalesForecast({ requestedRange, branchContext }) {
     `
       SELECT
         date_trunc('month', created_at) AS month_start,
-        SUM(total_amount)::numeric AS revenue,
+        SUM(${NET_SALES_SQL})::numeric AS revenue,
         COUNT(*)::int AS orders
       FROM orders
       WHERE LOWER(status) NOT IN ('cancelled', 'canceled')
@@ -3363,7 +3371,7 @@ router.get('/geographic-distribution', async (req, res) => {
       
       // Increment statistics
       locationData[city].orders += 1;
-      locationData[city].revenue += parseFloat(order.total_amount || 0);
+      locationData[city].revenue += netOrderAmount(order);
       locationData[city].customers.add(order.user_id);
       
       // Track products
@@ -1,6 +1,14 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
-const { authenticateSupabaseToken, requireRole } = require('../middleware/supabaseAuth');
+const { authenticateSupabaseToken, requireRole, requireAdminOrOwner } = require('../middleware/supabaseAuth');
+const { resolveAdminBranchContext } = require('../lib/branches');
+const {
+  DEFAULT_SLOT_DAYS,
+  PickupSlotError,
+  validatePickupWindow,
+  listPickupWindows,
+  listAvailableSlots
+} = require('../lib/pickupSlots');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
@@ -70,4 +78,116 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Admins manage the pickup windows of their own branch only; owners manage every branch
+async function ensureBranchScope(req) {
+  const branchId = parseInt(req.params.id, 10);
+  if (Number.isNaN(branchId)) {
+    throw new PickupSlotError('Invalid branch ID');
+  }
+  const branchContext = await resolveAdminBranchContext(req.user);
+  if (branchContext && branchContext.branchId !== branchId) {
+    throw new PickupSlotError('Access denied for branches other than your own', 403);
+  }
+  return branchId;
+}
+
+function sendPickupError(res, error, fallbackMessage) {
+  if (error instanceof PickupSlotError || error.statusCode === 403) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// Upcoming pickup slots of a branch with remaining capacity (public, used at checkout)
+router.get('/:id/pickup-slots', async (req, res) => {
+  try {
+    const branchId = parseInt(req.params.id, 10);
+    if (Number.isNaN(branchId)) {
+      return res.status(400).json({ error: 'Invalid branch ID' });
+    }
+    const days = parseInt(req.query.days, 10) || DEFAULT_SLOT_DAYS;
+    const slots = await listAvailableSlots(branchId, { days });
+    res.json({ branchId, slots });
+  } catch (error) {
+    sendPickupError(res, error, 'Failed to fetch pickup slots');
+  }
+});
+
+// Pickup windows of a branch, including inactive ones
+router.get('/:id/pickup-windows', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const branchId = await ensureBranchScope(req);
+    res.json({ windows: await listPickupWindows(branchId, { includeInactive: true }) });
+  } catch (error) {
+    sendPickupError(res, error, 'Failed to fetch pickup windows');
+  }
+});
+
+// Body: { dayOfWeek, opensAt, closesAt, slotMinutes, capacity }
+router.post('/:id/pickup-windows', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const branchId = await ensureBranchScope(req);
+    const fields = validatePickupWindow(req.body);
+
+    const { data: window, error } = await supabase
+      .from('branch_pickup_windows')
+      .insert({ ...fields, branch_id: branchId })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    res.status(201).json({ window });
+  } catch (error) {
+    sendPickupError(res, error, 'Failed to create pickup window');
+  }
+});
+
+router.put('/:id/pickup-windows/:windowId', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const branchId = await ensureBranchScope(req);
+    const fields = validatePickupWindow(req.body);
+
+    const { data: window, error } = await supabase
+      .from('branch_pickup_windows')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.windowId)
+      .eq('branch_id', branchId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    if (!window) {
+      return res.status(404).json({ error: 'Pickup window not found' });
+    }
+    res.json({ window });
+  } catch (error) {
+    sendPickupError(res, error, 'Failed to update pickup window');
+  }
+});
+
+// Orders already booked in the window keep their slot time (pickup_window_id is cleared)
+router.delete('/:id/pickup-windows/:windowId', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const branchId = await ensureBranchScope(req);
+
+    const { error } = await supabase
+      .from('branch_pickup_windows')
+      .delete()
+      .eq('id', req.params.windowId)
+      .eq('branch_id', branchId);
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendPickupError(res, error, 'Failed to delete pickup window');
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,12 @@ const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const router = express.Router();
 const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
+const {
+  findArtistProfileId,
+  ensureUserCanAccessOrder,
+  ensureUserCanAccessChatRoom,
+  filterAccessibleChatRooms
+} = require('../lib/orderAccess');
 require('dotenv').config();
 
 // Create Supabase client with service role key to bypass RLS
@@ -9,10 +15,44 @@ const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-// Create chat room
-router.post('/create-room', async (req, res) => {
+// Every route acts on rooms the signed-in user takes part in (lib/orderAccess); ids in the path or
+// body only pick the room, never who the caller is
+
+// Load a room and make sure the user may use it. Throws with statusCode 404 or 403.
+async function loadRoomForUser(user, roomId) {
+  const { data: room, error } = await supabase
+    .from('design_chat_rooms')
+    .select('*')
+    .eq('id', roomId)
+    .maybeSingle();
+
+  if (error || !room) {
+    const notFound = new Error('Chat room not found');
+    notFound.statusCode = 404;
+    throw notFound;
+  }
+
+  await ensureUserCanAccessChatRoom(user, room);
+  return room;
+}
+
+// Create the chat room of an order the user can access. The customer is the order's owner and
+// the artist the one with a task on it, whatever the body says.
+router.post('/create-room', authenticateSupabaseToken, async (req, res) => {
   try {
-    const { order_id, customer_id, artist_id, room_name } = req.body;
+    const { order_id, room_name } = req.body;
+
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('id, user_id, pickup_location, pickup_branch_id')
+      .eq('id', order_id)
+      .maybeSingle();
+
+    if (orderError || !order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    await ensureUserCanAccessOrder(req.user, order);
 
     // Check if room already exists
     const { data: existingRoom, error: checkError } = await supabase
@@ -25,13 +65,24 @@ router.post('/create-room', async (req, res) => {
       return res.json({ room_id: existingRoom.id });
     }
 
+    let artistId = req.user.role === 'artist' ? await findArtistProfileId(req.user.id) : null;
+    if (!artistId) {
+      const { data: tasks } = await supabase
+        .from('artist_tasks')
+        .select('artist_id')
+        .eq('order_id', order_id)
+        .order('created_at', { ascending: false })
+        .limit(1);
+      artistId = tasks?.[0]?.artist_id || null;
+    }
+
     // Create new room
     const { data, error } = await supabase
       .from('design_chat_rooms')
       .insert({
         order_id,
-        customer_id,
-        artist_id,
+        customer_id: order.user_id,
+        artist_id: artistId,
         room_name
       })
       .select()
@@ -45,21 +96,30 @@ router.post('/create-room', async (req, res) => {
     res.json({ room_id: data.id });
   } catch (error) {
     console.error('Error in create-room:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Send message
-router.post('/send-message', async (req, res) => {
+// Chat sender type for a signed-in user
+const senderTypeForRole = (role) => {
+  if (role === 'artist') return 'artist';
+  if (role === 'admin' || role === 'owner') return 'admin';
+  return 'customer';
+};
+
+// Send message as the signed-in user, to a room they take part in
+router.post('/send-message', authenticateSupabaseToken, async (req, res) => {
   try {
-    const { room_id, sender_id, sender_type, message, message_type, attachments } = req.body;
+    const { room_id, message, message_type, attachments } = req.body;
+
+    await loadRoomForUser(req.user, room_id);
 
     const { data, error } = await supabase
       .from('design_chat_messages')
       .insert({
         room_id,
-        sender_id,
-        sender_type,
+        sender_id: req.user.id,
+        sender_type: senderTypeForRole(req.user.role),
         message,
         message_type: message_type || 'text',
         attachments: attachments || []
@@ -75,14 +135,15 @@ router.post('/send-message', async (req, res) => {
     res.json({ message_id: data.id });
   } catch (error) {
     console.error('Error in send-message:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // Get chat room messages
-router.get('/messages/:roomId', async (req, res) => {
+router.get('/messages/:roomId', authenticateSupabaseToken, async (req, res) => {
   try {
     const { roomId } = req.params;
+    await loadRoomForUser(req.user, roomId);
 
     const { data, error } = await supabase
       .from('design_chat_messages')
@@ -98,14 +159,17 @@ router.get('/messages/:roomId', async (req, res) => {
     res.json({ messages: data || [] });
   } catch (error) {
     console.error('Error in get-messages:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Get customer chat rooms
-router.get('/customer-rooms/:customerId', async (req, res) => {
+// Get customer chat rooms (customers only their own)
+router.get('/customer-rooms/:customerId', authenticateSupabaseToken, async (req, res) => {
   try {
     const { customerId } = req.params;
+    if (!['admin', 'owner'].includes(req.user.role) && customerId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied. You can only view your own chat rooms.' });
+    }
 
     const { data, error } = await supabase
       .from('design_chat_rooms')
@@ -118,17 +182,21 @@ router.get('/customer-rooms/:customerId', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
-    res.json({ rooms: data || [] });
+    res.json({ rooms: await filterAccessibleChatRooms(req.user, data || []) });
   } catch (error) {
     console.error('Error in get-customer-rooms:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Get artist chat rooms
-router.get('/artist-rooms/:artistId', async (req, res) => {
+// Get artist chat rooms (artists only their own profile's)
+router.get('/artist-rooms/:artistId', authenticateSupabaseToken, async (req, res) => {
   try {
     const { artistId } = req.params;
+    const isStaff = ['admin', 'owner'].includes(req.user.role);
+    if (!isStaff && (req.user.role !== 'artist' || artistId !== await findArtistProfileId(req.user.id))) {
+      return res.status(403).json({ error: 'Access denied. You can only view your own chat rooms.' });
+    }
 
     const { data, error } = await supabase
       .from('design_chat_rooms')
@@ -141,23 +209,24 @@ router.get('/artist-rooms/:artistId', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
-    res.json({ rooms: data || [] });
+    res.json({ rooms: await filterAccessibleChatRooms(req.user, data || []) });
   } catch (error) {
     console.error('Error in get-artist-rooms:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Mark messages as read
-router.post('/mark-read', async (req, res) => {
+// Mark messages the signed-in user received as read
+router.post('/mark-read', authenticateSupabaseToken, async (req, res) => {
   try {
-    const { room_id, user_id } = req.body;
+    const { room_id } = req.body;
+    await loadRoomForUser(req.user, room_id);
 
     const { error } = await supabase
       .from('design_chat_messages')
       .update({ is_read: true })
       .eq('room_id', room_id)
-      .neq('sender_id', user_id);
+      .neq('sender_id', req.user.id);
 
     if (error) {
       console.error('Error marking messages as read:', error);
@@ -167,7 +236,7 @@ router.post('/mark-read', async (req, res) => {
     res.json({ success: true });
   } catch (error) {
     console.error('Error in mark-read:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -177,15 +246,7 @@ router.get('/customer-info/:roomId', authenticateSupabaseToken, async (req, res)
     const { roomId } = req.params;
 
     // Get chat room to find customer_id and order_id
-    const { data: room, error: roomError } = await supabase
-      .from('design_chat_rooms')
-      .select('customer_id, order_id')
-      .eq('id', roomId)
-      .single();
-
-    if (roomError || !room) {
-      return res.status(404).json({ error: 'Chat room not found' });
-    }
+    const room = await loadRoomForUser(req.user, roomId);
 
     let customerName = 'Customer';
     let customerPhone = null;
@@ -247,12 +308,12 @@ router.get('/customer-info/:roomId', authenticateSupabaseToken, async (req, res)
     });
   } catch (error) {
     console.error('Error in get-customer-info:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // Get chat room by order ID
-router.get('/room-by-order/:orderId', async (req, res) => {
+router.get('/room-by-order/:orderId', authenticateSupabaseToken, async (req, res) => {
   try {
     const { orderId } = req.params;
 
@@ -270,17 +331,19 @@ router.get('/room-by-order/:orderId', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    await ensureUserCanAccessChatRoom(req.user, data);
     res.json({ room: data });
   } catch (error) {
     console.error('Error in get-room-by-order:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // Update room
-router.post('/update-room', async (req, res) => {
+router.post('/update-room', authenticateSupabaseToken, async (req, res) => {
   try {
     const { room_id, last_message_at } = req.body;
+    await loadRoomForUser(req.user, room_id);
 
     const { error } = await supabase
       .from('design_chat_rooms')
@@ -295,14 +358,15 @@ router.post('/update-room', async (req, res) => {
     res.json({ success: true });
   } catch (error) {
     console.error('Error in update-room:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // Close chat room
-router.post('/close-room', async (req, res) => {
+router.post('/close-room', authenticateSupabaseToken, async (req, res) => {
   try {
     const { room_id } = req.body;
+    await loadRoomForUser(req.user, room_id);
 
     const { error } = await supabase
       .from('design_chat_rooms')
@@ -317,7 +381,7 @@ router.post('/close-room', async (req, res) => {
     res.json({ success: true });
   } catch (error) {
     console.error('Error in close-room:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -3,6 +3,8 @@ const multer = require('multer');
 const { supabase } = require('../lib/db');
 const { uploadToCloudinary } = require('../middleware/upload');
 const emailService = require('../lib/emailService');
+const { initialPaymentFields } = require('../lib/payments');
+const { resolveReorderSource, loadPreviousDesignImages } = require('../lib/repeatOrders');
 const router = express.Router();
 
 const branches = [
@@ -219,12 +221,20 @@ router.post('/', upload.array('designImages', 10), async (req, res) => {
       });
     }
 
+    // "Order again": the form was prefilled from a delivered custom design order. Its reference
+    // images carry over unless new ones were uploaded.
+    const reorderOfOrderId = await resolveReorderSource(req.body.reorderOfOrderId || null, finalUserId);
+    if (reorderOfOrderId && designImages.length === 0) {
+      designImages = await loadPreviousDesignImages(reorderOfOrderId);
+    }
+
     // Create order data - using existing schema with custom data in JSON fields
     const orderData = {
       user_id: finalUserId,
       order_number: orderNumber,
       status: 'pending',
       order_type: 'custom_design', // Set order type for proper artist assignment
+      reorder_of_order_id: reorderOfOrderId,
       shipping_method: shippingMethod === 'delivery' ? 'cod' : shippingMethod, // Convert 'delivery' to 'cod'
       pickup_location: pickupBranchId ? branches.find(b => b.id === pickupBranchId)?.name : null, // Store pickup location for both pickup and COD (nearest branch for fulfillment)
       delivery_address: shippingMethod === 'delivery' && parsedDeliveryAddress ? {
@@ -260,6 +270,8 @@ router.post('/', upload.array('designImages', 10), async (req, res) => {
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
+    // Custom designs are made to order: a downpayment is due before production
+    Object.assign(orderData, initialPaymentFields(orderData));
 
     // Insert order into database
     console.log('🎨 Inserting custom design order into database');
@@ -0,0 +1,453 @@
+const express = require('express');
+const { supabase, withTransaction } = require('../lib/db');
+const {
+  RUN_STATUS,
+  STOP_STATUS,
+  OPEN_RUN_STATUSES,
+  MAX_PROOF_PHOTOS,
+  DeliveryRunError,
+  parseDeliveryAddress,
+  summarizeRun,
+  createDeliveryRun,
+  dispatchDeliveryRun,
+  recordStopOutcome,
+  completeDeliveryRun,
+  cancelDeliveryRun
+} = require('../lib/deliveryRuns');
+const { PaymentError } = require('../lib/payments');
+const { normalizeBranchValue, resolveAdminBranchContext, orderMatchesBranch } = require('../lib/branches');
+const { upload, uploadToCloudinary } = require('../middleware/upload');
+const { authenticateSupabaseToken, requireAdminOrOwner } = require('../middleware/supabaseAuth');
+
+const router = express.Router();
+
+const requireStaff = [authenticateSupabaseToken, requireAdminOrOwner];
+
+const STOP_ORDER_COLUMNS = 'id, order_number, status, delivery_address, total_amount, balance_due, payment_status';
+
+function forbidden(message) {
+  const error = new Error(message);
+  error.statusCode = 403;
+  return error;
+}
+
+/**
+ * Branch a request works on: admins are pinned to their own branch, owners pass ?branchId / body.branchId
+ * @param {Object} req - Express request
+ * @param {*} requested - Branch ID from the query or body
+ * @returns {number} - Branch ID
+ */
+async function resolveBranchId(req, requested) {
+  const branchContext = await resolveAdminBranchContext(req.user);
+  const requestedId = parseInt(requested, 10);
+
+  if (branchContext) {
+    if (!Number.isNaN(requestedId) && requestedId !== branchContext.branchId) {
+      throw forbidden('Access denied for branches other than your own');
+    }
+    return branchContext.branchId;
+  }
+  if (Number.isNaN(requestedId)) {
+    throw new DeliveryRunError('branchId is required');
+  }
+  return requestedId;
+}
+
+async function loadRunForStaff(req) {
+  const { data: run, error } = await supabase
+    .from('delivery_runs')
+    .select('*, riders(id, name, phone, vehicle, courier_name)')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Supabase error: ${error.message}`);
+  }
+  if (run) {
+    const branchContext = await resolveAdminBranchContext(req.user);
+    if (branchContext && branchContext.branchId !== run.branch_id) {
+      throw forbidden('Access denied for runs of other branches');
+    }
+  }
+  return run;
+}
+
+async function loadStops(runId) {
+  const { data: stops, error } = await supabase
+    .from('delivery_run_stops')
+    .select(`*, orders(${STOP_ORDER_COLUMNS})`)
+    .eq('run_id', runId)
+    .order('sequence', { ascending: true });
+
+  if (error) {
+    throw new Error(`Supabase error: ${error.message}`);
+  }
+
+  // The rider needs who to hand the parcel to and where, not the raw JSON
+  return (stops || []).map(stop => {
+    const address = parseDeliveryAddress(stop.orders);
+    return {
+      ...stop,
+      recipient: {
+        name: address.receiver || null,
+        phone: address.phone || null,
+        address: [address.streetAddress || address.address, address.barangay, address.city, address.province]
+          .filter(Boolean)
+          .join(', '),
+        barangay: address.barangay || null,
+        city: address.city || null
+      }
+    };
+  });
+}
+
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof DeliveryRunError || error instanceof PaymentError || error.statusCode === 403) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// Riders and couriers of a branch
+router.get('/riders', requireStaff, async (req, res) => {
+  try {
+    const branchId = await resolveBranchId(req, req.query.branchId);
+    const { data: riders, error } = await supabase
+      .from('riders')
+      .select('*')
+      .eq('branch_id', branchId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    res.json({ riders: riders || [] });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch riders');
+  }
+});
+
+// Body: { branchId, name, phone, vehicle, courierName }
+router.post('/riders', requireStaff, async (req, res) => {
+  try {
+    const branchId = await resolveBranchId(req, req.body.branchId);
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Rider name is required' });
+    }
+
+    const { data: rider, error } = await supabase
+      .from('riders')
+      .insert({
+        branch_id: branchId,
+        name,
+        phone: req.body.phone || null,
+        vehicle: req.body.vehicle || null,
+        courier_name: req.body.courierName || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    console.log(`🛵 Rider ${rider.name} added to branch ${branchId}`);
+    res.status(201).json({ rider });
+  } catch (error) {
+    sendError(res, error, 'Failed to add rider');
+  }
+});
+
+// Body: { name, phone, vehicle, courierName, isActive }
+router.put('/riders/:riderId', requireStaff, async (req, res) => {
+  try {
+    const { data: existing, error: loadError } = await supabase
+      .from('riders')
+      .select('id, branch_id')
+      .eq('id', req.params.riderId)
+      .maybeSingle();
+
+    if (loadError) {
+      throw new Error(`Supabase error: ${loadError.message}`);
+    }
+    if (!existing) {
+      return res.status(404).json({ error: 'Rider not found' });
+    }
+    await resolveBranchId(req, existing.branch_id);
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (req.body.name !== undefined) updates.name = String(req.body.name).trim();
+    if (req.body.phone !== undefined) updates.phone = req.body.phone || null;
+    if (req.body.vehicle !== undefined) updates.vehicle = req.body.vehicle || null;
+    if (req.body.courierName !== undefined) updates.courier_name = req.body.courierName || null;
+    if (req.body.isActive !== undefined) updates.is_active = Boolean(req.body.isActive);
+    if (updates.name === '') {
+      return res.status(400).json({ error: 'Rider name is required' });
+    }
+
+    const { data: rider, error } = await supabase
+      .from('riders')
+      .update(updates)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    res.json({ rider });
+  } catch (error) {
+    sendError(res, error, 'Failed to update rider');
+  }
+});
+
+// Packed COD orders of a branch that are not on a run yet
+router.get('/available-orders', requireStaff, async (req, res) => {
+  try {
+    const branchId = await resolveBranchId(req, req.query.branchId);
+    const { data: branch } = await supabase
+      .from('branches')
+      .select('id, name')
+      .eq('id', branchId)
+      .maybeSingle();
+    if (!branch) {
+      return res.status(404).json({ error: 'Branch not found' });
+    }
+
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select(`${STOP_ORDER_COLUMNS}, pickup_location, created_at`)
+      .eq('shipping_method', 'cod')
+      .eq('status', 'packing_completing')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    const branchContext = { branchId: branch.id, normalizedName: normalizeBranchValue(branch.name) };
+    const branchOrders = (orders || []).filter(order => orderMatchesBranch(order, branchContext));
+
+    let assigned = new Set();
+    if (branchOrders.length > 0) {
+      const { data: stops, error: stopsError } = await supabase
+        .from('delivery_run_stops')
+        .select('order_id, status, delivery_runs(status)')
+        .in('order_id', branchOrders.map(order => order.id));
+      if (stopsError) {
+        throw new Error(`Supabase error: ${stopsError.message}`);
+      }
+      assigned = new Set((stops || [])
+        .filter(stop => stop.status !== STOP_STATUS.FAILED && stop.delivery_runs?.status !== RUN_STATUS.CANCELLED)
+        .map(stop => stop.order_id));
+    }
+
+    res.json({
+      orders: branchOrders
+        .filter(order => !assigned.has(order.id))
+        .map(order => ({ ...order, delivery_address: parseDeliveryAddress(order) }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch orders ready for delivery');
+  }
+});
+
+// Rider view: the run's stops, opened from the link the branch shared (no account needed)
+router.get('/rider/:token', async (req, res) => {
+  try {
+    const { data: run, error } = await supabase
+      .from('delivery_runs')
+      .select('id, run_number, status, dispatched_at, completed_at, branch_id, riders(name, phone), branches(name, address, city, phone)')
+      .eq('access_token', req.params.token)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    if (!run || run.status === RUN_STATUS.CANCELLED) {
+      return res.status(404).json({ error: 'Delivery run not found' });
+    }
+
+    const stops = await loadStops(run.id);
+    res.json({ run, stops, summary: summarizeRun(stops) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load delivery run');
+  }
+});
+
+// Rider records a stop. Multipart: status (delivered | failed), cashCollected, notes,
+// failureReason, photos (proof of delivery, required when delivered)
+router.post('/rider/:token/stops/:stopId', upload.array('photos', MAX_PROOF_PHOTOS), async (req, res) => {
+  try {
+    const { data: run, error } = await supabase
+      .from('delivery_runs')
+      .select('id, run_number, status, rider_id')
+      .eq('access_token', req.params.token)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    if (!run) {
+      return res.status(404).json({ error: 'Delivery run not found' });
+    }
+    if (run.status !== RUN_STATUS.OUT_FOR_DELIVERY) {
+      return res.status(400).json({ error: `Run ${run.run_number} is ${run.status.replace(/_/g, ' ')}` });
+    }
+
+    const files = (req.files || []).filter(file => file.mimetype.startsWith('image/'));
+    if (req.body.status === STOP_STATUS.DELIVERED && files.length === 0) {
+      return res.status(400).json({ error: 'Attach at least one proof of delivery photo' });
+    }
+
+    let proofImages = [];
+    try {
+      const results = await Promise.all(files.map(file => uploadToCloudinary(file, 'yohanns-delivery-proof')));
+      proofImages = results.map(result => result.secure_url);
+    } catch (cloudinaryError) {
+      console.error('❌ Cloudinary upload error:', cloudinaryError);
+      return res.status(500).json({ error: 'Failed to upload photos' });
+    }
+
+    const stop = await withTransaction(client => recordStopOutcome(client, run, req.params.stopId, {
+      status: req.body.status,
+      cashCollected: req.body.cashCollected,
+      proofImages,
+      notes: req.body.notes || null,
+      failureReason: req.body.failureReason || null
+    }));
+
+    console.log(`🛵 Stop ${stop.sequence} of ${run.run_number} marked ${stop.status}${stop.status === STOP_STATUS.DELIVERED ? ` (₱${stop.cash_collected} collected)` : ''}`);
+    res.json({ stop });
+  } catch (error) {
+    sendError(res, error, 'Failed to record delivery');
+  }
+});
+
+// Runs of a branch with their cash summary. ?status=open (default) | completed | cancelled | all
+router.get('/', requireStaff, async (req, res) => {
+  try {
+    const branchId = await resolveBranchId(req, req.query.branchId);
+    const status = req.query.status || 'open';
+
+    let runsQuery = supabase
+      .from('delivery_runs')
+      .select('*, riders(id, name, phone, vehicle, courier_name), delivery_run_stops(id, status, cash_expected, cash_collected)')
+      .eq('branch_id', branchId);
+
+    if (status === 'open') {
+      runsQuery = runsQuery.in('status', OPEN_RUN_STATUSES);
+    } else if (status !== 'all') {
+      runsQuery = runsQuery.eq('status', status);
+    }
+
+    const { data: runs, error } = await runsQuery
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    res.json({
+      runs: (runs || []).map(({ delivery_run_stops: stops, ...run }) => ({
+        ...run,
+        summary: summarizeRun(stops || [], run)
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch delivery runs');
+  }
+});
+
+// Body: { branchId, riderId, orderIds, sortBy (distance | barangay), notes }
+router.post('/', requireStaff, async (req, res) => {
+  try {
+    const branchId = await resolveBranchId(req, req.body.branchId);
+    const { data: branch } = await supabase
+      .from('branches')
+      .select('id, name, latitude, longitude')
+      .eq('id', branchId)
+      .maybeSingle();
+    if (!branch) {
+      return res.status(404).json({ error: 'Branch not found' });
+    }
+
+    const { run, stops } = await withTransaction(client => createDeliveryRun(client, {
+      branch,
+      riderId: req.body.riderId,
+      orderIds: req.body.orderIds,
+      sortBy: req.body.sortBy,
+      notes: req.body.notes || null,
+      createdBy: req.user.id
+    }));
+
+    console.log(`🛵 Delivery run ${run.run_number} planned for branch ${branch.name} with ${stops.length} stop(s)`);
+    res.status(201).json({ run, stops, summary: summarizeRun(stops, run) });
+  } catch (error) {
+    sendError(res, error, 'Failed to create delivery run');
+  }
+});
+
+// Run detail with stops and the cash reconciliation
+router.get('/:id', requireStaff, async (req, res) => {
+  try {
+    const run = await loadRunForStaff(req);
+    if (!run) {
+      return res.status(404).json({ error: 'Delivery run not found' });
+    }
+    const stops = await loadStops(run.id);
+    res.json({ run, stops, summary: summarizeRun(stops, run) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch delivery run');
+  }
+});
+
+router.post('/:id/dispatch', requireStaff, async (req, res) => {
+  try {
+    const existing = await loadRunForStaff(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Delivery run not found' });
+    }
+    const run = await withTransaction(client => dispatchDeliveryRun(client, existing.id, req.user.id));
+    console.log(`🛵 Delivery run ${run.run_number} dispatched`);
+    res.json({ run });
+  } catch (error) {
+    sendError(res, error, 'Failed to dispatch delivery run');
+  }
+});
+
+// Body: { cashRemitted, notes }
+router.post('/:id/complete', requireStaff, async (req, res) => {
+  try {
+    const existing = await loadRunForStaff(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Delivery run not found' });
+    }
+    const result = await withTransaction(client => completeDeliveryRun(client, existing.id, {
+      cashRemitted: req.body.cashRemitted,
+      notes: req.body.notes || null,
+      completedBy: req.user.id
+    }));
+    console.log(`🛵 Delivery run ${result.run.run_number} closed: ₱${result.summary.cashCollected} collected, ₱${result.summary.cashRemitted} remitted`);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to close delivery run');
+  }
+});
+
+router.post('/:id/cancel', requireStaff, async (req, res) => {
+  try {
+    const existing = await loadRunForStaff(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Delivery run not found' });
+    }
+    const run = await withTransaction(client => cancelDeliveryRun(client, existing.id));
+    res.json({ run });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel delivery run');
+  }
+});
+
+module.exports = router;
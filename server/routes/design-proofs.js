@@ -0,0 +1,196 @@
+const express = require('express');
+const { supabase, withTransaction } = require('../lib/db');
+const {
+  PROOF_ACTIONS,
+  PROOF_STATUS,
+  DesignProofError,
+  proofReviewUrl,
+  publicProof,
+  customerProof,
+  getProofReview,
+  recordProofResponse,
+  respondToProof,
+  releaseApprovedDesign
+} = require('../lib/designProofs');
+const { OrderTransitionError, TRANSITION_SOURCES } = require('../lib/orderStatus');
+const { PaymentError } = require('../lib/payments');
+const { ensureUserCanAccessOrder } = require('../lib/orderAccess');
+const { toStaffFile } = require('../lib/designPreviews');
+const emailService = require('../lib/emailService');
+const { authenticateSupabaseToken, requireAdminOrOwner } = require('../middleware/supabaseAuth');
+
+const router = express.Router();
+
+const requireStaff = [authenticateSupabaseToken, requireAdminOrOwner];
+
+const ORDER_ACCESS_COLUMNS = 'id, user_id, order_number, status, payment_status, pickup_location, pickup_branch_id, customer_email, customer_name';
+
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof DesignProofError || error.statusCode === 403) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+async function loadOrder(orderId) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select(ORDER_ACCESS_COLUMNS)
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Supabase error: ${error.message}`);
+  }
+  if (!order) {
+    throw new DesignProofError('Order not found', 404);
+  }
+  return order;
+}
+
+/**
+ * Move the order on after an approval. The approval is already saved; when the order can't move
+ * yet (no downpayment, not in layout) the reason is returned for the page to show.
+ */
+async function releaseAfterApproval(proof, options) {
+  try {
+    const { moved, order } = await withTransaction(client => releaseApprovedDesign(client, proof, options));
+    return { orderMoved: moved, orderStatus: order.status };
+  } catch (error) {
+    if (error instanceof OrderTransitionError || error instanceof PaymentError) {
+      console.warn(`⚠️ Design proof v${proof.version} approved but order ${proof.order_id} stays put: ${error.message}`);
+      return { orderMoved: false, heldBack: error.message };
+    }
+    throw error;
+  }
+}
+
+// Review page opened from the emailed link (no account needed): the proof, every version of the
+// order for comparison and whether this version can still be answered
+router.get('/review/:token', async (req, res) => {
+  try {
+    res.json(await withTransaction(client => getProofReview(client, req.params.token)));
+  } catch (error) {
+    sendError(res, error, 'Failed to load design proof');
+  }
+});
+
+// Customer answers a proof version: { action: approve | request_changes, comment }
+router.post('/review/:token', async (req, res) => {
+  try {
+    const { action, comment } = req.body || {};
+    const proof = await withTransaction(client => respondToProof(client, req.params.token, { action, comment }));
+    console.log(`🖼️ Design proof v${proof.version} of order ${proof.order_id}: ${proof.status}`);
+
+    const release = proof.status === PROOF_STATUS.APPROVED ? await releaseAfterApproval(proof) : {};
+    // The page reloads the review for the files; only the answer is sent back here
+    res.json({
+      proof: { id: proof.id, version: proof.version, status: proof.status, response_comment: proof.response_comment },
+      ...release
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save your response');
+  }
+});
+
+// Proof versions of an order. Staff and the customer also get the review link of each version;
+// the customer gets watermarked previews instead of the original files.
+router.get('/orders/:orderId', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const order = await loadOrder(req.params.orderId);
+    await ensureUserCanAccessOrder(req.user, order);
+
+    const { data: proofs, error } = await supabase
+      .from('design_proofs')
+      .select('*')
+      .eq('order_id', order.id)
+      .order('version', { ascending: false });
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    const isStaff = ['admin', 'owner'].includes(req.user.role);
+    const isArtist = req.user.role === 'artist';
+    res.json({
+      proofs: (proofs || []).map(proof => {
+        if (isStaff || isArtist) {
+          const staffProof = { ...publicProof(proof), files: (proof.files || []).map(file => toStaffFile(file, order)) };
+          return isStaff ? { ...staffProof, review_url: proofReviewUrl(proof) } : staffProof;
+        }
+        return { ...customerProof(proof, order), review_url: proofReviewUrl(proof) };
+      })
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch design proofs');
+  }
+});
+
+// Email the review link of the latest pending proof to the customer again
+router.post('/orders/:orderId/resend', requireStaff, async (req, res) => {
+  try {
+    const order = await loadOrder(req.params.orderId);
+    await ensureUserCanAccessOrder(req.user, order);
+
+    const { data: proof, error } = await supabase
+      .from('design_proofs')
+      .select('*')
+      .eq('order_id', order.id)
+      .eq('status', PROOF_STATUS.PENDING)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    if (!proof) {
+      throw new DesignProofError('No design proof is waiting for the customer');
+    }
+    if (!order.customer_email) {
+      throw new DesignProofError('This order has no customer email; share the review link instead');
+    }
+
+    const emailResult = await emailService.sendDesignProofReady(order, proof, order.customer_email, order.customer_name, proofReviewUrl(proof));
+    if (!emailResult.success) {
+      throw new DesignProofError(`Email could not be sent: ${emailResult.error}`, 502);
+    }
+    res.json({ message: `Proof v${proof.version} sent to ${order.customer_email}` });
+  } catch (error) {
+    sendError(res, error, 'Failed to resend design proof');
+  }
+});
+
+// Staff record the customer's answer given in person or in chat (walk-in customers without email)
+router.post('/orders/:orderId/proofs/:proofId/respond', requireStaff, async (req, res) => {
+  try {
+    const { action, comment } = req.body || {};
+    const order = await loadOrder(req.params.orderId);
+    await ensureUserCanAccessOrder(req.user, order);
+
+    const proof = await withTransaction(async client => {
+      const { rows } = await client.query(
+        'SELECT * FROM design_proofs WHERE id = $1 AND order_id = $2 FOR UPDATE',
+        [req.params.proofId, order.id]
+      );
+      if (rows.length === 0) {
+        throw new DesignProofError('Design proof not found', 404);
+      }
+      return recordProofResponse(client, rows[0], { action, comment, respondedBy: req.user.id });
+    });
+
+    const release = action === PROOF_ACTIONS.APPROVE
+      ? await releaseAfterApproval(proof, {
+        actor: req.user,
+        source: TRANSITION_SOURCES.DESIGN_REVIEW,
+        note: `Design proof v${proof.version} approved by the customer (recorded by staff)`
+      })
+      : {};
+    res.json({ proof: publicProof(proof), ...release });
+  } catch (error) {
+    sendError(res, error, 'Failed to record the customer response');
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,18 @@ const { upload, uploadToCloudinary } = require('../middleware/upload');
 const { authenticateSupabaseToken, requireAdminOrOwner } = require('../middleware/supabaseAuth');
 const { createClient } = require('@supabase/supabase-js');
 const path = require('path');
+const { withTransaction } = require('../lib/db');
+const { DesignProofError, createProofVersion, proofReviewUrl, publicProof } = require('../lib/designProofs');
+const emailService = require('../lib/emailService');
+const {
+  DESIGN_FOLDER,
+  DESIGN_DELIVERY_TYPE,
+  buildPreviewUrl,
+  originalsReleased,
+  toCustomerFile,
+  toStaffFile
+} = require('../lib/designPreviews');
+const { ensureUserCanAccessOrder } = require('../lib/orderAccess');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 // Initialize Supabase client for server-side operations
@@ -66,7 +78,8 @@ router.post('/:orderId', authenticateSupabaseToken, upload.array('designFiles',
     try {
       const uploadPromises = req.files.map((file, index) => {
         console.log(`🎨 Uploading file ${index + 1}/${req.files.length}: ${file.originalname}`);
-        return uploadToCloudinary(file, 'yohanns-designs');
+        // Authenticated assets: originals are only reachable through signed URLs (lib/designPreviews)
+        return uploadToCloudinary(file, DESIGN_FOLDER, { type: DESIGN_DELIVERY_TYPE });
       });
       
       results = await Promise.all(uploadPromises);
@@ -79,10 +92,14 @@ router.post('/:orderId', authenticateSupabaseToken, upload.array('designFiles',
       });
     }
     
+    // No URL is stored: the original is signed on the way out to staff and artists (toStaffFile),
+    // so reading orders.design_files doesn't give anyone the full-resolution file
     const designFiles = results.map((result, index) => ({
       filename: req.files[index].originalname,
-      url: result.secure_url,
       publicId: result.public_id,
+      deliveryType: DESIGN_DELIVERY_TYPE,
+      resourceType: result.resource_type,
+      format: result.format,
       uploadedAt: new Date().toISOString()
     }));
 
@@ -94,7 +111,7 @@ router.post('/:orderId', authenticateSupabaseToken, upload.array('designFiles',
     // Get current order status to validate transition
     const { data: currentOrder, error: orderError } = await supabase
       .from('orders')
-      .select('status, design_files')
+      .select('status, design_files, order_number, customer_email, customer_name')
       .eq('id', orderId)
       .single();
 
@@ -131,6 +148,23 @@ router.post('/:orderId', authenticateSupabaseToken, upload.array('designFiles',
     // Do NOT auto-advance status anymore; only attach design files
     const newStatus = currentOrder.status;
 
+    // The upload becomes the next proof version; the customer approves it from an emailed link
+    let proof;
+    try {
+      proof = await withTransaction(client => createProofVersion(client, {
+        orderId,
+        files: designFiles,
+        notes: req.body.notes,
+        submittedBy: userId
+      }));
+      console.log(`🎨 Stored design proof v${proof.version} for order ${orderId}`);
+    } catch (proofError) {
+      if (proofError instanceof DesignProofError) {
+        return res.status(proofError.statusCode).json({ error: proofError.message });
+      }
+      throw proofError;
+    }
+
     // Update order with design files only
     const { data, error } = await supabase
       .from('orders')
@@ -158,10 +192,24 @@ router.post('/:orderId', authenticateSupabaseToken, upload.array('designFiles',
     console.log(`Successfully uploaded ${designFiles.length} design files for order ${orderId}`);
     console.log(`Order status changed from ${currentOrder.status} to ${newStatus}`);
 
+    let proofEmailSent = false;
+    if (currentOrder.customer_email) {
+      const emailResult = await emailService.sendDesignProofReady(
+        currentOrder,
+        proof,
+        currentOrder.customer_email,
+        currentOrder.customer_name,
+        proofReviewUrl(proof)
+      );
+      proofEmailSent = emailResult.success;
+    }
+
     res.json({
       success: true,
-      message: `Design files uploaded successfully`,
-      designFiles: combinedDesignFiles,
+      message: `Design proof v${proof.version} uploaded${proofEmailSent ? ' and sent to the customer for approval' : ''}`,
+      designFiles: combinedDesignFiles.map(file => toStaffFile(file, currentOrder)),
+      proof: publicProof(proof),
+      proofEmailSent,
       order: data[0],
       statusChanged: false,
       previousStatus: currentOrder.status,
@@ -178,6 +226,100 @@ router.post('/:orderId', authenticateSupabaseToken, upload.array('designFiles',
   }
 });
 
+// Watermarked previews of an order's design files, for the customer views (design chat, My Orders).
+// Originals are included only once the order is paid in full.
+router.get('/:orderId/previews', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('id, user_id, order_number, pickup_location, pickup_branch_id, payment_status, design_files')
+      .eq('id', orderId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching design previews:', error);
+      return res.status(500).json({ error: 'Failed to fetch design previews' });
+    }
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    try {
+      await ensureUserCanAccessOrder(req.user, order);
+    } catch (accessError) {
+      return res.status(accessError.statusCode || 403).json({ error: accessError.message });
+    }
+
+    res.json({
+      success: true,
+      designFiles: (order.design_files || []).map(file => toCustomerFile(file, order)),
+      originalsReleased: originalsReleased(order)
+    });
+  } catch (error) {
+    console.error('Error fetching design previews:', error);
+    res.status(500).json({ error: 'Failed to fetch design previews' });
+  }
+});
+
+// Files an artist attaches to a design review request in the chat. They are stored like design
+// files, but the chat message only carries the watermarked preview the customer may see.
+router.post('/:orderId/review-files', authenticateSupabaseToken, upload.array('files', 10), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (req.user.role !== 'artist') {
+      return res.status(403).json({ error: 'Only artists can attach review files' });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files provided' });
+    }
+
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('id, user_id, order_number')
+      .eq('id', orderId)
+      .maybeSingle();
+
+    if (error || !order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    try {
+      await ensureUserCanAccessOrder(req.user, order);
+    } catch (accessError) {
+      return res.status(accessError.statusCode || 403).json({ error: accessError.message });
+    }
+
+    const results = await Promise.all(
+      req.files.map(file => uploadToCloudinary(file, DESIGN_FOLDER, { type: DESIGN_DELIVERY_TYPE }))
+    );
+
+    const attachments = results.map((result, index) => {
+      const previewUrl = buildPreviewUrl({
+        publicId: result.public_id,
+        deliveryType: DESIGN_DELIVERY_TYPE,
+        resourceType: result.resource_type
+      }, order);
+      return {
+        name: req.files[index].originalname,
+        filename: req.files[index].originalname,
+        url: previewUrl,
+        previewUrl,
+        // Previews are rendered as JPEGs; files that can't be previewed show as a name only
+        type: previewUrl ? 'image/jpeg' : req.files[index].mimetype,
+        size: req.files[index].size
+      };
+    });
+
+    res.json({ success: true, attachments });
+  } catch (error) {
+    console.error('Error uploading review files:', error);
+    res.status(500).json({ error: 'Failed to upload review files', details: error.message });
+  }
+});
+
 // Get design files for an order
 // Access rules:
 // - Admin/Owner: can view any order's design files
@@ -222,7 +364,7 @@ router.get('/:orderId', authenticateSupabaseToken, async (req, res) => {
 
     const { data, error } = await supabase
       .from('orders')
-      .select('design_files')
+      .select('order_number, design_files')
       .eq('id', orderId)
       .single();
 
@@ -240,7 +382,7 @@ router.get('/:orderId', authenticateSupabaseToken, async (req, res) => {
 
     res.json({
       success: true,
-      designFiles: data.design_files || []
+      designFiles: (data.design_files || []).map(file => toStaffFile(file, data))
     });
 
   } catch (error) {
@@ -262,13 +404,6 @@ router.delete('/:orderId/:publicId', authenticateSupabaseToken, requireAdminOrOw
     
     console.log('🗑️ Deleting design file:', { orderId, publicId });
     
-    // Delete from Cloudinary
-    const result = await cloudinary.uploader.destroy(publicId);
-    
-    if (result.result !== 'ok') {
-      return res.status(400).json({ error: 'Failed to delete file from Cloudinary' });
-    }
-
     // Get current design files
     const { data: orderData, error: fetchError } = await supabase
       .from('orders')
@@ -280,6 +415,17 @@ router.delete('/:orderId/:publicId', authenticateSupabaseToken, requireAdminOrOw
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    // Delete from Cloudinary (authenticated design uploads have to be destroyed with their type)
+    const file = (orderData.design_files || []).find(candidate => candidate.publicId === publicId);
+    const result = await cloudinary.uploader.destroy(publicId, {
+      type: file?.deliveryType || 'upload',
+      resource_type: file?.resourceType || 'image'
+    });
+    
+    if (result.result !== 'ok') {
+      return res.status(400).json({ error: 'Failed to delete file from Cloudinary' });
+    }
+
     // Remove the deleted file from the design_files array
     const updatedDesignFiles = (orderData.design_files || []).filter(
       file => file.publicId !== publicId
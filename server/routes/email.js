@@ -1,6 +1,8 @@
 const express = require('express');
 const { query } = require('../lib/db');
 const emailService = require('../lib/emailService');
+const { authenticateSupabaseToken, requireAdminOrOwner } = require('../middleware/supabaseAuth');
+const { resolveAdminBranchContext, orderMatchesBranch } = require('../lib/branches');
 const router = express.Router();
 
 // Test email service
@@ -162,7 +164,7 @@ router.post('/order-confirmation/:orderId', async (req, res) => {
 });
 
 // Send bulk order status emails
-router.post('/bulk-status-update', async (req, res) => {
+router.post('/bulk-status-update', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
   try {
     const { orderIds, status } = req.body;
 
@@ -178,6 +180,8 @@ router.post('/bulk-status-update', async (req, res) => {
       });
     }
 
+    // Admins only email customers of orders in their own branch
+    const branchContext = await resolveAdminBranchContext(req.user);
     const results = [];
     const errors = [];
 
@@ -203,6 +207,11 @@ router.post('/bulk-status-update', async (req, res) => {
 
         const orderData = result.rows[0];
 
+        if (!orderMatchesBranch(orderData, branchContext)) {
+          errors.push({ orderId, error: 'Access denied for orders outside assigned branch' });
+          continue;
+        }
+
         if (!orderData.customer_email) {
           errors.push({ orderId, error: 'Customer email not found' });
           continue;
@@ -248,7 +257,8 @@ router.post('/bulk-status-update', async (req, res) => {
 
   } catch (error) {
     console.error('Error in bulk status update email route:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({ error: statusCode === 403 ? error.message : 'Internal server error' });
   }
 });
 
@@ -0,0 +1,27 @@
+const express = require('express');
+const { authenticateSupabaseToken, requireAdminOrOwner } = require('../middleware/supabaseAuth');
+const { DEFAULT_VELOCITY_DAYS, loadReorderReport } = require('../lib/reorder');
+
+const router = express.Router();
+
+// Reorder report: low / out-of-stock status and suggested reorder quantity
+// per branch, product and size. Query: ?branchId=, ?days= (sales velocity window)
+router.get('/reorder-report', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || DEFAULT_VELOCITY_DAYS, 1), 365);
+
+    // Admins only see their own branch
+    let branchId = req.query.branchId ? parseInt(req.query.branchId) : null;
+    if (req.user.role === 'admin' && req.user.branch_id) {
+      branchId = parseInt(req.user.branch_id);
+    }
+
+    const report = await loadReorderReport({ branchId, days });
+    res.json(report);
+  } catch (error) {
+    console.error('Error building reorder report:', error);
+    res.status(500).json({ error: 'Failed to build reorder report' });
+  }
+});
+
+module.exports = router;
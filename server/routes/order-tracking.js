@@ -1,5 +1,7 @@
 const express = require('express');
 const { supabase } = require('../lib/db');
+const { authenticateSupabaseToken, requireAdminOrOwner } = require('../middleware/supabaseAuth');
+const { resolveAdminBranchContext, ensureOrderAccess } = require('../lib/branches');
 const router = express.Router();
 
 async function enrichReviewsWithUserInfo(reviews = []) {
@@ -354,6 +356,14 @@ const STATUS_INFO = {
   }
 };
 
+// Order statuses each tracking stage fits. Tracking entries follow orders.status and never
+// move it: the order itself only changes through the state machine (PATCH /api/orders/:id/status).
+const TRACKING_ORDER_STATUSES = {
+  [ORDER_STATUS.IN_STORE]: ['packing_completing', 'picked_up_delivered'],
+  [ORDER_STATUS.ON_THE_WAY]: ['packing_completing'],
+  [ORDER_STATUS.DELIVERED]: ['picked_up_delivered']
+};
+
 // Add tracking update
 router.post('/', async (req, res) => {
   try {
@@ -369,13 +379,20 @@ router.post('/', async (req, res) => {
     // Check if order exists
     const { data: order, error: orderError } = await supabase
       .from('orders')
-      .select('id, shipping_method')
+      .select('id, status, shipping_method')
       .eq('id', orderId);
 
     if (orderError || order.length === 0) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    if (!TRACKING_ORDER_STATUSES[status].includes(order[0].status)) {
+      return res.status(409).json({
+        error: `A ${status} tracking entry doesn't fit an order that is ${order[0].status}`,
+        currentStatus: order[0].status
+      });
+    }
+
     // Get status information
     const statusInfo = STATUS_INFO[status];
     const finalLocation = location || statusInfo.location;
@@ -443,10 +460,10 @@ router.get('/review', async (req, res) => {
   });
 });
 
-// Add order review (Universal - works for ALL orders)
-router.post('/review', async (req, res) => {
+// Add order review (Universal - works for ALL orders). The reviewer is the signed-in customer.
+router.post('/review', authenticateSupabaseToken, async (req, res) => {
   try {
-    const { orderId, userId, rating, comment, reviewType = 'general', productId } = req.body;
+    const { orderId, rating, comment, reviewType = 'general', productId } = req.body;
     
     // Validate rating
     if (!rating || rating < 1 || rating > 5) {
@@ -456,7 +473,7 @@ router.post('/review', async (req, res) => {
     // Check if order exists (any order type)
     const { data: order, error: orderError } = await supabase
       .from('orders')
-      .select('id, status, shipping_method')
+      .select('id, user_id, status, shipping_method')
       .eq('id', orderId)
       .single();
 
@@ -464,6 +481,10 @@ router.post('/review', async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    if (order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'You can only review your own orders' });
+    }
+
     // Allow reviews for all order types and statuses
     // Only restrict if order is cancelled or refunded
     if (order.status === 'cancelled' || order.status === 'refunded') {
@@ -474,7 +495,7 @@ router.post('/review', async (req, res) => {
     
     const reviewData = {
       order_id: orderId,
-      user_id: userId,
+      user_id: req.user.id,
       rating: rating,
       comment: comment
     };
@@ -522,7 +543,10 @@ router.get('/delivery-proof/:orderId', async (req, res) => {
       .from('delivery_proof')
       .select('*')
       .eq('order_id', orderId)
-      .single();
+      .is('shipment_id', null) // parts of a split order have their own proofs (GET /api/orders/:id/shipments)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
 
     if (proofError || !proofData) {
       return res.status(404).json({ error: 'Delivery proof not found' });
@@ -586,15 +610,28 @@ router.post('/delivery-proof', async (req, res) => {
   }
 });
 
-// Verify delivery proof (admin function)
-router.put('/delivery-proof/:proofId/verify', async (req, res) => {
+// Verify delivery proof (admin function). The verifier is the signed-in admin/owner.
+router.put('/delivery-proof/:proofId/verify', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
   try {
     const { proofId } = req.params;
-    const { verifiedBy } = req.body;
+
+    const { data: proof, error: proofError } = await supabase
+      .from('delivery_proof')
+      .select('id, orders(id, pickup_location, pickup_branch_id)')
+      .eq('id', proofId)
+      .single();
+
+    if (proofError || !proof) {
+      return res.status(404).json({ error: 'Delivery proof not found' });
+    }
+
+    if (req.user.role === 'admin') {
+      ensureOrderAccess(proof.orders || {}, await resolveAdminBranchContext(req.user));
+    }
     
     const { data: updatedProof, error: updateError } = await supabase
       .from('delivery_proof')
-      .update({ verified_by: verifiedBy, verified_at: supabase.rpc('now') })
+      .update({ verified_by: req.user.id, verified_at: new Date().toISOString() })
       .eq('id', proofId)
       .select()
       .single();
@@ -606,12 +643,13 @@ router.put('/delivery-proof/:proofId/verify', async (req, res) => {
     res.json(updatedProof);
   } catch (error) {
     console.error('Error verifying delivery proof:', error);
-    res.status(500).json({ error: 'Failed to verify delivery proof' });
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({ error: statusCode === 403 ? error.message : 'Failed to verify delivery proof' });
   }
 });
 
-// Update order status (simplified endpoint for 3-status system)
-router.put('/status/:orderId', async (req, res) => {
+// Add a tracking stage for a packed / delivered order (simplified endpoint for 3-status system)
+router.put('/status/:orderId', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
   try {
     const { orderId } = req.params;
     const { status } = req.body;
@@ -626,7 +664,7 @@ router.put('/status/:orderId', async (req, res) => {
     // Check if order exists
     const { data: order, error: orderError } = await supabase
       .from('orders')
-      .select('id')
+      .select('id, status, pickup_location, pickup_branch_id')
       .eq('id', orderId)
       .single();
 
@@ -634,6 +672,19 @@ router.put('/status/:orderId', async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    if (req.user.role === 'admin') {
+      ensureOrderAccess(order, await resolveAdminBranchContext(req.user));
+    }
+
+    if (!TRACKING_ORDER_STATUSES[status].includes(order.status)) {
+      return res.status(409).json({
+        error: status === ORDER_STATUS.DELIVERED
+          ? 'Mark the order as picked up / delivered before adding a delivered tracking entry'
+          : `Tracking starts once the order is packed (current status: ${order.status})`,
+        currentStatus: order.status
+      });
+    }
+
     // Get status information
     const statusInfo = STATUS_INFO[status];
     
@@ -641,7 +692,7 @@ router.put('/status/:orderId', async (req, res) => {
     const metadata = {
       icon: statusInfo.icon,
       color: statusInfo.color,
-      updatedBy: req.user?.id || 'admin',
+      updatedBy: req.user.id,
       updateReason: 'Status update by administrator',
       timestamp: supabase.rpc('now')
     };
@@ -669,7 +720,8 @@ router.put('/status/:orderId', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating order status:', error);
-    res.status(500).json({ error: 'Failed to update order status' });
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({ error: statusCode === 403 ? error.message : 'Failed to update order status' });
   }
 });
 
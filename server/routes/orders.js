@@ -1,125 +1,66 @@
 const express = require('express');
-const { supabase, query } = require('../lib/db');
+const { supabase, query, withTransaction } = require('../lib/db');
 const emailService = require('../lib/emailService');
-const { authenticateSupabaseToken, requireAdminOrOwner } = require('../middleware/supabaseAuth');
+const { quoteOrder, applyDiscount, findPriceMismatches, loadProductsForPricing } = require('../lib/pricing');
+const {
+  MOVEMENT_TYPES,
+  InsufficientStockError,
+  reserveOrderStock,
+  restoreOrderStock,
+  recordStockMovements
+} = require('../lib/inventory');
+const { PromoCodeError, normalizePromoCode, previewPromoCode, redeemPromoCode } = require('../lib/promo');
+const { assignReceiptNumber, renderInvoicePdf } = require('../lib/invoice');
+const { collectRosterEntries, renderRosterCsv, renderRosterPdf } = require('../lib/roster');
+const { ensureUserCanAccessOrder } = require('../lib/orderAccess');
+const { normalizeBranchValue, resolveAdminBranchContext, orderMatchesBranch, ensureOrderAccess } = require('../lib/branches');
+const { ShippingQuoteError, quoteOrderShipping } = require('../lib/shipping');
+const {
+  PaymentError,
+  initialPaymentFields,
+  summarizePayments,
+  recordPayment,
+  PROOF_STATUS,
+  validateProofSubmission,
+  approvePaymentProof
+} = require('../lib/payments');
+const {
+  ORDER_STATUSES,
+  TRANSITION_SOURCES,
+  OrderTransitionError,
+  getAllowedTransitions,
+  transitionOrderStatus
+} = require('../lib/orderStatus');
+const {
+  PickupSlotError,
+  findOrderBranch,
+  reservePickupSlot,
+  assignPickupCode,
+  formatPickupSlot
+} = require('../lib/pickupSlots');
+const {
+  MAX_PROOF_PHOTOS,
+  ShipmentError,
+  suggestSplit,
+  splitOrder,
+  removeOrderSplit,
+  updateShipmentStatus,
+  completeOrderShipments,
+  recordedShipmentSales
+} = require('../lib/orderShipments');
+const {
+  RepeatOrderError,
+  loadRepeatableOrder,
+  buildRepeatOrder,
+  resolveReorderSource,
+  findClaimedReorderSource,
+  attachPreviousArtwork
+} = require('../lib/repeatOrders');
+const { assignArtistTask } = require('../lib/artistAssignment');
+const { upload, uploadToCloudinary } = require('../middleware/upload');
+const { authenticateSupabaseToken, optionalSupabaseToken, requireAdminOrOwner } = require('../middleware/supabaseAuth');
 const router = express.Router();
 
-async function assignArtistTaskFallback({
-  order,
-  orderType,
-  productName,
-  quantity,
-  requirements,
-  productId,
-  productImage
-}) {
-  const safeProductName = productName || 'Store Product';
-  const safeQuantity = quantity || 1;
-  let designRequirements = requirements || '';
-
-  if (productImage && !designRequirements.includes(productImage)) {
-    designRequirements = designRequirements
-      ? `${designRequirements}\n\n🖼️ Product Reference Image: ${productImage}`
-      : `🖼️ Product Reference Image: ${productImage}`;
-  }
-
-  try {
-    // Use workload balancing: find artist with least pending/in_progress tasks
-    // This matches the logic in assign_task_to_least_busy_artist function
-    const { data: artists, error: artistError } = await supabase
-      .from('artist_profiles')
-      .select(`
-        id,
-        artist_name,
-        artist_tasks!left(
-          id,
-          status
-        )
-      `)
-      .eq('is_active', true);
-
-    if (artistError && artistError.code !== 'PGRST116') {
-      throw new Error(artistError.message || 'Failed to query active artists');
-    }
-
-    if (!artists || artists.length === 0) {
-      throw new Error('No active artists available for fallback assignment');
-    }
-
-    // Calculate workload for each artist (count pending + in_progress tasks)
-    const artistsWithWorkload = artists.map(artist => {
-      const activeTasks = (artist.artist_tasks || []).filter(
-        task => task.status === 'pending' || task.status === 'in_progress'
-      );
-      return {
-        id: artist.id,
-        artist_name: artist.artist_name,
-        workload: activeTasks.length
-      };
-    });
-
-    // Sort by workload (ascending), then by name (for consistency)
-    artistsWithWorkload.sort((a, b) => {
-      if (a.workload !== b.workload) {
-        return a.workload - b.workload;
-      }
-      return (a.artist_name || '').localeCompare(b.artist_name || '');
-    });
-
-    // Get the artist with least workload
-    const artistProfile = artistsWithWorkload[0];
-
-    let priority = 'medium';
-    let deadlineDays = 2;
-    let orderSource = 'online';
-    let taskTitle = `Layout Store Product: ${safeProductName}`;
-    let taskDescription = `Prepare layout for store product. Quantity: ${safeQuantity}.`;
-    const isCustomOrder = orderType === 'custom_design';
-
-    if (orderType === 'custom_design') {
-      deadlineDays = 3;
-      taskTitle = `Custom Design: ${safeProductName}`;
-      taskDescription = `Create custom design layout. Quantity: ${safeQuantity}.`;
-    } else if (orderType === 'walk_in') {
-      deadlineDays = 1;
-      priority = 'high';
-      orderSource = 'walk_in';
-      taskTitle = `Walk-in Order: ${safeProductName}`;
-      taskDescription = `Process walk-in order. Quantity: ${safeQuantity}.`;
-    }
-
-    const deadline = new Date(Date.now() + deadlineDays * 24 * 60 * 60 * 1000).toISOString();
-
-    const { data: insertedTask, error: insertError } = await supabase
-      .from('artist_tasks')
-      .insert({
-        artist_id: artistProfile.id,
-        order_id: order?.id || null,
-        product_id: productId || null,
-        task_title: taskTitle,
-        task_description: taskDescription,
-        design_requirements: designRequirements || null,
-        order_type: orderType || 'regular',
-        is_custom_order: isCustomOrder,
-        order_source: orderSource,
-        priority,
-        deadline,
-        status: 'pending'
-      })
-      .select('id')
-      .single();
-
-    if (insertError) {
-      throw new Error(insertError.message || 'Failed to insert fallback artist task');
-    }
-
-    return { taskId: insertedTask.id };
-  } catch (error) {
-    console.error('❌ Fallback artist task creation failed:', error);
-    throw error;
-  }
-}
-
 async function fetchArtistProfileById(artistId) {
   if (!artistId) return null;
 
@@ -148,69 +89,6 @@ router.get('/test', (req, res) => {
   res.json({ message: 'Server is working!', timestamp: new Date().toISOString() });
 });
 
-async function resolveAdminBranchContext(user) {
-  if (!user || user.role !== 'admin') {
-    return null;
-  }
-
-  const branchIdRaw = user.branch_id;
-  if (!branchIdRaw && branchIdRaw !== 0) {
-    const error = new Error('Admin account is missing branch assignment');
-    error.statusCode = 403;
-    throw error;
-  }
- 
-  const branchId = parseInt(branchIdRaw, 10);
-  if (Number.isNaN(branchId)) {
-    const error = new Error('Admin account has invalid branch assignment');
-    error.statusCode = 403;
-    throw error;
-  }
-
-  let branchName = null;
-
-  try {
-    const { data: branchData, error: branchError } = await supabase
-      .from('branches')
-      .select('id, name')
-      .eq('id', branchId)
-      .single();
-
-    if (!branchError && branchData?.name) {
-      branchName = branchData.name;
-    }
-  } catch (err) {
-    console.warn('⚠️ Unable to resolve branch name for admin:', err.message);
-  }
-
-  return { branchId, branchName, normalizedName: normalizeBranchValue(branchName) };
-}
-
-function orderMatchesBranch(order, branchContext) {
-  if (!branchContext) {
-    return true;
-  }
- 
-  const { branchId, normalizedName } = branchContext;
-  const normalizedBranchId = Number.isNaN(branchId) ? null : branchId;
-  
-  // Try to get branch ID from order (check multiple possible fields)
-  const orderBranchId = order?.pickup_branch_id !== undefined && order?.pickup_branch_id !== null
-    ? parseInt(order.pickup_branch_id, 10)
-    : order?.branch_id !== undefined && order?.branch_id !== null
-      ? parseInt(order.branch_id, 10)
-      : null;
- 
-  // Match by ID if both are available
-  const matchesId = normalizedBranchId !== null && orderBranchId !== null && orderBranchId === normalizedBranchId;
-  
-  // Match by name (this is the primary method since pickup_branch_id doesn't exist)
-  const matchesName = normalizedName ? shouldMatchByName(branchContext, order) : false;
- 
-  // If we can't match by ID, rely on name matching
-  return matchesId || matchesName;
-}
-
 function applyBranchFilter(queryBuilder, branchContext) {
   if (!branchContext || !branchContext.branchId) {
     return queryBuilder;
@@ -229,360 +107,8 @@ function applyBranchFilter(queryBuilder, branchContext) {
   return queryBuilder;
 }
 
-function ensureOrderAccess(order, branchContext) {
-  if (!orderMatchesBranch(order, branchContext)) {
-    const error = new Error('Access denied for orders outside assigned branch');
-    error.statusCode = 403;
-    throw error;
-  }
-}
-
-function normalizeBranchValue(value) {
-  if (!value) {
-    return null;
-  }
-
-  return value
-    .toString()
-    .toLowerCase()
-    .replace(/\(.*?\)/g, ' ')
-    .replace(/branch/g, ' ')
-    .replace(/main/g, ' ')
-    .replace(/[^a-z0-9]+/g, '')
-    .trim();
-}
-
-function shouldMatchByName(branchContext, order) {
-  if (!branchContext?.normalizedName) {
-    return false;
-  }
-
-  const normalizedTargets = [
-    order?.pickup_location,
-    order?.branch_name,
-    order?.managing_branch_name
-  ]
-    .filter(Boolean)
-    .map(normalizeBranchValue)
-    .filter(Boolean);
-
-  if (normalizedTargets.length === 0) {
-    return false;
-  }
-
-  return normalizedTargets.includes(branchContext.normalizedName);
-}
-
 // Supabase client and query helper are provided by ../lib/db
 
-// Function to check stock availability for trophies and balls based on pickup branch
-async function checkStockAvailability(orderItems, pickupBranchId, pickupLocation) {
-  // Note: pickupBranchId is only used for pickup location, not for stock checking
-  // Stock is checked across all branches to ensure availability
-
-  const errors = [];
-  const stockChecks = [];
-
-  for (const item of orderItems) {
-    const category = item.category?.toLowerCase();
-    
-    // Only check stock for trophies and balls
-    if (category !== 'trophies' && category !== 'balls') {
-      continue;
-    }
-
-    const productName = item.name;
-    const quantity = parseInt(item.quantity) || 1;
-    
-    if (!productName) {
-      errors.push(`Product name is missing for item in order`);
-      continue;
-    }
-
-    // Find product across ALL branches (not just the selected branch)
-    const { data: productsData, error: fetchError } = await supabase
-      .from('products')
-      .select('id, name, category, stock_quantity, size_stocks, branch_id')
-      .eq('name', productName)
-      .eq('category', item.category);
-
-    if (fetchError || !productsData || productsData.length === 0) {
-      errors.push(`${productName} is not available in any branch.`);
-      stockChecks.push({
-        product: productName,
-        available: false,
-        reason: 'Product not found in any branch'
-      });
-      continue;
-    }
-
-    // Check stock for balls (simple stock_quantity)
-    if (category === 'balls') {
-      // Sum stock across all branches
-      const totalStock = productsData.reduce((sum, product) => {
-        return sum + (product.stock_quantity || 0);
-      }, 0);
-
-      if (totalStock < quantity) {
-        errors.push(`${productName} has insufficient stock across all branches. Available: ${totalStock}, Required: ${quantity}.`);
-        stockChecks.push({
-          product: productName,
-          available: false,
-          availableStock: totalStock,
-          required: quantity
-        });
-      } else {
-        stockChecks.push({
-          product: productName,
-          available: true,
-          availableStock: totalStock,
-          required: quantity
-        });
-      }
-    }
-    
-    // Check stock for trophies (size_stocks)
-    if (category === 'trophies') {
-      // Get the size from trophy details
-      const trophySize = item.trophyDetails?.size || item.size;
-      if (!trophySize) {
-        errors.push(`${productName} size is not specified in order.`);
-        stockChecks.push({
-          product: productName,
-          available: false,
-          reason: 'Size not specified'
-        });
-        continue;
-      }
-
-      // Sum stock for the specific size across all branches
-      let totalStock = 0;
-      let hasValidStock = false;
-
-      for (const product of productsData) {
-        let sizeStocks = product.size_stocks;
-        
-        // Parse size_stocks if it's a string
-        if (typeof sizeStocks === 'string') {
-          try {
-            sizeStocks = JSON.parse(sizeStocks);
-          } catch (e) {
-            console.error(`Error parsing size_stocks for product ${product.id}:`, e);
-            sizeStocks = null;
-          }
-        }
-
-        if (sizeStocks && typeof sizeStocks === 'object' && sizeStocks[trophySize] !== undefined) {
-          hasValidStock = true;
-          totalStock += (sizeStocks[trophySize] || 0);
-        }
-      }
-
-      if (!hasValidStock) {
-        errors.push(`${productName} (${trophySize}) has no size stocks configured in any branch.`);
-        stockChecks.push({
-          product: productName,
-          size: trophySize,
-          available: false,
-          reason: 'No size stocks configured'
-        });
-        continue;
-      }
-
-      if (totalStock < quantity) {
-        errors.push(`${productName} (${trophySize}) has insufficient stock across all branches. Available: ${totalStock}, Required: ${quantity}.`);
-        stockChecks.push({
-          product: productName,
-          size: trophySize,
-          available: false,
-          availableStock: totalStock,
-          required: quantity
-        });
-      } else {
-        stockChecks.push({
-          product: productName,
-          size: trophySize,
-          available: true,
-          availableStock: totalStock,
-          required: quantity
-        });
-      }
-    }
-  }
-
-  return {
-    available: errors.length === 0,
-    errors: errors,
-    stockChecks: stockChecks
-  };
-}
-
-// Function to deduct stock for trophies and balls ONLY
-// NOTE: Apparel products (jerseys, uniforms, t-shirts, etc.) are pre-ordered (made to order)
-// and do not have stock that needs to be deducted
-// For balls/trophies: Deduct from the SELECTED branch and SELECTED size
-async function deductStockFromOrder(orderItems, pickupBranchId) {
-  try {
-    console.log('📦 Deducting stock for order items (balls and trophies only)');
-    // Note: pickupBranchId is only used for pickup location, not for stock deduction
-    // Each item has its own branchId (set in product modal) which indicates which branch has the stock
-
-    for (const item of orderItems) {
-      const category = item.category?.toLowerCase();
-      const productName = item.name;
-      const quantity = parseInt(item.quantity) || 1;
-      
-      if (!productName) {
-        console.warn(`⚠️ Skipping stock deduction: product name missing for item`);
-        continue;
-      }
-
-      // Only process balls and trophies - apparel products are pre-ordered (no stock deduction)
-      if (category !== 'trophies' && category !== 'balls') {
-        console.log(`ℹ️ Skipping ${productName} (${category}) - apparel products are pre-ordered, no stock deduction needed`);
-        continue;
-      }
-
-      // Use the branchId from the item (set in product modal when user selected branch with stock)
-      const itemBranchId = item.branchId || item.branch_id;
-      
-      if (!itemBranchId) {
-        console.warn(`⚠️ No branchId found for ${productName} - cannot deduct stock. Item should have branchId set from product modal.`);
-        continue;
-      }
-
-      // Find product in the branch specified by the item's branchId
-      // Use case-insensitive category matching and prefer products with size_stocks populated
-      const { data: products, error: fetchError } = await supabase
-        .from('products')
-        .select('id, name, category, stock_quantity, size_stocks, branch_id')
-        .eq('name', productName)
-        .ilike('category', item.category) // Case-insensitive match
-        .eq('branch_id', itemBranchId);
-      
-      // If multiple products found, prefer one with size_stocks populated
-      let foundProduct = null;
-      if (products && products.length > 0) {
-        if (products.length > 1) {
-          console.log(`⚠️ [DEBUG] Found ${products.length} products with same name/category/branch. Products:`, 
-            products.map(p => ({ id: p.id, size_stocks: p.size_stocks })));
-        }
-        // First, try to find one with non-null size_stocks
-        foundProduct = products.find(p => {
-          const ss = p.size_stocks;
-          return ss !== null && ss !== undefined && ss !== 'null' && (typeof ss === 'object' || (typeof ss === 'string' && ss.trim() !== '' && ss.trim() !== 'null'));
-        }) || products[0];
-        console.log(`🔍 [DEBUG] Selected product:`, { id: foundProduct.id, size_stocks: foundProduct.size_stocks });
-      }
-
-      if (fetchError || !foundProduct) {
-        console.error(`❌ Error fetching product ${productName} from branch ${itemBranchId}:`, fetchError);
-        console.error(`   Product not found in branch ${itemBranchId} (selected in product modal)`);
-        continue;
-      }
-      
-      // Debug: Log the full product object
-      console.log(`🔍 [DEBUG] Found product:`, JSON.stringify(foundProduct, null, 2));
-      console.log(`📦 Deducting ${productName} from branch ${itemBranchId} (selected in product modal)`);
-
-      // Deduct stock for balls (using stock_quantity)
-      if (category === 'balls') {
-        const currentStock = foundProduct.stock_quantity || 0;
-        const newStock = Math.max(0, currentStock - quantity);
-        
-        const { error: updateError } = await supabase
-          .from('products')
-          .update({ 
-            stock_quantity: newStock,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', foundProduct.id);
-        
-        if (updateError) {
-          console.error(`❌ Error updating stock for ball product ${foundProduct.id}:`, updateError);
-        } else {
-          console.log(`✅ Deducted ${quantity} from ${productName} (balls) at branch ${itemBranchId}. Stock: ${currentStock} → ${newStock}`);
-        }
-      }
-      
-      // Deduct stock for trophies (size_stocks) - using size from item
-      if (category === 'trophies') {
-        let sizeStocks = foundProduct.size_stocks;
-        
-        // Debug: Log what we received
-        console.log(`🔍 [DEBUG] Product ${foundProduct.id} size_stocks type:`, typeof sizeStocks);
-        console.log(`🔍 [DEBUG] Product ${foundProduct.id} size_stocks value:`, sizeStocks);
-        console.log(`🔍 [DEBUG] Product ${foundProduct.id} size_stocks is null:`, sizeStocks === null);
-        console.log(`🔍 [DEBUG] Product ${foundProduct.id} size_stocks is undefined:`, sizeStocks === undefined);
-        
-        // Parse size_stocks if it's a string
-        if (typeof sizeStocks === 'string') {
-          try {
-            sizeStocks = JSON.parse(sizeStocks);
-            console.log(`🔍 [DEBUG] Parsed size_stocks:`, sizeStocks);
-          } catch (e) {
-            console.error(`❌ Error parsing size_stocks for product ${foundProduct.id}:`, e);
-            continue;
-          }
-        }
-
-        // Improved validation: check for null explicitly, and ensure it's an object (not array)
-        if (sizeStocks === null || sizeStocks === undefined || typeof sizeStocks !== 'object' || Array.isArray(sizeStocks)) {
-          console.error(`❌ Invalid size_stocks for trophy product ${foundProduct.id}:`, {
-            value: sizeStocks,
-            type: typeof sizeStocks,
-            isNull: sizeStocks === null,
-            isUndefined: sizeStocks === undefined,
-            isArray: Array.isArray(sizeStocks)
-          });
-          continue;
-        }
-
-        // Get the size from trophy details
-        const trophySize = item.trophyDetails?.size || item.trophyDetails?.trophySize || item.size;
-        if (!trophySize) {
-          console.warn(`⚠️ Trophy size not specified for product ${productName}`);
-          continue;
-        }
-
-        console.log(`📏 Deducting stock for trophy size: ${trophySize} (type: ${typeof trophySize})`);
-        console.log(`🔍 [DEBUG] Available size_stocks keys:`, Object.keys(sizeStocks));
-
-        // JSONB keys are always strings, so convert trophySize to string for lookup
-        // Also try the original value in case it's already a string
-        const sizeKey = String(trophySize);
-        const currentStock = sizeStocks[sizeKey] ?? sizeStocks[trophySize] ?? 0;
-        
-        console.log(`🔍 [DEBUG] Looking up size "${sizeKey}" in size_stocks, found:`, currentStock);
-        if (currentStock < quantity) {
-          console.warn(`⚠️ Insufficient stock for ${productName} size ${trophySize} at branch ${itemBranchId}. Available: ${currentStock}, Required: ${quantity}`);
-        }
-
-        const newStock = Math.max(0, currentStock - quantity);
-        // Use string key to match JSONB format
-        sizeStocks[sizeKey] = newStock;
-        
-        const { error: updateError } = await supabase
-          .from('products')
-          .update({ 
-            size_stocks: sizeStocks,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', foundProduct.id);
-        
-        if (updateError) {
-          console.error(`❌ Error updating stock for trophy product ${foundProduct.id}:`, updateError);
-        } else {
-          console.log(`✅ Deducted ${quantity} from ${productName} (${trophySize}) at branch ${itemBranchId}. Stock: ${currentStock} → ${newStock}`);
-        }
-      }
-    }
-  } catch (error) {
-    console.error('❌ Error in deductStockFromOrder:', error);
-    throw error;
-  }
-}
-
 // Function to update sold_quantity for products in an order
 async function updateSoldQuantityForOrder(orderItems) {
   try {
@@ -629,6 +155,11 @@ async function updateSoldQuantityForOrder(orderItems) {
   }
 }
 
+// Sales an order contributes to its branch: the total less anything refunded on it
+function netSalesAmount(order) {
+  return Math.max(0, (parseFloat(order.total_amount) || 0) - (parseFloat(order.amount_refunded) || 0));
+}
+
 // Update branch total_sales when order is completed or cancelled
 // addSales: true to add sales, false to subtract sales
 async function updateBranchTotalSales(order, orderAmount, addSales = true) {
@@ -729,7 +260,7 @@ router.get('/', authenticateSupabaseToken, requireAdminOrOwner, async (req, res)
     // Build Supabase query - select only needed columns for better performance
     let query = supabase
       .from('orders')
-      .select('id, order_number, user_id, status, shipping_method, pickup_location, delivery_address, order_notes, subtotal_amount, shipping_cost, total_amount, total_items, order_items, created_at, updated_at, pickup_branch_id, order_type');
+      .select('id, order_number, user_id, status, shipping_method, pickup_location, delivery_address, order_notes, subtotal_amount, shipping_cost, total_amount, total_items, order_items, created_at, updated_at, pickup_branch_id, order_type, payment_status, amount_paid, balance_due, downpayment_required, amount_refunded, remake_of_order_id, reorder_of_order_id, pickup_slot_start, pickup_slot_end');
 
     // Apply filters
     if (pickupBranch) {
@@ -1046,6 +577,143 @@ router.get('/', authenticateSupabaseToken, requireAdminOrOwner, async (req, res)
   }
 });
 
+// Proof-of-payment verification queue (admins see their branch only)
+// Query: status (pending | approved | rejected, default pending)
+router.get('/payment-proofs', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const status = Object.values(PROOF_STATUS).includes(req.query.status) ? req.query.status : PROOF_STATUS.PENDING;
+    const branchContext = await resolveAdminBranchContext(req.user);
+
+    const { data: proofs, error } = await supabase
+      .from('payment_proofs')
+      .select('*, orders(id, order_number, status, pickup_location, pickup_branch_id, total_amount, amount_paid, balance_due, payment_status)')
+      .eq('status', status)
+      .order('created_at', { ascending: status === PROOF_STATUS.PENDING })
+      .limit(200);
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    const visible = (proofs || []).filter(proof => proof.orders && orderMatchesBranch(proof.orders, branchContext));
+
+    const userIds = [...new Set(visible.map(proof => proof.user_id).filter(Boolean))];
+    const names = {};
+    if (userIds.length > 0) {
+      const { data: profiles } = await supabase
+        .from('user_profiles')
+        .select('user_id, full_name, first_name, last_name')
+        .in('user_id', userIds);
+      (profiles || []).forEach(profile => {
+        names[profile.user_id] = profile.full_name || [profile.first_name, profile.last_name].filter(Boolean).join(' ') || null;
+      });
+    }
+
+    res.json({
+      proofs: visible.map(({ orders: order, ...proof }) => ({
+        ...proof,
+        order,
+        customer_name: names[proof.user_id] || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching payment proofs:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({ error: statusCode === 403 ? error.message : 'Failed to fetch payment proofs' });
+  }
+});
+
+// Approve a proof of payment: records it as a payment on the order
+router.post('/payment-proofs/:proofId/approve', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const proof = await loadPaymentProofForReview(req);
+    if (!proof) {
+      return res.status(404).json({ error: 'Proof of payment not found' });
+    }
+
+    const result = await withTransaction(client => approvePaymentProof(client, proof.id, req.user.id));
+
+    console.log(`💰 Proof of payment approved for order ${result.order.order_number}: ₱${result.payment.amount} (${result.payment.method}) - ${result.order.payment_status}`);
+
+    res.json({
+      proof: result.proof,
+      payment: result.payment,
+      paymentStatus: result.order.payment_status,
+      amountPaid: parseFloat(result.order.amount_paid) || 0,
+      balanceDue: parseFloat(result.order.balance_due) || 0
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error approving payment proof:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to approve proof of payment' });
+  }
+});
+
+// Reject a proof of payment and email the customer the reason. Body: { reason }
+router.post('/payment-proofs/:proofId/reject', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const reason = (req.body?.reason || '').toString().trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required so the customer knows what to fix' });
+    }
+
+    const proof = await loadPaymentProofForReview(req);
+    if (!proof) {
+      return res.status(404).json({ error: 'Proof of payment not found' });
+    }
+
+    // Only a pending proof can be rejected; the status check makes a second review a no-op
+    const { data: rejected, error } = await supabase
+      .from('payment_proofs')
+      .update({
+        status: PROOF_STATUS.REJECTED,
+        rejection_reason: reason,
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', proof.id)
+      .eq('status', PROOF_STATUS.PENDING)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+    if (!rejected) {
+      return res.status(409).json({ error: `This proof of payment was already ${proof.status}` });
+    }
+
+    console.log(`❌ Proof of payment rejected for order ${proof.orders.order_number}: ${reason}`);
+
+    let emailSent = false;
+    try {
+      const { data: userData } = await supabase.auth.admin.getUserById(proof.user_id);
+      const customer = userData?.user;
+      if (customer?.email) {
+        const emailResult = await emailService.sendPaymentProofRejected(
+          proof.orders,
+          rejected,
+          customer.email,
+          customer.user_metadata?.full_name || null,
+          reason
+        );
+        emailSent = emailResult.success;
+      }
+    } catch (emailError) {
+      console.warn('⚠️ Failed to send payment proof rejection email:', emailError.message);
+    }
+
+    res.json({ proof: rejected, emailSent });
+  } catch (error) {
+    console.error('Error rejecting payment proof:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to reject proof of payment' });
+  }
+});
+
 // Get single order by ID
 // Access rules:
 // - Admin/Owner: can view any order (with branch restrictions for admins)
@@ -1172,17 +840,347 @@ router.get('/:id', authenticateSupabaseToken, async (req, res) => {
   }
 });
 
-// Admin/Owner design review for custom design orders
-router.patch('/:id/design-review', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+// Branch that issues an order's receipt: the one already stamped on the order, otherwise the
+// pickup / fulfilment branch (matched by name, like the admin branch filters), otherwise the item branch
+async function resolveOrderBranch(order) {
+  const { data: branches, error } = await supabase
+    .from('branches')
+    .select('id, name, address, city, phone, email');
+
+  if (error) {
+    throw new Error(`Failed to load branches: ${error.message}`);
+  }
+
+  const branchList = branches || [];
+  if (order.receipt_branch_id) {
+    return branchList.find(branch => branch.id === order.receipt_branch_id) || null;
+  }
+
+  const pickupName = normalizeBranchValue(order.pickup_location);
+  const byName = pickupName ? branchList.find(branch => normalizeBranchValue(branch.name) === pickupName) : null;
+  if (byName) {
+    return byName;
+  }
+
+  const branchItem = (order.order_items || []).find(item => item?.branchId || item?.branch_id);
+  const itemBranchId = branchItem ? parseInt(branchItem.branchId || branchItem.branch_id, 10) : null;
+  return branchList.find(branch => branch.id === itemBranchId) || null;
+}
+
+// Printable invoice / official receipt. Customers can download their own orders;
+// admins only orders of their branch. The receipt number is assigned on first print.
+router.get('/:id/invoice.pdf', authenticateSupabaseToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { action, notes } = req.body || {};
+    const userRole = req.user.role;
 
-    if (!['approve', 'revision_required'].includes(action)) {
-      return res.status(400).json({ error: 'Invalid action. Use approve or revision_required.' });
-    }
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', id)
+      .single();
 
-    // Load order by ID or order_number without causing UUID cast errors
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    if (userRole === 'admin') {
+      ensureOrderAccess(order, await resolveAdminBranchContext(req.user));
+    } else if (userRole !== 'owner' && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied. You can only download invoices for your own orders.' });
+    }
+
+    const branch = await resolveOrderBranch(order);
+    if (!branch) {
+      return res.status(400).json({ error: 'Unable to determine the branch for this order' });
+    }
+
+    const invoiceOrder = order.receipt_number
+      ? order
+      : await withTransaction(client => assignReceiptNumber(client, order.id, branch.id));
+
+    if (!order.receipt_number) {
+      console.log(`🧾 Receipt ${invoiceOrder.receipt_number} issued for order ${order.order_number}`);
+    }
+
+    let customer = { name: order.delivery_address?.receiver || null, email: null };
+    if (order.user_id) {
+      try {
+        const { data: userData } = await supabase.auth.admin.getUserById(order.user_id);
+        const userObj = userData?.user;
+        if (userObj) {
+          const metadata = userObj.user_metadata || {};
+          const fullName = metadata.full_name || [metadata.first_name, metadata.last_name].filter(Boolean).join(' ');
+          customer = { name: fullName || customer.name, email: userObj.email };
+        }
+      } catch (userError) {
+        console.warn('Could not fetch customer for invoice:', userError.message);
+      }
+    }
+
+    const pdf = renderInvoicePdf(invoiceOrder, { branch, customer });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoiceOrder.order_number}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to generate invoice' });
+  }
+});
+
+// Team roster sheet for the sizing and printing stations: every team member of the order as a
+// printable PDF (with a size tally) or as CSV in the roster import format
+async function sendOrderRoster(req, res, format) {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    await ensureUserCanAccessOrder(req.user, order);
+
+    if (collectRosterEntries(order).length === 0) {
+      return res.status(400).json({ error: 'This order has no team roster' });
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="roster-${order.order_number}.csv"`);
+      return res.send(renderRosterCsv(order));
+    }
+
+    const branch = await resolveOrderBranch(order);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="roster-${order.order_number}.pdf"`);
+    res.send(renderRosterPdf(order, { branch }));
+  } catch (error) {
+    console.error('Error generating roster:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to generate roster' });
+  }
+}
+
+router.get('/:id/roster.pdf', authenticateSupabaseToken, (req, res) => sendOrderRoster(req, res, 'pdf'));
+router.get('/:id/roster.csv', authenticateSupabaseToken, (req, res) => sendOrderRoster(req, res, 'csv'));
+
+async function loadOrderForPayments(req) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('id', req.params.id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    throw new Error(`Supabase error: ${error.message}`);
+  }
+
+  if (req.user.role === 'admin') {
+    ensureOrderAccess(order, await resolveAdminBranchContext(req.user));
+  }
+  return order;
+}
+
+async function loadPaymentProofForReview(req) {
+  const { data: proof, error } = await supabase
+    .from('payment_proofs')
+    .select('*, orders(id, order_number, status, pickup_location, pickup_branch_id)')
+    .eq('id', req.params.proofId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Supabase error: ${error.message}`);
+  }
+  if (!proof) {
+    return null;
+  }
+
+  if (req.user.role === 'admin') {
+    ensureOrderAccess(proof.orders, await resolveAdminBranchContext(req.user));
+  }
+  return proof;
+}
+
+// Payment entries and totals for an order (staff, or the customer who placed it)
+router.get('/:id/payments', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!['admin', 'owner'].includes(req.user.role) && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied. You can only view payments for your own orders.' });
+    }
+
+    const { data: payments, error } = await supabase
+      .from('order_payments')
+      .select('*')
+      .eq('order_id', order.id)
+      .order('paid_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    res.json({
+      orderId: order.id,
+      totalAmount: parseFloat(order.total_amount) || 0,
+      downpaymentPercent: parseFloat(order.downpayment_percent) || 0,
+      downpaymentRequired: parseFloat(order.downpayment_required) || 0,
+      ...summarizePayments(order, payments || []),
+      payments: payments || []
+    });
+  } catch (error) {
+    console.error('Error fetching order payments:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to fetch payments' });
+  }
+});
+
+// Record a payment or refund. Body: { kind, amount, method, reference, notes, paidAt }
+router.post('/:id/payments', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { kind, amount, method, reference, notes, paidAt } = req.body || {};
+    const result = await withTransaction(client => recordPayment(client, order.id, {
+      kind,
+      amount,
+      method,
+      reference: reference || null,
+      notes: notes || null,
+      paidAt: paidAt || null,
+      recordedBy: req.user.id
+    }));
+
+    console.log(`💰 ${result.payment.kind === 'refund' ? 'Refund' : 'Payment'} of ₱${result.payment.amount} (${result.payment.method}) recorded for order ${order.order_number} - ${result.order.payment_status}`);
+
+    // A refund on a completed order comes off the sales the branch was credited with
+    if (result.payment.kind === 'refund' && ['picked_up_delivered', 'completed'].includes(order.status)) {
+      await updateBranchTotalSales(order, result.payment.amount, false);
+    }
+
+    res.status(201).json({
+      payment: result.payment,
+      paymentStatus: result.order.payment_status,
+      amountPaid: parseFloat(result.order.amount_paid) || 0,
+      balanceDue: parseFloat(result.order.balance_due) || 0
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error recording payment:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to record payment' });
+  }
+});
+
+// Proofs of payment submitted for an order (staff, or the customer who placed it)
+router.get('/:id/payment-proofs', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!['admin', 'owner'].includes(req.user.role) && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied. You can only view payments for your own orders.' });
+    }
+
+    const { data: proofs, error } = await supabase
+      .from('payment_proofs')
+      .select('*')
+      .eq('order_id', order.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    res.json({ proofs: proofs || [] });
+  } catch (error) {
+    console.error('Error fetching payment proofs:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to fetch payment proofs' });
+  }
+});
+
+// Customer uploads a bank transfer / GCash receipt for their order.
+// Multipart: proof (image file), amount, method, reference
+router.post('/:id/payment-proofs', authenticateSupabaseToken, upload.single('proof'), async (req, res) => {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'You can only submit payments for your own orders' });
+    }
+    if (!req.file || !req.file.mimetype.startsWith('image/')) {
+      return res.status(400).json({ error: 'Attach a photo or screenshot of your receipt' });
+    }
+
+    const { amount, method } = validateProofSubmission(order, req.body || {});
+    const reference = (req.body.reference || '').toString().trim() || null;
+
+    let image;
+    try {
+      image = await uploadToCloudinary(req.file, 'yohanns-payment-proofs');
+    } catch (cloudinaryError) {
+      console.error('❌ Cloudinary upload error:', cloudinaryError);
+      return res.status(500).json({ error: 'Failed to upload receipt image' });
+    }
+
+    const { data: proof, error } = await supabase
+      .from('payment_proofs')
+      .insert({
+        order_id: order.id,
+        user_id: req.user.id,
+        amount,
+        method,
+        reference,
+        image_url: image.secure_url,
+        image_public_id: image.public_id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    console.log(`🧾 Proof of payment submitted for order ${order.order_number}: ₱${amount} (${method})`);
+    res.status(201).json({ proof });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error submitting payment proof:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to submit proof of payment' });
+  }
+});
+
+// Admin/Owner design review for custom design orders. Approving only goes through once the
+// customer has approved the latest design proof (lib/designProofs); a revision request answers it.
+router.patch('/:id/design-review', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action, notes } = req.body || {};
+
+    if (!['approve', 'revision_required'].includes(action)) {
+      return res.status(400).json({ error: 'Invalid action. Use approve or revision_required.' });
+    }
+
+    // Load order by ID or order_number without causing UUID cast errors
     // Need to fetch full order (including pickup_location) to check branch access
     let order = null;
     const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id);
@@ -1238,6 +1236,23 @@ router.patch('/:id/design-review', authenticateSupabaseToken, requireAdminOrOwne
       return res.status(404).json({ error: 'No artist task found for this order' });
     }
 
+    // Move the order first so a review that doesn't fit the order's current stage changes nothing
+    const nextStatus = action === 'approve' ? 'sizing' : 'layout';
+    if (order.status !== nextStatus) {
+      try {
+        await withTransaction(client => transitionOrderStatus(client, order.id, nextStatus, {
+          actor: req.user,
+          source: TRANSITION_SOURCES.DESIGN_REVIEW,
+          note: notes || (action === 'approve' ? 'Design approved' : 'Revisions required')
+        }));
+      } catch (transitionError) {
+        if (transitionError instanceof OrderTransitionError || transitionError instanceof PaymentError) {
+          return res.status(transitionError.statusCode).json({ error: transitionError.message, currentStatus: order.status });
+        }
+        throw transitionError;
+      }
+    }
+
     // Action handling
     if (action === 'revision_required') {
       // Send task back to in_progress, clear submitted_at, set revision notes
@@ -1255,15 +1270,19 @@ router.patch('/:id/design-review', authenticateSupabaseToken, requireAdminOrOwne
           .eq('id', task.id)
       );
 
-      // Move order back to layout stage
+      // The proof waiting on the customer is answered by the admin's revision request
       updates.push(
         supabase
-          .from('orders')
+          .from('design_proofs')
           .update({
-            status: 'layout',
+            status: 'changes_requested',
+            response_comment: notes || 'Revisions required by admin.',
+            responded_at: new Date().toISOString(),
+            responded_by: req.user.id,
             updated_at: new Date().toISOString()
           })
-          .eq('id', order.id)
+          .eq('order_id', order.id)
+          .eq('status', 'pending')
       );
 
       // Ensure any related design chat rooms are open for revision discussion
@@ -1285,7 +1304,7 @@ router.patch('/:id/design-review', authenticateSupabaseToken, requireAdminOrOwne
     }
 
     if (action === 'approve') {
-      // Approve and proceed: mark artist task as completed and move order to sizing
+      // Approve and proceed: mark artist task as completed (the order moved to sizing above)
       const updates = [];
 
       updates.push(
@@ -1301,16 +1320,6 @@ router.patch('/:id/design-review', authenticateSupabaseToken, requireAdminOrOwne
           .eq('id', task.id)
       );
 
-      updates.push(
-        supabase
-          .from('orders')
-          .update({
-            status: 'sizing',
-            updated_at: new Date().toISOString()
-          })
-      .eq('id', order.id)
-      );
-
       // Close all related design chat rooms for this order
       updates.push(
         supabase
@@ -1433,6 +1442,267 @@ router.post('/:id/revision-notes', authenticateSupabaseToken, requireAdminOrOwne
   }
 });
 
+// Status timeline: every transition with who made it and any note
+router.get('/:id/status-history', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const isStaff = ['admin', 'owner', 'artist'].includes(req.user.role);
+    if (!isStaff && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied. You can only view your own orders.' });
+    }
+
+    const { data: history, error } = await supabase
+      .from('order_status_history')
+      .select('*')
+      .eq('order_id', order.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    const actorIds = [...new Set((history || []).map(entry => entry.actor_id).filter(Boolean))];
+    const actorNames = {};
+    if (actorIds.length > 0) {
+      const { data: profiles } = await supabase
+        .from('user_profiles')
+        .select('user_id, full_name, first_name, last_name')
+        .in('user_id', actorIds);
+      (profiles || []).forEach(profile => {
+        actorNames[profile.user_id] = profile.full_name ||
+          [profile.first_name, profile.last_name].filter(Boolean).join(' ') || null;
+      });
+    }
+
+    res.json({
+      orderId: order.id,
+      status: order.status,
+      allowedStatuses: getAllowedTransitions(order, req.user),
+      history: (history || []).map(entry => ({
+        ...entry,
+        actor_name: actorNames[entry.actor_id] || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching order status history:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to fetch status history' });
+  }
+});
+
+// Book or change the pickup slot of a pickup order (the customer who placed it, or staff).
+// Body: { windowId, start } - one of the slots from GET /api/branches/:id/pickup-slots
+router.put('/:id/pickup-slot', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!['admin', 'owner'].includes(req.user.role) && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied. You can only book pickup times for your own orders.' });
+    }
+    if (['picked_up_delivered', 'cancelled', 'refunded'].includes(order.status)) {
+      return res.status(400).json({ error: `Pickup time can't be changed once an order is ${order.status}` });
+    }
+
+    const { windowId, start } = req.body || {};
+    if (!windowId || !start) {
+      return res.status(400).json({ error: 'windowId and start are required' });
+    }
+
+    const branch = await findOrderBranch(order);
+    const updatedOrder = await withTransaction(client => reservePickupSlot(client, order, {
+      branchId: branch?.id ?? null,
+      windowId,
+      slotStart: start
+    }));
+
+    console.log(`🕒 Pickup slot for order ${order.order_number} set to ${updatedOrder.pickup_slot_start}`);
+    res.json({
+      id: updatedOrder.id,
+      pickup_window_id: updatedOrder.pickup_window_id,
+      pickup_slot_start: updatedOrder.pickup_slot_start,
+      pickup_slot_end: updatedOrder.pickup_slot_end
+    });
+  } catch (error) {
+    if (error instanceof PickupSlotError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error booking pickup slot:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to book pickup time' });
+  }
+});
+
+// "Order again" for a delivered order (the customer who placed it). Catalog orders come back as
+// cart lines repriced at today's prices with team rosters intact; custom design orders come back
+// as a prefill for the custom design form.
+router.get('/:id/order-again', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const order = await loadRepeatableOrder(req.params.id, req.user);
+    res.json(await buildRepeatOrder(order));
+  } catch (error) {
+    if (error instanceof RepeatOrderError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error preparing order again:', error);
+    res.status(500).json({ error: 'Failed to prepare order again' });
+  }
+});
+
+// Parts of a split order with their delivery proofs. Unsplit orders get a suggested split
+// (stock lines vs made-to-order lines) that staff can apply as-is.
+router.get('/:id/shipments', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const isStaff = ['admin', 'owner'].includes(req.user.role);
+    if (!isStaff && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied. You can only view your own orders.' });
+    }
+
+    const { data: shipmentRows, error: shipmentsError } = await supabase
+      .from('order_shipments')
+      .select('*')
+      .eq('order_id', order.id)
+      .order('part_number', { ascending: true });
+    if (shipmentsError) {
+      throw new Error(`Supabase error: ${shipmentsError.message}`);
+    }
+
+    const shipments = shipmentRows || [];
+    let proofs = [];
+    if (shipments.length > 0) {
+      const { data, error } = await supabase
+        .from('delivery_proof')
+        .select('id, shipment_id, proof_images, delivery_person_name, delivery_notes, created_at')
+        .in('shipment_id', shipments.map(shipment => shipment.id));
+      if (error) {
+        throw new Error(`Supabase error: ${error.message}`);
+      }
+      proofs = data || [];
+    }
+
+    res.json({
+      orderId: order.id,
+      shipments: shipments.map(shipment => ({
+        ...shipment,
+        proofs: proofs.filter(proof => proof.shipment_id === shipment.id)
+      })),
+      suggestedSplit: shipments.length === 0 && isStaff ? suggestSplit(order) : null
+    });
+  } catch (error) {
+    console.error('Error fetching order shipments:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to fetch order parts' });
+  }
+});
+
+// Split an order into parts handed over separately.
+// Body: { parts: [{ label, lines }] } - lines are indexes into order_items; every line in one part
+router.post('/:id/shipments', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const shipments = await withTransaction(client => splitOrder(client, order.id, req.body?.parts, req.user.id));
+    console.log(`📦 Order ${order.order_number} split into ${shipments.length} parts`);
+    res.status(201).json({ orderId: order.id, shipments: shipments.map(shipment => ({ ...shipment, proofs: [] })) });
+  } catch (error) {
+    if (error instanceof ShipmentError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error splitting order:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to split order' });
+  }
+});
+
+// Merge a split order back while none of its parts has been released
+router.delete('/:id/shipments', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    await withTransaction(client => removeOrderSplit(client, order.id));
+    console.log(`📦 Split of order ${order.order_number} removed`);
+    res.json({ orderId: order.id, shipments: [] });
+  } catch (error) {
+    if (error instanceof ShipmentError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error removing order split:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to merge order parts' });
+  }
+});
+
+// Move one part: pending -> ready -> picked_up_delivered (or back to pending).
+// Multipart: status, pickupCode (pickup orders), photos (required for COD handover),
+// deliveryPersonName, deliveryPersonContact, notes
+router.patch('/:id/shipments/:shipmentId', authenticateSupabaseToken, requireAdminOrOwner, upload.array('photos', MAX_PROOF_PHOTOS), async (req, res) => {
+  try {
+    const order = await loadOrderForPayments(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    let proofImages = [];
+    const files = (req.files || []).filter(file => file.mimetype.startsWith('image/'));
+    if (files.length > 0) {
+      try {
+        const results = await Promise.all(files.map(file => uploadToCloudinary(file, 'yohanns-delivery-proof')));
+        proofImages = results.map(result => result.secure_url);
+      } catch (cloudinaryError) {
+        console.error('❌ Cloudinary upload error:', cloudinaryError);
+        return res.status(500).json({ error: 'Failed to upload photos' });
+      }
+    }
+
+    const result = await withTransaction(client => updateShipmentStatus(client, order.id, req.params.shipmentId, req.body.status, {
+      actorId: req.user.id,
+      pickupCode: req.body.pickupCode || null,
+      proofImages,
+      deliveryPersonName: req.body.deliveryPersonName || null,
+      deliveryPersonContact: req.body.deliveryPersonContact || null,
+      notes: req.body.notes || null
+    }));
+    const { shipment } = result;
+    console.log(`📦 ${shipment.label} of order ${order.order_number} is now ${shipment.status}`);
+
+    // Each part counts toward sales when it is handed over; the order-level update only adds the rest
+    if (shipment.status === 'picked_up_delivered') {
+      try {
+        await updateSoldQuantityForOrder(shipment.items || []);
+        await updateBranchTotalSales(order, parseFloat(shipment.amount) || 0, true);
+      } catch (salesError) {
+        console.error(`Error updating sales metrics for ${shipment.label} of order ${order.order_number}:`, salesError);
+      }
+    }
+
+    res.json({
+      shipment,
+      allHandedOver: result.allHandedOver
+    });
+  } catch (error) {
+    if (error instanceof ShipmentError || error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error updating order part:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 403 ? error.message : 'Failed to update order part' });
+  }
+});
+
 // Update order status
 router.patch('/:id/status', authenticateSupabaseToken, async (req, res) => {
   console.log('🚀 STATUS UPDATE ROUTE CALLED');
@@ -1441,19 +1711,12 @@ router.patch('/:id/status', authenticateSupabaseToken, async (req, res) => {
   
   try {
     const { id } = req.params;
-    const { status, skipEmail = false } = req.body;
-
-    // Updated to support new production stage statuses
-    const validStatuses = [
-      'pending', 'confirmed', 'layout', 'sizing', 'printing', 
-      'press', 'prod', 'packing_completing', 'picked_up_delivered', 
-      'cancelled'
-    ];
-    
-    if (!status || !validStatuses.includes(status)) {
+    const { status, skipEmail = false, note = null, pickupCode = null } = req.body;
+
+    if (!status || !ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ 
         error: 'Invalid status',
-        validStatuses: validStatuses
+        validStatuses: ORDER_STATUSES
       });
     }
 
@@ -1474,28 +1737,8 @@ router.patch('/:id/status', authenticateSupabaseToken, async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    // Authorization check: Allow customers to cancel their own pending orders
-    // Admin/Owner can change any status, customers can only cancel pending orders
-    if (!isAdminOrOwner) {
-      // Customer trying to update order status
-      const isOrderOwner = currentOrderData.user_id === req.user.id;
-      const isCancellingPending = status === 'cancelled' && currentOrderData.status === 'pending';
-      
-      if (!isOrderOwner || !isCancellingPending) {
-        console.log('❌ Customer unauthorized status update attempt:', {
-          isOrderOwner,
-          isCancellingPending,
-          currentStatus: currentOrderData.status,
-          requestedStatus: status
-        });
-        return res.status(403).json({ 
-          error: 'Admin or owner access required. Customers can only cancel their own pending orders.' 
-        });
-      }
-      
-      console.log('✅ Customer authorized to cancel their pending order');
-    } else {
-      // Admin/Owner: apply branch restrictions
+    // Admin/Owner: apply branch restrictions. Who may take which edge is up to the state machine.
+    if (isAdminOrOwner) {
       ensureOrderAccess(currentOrderData, branchContext);
     }
 
@@ -1507,75 +1750,99 @@ router.patch('/:id/status', authenticateSupabaseToken, async (req, res) => {
       customer_email: userData?.user?.email || null,
       customer_name: userData?.user?.user_metadata?.full_name || null
     };
-    const previousStatus = currentOrder.status;
-
-    // ADMIN/OWNER-ONLY LAYOUT CONTROL
-    if (status === 'layout' && !isAdminOrOwner) {
-      console.log('❌ Non-admin attempting to move to layout:', userRole);
-      return res.status(403).json({
-        error: 'Only admins or owners can move orders to layout status',
-        requiredRole: 'admin or owner',
-        currentRole: userRole
-      });
-    }
 
-    // ARTIST-ONLY SIZING CONTROL
-    if (status === 'sizing') {
-      console.log('📏 SIZING STATUS VALIDATION');
-      
-      // Check if user is an artist
-      if (userRole !== 'artist') {
-        console.log('❌ Non-artist trying to move to sizing:', userRole);
-        return res.status(403).json({ 
-          error: 'Only artists can move orders to sizing status',
-          requiredRole: 'artist',
-          currentRole: userRole
+    // Orders entering layout are handed to an artist once the status is saved, so make sure there
+    // is one before saving anything. Only admins and owners can take an edge into layout
+    // (ORDER_TRANSITIONS), so nobody else gets this far with a layout change.
+    if (status === 'layout' && currentOrder.status !== 'layout') {
+      try {
+        const { data: activeArtists, error: artistCheckError } = await supabase
+          .from('artist_profiles')
+          .select('id')
+          .eq('is_active', true)
+          .limit(1);
+
+        if (artistCheckError) {
+          console.error('❌ Error checking for active artists:', artistCheckError);
+          return res.status(500).json({
+            error: 'Failed to validate artist availability',
+            details: artistCheckError.message,
+            artistAssignmentError: true
+          });
+        }
+
+        if (!activeArtists || activeArtists.length === 0) {
+          console.error('❌ No active artists available for assignment');
+          return res.status(400).json({
+            error: 'Cannot assign task: No active artists available',
+            details: 'Please ensure at least one artist profile is active before moving orders to layout status',
+            artistAssignmentError: true
+          });
+        }
+      } catch (validationError) {
+        console.error('❌ Error validating artist availability:', validationError);
+        return res.status(500).json({
+          error: 'Failed to validate artist availability',
+          details: validationError.message,
+          artistAssignmentError: true
         });
       }
+    }
 
-      // Check if design files have been uploaded
-      const hasDesignFiles = currentOrder.design_files && 
-                            Array.isArray(currentOrder.design_files) && 
-                            currentOrder.design_files.length > 0;
-      
-      if (!hasDesignFiles) {
-        console.log('❌ No design files uploaded for sizing');
-        return res.status(400).json({ 
-          error: 'Design files must be uploaded before moving to sizing status',
-          currentStatus: previousStatus,
-          requiredAction: 'Upload design files first'
+    // Role, guards (downpayment, design files, artist assignment) and the history row all come
+    // from lib/orderStatus so every route that moves an order follows the same rules
+    let transition;
+    try {
+      transition = await withTransaction(async (client) => {
+        const result = await transitionOrderStatus(client, id, status, {
+          actor: req.user,
+          source: TRANSITION_SOURCES.STATUS_UPDATE,
+          note,
+          pickupCode
+        });
+        // Packed pickup orders get the code staff check at handover
+        if (status === 'packing_completing' && result.order.shipping_method === 'pickup') {
+          result.order = await assignPickupCode(client, id);
+        }
+        // Parts of a split order that were ready go out with the order; sales already counted
+        // by earlier parts are left out below
+        if (status === 'picked_up_delivered') {
+          result.shipmentSales = await completeOrderShipments(client, id, req.user.id);
+        }
+        // Reserved balls/trophies go back on cancellation (including customer self-cancel), in
+        // the same transaction so a failed restore rolls the cancellation back. Orders already
+        // handed over keep their stock out: the customer has the goods, after-sales handles refunds.
+        if (status === 'cancelled' && result.previousStatus !== 'picked_up_delivered') {
+          result.restoredStock = await restoreOrderStock(client, id, {
+            actorId: req.user.id,
+            reason: `Order ${result.order.order_number} cancelled by ${isAdminOrOwner ? userRole : 'customer'}`
+          });
+        }
+        return result;
+      });
+    } catch (transitionError) {
+      if (transitionError instanceof PaymentError) {
+        console.log(`❌ Downpayment missing for order ${currentOrder.order_number}`);
+        return res.status(transitionError.statusCode).json({
+          error: transitionError.message,
+          downpaymentRequired: parseFloat(currentOrder.downpayment_required) || 0,
+          amountPaid: parseFloat(currentOrder.amount_paid) || 0
         });
       }
-
-      // Check if order is in layout status (prerequisite)
-      if (previousStatus !== 'layout') {
-        console.log('❌ Order not in layout status:', previousStatus);
-        return res.status(400).json({ 
-          error: 'Order must be in layout status before moving to sizing',
-          currentStatus: previousStatus,
-          requiredStatus: 'layout'
+      if (transitionError instanceof OrderTransitionError) {
+        console.log(`❌ Status change refused for order ${currentOrder.order_number}: ${transitionError.message}`);
+        return res.status(transitionError.statusCode).json({
+          error: transitionError.message,
+          currentStatus: currentOrder.status,
+          requestedStatus: status,
+          allowedStatuses: getAllowedTransitions(currentOrder, req.user)
         });
       }
-
-      console.log('✅ Artist sizing validation passed');
+      throw transitionError;
     }
 
-    // Update order status
-    const { data: updatedOrderData, error: updateError } = await supabase
-      .from('orders')
-      .update({ 
-        status: status, 
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (updateError || !updatedOrderData) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-    const updatedOrder = updatedOrderData;
+    const updatedOrder = transition.order;
+    const previousStatus = transition.previousStatus;
 
     // Debug: Log all status changes
     console.log(`🔄 Order ${updatedOrder.order_number} status changed: ${previousStatus} → ${status}`);
@@ -1624,50 +1891,6 @@ router.patch('/:id/status', authenticateSupabaseToken, async (req, res) => {
 
     // Assign artist task when order moves to 'layout' status
     if (status === 'layout' && previousStatus !== 'layout') {
-      // Enforce admin/owner control at this point as well (defensive)
-      if (!isAdminOrOwner) {
-        console.log('❌ Non-admin attempting to trigger layout assignment logic:', userRole);
-        return res.status(403).json({
-          error: 'Only admins or owners can initiate layout stage',
-          requiredRole: 'admin or owner',
-          currentRole: userRole
-        });
-      }
-
-      // Validation: Check if at least one active artist exists
-      try {
-        const { data: activeArtists, error: artistCheckError } = await supabase
-          .from('artist_profiles')
-          .select('id')
-          .eq('is_active', true)
-          .limit(1);
-
-        if (artistCheckError) {
-          console.error('❌ Error checking for active artists:', artistCheckError);
-          return res.status(500).json({
-            error: 'Failed to validate artist availability',
-            details: artistCheckError.message,
-            artistAssignmentError: true
-          });
-        }
-
-        if (!activeArtists || activeArtists.length === 0) {
-          console.error('❌ No active artists available for assignment');
-          return res.status(400).json({
-            error: 'Cannot assign task: No active artists available',
-            details: 'Please ensure at least one artist profile is active before moving orders to layout status',
-            artistAssignmentError: true
-          });
-        }
-      } catch (validationError) {
-        console.error('❌ Error validating artist availability:', validationError);
-        return res.status(500).json({
-          error: 'Failed to validate artist availability',
-          details: validationError.message,
-          artistAssignmentError: true
-        });
-      }
-
       // Check for duplicate task assignment
       let existingTask = null;
       try {
@@ -1753,191 +1976,41 @@ router.patch('/:id/status', authenticateSupabaseToken, async (req, res) => {
         const firstItem = Array.isArray(currentOrder.order_items) && currentOrder.order_items.length > 0
           ? currentOrder.order_items[0]
           : null;
-        const defaultProductName = firstItem?.name || firstItem?.product_name || 'Store Product';
-        const defaultProductId = firstItem?.id || firstItem?.product_id || null;
-        const defaultQuantity = currentOrder.total_items || firstItem?.quantity || 1;
-        const productImage = firstItem?.image || firstItem?.main_image || null;
-        let fallbackContext = {
-          productName: defaultProductName,
-          quantity: defaultQuantity,
-          requirements: currentOrder.order_notes || null,
-          productId: defaultProductId,
-          productImage
+        const defaultProductNames = {
+          custom_design: 'Custom Design',
+          walk_in: 'Walk-in Product',
+          regular: 'Store Product'
         };
 
-        if (orderType === 'custom_design') {
-          // Custom design order
-          const { data: customTaskData, error: customError } = await supabase.rpc('assign_custom_design_task', {
-            p_order_id: currentOrder.id,
-            p_product_name: currentOrder.order_items?.[0]?.name || 'Custom Design',
-            p_quantity: currentOrder.total_items || 1,
-            p_customer_requirements: currentOrder.order_notes || null,
-            p_priority: 'medium',
-            p_deadline: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days from now
-            p_product_id: currentOrder.order_items?.[0]?.id || null
-          });
-          
-          if (customError) {
-            console.error('❌ Error assigning custom design task:', customError);
-            console.error('❌ Custom task error details:', JSON.stringify(customError, null, 2));
-            assignmentError = {
-              type: 'custom_design',
-              message: customError.message || 'Failed to assign custom design task',
-              details: customError
-            };
-          } else {
-            taskId = customTaskData;
-            console.log(`✅ Custom design task assigned: ${taskId}`);
-          }
-
-          fallbackContext = {
-            productName: currentOrder.order_items?.[0]?.name || 'Custom Design',
-            quantity: currentOrder.total_items || 1,
+        // Scored assignment: task size, artist capacity, specialties and deadlines (lib/artistAssignment)
+        try {
+          const assignment = await assignArtistTask({
+            order: currentOrder,
+            orderType,
+            productName: firstItem?.name || firstItem?.product_name || defaultProductNames[orderType] || defaultProductNames.regular,
+            quantity: currentOrder.total_items || firstItem?.quantity || 1,
             requirements: currentOrder.order_notes || null,
-            productId: currentOrder.order_items?.[0]?.id || null,
-            productImage
-          };
-        } else if (orderType === 'walk_in') {
-          // Walk-in order (using order_type field instead of parsing order_number)
-          const { data: walkInTaskData, error: walkInError } = await supabase.rpc('assign_walk_in_order_task', {
-            p_product_name: currentOrder.order_items?.[0]?.name || 'Walk-in Product',
-            p_quantity: currentOrder.total_items || 1,
-            p_customer_requirements: currentOrder.order_notes || null,
-            p_priority: 'high',
-            p_deadline: new Date(Date.now() + 1 * 24 * 60 * 60 * 1000).toISOString(), // 1 day from now
-            p_order_id: currentOrder.id,
-            p_product_id: currentOrder.order_items?.[0]?.id || null
+            productId: firstItem?.id || firstItem?.product_id || null,
+            productImage: firstItem?.image || firstItem?.main_image || null
           });
-          
-          if (walkInError) {
-            console.error('❌ Error assigning walk-in order task:', walkInError);
-            console.error('❌ Walk-in task error details:', JSON.stringify(walkInError, null, 2));
-            assignmentError = {
-              type: 'walk_in',
-              message: walkInError.message || 'Failed to assign walk-in order task',
-              details: walkInError
-            };
-          } else {
-            taskId = walkInTaskData;
-            console.log(`✅ Walk-in order task assigned: ${taskId}`);
-          }
-
-          fallbackContext = {
-            productName: firstItem?.name || 'Walk-in Product',
-            quantity: currentOrder.total_items || 1,
-            requirements: currentOrder.order_notes || null,
-            productId: firstItem?.id || null,
-            productImage
+          taskId = assignment.taskId;
+          console.log(`✅ ${orderType} task ${taskId} assigned to ${assignment.artist.artist_name} (score ${assignment.score}: ${assignment.reasons.join('; ')})`);
+        } catch (assignError) {
+          console.error(`❌ Error assigning ${orderType} task:`, assignError);
+          assignmentError = {
+            type: orderType,
+            message: assignError.message || 'Failed to assign artist task',
+            details: assignError
           };
-        } else {
-          // Regular order (store products)
-          let customerRequirements = currentOrder.order_notes || '';
-          
-          // Add product image to requirements if available
-          if (productImage) {
-            customerRequirements = customerRequirements 
-              ? `${customerRequirements}\n\n📸 Product Image: ${productImage}`
-              : `📸 Product Image: ${productImage}`;
-          }
-          
-          const { data: regularTaskData, error: regularError } = await supabase.rpc('assign_regular_order_task', {
-            p_product_name: firstItem?.name || 'Store Product',
-            p_quantity: currentOrder.total_items || 1,
-            p_customer_requirements: customerRequirements || null,
-            p_priority: 'medium',
-            p_deadline: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days from now
-            p_order_id: currentOrder.id,
-            p_product_id: firstItem?.id || null,
-            p_order_source: 'online'
-          });
-          
-          if (regularError) {
-            console.error('❌ Error assigning regular order task:', regularError);
-            console.error('❌ Regular task error details:', JSON.stringify(regularError, null, 2));
-            assignmentError = {
-              type: 'regular',
-              message: regularError.message || 'Failed to assign regular order task',
-              details: regularError
-            };
-          } else {
-            taskId = regularTaskData;
-            console.log(`✅ Regular order task assigned: ${taskId}`);
-            
-            // If task was created successfully and we have an image, update the task with image reference
-            if (taskId && productImage) {
-              try {
-                // Update the task's design_requirements and product_thumbnail to include the image
-                const { data: existingTask } = await supabase
-                  .from('artist_tasks')
-                  .select('design_requirements')
-                  .eq('id', taskId)
-                  .single();
-                
-                if (existingTask) {
-                  const updatedRequirements = existingTask.design_requirements 
-                    ? `${existingTask.design_requirements}\n\n🖼️ Product Reference Image: ${productImage}`
-                    : `🖼️ Product Reference Image: ${productImage}`;
-                  
-                  // Update both design_requirements and product_thumbnail
-                  await supabase
-                    .from('artist_tasks')
-                    .update({ 
-                      design_requirements: updatedRequirements,
-                      product_thumbnail: productImage
-                    })
-                    .eq('id', taskId);
-                  
-                  console.log(`✅ Added product image to task ${taskId}`);
-                }
-              } catch (updateError) {
-                console.error('⚠️ Could not update task with image (non-critical):', updateError);
-              }
-            }
-          }
-
-          fallbackContext = {
-            productName: firstItem?.name || 'Store Product',
-            quantity: currentOrder.total_items || 1,
-            requirements: customerRequirements || null,
-            productId: firstItem?.id || null,
-            productImage
-          };
-        }
-
-        if (!taskId) {
-          try {
-            console.log('⚠️ Primary artist assignment failed, attempting fallback assignment...');
-            const fallbackResult = await assignArtistTaskFallback({
-              order: currentOrder,
-              orderType,
-              productName: fallbackContext.productName,
-              quantity: fallbackContext.quantity,
-              requirements: fallbackContext.requirements,
-              productId: fallbackContext.productId,
-              productImage: fallbackContext.productImage
-            });
-
-            if (fallbackResult?.taskId) {
-              taskId = fallbackResult.taskId;
-              assignmentError = null;
-              console.log(`✅ Fallback artist task assigned: ${taskId}`);
-            }
-          } catch (fallbackError) {
-            console.error('❌ Fallback artist assignment error:', fallbackError);
-            if (!assignmentError) {
-              assignmentError = {
-                type: 'fallback',
-                message: fallbackError.message || 'Fallback artist assignment failed',
-                details: fallbackError
-              };
-            }
-          }
         }
         
         // Handle assignment result
         if (taskId) {
           console.log(`🎨 Artist task successfully assigned for order ${updatedOrder.order_number}`);
 
+          // Repeat orders start from the artwork of the order they were copied from
+          await attachPreviousArtwork(taskId, currentOrder);
+
           // Fetch artist information for the response
           let artistInfo = null;
           try {
@@ -2048,12 +2121,16 @@ router.patch('/:id/status', authenticateSupabaseToken, async (req, res) => {
     // Add sales when order is completed (only if not cancelled)
     if (isCompleting && status !== 'cancelled') {
       try {
-        // Update sold quantity for products
-        await updateSoldQuantityForOrder(currentOrder.order_items || []);
+        const shipmentSales = transition.shipmentSales || { split: false, recordedAmount: 0, items: [] };
+
+        // Update sold quantity for products (split orders: only the parts not counted yet)
+        await updateSoldQuantityForOrder(shipmentSales.split ? shipmentSales.items : currentOrder.order_items || []);
         console.log(`📊 Updated sold quantity for completed order ${updatedOrder.order_number}`);
         
-        // Update branch total_sales (only add once when order is completed)
-        await updateBranchTotalSales(currentOrder, currentOrder.total_amount || 0, true);
+        // Update branch total_sales (only add once when order is completed), net of any refunds
+        // and of what handed-over parts already added. Parts share the order total exactly, so
+        // only a refund larger than the parts still to count can take this below zero.
+        await updateBranchTotalSales(currentOrder, Math.max(0, netSalesAmount(currentOrder) - shipmentSales.recordedAmount), true);
         console.log(`💰 Updated branch total_sales for completed order ${updatedOrder.order_number}`);
       } catch (error) {
         console.error('Error updating sales metrics for completed order:', error);
@@ -2065,7 +2142,7 @@ router.patch('/:id/status', authenticateSupabaseToken, async (req, res) => {
     if (isCancelling) {
       try {
         // Subtract from branch total_sales
-        await updateBranchTotalSales(currentOrder, currentOrder.total_amount || 0, false);
+        await updateBranchTotalSales(currentOrder, netSalesAmount(currentOrder), false);
         console.log(`💰 Subtracted sales from branch total_sales for cancelled order ${updatedOrder.order_number}`);
       } catch (error) {
         console.error('Error subtracting sales for cancelled order:', error);
@@ -2073,13 +2150,49 @@ router.patch('/:id/status', authenticateSupabaseToken, async (req, res) => {
       }
     }
 
+    // Parts of a split order handed over before it was cancelled already added their sales
+    if (status === 'cancelled' && !completedStatuses.includes(previousStatus)) {
+      try {
+        const partSales = await withTransaction(client => recordedShipmentSales(client, id));
+        if (partSales > 0) {
+          await updateBranchTotalSales(currentOrder, partSales, false);
+          console.log(`💰 Subtracted part sales from branch total_sales for cancelled order ${updatedOrder.order_number}`);
+        }
+      } catch (error) {
+        console.error('Error subtracting part sales for cancelled order:', error);
+      }
+    }
+
+    if (transition.restoredStock?.length > 0) {
+      console.log(`📦 Restored stock for ${transition.restoredStock.length} line(s) of cancelled order ${updatedOrder.order_number}`);
+    }
+
     // Send email notification if not skipped and email is configured
     let emailResult = null;
     const canSendEmail = typeof emailService?._isClientReady === 'function'
       ? emailService._isClientReady()
       : false;
 
-    if (!skipEmail && currentOrder.customer_email && canSendEmail) {
+    // Packed pickup orders get the ready-for-pickup email (slot, branch address, pickup code)
+    // instead of the generic status update
+    const isReadyForPickup = status === 'packing_completing' && updatedOrder.shipping_method === 'pickup';
+
+    if (!skipEmail && currentOrder.customer_email && canSendEmail && isReadyForPickup) {
+      try {
+        const branch = await findOrderBranch(updatedOrder, 'id, name, address, city, phone');
+        emailResult = await emailService.sendReadyForPickup(
+          updatedOrder,
+          branch,
+          formatPickupSlot(updatedOrder),
+          currentOrder.customer_email,
+          currentOrder.customer_name
+        );
+        console.log(`📧 Ready for pickup email sent for order ${updatedOrder.order_number}`);
+      } catch (emailError) {
+        console.error('❌ Failed to send ready for pickup email:', emailError);
+        emailResult = { success: false, error: emailError.message };
+      }
+    } else if (!skipEmail && currentOrder.customer_email && canSendEmail) {
       try {
         emailResult = await emailService.sendOrderStatusUpdate(
           updatedOrder,
@@ -2112,7 +2225,7 @@ router.patch('/:id/status', authenticateSupabaseToken, async (req, res) => {
 });
 
 // Create new order (for testing purposes)
-router.post('/', async (req, res) => {
+router.post('/', optionalSupabaseToken, async (req, res) => {
   try {
     const body = req.body || {};
     const userId = body.userId || body.user_id;
@@ -2138,6 +2251,7 @@ router.post('/', async (req, res) => {
         province: deliveryAddress.province || '',
         city: deliveryAddress.city || '',
         barangay: deliveryAddress.barangay || '',
+        barangay_code: deliveryAddress.barangay_code || deliveryAddress.barangayCode || '',
         postalCode: deliveryAddress.postalCode || deliveryAddress.postal_code || '',
         streetAddress: deliveryAddress.streetAddress || deliveryAddress.street_address || ''
       };
@@ -2150,30 +2264,93 @@ router.post('/', async (req, res) => {
     const totalItems = body.totalItems || body.total_items || 0;
     let orderItems = body.orderItems || body.order_items || [];
     
-    // Ensure order items have category field for analytics
-    if (Array.isArray(orderItems) && orderItems.length > 0) {
-      orderItems = await Promise.all(orderItems.map(async (item) => {
-        // If category is missing, try to fetch it from product
-        if (!item.category && item.id) {
-          try {
-            const { data: product } = await supabase
-              .from('products')
-              .select('category')
-              .eq('id', item.id)
-              .single();
-            
-            if (product?.category) {
-              item.category = product.category;
-            }
-          } catch (err) {
-            // If product not found or error, keep item as is
-            console.warn('Could not fetch category for product:', item.id);
-          }
+    // Rebuild every line item's price from the product rows - client totals are never trusted
+    const products = await loadProductsForPricing(orderItems);
+
+    // Name and category come from the product row too: they decide stock reservation, promo
+    // eligibility and parcel weight, so the client's labels are never used
+    if (Array.isArray(orderItems)) {
+      orderItems = orderItems.map(item => {
+        const product = item?.id ? products.get(item.id) : null;
+        return product ? { ...item, name: product.name, category: product.category } : item;
+      });
+    }
+
+    // COD shipping is priced from the fulfilling branch to the customer's barangay. The quote is
+    // stored on the order so later rate changes never alter what the customer agreed to pay.
+    let shippingQuote = null;
+    if (shippingMethod === 'cod') {
+      try {
+        shippingQuote = await quoteOrderShipping({
+          branchId: pickupBranchId,
+          location: pickupLocation,
+          deliveryAddress,
+          orderItems
+        });
+      } catch (shippingError) {
+        if (shippingError instanceof ShippingQuoteError) {
+          return res.status(shippingError.statusCode).json({ error: 'Shipping unavailable', message: shippingError.message });
+        }
+        throw shippingError;
+      }
+    }
+
+    let pricing = quoteOrder(orderItems, { products, shippingMethod, shippingQuote });
+
+    if (pricing.missingProducts.length > 0) {
+      console.log('❌ Pricing failed, products not found:', pricing.missingProducts);
+      return res.status(400).json({
+        error: 'Product unavailable',
+        message: `Some items are no longer available: ${pricing.missingProducts.map(item => item.name || item.id || 'Unknown item').join(', ')}.`,
+        missingProducts: pricing.missingProducts
+      });
+    }
+
+    // Promo code: validated against the server quote, redeemed inside the order transaction.
+    // Per-user limits count against the signed-in user, never the userId in the body.
+    const promoCode = normalizePromoCode(body.promoCode || body.promo_code);
+    const promoUserId = req.user?.id || null;
+    let promoRedemption = null;
+    if (promoCode) {
+      try {
+        promoRedemption = await previewPromoCode(promoCode, { userId: promoUserId, quote: pricing });
+        pricing = applyDiscount(pricing, promoRedemption.discount);
+      } catch (promoError) {
+        if (promoError instanceof PromoCodeError) {
+          return res.status(promoError.statusCode).json({ error: 'Invalid promo code', message: promoError.message });
         }
-        return item;
-      }));
+        throw promoError;
+      }
     }
 
+    const priceMismatches = findPriceMismatches(pricing, {
+      orderItems,
+      subtotal: subtotalAmount,
+      shippingCost,
+      total: totalAmount
+    });
+
+    if (priceMismatches.length > 0) {
+      console.warn(`⚠️ Price mismatch on order ${orderNumber || '(new)'} for user ${userId}:`, priceMismatches);
+      return res.status(400).json({
+        error: 'Price mismatch',
+        message: 'Prices for some items have changed. Please review your cart and try again.',
+        mismatches: priceMismatches,
+        pricing: {
+          subtotal: pricing.subtotal,
+          shippingCost: pricing.shippingCost,
+          discount: pricing.discount,
+          total: pricing.total
+        }
+      });
+    }
+
+    // Store the server-computed unit price (and its surcharge breakdown, used on invoices)
+    // on each item so order_items agree with the totals
+    pricing.items.forEach(line => {
+      orderItems[line.index] = { ...orderItems[line.index], price: line.unitPrice, priceBreakdown: line.breakdown };
+    });
+
     // Generate order number if not provided
     const finalOrderNumber = orderNumber || `ORD-${Date.now()}`;
 
@@ -2198,88 +2375,120 @@ router.post('/', async (req, res) => {
       }
     }
 
-    // Check stock availability before creating order
-    // NOTE: Only balls and trophies have stock - apparel products are pre-ordered (made to order)
-    // For balls/trophies, we check stock across ALL branches (pickupBranchId is only used for pickup location)
-    if (orderItems && orderItems.length > 0) {
-      // Filter to only balls and trophies (only products with stock)
-      const itemsToCheck = orderItems.filter(item => {
-        const category = item.category?.toLowerCase();
-        return category === 'trophies' || category === 'balls';
-      });
-      
-      // Only check stock if order contains balls or trophies
-      if (itemsToCheck.length > 0) {
-        const stockCheck = await checkStockAvailability(itemsToCheck, pickupBranchId, resolvedPickupLocation);
-        
-        if (!stockCheck.available) {
-          console.log('❌ Stock check failed:', stockCheck.errors);
-          return res.status(400).json({
-            error: 'Insufficient stock',
-            message: stockCheck.errors.join(' '),
-            stockCheck: stockCheck,
-            requiresBranchSelection: true
-          });
-        }
-        
-        console.log('✅ Stock check passed:', stockCheck.stockChecks);
-      } else {
-        console.log('ℹ️ Order contains only apparel products (pre-ordered) - no stock check needed');
-      }
+    const paymentFields = initialPaymentFields({ order_items: orderItems, total_amount: pricing.total });
+
+    // Optional pickup slot chosen at checkout: { windowId, start }. It can also be booked later
+    // from My Orders (PUT /:id/pickup-slot).
+    const pickupSlot = shippingMethod === 'pickup' ? (body.pickupSlot || body.pickup_slot || null) : null;
+    let pickupSlotBranchId = pickupBranchId;
+    if (pickupSlot && !pickupSlotBranchId) {
+      pickupSlotBranchId = (await findOrderBranch({ pickup_location: resolvedPickupLocation }))?.id ?? null;
     }
 
-    // Insert using Supabase client
-    const { data: inserted, error: insertError } = await supabase
-      .from('orders')
-      .insert([
-        {
-          user_id: userId,
-          order_number: finalOrderNumber,
-          status: body.status || 'pending',
-          shipping_method: shippingMethod,
-          pickup_location: resolvedPickupLocation,
-          // Note: pickup_branch_id column doesn't exist in the database, so we only use pickup_location
-          delivery_address: deliveryAddress || null,
-          order_notes: orderNotes,
-          subtotal_amount: subtotalAmount,
-          shipping_cost: shippingCost,
-          total_amount: totalAmount,
-          total_items: totalItems,
-          order_items: orderItems
+    // Cart lines copied with "order again" link the new order to the one they came from
+    const reorderOfOrderId = await resolveReorderSource(findClaimedReorderSource(body, orderItems), userId);
+
+    // Insert the order and reserve stock for balls/trophies in one transaction.
+    // Product rows are locked (FOR UPDATE) so two checkouts for the last unit can't both succeed,
+    // and a failed reservation rolls the order insert back.
+    // NOTE: Apparel products are pre-ordered (made to order) and are not reserved.
+    let newOrder;
+    try {
+      newOrder = await withTransaction(async (client) => {
+        // Reserve first so the rows we took stock from are stored on the order
+        // (stock_reservations) and can be restored exactly on cancellation
+        const reservations = await reserveOrderStock(client, orderItems, pickupBranchId);
+        if (reservations.length > 0) {
+          console.log(`✅ Stock reserved for order ${finalOrderNumber} (${reservations.length} line(s))`);
         }
-      ])
-      .select()
-      .single();
 
-    if (insertError || !inserted) {
-      // Provide more details for debugging
-      console.error('Insert order failed:', insertError);
-      return res.status(500).json({ error: 'Failed to create order' });
-    }
+        const { rows } = await client.query(
+          `INSERT INTO orders (
+             user_id, order_number, status, shipping_method, pickup_location,
+             delivery_address, order_notes, subtotal_amount, shipping_cost,
+             total_amount, total_items, order_items, stock_reservations,
+             promo_code, discount_amount, shipping_quote,
+             downpayment_percent, downpayment_required, amount_paid, balance_due, payment_status,
+             reorder_of_order_id
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+           RETURNING *`,
+          [
+            userId,
+            finalOrderNumber,
+            // New orders always start out pending; every later status goes through transitionOrderStatus
+            'pending',
+            shippingMethod,
+            resolvedPickupLocation,
+            // Note: pickup_branch_id column doesn't exist in the database, so we only use pickup_location
+            deliveryAddress ? JSON.stringify(deliveryAddress) : null,
+            orderNotes,
+            pricing.subtotal,
+            pricing.shippingCost,
+            pricing.total,
+            totalItems,
+            JSON.stringify(orderItems),
+            JSON.stringify(reservations),
+            promoRedemption ? promoRedemption.promo.code : null,
+            pricing.discount,
+            shippingQuote ? JSON.stringify(shippingQuote) : null,
+            paymentFields.downpayment_percent,
+            paymentFields.downpayment_required,
+            paymentFields.amount_paid,
+            paymentFields.balance_due,
+            paymentFields.payment_status,
+            reorderOfOrderId
+          ]
+        );
 
-    const newOrder = inserted;
+        let createdOrder = rows[0];
+        if (pickupSlot?.windowId) {
+          createdOrder = await reservePickupSlot(client, createdOrder, {
+            branchId: pickupSlotBranchId,
+            windowId: pickupSlot.windowId,
+            slotStart: pickupSlot.start
+          });
+        }
 
-    // Deduct stock for balls and trophies ONLY
-    // NOTE: Apparel products (jerseys, uniforms, t-shirts, etc.) are pre-ordered (made to order)
-    // and do not have stock that needs to be deducted
-    // For balls/trophies, stock is deducted from any branch that has the product available
-    // (prefers selected branch if available, otherwise uses any branch with sufficient stock)
-    if (orderItems && orderItems.length > 0) {
-      const hasBallsOrTrophies = orderItems.some(item => {
-        const category = item.category?.toLowerCase();
-        return category === 'trophies' || category === 'balls';
-      });
-      
-      if (hasBallsOrTrophies) {
-        try {
-          await deductStockFromOrder(orderItems, pickupBranchId);
-          console.log(`✅ Stock deducted for order ${newOrder.order_number} (balls/trophies only)`);
-        } catch (stockError) {
-          console.error('❌ Error deducting stock for order:', stockError);
-          // Log error but don't fail the order creation - stock can be manually adjusted later
-          // You may want to add a flag to the order indicating stock deduction failed
+        if (promoRedemption) {
+          await redeemPromoCode(client, promoRedemption.promo, {
+            orderId: rows[0].id,
+            userId: promoUserId,
+            discount: pricing.discount
+          });
         }
+
+        await recordStockMovements(client, reservations.map(reservation => ({
+          ...reservation,
+          type: MOVEMENT_TYPES.ORDER_DEDUCTION,
+          orderId: rows[0].id,
+          actorId: userId,
+          reason: `Order ${finalOrderNumber} placed`
+        })));
+
+        return createdOrder;
+      });
+    } catch (transactionError) {
+      if (transactionError instanceof PromoCodeError) {
+        return res.status(transactionError.statusCode).json({ error: 'Invalid promo code', message: transactionError.message });
+      }
+      if (transactionError instanceof PickupSlotError) {
+        return res.status(transactionError.statusCode).json({ error: 'Pickup time unavailable', message: transactionError.message });
+      }
+      if (transactionError instanceof InsufficientStockError) {
+        console.log('❌ Stock reservation failed:', transactionError.message);
+        return res.status(400).json({
+          error: 'Insufficient stock',
+          message: transactionError.message,
+          stockCheck: {
+            available: false,
+            errors: [transactionError.message],
+            stockChecks: transactionError.stockChecks
+          },
+          requiresBranchSelection: true
+        });
       }
+      throw transactionError;
     }
 
     // Note: sold_quantity will be updated when order status changes to 'picked_up_delivered'
@@ -1,7 +1,26 @@
 const express = require('express');
-const { query } = require('../lib/db');
+const { supabase, query, withTransaction } = require('../lib/db');
+const { executeSql } = require('../lib/sqlClient');
+const { authenticateSupabaseToken, requireRole } = require('../middleware/supabaseAuth');
+const { ensureUserCanAccessOrder } = require('../lib/orderAccess');
+const { resolveAdminBranchContext, findBranch, normalizeBranchValue, orderMatchesBranch } = require('../lib/branches');
+const {
+  BOARD_STAGES,
+  ProductionBoardError,
+  assertAdvance,
+  normalizeWipLimits,
+  toCard,
+  buildBoardColumns,
+  loadBoardRows,
+  loadWipLimits,
+  saveWipLimits
+} = require('../lib/productionBoard');
 const router = express.Router();
 
+// Board and stage reads and writes need their $n parameters and real errors, which lib/db's
+// query (exec_sql RPC) drops; they go straight to Postgres instead
+const sql = { query: executeSql };
+
 // Production workflow stages
 const WORKFLOW_STAGES = {
   LAYOUT: 'layout',
@@ -32,6 +51,133 @@ const STAGE_STATUS = {
   SKIPPED: 'skipped'
 };
 
+// Staff who work production stages: admins (own branch), owners, and artists on their assigned orders
+const requireProductionStaff = [authenticateSupabaseToken, requireRole(['admin', 'owner', 'artist'])];
+
+// The production board is for admins (own branch) and owners
+const requireBoardStaff = [authenticateSupabaseToken, requireRole(['admin', 'owner'])];
+
+async function ensureWorkflowAccess(req) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('id, user_id, pickup_location, pickup_branch_id')
+    .eq('id', req.params.orderId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Supabase error: ${error.message}`);
+  }
+  if (!order) {
+    return false;
+  }
+  await ensureUserCanAccessOrder(req.user, order);
+  return true;
+}
+
+// Checks shared by single stage updates and the board's drag-to-advance; returns the 400 body or null
+function stageUpdateError(stage, status) {
+  if (!Object.values(WORKFLOW_STAGES).includes(stage)) {
+    return {
+      error: 'Invalid stage',
+      validStages: Object.values(WORKFLOW_STAGES)
+    };
+  }
+  if (!Object.values(STAGE_STATUS).includes(status)) {
+    return {
+      error: 'Invalid status',
+      validStatuses: Object.values(STAGE_STATUS)
+    };
+  }
+  return null;
+}
+
+// Set one stage's status and its timestamps; returns the updated row, or undefined when the order has no such stage
+async function writeStageStatus(db, { orderId, stage, status, notes, userId }) {
+  let timestampUpdate = '';
+  if (status === STAGE_STATUS.IN_PROGRESS) {
+    timestampUpdate = ', started_at = COALESCE(started_at, NOW())';
+  } else if (status === STAGE_STATUS.COMPLETED || status === STAGE_STATUS.SKIPPED) {
+    timestampUpdate = ', completed_at = NOW()';
+  }
+
+  const result = await db.query(`
+    UPDATE production_workflow 
+    SET 
+      status = $1,
+      notes = COALESCE($2, notes),
+      updated_by = $3
+      ${timestampUpdate}
+    WHERE order_id = $4 AND stage = $5
+    RETURNING *
+  `, [status, notes, userId, orderId, stage]);
+  return result.rows[0];
+}
+
+// Branch the board shows: an admin's own branch, or the branch an owner picked (null = all branches)
+async function resolveBoardBranch(user, requestedBranchId) {
+  if (user.role === 'admin') {
+    return resolveAdminBranchContext(user);
+  }
+  if (requestedBranchId === undefined || requestedBranchId === null || requestedBranchId === '') {
+    return null;
+  }
+  const branch = await findBranch({ branchId: requestedBranchId }, 'id, name');
+  if (!branch) {
+    throw new ProductionBoardError('Branch not found', 404);
+  }
+  return { branchId: branch.id, branchName: branch.name, normalizedName: normalizeBranchValue(branch.name) };
+}
+
+// Production board: one column per stage with the orders in it and the branch's WIP limits.
+// Query: branchId (owners only; admins always get their branch)
+router.get('/board/orders', requireBoardStaff, async (req, res) => {
+  try {
+    const branch = await resolveBoardBranch(req.user, req.query.branchId);
+    const [rows, wipLimits] = await Promise.all([
+      loadBoardRows(sql),
+      branch ? loadWipLimits(sql, branch.branchId) : {}
+    ]);
+
+    const cards = rows
+      .filter(row => !branch || orderMatchesBranch(row, branch))
+      .map(toCard);
+
+    res.json({
+      success: true,
+      branch: branch ? { id: branch.branchId, name: branch.branchName } : null,
+      stageNames: STAGE_NAMES,
+      columns: buildBoardColumns(cards, wipLimits)
+    });
+  } catch (error) {
+    console.error('Error fetching production board:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({ error: statusCode < 500 ? error.message : 'Failed to fetch production board' });
+  }
+});
+
+// Set the WIP limits of a branch. Body: { branchId (owners only), limits: { [stage]: number|null } }
+router.put('/board/wip-limits', requireBoardStaff, async (req, res) => {
+  try {
+    const branch = await resolveBoardBranch(req.user, req.body?.branchId);
+    if (!branch) {
+      return res.status(400).json({ error: 'Choose a branch to set its WIP limits' });
+    }
+    const limits = normalizeWipLimits(req.body?.limits);
+
+    const wipLimits = await withTransaction(client => saveWipLimits(client, branch.branchId, limits, req.user.id));
+    console.log(`📋 WIP limits updated for branch ${branch.branchName || branch.branchId} by ${req.user.email || req.user.id}`);
+
+    res.json({
+      success: true,
+      wipLimits: Object.fromEntries(BOARD_STAGES.map(stage => [stage, wipLimits[stage] || null]))
+    });
+  } catch (error) {
+    console.error('Error saving WIP limits:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({ error: statusCode < 500 ? error.message : 'Failed to save WIP limits' });
+  }
+});
+
 // Get production workflow for an order
 router.get('/:orderId', async (req, res) => {
   try {
@@ -85,47 +231,23 @@ router.get('/:orderId/history', async (req, res) => {
 });
 
 // Update a specific stage status
-router.put('/:orderId/stage/:stage', async (req, res) => {
+router.put('/:orderId/stage/:stage', requireProductionStaff, async (req, res) => {
   try {
     const { orderId, stage } = req.params;
-    const { status, notes, updatedBy } = req.body;
+    const { status, notes } = req.body;
     
-    // Validate stage
-    if (!Object.values(WORKFLOW_STAGES).includes(stage)) {
-      return res.status(400).json({ 
-        error: 'Invalid stage',
-        validStages: Object.values(WORKFLOW_STAGES)
-      });
+    const invalid = stageUpdateError(stage, status);
+    if (invalid) {
+      return res.status(400).json(invalid);
     }
-    
-    // Validate status
-    if (!Object.values(STAGE_STATUS).includes(status)) {
-      return res.status(400).json({ 
-        error: 'Invalid status',
-        validStatuses: Object.values(STAGE_STATUS)
-      });
-    }
-    
-    // Update timestamps based on status
-    let timestampUpdate = '';
-    if (status === STAGE_STATUS.IN_PROGRESS) {
-      timestampUpdate = ', started_at = COALESCE(started_at, NOW())';
-    } else if (status === STAGE_STATUS.COMPLETED || status === STAGE_STATUS.SKIPPED) {
-      timestampUpdate = ', completed_at = NOW()';
+
+    if (!(await ensureWorkflowAccess(req))) {
+      return res.status(404).json({ error: 'Order not found' });
     }
     
-    const result = await query(`
-      UPDATE production_workflow 
-      SET 
-        status = $1,
-        notes = COALESCE($2, notes),
-        updated_by = $3
-        ${timestampUpdate}
-      WHERE order_id = $4 AND stage = $5
-      RETURNING *
-    `, [status, notes, updatedBy || 'system', orderId, stage]);
-
-    if (result.rows.length === 0) {
+    const workflow = await writeStageStatus(sql, { orderId, stage, status, notes, userId: req.user.id });
+
+    if (!workflow) {
       return res.status(404).json({ error: 'Workflow stage not found' });
     }
 
@@ -135,61 +257,48 @@ router.put('/:orderId/stage/:stage', async (req, res) => {
     res.json({
       success: true,
       message: `${STAGE_NAMES[stage]} updated to ${status}`,
-      workflow: result.rows[0]
+      workflow
     });
   } catch (error) {
     console.error('Error updating workflow stage:', error);
-    res.status(500).json({ error: 'Failed to update workflow stage' });
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({ error: statusCode === 403 ? error.message : 'Failed to update workflow stage' });
   }
 });
 
 // Bulk update multiple stages at once
-router.put('/:orderId/bulk-update', async (req, res) => {
+router.put('/:orderId/bulk-update', requireProductionStaff, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { updates, updatedBy } = req.body;
+    const { updates } = req.body;
     
     // updates should be an array of { stage, status, notes }
     if (!Array.isArray(updates) || updates.length === 0) {
       return res.status(400).json({ error: 'Updates must be a non-empty array' });
     }
+
+    if (!(await ensureWorkflowAccess(req))) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
     
-    const updatedStages = [];
-    
-    for (const update of updates) {
-      const { stage, status, notes } = update;
-      
-      // Validate each update
-      if (!Object.values(WORKFLOW_STAGES).includes(stage)) {
-        continue;
-      }
-      if (!Object.values(STAGE_STATUS).includes(status)) {
-        continue;
-      }
-      
-      // Update timestamp logic
-      let timestampUpdate = '';
-      if (status === STAGE_STATUS.IN_PROGRESS) {
-        timestampUpdate = ', started_at = COALESCE(started_at, NOW())';
-      } else if (status === STAGE_STATUS.COMPLETED || status === STAGE_STATUS.SKIPPED) {
-        timestampUpdate = ', completed_at = NOW()';
-      }
-      
-      const result = await query(`
-        UPDATE production_workflow 
-        SET 
-          status = $1,
-          notes = COALESCE($2, notes),
-          updated_by = $3
-          ${timestampUpdate}
-        WHERE order_id = $4 AND stage = $5
-        RETURNING *
-      `, [status, notes, updatedBy || 'system', orderId, stage]);
-      
-      if (result.rows.length > 0) {
-        updatedStages.push(result.rows[0]);
+    // All or nothing: a failed stage leaves the others as they were
+    const updatedStages = await withTransaction(async (client) => {
+      const written = [];
+      for (const update of updates) {
+        const { stage, status, notes } = update;
+
+        // Skip invalid updates
+        if (stageUpdateError(stage, status)) {
+          continue;
+        }
+
+        const updated = await writeStageStatus(client, { orderId, stage, status, notes, userId: req.user.id });
+        if (updated) {
+          written.push(updated);
+        }
       }
-    }
+      return written;
+    });
     
     // Update order's production_status
     await updateOrderProductionStatus(orderId);
@@ -201,7 +310,51 @@ router.put('/:orderId/bulk-update', async (req, res) => {
     });
   } catch (error) {
     console.error('Error bulk updating workflow:', error);
-    res.status(500).json({ error: 'Failed to bulk update workflow' });
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({ error: statusCode === 403 ? error.message : 'Failed to bulk update workflow' });
+  }
+});
+
+// Move an order one stage forward from the production board: completes fromStage and starts
+// toStage. Body: { fromStage, toStage, notes }
+router.put('/:orderId/advance', requireProductionStaff, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { fromStage, toStage, notes } = req.body || {};
+
+    const invalid = stageUpdateError(fromStage, STAGE_STATUS.COMPLETED) || stageUpdateError(toStage, STAGE_STATUS.IN_PROGRESS);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    if (!(await ensureWorkflowAccess(req))) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const updatedStages = await withTransaction(async (client) => {
+      // Lock the order's stages so two people dragging the same card can't both move it
+      const { rows } = await client.query(
+        'SELECT stage, status FROM production_workflow WHERE order_id = $1 FOR UPDATE',
+        [orderId]
+      );
+      assertAdvance(rows, fromStage, toStage);
+
+      const completed = await writeStageStatus(client, { orderId, stage: fromStage, status: STAGE_STATUS.COMPLETED, notes, userId: req.user.id });
+      const started = await writeStageStatus(client, { orderId, stage: toStage, status: STAGE_STATUS.IN_PROGRESS, notes: null, userId: req.user.id });
+      return [completed, started];
+    });
+
+    await updateOrderProductionStatus(orderId);
+
+    res.json({
+      success: true,
+      message: `Moved to ${STAGE_NAMES[toStage]}`,
+      updatedStages
+    });
+  } catch (error) {
+    console.error('Error advancing workflow stage:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({ error: statusCode < 500 ? error.message : 'Failed to move order to the next stage' });
   }
 });
 
@@ -312,7 +465,7 @@ router.get('/status/overview', async (req, res) => {
 async function updateOrderProductionStatus(orderId) {
   try {
     // Get the current workflow state
-    const result = await query(`
+    const result = await executeSql(`
       SELECT stage, status
       FROM production_workflow 
       WHERE order_id = $1
@@ -350,7 +503,7 @@ async function updateOrderProductionStatus(orderId) {
     }
     
     // Update the order
-    await query(`
+    await executeSql(`
       UPDATE orders 
       SET production_status = $1, updated_at = NOW()
       WHERE id = $2
@@ -4,6 +4,7 @@ const { authenticateSupabaseToken, requireAdminOrOwner } = require('../middlewar
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 const { generateUniqueSKU, isOnStockCategory } = require('../scripts/generate-skus');
+const { MOVEMENT_TYPES, diffStockLevels, toStockMovementRow } = require('../lib/inventory');
 const router = express.Router();
 
 // Initialize Supabase client
@@ -107,6 +108,34 @@ const attachBranchNames = async (products) => {
   }
 };
 
+// Write stock changes of a product row to the stock_movements ledger.
+// Ledger failures are logged but never fail the product save itself.
+const logStockMovements = async (previous, product, { type, actorId, reason }) => {
+  if (!product?.id) {
+    return;
+  }
+
+  const rows = diffStockLevels(previous, product).map(change => toStockMovementRow({
+    ...change,
+    productId: product.id,
+    branchId: product.branch_id,
+    type,
+    actorId,
+    reason
+  }));
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase.from('stock_movements').insert(rows);
+  if (error) {
+    console.error(`❌ [Products API] Failed to record ${rows.length} stock movement(s) for product ${product.id}:`, error.message);
+  } else {
+    console.log(`📒 [Products API] Recorded ${rows.length} stock movement(s) for product ${product.id} (${type})`);
+  }
+};
+
 // Test endpoint
 router.get('/test', (req, res) => {
   res.json({ message: 'Backend is working!', timestamp: new Date().toISOString() });
@@ -465,6 +494,128 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get stock movement history for a product across its branch rows
+// Optional filters: ?branchId=, ?size=, ?limit= (default 200)
+router.get('/:id/stock-history', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select('id, name, category, branch_id')
+      .eq('id', id)
+      .single();
+
+    if (productError || !product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // The same product exists as one row per branch - gather all of them
+    const { data: siblingRows, error: siblingError } = await supabase
+      .from('products')
+      .select('id, branch_id')
+      .eq('name', product.name)
+      .ilike('category', product.category);
+
+    if (siblingError) {
+      console.error('Error fetching product branch rows:', siblingError);
+      return res.status(500).json({ error: siblingError.message });
+    }
+
+    let branchRows = siblingRows && siblingRows.length > 0 ? siblingRows : [product];
+
+    // Admins only see their own branch's movements
+    let branchFilter = req.query.branchId ? parseInt(req.query.branchId) : null;
+    if (req.user.role === 'admin' && req.user.branch_id) {
+      branchFilter = parseInt(req.user.branch_id);
+    }
+    if (branchFilter) {
+      branchRows = branchRows.filter(row => row.branch_id === branchFilter);
+    }
+
+    if (branchRows.length === 0) {
+      return res.json({ product, movements: [], summary: {} });
+    }
+
+    let movementsQuery = supabase
+      .from('stock_movements')
+      .select('*')
+      .in('product_id', branchRows.map(row => row.id))
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (req.query.size) {
+      movementsQuery = movementsQuery.eq('size', req.query.size);
+    }
+
+    const { data: movements, error: movementsError } = await movementsQuery;
+
+    if (movementsError) {
+      console.error('Error fetching stock movements:', movementsError);
+      return res.status(500).json({ error: movementsError.message });
+    }
+
+    const rows = movements || [];
+
+    // Attach branch, order and actor names for display
+    const branchIds = [...new Set(rows.map(row => row.branch_id).filter(Boolean))];
+    const orderIds = [...new Set(rows.map(row => row.order_id).filter(Boolean))];
+    const actorIds = [...new Set(rows.map(row => row.actor_id).filter(Boolean))];
+
+    const branchMap = new Map();
+    if (branchIds.length > 0) {
+      const { data: branches } = await supabase
+        .from('branches')
+        .select('id, name')
+        .in('id', branchIds);
+      (branches || []).forEach(branch => branchMap.set(branch.id, branch.name));
+    }
+
+    const orderMap = new Map();
+    if (orderIds.length > 0) {
+      const { data: orders } = await supabase
+        .from('orders')
+        .select('id, order_number')
+        .in('id', orderIds);
+      (orders || []).forEach(order => orderMap.set(order.id, order.order_number));
+    }
+
+    const actorMap = new Map();
+    for (const actorId of actorIds) {
+      try {
+        const { data: userResp } = await supabase.auth.admin.getUserById(actorId);
+        const user = userResp?.user;
+        if (user) {
+          actorMap.set(actorId, user.user_metadata?.full_name || user.email || null);
+        }
+      } catch (lookupError) {
+        console.warn('Could not resolve stock movement actor:', actorId);
+      }
+    }
+
+    // Net change per movement type, e.g. "-12 from order deductions"
+    const summary = {};
+    rows.forEach(row => {
+      summary[row.movement_type] = (summary[row.movement_type] || 0) + (row.quantity_change || 0);
+    });
+
+    res.json({
+      product,
+      movements: rows.map(row => ({
+        ...row,
+        branch_name: branchMap.get(row.branch_id) || null,
+        order_number: orderMap.get(row.order_id) || null,
+        actor_name: actorMap.get(row.actor_id) || null
+      })),
+      summary
+    });
+  } catch (error) {
+    console.error('Error fetching stock history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create new product
 router.post('/', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
   try {
@@ -753,10 +904,18 @@ router.post('/', authenticateSupabaseToken, requireAdminOrOwner, async (req, res
 
     let data;
     let error;
+    let previousStock = null;
 
     if (existingProduct) {
       // Update existing product instead of creating duplicate
       console.log('📦 [Products API] Product exists in branch', insertData.branch_id, ', updating:', existingProduct.id);
+
+      const { data: stockSnapshot } = await supabase
+        .from('products')
+        .select('stock_quantity, size_stocks')
+        .eq('id', existingProduct.id)
+        .single();
+      previousStock = stockSnapshot || null;
       
       // If existing on-stock product doesn't have SKU, generate one
       // Generate SKU if missing (all products get SKUs)
@@ -934,6 +1093,12 @@ router.post('/', authenticateSupabaseToken, requireAdminOrOwner, async (req, res
     }
     
     console.log('✅ [Products API] Product inserted successfully');
+
+    await logStockMovements(existingProduct ? previousStock : null, data, {
+      type: existingProduct ? MOVEMENT_TYPES.MANUAL_ADJUSTMENT : MOVEMENT_TYPES.INITIAL,
+      actorId: req.user.id,
+      reason: req.body.stock_reason || (existingProduct ? 'Stock updated from Add Product' : 'Initial stock')
+    });
     console.log('✅ [Products API] Inserted product jersey_prices:', data?.jersey_prices);
     console.log('✅ [Products API] Inserted product size_surcharges:', data?.size_surcharges);
     console.log('✅ [Products API] Inserted product fabric_surcharges:', data?.fabric_surcharges);
@@ -1349,6 +1514,17 @@ router.put('/:id', authenticateSupabaseToken, requireAdminOrOwner, async (req, r
       }
     }
 
+    // Snapshot stock before saving so the change can be written to the ledger
+    let previousStock = null;
+    if (updateData.stock_quantity !== undefined || updateData.size_stocks !== undefined) {
+      const { data: stockSnapshot } = await supabase
+        .from('products')
+        .select('stock_quantity, size_stocks')
+        .eq('id', id)
+        .single();
+      previousStock = stockSnapshot || null;
+    }
+
     console.log('📦 [Products API] Final update data:', JSON.stringify(updateData, null, 2));
     console.log('📦 [Products API] size_stocks in updateData:', updateData.size_stocks);
     console.log('📦 [Products API] jersey_prices in updateData:', updateData.jersey_prices);
@@ -1420,6 +1596,14 @@ router.put('/:id', authenticateSupabaseToken, requireAdminOrOwner, async (req, r
       console.log('ℹ️ [Products API] No size_stocks in update data (not a trophy product with sizes)');
     }
 
+    if (previousStock) {
+      await logStockMovements(previousStock, data, {
+        type: MOVEMENT_TYPES.MANUAL_ADJUSTMENT,
+        actorId: req.user.id,
+        reason: req.body.stock_reason || 'Manual stock edit'
+      });
+    }
+
     console.log('✅ [Products API] Product updated successfully');
     console.log('✅ [Products API] Updated product size_surcharges:', data?.size_surcharges);
     console.log('✅ [Products API] Updated product fabric_surcharges:', data?.fabric_surcharges);
@@ -0,0 +1,252 @@
+const express = require('express');
+const { supabase } = require('../lib/db');
+const { quoteOrder, applyDiscount, loadProductsForPricing } = require('../lib/pricing');
+const {
+  DISCOUNT_TYPES,
+  PromoCodeError,
+  normalizePromoCode,
+  previewPromoCode
+} = require('../lib/promo');
+const { ShippingQuoteError, quoteOrderShipping } = require('../lib/shipping');
+const { authenticateSupabaseToken, requireAdminOrOwner } = require('../middleware/supabaseAuth');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'description',
+  'discount_type',
+  'discount_value',
+  'min_spend',
+  'categories',
+  'max_uses',
+  'max_uses_per_user',
+  'starts_at',
+  'expires_at',
+  'is_active'
+];
+
+// Clean up a create / update body. Returns { values } or { error }.
+function sanitizePromoInput(body, { partial = false } = {}) {
+  const values = {};
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      values[field] = body[field] === '' ? null : body[field];
+    }
+  });
+
+  if (!partial || body.code !== undefined) {
+    values.code = normalizePromoCode(body.code);
+    if (!/^[A-Z0-9_-]{3,50}$/.test(values.code)) {
+      return { error: 'Code must be 3-50 letters, numbers, dashes or underscores' };
+    }
+  }
+
+  if (!partial || values.discount_type !== undefined) {
+    if (!Object.values(DISCOUNT_TYPES).includes(values.discount_type)) {
+      return { error: 'discount_type must be percentage or fixed' };
+    }
+  }
+
+  if (!partial || values.discount_value !== undefined) {
+    const discountValue = parseFloat(values.discount_value);
+    if (Number.isNaN(discountValue) || discountValue <= 0) {
+      return { error: 'discount_value must be a positive number' };
+    }
+    if (values.discount_type === DISCOUNT_TYPES.PERCENTAGE && discountValue > 100) {
+      return { error: 'A percentage discount cannot exceed 100' };
+    }
+    values.discount_value = discountValue;
+  }
+
+  if (values.min_spend !== undefined) {
+    values.min_spend = parseFloat(values.min_spend) || 0;
+  }
+
+  ['max_uses', 'max_uses_per_user'].forEach(field => {
+    if (values[field] !== undefined && values[field] !== null) {
+      const limit = parseInt(values[field]);
+      values[field] = Number.isNaN(limit) || limit <= 0 ? null : limit;
+    }
+  });
+
+  if (values.categories !== undefined) {
+    const categories = (Array.isArray(values.categories) ? values.categories : String(values.categories || '').split(','))
+      .map(category => category.toString().toLowerCase().trim())
+      .filter(Boolean);
+    values.categories = categories.length > 0 ? categories : null;
+  }
+
+  if (values.starts_at && values.expires_at && new Date(values.starts_at) >= new Date(values.expires_at)) {
+    return { error: 'Expiry date must be after the start date' };
+  }
+
+  return { values };
+}
+
+// Preview a code against the customer's cart.
+// Body: { code, orderItems, shippingMethod, deliveryAddress, pickupLocation, pickupBranchId }
+router.post('/validate', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const { code, orderItems = [], shippingMethod, deliveryAddress, pickupLocation, pickupBranchId } = req.body;
+
+    // Shipping only affects the returned total, so a COD address that can't be quoted yet
+    // (still being filled in) must not stop the code from being checked
+    let shippingQuote = null;
+    if (shippingMethod === 'cod' && deliveryAddress) {
+      try {
+        shippingQuote = await quoteOrderShipping({
+          branchId: pickupBranchId,
+          location: pickupLocation,
+          deliveryAddress,
+          orderItems
+        });
+      } catch (shippingError) {
+        if (!(shippingError instanceof ShippingQuoteError)) {
+          throw shippingError;
+        }
+      }
+    }
+
+    const products = await loadProductsForPricing(orderItems);
+    const quote = quoteOrder(orderItems, { products, shippingMethod, shippingQuote });
+    const { promo, eligibleSubtotal, discount } = await previewPromoCode(code, {
+      userId: req.user.id,
+      quote
+    });
+    const discounted = applyDiscount(quote, discount);
+
+    res.json({
+      valid: true,
+      code: promo.code,
+      description: promo.description,
+      discountType: promo.discount_type,
+      discountValue: parseFloat(promo.discount_value),
+      categories: promo.categories || [],
+      eligibleSubtotal,
+      discount: discounted.discount,
+      subtotal: discounted.subtotal,
+      shippingCost: discounted.shippingCost,
+      total: discounted.total
+    });
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      return res.status(error.statusCode).json({ valid: false, error: error.message });
+    }
+    console.error('Error validating promo code:', error);
+    res.status(500).json({ valid: false, error: 'Failed to validate promo code' });
+  }
+});
+
+// List codes with how much discount each has given so far
+router.get('/', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const { data: promoCodes, error } = await supabase
+      .from('promo_codes')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching promo codes:', error);
+      return res.status(500).json({ error: 'Failed to fetch promo codes' });
+    }
+
+    const { data: redemptions } = await supabase
+      .from('promo_code_redemptions')
+      .select('promo_code_id, discount_amount');
+
+    const totals = new Map();
+    (redemptions || []).forEach(redemption => {
+      totals.set(redemption.promo_code_id, (totals.get(redemption.promo_code_id) || 0) + (parseFloat(redemption.discount_amount) || 0));
+    });
+
+    res.json((promoCodes || []).map(promo => ({
+      ...promo,
+      total_discount: Math.round((totals.get(promo.id) || 0) * 100) / 100
+    })));
+  } catch (error) {
+    console.error('Error fetching promo codes:', error);
+    res.status(500).json({ error: 'Failed to fetch promo codes' });
+  }
+});
+
+router.post('/', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const { values, error: validationError } = sanitizePromoInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .insert({ ...values, created_by: req.user.id })
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `Promo code ${values.code} already exists` });
+      }
+      console.error('Error creating promo code:', error);
+      return res.status(500).json({ error: 'Failed to create promo code' });
+    }
+
+    console.log(`🏷️ Promo code created: ${promo.code}`);
+    res.status(201).json(promo);
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+router.put('/:id', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('promo_codes')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    // Validate the merged result so a partial update can't break the code's rules
+    const { values, error: validationError } = sanitizePromoInput(
+      { ...existing, ...req.body, code: req.body.code ?? existing.code },
+      { partial: true }
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updates = {};
+    [...EDITABLE_FIELDS, 'code'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = values[field];
+      }
+    });
+
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `Promo code ${updates.code} already exists` });
+      }
+      console.error('Error updating promo code:', error);
+      return res.status(500).json({ error: 'Failed to update promo code' });
+    }
+
+    res.json(promo);
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    res.status(500).json({ error: 'Failed to update promo code' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,563 @@
+const express = require('express');
+const { supabase, withTransaction } = require('../lib/db');
+const {
+  MOVEMENT_TYPES,
+  InsufficientStockError,
+  lockProductRow,
+  applyStockChange,
+  recordStockMovements
+} = require('../lib/inventory');
+const { STOCK_STATUS, loadReorderReport } = require('../lib/reorder');
+const { generateSKU, isOnStockCategory } = require('../scripts/generate-skus');
+const {
+  authenticateSupabaseToken,
+  requireAdminOrOwner,
+  requireBranchAccess
+} = require('../middleware/supabaseAuth');
+
+const router = express.Router();
+
+// Purchase orders restock on-stock products (trophies, balls, medals) from suppliers:
+//   draft              -> being prepared (e.g. converted from low-stock rows), editable
+//   ordered            -> sent to the supplier
+//   partially_received -> some lines delivered; each receipt adds stock to the branch
+//   received           -> every line fully delivered
+//   cancelled          -> dropped before anything was received
+
+class PurchaseOrderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PurchaseOrderError';
+    this.statusCode = statusCode;
+  }
+}
+
+const PO_STATUS = {
+  DRAFT: 'draft',
+  ORDERED: 'ordered',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+// Manual status changes allowed from each state (receiving is handled by POST /:id/receive)
+const STATUS_TRANSITIONS = {
+  [PO_STATUS.DRAFT]: [PO_STATUS.ORDERED, PO_STATUS.CANCELLED],
+  [PO_STATUS.ORDERED]: [PO_STATUS.CANCELLED]
+};
+
+const RECEIVABLE_STATUSES = [PO_STATUS.ORDERED, PO_STATUS.PARTIALLY_RECEIVED];
+
+const generatePoNumber = () => `PO-${Date.now()}`;
+
+function sendPurchaseOrderError(res, error, fallbackMessage) {
+  if (error instanceof PurchaseOrderError || error instanceof InsufficientStockError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// Admins are limited to purchase orders of their own branch
+function canAccessBranch(user, branchId) {
+  if (user.role === 'owner') return true;
+  return parseInt(user.branch_id) === parseInt(branchId);
+}
+
+const attachPurchaseOrderDetails = async (purchaseOrders) => {
+  if (purchaseOrders.length === 0) {
+    return purchaseOrders;
+  }
+
+  const supplierIds = [...new Set(purchaseOrders.map(po => po.supplier_id).filter(Boolean))];
+  const branchIds = [...new Set(purchaseOrders.map(po => po.branch_id))];
+
+  const [{ data: suppliers }, { data: branches }, { data: items }] = await Promise.all([
+    supplierIds.length > 0
+      ? supabase.from('suppliers').select('id, name').in('id', supplierIds)
+      : Promise.resolve({ data: [] }),
+    supabase.from('branches').select('id, name').in('id', branchIds),
+    supabase
+      .from('purchase_order_items')
+      .select('*')
+      .in('purchase_order_id', purchaseOrders.map(po => po.id))
+      .order('created_at', { ascending: true })
+  ]);
+
+  const supplierMap = new Map((suppliers || []).map(supplier => [supplier.id, supplier.name]));
+  const branchMap = new Map((branches || []).map(branch => [branch.id, branch.name]));
+
+  return purchaseOrders.map(po => {
+    const poItems = (items || []).filter(item => item.purchase_order_id === po.id);
+    return {
+      ...po,
+      supplier_name: supplierMap.get(po.supplier_id) || null,
+      branch_name: branchMap.get(po.branch_id) || null,
+      items: poItems,
+      total_ordered: poItems.reduce((sum, item) => sum + item.quantity_ordered, 0),
+      total_received: poItems.reduce((sum, item) => sum + item.quantity_received, 0),
+      total_cost: poItems.reduce((sum, item) => sum + (parseFloat(item.unit_cost) || 0) * item.quantity_ordered, 0)
+    };
+  });
+};
+
+// Build purchase_order_items rows from { product_id, size, quantity, unit_cost } lines
+async function buildPurchaseOrderItems(lines, branchId) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new PurchaseOrderError('At least one line item is required');
+  }
+
+  const productIds = [...new Set(lines.map(line => line.product_id).filter(Boolean))];
+  const { data: products, error } = await supabase
+    .from('products')
+    .select('id, name, category, sku, branch_id')
+    .in('id', productIds);
+
+  if (error) {
+    throw new Error(`Failed to load products: ${error.message}`);
+  }
+
+  const productMap = new Map((products || []).map(product => [product.id, product]));
+
+  return lines.map(line => {
+    const product = productMap.get(line.product_id);
+    const quantity = parseInt(line.quantity);
+
+    if (!product) {
+      throw new PurchaseOrderError(`Product ${line.product_id} not found`, 404);
+    }
+    if (!isOnStockCategory(product.category)) {
+      throw new PurchaseOrderError(`${product.name} is not an on-stock product and cannot be purchased`);
+    }
+    if (product.branch_id !== branchId) {
+      throw new PurchaseOrderError(`${product.name} does not belong to this branch`);
+    }
+    if (Number.isNaN(quantity) || quantity <= 0) {
+      throw new PurchaseOrderError(`Quantity for ${product.name} must be a positive number`);
+    }
+    if (product.category?.toLowerCase() === 'trophies' && !line.size) {
+      throw new PurchaseOrderError(`Size is required for ${product.name}`);
+    }
+
+    const size = line.size ? String(line.size) : null;
+    return {
+      product_id: product.id,
+      sku: size ? generateSKU(product, size) : (product.sku || generateSKU(product)),
+      product_name: product.name,
+      category: product.category,
+      size,
+      quantity_ordered: quantity,
+      unit_cost: line.unit_cost !== undefined && line.unit_cost !== '' ? parseFloat(line.unit_cost) : null
+    };
+  });
+}
+
+async function createPurchaseOrder({ branchId, supplierId, notes, expectedDate, createdBy, items }) {
+  const { data: purchaseOrder, error: poError } = await supabase
+    .from('purchase_orders')
+    .insert({
+      po_number: generatePoNumber(),
+      supplier_id: supplierId || null,
+      branch_id: branchId,
+      status: PO_STATUS.DRAFT,
+      notes: notes || null,
+      expected_date: expectedDate || null,
+      created_by: createdBy
+    })
+    .select('*')
+    .single();
+
+  if (poError) {
+    throw new Error(`Failed to create purchase order: ${poError.message}`);
+  }
+
+  const { error: itemsError } = await supabase
+    .from('purchase_order_items')
+    .insert(items.map(item => ({ ...item, purchase_order_id: purchaseOrder.id })));
+
+  if (itemsError) {
+    await supabase.from('purchase_orders').delete().eq('id', purchaseOrder.id);
+    throw new Error(`Failed to create purchase order items: ${itemsError.message}`);
+  }
+
+  const [withDetails] = await attachPurchaseOrderDetails([purchaseOrder]);
+  return withDetails;
+}
+
+// ---------------------------------------------------------------------------
+// Suppliers
+// ---------------------------------------------------------------------------
+
+router.get('/suppliers', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    let suppliersQuery = supabase
+      .from('suppliers')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (req.query.includeInactive !== 'true') {
+      suppliersQuery = suppliersQuery.eq('is_active', true);
+    }
+
+    const { data: suppliers, error } = await suppliersQuery;
+
+    if (error) {
+      console.error('Error fetching suppliers:', error);
+      return res.status(500).json({ error: 'Failed to fetch suppliers' });
+    }
+
+    res.json(suppliers || []);
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    res.status(500).json({ error: 'Failed to fetch suppliers' });
+  }
+});
+
+router.post('/suppliers', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const { name, contact_person, email, phone, address, notes } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Supplier name is required' });
+    }
+
+    const { data: supplier, error } = await supabase
+      .from('suppliers')
+      .insert({
+        name: name.trim(),
+        contact_person: contact_person || null,
+        email: email || null,
+        phone: phone || null,
+        address: address || null,
+        notes: notes || null
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error creating supplier:', error);
+      return res.status(500).json({ error: 'Failed to create supplier' });
+    }
+
+    console.log(`🏭 Supplier created: ${supplier.name}`);
+    res.status(201).json(supplier);
+  } catch (error) {
+    console.error('Error creating supplier:', error);
+    res.status(500).json({ error: 'Failed to create supplier' });
+  }
+});
+
+router.put('/suppliers/:id', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const allowedFields = ['name', 'contact_person', 'email', 'phone', 'address', 'notes', 'is_active'];
+    const updates = {};
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (updates.name !== undefined && !String(updates.name).trim()) {
+      return res.status(400).json({ error: 'Supplier name is required' });
+    }
+
+    const { data: supplier, error } = await supabase
+      .from('suppliers')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select('*')
+      .single();
+
+    if (error || !supplier) {
+      console.error('Error updating supplier:', error);
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    res.json(supplier);
+  } catch (error) {
+    console.error('Error updating supplier:', error);
+    res.status(500).json({ error: 'Failed to update supplier' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Purchase orders
+// ---------------------------------------------------------------------------
+
+// List purchase orders. Query: ?branchId=, ?status=
+router.get('/purchase-orders', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    let branchId = req.query.branchId ? parseInt(req.query.branchId) : null;
+    if (req.user.role === 'admin' && req.user.branch_id) {
+      branchId = parseInt(req.user.branch_id);
+    }
+
+    let poQuery = supabase
+      .from('purchase_orders')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (branchId) {
+      poQuery = poQuery.eq('branch_id', branchId);
+    }
+    if (req.query.status) {
+      poQuery = poQuery.eq('status', req.query.status);
+    }
+
+    const { data: purchaseOrders, error } = await poQuery;
+
+    if (error) {
+      console.error('Error fetching purchase orders:', error);
+      return res.status(500).json({ error: 'Failed to fetch purchase orders' });
+    }
+
+    res.json(await attachPurchaseOrderDetails(purchaseOrders || []));
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({ error: 'Failed to fetch purchase orders' });
+  }
+});
+
+router.get('/purchase-orders/:id', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const { data: purchaseOrder, error } = await supabase
+      .from('purchase_orders')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (!canAccessBranch(req.user, purchaseOrder.branch_id)) {
+      return res.status(403).json({ error: 'Access denied to this branch' });
+    }
+
+    const [withDetails] = await attachPurchaseOrderDetails([purchaseOrder]);
+    res.json(withDetails);
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({ error: 'Failed to fetch purchase order' });
+  }
+});
+
+// Create a draft PO: { branch_id, supplier_id, items: [{ product_id, size, quantity, unit_cost }], notes, expected_date }
+router.post('/purchase-orders', authenticateSupabaseToken, requireAdminOrOwner, requireBranchAccess, async (req, res) => {
+  try {
+    const { branch_id, supplier_id, items, notes, expected_date } = req.body;
+    const branchId = parseInt(branch_id);
+
+    if (Number.isNaN(branchId)) {
+      return res.status(400).json({ error: 'branch_id is required' });
+    }
+
+    const poItems = await buildPurchaseOrderItems(items, branchId);
+    const purchaseOrder = await createPurchaseOrder({
+      branchId,
+      supplierId: supplier_id,
+      notes,
+      expectedDate: expected_date,
+      createdBy: req.user.id,
+      items: poItems
+    });
+
+    console.log(`🧾 Purchase order ${purchaseOrder.po_number} drafted for branch ${branchId} (${poItems.length} lines)`);
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    sendPurchaseOrderError(res, error, 'Failed to create purchase order');
+  }
+});
+
+// Convert low / out-of-stock rows of the reorder report into a draft PO.
+// Body: { branch_id, supplier_id, row_ids (optional report row ids; defaults to every low/out row) }
+router.post('/purchase-orders/from-low-stock', authenticateSupabaseToken, requireAdminOrOwner, requireBranchAccess, async (req, res) => {
+  try {
+    const { branch_id, supplier_id, row_ids, notes } = req.body;
+    const branchId = parseInt(branch_id);
+
+    if (Number.isNaN(branchId)) {
+      return res.status(400).json({ error: 'branch_id is required' });
+    }
+
+    const report = await loadReorderReport({ branchId });
+    const selectedIds = Array.isArray(row_ids) && row_ids.length > 0 ? new Set(row_ids.map(String)) : null;
+    const rows = report.items.filter(row =>
+      row.status !== STOCK_STATUS.IN_STOCK &&
+      row.suggestedReorderQty > 0 &&
+      (!selectedIds || selectedIds.has(String(row.id)))
+    );
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'No low-stock items to reorder for this branch' });
+    }
+
+    const poItems = await buildPurchaseOrderItems(
+      rows.map(row => ({ product_id: row.productId, size: row.size, quantity: row.suggestedReorderQty })),
+      branchId
+    );
+    const purchaseOrder = await createPurchaseOrder({
+      branchId,
+      supplierId: supplier_id,
+      notes: notes || 'Drafted from low-stock items',
+      createdBy: req.user.id,
+      items: poItems
+    });
+
+    console.log(`🧾 Purchase order ${purchaseOrder.po_number} drafted from ${rows.length} low-stock rows for branch ${branchId}`);
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    sendPurchaseOrderError(res, error, 'Failed to create purchase order from low stock');
+  }
+});
+
+// Mark a draft as ordered, or cancel it before anything is received
+router.patch('/purchase-orders/:id/status', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    const { data: purchaseOrder, error } = await supabase
+      .from('purchase_orders')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (!canAccessBranch(req.user, purchaseOrder.branch_id)) {
+      return res.status(403).json({ error: 'Access denied to this branch' });
+    }
+
+    const allowed = STATUS_TRANSITIONS[purchaseOrder.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({ error: `Cannot change a ${purchaseOrder.status.replace('_', ' ')} purchase order to ${status}` });
+    }
+
+    const updates = { status, updated_at: new Date().toISOString() };
+    if (status === PO_STATUS.ORDERED) {
+      updates.ordered_at = new Date().toISOString();
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('purchase_orders')
+      .update(updates)
+      .eq('id', purchaseOrder.id)
+      .eq('status', purchaseOrder.status)
+      .select('*')
+      .single();
+
+    if (updateError || !updated) {
+      console.error('Error updating purchase order status:', updateError);
+      return res.status(409).json({ error: 'Purchase order was changed by someone else. Please refresh.' });
+    }
+
+    console.log(`🧾 Purchase order ${updated.po_number} is now ${status}`);
+    const [withDetails] = await attachPurchaseOrderDetails([updated]);
+    res.json(withDetails);
+  } catch (error) {
+    sendPurchaseOrderError(res, error, 'Failed to update purchase order status');
+  }
+});
+
+// Receive a delivery, fully or partially: { branch_id (defaults to the PO branch), items: [{ item_id, quantity }] }
+router.post('/purchase-orders/:id/receive', authenticateSupabaseToken, requireAdminOrOwner, async (req, res) => {
+  try {
+    const receipts = Array.isArray(req.body.items) ? req.body.items : [];
+    const lines = receipts
+      .map(receipt => ({ itemId: receipt.item_id, quantity: parseInt(receipt.quantity) }))
+      .filter(line => line.itemId && !Number.isNaN(line.quantity) && line.quantity !== 0);
+
+    if (lines.length === 0) {
+      return res.status(400).json({ error: 'Enter a received quantity for at least one line' });
+    }
+    if (lines.some(line => line.quantity < 0)) {
+      return res.status(400).json({ error: 'Received quantities must be positive' });
+    }
+
+    const purchaseOrder = await withTransaction(async (client) => {
+      const { rows: poRows } = await client.query(
+        'SELECT * FROM purchase_orders WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+      const current = poRows[0];
+
+      if (!current) {
+        throw new PurchaseOrderError('Purchase order not found', 404);
+      }
+      if (!RECEIVABLE_STATUSES.includes(current.status)) {
+        throw new PurchaseOrderError(`Cannot receive a ${current.status.replace('_', ' ')} purchase order`);
+      }
+
+      const branchId = req.body.branch_id ? parseInt(req.body.branch_id) : current.branch_id;
+      if (Number.isNaN(branchId)) {
+        throw new PurchaseOrderError('Invalid branch ID');
+      }
+      if (!canAccessBranch(req.user, branchId) || !canAccessBranch(req.user, current.branch_id)) {
+        throw new PurchaseOrderError('Access denied to this branch', 403);
+      }
+
+      const { rows: itemRows } = await client.query(
+        'SELECT * FROM purchase_order_items WHERE purchase_order_id = $1 FOR UPDATE',
+        [current.id]
+      );
+      const itemMap = new Map(itemRows.map(item => [item.id, item]));
+      const movements = [];
+
+      for (const line of lines) {
+        const item = itemMap.get(line.itemId);
+        if (!item) {
+          throw new PurchaseOrderError('Line item does not belong to this purchase order');
+        }
+
+        const remaining = item.quantity_ordered - item.quantity_received;
+        if (line.quantity > remaining) {
+          throw new PurchaseOrderError(`Only ${remaining} of ${item.product_name}${item.size ? ` (${item.size})` : ''} left to receive`);
+        }
+
+        const product = await lockProductRow(client, { name: item.product_name, category: item.category }, branchId);
+        if (!product) {
+          throw new PurchaseOrderError(`${item.product_name} is not set up in the receiving branch. Add the product to this branch first.`);
+        }
+
+        const { before, after } = await applyStockChange(client, product, item.size, line.quantity);
+        movements.push({
+          productId: product.id,
+          branchId,
+          size: item.size,
+          before,
+          after,
+          type: MOVEMENT_TYPES.PURCHASE_RECEIPT,
+          purchaseOrderId: current.id,
+          actorId: req.user.id,
+          reason: `Received on ${current.po_number}`
+        });
+
+        await client.query(
+          'UPDATE purchase_order_items SET quantity_received = quantity_received + $1 WHERE id = $2',
+          [line.quantity, item.id]
+        );
+        item.quantity_received += line.quantity;
+      }
+
+      await recordStockMovements(client, movements);
+
+      const fullyReceived = itemRows.every(item => item.quantity_received >= item.quantity_ordered);
+      const { rows: updatedRows } = await client.query(
+        `UPDATE purchase_orders
+            SET status = $1, received_at = CASE WHEN $1 = 'received' THEN now() ELSE received_at END, updated_at = now()
+          WHERE id = $2
+          RETURNING *`,
+        [fullyReceived ? PO_STATUS.RECEIVED : PO_STATUS.PARTIALLY_RECEIVED, current.id]
+      );
+      return updatedRows[0];
+    });
+
+    console.log(`📦 Purchase order ${purchaseOrder.po_number} received (${purchaseOrder.status})`);
+    const [withDetails] = await attachPurchaseOrderDetails([purchaseOrder]);
+    res.json(withDetails);
+  } catch (error) {
+    sendPurchaseOrderError(res, error, 'Failed to receive purchase order');
+  }
+});
+
+module.exports = router;
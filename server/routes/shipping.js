@@ -0,0 +1,31 @@
+const express = require('express');
+const { ShippingQuoteError, quoteOrderShipping } = require('../lib/shipping');
+const { authenticateSupabaseToken } = require('../middleware/supabaseAuth');
+
+const router = express.Router();
+
+// Quote COD shipping for the checkout.
+// Body: { orderItems, deliveryAddress, pickupLocation, pickupBranchId }
+// The same quote is recomputed and stored on the order when it is placed.
+router.post('/quote', authenticateSupabaseToken, async (req, res) => {
+  try {
+    const { orderItems = [], deliveryAddress, pickupLocation = null, pickupBranchId = null } = req.body;
+
+    const quote = await quoteOrderShipping({
+      branchId: pickupBranchId,
+      location: pickupLocation,
+      deliveryAddress,
+      orderItems
+    });
+
+    res.json(quote);
+  } catch (error) {
+    if (error instanceof ShippingQuoteError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error quoting shipping:', error);
+    res.status(500).json({ error: 'Failed to quote shipping' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,336 @@
+const express = require('express');
+const { supabase, withTransaction } = require('../lib/db');
+const {
+  MOVEMENT_TYPES,
+  InsufficientStockError,
+  isStockedItem,
+  lockProductRow,
+  lockProductById,
+  applyStockChange,
+  recordStockMovements
+} = require('../lib/inventory');
+const {
+  authenticateSupabaseToken,
+  requireAdminOrOwner,
+  requireBranchAccess
+} = require('../middleware/supabaseAuth');
+
+const router = express.Router();
+
+// Transfers move stock between the per-branch rows of the same ball/trophy:
+//   requested  -> created by a branch asking for stock (nothing moves yet)
+//   in_transit -> source branch dispatched it (source row decremented)
+//   received   -> destination branch received it (destination row incremented)
+//   cancelled  -> either branch called it off before it was received (stock already
+//                 dispatched goes back to the source row)
+
+class TransferError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TransferError';
+    this.statusCode = statusCode;
+  }
+}
+
+const TRANSFER_STATUS = {
+  REQUESTED: 'requested',
+  IN_TRANSIT: 'in_transit',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+const attachBranchNames = async (transfers) => {
+  const branchIds = [...new Set(transfers.flatMap(transfer => [transfer.source_branch_id, transfer.destination_branch_id]))];
+  if (branchIds.length === 0) {
+    return transfers;
+  }
+
+  const { data: branches } = await supabase
+    .from('branches')
+    .select('id, name')
+    .in('id', branchIds);
+
+  const branchMap = new Map((branches || []).map(branch => [branch.id, branch.name]));
+  return transfers.map(transfer => ({
+    ...transfer,
+    source_branch_name: branchMap.get(transfer.source_branch_id) || null,
+    destination_branch_name: branchMap.get(transfer.destination_branch_id) || null
+  }));
+};
+
+// Lock a transfer row and make sure it is in the expected state and involves the branch acting on it.
+// expectedStatus and branchColumn may be lists when more than one is allowed.
+async function lockTransfer(client, transferId, expectedStatus, branchColumn, branchId) {
+  const expectedStatuses = [].concat(expectedStatus);
+  const { rows } = await client.query(
+    'SELECT * FROM stock_transfers WHERE id = $1 FOR UPDATE',
+    [transferId]
+  );
+  const transfer = rows[0];
+
+  if (!transfer) {
+    throw new TransferError('Transfer not found', 404);
+  }
+  if (![].concat(branchColumn).some(column => transfer[column] === branchId)) {
+    throw new TransferError('This transfer does not belong to this branch', 403);
+  }
+  if (!expectedStatuses.includes(transfer.status)) {
+    const expected = expectedStatuses.map(status => status.replace('_', ' ')).join(' or ');
+    throw new TransferError(`Transfer is ${transfer.status.replace('_', ' ')}, expected ${expected}`);
+  }
+
+  return transfer;
+}
+
+function sendTransferError(res, error, fallbackMessage) {
+  if (error instanceof TransferError || error instanceof InsufficientStockError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// List transfers going out of or coming into a branch
+router.get('/branch/:branchId', authenticateSupabaseToken, requireAdminOrOwner, requireBranchAccess, async (req, res) => {
+  try {
+    const branchId = parseInt(req.params.branchId);
+    if (Number.isNaN(branchId)) {
+      return res.status(400).json({ error: 'Invalid branch ID' });
+    }
+
+    let transfersQuery = supabase
+      .from('stock_transfers')
+      .select('*')
+      .or(`source_branch_id.eq.${branchId},destination_branch_id.eq.${branchId}`)
+      .order('requested_at', { ascending: false });
+
+    if (req.query.status) {
+      transfersQuery = transfersQuery.eq('status', req.query.status);
+    }
+
+    const { data: transfers, error } = await transfersQuery;
+
+    if (error) {
+      console.error('Error fetching stock transfers:', error);
+      return res.status(500).json({ error: 'Failed to fetch stock transfers' });
+    }
+
+    res.json(await attachBranchNames(transfers || []));
+  } catch (error) {
+    console.error('Error fetching stock transfers:', error);
+    res.status(500).json({ error: 'Failed to fetch stock transfers' });
+  }
+});
+
+// Request stock from another branch. branch_id is the requesting (destination) branch.
+router.post('/', authenticateSupabaseToken, requireAdminOrOwner, requireBranchAccess, async (req, res) => {
+  try {
+    const { branch_id, source_branch_id, product_id, size, quantity, notes } = req.body;
+    const destinationBranchId = parseInt(branch_id);
+    const sourceBranchId = parseInt(source_branch_id);
+    const transferQuantity = parseInt(quantity);
+
+    if (Number.isNaN(destinationBranchId) || Number.isNaN(sourceBranchId)) {
+      return res.status(400).json({ error: 'Source and destination branches are required' });
+    }
+    if (destinationBranchId === sourceBranchId) {
+      return res.status(400).json({ error: 'Source and destination branches must be different' });
+    }
+    if (!product_id) {
+      return res.status(400).json({ error: 'product_id is required' });
+    }
+    if (Number.isNaN(transferQuantity) || transferQuantity <= 0) {
+      return res.status(400).json({ error: 'Quantity must be a positive number' });
+    }
+
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select('id, name, category')
+      .eq('id', product_id)
+      .single();
+
+    if (productError || !product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    if (!isStockedItem(product)) {
+      return res.status(400).json({ error: `${product.name} is made to order and has no stock to transfer` });
+    }
+
+    if (product.category?.toLowerCase() === 'trophies' && !size) {
+      return res.status(400).json({ error: 'Size is required for trophy transfers' });
+    }
+
+    const { data: transfer, error: insertError } = await supabase
+      .from('stock_transfers')
+      .insert({
+        product_name: product.name,
+        category: product.category,
+        size: size || null,
+        quantity: transferQuantity,
+        source_branch_id: sourceBranchId,
+        destination_branch_id: destinationBranchId,
+        status: TRANSFER_STATUS.REQUESTED,
+        notes: notes || null,
+        requested_by: req.user.id
+      })
+      .select('*')
+      .single();
+
+    if (insertError) {
+      console.error('Error creating stock transfer:', insertError);
+      return res.status(500).json({ error: 'Failed to create stock transfer' });
+    }
+
+    console.log(`🚚 Transfer requested: ${transferQuantity} × ${product.name}${size ? ` (${size})` : ''} from branch ${sourceBranchId} to ${destinationBranchId}`);
+    const [transferWithBranches] = await attachBranchNames([transfer]);
+    res.status(201).json(transferWithBranches);
+  } catch (error) {
+    console.error('Error creating stock transfer:', error);
+    res.status(500).json({ error: 'Failed to create stock transfer' });
+  }
+});
+
+// Source branch dispatches the transfer: its stock is decremented now
+router.patch('/branch/:branchId/:transferId/dispatch', authenticateSupabaseToken, requireAdminOrOwner, requireBranchAccess, async (req, res) => {
+  try {
+    const branchId = parseInt(req.params.branchId);
+
+    const transfer = await withTransaction(async (client) => {
+      const current = await lockTransfer(client, req.params.transferId, TRANSFER_STATUS.REQUESTED, 'source_branch_id', branchId);
+
+      const product = await lockProductRow(client, { name: current.product_name, category: current.category }, branchId);
+      if (!product) {
+        throw new TransferError(`${current.product_name} is not set up in the source branch`);
+      }
+
+      const { before, after } = await applyStockChange(client, product, current.size, -current.quantity);
+      await recordStockMovements(client, [{
+        productId: product.id,
+        branchId,
+        size: current.size,
+        before,
+        after,
+        type: MOVEMENT_TYPES.TRANSFER_OUT,
+        transferId: current.id,
+        actorId: req.user.id,
+        reason: `Transfer to branch ${current.destination_branch_id} dispatched`
+      }]);
+
+      const { rows } = await client.query(
+        `UPDATE stock_transfers
+            SET status = $1, source_product_id = $2, dispatched_by = $3, dispatched_at = now(), updated_at = now()
+          WHERE id = $4
+          RETURNING *`,
+        [TRANSFER_STATUS.IN_TRANSIT, product.id, req.user.id, current.id]
+      );
+      return rows[0];
+    });
+
+    console.log(`🚚 Transfer ${transfer.id} dispatched from branch ${branchId}`);
+    const [transferWithBranches] = await attachBranchNames([transfer]);
+    res.json(transferWithBranches);
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to dispatch stock transfer');
+  }
+});
+
+// Destination branch receives the transfer: its stock is incremented now
+router.patch('/branch/:branchId/:transferId/receive', authenticateSupabaseToken, requireAdminOrOwner, requireBranchAccess, async (req, res) => {
+  try {
+    const branchId = parseInt(req.params.branchId);
+
+    const transfer = await withTransaction(async (client) => {
+      const current = await lockTransfer(client, req.params.transferId, TRANSFER_STATUS.IN_TRANSIT, 'destination_branch_id', branchId);
+
+      const product = await lockProductRow(client, { name: current.product_name, category: current.category }, branchId);
+      if (!product) {
+        throw new TransferError(`${current.product_name} is not set up in the destination branch. Add the product to this branch first.`);
+      }
+
+      const { before, after } = await applyStockChange(client, product, current.size, current.quantity);
+      await recordStockMovements(client, [{
+        productId: product.id,
+        branchId,
+        size: current.size,
+        before,
+        after,
+        type: MOVEMENT_TYPES.TRANSFER_IN,
+        transferId: current.id,
+        actorId: req.user.id,
+        reason: `Transfer from branch ${current.source_branch_id} received`
+      }]);
+
+      const { rows } = await client.query(
+        `UPDATE stock_transfers
+            SET status = $1, destination_product_id = $2, received_by = $3, received_at = now(), updated_at = now()
+          WHERE id = $4
+          RETURNING *`,
+        [TRANSFER_STATUS.RECEIVED, product.id, req.user.id, current.id]
+      );
+      return rows[0];
+    });
+
+    console.log(`📦 Transfer ${transfer.id} received at branch ${branchId}`);
+    const [transferWithBranches] = await attachBranchNames([transfer]);
+    res.json(transferWithBranches);
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to receive stock transfer');
+  }
+});
+
+// Either branch calls off a transfer that has not been received yet. A dispatched transfer puts
+// its stock back on the source branch row it was taken from.
+router.patch('/branch/:branchId/:transferId/cancel', authenticateSupabaseToken, requireAdminOrOwner, requireBranchAccess, async (req, res) => {
+  try {
+    const branchId = parseInt(req.params.branchId);
+
+    const transfer = await withTransaction(async (client) => {
+      const current = await lockTransfer(
+        client,
+        req.params.transferId,
+        [TRANSFER_STATUS.REQUESTED, TRANSFER_STATUS.IN_TRANSIT],
+        ['source_branch_id', 'destination_branch_id'],
+        branchId
+      );
+
+      if (current.status === TRANSFER_STATUS.IN_TRANSIT) {
+        const product = (current.source_product_id && await lockProductById(client, current.source_product_id))
+          || await lockProductRow(client, { name: current.product_name, category: current.category }, current.source_branch_id);
+        if (!product) {
+          throw new TransferError(`${current.product_name} is no longer set up in the source branch`);
+        }
+
+        const { before, after } = await applyStockChange(client, product, current.size, current.quantity);
+        await recordStockMovements(client, [{
+          productId: product.id,
+          branchId: current.source_branch_id,
+          size: current.size,
+          before,
+          after,
+          type: MOVEMENT_TYPES.TRANSFER_IN,
+          transferId: current.id,
+          actorId: req.user.id,
+          reason: `Transfer to branch ${current.destination_branch_id} cancelled, stock returned`
+        }]);
+      }
+
+      const { rows } = await client.query(
+        `UPDATE stock_transfers
+            SET status = $1, cancelled_by = $2, cancelled_at = now(), updated_at = now()
+          WHERE id = $3
+          RETURNING *`,
+        [TRANSFER_STATUS.CANCELLED, req.user.id, current.id]
+      );
+      return rows[0];
+    });
+
+    console.log(`🚫 Transfer ${transfer.id} cancelled by branch ${branchId}`);
+    const [transferWithBranches] = await attachBranchNames([transfer]);
+    res.json(transferWithBranches);
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to cancel stock transfer');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+-- Migration: Skill-, capacity- and deadline-aware artist task assignment
+-- Purpose: Order layout tasks are assigned by lib/artistAssignment.js, which weighs every task by
+--          quantity and order type instead of counting tasks. Artists get a daily capacity in
+--          weight units, tasks keep their weight and the reasons the artist was chosen.
+--          assign_task_to_least_busy_artist (still used by maintenance scripts) now balances by
+--          weighted open work per unit of capacity instead of task count with RANDOM() ties.
+-- Safe to run multiple times
+
+ALTER TABLE artist_profiles ADD COLUMN IF NOT EXISTS daily_capacity NUMERIC(6,2) NOT NULL DEFAULT 8;
+
+ALTER TABLE artist_tasks ADD COLUMN IF NOT EXISTS workload_weight NUMERIC(6,2);
+ALTER TABLE artist_tasks ADD COLUMN IF NOT EXISTS assignment_reasons JSONB;
+
+COMMENT ON COLUMN artist_profiles.daily_capacity IS 'Weight units of layout work per day (one store jersey = 1, a 30-member custom set = 4.9)';
+COMMENT ON COLUMN artist_tasks.workload_weight IS 'Size of the task in weight units (order type setup + 0.1 per extra unit)';
+COMMENT ON COLUMN artist_tasks.assignment_reasons IS 'Score and reasons recorded by the assigner when the task was created';
+
+CREATE INDEX IF NOT EXISTS idx_artist_tasks_artist_open ON artist_tasks(artist_id, deadline)
+  WHERE status IN ('pending', 'in_progress', 'revision_required');
+
+CREATE OR REPLACE FUNCTION assign_task_to_least_busy_artist(
+  p_task_title VARCHAR(255),
+  p_task_description TEXT,
+  p_design_requirements TEXT,
+  p_priority VARCHAR(20),
+  p_deadline TIMESTAMPTZ,
+  p_order_id UUID DEFAULT NULL,
+  p_product_id UUID DEFAULT NULL,
+  p_order_type VARCHAR(50) DEFAULT 'custom_design',
+  p_is_custom_order BOOLEAN DEFAULT TRUE,
+  p_order_source VARCHAR(50) DEFAULT 'online'
+)
+RETURNS UUID AS $$
+DECLARE
+  v_artist_id UUID;
+  v_task_id UUID;
+  v_weight NUMERIC(6,2) := CASE WHEN p_order_type = 'custom_design' THEN 2 ELSE 1 END;
+BEGIN
+  -- Least weighted open work per unit of daily capacity; tasks without a weight count their setup work
+  SELECT ap.id INTO v_artist_id
+  FROM artist_profiles ap
+  LEFT JOIN artist_tasks at ON ap.id = at.artist_id
+    AND at.status IN ('pending', 'in_progress', 'revision_required')
+  WHERE ap.is_active = true
+  GROUP BY ap.id, ap.artist_name, ap.daily_capacity
+  ORDER BY
+    COALESCE(SUM(COALESCE(at.workload_weight, CASE WHEN at.order_type = 'custom_design' THEN 2 ELSE 1 END)), 0)
+      / NULLIF(ap.daily_capacity, 0) ASC NULLS LAST,
+    ap.artist_name ASC
+  LIMIT 1;
+
+  IF v_artist_id IS NULL THEN
+    RAISE EXCEPTION 'No active artist available to assign task';
+  END IF;
+
+  INSERT INTO artist_tasks (
+    artist_id,
+    order_id,
+    product_id,
+    task_title,
+    task_description,
+    design_requirements,
+    order_type,
+    is_custom_order,
+    order_source,
+    priority,
+    deadline,
+    status,
+    workload_weight,
+    assignment_reasons
+  ) VALUES (
+    v_artist_id,
+    p_order_id,
+    p_product_id,
+    p_task_title,
+    p_task_description,
+    p_design_requirements,
+    p_order_type,
+    p_is_custom_order,
+    p_order_source,
+    p_priority,
+    p_deadline,
+    'pending',
+    v_weight,
+    jsonb_build_object('reasons', jsonb_build_array('least weighted open work per unit of capacity (SQL assigner)'), 'taskWeight', v_weight)
+  ) RETURNING id INTO v_task_id;
+
+  RETURN v_task_id;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION assign_task_to_least_busy_artist TO authenticated;
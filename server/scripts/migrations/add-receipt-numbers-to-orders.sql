@@ -0,0 +1,19 @@
+-- Migration: Add per-branch receipt numbers to orders
+-- Purpose: Printable invoices / official receipts get a sequential number per branch that is
+--          stored on the order the first time it is printed, so reprints show the same number
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS branch_receipt_sequences (
+  branch_id INTEGER PRIMARY KEY REFERENCES branches(id) ON DELETE CASCADE,
+  last_number INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS receipt_number VARCHAR(30);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS receipt_branch_id INTEGER REFERENCES branches(id);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS receipt_sequence INTEGER;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS receipt_issued_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_receipt_number
+  ON orders(receipt_number)
+  WHERE receipt_number IS NOT NULL;
@@ -0,0 +1,12 @@
+-- Migration: Link repeat orders to the order they were copied from
+-- Purpose: Teams re-order the same jersey every season. "Order again" copies a delivered
+--          order into the cart (catalog team orders) or the custom design form; the new order
+--          keeps orders.reorder_of_order_id so its artist task gets the previous artwork.
+--          Cart lines carry the link until checkout (user_carts.reorder_of_order_id).
+-- Safe to run multiple times
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reorder_of_order_id UUID REFERENCES orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_reorder_of ON orders(reorder_of_order_id) WHERE reorder_of_order_id IS NOT NULL;
+
+ALTER TABLE user_carts ADD COLUMN IF NOT EXISTS reorder_of_order_id UUID REFERENCES orders(id) ON DELETE SET NULL;
@@ -0,0 +1,23 @@
+-- Migration: Distance- and weight-based COD shipping quotes
+-- Purpose: Branches get coordinates and a province so COD shipping can be priced from the
+--          fulfilling branch to the customer's barangay (see server/lib/shipping.js), and
+--          orders keep the quote they were placed with
+-- Safe to run multiple times
+
+ALTER TABLE branches ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6);
+ALTER TABLE branches ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6);
+ALTER TABLE branches ADD COLUMN IF NOT EXISTS province TEXT;
+
+-- Branch locations (same pins as the customer Branches page)
+UPDATE branches SET latitude = 13.803708, longitude = 121.013216, province = 'Batangas' WHERE id = 1 AND latitude IS NULL;
+UPDATE branches SET latitude = 13.412379, longitude = 121.176592, province = 'Oriental Mindoro' WHERE id = 2 AND latitude IS NULL;
+UPDATE branches SET latitude = 13.855891, longitude = 120.940526, province = 'Batangas' WHERE id = 3 AND latitude IS NULL;
+UPDATE branches SET latitude = 13.883227, longitude = 120.913946, province = 'Batangas' WHERE id = 4 AND latitude IS NULL;
+UPDATE branches SET latitude = 13.764830, longitude = 121.055784, province = 'Batangas' WHERE id = 5 AND latitude IS NULL;
+UPDATE branches SET latitude = 13.791784, longitude = 121.007284, province = 'Batangas' WHERE id = 6 AND latitude IS NULL;
+UPDATE branches SET latitude = 13.928895, longitude = 120.811315, province = 'Batangas' WHERE id = 7 AND latitude IS NULL;
+UPDATE branches SET latitude = 13.035000, longitude = 121.484700, province = 'Oriental Mindoro' WHERE id = 8 AND latitude IS NULL;
+UPDATE branches SET latitude = 13.847800, longitude = 121.203900, province = 'Batangas' WHERE id = 9 AND latitude IS NULL;
+
+-- Quote the COD shipping fee was charged from (distance, weight, ferry surcharge)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_quote JSONB;
@@ -0,0 +1,15 @@
+-- Migration: Record which product rows an order's stock was taken from
+-- Purpose: Let cancelled orders put balls/trophies back to the exact branch and size rows,
+--          and never restore the same order twice
+-- Safe to run multiple times
+
+-- One entry per reserved line: { productId, branchId, size, quantity, before, after }
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS stock_reservations JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Set when the reservations have been returned to stock (cancellation)
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS stock_restored_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN orders.stock_reservations IS 'Product rows and sizes deducted when the order was placed. Used to restore stock exactly on cancellation.';
+COMMENT ON COLUMN orders.stock_restored_at IS 'When stock_reservations were returned to inventory. NULL means stock is still reserved.';
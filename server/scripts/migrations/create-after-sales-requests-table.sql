@@ -0,0 +1,66 @@
+-- Migration: Create after_sales_requests and the 'refunded' order status
+-- Purpose: Customers report defects on delivered orders (misprint, wrong size, wrong
+--          name/number on a team member...) with photos and ask for a refund or a remake.
+--          Approved remakes spawn a linked production order (orders.remake_of_order_id);
+--          approved refunds are recorded in order_payments and kept on orders.amount_refunded
+--          so branch sales and analytics revenue can be reported net of refunds.
+-- Safe to run multiple times
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+CHECK (status IN (
+  'pending',
+  'confirmed',
+  'layout',
+  'sizing',
+  'printing',
+  'press',
+  'prod',
+  'packing_completing',
+  'picked_up_delivered',
+  'cancelled',
+  'refunded'
+));
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS remake_of_order_id UUID REFERENCES orders(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_refunded DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_orders_remake_of ON orders(remake_of_order_id) WHERE remake_of_order_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS after_sales_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  issue_type TEXT NOT NULL CHECK (issue_type IN ('misprint', 'wrong_size', 'wrong_name_number', 'damaged', 'missing_item', 'other')),
+  description TEXT NOT NULL,
+  -- [{ itemIndex, memberIndex, label }] - order lines / team members the issue affects
+  affected_items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- [{ url, publicId }]
+  photos JSONB NOT NULL DEFAULT '[]'::jsonb,
+  resolution TEXT NOT NULL CHECK (resolution IN ('refund', 'remake')),
+  refund_amount DECIMAL(10,2),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  admin_notes TEXT,
+  remake_order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  refund_payment_id UUID REFERENCES order_payments(id) ON DELETE SET NULL,
+  reviewed_by UUID,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_after_sales_requests_order ON after_sales_requests(order_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_after_sales_requests_pending ON after_sales_requests(created_at) WHERE status = 'pending';
+
+-- Orders completed before payment tracking were marked paid without ledger entries.
+-- Give them one so a refund can be checked against what was actually paid.
+INSERT INTO order_payments (order_id, kind, amount, method, notes, paid_at)
+SELECT o.id,
+       'payment',
+       o.amount_paid,
+       CASE WHEN o.shipping_method = 'cod' THEN 'cod' ELSE 'cash' END,
+       'Paid before payment tracking',
+       COALESCE(o.updated_at, o.created_at)
+  FROM orders o
+ WHERE o.payment_status = 'paid'
+   AND o.amount_paid > 0
+   AND NOT EXISTS (SELECT 1 FROM order_payments p WHERE p.order_id = o.id);
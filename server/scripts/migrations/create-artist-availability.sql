@@ -0,0 +1,28 @@
+-- Migration: Artist leave calendar, working hours and task reassignment log
+-- Purpose: Artists get working hours and leave days (lib/artistAssignment.js skips artists on
+--          leave and prefers those at work). Admins can hand a task over to another artist,
+--          one at a time or everything open from an absent artist (lib/artistAvailability.js);
+--          the task keeps its revision notes and files, the order's design chat room moves with
+--          it, and every handoff is appended to artist_tasks.reassignment_log.
+-- Safe to run multiple times
+
+ALTER TABLE artist_profiles ADD COLUMN IF NOT EXISTS working_hours JSONB;
+
+COMMENT ON COLUMN artist_profiles.working_hours IS 'Working days and hours in branch time: {"days": [1,2,3,4,5,6], "start": "08:00", "end": "17:00"} (0 = Sunday); NULL uses that default';
+
+CREATE TABLE IF NOT EXISTS artist_leave (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  artist_id UUID NOT NULL REFERENCES artist_profiles(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_artist_leave_artist_dates ON artist_leave(artist_id, end_date);
+
+ALTER TABLE artist_tasks ADD COLUMN IF NOT EXISTS reassignment_log JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN artist_tasks.reassignment_log IS 'Handoffs of the task between artists: [{ at, fromArtistId, fromArtistName, toArtistId, toArtistName, mode, reason, note, by, byRole, chatRoomIds }]';
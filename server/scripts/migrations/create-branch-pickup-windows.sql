@@ -0,0 +1,29 @@
+-- Migration: Create branch_pickup_windows table and pickup slot columns on orders
+-- Purpose: Branches publish the days and hours customers can collect pickup orders, split into
+--          fixed-length slots with a capacity each (see server/lib/pickupSlots.js). Orders keep
+--          the slot the customer booked and the pickup code staff check at handover.
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS branch_pickup_windows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id INTEGER NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+  opens_at TIME NOT NULL,
+  closes_at TIME NOT NULL,
+  slot_minutes INTEGER NOT NULL DEFAULT 60 CHECK (slot_minutes BETWEEN 10 AND 480),
+  capacity INTEGER NOT NULL DEFAULT 5 CHECK (capacity > 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (closes_at > opens_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_branch_pickup_windows_branch ON branch_pickup_windows(branch_id, day_of_week);
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS pickup_window_id UUID REFERENCES branch_pickup_windows(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS pickup_slot_start TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS pickup_slot_end TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS pickup_code TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_orders_pickup_slot ON orders(pickup_window_id, pickup_slot_start);
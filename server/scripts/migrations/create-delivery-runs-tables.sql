@@ -0,0 +1,62 @@
+-- Migration: Create riders, delivery_runs and delivery_run_stops tables
+-- Purpose: Dispatch for COD orders (see server/lib/deliveryRuns.js). Each branch keeps its own
+--          riders / couriers; admins group packed COD orders into a run for one rider, the
+--          rider works through the stops from a link (access_token) and records proof photos and
+--          the cash collected per stop, and the run is closed against the cash handed in.
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS riders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id INTEGER NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  phone TEXT,
+  vehicle TEXT,
+  courier_name TEXT, -- set for third-party couriers, NULL for the branch's own riders
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_riders_branch ON riders(branch_id);
+
+CREATE TABLE IF NOT EXISTS delivery_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_number TEXT NOT NULL UNIQUE,
+  branch_id INTEGER NOT NULL REFERENCES branches(id),
+  rider_id UUID NOT NULL REFERENCES riders(id),
+  status TEXT NOT NULL DEFAULT 'planned'
+    CHECK (status IN ('planned', 'out_for_delivery', 'completed', 'cancelled')),
+  sort_by TEXT NOT NULL DEFAULT 'distance' CHECK (sort_by IN ('distance', 'barangay')),
+  access_token TEXT NOT NULL UNIQUE,
+  notes TEXT,
+  cash_remitted NUMERIC(10, 2),
+  created_by UUID,
+  dispatched_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  completed_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_runs_branch_status ON delivery_runs(branch_id, status);
+
+CREATE TABLE IF NOT EXISTS delivery_run_stops (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_id UUID NOT NULL REFERENCES delivery_runs(id) ON DELETE CASCADE,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  sequence INTEGER NOT NULL,
+  distance_km NUMERIC(8, 1),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  cash_expected NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  cash_collected NUMERIC(10, 2),
+  proof_images TEXT[],
+  notes TEXT,
+  failure_reason TEXT,
+  delivery_proof_id UUID REFERENCES delivery_proof(id) ON DELETE SET NULL,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (run_id, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_run_stops_order ON delivery_run_stops(order_id);
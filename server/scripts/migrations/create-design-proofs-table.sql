@@ -0,0 +1,32 @@
+-- Migration: Create design_proofs table
+-- Purpose: Every design upload by the artist becomes a numbered proof version of the order with
+--          its own files and notes (orders.design_files still collects all files). The customer
+--          approves or requests changes on a version from a tokenized link (no sign-in needed);
+--          the latest version must be approved before the order can move from layout to sizing
+--          (see lib/designProofs.js and the proof guards in lib/orderStatus.js).
+--          Earlier versions are kept (status superseded) so they can be compared.
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS design_proofs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  task_id UUID REFERENCES artist_tasks(id) ON DELETE SET NULL,
+  version INTEGER NOT NULL,
+  files JSONB NOT NULL DEFAULT '[]'::jsonb,
+  notes TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'changes_requested', 'superseded')),
+  review_token TEXT NOT NULL UNIQUE,
+  submitted_by UUID,
+  response_comment TEXT,
+  responded_at TIMESTAMPTZ,
+  responded_by UUID, -- staff user when recorded from the admin side; NULL when the customer used the link
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (order_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_design_proofs_order_version ON design_proofs(order_id, version DESC);
+
+COMMENT ON TABLE design_proofs IS 'Numbered design proof versions of an order and the customer''s response to each';
+COMMENT ON COLUMN design_proofs.review_token IS 'Secret in the approval link emailed to the customer';
@@ -0,0 +1,35 @@
+-- Migration: Create order_payments and payment tracking columns on orders
+-- Purpose: Record every payment / refund taken against an order (cash at branch, COD,
+--          bank transfer, GCash), the downpayment custom and team orders need before
+--          production, and the order's running balance and payment status
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS order_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL DEFAULT 'payment' CHECK (kind IN ('payment', 'refund')),
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  method TEXT NOT NULL CHECK (method IN ('cash', 'cod', 'bank_transfer', 'gcash')),
+  reference TEXT,
+  notes TEXT,
+  recorded_by UUID,
+  paid_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_payments_order ON order_payments(order_id, paid_at);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS downpayment_percent DECIMAL(5,2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS downpayment_required DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS balance_due DECIMAL(10,2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_status TEXT NOT NULL DEFAULT 'unpaid'
+  CHECK (payment_status IN ('unpaid', 'partially_paid', 'paid', 'refunded'));
+
+-- Existing orders: completed ones were paid at pickup / on delivery, everything else is outstanding
+UPDATE orders
+   SET amount_paid = total_amount, balance_due = 0, payment_status = 'paid'
+ WHERE balance_due IS NULL AND status = 'picked_up_delivered';
+UPDATE orders SET balance_due = total_amount WHERE balance_due IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_payment_status ON orders(payment_status);
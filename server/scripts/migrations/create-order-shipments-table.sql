@@ -0,0 +1,34 @@
+-- Migration: Create order_shipments table
+-- Purpose: Split an order into parts that are handed over separately (see server/lib/orderShipments.js),
+--          e.g. in-stock balls / trophies released now and made-to-order apparel when production is
+--          done. Each part has its own status and delivery proof; sales and sold_quantity are
+--          counted per part when it is handed over (sales_recorded_at).
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS order_shipments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  part_number INTEGER NOT NULL,
+  label TEXT NOT NULL,
+  -- Copies of the order_items lines in this part, each with its index in order_items as "line"
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'ready', 'picked_up_delivered')),
+  ready_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  completed_by UUID,
+  sales_recorded_at TIMESTAMPTZ,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (order_id, part_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_shipments_order ON order_shipments(order_id);
+
+-- Proof of a part handed over; NULL for proofs of a whole order
+ALTER TABLE delivery_proof
+  ADD COLUMN IF NOT EXISTS shipment_id UUID REFERENCES order_shipments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_delivery_proof_shipment ON delivery_proof(shipment_id);
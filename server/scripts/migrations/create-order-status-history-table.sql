@@ -0,0 +1,19 @@
+-- Migration: Create order_status_history table
+-- Purpose: Audit trail of every orders.status change made through the order state machine
+--          (server/lib/orderStatus.js): who moved the order, from which status to which,
+--          through which route, and an optional note. Shown as a timeline on the order detail.
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor_id UUID,
+  actor_role TEXT,
+  source TEXT,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id, created_at);
@@ -0,0 +1,25 @@
+-- Migration: Create payment_proofs table
+-- Purpose: Receipts / screenshots customers upload after paying by bank transfer or GCash.
+--          Each proof waits in the admin verification queue; approving it records the
+--          payment in order_payments, rejecting it keeps the reason for the customer.
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS payment_proofs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  method TEXT NOT NULL CHECK (method IN ('bank_transfer', 'gcash')),
+  reference TEXT,
+  image_url TEXT NOT NULL,
+  image_public_id TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  rejection_reason TEXT,
+  payment_id UUID REFERENCES order_payments(id) ON DELETE SET NULL,
+  reviewed_by UUID,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_proofs_order ON payment_proofs(order_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payment_proofs_pending ON payment_proofs(created_at) WHERE status = 'pending';
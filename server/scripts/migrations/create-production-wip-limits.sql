@@ -0,0 +1,18 @@
+-- Migration: Per-branch WIP limits for the production board
+-- Purpose: Admins cap how many orders each production stage should hold at their branch. The
+--          board (GET /api/production-workflow/board/orders, lib/productionBoard.js) flags a
+--          column over its limit as a bottleneck. A stage without a row has no limit.
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS production_wip_limits (
+  branch_id INTEGER NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+  stage VARCHAR(50) NOT NULL CHECK (stage IN ('layout', 'sizing', 'printing', 'press', 'prod', 'packing_completing')),
+  wip_limit INTEGER NOT NULL CHECK (wip_limit > 0),
+  updated_by UUID,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (branch_id, stage)
+);
+
+-- The board looks up each order's first open stage
+CREATE INDEX IF NOT EXISTS idx_production_workflow_open_stages ON production_workflow(order_id, stage)
+  WHERE status IN ('pending', 'in_progress');
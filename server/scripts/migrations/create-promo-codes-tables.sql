@@ -0,0 +1,41 @@
+-- Migration: Create promo_codes and promo_code_redemptions, record discounts on orders
+-- Purpose: Promo codes redeemable at checkout (percentage or fixed discount, minimum spend,
+--          category restrictions, per-user and global usage limits, start / expiry dates)
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code VARCHAR(50) UNIQUE NOT NULL CHECK (code = UPPER(code)),
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+  min_spend DECIMAL(10,2) NOT NULL DEFAULT 0,
+  -- Lower-case product categories the code applies to (NULL / empty = every category)
+  categories TEXT[],
+  max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+  max_uses_per_user INTEGER CHECK (max_uses_per_user IS NULL OR max_uses_per_user > 0),
+  used_count INTEGER NOT NULL DEFAULT 0,
+  starts_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS promo_code_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promo_code_id UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  user_id UUID,
+  discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_code_redemptions_code_user ON promo_code_redemptions(promo_code_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_promo_code_redemptions_order ON promo_code_redemptions(order_id);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promo_code VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_orders_promo_code ON orders(promo_code) WHERE promo_code IS NOT NULL;
@@ -0,0 +1,26 @@
+-- Migration: Create stock_movements ledger
+-- Purpose: Keep an append-only trail of every change to products.stock_quantity / size_stocks
+--          (initial stock, order deductions, cancellation restores, manual adjustments)
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id BIGSERIAL PRIMARY KEY,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  branch_id INTEGER REFERENCES branches(id),
+  size TEXT,
+  movement_type TEXT NOT NULL CHECK (movement_type IN ('initial', 'order_deduction', 'cancellation_restore', 'manual_adjustment')),
+  quantity_change INTEGER NOT NULL,
+  balance_before INTEGER NOT NULL,
+  balance_after INTEGER NOT NULL,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  actor_id UUID,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_product_created ON stock_movements(product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_branch ON stock_movements(branch_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_order ON stock_movements(order_id);
+
+COMMENT ON TABLE stock_movements IS 'Ledger of stock changes per product row (branch) and size. balance_before/after are the per-size or stock_quantity values around the change.';
+COMMENT ON COLUMN stock_movements.size IS 'Trophy size key in size_stocks; NULL for stock_quantity based products (balls).';
@@ -0,0 +1,49 @@
+-- Migration: Create stock_transfers table for inter-branch stock transfers
+-- Purpose: Move ball/trophy stock between branch product rows through
+--          requested -> in_transit -> received, with ledger entries on both sides.
+--          A transfer not yet received can be cancelled; dispatched stock goes back to the source.
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS stock_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_name TEXT NOT NULL,
+  category TEXT NOT NULL,
+  size TEXT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  source_branch_id INTEGER NOT NULL REFERENCES branches(id),
+  destination_branch_id INTEGER NOT NULL REFERENCES branches(id),
+  source_product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  destination_product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'in_transit', 'received', 'cancelled')),
+  notes TEXT,
+  requested_by UUID,
+  dispatched_by UUID,
+  received_by UUID,
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  dispatched_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ,
+  cancelled_by UUID,
+  cancelled_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (source_branch_id <> destination_branch_id)
+);
+
+-- Tables created before cancelling existed
+ALTER TABLE stock_transfers DROP CONSTRAINT IF EXISTS stock_transfers_status_check;
+ALTER TABLE stock_transfers
+  ADD CONSTRAINT stock_transfers_status_check
+  CHECK (status IN ('requested', 'in_transit', 'received', 'cancelled'));
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS cancelled_by UUID;
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_source ON stock_transfers(source_branch_id, status);
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_destination ON stock_transfers(destination_branch_id, status);
+
+-- Allow transfer entries in the stock_movements ledger
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_movement_type_check;
+ALTER TABLE stock_movements
+  ADD CONSTRAINT stock_movements_movement_type_check
+  CHECK (movement_type IN ('initial', 'order_deduction', 'cancellation_restore', 'manual_adjustment', 'transfer_out', 'transfer_in'));
+
+ALTER TABLE stock_movements
+  ADD COLUMN IF NOT EXISTS transfer_id UUID REFERENCES stock_transfers(id) ON DELETE SET NULL;
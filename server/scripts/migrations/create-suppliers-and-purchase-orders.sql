@@ -0,0 +1,60 @@
+-- Migration: Create suppliers, purchase_orders and purchase_order_items
+-- Purpose: Track where on-stock products (trophies, balls, medals) are bought from and
+--          receive incoming deliveries (fully or partially) into a branch's stock
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS suppliers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  contact_person TEXT,
+  email TEXT,
+  phone TEXT,
+  address TEXT,
+  notes TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  po_number VARCHAR(50) UNIQUE NOT NULL,
+  supplier_id UUID REFERENCES suppliers(id) ON DELETE SET NULL,
+  branch_id INTEGER NOT NULL REFERENCES branches(id),
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'ordered', 'partially_received', 'received', 'cancelled')),
+  notes TEXT,
+  expected_date DATE,
+  created_by UUID,
+  ordered_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  sku TEXT,
+  product_name TEXT NOT NULL,
+  category TEXT NOT NULL,
+  size TEXT,
+  quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+  unit_cost DECIMAL(10,2),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (quantity_received <= quantity_ordered)
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_branch_status ON purchase_orders(branch_id, status);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_items_po ON purchase_order_items(purchase_order_id);
+
+-- Record PO receipts in the stock_movements ledger
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_movement_type_check;
+ALTER TABLE stock_movements
+  ADD CONSTRAINT stock_movements_movement_type_check
+  CHECK (movement_type IN ('initial', 'order_deduction', 'cancellation_restore', 'manual_adjustment', 'transfer_out', 'transfer_in', 'purchase_receipt'));
+
+ALTER TABLE stock_movements
+  ADD COLUMN IF NOT EXISTS purchase_order_id UUID REFERENCES purchase_orders(id) ON DELETE SET NULL;
@@ -0,0 +1,24 @@
+-- Migration: Keep orders.design_files away from browser clients
+-- Purpose: Design files uploaded before previews existed are public Cloudinary assets, so
+--          their stored url is the unwatermarked original. Customers read their own orders
+--          straight from Supabase (RLS), which would hand them that url before the order is paid.
+--          The browser roles keep SELECT on every other column; design files are only served
+--          through the API (GET /api/design-upload/:orderId/previews, lib/designPreviews.js),
+--          which signs watermarked previews and releases originals once the order is paid.
+--          Browser code must name its order columns: select('*') on orders is refused.
+-- Safe to run multiple times. Re-run it after adding columns to orders so browsers can read them.
+
+DO $$
+DECLARE
+  readable_columns TEXT;
+BEGIN
+  SELECT string_agg(quote_ident(column_name), ', ' ORDER BY ordinal_position)
+    INTO readable_columns
+    FROM information_schema.columns
+   WHERE table_schema = 'public'
+     AND table_name = 'orders'
+     AND column_name <> 'design_files';
+
+  EXECUTE 'REVOKE SELECT ON public.orders FROM anon, authenticated';
+  EXECUTE format('GRANT SELECT (%s) ON public.orders TO anon, authenticated', readable_columns);
+END $$;
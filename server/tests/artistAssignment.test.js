@@ -0,0 +1,201 @@
+// Scores the default artist assigner on in-memory artists: task weights, daily capacity,
+// specialties, deadlines, leave and working hours, plus a custom scorer to check the policy can
+// be swapped.
+jest.mock('../lib/db', () => ({ supabase: {} }));
+
+const {
+  taskWeight,
+  describeTask,
+  resolveTaskSkill,
+  createArtistAssigner,
+  backlogScorer,
+  isWithinWorkingHours
+} = require('../lib/artistAssignment');
+const { normalizeWorkingHours, describeExistingTask } = require('../lib/artistAvailability');
+
+const NOW = new Date('2026-03-02T09:00:00+08:00');
+const inDays = (days) => new Date(NOW.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+
+const openTask = (overrides = {}) => ({
+  status: 'pending',
+  order_type: 'regular',
+  workload_weight: 1,
+  deadline: inDays(5),
+  created_at: inDays(-3),
+  ...overrides
+});
+
+const artist = (name, overrides = {}) => ({
+  id: `artist-${name.toLowerCase()}`,
+  artist_name: name,
+  specialties: [],
+  daily_capacity: 8,
+  tasks: [],
+  ...overrides
+});
+
+const customSet = describeTask({ orderType: 'custom_design', quantity: 30, deadline: inDays(3) });
+const storeJersey = describeTask({
+  orderType: 'regular',
+  quantity: 1,
+  orderItems: [{ category: 'Jerseys' }],
+  deadline: inDays(2)
+});
+
+describe('task weights', () => {
+  test('a 30-member custom set weighs more than one store jersey', () => {
+    expect(taskWeight('custom_design', 30)).toBe(4.9);
+    expect(taskWeight('regular', 1)).toBe(1);
+    expect(customSet.weight).toBeGreaterThan(storeJersey.weight);
+  });
+
+  test('skills come from the order type and item categories', () => {
+    expect(resolveTaskSkill('custom_design', [])).toBe('sublimation_layout');
+    expect(resolveTaskSkill('regular', [{ category: 'Trophies' }, { category: 'Jerseys' }])).toBe('trophy_engraving');
+    expect(resolveTaskSkill('walk_in', [{ category: 'Hoodies' }])).toBe('sublimation_layout');
+    expect(resolveTaskSkill('regular', [{ category: 'Balls' }])).toBeNull();
+  });
+});
+
+describe('default assigner', () => {
+  const assigner = createArtistAssigner();
+
+  test('weighs open work instead of counting tasks', () => {
+    const busyWithBigSet = artist('Ana', {
+      tasks: [openTask({ order_type: 'custom_design', workload_weight: 4.9 })]
+    });
+    const twoSmallJobs = artist('Ben', { tasks: [openTask(), openTask()] });
+
+    const choice = assigner.pick(storeJersey, [busyWithBigSet, twoSmallJobs], NOW);
+    expect(choice.artist.artist_name).toBe('Ben');
+  });
+
+  test('tasks without a stored weight count their order type setup work', () => {
+    const legacyCustom = artist('Ana', { tasks: [openTask({ order_type: 'custom_design', workload_weight: null })] });
+    const legacyRegular = artist('Ben', { tasks: [openTask({ workload_weight: null })] });
+
+    const ranking = assigner.rank(storeJersey, [legacyCustom, legacyRegular], NOW);
+    expect(ranking[0].artist.artist_name).toBe('Ben');
+  });
+
+  test('prefers the artist with the matching specialty', () => {
+    const engraver = artist('Carla', { specialties: ['Trophy Engraving'], tasks: [openTask(), openTask()] });
+    const layoutArtist = artist('Ana', { specialties: ['Team Jerseys', 'Layout Design'] });
+    const trophyTask = describeTask({ orderType: 'regular', orderItems: [{ category: 'trophies' }], deadline: inDays(2) });
+
+    const choice = assigner.pick(trophyTask, [layoutArtist, engraver], NOW);
+    expect(choice.artist.artist_name).toBe('Carla');
+    expect(choice.reasons).toContain('specialises in trophy engraving');
+  });
+
+  test('skips artists whose daily capacity is used up', () => {
+    const fullToday = artist('Ana', {
+      daily_capacity: 5,
+      tasks: [openTask({ order_type: 'custom_design', workload_weight: 4.5, created_at: inDays(0) })]
+    });
+    const freeButBusier = artist('Ben', {
+      tasks: [openTask({ workload_weight: 2 }), openTask({ workload_weight: 2.5 })]
+    });
+
+    const ranking = assigner.rank(storeJersey, [fullToday, freeButBusier], NOW);
+    expect(ranking[0].artist.artist_name).toBe('Ben');
+    expect(ranking[1].excluded).toBe(true);
+    expect(ranking[1].reasons.join(' ')).toMatch(/daily capacity reached/);
+  });
+
+  test('still assigns when every artist is at capacity', () => {
+    const full = (name) => artist(name, {
+      daily_capacity: 2,
+      tasks: [openTask({ workload_weight: 2, created_at: inDays(0) })]
+    });
+
+    const choice = assigner.pick(storeJersey, [full('Ana'), full('Ben')], NOW);
+    expect(choice.artist.artist_name).toBe('Ana');
+    expect(choice.excluded).toBe(true);
+  });
+
+  test('avoids artists who would miss the deadline', () => {
+    // Same total backlog, but Ana's is all due before the new task's deadline
+    const dueSoon = artist('Ana', { tasks: [openTask({ workload_weight: 7, deadline: inDays(1) })] });
+    const dueLater = artist('Ben', { tasks: [openTask({ workload_weight: 7, deadline: inDays(10) })] });
+    const urgent = describeTask({ orderType: 'walk_in', quantity: 10, deadline: inDays(1) });
+
+    const ranking = assigner.rank(urgent, [dueSoon, dueLater], NOW);
+    expect(ranking[0].artist.artist_name).toBe('Ben');
+    expect(ranking[1].reasons.join(' ')).toMatch(/would miss the deadline/);
+  });
+
+  test('breaks ties by name so the same inputs give the same artist', () => {
+    const choice = assigner.pick(customSet, [artist('Ben'), artist('Ana')], NOW);
+    expect(choice.artist.artist_name).toBe('Ana');
+  });
+
+  test('returns null without artists', () => {
+    expect(assigner.pick(customSet, [], NOW)).toBeNull();
+  });
+});
+
+describe('availability', () => {
+  const assigner = createArtistAssigner();
+
+  test('skips artists on leave today', () => {
+    const onLeave = artist('Ana', { leave: [{ start_date: '2026-03-01', end_date: '2026-03-04' }] });
+    const busy = artist('Ben', { tasks: [openTask({ workload_weight: 3 })] });
+
+    const ranking = assigner.rank(storeJersey, [onLeave, busy], NOW);
+    expect(ranking[0].artist.artist_name).toBe('Ben');
+    expect(ranking[1].excluded).toBe(true);
+    expect(ranking[1].reasons).toContain('on leave until 2026-03-04');
+  });
+
+  test('prefers artists without leave before the deadline', () => {
+    const leavingTomorrow = artist('Ana', { leave: [{ start_date: '2026-03-03', end_date: '2026-03-03' }] });
+    const here = artist('Ben', { tasks: [openTask()] });
+
+    const choice = assigner.pick(customSet, [leavingTomorrow, here], NOW);
+    expect(choice.artist.artist_name).toBe('Ben');
+  });
+
+  test('working hours are read in branch time', () => {
+    const nightShift = { working_hours: { days: [1, 2, 3, 4, 5], start: '18:00', end: '23:00' } };
+    expect(isWithinWorkingHours(artist('Ana'), NOW)).toBe(true);
+    expect(isWithinWorkingHours(nightShift, NOW)).toBe(false);
+    expect(isWithinWorkingHours(nightShift, new Date('2026-03-02T19:30:00+08:00'))).toBe(true);
+    // Sunday is off by default
+    expect(isWithinWorkingHours(artist('Ana'), new Date('2026-03-01T10:00:00+08:00'))).toBe(false);
+  });
+
+  test('working hours need a day and an end after the start', () => {
+    expect(normalizeWorkingHours({ days: ['5', 1, 1, 9], start: '09:00', end: '18:00' }))
+      .toEqual({ days: [1, 5], start: '09:00', end: '18:00' });
+    expect(() => normalizeWorkingHours({ days: [], start: '09:00', end: '18:00' })).toThrow(/working day/);
+    expect(() => normalizeWorkingHours({ days: [1], start: '18:00', end: '09:00' })).toThrow(/end after/);
+  });
+
+  test('a handed-over task keeps its stored weight and skill', () => {
+    const task = describeExistingTask({
+      order_type: 'regular',
+      workload_weight: 3.5,
+      deadline: inDays(2),
+      assignment_reasons: { skill: 'trophy_engraving' }
+    });
+    expect(task.weight).toBe(3.5);
+    expect(task.skill).toBe('trophy_engraving');
+    expect(task.deadline.toISOString()).toBe(inDays(2));
+  });
+});
+
+describe('custom scorers', () => {
+  test('the scoring policy can be replaced', () => {
+    const preferSenior = {
+      name: 'seniority',
+      score: (task, candidate) => (candidate.senior ? { cost: -10, reason: 'senior artist' } : { cost: 0 })
+    };
+    const assigner = createArtistAssigner({ scorers: [backlogScorer, preferSenior] });
+    const senior = artist('Ben', { senior: true, tasks: [openTask({ workload_weight: 4 })] });
+
+    const choice = assigner.pick(customSet, [artist('Ana'), senior], NOW);
+    expect(choice.artist.artist_name).toBe('Ben');
+    expect(choice.reasons).toContain('senior artist');
+  });
+});
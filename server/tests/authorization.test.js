@@ -0,0 +1,551 @@
+// Runs the order-tracking, chat, production-workflow, design-upload and email routers against a
+// mocked Supabase client to check that identity comes from the access token and that users can't
+// act on other customers' orders, other artists' tasks or other branches. SQL sent to Postgres
+// (lib/sqlClient) is answered by a fake pg client holding production_workflow and WIP limit rows.
+const http = require('http');
+const express = require('express');
+const { createSupabaseMock } = require('./helpers/mockSupabase');
+
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+
+const mockSupabase = createSupabaseMock();
+
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => mockSupabase }));
+jest.mock('../lib/sqlClient', () => ({ withTransaction: jest.fn(), executeSql: jest.fn() }));
+jest.mock('../lib/emailService', () => ({
+  sendOrderStatusUpdate: jest.fn(async () => ({ success: true, messageId: 'message-1' }))
+}));
+
+const emailService = require('../lib/emailService');
+const sqlClient = require('../lib/sqlClient');
+const cloudinary = require('../lib/cloudinary');
+
+cloudinary.config({ cloud_name: 'demo', api_key: 'key', api_secret: 'secret' });
+
+const authUser = (id, role, branchId = null) => ({
+  id,
+  email: `${id}@example.com`,
+  user_metadata: { role, branch_id: branchId }
+});
+
+const USERS = {
+  'token-customer-a': authUser('customer-a', 'customer'),
+  'token-customer-b': authUser('customer-b', 'customer'),
+  'token-artist': authUser('artist-user', 'artist'),
+  'token-other-artist': authUser('other-artist-user', 'artist'),
+  'token-admin-main': authUser('admin-main', 'admin', 1),
+  'token-admin-calapan': authUser('admin-calapan', 'admin', 2),
+  'token-owner': authUser('owner-user', 'owner')
+};
+
+const ORDER = {
+  id: 'order-1',
+  user_id: 'customer-a',
+  order_number: 'ORD-1001',
+  status: 'picked_up_delivered',
+  shipping_method: 'cod',
+  pickup_location: 'Main Branch',
+  pickup_branch_id: 1,
+  payment_status: 'partially_paid',
+  design_files: [
+    {
+      filename: 'front.png',
+      publicId: 'yohanns-designs/front',
+      deliveryType: 'authenticated',
+      resourceType: 'image',
+      format: 'png'
+    },
+    // Uploaded before previews existed: a public asset whose url is the original
+    {
+      filename: 'back.png',
+      url: 'https://res.cloudinary.com/demo/image/upload/v1/designs/back.png',
+      publicId: 'designs/back',
+      resourceType: 'image'
+    }
+  ]
+};
+
+const FIXTURES = {
+  users: USERS,
+  tables: {
+    branches: [
+      { id: 1, name: 'Main Branch' },
+      { id: 2, name: 'Calapan Branch' }
+    ],
+    orders: [ORDER],
+    artist_profiles: [
+      { id: 'artist-profile-1', user_id: 'artist-user' },
+      { id: 'artist-profile-2', user_id: 'other-artist-user' }
+    ],
+    artist_tasks: [{ id: 'task-1', order_id: 'order-1', artist_id: 'artist-profile-1' }],
+    design_chat_rooms: [
+      { id: 'room-1', order_id: 'order-1', customer_id: 'customer-a', artist_id: 'artist-profile-1' }
+    ],
+    delivery_proof: [
+      {
+        id: 'proof-1',
+        order_id: 'order-1',
+        orders: { id: 'order-1', pickup_location: 'Main Branch', pickup_branch_id: 1 }
+      }
+    ],
+    order_reviews: [],
+    design_chat_messages: []
+  }
+};
+
+let server;
+let baseUrl;
+
+function request(method, path, { token, body } = {}) {
+  const payload = body ? JSON.stringify(body) : null;
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, { method, headers }, res => {
+      let data = '';
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+const rowsIn = (table) => mockSupabase.state.tables[table];
+
+const workflowRow = (stage, status) => ({ order_id: 'order-1', stage, status, notes: null, updated_by: null });
+
+// Stands in for Postgres behind executeSql and withTransaction, answering by query text
+const pg = {
+  workflow: [],
+  wipLimits: [],
+  queries: [],
+  reset() {
+    this.workflow = [
+      workflowRow('layout', 'completed'),
+      workflowRow('sizing', 'completed'),
+      workflowRow('printing', 'in_progress'),
+      workflowRow('press', 'pending')
+    ];
+    this.wipLimits = [{ branch_id: 1, stage: 'printing', wip_limit: 1 }];
+    this.queries = [];
+  },
+  async query(text, params = []) {
+    this.queries.push({ text, params });
+    if (text.includes('WITH current_stage')) {
+      // Board rows come back only when the stage lists are bound as parameters
+      if (!params.every(Array.isArray)) {
+        throw new Error('board query needs its stage parameters');
+      }
+      const current = this.workflow.find(row => row.status === 'pending' || row.status === 'in_progress');
+      return {
+        rows: current
+          ? [{ ...ORDER, total_items: '12', branch_name: 'Main Branch', stage: current.stage, stage_status: current.status }]
+          : []
+      };
+    }
+    if (text.includes('INSERT INTO production_wip_limits')) {
+      const [branchId, stage, limit] = params;
+      this.wipLimits = this.wipLimits.filter(row => !(row.branch_id === branchId && row.stage === stage));
+      this.wipLimits.push({ branch_id: branchId, stage, wip_limit: limit });
+      return { rows: [] };
+    }
+    if (text.includes('DELETE FROM production_wip_limits')) {
+      this.wipLimits = this.wipLimits.filter(row => !(row.branch_id === params[0] && row.stage === params[1]));
+      return { rows: [] };
+    }
+    if (text.includes('FROM production_wip_limits')) {
+      return { rows: this.wipLimits.filter(row => row.branch_id === params[0]) };
+    }
+    if (text.includes('UPDATE production_workflow')) {
+      const [status, notes, userId, orderId, stage] = params;
+      const row = this.workflow.find(candidate => candidate.order_id === orderId && candidate.stage === stage);
+      if (!row) {
+        return { rows: [] };
+      }
+      Object.assign(row, { status, notes: notes ?? row.notes, updated_by: userId });
+      return { rows: [{ ...row }] };
+    }
+    if (text.includes('FROM production_workflow')) {
+      return { rows: this.workflow.filter(row => row.order_id === params[0]).map(({ stage, status }) => ({ stage, status })) };
+    }
+    return { rows: [] };
+  }
+};
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/order-tracking', require('../routes/order-tracking'));
+  app.use('/api/chat', require('../routes/chat'));
+  app.use('/api/production-workflow', require('../routes/production-workflow'));
+  app.use('/api/design-upload', require('../routes/design-upload'));
+  app.use('/api/email', require('../routes/email'));
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  mockSupabase.reset(FIXTURES);
+  emailService.sendOrderStatusUpdate.mockClear();
+  pg.reset();
+  sqlClient.executeSql.mockReset().mockImplementation((text, params) => pg.query(text, params));
+  sqlClient.withTransaction.mockReset().mockImplementation(callback => callback(pg));
+});
+
+describe('POST /api/order-tracking/review', () => {
+  const review = { orderId: 'order-1', rating: 5, comment: 'Great jerseys' };
+
+  test('requires a token', async () => {
+    const res = await request('POST', '/api/order-tracking/review', { body: review });
+    expect(res.status).toBe(401);
+    expect(rowsIn('order_reviews')).toHaveLength(0);
+  });
+
+  test("rejects a review of another customer's order", async () => {
+    const res = await request('POST', '/api/order-tracking/review', { token: 'token-customer-b', body: review });
+    expect(res.status).toBe(403);
+    expect(rowsIn('order_reviews')).toHaveLength(0);
+  });
+
+  test('records the reviewer from the token, not the body', async () => {
+    const res = await request('POST', '/api/order-tracking/review', {
+      token: 'token-customer-a',
+      body: { ...review, userId: 'customer-b' }
+    });
+    expect(res.status).toBe(200);
+    expect(rowsIn('order_reviews')).toEqual([expect.objectContaining({ order_id: 'order-1', user_id: 'customer-a' })]);
+  });
+});
+
+describe('PUT /api/order-tracking/delivery-proof/:proofId/verify', () => {
+  test('rejects customers', async () => {
+    const res = await request('PUT', '/api/order-tracking/delivery-proof/proof-1/verify', { token: 'token-customer-a' });
+    expect(res.status).toBe(403);
+    expect(rowsIn('delivery_proof')[0].verified_by).toBeUndefined();
+  });
+
+  test('rejects an admin from another branch', async () => {
+    const res = await request('PUT', '/api/order-tracking/delivery-proof/proof-1/verify', { token: 'token-admin-calapan' });
+    expect(res.status).toBe(403);
+    expect(rowsIn('delivery_proof')[0].verified_by).toBeUndefined();
+  });
+
+  test('records the verifying admin from the token', async () => {
+    const res = await request('PUT', '/api/order-tracking/delivery-proof/proof-1/verify', {
+      token: 'token-admin-main',
+      body: { verifiedBy: 'customer-b' }
+    });
+    expect(res.status).toBe(200);
+    expect(rowsIn('delivery_proof')[0].verified_by).toBe('admin-main');
+  });
+});
+
+describe('POST /api/chat/send-message', () => {
+  const message = { room_id: 'room-1', message: 'Can we change the collar?' };
+
+  test('requires a token', async () => {
+    const res = await request('POST', '/api/chat/send-message', { body: message });
+    expect(res.status).toBe(401);
+  });
+
+  test("rejects a customer posting to another customer's room", async () => {
+    const res = await request('POST', '/api/chat/send-message', { token: 'token-customer-b', body: message });
+    expect(res.status).toBe(403);
+    expect(rowsIn('design_chat_messages')).toHaveLength(0);
+  });
+
+  test('rejects an artist who is not assigned to the room', async () => {
+    const res = await request('POST', '/api/chat/send-message', { token: 'token-other-artist', body: message });
+    expect(res.status).toBe(403);
+    expect(rowsIn('design_chat_messages')).toHaveLength(0);
+  });
+
+  test('sends as the token user, ignoring sender fields in the body', async () => {
+    const res = await request('POST', '/api/chat/send-message', {
+      token: 'token-customer-a',
+      body: { ...message, sender_id: 'customer-b', sender_type: 'admin' }
+    });
+    expect(res.status).toBe(200);
+    expect(rowsIn('design_chat_messages')).toEqual([
+      expect.objectContaining({ room_id: 'room-1', sender_id: 'customer-a', sender_type: 'customer' })
+    ]);
+  });
+
+  test('lets the assigned artist reply', async () => {
+    const res = await request('POST', '/api/chat/send-message', { token: 'token-artist', body: message });
+    expect(res.status).toBe(200);
+    expect(rowsIn('design_chat_messages')[0]).toEqual(expect.objectContaining({ sender_id: 'artist-user', sender_type: 'artist' }));
+  });
+});
+
+describe('design chat room routes', () => {
+  const roomRoutes = [
+    ['POST', '/api/chat/create-room', { order_id: 'order-1', room_name: 'ORD-1001 design' }],
+    ['GET', '/api/chat/messages/room-1', null],
+    ['POST', '/api/chat/mark-read', { room_id: 'room-1' }],
+    ['GET', '/api/chat/room-by-order/order-1', null],
+    ['GET', '/api/chat/customer-info/room-1', null],
+    ['POST', '/api/chat/update-room', { room_id: 'room-1', last_message_at: '2026-03-01T08:00:00Z' }],
+    ['POST', '/api/chat/close-room', { room_id: 'room-1' }]
+  ];
+
+  test.each(roomRoutes)('%s %s requires a token', async (method, path, body) => {
+    const res = await request(method, path, { body });
+    expect(res.status).toBe(401);
+  });
+
+  test.each(roomRoutes)("%s %s rejects another customer's room", async (method, path, body) => {
+    const res = await request(method, path, { token: 'token-customer-b', body });
+    expect(res.status).toBe(403);
+    expect(rowsIn('design_chat_rooms')).toHaveLength(1);
+    expect(rowsIn('design_chat_rooms')[0].status).toBeUndefined();
+  });
+
+  test.each(roomRoutes)('%s %s rejects an admin from another branch', async (method, path, body) => {
+    const res = await request(method, path, { token: 'token-admin-calapan', body });
+    expect(res.status).toBe(403);
+  });
+
+  test('the room owner reads and closes their room', async () => {
+    rowsIn('design_chat_messages').push({ id: 'message-1', room_id: 'room-1', sender_id: 'artist-user', message: 'Draft ready' });
+
+    const messages = await request('GET', '/api/chat/messages/room-1', { token: 'token-customer-a' });
+    expect(messages.status).toBe(200);
+    expect(messages.body.messages).toHaveLength(1);
+
+    expect((await request('POST', '/api/chat/close-room', { token: 'token-customer-a', body: { room_id: 'room-1' } })).status).toBe(200);
+    expect(rowsIn('design_chat_rooms')[0].status).toBe('closed');
+  });
+
+  test('mark-read marks what the token user received, not what the body names', async () => {
+    rowsIn('design_chat_messages').push(
+      { id: 'message-1', room_id: 'room-1', sender_id: 'artist-user', is_read: false },
+      { id: 'message-2', room_id: 'room-1', sender_id: 'customer-a', is_read: false }
+    );
+
+    const res = await request('POST', '/api/chat/mark-read', { token: 'token-customer-a', body: { room_id: 'room-1', user_id: 'artist-user' } });
+    expect(res.status).toBe(200);
+    expect(rowsIn('design_chat_messages').map(message => message.is_read)).toEqual([true, false]);
+  });
+
+  test('customers list only their own rooms', async () => {
+    expect((await request('GET', '/api/chat/customer-rooms/customer-a')).status).toBe(401);
+    expect((await request('GET', '/api/chat/customer-rooms/customer-a', { token: 'token-customer-b' })).status).toBe(403);
+
+    const own = await request('GET', '/api/chat/customer-rooms/customer-a', { token: 'token-customer-a' });
+    expect(own.status).toBe(200);
+    expect(own.body.rooms.map(room => room.id)).toEqual(['room-1']);
+
+    const otherBranch = await request('GET', '/api/chat/customer-rooms/customer-a', { token: 'token-admin-calapan' });
+    expect(otherBranch.body.rooms).toEqual([]);
+  });
+
+  test('artists list only the rooms of their own profile', async () => {
+    expect((await request('GET', '/api/chat/artist-rooms/artist-profile-1')).status).toBe(401);
+    expect((await request('GET', '/api/chat/artist-rooms/artist-profile-1', { token: 'token-other-artist' })).status).toBe(403);
+    expect((await request('GET', '/api/chat/artist-rooms/artist-profile-1', { token: 'token-customer-a' })).status).toBe(403);
+
+    const own = await request('GET', '/api/chat/artist-rooms/artist-profile-1', { token: 'token-artist' });
+    expect(own.body.rooms.map(room => room.id)).toEqual(['room-1']);
+  });
+
+  test("create-room takes the customer and artist from the order, not the body", async () => {
+    mockSupabase.state.tables.design_chat_rooms = [];
+
+    const res = await request('POST', '/api/chat/create-room', {
+      token: 'token-customer-a',
+      body: { order_id: 'order-1', customer_id: 'customer-b', artist_id: 'artist-profile-2', room_name: 'ORD-1001 design' }
+    });
+    expect(res.status).toBe(200);
+    expect(rowsIn('design_chat_rooms')).toEqual([
+      expect.objectContaining({ order_id: 'order-1', customer_id: 'customer-a', artist_id: 'artist-profile-1' })
+    ]);
+  });
+});
+
+describe('GET /api/design-upload/:orderId/previews', () => {
+  const path = '/api/design-upload/order-1/previews';
+
+  test('requires a token', async () => {
+    expect((await request('GET', path)).status).toBe(401);
+  });
+
+  test("rejects another customer's order", async () => {
+    expect((await request('GET', path, { token: 'token-customer-b' })).status).toBe(403);
+  });
+
+  test('a customer gets no original, public ID or legacy url before the order is paid', async () => {
+    const res = await request('GET', path, { token: 'token-customer-a' });
+    expect(res.status).toBe(200);
+    expect(res.body.originalsReleased).toBe(false);
+
+    const body = JSON.stringify(res.body);
+    expect(body).not.toContain('originalUrl');
+    expect(body).not.toContain('publicId');
+    expect(body).not.toContain(ORDER.design_files[1].url);
+    res.body.designFiles.forEach(file => expect(file.previewUrl).toContain('fl_tiled'));
+  });
+
+  test('originals are released once the order is paid', async () => {
+    rowsIn('orders')[0].payment_status = 'paid';
+
+    const res = await request('GET', path, { token: 'token-customer-a' });
+    expect(res.body.originalsReleased).toBe(true);
+    expect(res.body.designFiles.map(file => file.originalUrl)).toEqual([
+      expect.stringMatching(/\/image\/authenticated\/s--[^/]+--\/v1\/yohanns-designs\/front\.png/),
+      ORDER.design_files[1].url
+    ]);
+  });
+});
+
+describe('PUT /api/production-workflow/:orderId/stage/:stage', () => {
+  const update = { status: 'in_progress' };
+  const path = '/api/production-workflow/order-1/stage/printing';
+
+  test('requires a token', async () => {
+    const res = await request('PUT', path, { body: update });
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects customers, even on their own order', async () => {
+    const res = await request('PUT', path, { token: 'token-customer-a', body: update });
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects an artist without a task on the order', async () => {
+    const res = await request('PUT', path, { token: 'token-other-artist', body: update });
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects an admin from another branch', async () => {
+    const res = await request('PUT', path, { token: 'token-admin-calapan', body: update });
+    expect(res.status).toBe(403);
+  });
+
+  test('lets the branch admin and the assigned artist update the stage', async () => {
+    expect((await request('PUT', path, { token: 'token-admin-main', body: update })).status).toBe(200);
+    expect((await request('PUT', path, { token: 'token-artist', body: update })).status).toBe(200);
+  });
+
+  test('saves the stage in Postgres', async () => {
+    const res = await request('PUT', path, { token: 'token-admin-main', body: { status: 'completed', notes: 'Printed' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.workflow).toMatchObject({ stage: 'printing', status: 'completed', notes: 'Printed', updated_by: 'admin-main' });
+    expect(pg.workflow.find(row => row.stage === 'printing').status).toBe('completed');
+  });
+
+  test('bulk updates are saved in one transaction', async () => {
+    const updates = [{ stage: 'printing', status: 'completed' }, { stage: 'press', status: 'in_progress' }];
+    const res = await request('PUT', '/api/production-workflow/order-1/bulk-update', { token: 'token-admin-main', body: { updates } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.updatedStages).toHaveLength(2);
+    expect(sqlClient.withTransaction).toHaveBeenCalledTimes(1);
+    expect(pg.workflow.map(row => row.status)).toEqual(['completed', 'completed', 'completed', 'in_progress']);
+  });
+});
+
+describe('production board routes', () => {
+  const board = '/api/production-workflow/board/orders';
+  const column = (res, stage) => res.body.columns.find(entry => entry.stage === stage);
+
+  test('are for admins and owners only', async () => {
+    expect((await request('GET', board)).status).toBe(401);
+    expect((await request('GET', board, { token: 'token-artist' })).status).toBe(403);
+  });
+
+  test("shows an admin their branch's orders with its WIP limits", async () => {
+    const res = await request('GET', board, { token: 'token-admin-main' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.branch).toEqual({ id: 1, name: 'Main Branch' });
+    expect(column(res, 'printing')).toMatchObject({ wipLimit: 1, count: 1, overLimit: false });
+    expect(column(res, 'printing').orders[0]).toMatchObject({ orderId: 'order-1', orderNumber: 'ORD-1001', itemCount: 12 });
+  });
+
+  test("leaves other branches' orders off an admin's board", async () => {
+    const res = await request('GET', board, { token: 'token-admin-calapan' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.columns.every(entry => entry.count === 0)).toBe(true);
+  });
+
+  test('saves WIP limits for the branch an owner picked', async () => {
+    const res = await request('PUT', '/api/production-workflow/board/wip-limits', {
+      token: 'token-owner',
+      body: { branchId: 1, limits: { printing: null, press: 3 } }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.wipLimits).toMatchObject({ printing: null, press: 3 });
+    expect(pg.wipLimits).toEqual([{ branch_id: 1, stage: 'press', wip_limit: 3 }]);
+  });
+
+  test('moves a card to the next column and refuses a stale move', async () => {
+    const advance = '/api/production-workflow/order-1/advance';
+    const body = { fromStage: 'printing', toStage: 'press' };
+
+    expect((await request('PUT', advance, { token: 'token-admin-main', body })).status).toBe(200);
+    expect(pg.workflow.slice(2).map(row => row.status)).toEqual(['completed', 'in_progress']);
+
+    const stale = await request('PUT', advance, { token: 'token-admin-main', body });
+    expect(stale.status).toBe(409);
+  });
+});
+
+describe('POST /api/email/bulk-status-update', () => {
+  const body = { orderIds: ['order-1'], status: 'picked_up_delivered' };
+
+  beforeEach(() => {
+    mockSupabase.state.rpcRows = [{ ...ORDER, customer_email: 'customer-a@example.com', customer_name: 'Customer A' }];
+  });
+
+  test('requires a token', async () => {
+    const res = await request('POST', '/api/email/bulk-status-update', { body });
+    expect(res.status).toBe(401);
+    expect(emailService.sendOrderStatusUpdate).not.toHaveBeenCalled();
+  });
+
+  test('rejects customers', async () => {
+    const res = await request('POST', '/api/email/bulk-status-update', { token: 'token-customer-a', body });
+    expect(res.status).toBe(403);
+    expect(emailService.sendOrderStatusUpdate).not.toHaveBeenCalled();
+  });
+
+  test("skips orders outside the admin's branch", async () => {
+    const res = await request('POST', '/api/email/bulk-status-update', { token: 'token-admin-calapan', body });
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ total: 1, successful: 0, failed: 1 });
+    expect(emailService.sendOrderStatusUpdate).not.toHaveBeenCalled();
+  });
+
+  test('emails customers of orders in the admin branch', async () => {
+    const res = await request('POST', '/api/email/bulk-status-update', { token: 'token-admin-main', body });
+    expect(res.status).toBe(200);
+    expect(res.body.summary.successful).toBe(1);
+    expect(emailService.sendOrderStatusUpdate).toHaveBeenCalledTimes(1);
+  });
+});
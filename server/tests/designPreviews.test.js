@@ -0,0 +1,50 @@
+// Checks what the customer gets of an order's artwork: a signed, watermarked preview until the
+// order is paid, then the original as well. Staff always get the original.
+jest.mock('../lib/db', () => ({ supabase: {} }));
+
+const cloudinary = require('../lib/cloudinary');
+const { toCustomerFile, toStaffFile, buildPreviewUrl } = require('../lib/designPreviews');
+
+cloudinary.config({ cloud_name: 'demo', api_key: 'key', api_secret: 'secret' });
+
+const FILE = {
+  filename: 'front.png',
+  publicId: 'yohanns-designs/front',
+  deliveryType: 'authenticated',
+  resourceType: 'image',
+  format: 'png',
+  uploadedAt: '2026-01-05T00:00:00.000Z'
+};
+
+const ORDER = { id: 'order-1', order_number: 'ORD-1001', payment_status: 'partially_paid' };
+
+describe('design previews', () => {
+  test('unpaid orders only get the watermarked preview', () => {
+    const file = toCustomerFile(FILE, ORDER);
+
+    expect(file.url).toBe(file.previewUrl);
+    expect(file.previewUrl).toMatch(/\/image\/authenticated\/s--[^/]+--\//);
+    expect(file.previewUrl).toContain('fl_tiled');
+    expect(file.previewUrl).toContain('YOHANNS%20-%20ORD-1001');
+    expect(file).not.toHaveProperty('originalUrl');
+    expect(file).not.toHaveProperty('publicId');
+  });
+
+  test('the original is released once the order is paid', () => {
+    const file = toCustomerFile(FILE, { ...ORDER, payment_status: 'paid' });
+
+    expect(file.originalUrl).toMatch(/\/image\/authenticated\/s--[^/]+--\/v1\/yohanns-designs\/front\.png/);
+  });
+
+  test('staff get the original next to the preview', () => {
+    const file = toStaffFile(FILE, ORDER);
+
+    expect(file.url).not.toContain('fl_tiled');
+    expect(file.previewUrl).toContain('fl_tiled');
+    expect(file.publicId).toBe(FILE.publicId);
+  });
+
+  test('raw uploads have no preview', () => {
+    expect(buildPreviewUrl({ ...FILE, resourceType: 'raw' }, ORDER)).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+// Checks that design proofs gate layout -> sizing on the customer's approval of the latest
+// version, and the answers a proof accepts. Runs on a fake pg client that answers by query text.
+jest.mock('../lib/db', () => ({ supabase: {} }));
+
+const { assertTransition, TRANSITION_SOURCES, OrderTransitionError } = require('../lib/orderStatus');
+const { recordProofResponse, PROOF_ACTIONS, DesignProofError } = require('../lib/designProofs');
+
+const ORDER = {
+  id: 'order-1',
+  user_id: 'customer-a',
+  status: 'layout',
+  design_files: [{ filename: 'front.png', url: 'https://cdn.test/front.png' }],
+  downpayment_required: 0,
+  amount_paid: 0
+};
+
+const ADMIN = { id: 'admin-1', role: 'admin' };
+const CUSTOMER = { id: 'customer-a', role: 'customer' };
+
+// proofs: design_proofs rows of the order, newest first
+const fakeClient = (proofs = []) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (text.includes('FROM design_proofs')) {
+        return { rows: proofs.slice(0, 1) };
+      }
+      if (text.startsWith('UPDATE design_proofs')) {
+        return { rows: [{ ...proofs[0], status: params[1], response_comment: params[2] }] };
+      }
+      return { rows: [] };
+    }
+  };
+};
+
+const pendingProof = { id: 'proof-2', order_id: 'order-1', task_id: 'task-1', version: 2, status: 'pending' };
+
+describe('layout to sizing', () => {
+  test('orders without proofs still move on the admin design review', async () => {
+    await expect(assertTransition(fakeClient(), ORDER, 'sizing', { actor: ADMIN, source: TRANSITION_SOURCES.DESIGN_REVIEW }))
+      .resolves.toBeTruthy();
+  });
+
+  test('a pending proof holds the order back, even for admins', async () => {
+    const client = fakeClient([pendingProof]);
+    await expect(assertTransition(client, ORDER, 'sizing', { actor: ADMIN, source: TRANSITION_SOURCES.DESIGN_REVIEW }))
+      .rejects.toThrow('Waiting for the customer to approve design proof v2');
+  });
+
+  test('the customer releases the order by approving the latest proof', async () => {
+    const client = fakeClient([{ ...pendingProof, status: 'approved' }]);
+    await expect(assertTransition(client, ORDER, 'sizing', { actor: CUSTOMER, source: TRANSITION_SOURCES.PROOF_APPROVAL }))
+      .resolves.toMatchObject({ roles: ['customer'] });
+  });
+
+  test('customers can only move the order from the proof link', async () => {
+    const client = fakeClient([{ ...pendingProof, status: 'approved' }]);
+    const attempt = assertTransition(client, ORDER, 'sizing', { actor: CUSTOMER, source: TRANSITION_SOURCES.STATUS_UPDATE });
+    await expect(attempt).rejects.toBeInstanceOf(OrderTransitionError);
+    await expect(attempt).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('proof responses', () => {
+  test('requesting changes needs a comment', async () => {
+    await expect(recordProofResponse(fakeClient([pendingProof]), pendingProof, { action: PROOF_ACTIONS.REQUEST_CHANGES, comment: '  ' }))
+      .rejects.toBeInstanceOf(DesignProofError);
+  });
+
+  test('a superseded version can no longer be answered', async () => {
+    const superseded = { ...pendingProof, version: 1, status: 'superseded' };
+    await expect(recordProofResponse(fakeClient([superseded]), superseded, { action: PROOF_ACTIONS.APPROVE }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('requesting changes sends the task back to the artist with the comment', async () => {
+    const client = fakeClient([pendingProof]);
+    const updated = await recordProofResponse(client, pendingProof, {
+      action: PROOF_ACTIONS.REQUEST_CHANGES,
+      comment: 'Bigger logo on the front'
+    });
+
+    expect(updated).toMatchObject({ status: 'changes_requested', response_comment: 'Bigger logo on the front' });
+    const taskUpdate = client.queries.find(({ text }) => text.includes('UPDATE artist_tasks'));
+    expect(taskUpdate.params[1]).toBe('Changes requested on proof v2: Bigger logo on the front');
+    expect(client.queries.some(({ text }) => text.includes("UPDATE design_chat_rooms SET status = 'active'"))).toBe(true);
+  });
+});
@@ -0,0 +1,149 @@
+// In-memory stand-in for the Supabase client used by the route tests. Table rows live in plain
+// arrays, auth.getUser resolves access tokens to users and rpc('exec_sql') (lib/db query)
+// returns whatever rows the test sets up.
+
+class QueryBuilder {
+  constructor(state, table) {
+    this.state = state;
+    this.table = table;
+    this.action = 'select';
+    this.payload = null;
+    this.filters = [];
+    this.limitCount = null;
+    this.singleMode = null;
+  }
+
+  select() {
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => row[column] === value);
+    return this;
+  }
+
+  neq(column, value) {
+    this.filters.push(row => row[column] !== value);
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push(row => values.includes(row[column]));
+    return this;
+  }
+
+  order() {
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows) {
+    return this.insert(rows);
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  execute() {
+    const rows = this.state.tables[this.table] || (this.state.tables[this.table] = []);
+    let result;
+
+    if (this.action === 'insert') {
+      result = this.payload.map((row, index) => ({ id: `${this.table}-${rows.length + index + 1}`, ...row }));
+      rows.push(...result);
+    } else {
+      result = rows.filter(row => this.filters.every(filter => filter(row)));
+      if (this.action === 'update') {
+        result.forEach(row => Object.assign(row, this.payload));
+      }
+    }
+
+    if (this.action !== 'select') {
+      this.state.writes.push({ table: this.table, action: this.action, rows: result });
+    }
+    if (this.limitCount !== null) {
+      result = result.slice(0, this.limitCount);
+    }
+
+    if (this.singleMode === 'single') {
+      return result.length === 1
+        ? { data: result[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+    }
+    if (this.singleMode === 'maybe') {
+      return { data: result[0] || null, error: null };
+    }
+    return { data: result, error: null };
+  }
+}
+
+function createSupabaseMock() {
+  const state = { tables: {}, users: {}, rpcRows: [], writes: [] };
+
+  return {
+    state,
+
+    /**
+     * Replace the fixture data between tests
+     * @param {Object} fixtures - { tables: { name: rows[] }, users: { token: authUser }, rpcRows }
+     */
+    reset({ tables = {}, users = {}, rpcRows = [] } = {}) {
+      state.tables = JSON.parse(JSON.stringify(tables));
+      state.users = users;
+      state.rpcRows = rpcRows;
+      state.writes = [];
+    },
+
+    from(table) {
+      return new QueryBuilder(state, table);
+    },
+
+    async rpc() {
+      return { data: state.rpcRows, error: null };
+    },
+
+    auth: {
+      async getUser(token) {
+        const user = state.users[token];
+        return user
+          ? { data: { user }, error: null }
+          : { data: { user: null }, error: { message: 'invalid JWT' } };
+      },
+      admin: {
+        async getUserById(id) {
+          const user = Object.values(state.users).find(candidate => candidate.id === id) || null;
+          return { data: { user }, error: null };
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createSupabaseMock };
@@ -0,0 +1,59 @@
+// Checks that stock reservation trusts the product row an item was priced from, not the name and
+// category the client sent. Runs on a fake pg client holding a small products table.
+const { reserveOrderStock, InsufficientStockError } = require('../lib/inventory');
+
+const PRODUCTS = [
+  { id: 'trophy-1', name: 'Gold Cup', category: 'trophies', branch_id: 1, stock_quantity: 0, size_stocks: { 12: 3 } },
+  { id: 'trophy-2', name: 'Gold Cup', category: 'trophies', branch_id: 2, stock_quantity: 0, size_stocks: { 12: 0 } },
+  { id: 'jersey-1', name: 'Team Jersey', category: 'jerseys', branch_id: 1, stock_quantity: 0, size_stocks: null }
+];
+
+const fakeClient = () => {
+  const updates = [];
+  return {
+    updates,
+    query: async (text, params) => {
+      if (text.includes('WHERE id = $1')) {
+        return { rows: PRODUCTS.filter(product => product.id === params[0]) };
+      }
+      if (text.includes('WHERE name = $1')) {
+        return {
+          rows: PRODUCTS.filter(product => product.name === params[0]
+            && product.category.toLowerCase() === params[1].toLowerCase()
+            && product.branch_id === params[2])
+        };
+      }
+      if (text.startsWith('UPDATE products')) {
+        updates.push(params);
+      }
+      return { rows: [] };
+    }
+  };
+};
+
+describe('stock reservation', () => {
+  test('a trophy sent as a jersey is still reserved as the trophy it was priced as', async () => {
+    const client = fakeClient();
+    const item = { id: 'trophy-1', name: 'Cheap Shirt', category: 'jerseys', quantity: 2, trophyDetails: { size: '12' } };
+
+    const reservations = await reserveOrderStock(client, [item], 1);
+
+    expect(reservations).toEqual([
+      { productId: 'trophy-1', branchId: 1, size: '12', quantity: 2, before: 3, after: 1 }
+    ]);
+  });
+
+  test('stock comes from the same product in the branch the customer picked', async () => {
+    const item = { id: 'trophy-1', name: 'Gold Cup', category: 'trophies', quantity: 1, branchId: 2, trophyDetails: { size: '12' } };
+
+    await expect(reserveOrderStock(fakeClient(), [item], 1)).rejects.toBeInstanceOf(InsufficientStockError);
+  });
+
+  test('made-to-order items are not reserved, whatever category they claim', async () => {
+    const client = fakeClient();
+    const item = { id: 'jersey-1', name: 'Team Jersey', category: 'trophies', quantity: 1 };
+
+    await expect(reserveOrderStock(client, [item], 1)).resolves.toEqual([]);
+    expect(client.updates).toHaveLength(0);
+  });
+});
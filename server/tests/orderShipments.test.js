@@ -0,0 +1,41 @@
+// Checks how a split order's total is shared across its parts, so handed-over parts add up to
+// what the order actually sells for.
+jest.mock('../lib/db', () => ({ supabase: {} }));
+
+const { buildShipmentParts, ShipmentError } = require('../lib/orderShipments');
+
+const order = (totalAmount) => ({
+  order_number: 'ORD-1',
+  total_amount: totalAmount,
+  order_items: [
+    { name: 'Basketball', category: 'balls', price: 600, quantity: 1 },
+    { name: 'Team Jersey', category: 'jerseys', price: 350, quantity: 4 }
+  ]
+});
+
+const split = [
+  { label: 'In-stock items', lines: [0] },
+  { label: 'Made-to-order items', lines: [1] }
+];
+
+describe('split order amounts', () => {
+  test('parts share the discounted total in proportion to their lines', () => {
+    // 2000 of items, 200 promo discount off
+    const parts = buildShipmentParts(order(1800), split);
+    expect(parts.map(part => part.amount)).toEqual([540, 1260]);
+  });
+
+  test('shipping is shared too and the last part takes the rounding remainder', () => {
+    const parts = buildShipmentParts(order(2000.01), [
+      { label: 'A', lines: [0] },
+      { label: 'B', lines: [1] }
+    ]);
+    expect(parts[0].amount).toBe(600);
+    expect(parts[0].amount + parts[1].amount).toBeCloseTo(2000.01, 2);
+  });
+
+  test('every line must be in exactly one part', () => {
+    expect(() => buildShipmentParts(order(2000), [{ lines: [0] }, { lines: [0] }])).toThrow(ShipmentError);
+    expect(() => buildShipmentParts(order(2000), [{ lines: [0] }])).toThrow('at least two parts');
+  });
+});
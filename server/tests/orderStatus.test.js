@@ -0,0 +1,172 @@
+// Checks the order state machine every status change goes through: which role may take which
+// edge, and the guard each edge runs. Runs on a fake pg client answering by query text.
+jest.mock('../lib/db', () => ({ supabase: {} }));
+
+const {
+  TRANSITION_SOURCES,
+  OrderTransitionError,
+  getAllowedTransitions,
+  assertTransition,
+  transitionOrderStatus
+} = require('../lib/orderStatus');
+const { PaymentError } = require('../lib/payments');
+
+const ADMIN = { id: 'admin-1', role: 'admin' };
+const OWNER = { id: 'owner-1', role: 'owner' };
+const ARTIST = { id: 'artist-user', role: 'artist' };
+const CUSTOMER = { id: 'customer-a', role: 'customer' };
+
+const makeOrder = (overrides = {}) => ({
+  id: 'order-1',
+  order_number: 'ORD-1',
+  user_id: 'customer-a',
+  status: 'pending',
+  shipping_method: 'cod',
+  downpayment_required: 0,
+  amount_paid: 0,
+  design_files: [],
+  ...overrides
+});
+
+// artistUsers: users with a task on the order; proofs: design_proofs rows, newest first;
+// pendingParts: order_shipments still pending
+const fakeClient = ({ order = makeOrder(), artistUsers = [], proofs = [], pendingParts = [] } = {}) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push(text);
+      if (text.includes('FROM artist_tasks')) {
+        return { rows: artistUsers.includes(params[1]) ? [{ '?column?': 1 }] : [] };
+      }
+      if (text.includes('FROM design_proofs')) {
+        return { rows: proofs.slice(0, 1) };
+      }
+      if (text.includes('FROM order_shipments')) {
+        return { rows: pendingParts };
+      }
+      if (text.startsWith('SELECT * FROM orders')) {
+        return { rows: [order] };
+      }
+      if (text.startsWith('UPDATE orders')) {
+        return { rows: [{ ...order, status: params[0] }] };
+      }
+      if (text.includes('INSERT INTO order_status_history')) {
+        return { rows: [{ order_id: params[0], from_status: params[1], to_status: params[2], source: params[5] }] };
+      }
+      return { rows: [] };
+    }
+  };
+};
+
+const attempt = (order, nextStatus, context, clientState = {}) =>
+  assertTransition(fakeClient({ order, ...clientState }), order, nextStatus, context);
+
+describe('edges', () => {
+  test('staff move an order forward and back one stage', async () => {
+    await expect(attempt(makeOrder(), 'confirmed', { actor: ADMIN })).resolves.toMatchObject({ to: 'confirmed' });
+    await expect(attempt(makeOrder({ status: 'printing' }), 'sizing', { actor: OWNER })).resolves.toMatchObject({ from: 'printing' });
+  });
+
+  test('stages cannot be skipped and unknown statuses are refused', async () => {
+    await expect(attempt(makeOrder(), 'printing', { actor: ADMIN })).rejects.toThrow('cannot move from pending to printing');
+    await expect(attempt(makeOrder(), 'shipped', { actor: ADMIN })).rejects.toThrow('Invalid status');
+  });
+
+  test('closed orders stay closed, except a refund after handover', async () => {
+    await expect(attempt(makeOrder({ status: 'cancelled' }), 'confirmed', { actor: OWNER })).rejects.toBeInstanceOf(OrderTransitionError);
+    await expect(attempt(makeOrder({ status: 'refunded' }), 'cancelled', { actor: OWNER })).rejects.toBeInstanceOf(OrderTransitionError);
+    await expect(attempt(makeOrder({ status: 'picked_up_delivered' }), 'refunded', { actor: OWNER })).resolves.toMatchObject({ to: 'refunded' });
+  });
+
+  test('a role without the edge gets a 403', async () => {
+    await expect(attempt(makeOrder(), 'confirmed', { actor: CUSTOMER })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(attempt(makeOrder({ status: 'confirmed' }), 'layout', { actor: ARTIST })).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('customers can only cancel their own pending orders', async () => {
+    await expect(attempt(makeOrder(), 'cancelled', { actor: CUSTOMER })).resolves.toMatchObject({ roles: ['customer'] });
+    await expect(attempt(makeOrder(), 'cancelled', { actor: { id: 'customer-b', role: 'customer' } })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(attempt(makeOrder({ status: 'confirmed' }), 'cancelled', { actor: CUSTOMER })).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('users without a known role are treated as customers', () => {
+    expect(getAllowedTransitions(makeOrder(), { id: 'customer-a' })).toEqual(['cancelled']);
+    expect(getAllowedTransitions(makeOrder(), ADMIN)).toEqual(['confirmed', 'cancelled']);
+  });
+});
+
+describe('guards', () => {
+  test('production waits for the downpayment', async () => {
+    const unpaid = makeOrder({ status: 'confirmed', downpayment_required: 500, amount_paid: 200 });
+    await expect(attempt(unpaid, 'layout', { actor: ADMIN })).rejects.toBeInstanceOf(PaymentError);
+    await expect(attempt({ ...unpaid, amount_paid: 500 }, 'layout', { actor: ADMIN })).resolves.toBeTruthy();
+  });
+
+  test('artists move their own orders to sizing once design files are uploaded', async () => {
+    const inLayout = makeOrder({ status: 'layout', design_files: [{ url: 'design.png' }] });
+    await expect(attempt(inLayout, 'sizing', { actor: ARTIST }, { artistUsers: ['artist-user'] })).resolves.toBeTruthy();
+    await expect(attempt(inLayout, 'sizing', { actor: ARTIST })).rejects.toThrow('not assigned to you');
+    await expect(attempt({ ...inLayout, design_files: [] }, 'sizing', { actor: ARTIST }, { artistUsers: ['artist-user'] }))
+      .rejects.toThrow('Design files must be uploaded');
+  });
+
+  test('admins release a layout only by approving the design review', async () => {
+    const inLayout = makeOrder({ status: 'layout' });
+    await expect(attempt(inLayout, 'sizing', { actor: ADMIN })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(attempt(inLayout, 'sizing', { actor: ADMIN, source: TRANSITION_SOURCES.DESIGN_REVIEW })).resolves.toBeTruthy();
+  });
+
+  test('the latest proof must be approved; orders without proofs are not held back', async () => {
+    const inLayout = makeOrder({ status: 'layout' });
+    const context = { actor: ADMIN, source: TRANSITION_SOURCES.DESIGN_REVIEW };
+    await expect(attempt(inLayout, 'sizing', context, { proofs: [{ version: 2, status: 'changes_requested' }] }))
+      .rejects.toThrow('approve design proof v2');
+    await expect(attempt(inLayout, 'sizing', context, { proofs: [{ version: 2, status: 'approved' }] })).resolves.toBeTruthy();
+    await expect(attempt(inLayout, 'sizing', context, { proofs: [] })).resolves.toBeTruthy();
+  });
+
+  test('customers move a layout only by approving the proof from its link', async () => {
+    const inLayout = makeOrder({ status: 'layout' });
+    const proofs = [{ version: 1, status: 'approved' }];
+    await expect(attempt(inLayout, 'sizing', { actor: CUSTOMER }, { proofs })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(attempt(inLayout, 'sizing', { actor: CUSTOMER, source: TRANSITION_SOURCES.PROOF_APPROVAL }, { proofs })).resolves.toBeTruthy();
+  });
+
+  test('pickup orders are handed over only with the matching code', async () => {
+    const packed = makeOrder({ status: 'packing_completing', shipping_method: 'pickup', pickup_code: '482913' });
+    await expect(attempt(packed, 'picked_up_delivered', { actor: ADMIN })).rejects.toThrow('Enter the pickup code');
+    await expect(attempt(packed, 'picked_up_delivered', { actor: ADMIN, pickupCode: '111111' })).rejects.toThrow('does not match');
+    await expect(attempt(packed, 'picked_up_delivered', { actor: ADMIN, pickupCode: '482 913' })).resolves.toBeTruthy();
+    await expect(attempt({ ...packed, pickup_code: null }, 'picked_up_delivered', { actor: ADMIN })).resolves.toBeTruthy();
+  });
+
+  test('a split order closes only once every part has been released', async () => {
+    const packed = makeOrder({ status: 'packing_completing' });
+    await expect(attempt(packed, 'picked_up_delivered', { actor: ADMIN }, { pendingParts: [{ label: 'Made-to-order items' }] }))
+      .rejects.toThrow('Release Made-to-order items');
+  });
+
+  test('an order is marked refunded only once nothing paid is left', async () => {
+    const delivered = makeOrder({ status: 'picked_up_delivered', amount_paid: 1200 });
+    await expect(attempt(delivered, 'refunded', { actor: OWNER })).rejects.toThrow('everything paid has been refunded');
+    await expect(attempt({ ...delivered, amount_paid: 0 }, 'refunded', { actor: OWNER })).resolves.toBeTruthy();
+  });
+});
+
+describe('transitionOrderStatus', () => {
+  test('saves the status and a history row', async () => {
+    const client = fakeClient();
+    const result = await transitionOrderStatus(client, 'order-1', 'confirmed', { actor: ADMIN });
+
+    expect(result.previousStatus).toBe('pending');
+    expect(result.order.status).toBe('confirmed');
+    expect(result.history).toMatchObject({ from_status: 'pending', to_status: 'confirmed', source: TRANSITION_SOURCES.STATUS_UPDATE });
+  });
+
+  test('writes nothing when the change is refused', async () => {
+    const client = fakeClient();
+    await expect(transitionOrderStatus(client, 'order-1', 'printing', { actor: ADMIN })).rejects.toBeInstanceOf(OrderTransitionError);
+    expect(client.queries.some(text => text.startsWith('UPDATE') || text.includes('INSERT'))).toBe(false);
+  });
+});
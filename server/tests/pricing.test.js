@@ -0,0 +1,117 @@
+// Checks the server-side price engine that sets every order total: jersey and kids pricing,
+// surcharges, team orders, and how client-sent totals are compared against the quote.
+jest.mock('../lib/db', () => ({ supabase: {} }));
+
+const {
+  PRICE_TOLERANCE,
+  priceLineItem,
+  priceTeamMember,
+  quoteOrder,
+  findPriceMismatches
+} = require('../lib/pricing');
+
+const JERSEY = {
+  id: 'jersey-1',
+  name: 'Team Jersey',
+  category: 'jerseys',
+  price: 1000,
+  jersey_prices: { fullSet: 1000, shirtOnly: 600, shortsOnly: 450 },
+  size_surcharges: { adults: { XL: 50, '2XL': 100 }, kids: { L: 20 } },
+  fabric_surcharges: { 'Dri-Fit': 80 },
+  cut_type_surcharges: { 'V-Neck': 30 }
+};
+
+const JERSEY_WITH_KIDS_PRICES = {
+  ...JERSEY,
+  jersey_prices: { ...JERSEY.jersey_prices, fullSetKids: 700, shirtOnlyKids: 400, shortsOnlyKids: 300 }
+};
+
+const TROPHY = { id: 'trophy-1', name: 'Gold Cup', category: 'trophies', price: 500, trophy_prices: { 12: 650, 16: 900 } };
+
+const jerseyFlags = { isApparel: true, isJersey: true, isShirtOnly: false };
+
+describe('kids pricing', () => {
+  test('kids jerseys fall back to the adult price less 200 when the product has no kids prices', () => {
+    expect(priceLineItem({ id: 'jersey-1', sizeType: 'kids', quantity: 1 }, JERSEY).unitPrice).toBe(800);
+    expect(priceLineItem({ id: 'jersey-1', sizeType: 'kids', jerseyType: 'shorts', quantity: 1 }, JERSEY).unitPrice).toBe(250);
+  });
+
+  test('kids prices set on the product are used as they are', () => {
+    expect(priceLineItem({ id: 'jersey-1', sizeType: 'kids', jerseyType: 'shirt', quantity: 1 }, JERSEY_WITH_KIDS_PRICES).unitPrice).toBe(400);
+  });
+});
+
+describe('surcharges', () => {
+  test('size surcharges match the size group, ignoring spaces and case', () => {
+    const line = priceLineItem({ id: 'jersey-1', quantity: 2, singleOrderDetails: { jerseySize: '2 xl' } }, JERSEY);
+    expect(line.breakdown.sizeSurcharge).toBe(100);
+    expect(line).toMatchObject({ unitPrice: 1100, lineTotal: 2200 });
+  });
+
+  test('fabric and cut surcharges are looked up by name; unknown names add nothing', () => {
+    const line = priceLineItem({ id: 'jersey-1', quantity: 1, fabricOption: 'Dri-Fit', cutType: 'V-Neck' }, JERSEY);
+    expect(line.breakdown).toMatchObject({ fabricSurcharge: 80, cutTypeSurcharge: 30 });
+    expect(priceLineItem({ id: 'jersey-1', quantity: 1, fabricOption: 'Silk' }, JERSEY).unitPrice).toBe(1000);
+  });
+
+  test('trophies are priced by size', () => {
+    expect(priceLineItem({ id: 'trophy-1', quantity: 3, trophyDetails: { size: '16' } }, TROPHY).lineTotal).toBe(2700);
+    expect(priceLineItem({ id: 'trophy-1', quantity: 1, trophyDetails: { size: '20' } }, TROPHY).unitPrice).toBe(500);
+  });
+});
+
+describe('team orders', () => {
+  test('each member is priced from their own jersey type, sizing and options', () => {
+    expect(priceTeamMember({ jerseySize: 'XL', fabricOption: 'Dri-Fit' }, JERSEY, jerseyFlags))
+      .toMatchObject({ basePrice: 1000, sizeSurcharge: 50, fabricSurcharge: 80, totalPrice: 1130 });
+    expect(priceTeamMember({ sizingType: 'kids', jerseyType: 'shirt', jerseySize: 'L' }, JERSEY, jerseyFlags))
+      .toMatchObject({ basePrice: 400, sizeSurcharge: 20, totalPrice: 420 });
+  });
+
+  test('the line price is the sum of its members', () => {
+    const item = {
+      id: 'jersey-1',
+      isTeamOrder: true,
+      quantity: 1,
+      teamMembers: [
+        { surname: 'Cruz', jerseySize: 'XL', fabricOption: 'Dri-Fit' },
+        { surname: 'Reyes', sizingType: 'kids', jerseyType: 'shirt', jerseySize: 'L' }
+      ]
+    };
+    const line = priceLineItem(item, JERSEY);
+    expect(line.unitPrice).toBe(1550);
+    expect(line.breakdown.members).toHaveLength(2);
+  });
+});
+
+describe('client totals', () => {
+  const products = new Map([[JERSEY.id, JERSEY], [TROPHY.id, TROPHY]]);
+  const orderItems = [
+    { id: 'jersey-1', name: 'Team Jersey', price: 1000, quantity: 2 },
+    { id: 'trophy-1', name: 'Gold Cup', price: 650, quantity: 1, trophyDetails: { size: '12' } }
+  ];
+  const quote = quoteOrder(orderItems, { products, shippingMethod: 'cod', shippingQuote: { total: 150 } });
+
+  test('the quote is built from the product rows, with shipping', () => {
+    expect(quote).toMatchObject({ subtotal: 2650, shippingCost: 150, total: 2800, missingProducts: [] });
+  });
+
+  test('differences up to the tolerance are accepted; anything above is not', () => {
+    const client = { orderItems, subtotal: 2650, shippingCost: 150 };
+    expect(findPriceMismatches(quote, { ...client, total: 2800 + PRICE_TOLERANCE })).toEqual([]);
+    expect(findPriceMismatches(quote, { ...client, total: 2800 + PRICE_TOLERANCE + 0.01 }))
+      .toEqual([{ field: 'total_amount', expected: 2800, received: 2801.01 }]);
+  });
+
+  test('a tampered item price and total are reported', () => {
+    const tampered = [{ ...orderItems[0], price: 10 }, orderItems[1]];
+    const mismatches = findPriceMismatches(quote, { orderItems: tampered, subtotal: 670, shippingCost: 150, total: 820 });
+    expect(mismatches.map(mismatch => mismatch.field)).toEqual(['item', 'subtotal_amount', 'total_amount']);
+    expect(mismatches[0]).toMatchObject({ index: 0, expected: 2000, received: 20 });
+  });
+
+  test('items without a product row are listed, not priced', () => {
+    const missing = quoteOrder([{ id: 'gone', name: 'Old Ball', price: 1 }], { products, shippingMethod: 'pickup' });
+    expect(missing).toMatchObject({ items: [], total: 0, missingProducts: [{ index: 0, id: 'gone', name: 'Old Ball' }] });
+  });
+});
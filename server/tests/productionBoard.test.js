@@ -0,0 +1,81 @@
+// Checks how the production board places orders in columns, when a card may be moved forward,
+// and the WIP limits it accepts.
+jest.mock('../lib/db', () => ({ supabase: {} }));
+
+const {
+  findCurrentStage,
+  assertAdvance,
+  normalizeWipLimits,
+  buildBoardColumns,
+  ProductionBoardError
+} = require('../lib/productionBoard');
+
+// production_workflow rows of one order, with every stage before `current` completed
+const workflowAt = (current) => {
+  const stages = ['layout', 'sizing', 'printing', 'press', 'prod', 'packing_completing', 'picked_up_delivered'];
+  const index = stages.indexOf(current);
+  return stages.map((stage, i) => ({ stage, status: i < index ? 'completed' : (i === index ? 'in_progress' : 'pending') }));
+};
+
+describe('current stage', () => {
+  test('is the first stage still pending or in progress, whatever the row order', () => {
+    const rows = workflowAt('press').reverse();
+    expect(findCurrentStage(rows).stage).toBe('press');
+  });
+
+  test('skipped stages are passed over', () => {
+    const rows = workflowAt('printing').map(row => (row.stage === 'printing' ? { ...row, status: 'skipped' } : row));
+    expect(findCurrentStage(rows).stage).toBe('press');
+  });
+
+  test('finished orders have none', () => {
+    expect(findCurrentStage(workflowAt('picked_up_delivered').map(row => ({ ...row, status: 'completed' })))).toBeNull();
+  });
+});
+
+describe('drag to advance', () => {
+  test('moves a card to the next column', () => {
+    expect(() => assertAdvance(workflowAt('sizing'), 'sizing', 'printing')).not.toThrow();
+  });
+
+  test('cards cannot skip or go back a column', () => {
+    expect(() => assertAdvance(workflowAt('sizing'), 'sizing', 'press')).toThrow('one stage at a time');
+    expect(() => assertAdvance(workflowAt('sizing'), 'sizing', 'layout')).toThrow(ProductionBoardError);
+  });
+
+  test('a stale card is refused with a conflict', () => {
+    expect(() => assertAdvance(workflowAt('printing'), 'sizing', 'printing')).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  test('orders leave the floor at pickup or delivery, not from the board', () => {
+    expect(() => assertAdvance(workflowAt('packing_completing'), 'packing_completing', 'picked_up_delivered'))
+      .toThrow('between production stages');
+  });
+});
+
+describe('WIP limits', () => {
+  test('empty values clear a stage and numbers are whole and positive', () => {
+    expect(normalizeWipLimits({ layout: '8', press: '' })).toEqual({ layout: 8, press: null });
+    expect(() => normalizeWipLimits({ layout: 0 })).toThrow(ProductionBoardError);
+    expect(() => normalizeWipLimits({ layout: 2.5 })).toThrow(ProductionBoardError);
+    expect(() => normalizeWipLimits({ picked_up_delivered: 3 })).toThrow('Unknown stage');
+  });
+
+  test('a column over its limit is flagged; at the limit it is not', () => {
+    const card = (orderId, stage, stageEnteredAt) => ({ orderId, stage, stageEnteredAt });
+    const columns = buildBoardColumns([
+      card('a', 'printing', '2026-03-02T08:00:00Z'),
+      card('b', 'printing', '2026-03-01T08:00:00Z'),
+      card('c', 'printing', '2026-03-03T08:00:00Z'),
+      card('d', 'press', '2026-03-01T08:00:00Z')
+    ], { printing: 2, press: 1 });
+
+    const printing = columns.find(column => column.stage === 'printing');
+    const press = columns.find(column => column.stage === 'press');
+    expect(columns).toHaveLength(6);
+    expect(printing).toMatchObject({ count: 3, wipLimit: 2, overLimit: true });
+    expect(printing.orders.map(order => order.orderId)).toEqual(['b', 'a', 'c']);
+    expect(press).toMatchObject({ count: 1, overLimit: false });
+    expect(columns.find(column => column.stage === 'layout')).toMatchObject({ count: 0, wipLimit: null, overLimit: false });
+  });
+});
@@ -0,0 +1,26 @@
+// Checks that promo category rules follow the priced product, not the category the client sent.
+jest.mock('../lib/db', () => ({ supabase: {} }));
+
+const { quoteOrder } = require('../lib/pricing');
+const { calculatePromoDiscount, PromoCodeError } = require('../lib/promo');
+
+const products = new Map([
+  ['ball-1', { id: 'ball-1', name: 'Match Ball', category: 'balls', price: 1000 }]
+]);
+
+const JERSEYS_ONLY = { categories: ['jerseys'], discount_type: 'percentage', discount_value: 50, min_spend: 0 };
+
+describe('promo categories', () => {
+  test('an item labelled with another category does not qualify', () => {
+    const quote = quoteOrder([{ id: 'ball-1', category: 'jerseys', quantity: 1 }], { products, shippingMethod: 'pickup' });
+
+    expect(quote.items[0].category).toBe('balls');
+    expect(() => calculatePromoDiscount(JERSEYS_ONLY, quote)).toThrow(PromoCodeError);
+  });
+
+  test('the product category decides eligibility', () => {
+    const quote = quoteOrder([{ id: 'ball-1', category: 'jerseys', quantity: 2 }], { products, shippingMethod: 'pickup' });
+
+    expect(calculatePromoDiscount({ ...JERSEYS_ONLY, categories: ['balls'] }, quote)).toEqual({ eligibleSubtotal: 2000, discount: 1000 });
+  });
+});
@@ -15,6 +15,7 @@ import DataDeletion from './pages/customer/DataDeletion';
 import Profile from './pages/customer/Profile';
 import LogoutPage from './pages/customer/LogoutPage';
 import Unsubscribe from './pages/customer/Unsubscribe';
+import ProofReview from './pages/customer/ProofReview';
 import AuthCallback from './pages/customer/AuthCallback';
 import ResetPassword from './pages/customer/ResetPassword';
 import AdminDashboard from './pages/admin/AdminDashboard';
@@ -26,7 +27,9 @@ import Orders from './pages/admin/Orders';
 import WalkInOrders from './pages/admin/WalkInOrders';
 import Analytics from './pages/admin/Analytics';
 import BranchSupport from './pages/admin/BranchSupport';
+import Production from './pages/admin/Production';
 import EmailMarketingPage from './pages/admin/EmailMarketing';
+import RiderRun from './pages/rider/RiderRun';
 import ProtectedRoute from './components/ProtectedRoute';
 import RoleRedirect from './components/RoleRedirect';
 import { BrowserRouter as Router, Routes, Route, useLocation } from 'react-router-dom';
@@ -45,6 +48,7 @@ const AppContent = () => {
   const isOwnerRoute = location.pathname.startsWith('/owner');
   const isArtistRoute = location.pathname.startsWith('/artist');
   const isLogoutPage = location.pathname === '/logout';
+  const isRiderRoute = location.pathname.startsWith('/rider');
 
   // Handle OAuth callback on any route - check for tokens in hash
   React.useEffect(() => {
@@ -70,7 +74,7 @@ const AppContent = () => {
   return (
     <>
       <RoleRedirect />
-      {!isAdminRoute && !isOwnerRoute && !isArtistRoute && !isLogoutPage && <Header />}
+      {!isAdminRoute && !isOwnerRoute && !isArtistRoute && !isLogoutPage && !isRiderRoute && <Header />}
       <Routes>
         <Route path="/" element={<Home />} />
         <Route path="/about" element={<About />} />
@@ -83,8 +87,10 @@ const AppContent = () => {
         <Route path="/data-deletion" element={<DataDeletion />} />
         <Route path="/logout" element={<LogoutPage />} />
         <Route path="/unsubscribe" element={<Unsubscribe />} />
+        <Route path="/proofs/:token" element={<ProofReview />} />
         <Route path="/auth/callback" element={<AuthCallback />} />
         <Route path="/auth/reset-password" element={<ResetPassword />} />
+        <Route path="/rider/runs/:token" element={<RiderRun />} />
         <Route 
           path="/profile" 
           element={
@@ -157,6 +163,14 @@ const AppContent = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/admin/production"
+          element={
+            <ProtectedRoute requireAdmin={true}>
+              <Production />
+            </ProtectedRoute>
+          }
+        />
         <Route 
           path="/admin/walk-in-orders"
           element={
@@ -181,6 +195,14 @@ const AppContent = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/owner/production"
+          element={
+            <ProtectedRoute requireOwner={true}>
+              <Production />
+            </ProtectedRoute>
+          }
+        />
         <Route 
           path="/owner/walk-in-orders"
           element={
@@ -214,7 +236,7 @@ const AppContent = () => {
           } 
         />
       </Routes>
-      {!isAdminRoute && !isOwnerRoute && !isArtistRoute && !isLogoutPage && <Footer />}
+      {!isAdminRoute && !isOwnerRoute && !isArtistRoute && !isLogoutPage && !isRiderRoute && <Footer />}
     </>
   );
 };
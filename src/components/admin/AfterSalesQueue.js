@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaTools } from 'react-icons/fa';
+import './AfterSalesQueue.css';
+import afterSalesService from '../../services/afterSalesService';
+
+const ISSUE_TYPES = {
+  misprint: 'Misprint',
+  wrong_size: 'Wrong size',
+  wrong_name_number: 'Wrong name / number',
+  damaged: 'Damaged item',
+  missing_item: 'Missing item',
+  other: 'Other'
+};
+
+const REFUND_METHODS = {
+  cash: 'Cash at branch',
+  bank_transfer: 'Bank transfer',
+  gcash: 'GCash'
+};
+
+const formatPeso = (value) => `₱${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Refund and remake requests customers filed on delivered orders
+const AfterSalesQueue = () => {
+  const [status, setStatus] = useState('pending');
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reviewing, setReviewing] = useState(null);
+  const [decision, setDecision] = useState({ refundAmount: '', refundMethod: 'cash', adminNotes: '' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchRequests = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setRequests(await afterSalesService.getQueue(status));
+    } catch (fetchError) {
+      console.error('Error fetching after-sales requests:', fetchError);
+      setError(fetchError.message || 'Failed to load requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const startReview = (request) => {
+    setReviewing(request.id);
+    setDecision({
+      refundAmount: request.refund_amount || request.order?.amount_paid || '',
+      refundMethod: 'cash',
+      adminNotes: ''
+    });
+  };
+
+  const handleDecision = async (approve) => {
+    setSaving(true);
+    setError('');
+    try {
+      if (approve) {
+        await afterSalesService.approveRequest(reviewing, decision);
+      } else {
+        await afterSalesService.rejectRequest(reviewing, decision.adminNotes);
+      }
+      setReviewing(null);
+      await fetchRequests();
+    } catch (decisionError) {
+      setError(decisionError.message || 'Failed to update request');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!loading && status === 'pending' && requests.length === 0 && !error) {
+    return (
+      <div className="after-sales-queue collapsed">
+        <div className="after-sales-header">
+          <h2><FaTools /> Returns &amp; Remakes</h2>
+          <span className="after-sales-muted">No open requests</span>
+          <button className="after-sales-btn" onClick={() => setStatus('approved')}>History</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="after-sales-queue">
+      <div className="after-sales-header">
+        <h2><FaTools /> Returns &amp; Remakes</h2>
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+        </select>
+      </div>
+
+      {error && <div className="after-sales-error">{error}</div>}
+
+      {loading ? (
+        <div className="after-sales-muted">Loading...</div>
+      ) : requests.length === 0 ? (
+        <div className="after-sales-muted">No {status} requests.</div>
+      ) : (
+        <div className="after-sales-list">
+          {requests.map(request => (
+            <div key={request.id} className="after-sales-card">
+              <div className="after-sales-card-header">
+                <strong>{request.order?.order_number}</strong>
+                <span>{ISSUE_TYPES[request.issue_type] || request.issue_type}</span>
+                <span className={`after-sales-resolution ${request.resolution}`}>
+                  {request.resolution === 'refund' ? 'Refund' : 'Remake'}
+                  {request.resolution === 'refund' && request.refund_amount && ` ${formatPeso(request.refund_amount)}`}
+                </span>
+                <span className="after-sales-muted">{new Date(request.created_at).toLocaleString()}</span>
+              </div>
+
+              <p className="after-sales-description">{request.description}</p>
+
+              {request.affected_items?.length > 0 && (
+                <ul className="after-sales-items">
+                  {request.affected_items.map(item => (
+                    <li key={`${item.itemIndex}:${item.memberIndex}`}>{item.label}</li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="after-sales-photos">
+                {(request.photos || []).map(photo => (
+                  <a key={photo.publicId || photo.url} href={photo.url} target="_blank" rel="noopener noreferrer">
+                    <img src={photo.url} alt="Reported problem" />
+                  </a>
+                ))}
+              </div>
+
+              <div className="after-sales-muted">
+                Order total {formatPeso(request.order?.total_amount)} · Paid {formatPeso(request.order?.amount_paid)}
+                {request.remake_order && <> · Remake {request.remake_order.order_number} ({request.remake_order.status})</>}
+              </div>
+              {request.admin_notes && <div className="after-sales-muted">Note: {request.admin_notes}</div>}
+
+              {request.status === 'pending' && reviewing !== request.id && (
+                <button className="after-sales-btn" onClick={() => startReview(request)}>Review</button>
+              )}
+
+              {reviewing === request.id && (
+                <div className="after-sales-review">
+                  {request.resolution === 'refund' && (
+                    <>
+                      <input
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        value={decision.refundAmount}
+                        onChange={(e) => setDecision(prev => ({ ...prev, refundAmount: e.target.value }))}
+                        placeholder="Refund amount"
+                      />
+                      <select
+                        value={decision.refundMethod}
+                        onChange={(e) => setDecision(prev => ({ ...prev, refundMethod: e.target.value }))}
+                      >
+                        {Object.entries(REFUND_METHODS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </>
+                  )}
+                  <input
+                    type="text"
+                    value={decision.adminNotes}
+                    onChange={(e) => setDecision(prev => ({ ...prev, adminNotes: e.target.value }))}
+                    placeholder="Note for the customer (required to reject)"
+                  />
+                  <button className="after-sales-btn approve" onClick={() => handleDecision(true)} disabled={saving}>
+                    {request.resolution === 'refund' ? 'Approve refund' : 'Approve & create remake'}
+                  </button>
+                  <button
+                    className="after-sales-btn reject"
+                    onClick={() => handleDecision(false)}
+                    disabled={saving || !decision.adminNotes.trim()}
+                  >
+                    Reject
+                  </button>
+                  <button className="after-sales-btn" onClick={() => setReviewing(null)} disabled={saving}>Cancel</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AfterSalesQueue;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './ArtistAvailabilityDrawer.css';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faXmark, faCalendarDays, faTrash, faShareFromSquare } from '@fortawesome/free-solid-svg-icons';
+import artistService from '../../services/artistService';
+
+// Working hours, leave days and task handoff for one artist (Accounts > Artists).
+// Reassigned tasks keep their revision notes and the order's design chat moves to the new artist.
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const AUTO_TARGET = '';
+
+const formatDate = (value) => (value
+  ? new Date(`${value}T00:00:00`).toLocaleDateString('en-PH', { month: 'short', day: 'numeric', year: 'numeric' })
+  : '');
+
+const formatDeadline = (value) => (value
+  ? new Date(value).toLocaleString('en-PH', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : 'No deadline');
+
+const ArtistAvailabilityDrawer = ({ artist, artists = [], onClose, onChanged }) => {
+  const [availability, setAvailability] = useState(null);
+  const [hours, setHours] = useState(null);
+  const [leaveForm, setLeaveForm] = useState({ startDate: '', endDate: '', reason: '' });
+  const [taskTargets, setTaskTargets] = useState({});
+  const [bulkTarget, setBulkTarget] = useState(AUTO_TARGET);
+  const [bulkReason, setBulkReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  // Only active colleagues can take over work
+  const targets = artists.filter(candidate => candidate.id !== artist.id && candidate.is_active);
+
+  const fetchAvailability = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await artistService.getAvailability(artist.id);
+      setAvailability(data);
+      setHours(data.workingHours);
+    } catch (fetchError) {
+      console.error('Error fetching artist availability:', fetchError);
+      setError(fetchError.message || 'Failed to load availability');
+    } finally {
+      setLoading(false);
+    }
+  }, [artist.id]);
+
+  useEffect(() => {
+    fetchAvailability();
+  }, [fetchAvailability]);
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const result = await action();
+      setNotice(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      await fetchAvailability();
+      onChanged?.();
+    } catch (actionError) {
+      console.error('Artist availability action failed:', actionError);
+      setError(actionError.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleDay = (day) => {
+    setHours(prev => ({
+      ...prev,
+      days: prev.days.includes(day) ? prev.days.filter(value => value !== day) : [...prev.days, day].sort()
+    }));
+  };
+
+  const handleSaveHours = () => run(() => artistService.saveWorkingHours(artist.id, hours), 'Working hours saved');
+
+  const handleAddLeave = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await artistService.addLeave(artist.id, { ...leaveForm, endDate: leaveForm.endDate || leaveForm.startDate });
+      setLeaveForm({ startDate: '', endDate: '', reason: '' });
+    }, 'Leave added');
+  };
+
+  const handleRemoveLeave = (leaveId) => run(() => artistService.removeLeave(artist.id, leaveId), 'Leave removed');
+
+  const handleReassignTask = (taskId) => run(
+    () => artistService.reassignTask(taskId, {
+      toArtistUserId: taskTargets[taskId] || null,
+      reason: availability?.onLeaveToday ? 'Artist on leave' : 'Reassigned by admin'
+    }),
+    (result) => result.message
+  );
+
+  const handleReassignAll = () => {
+    const count = availability?.openTasks?.length || 0;
+    if (!window.confirm(`Hand over all ${count} open task${count === 1 ? '' : 's'} of ${artist.artist_name}?`)) {
+      return;
+    }
+    run(
+      () => artistService.reassignOpenTasks(artist.id, {
+        toArtistUserId: bulkTarget || null,
+        reason: bulkReason.trim() || (availability?.onLeaveToday ? 'Artist on leave' : 'Reassigned by admin')
+      }),
+      (result) => (result.failed?.length
+        ? `${result.message}; ${result.failed.length} could not be moved (${result.failed.map(item => item.error).join(', ')})`
+        : result.message)
+    );
+  };
+
+  const openTasks = availability?.openTasks || [];
+
+  return (
+    <div className="artist-availability-overlay" onClick={onClose}>
+      <aside className="artist-availability-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="artist-availability-header">
+          <div>
+            <h2>
+              <FontAwesomeIcon icon={faCalendarDays} /> Availability
+            </h2>
+            <p className="artist-availability-subtitle">
+              {artist.artist_name || artist.email}
+              {availability && !availability.artist.is_active && <span className="artist-availability-badge inactive">Inactive</span>}
+              {availability?.onLeaveToday && (
+                <span className="artist-availability-badge leave">On leave until {formatDate(availability.leaveTodayUntil)}</span>
+              )}
+            </p>
+          </div>
+          <button className="artist-availability-close" onClick={onClose} aria-label="Close">
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <div className="artist-availability-body">
+          {error && <div className="artist-availability-error">{error}</div>}
+          {notice && <div className="artist-availability-notice">{notice}</div>}
+
+          {loading && !availability ? (
+            <p className="artist-availability-empty">Loading...</p>
+          ) : availability && (
+            <>
+              <section className="artist-availability-section">
+                <h3>Working hours</h3>
+                <div className="artist-availability-days">
+                  {DAY_LABELS.map((label, day) => (
+                    <label key={label} className={hours?.days?.includes(day) ? 'selected' : ''}>
+                      <input type="checkbox" checked={hours?.days?.includes(day) || false} onChange={() => toggleDay(day)} />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+                <div className="artist-availability-row">
+                  <input
+                    type="time"
+                    value={hours?.start || ''}
+                    onChange={(e) => setHours(prev => ({ ...prev, start: e.target.value }))}
+                    aria-label="Start time"
+                  />
+                  <span>to</span>
+                  <input
+                    type="time"
+                    value={hours?.end || ''}
+                    onChange={(e) => setHours(prev => ({ ...prev, end: e.target.value }))}
+                    aria-label="End time"
+                  />
+                  <button className="artist-availability-btn" onClick={handleSaveHours} disabled={busy}>Save</button>
+                </div>
+              </section>
+
+              <section className="artist-availability-section">
+                <h3>Leave</h3>
+                {availability.leave.length === 0 ? (
+                  <p className="artist-availability-empty">No upcoming leave.</p>
+                ) : (
+                  <ul className="artist-availability-list">
+                    {availability.leave.map(leave => (
+                      <li key={leave.id}>
+                        <div>
+                          <strong>
+                            {formatDate(leave.start_date)}
+                            {leave.end_date !== leave.start_date && ` – ${formatDate(leave.end_date)}`}
+                          </strong>
+                          {leave.reason && <span className="artist-availability-muted">{leave.reason}</span>}
+                        </div>
+                        <button
+                          className="artist-availability-icon-btn"
+                          onClick={() => handleRemoveLeave(leave.id)}
+                          disabled={busy}
+                          title="Remove leave"
+                          aria-label="Remove leave"
+                        >
+                          <FontAwesomeIcon icon={faTrash} />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <form className="artist-availability-row" onSubmit={handleAddLeave}>
+                  <input
+                    type="date"
+                    value={leaveForm.startDate}
+                    onChange={(e) => setLeaveForm(prev => ({ ...prev, startDate: e.target.value }))}
+                    aria-label="First day of leave"
+                    required
+                  />
+                  <input
+                    type="date"
+                    value={leaveForm.endDate}
+                    min={leaveForm.startDate || undefined}
+                    onChange={(e) => setLeaveForm(prev => ({ ...prev, endDate: e.target.value }))}
+                    aria-label="Last day of leave"
+                  />
+                  <input
+                    type="text"
+                    value={leaveForm.reason}
+                    onChange={(e) => setLeaveForm(prev => ({ ...prev, reason: e.target.value }))}
+                    placeholder="Reason (optional)"
+                    maxLength={500}
+                  />
+                  <button type="submit" className="artist-availability-btn" disabled={busy}>Add</button>
+                </form>
+              </section>
+
+              <section className="artist-availability-section">
+                <h3>Open tasks ({openTasks.length})</h3>
+                {openTasks.length === 0 ? (
+                  <p className="artist-availability-empty">No open tasks.</p>
+                ) : (
+                  <>
+                    <div className="artist-availability-bulk">
+                      <select value={bulkTarget} onChange={(e) => setBulkTarget(e.target.value)} aria-label="Hand all tasks to">
+                        <option value={AUTO_TARGET}>Best available artist per task</option>
+                        {targets.map(target => (
+                          <option key={target.id} value={target.id}>{target.artist_name || target.email}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={bulkReason}
+                        onChange={(e) => setBulkReason(e.target.value)}
+                        placeholder="Reason (e.g. sick leave)"
+                      />
+                      <button className="artist-availability-btn primary" onClick={handleReassignAll} disabled={busy}>
+                        <FontAwesomeIcon icon={faShareFromSquare} /> Reassign all
+                      </button>
+                    </div>
+                    <ul className="artist-availability-list">
+                      {openTasks.map(task => (
+                        <li key={task.id} className="artist-availability-task">
+                          <div>
+                            <strong>{task.task_title}</strong>
+                            <span className="artist-availability-muted">
+                              {task.status.replace(/_/g, ' ')} · due {formatDeadline(task.deadline)}
+                              {task.revision_notes && ' · has revision notes'}
+                              {task.reassignment_log?.length > 0 && ` · handed over ${task.reassignment_log.length}×`}
+                            </span>
+                          </div>
+                          <div className="artist-availability-row">
+                            <select
+                              value={taskTargets[task.id] || AUTO_TARGET}
+                              onChange={(e) => setTaskTargets(prev => ({ ...prev, [task.id]: e.target.value }))}
+                              aria-label="Reassign to"
+                            >
+                              <option value={AUTO_TARGET}>Best available</option>
+                              {targets.map(target => (
+                                <option key={target.id} value={target.id}>{target.artist_name || target.email}</option>
+                              ))}
+                            </select>
+                            <button className="artist-availability-btn" onClick={() => handleReassignTask(task.id)} disabled={busy}>
+                              Reassign
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </section>
+            </>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default ArtistAvailabilityDrawer;
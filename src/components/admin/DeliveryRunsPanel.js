@@ -0,0 +1,395 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaMotorcycle } from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
+import branchService from '../../services/branchService';
+import deliveryRunService from '../../services/deliveryRunService';
+import orderService from '../../services/orderService';
+import './DeliveryRunsPanel.css';
+
+const formatPeso = (value) => `₱${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatStatus = (status) => (status || '').replace(/_/g, ' ');
+
+const emptyRider = { name: '', phone: '', vehicle: '', courierName: '' };
+
+// Riders, COD delivery runs and the cash each run brings back
+const DeliveryRunsPanel = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.user_metadata?.role === 'admin';
+  const adminBranchId = user?.user_metadata?.branch_id ? parseInt(user.user_metadata.branch_id) : null;
+
+  const [expanded, setExpanded] = useState(false);
+  const [branches, setBranches] = useState([]);
+  const [branchId, setBranchId] = useState(isAdmin ? adminBranchId : null);
+  const [riders, setRiders] = useState([]);
+  const [availableOrders, setAvailableOrders] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [runFilter, setRunFilter] = useState('open');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [riderForm, setRiderForm] = useState(emptyRider);
+  const [runForm, setRunForm] = useState({ riderId: '', sortBy: 'distance', notes: '' });
+  const [selectedOrderIds, setSelectedOrderIds] = useState([]);
+  const [openRun, setOpenRun] = useState(null);
+
+  useEffect(() => {
+    if (!expanded || isAdmin) {
+      return;
+    }
+    branchService.getBranches()
+      .then(list => {
+        setBranches(list);
+        if (list.length > 0) {
+          setBranchId(prev => prev || list[0].id);
+        }
+      })
+      .catch(fetchError => console.error('Error fetching branches:', fetchError));
+  }, [expanded, isAdmin]);
+
+  const fetchAll = useCallback(async () => {
+    if (!branchId) {
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const [riderList, orderList, runList] = await Promise.all([
+        deliveryRunService.getRiders(branchId),
+        deliveryRunService.getAvailableOrders(branchId),
+        deliveryRunService.getRuns(branchId, runFilter)
+      ]);
+      setRiders(riderList);
+      setAvailableOrders(orderList);
+      setRuns(runList);
+      setSelectedOrderIds(prev => prev.filter(id => orderList.some(order => order.id === id)));
+    } catch (fetchError) {
+      console.error('Error fetching delivery runs:', fetchError);
+      setError(fetchError.message || 'Failed to load delivery runs');
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId, runFilter]);
+
+  useEffect(() => {
+    if (expanded) {
+      fetchAll();
+    }
+  }, [expanded, fetchAll]);
+
+  const runAction = async (action, fallbackMessage) => {
+    setSaving(true);
+    setError('');
+    try {
+      await action();
+      await fetchAll();
+      return true;
+    } catch (actionError) {
+      setError(actionError.message || fallbackMessage);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadRun = async (runId) => {
+    try {
+      setOpenRun(await deliveryRunService.getRun(runId));
+    } catch (fetchError) {
+      setError(fetchError.message || 'Failed to load run');
+    }
+  };
+
+  const handleAddRider = async (e) => {
+    e.preventDefault();
+    if (await runAction(() => deliveryRunService.saveRider({ ...riderForm, branchId }), 'Failed to add rider')) {
+      setRiderForm(emptyRider);
+    }
+  };
+
+  const toggleRider = (rider) => runAction(
+    () => deliveryRunService.saveRider({ id: rider.id, isActive: !rider.is_active }),
+    'Failed to update rider'
+  );
+
+  const toggleOrder = (orderId) => {
+    setSelectedOrderIds(prev => (prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]));
+  };
+
+  const handleCreateRun = async (e) => {
+    e.preventDefault();
+    const created = await runAction(
+      () => deliveryRunService.createRun({ ...runForm, branchId, orderIds: selectedOrderIds }),
+      'Failed to create run'
+    );
+    if (created) {
+      setSelectedOrderIds([]);
+      setRunForm(prev => ({ ...prev, notes: '' }));
+    }
+  };
+
+  const handleCopyLink = async (run) => {
+    const link = deliveryRunService.getRiderLink(run);
+    try {
+      await navigator.clipboard.writeText(link);
+      alert(`Rider link copied. Send it to ${run.riders?.name || 'the rider'}.`);
+    } catch (copyError) {
+      window.prompt('Copy this link for the rider:', link);
+    }
+  };
+
+  const handleDispatch = (run) => runAction(() => deliveryRunService.dispatchRun(run.id), 'Failed to dispatch run');
+
+  const handleCancel = (run) => {
+    if (!window.confirm(`Cancel ${run.run_number}? Its orders go back to the ready-for-delivery list.`)) {
+      return;
+    }
+    runAction(() => deliveryRunService.cancelRun(run.id), 'Failed to cancel run');
+  };
+
+  const handleComplete = async (run) => {
+    const cashRemitted = window.prompt(
+      `Cash handed in by ${run.riders?.name || 'the rider'} for ${run.run_number} (collected: ${formatPeso(run.summary.cashCollected)})`,
+      run.summary.cashCollected
+    );
+    if (cashRemitted === null) {
+      return;
+    }
+    if (await runAction(() => deliveryRunService.completeRun(run.id, { cashRemitted }), 'Failed to close run') && openRun?.run.id === run.id) {
+      loadRun(run.id);
+    }
+  };
+
+  // Run completion doesn't touch order status; the order is closed through the normal status flow
+  const handleMarkDelivered = async (stop) => {
+    const done = await runAction(
+      () => orderService.updateOrderStatus(stop.order_id, 'picked_up_delivered'),
+      'Failed to update order'
+    );
+    if (done) {
+      loadRun(stop.run_id);
+    }
+  };
+
+  const renderSummary = (summary) => (
+    <div className="delivery-runs-summary">
+      <span>{summary.stops.delivered}/{summary.stops.total} delivered{summary.stops.failed > 0 && `, ${summary.stops.failed} failed`}</span>
+      <span>Expected {formatPeso(summary.cashExpected)}</span>
+      <span>Collected {formatPeso(summary.cashCollected)}</span>
+      {summary.cashOutstanding > 0 && <span>Still out {formatPeso(summary.cashOutstanding)}</span>}
+      {summary.collectionShortfall !== 0 && (
+        <span className={summary.collectionShortfall > 0 ? 'short' : ''}>
+          {summary.collectionShortfall > 0 ? 'Short' : 'Over'} {formatPeso(Math.abs(summary.collectionShortfall))}
+        </span>
+      )}
+      {summary.cashRemitted !== null && (
+        <span className={summary.remittanceShortfall > 0 ? 'short' : ''}>
+          Remitted {formatPeso(summary.cashRemitted)}
+          {summary.remittanceShortfall !== 0 && ` (${summary.remittanceShortfall > 0 ? 'short' : 'over'} ${formatPeso(Math.abs(summary.remittanceShortfall))})`}
+        </span>
+      )}
+    </div>
+  );
+
+  const activeRiders = riders.filter(rider => rider.is_active);
+
+  return (
+    <div className={`delivery-runs-panel ${expanded ? '' : 'collapsed'}`}>
+      <div className="delivery-runs-header">
+        <h2><FaMotorcycle /> COD Deliveries</h2>
+        {expanded && !isAdmin && (
+          <select value={branchId || ''} onChange={(e) => { setBranchId(parseInt(e.target.value)); setOpenRun(null); }}>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        )}
+        <button className="delivery-runs-btn" onClick={() => setExpanded(prev => !prev)}>
+          {expanded ? 'Hide' : 'Manage'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          {error && <div className="delivery-runs-error">{error}</div>}
+          {loading && <div className="delivery-runs-muted">Loading...</div>}
+
+          <section className="delivery-runs-section">
+            <h3>Riders</h3>
+            {riders.length === 0 ? (
+              <div className="delivery-runs-muted">No riders yet. Add your own riders or third-party couriers below.</div>
+            ) : (
+              <div className="delivery-runs-riders">
+                {riders.map(rider => (
+                  <div key={rider.id} className={`delivery-runs-rider ${rider.is_active ? '' : 'inactive'}`}>
+                    <strong>{rider.name}</strong>
+                    <span className="delivery-runs-muted">
+                      {[rider.courier_name, rider.vehicle, rider.phone].filter(Boolean).join(' · ')}
+                    </span>
+                    <button className="delivery-runs-btn" onClick={() => toggleRider(rider)} disabled={saving}>
+                      {rider.is_active ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <form className="delivery-runs-form" onSubmit={handleAddRider}>
+              <input placeholder="Name" value={riderForm.name} onChange={(e) => setRiderForm(prev => ({ ...prev, name: e.target.value }))} required />
+              <input placeholder="Phone" value={riderForm.phone} onChange={(e) => setRiderForm(prev => ({ ...prev, phone: e.target.value }))} />
+              <input placeholder="Vehicle / plate" value={riderForm.vehicle} onChange={(e) => setRiderForm(prev => ({ ...prev, vehicle: e.target.value }))} />
+              <input placeholder="Courier (if third-party)" value={riderForm.courierName} onChange={(e) => setRiderForm(prev => ({ ...prev, courierName: e.target.value }))} />
+              <button type="submit" className="delivery-runs-btn primary" disabled={saving || !branchId}>Add rider</button>
+            </form>
+          </section>
+
+          <section className="delivery-runs-section">
+            <h3>Ready for delivery ({availableOrders.length})</h3>
+            {availableOrders.length === 0 ? (
+              <div className="delivery-runs-muted">No packed COD orders waiting for a run.</div>
+            ) : (
+              <form onSubmit={handleCreateRun}>
+                <table className="delivery-runs-table">
+                  <thead>
+                    <tr>
+                      <th />
+                      <th>Order</th>
+                      <th>Receiver</th>
+                      <th>Area</th>
+                      <th>To collect</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {availableOrders.map(order => (
+                      <tr key={order.id}>
+                        <td>
+                          <input type="checkbox" checked={selectedOrderIds.includes(order.id)} onChange={() => toggleOrder(order.id)} />
+                        </td>
+                        <td>{order.order_number}</td>
+                        <td>{order.delivery_address?.receiver || '—'}</td>
+                        <td>{[order.delivery_address?.barangay, order.delivery_address?.city].filter(Boolean).join(', ') || '—'}</td>
+                        <td>{formatPeso(order.balance_due ?? order.total_amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="delivery-runs-form">
+                  <select value={runForm.riderId} onChange={(e) => setRunForm(prev => ({ ...prev, riderId: e.target.value }))} required>
+                    <option value="">Choose rider</option>
+                    {activeRiders.map(rider => (
+                      <option key={rider.id} value={rider.id}>{rider.name}{rider.courier_name ? ` (${rider.courier_name})` : ''}</option>
+                    ))}
+                  </select>
+                  <select value={runForm.sortBy} onChange={(e) => setRunForm(prev => ({ ...prev, sortBy: e.target.value }))}>
+                    <option value="distance">Nearest first</option>
+                    <option value="barangay">Group by barangay</option>
+                  </select>
+                  <input placeholder="Notes for the rider" value={runForm.notes} onChange={(e) => setRunForm(prev => ({ ...prev, notes: e.target.value }))} />
+                  <button type="submit" className="delivery-runs-btn primary" disabled={saving || selectedOrderIds.length === 0 || !runForm.riderId}>
+                    Create run ({selectedOrderIds.length})
+                  </button>
+                </div>
+              </form>
+            )}
+          </section>
+
+          <section className="delivery-runs-section">
+            <div className="delivery-runs-section-header">
+              <h3>Runs</h3>
+              <select value={runFilter} onChange={(e) => setRunFilter(e.target.value)}>
+                <option value="open">Open</option>
+                <option value="completed">Completed</option>
+                <option value="cancelled">Cancelled</option>
+                <option value="all">All</option>
+              </select>
+            </div>
+            {runs.length === 0 ? (
+              <div className="delivery-runs-muted">No runs.</div>
+            ) : runs.map(run => (
+              <div key={run.id} className="delivery-runs-run">
+                <div className="delivery-runs-run-header">
+                  <strong>{run.run_number}</strong>
+                  <span className={`delivery-runs-status ${run.status}`}>{formatStatus(run.status)}</span>
+                  <span className="delivery-runs-muted">{run.riders?.name}</span>
+                  <div className="delivery-runs-actions">
+                    <button className="delivery-runs-btn" onClick={() => (openRun?.run.id === run.id ? setOpenRun(null) : loadRun(run.id))}>
+                      {openRun?.run.id === run.id ? 'Hide stops' : 'Stops'}
+                    </button>
+                    {run.status !== 'cancelled' && run.status !== 'completed' && (
+                      <button className="delivery-runs-btn" onClick={() => handleCopyLink(run)}>Rider link</button>
+                    )}
+                    {run.status === 'planned' && (
+                      <>
+                        <button className="delivery-runs-btn primary" onClick={() => handleDispatch(run)} disabled={saving}>Dispatch</button>
+                        <button className="delivery-runs-btn danger" onClick={() => handleCancel(run)} disabled={saving}>Cancel</button>
+                      </>
+                    )}
+                    {run.status === 'out_for_delivery' && (
+                      <button
+                        className="delivery-runs-btn primary"
+                        onClick={() => handleComplete(run)}
+                        disabled={saving || run.summary.stops.pending > 0}
+                        title={run.summary.stops.pending > 0 ? 'Every stop needs a delivery result first' : ''}
+                      >
+                        Close run
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {renderSummary(run.summary)}
+
+                {openRun?.run.id === run.id && (
+                  <table className="delivery-runs-table">
+                    <thead>
+                      <tr>
+                        <th>#</th>
+                        <th>Order</th>
+                        <th>Receiver</th>
+                        <th>Result</th>
+                        <th>Expected</th>
+                        <th>Collected</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {openRun.stops.map(stop => (
+                        <tr key={stop.id}>
+                          <td>{stop.sequence}</td>
+                          <td>
+                            {stop.orders?.order_number}
+                            {stop.distance_km !== null && <div className="delivery-runs-muted">{stop.distance_km} km</div>}
+                          </td>
+                          <td>
+                            {stop.recipient.name || '—'}
+                            <div className="delivery-runs-muted">{stop.recipient.address}</div>
+                          </td>
+                          <td>
+                            <span className={`delivery-runs-status ${stop.status}`}>{stop.status}</span>
+                            {stop.failure_reason && <div className="delivery-runs-muted">{stop.failure_reason}</div>}
+                            {(stop.proof_images || []).map((url, index) => (
+                              <a key={url} href={url} target="_blank" rel="noopener noreferrer" className="delivery-runs-photo">Photo {index + 1}</a>
+                            ))}
+                          </td>
+                          <td>{formatPeso(stop.cash_expected)}</td>
+                          <td>{stop.cash_collected === null ? '—' : formatPeso(stop.cash_collected)}</td>
+                          <td>
+                            {stop.status === 'delivered' && stop.orders?.status === 'packing_completing' && (
+                              <button className="delivery-runs-btn" onClick={() => handleMarkDelivered(stop)} disabled={saving}>
+                                Mark order delivered
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            ))}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryRunsPanel;
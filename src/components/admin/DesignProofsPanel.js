@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaLayerGroup } from 'react-icons/fa';
+import designProofService from '../../services/designProofService';
+import './DesignProofsPanel.css';
+
+export const PROOF_STATUS_LABELS = {
+  pending: 'Waiting for customer',
+  approved: 'Approved',
+  changes_requested: 'Changes requested',
+  superseded: 'Superseded'
+};
+
+const isImage = (file) => /\.(png|jpe?g|gif|webp|svg)$/i.test(file.filename || file.url || '');
+
+// Numbered design proof versions of an order and the customer's answer to each (admin order details).
+// Staff can share or resend the review link, or record an answer the customer gave in person.
+const DesignProofsPanel = ({ order, onChanged }) => {
+  const [proofs, setProofs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [changesFor, setChangesFor] = useState(null);
+  const [comment, setComment] = useState('');
+
+  const fetchProofs = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setProofs(await designProofService.getOrderProofs(order.id));
+    } catch (fetchError) {
+      console.error('Error fetching design proofs:', fetchError);
+      setError(fetchError.message || 'Failed to load design proofs');
+    } finally {
+      setLoading(false);
+    }
+  }, [order.id]);
+
+  useEffect(() => {
+    fetchProofs();
+  }, [fetchProofs]);
+
+  const runAction = async (action, successMessage) => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      const result = await action();
+      setNotice(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      await fetchProofs();
+      return result;
+    } catch (actionError) {
+      setError(actionError.message || 'Something went wrong');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copyLink = async (proof) => {
+    try {
+      await navigator.clipboard.writeText(proof.review_url);
+      setNotice(`Review link for v${proof.version} copied`);
+    } catch (_) {
+      window.prompt('Copy the review link', proof.review_url);
+    }
+  };
+
+  const resend = () => runAction(() => designProofService.resendProof(order.id), result => result.message);
+
+  const recordApproval = async (proof) => {
+    if (!window.confirm(`Record that the customer approved v${proof.version}?`)) {
+      return;
+    }
+    const result = await runAction(
+      () => designProofService.recordResponse(order.id, proof.id, { action: 'approve' }),
+      response => (response.orderMoved
+        ? `v${proof.version} approved; order moved to Sizing`
+        : `v${proof.version} approved${response.heldBack ? `; order stays in ${order.status}: ${response.heldBack}` : ''}`)
+    );
+    if (result?.orderMoved) {
+      onChanged?.();
+    }
+  };
+
+  const recordChanges = async (proof) => {
+    const result = await runAction(
+      () => designProofService.recordResponse(order.id, proof.id, { action: 'request_changes', comment }),
+      `Changes on v${proof.version} sent back to the artist`
+    );
+    if (result) {
+      setChangesFor(null);
+      setComment('');
+    }
+  };
+
+  if (!loading && !error && proofs.length === 0) {
+    return null;
+  }
+
+  const hasPending = proofs.some(proof => proof.status === 'pending');
+
+  return (
+    <div className="details-section design-proofs-section">
+      <h4 className="design-proofs-heading">
+        <FaLayerGroup className="design-proofs-heading-icon" />
+        Design Proofs
+        {hasPending && (
+          <button type="button" className="design-proofs-btn" onClick={resend} disabled={saving}>
+            Resend to customer
+          </button>
+        )}
+      </h4>
+
+      {error && <div className="design-proofs-error">{error}</div>}
+      {notice && <div className="design-proofs-notice">{notice}</div>}
+
+      {loading ? (
+        <div className="design-proofs-empty">Loading...</div>
+      ) : (
+        <ul className="design-proofs-list">
+          {proofs.map(proof => (
+            <li key={proof.id} className={`design-proofs-item ${proof.status}`}>
+              <div className="design-proofs-item-header">
+                <strong>v{proof.version}</strong>
+                <span className={`design-proofs-status ${proof.status}`}>{PROOF_STATUS_LABELS[proof.status] || proof.status}</span>
+                <span className="design-proofs-meta">{new Date(proof.created_at).toLocaleString()}</span>
+              </div>
+
+              <div className="design-proofs-files">
+                {(proof.files || []).map((file, index) => (
+                  <a key={file.publicId || file.url || index} href={file.url} target="_blank" rel="noopener noreferrer" title={file.filename}>
+                    {isImage(file) ? <img src={file.url} alt={file.filename || `File ${index + 1}`} /> : <span>{file.filename || `File ${index + 1}`}</span>}
+                  </a>
+                ))}
+              </div>
+
+              {proof.notes && <div className="design-proofs-note">Artist: {proof.notes}</div>}
+              {proof.response_comment && <div className="design-proofs-note">Customer: {proof.response_comment}</div>}
+              {proof.responded_at && (
+                <div className="design-proofs-meta">
+                  Answered {new Date(proof.responded_at).toLocaleString()}{proof.responded_by ? ' (recorded by staff)' : ''}
+                </div>
+              )}
+
+              {proof.status === 'pending' && (
+                changesFor === proof.id ? (
+                  <div className="design-proofs-changes">
+                    <textarea
+                      placeholder="What does the customer want changed?"
+                      value={comment}
+                      onChange={(e) => setComment(e.target.value)}
+                      disabled={saving}
+                    />
+                    <div className="design-proofs-actions">
+                      <button type="button" className="design-proofs-btn primary" onClick={() => recordChanges(proof)} disabled={saving || !comment.trim()}>
+                        Send to artist
+                      </button>
+                      <button type="button" className="design-proofs-btn" onClick={() => setChangesFor(null)} disabled={saving}>Cancel</button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="design-proofs-actions">
+                    {proof.review_url && (
+                      <button type="button" className="design-proofs-btn" onClick={() => copyLink(proof)}>Copy review link</button>
+                    )}
+                    <button type="button" className="design-proofs-btn primary" onClick={() => recordApproval(proof)} disabled={saving}>
+                      Customer approved
+                    </button>
+                    <button type="button" className="design-proofs-btn" onClick={() => setChangesFor(proof.id)} disabled={saving}>
+                      Customer wants changes
+                    </button>
+                  </div>
+                )
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DesignProofsPanel;
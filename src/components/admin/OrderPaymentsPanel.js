@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaMoneyBillWave } from 'react-icons/fa';
+import './OrderPaymentsPanel.css';
+import orderService from '../../services/orderService';
+
+export const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  partially_paid: 'Partially Paid',
+  paid: 'Paid',
+  refunded: 'Refunded'
+};
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash at branch',
+  cod: 'Cash on delivery',
+  bank_transfer: 'Bank transfer',
+  gcash: 'GCash'
+};
+
+const formatPeso = (value) => `₱${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const emptyForm = { kind: 'payment', amount: '', method: 'cash', reference: '', notes: '' };
+
+// Payment entries, balance and downpayment for one order (admin order details)
+const OrderPaymentsPanel = ({ order, onPaymentRecorded }) => {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPayments = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setSummary(await orderService.getOrderPayments(order.id));
+    } catch (fetchError) {
+      console.error('Error fetching payments:', fetchError);
+      setError(fetchError.message || 'Failed to load payments');
+    } finally {
+      setLoading(false);
+    }
+  }, [order.id]);
+
+  useEffect(() => {
+    fetchPayments();
+  }, [fetchPayments]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const result = await orderService.recordOrderPayment(order.id, {
+        ...form,
+        amount: parseFloat(form.amount)
+      });
+      setForm(emptyForm);
+      await fetchPayments();
+      onPaymentRecorded?.(order.id, {
+        paymentStatus: result.paymentStatus,
+        amountPaid: result.amountPaid,
+        balanceDue: result.balanceDue
+      });
+    } catch (saveError) {
+      setError(saveError.message || 'Failed to record payment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const downpaymentRequired = summary?.downpaymentRequired || 0;
+  const downpaymentMet = downpaymentRequired === 0 || (summary?.amountPaid || 0) >= downpaymentRequired;
+
+  return (
+    <div className="details-section order-payments-section">
+      <h4 className="order-payments-heading">
+        <FaMoneyBillWave className="order-payments-heading-icon" />
+        Payments
+        {summary && (
+          <span className={`order-payment-status payment-${summary.paymentStatus}`}>
+            {PAYMENT_STATUS_LABELS[summary.paymentStatus] || summary.paymentStatus}
+          </span>
+        )}
+      </h4>
+
+      {loading ? (
+        <div className="order-payments-empty">Loading payments...</div>
+      ) : summary && (
+        <>
+          <div className="order-payments-totals">
+            <div>
+              <span>Total</span>
+              <strong>{formatPeso(summary.totalAmount)}</strong>
+            </div>
+            <div>
+              <span>Paid</span>
+              <strong>{formatPeso(summary.amountPaid)}</strong>
+            </div>
+            <div>
+              <span>Balance</span>
+              <strong>{formatPeso(summary.balanceDue)}</strong>
+            </div>
+            {downpaymentRequired > 0 && (
+              <div className={downpaymentMet ? 'downpayment-met' : 'downpayment-missing'}>
+                <span>Downpayment ({summary.downpaymentPercent}%)</span>
+                <strong>{formatPeso(downpaymentRequired)}</strong>
+              </div>
+            )}
+          </div>
+
+          {downpaymentRequired > 0 && !downpaymentMet && (
+            <div className="order-payments-notice">
+              Production cannot start until the downpayment is recorded.
+            </div>
+          )}
+
+          {summary.payments.length === 0 ? (
+            <div className="order-payments-empty">No payments recorded yet.</div>
+          ) : (
+            <table className="order-payments-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Type</th>
+                  <th>Method</th>
+                  <th>Reference</th>
+                  <th>Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.payments.map(payment => (
+                  <tr key={payment.id} className={payment.kind === 'refund' ? 'refund-row' : ''}>
+                    <td>{new Date(payment.paid_at).toLocaleString()}</td>
+                    <td>{payment.kind === 'refund' ? 'Refund' : 'Payment'}</td>
+                    <td>{PAYMENT_METHOD_LABELS[payment.method] || payment.method}</td>
+                    <td>
+                      {payment.reference || '—'}
+                      {payment.notes && <div className="order-payments-note">{payment.notes}</div>}
+                    </td>
+                    <td>{payment.kind === 'refund' ? '-' : ''}{formatPeso(payment.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+
+      {error && <div className="order-payments-error">{error}</div>}
+
+      <form className="order-payments-form" onSubmit={handleSubmit}>
+        <select value={form.kind} onChange={(e) => setForm(prev => ({ ...prev, kind: e.target.value }))}>
+          <option value="payment">Payment</option>
+          <option value="refund">Refund</option>
+        </select>
+        <input
+          type="number"
+          min="0.01"
+          step="0.01"
+          placeholder="Amount"
+          value={form.amount}
+          onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+          required
+        />
+        <select value={form.method} onChange={(e) => setForm(prev => ({ ...prev, method: e.target.value }))}>
+          {Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Reference no. (optional)"
+          value={form.reference}
+          onChange={(e) => setForm(prev => ({ ...prev, reference: e.target.value }))}
+        />
+        <input
+          type="text"
+          placeholder="Notes (optional)"
+          value={form.notes}
+          onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+        />
+        <button type="submit" className="order-payments-btn" disabled={saving}>
+          {saving ? 'Saving...' : form.kind === 'refund' ? 'Record Refund' : 'Record Payment'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default OrderPaymentsPanel;
@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaBoxes } from 'react-icons/fa';
+import orderService from '../../services/orderService';
+import './OrderShipmentsPanel.css';
+
+const CLOSED_STATUSES = ['picked_up_delivered', 'cancelled', 'refunded'];
+
+export const SHIPMENT_STATUS_LABELS = {
+  pending: 'Waiting',
+  ready: 'Ready',
+  picked_up_delivered: 'Handed over'
+};
+
+const formatPeso = (value) => `₱${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const emptyHandover = { pickupCode: '', photos: [], deliveryPersonName: '', deliveryPersonContact: '', notes: '' };
+
+// Split an order into parts handed over separately (admin order details)
+const OrderShipmentsPanel = ({ order }) => {
+  const [shipments, setShipments] = useState([]);
+  const [suggestedSplit, setSuggestedSplit] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [splitting, setSplitting] = useState(false);
+  const [labels, setLabels] = useState(['Release now', 'Release later']);
+  const [assignments, setAssignments] = useState([]);
+  const [handoverId, setHandoverId] = useState(null);
+  const [handover, setHandover] = useState(emptyHandover);
+  const [notice, setNotice] = useState('');
+
+  const items = order.orderItems || [];
+  const isClosed = CLOSED_STATUSES.includes(order.status);
+
+  const fetchShipments = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await orderService.getOrderShipments(order.id);
+      setShipments(data.shipments || []);
+      setSuggestedSplit(data.suggestedSplit || null);
+    } catch (fetchError) {
+      console.error('Error fetching order parts:', fetchError);
+      setError(fetchError.message || 'Failed to load order parts');
+    } finally {
+      setLoading(false);
+    }
+  }, [order.id]);
+
+  useEffect(() => {
+    fetchShipments();
+  }, [fetchShipments]);
+
+  const startSplit = () => {
+    // Part index per order line; the suggestion puts stock lines in part 1
+    const initial = items.map((item, index) =>
+      suggestedSplit ? suggestedSplit.findIndex(part => part.lines.includes(index)) : (index === 0 ? 0 : 1)
+    );
+    if (suggestedSplit) {
+      setLabels(suggestedSplit.map(part => part.label));
+    }
+    setAssignments(initial);
+    setSplitting(true);
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    setSaving(true);
+    setError('');
+    try {
+      const result = await action();
+      await fetchShipments();
+      return result || true;
+    } catch (actionError) {
+      setError(actionError.message || fallbackMessage);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSplit = async (e) => {
+    e.preventDefault();
+    const parts = labels.map((label, partIndex) => ({
+      label,
+      lines: assignments.map((assigned, line) => (assigned === partIndex ? line : null)).filter(line => line !== null)
+    }));
+    if (await runAction(() => orderService.splitOrder(order.id, parts), 'Failed to split order')) {
+      setSplitting(false);
+    }
+  };
+
+  const handleMerge = () => {
+    if (!window.confirm('Merge the parts back into a single order?')) {
+      return;
+    }
+    runAction(() => orderService.mergeOrderParts(order.id), 'Failed to merge parts');
+  };
+
+  const moveShipment = async (shipment, status, details = {}) => {
+    const result = await runAction(
+      () => orderService.updateShipmentStatus(order.id, shipment.id, { status, ...details }),
+      'Failed to update part'
+    );
+    if (!result) {
+      return;
+    }
+    setHandoverId(null);
+    setHandover(emptyHandover);
+    if (status === 'ready' && order.shippingMethod === 'pickup') {
+      setNotice(`${shipment.label} is ready. Ask the customer for their pickup code at handover.`);
+    } else if (result.allHandedOver) {
+      setNotice('Every part has been handed over. Mark the order Picked Up / Delivered to close it.');
+    } else {
+      setNotice('');
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  // Nothing to split for single-line orders or orders that are already closed
+  if (shipments.length === 0 && (isClosed || items.length < 2)) {
+    return null;
+  }
+
+  const canMerge = shipments.length > 0 && !isClosed && shipments.every(shipment => shipment.status === 'pending');
+
+  return (
+    <div className="details-section order-shipments-section">
+      <h4 className="order-shipments-heading">
+        <FaBoxes className="order-shipments-heading-icon" />
+        Parts
+        {shipments.length === 0 && !splitting && (
+          <button className="order-shipments-btn" onClick={startSplit} disabled={saving}>Split order</button>
+        )}
+        {canMerge && (
+          <button className="order-shipments-btn" onClick={handleMerge} disabled={saving}>Merge parts</button>
+        )}
+      </h4>
+
+      {error && <div className="order-shipments-error">{error}</div>}
+      {notice && <div className="order-shipments-notice">{notice}</div>}
+
+      {shipments.length === 0 && !splitting && (
+        <div className="order-shipments-empty">
+          {suggestedSplit
+            ? 'This order mixes in-stock and made-to-order items. Split it to release the in-stock items now.'
+            : 'Split the order to hand over some items before the rest.'}
+        </div>
+      )}
+
+      {splitting && (
+        <form className="order-shipments-split" onSubmit={handleSplit}>
+          <div className="order-shipments-labels">
+            {labels.map((label, partIndex) => (
+              <input
+                key={partIndex}
+                value={label}
+                placeholder={`Part ${partIndex + 1}`}
+                onChange={(e) => setLabels(prev => prev.map((value, index) => (index === partIndex ? e.target.value : value)))}
+              />
+            ))}
+          </div>
+          {items.map((item, line) => (
+            <div key={line} className="order-shipments-line">
+              <span>{item.name} × {item.quantity || 1}</span>
+              <select
+                value={assignments[line]}
+                onChange={(e) => setAssignments(prev => prev.map((value, index) => (index === line ? parseInt(e.target.value) : value)))}
+              >
+                {labels.map((label, partIndex) => (
+                  <option key={partIndex} value={partIndex}>{label || `Part ${partIndex + 1}`}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+          <div className="order-shipments-actions">
+            <button type="submit" className="order-shipments-btn primary" disabled={saving}>Split</button>
+            <button type="button" className="order-shipments-btn" onClick={() => setSplitting(false)} disabled={saving}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {shipments.map(shipment => (
+        <div key={shipment.id} className="order-shipments-part">
+          <div className="order-shipments-part-header">
+            <strong>{shipment.label}</strong>
+            <span className={`order-shipments-status ${shipment.status}`}>{SHIPMENT_STATUS_LABELS[shipment.status] || shipment.status}</span>
+            <span className="order-shipments-amount">{formatPeso(shipment.amount)}</span>
+          </div>
+          <ul className="order-shipments-items">
+            {(shipment.items || []).map(item => (
+              <li key={item.line}>{item.name} × {item.quantity || 1}</li>
+            ))}
+          </ul>
+          {shipment.proofs.map(proof => (
+            <div key={proof.id} className="order-shipments-proof">
+              {proof.delivery_person_name && <span>By {proof.delivery_person_name}</span>}
+              {(proof.proof_images || []).map((url, index) => (
+                <a key={url} href={url} target="_blank" rel="noopener noreferrer">Photo {index + 1}</a>
+              ))}
+            </div>
+          ))}
+
+          {!isClosed && (
+            <div className="order-shipments-actions">
+              {shipment.status === 'pending' && (
+                <button className="order-shipments-btn primary" onClick={() => moveShipment(shipment, 'ready')} disabled={saving}>Mark ready</button>
+              )}
+              {shipment.status === 'ready' && handoverId !== shipment.id && (
+                <>
+                  <button className="order-shipments-btn primary" onClick={() => { setHandoverId(shipment.id); setHandover(emptyHandover); }} disabled={saving}>
+                    Hand over
+                  </button>
+                  <button className="order-shipments-btn" onClick={() => moveShipment(shipment, 'pending')} disabled={saving}>Not ready</button>
+                </>
+              )}
+            </div>
+          )}
+
+          {handoverId === shipment.id && (
+            <form
+              className="order-shipments-handover"
+              onSubmit={(e) => { e.preventDefault(); moveShipment(shipment, 'picked_up_delivered', handover); }}
+            >
+              {order.shippingMethod === 'pickup' ? (
+                <input
+                  placeholder="Customer's pickup code"
+                  value={handover.pickupCode}
+                  onChange={(e) => setHandover(prev => ({ ...prev, pickupCode: e.target.value }))}
+                  required
+                />
+              ) : (
+                <>
+                  <input placeholder="Delivered by" value={handover.deliveryPersonName} onChange={(e) => setHandover(prev => ({ ...prev, deliveryPersonName: e.target.value }))} />
+                  <input placeholder="Contact no." value={handover.deliveryPersonContact} onChange={(e) => setHandover(prev => ({ ...prev, deliveryPersonContact: e.target.value }))} />
+                </>
+              )}
+              <input
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={(e) => setHandover(prev => ({ ...prev, photos: Array.from(e.target.files) }))}
+                required={order.shippingMethod !== 'pickup'}
+              />
+              <input placeholder="Notes (optional)" value={handover.notes} onChange={(e) => setHandover(prev => ({ ...prev, notes: e.target.value }))} />
+              <div className="order-shipments-actions">
+                <button type="submit" className="order-shipments-btn primary" disabled={saving}>{saving ? 'Saving...' : 'Confirm handover'}</button>
+                <button type="button" className="order-shipments-btn" onClick={() => setHandoverId(null)} disabled={saving}>Cancel</button>
+              </div>
+            </form>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default OrderShipmentsPanel;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { FaHistory } from 'react-icons/fa';
+import './OrderStatusTimeline.css';
+import orderService from '../../services/orderService';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  layout: 'Layout',
+  sizing: 'Sizing',
+  printing: 'Printing',
+  press: 'Press',
+  prod: 'Prod',
+  packing_completing: 'Packing/Completing',
+  picked_up_delivered: 'Picked Up/Delivered',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded'
+};
+
+const SOURCE_LABELS = {
+  status_update: 'Status update',
+  design_review: 'Design review',
+  order_tracking: 'Order tracking',
+  after_sales: 'After-sales',
+  proof_approval: 'Proof approval'
+};
+
+const ROLE_LABELS = {
+  admin: 'Admin',
+  owner: 'Owner',
+  artist: 'Artist',
+  customer: 'Customer'
+};
+
+const statusLabel = (status) => STATUS_LABELS[status] || status;
+
+// Every status change of one order with who made it (admin order details)
+const OrderStatusTimeline = ({ orderId }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchHistory = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await orderService.getOrderStatusHistory(orderId);
+        if (!cancelled) {
+          setHistory(data.history || []);
+        }
+      } catch (fetchError) {
+        console.error('Error fetching status history:', fetchError);
+        if (!cancelled) {
+          setError(fetchError.message || 'Failed to load status history');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId]);
+
+  return (
+    <div className="details-section order-timeline-section">
+      <h4 className="order-timeline-heading">
+        <FaHistory className="order-timeline-heading-icon" />
+        Status Timeline
+      </h4>
+
+      {error && <div className="order-timeline-error">{error}</div>}
+
+      {loading ? (
+        <div className="order-timeline-empty">Loading...</div>
+      ) : history.length === 0 ? (
+        <div className="order-timeline-empty">No status changes recorded yet.</div>
+      ) : (
+        <ol className="order-timeline">
+          {history.map(entry => (
+            <li key={entry.id} className="order-timeline-entry">
+              <div className="order-timeline-change">
+                {entry.from_status ? `${statusLabel(entry.from_status)} → ` : ''}
+                <strong>{statusLabel(entry.to_status)}</strong>
+              </div>
+              <div className="order-timeline-meta">
+                {new Date(entry.created_at).toLocaleString()}
+                {' · '}
+                {entry.actor_name || ROLE_LABELS[entry.actor_role] || 'System'}
+                {entry.actor_name && entry.actor_role ? ` (${ROLE_LABELS[entry.actor_role] || entry.actor_role})` : ''}
+                {entry.source && entry.source !== 'status_update' ? ` · ${SOURCE_LABELS[entry.source] || entry.source}` : ''}
+              </div>
+              {entry.note && <div className="order-timeline-note">{entry.note}</div>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default OrderStatusTimeline;
@@ -45,6 +45,10 @@ import { getApparelSizeVisibility } from '../../utils/orderSizing';
 import designUploadService from '../../services/designUploadService';
 import chatService from '../../services/chatService';
 import OrderNotification from './OrderNotification';
+import OrderPaymentsPanel, { PAYMENT_STATUS_LABELS } from './OrderPaymentsPanel';
+import OrderStatusTimeline from './OrderStatusTimeline';
+import OrderShipmentsPanel from './OrderShipmentsPanel';
+import DesignProofsPanel from './DesignProofsPanel';
 import { supabase } from '../../lib/supabase';
 
 const Orders = () => {
@@ -60,6 +64,8 @@ const Orders = () => {
   const [showFilters, setShowFilters] = useState(false);
   const [uploadingDesigns, setUploadingDesigns] = useState({});
   const [notifications, setNotifications] = useState([]);
+  const [downloadingInvoice, setDownloadingInvoice] = useState(null);
+  const [downloadingRoster, setDownloadingRoster] = useState(null);
   const updatingOrdersRef = React.useRef(new Set());
   const [confirmDialog, setConfirmDialog] = useState(null);
   const [orderApprovalStatus, setOrderApprovalStatus] = useState({}); // Track approval status per order
@@ -637,6 +643,7 @@ const Orders = () => {
       case 'confirmed': return 'blue';
       case 'pending': return 'red';
       case 'cancelled': return 'gray';
+      case 'refunded': return 'gray';
       default: return 'gray';
     }
   };
@@ -652,7 +659,8 @@ const Orders = () => {
       'prod': 'PROD',
       'packing_completing': 'PACKING',
       'picked_up_delivered': 'PICKED UP/DELIVERED',
-      'cancelled': 'CANCELLED'
+      'cancelled': 'CANCELLED',
+      'refunded': 'REFUNDED'
     };
     return displayNames[status] || status.toUpperCase();
   };
@@ -669,6 +677,7 @@ const Orders = () => {
       case 'packing_completing': return 'Packing stage';
       case 'picked_up_delivered': return 'Order picked up or delivered';
       case 'cancelled': return 'Order cancelled';
+      case 'refunded': return 'Order refunded';
       default: return 'Unknown status';
     }
   };
@@ -713,6 +722,54 @@ const Orders = () => {
     return orderNumber;
   };
 
+  const handleDownloadInvoice = async (order) => {
+    setDownloadingInvoice(order.id);
+    try {
+      await orderService.downloadInvoice(order.id, order.orderNumber);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      addNotification({
+        type: 'error',
+        title: 'Invoice Failed',
+        message: error.message || 'Failed to generate invoice',
+        orderNumber: order.orderNumber
+      });
+    } finally {
+      setDownloadingInvoice(null);
+    }
+  };
+
+  const orderHasRoster = (order) => (order.orderItems || []).some(item =>
+    (item.product_type === 'custom_design' && item.team_members?.length > 0) ||
+    (item.isTeamOrder && item.teamMembers?.length > 0)
+  );
+
+  const handleDownloadRoster = async (order, format) => {
+    setDownloadingRoster(`${order.id}:${format}`);
+    try {
+      await orderService.downloadRoster(order.id, order.orderNumber, format);
+    } catch (error) {
+      console.error('Error downloading roster:', error);
+      addNotification({
+        type: 'error',
+        title: 'Roster Failed',
+        message: error.message || 'Failed to generate roster',
+        orderNumber: order.orderNumber
+      });
+    } finally {
+      setDownloadingRoster(null);
+    }
+  };
+
+  // Keep the list in sync after a payment is recorded in the details modal
+  const handlePaymentRecorded = (orderId, paymentTotals) => {
+    const applyTotals = (prevOrders) => prevOrders.map(order =>
+      order.id === orderId ? { ...order, ...paymentTotals } : order
+    );
+    setOrders(applyTotals);
+    setFilteredOrders(applyTotals);
+  };
+
   const toggleOrderExpansion = (orderId) => {
     setExpandedOrder(expandedOrder === orderId ? null : orderId);
   };
@@ -815,6 +872,16 @@ const Orders = () => {
         return;
       }
       
+      // Pickup orders are handed over against the code emailed to the customer when packed
+      let pickupCode = null;
+      if (newStatus === 'picked_up_delivered' && order?.shippingMethod === 'pickup') {
+        pickupCode = window.prompt(`Enter the pickup code the customer received for order ${orderNumber}:`);
+        if (pickupCode === null) {
+          updatingOrdersRef.current.delete(orderId);
+          return;
+        }
+      }
+
       // Optimistic update - update UI immediately for faster response
       setOrders(prevOrders =>
         prevOrders.map(order =>
@@ -842,7 +909,7 @@ const Orders = () => {
       });
       
       // Make API call in background (non-blocking)
-      orderService.updateOrderStatus(orderId, newStatus)
+      orderService.updateOrderStatus(orderId, newStatus, { pickupCode })
         .then((response) => {
           console.log(`✅ Frontend: Order status update successful`);
           updatingOrdersRef.current.delete(orderId);
@@ -949,6 +1016,9 @@ const Orders = () => {
           } else if (error.message && error.message.includes('Order must be in layout status')) {
             errorTitle = 'Invalid Status Transition';
             errorMessage = 'Order must be in layout status before moving to sizing';
+          } else if (error.message && /pickup code/i.test(error.message)) {
+            errorTitle = 'Pickup Code Required';
+            errorMessage = error.message;
           } else if (error.message && error.message.includes('No active artists available')) {
             errorTitle = 'No Artists Available';
             errorMessage = 'Cannot assign task: No active artists available. Please ensure at least one artist profile is active.';
@@ -1469,6 +1539,11 @@ const Orders = () => {
                 
                 <div className="yh-orders-table-cell yh-orders-cell-total">
                   <span className="yh-orders-total-price">₱{(order.totalAmount || 0).toFixed(2)}</span>
+                  {order.paymentStatus && (
+                    <span className={`yh-orders-payment-status payment-${order.paymentStatus}`}>
+                      {PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus}
+                    </span>
+                  )}
                 </div>
                 
                 <div className="yh-orders-table-cell yh-orders-cell-date">
@@ -1670,6 +1745,24 @@ const Orders = () => {
                           })()}
                         </span>
                       </div>
+                      {order.shippingMethod === 'pickup' && order.pickupSlotStart && (
+                        <div className="yh-customer-info-row">
+                          <span className="yh-customer-label">
+                            <FaClock className="yh-customer-icon" />
+                            Pickup Time:
+                          </span>
+                          <span className="yh-customer-value">
+                            {new Date(order.pickupSlotStart).toLocaleString('en-PH', {
+                              timeZone: 'Asia/Manila',
+                              weekday: 'short',
+                              month: 'short',
+                              day: 'numeric',
+                              hour: 'numeric',
+                              minute: '2-digit'
+                            })}
+                          </span>
+                        </div>
+                      )}
                       {assignedArtists[expandedOrder] && (
                         <div className="yh-customer-info-row">
                           <span className="yh-customer-label">
@@ -1687,6 +1780,56 @@ const Orders = () => {
                   <div className="details-section">
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
                       <h4 style={{ margin: 0 }}><FaBox className="section-icon" />Order Items</h4>
+                      <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button
+                        type="button"
+                        onClick={() => handleDownloadInvoice(order)}
+                        disabled={downloadingInvoice === order.id}
+                        style={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '0.5rem',
+                          padding: '0.5rem 1rem',
+                          backgroundColor: '#0f766e',
+                          color: 'white',
+                          border: 'none',
+                          borderRadius: '6px',
+                          cursor: downloadingInvoice === order.id ? 'not-allowed' : 'pointer',
+                          fontSize: '14px',
+                          fontWeight: 500,
+                          opacity: downloadingInvoice === order.id ? 0.7 : 1
+                        }}
+                      >
+                        <FaDownload /> {downloadingInvoice === order.id ? 'Preparing...' : 'Invoice PDF'}
+                      </button>
+                      {orderHasRoster(order) && ['pdf', 'csv'].map(format => {
+                        const isDownloading = downloadingRoster === `${order.id}:${format}`;
+                        return (
+                          <button
+                            key={format}
+                            type="button"
+                            onClick={() => handleDownloadRoster(order, format)}
+                            disabled={isDownloading}
+                            title={format === 'pdf' ? 'Printable roster with size tally' : 'Roster spreadsheet (can be imported into a new team order)'}
+                            style={{
+                              display: 'flex',
+                              alignItems: 'center',
+                              gap: '0.5rem',
+                              padding: '0.5rem 1rem',
+                              backgroundColor: '#4338ca',
+                              color: 'white',
+                              border: 'none',
+                              borderRadius: '6px',
+                              cursor: isDownloading ? 'not-allowed' : 'pointer',
+                              fontSize: '14px',
+                              fontWeight: 500,
+                              opacity: isDownloading ? 0.7 : 1
+                            }}
+                          >
+                            <FaDownload /> {isDownloading ? 'Preparing...' : `Roster ${format.toUpperCase()}`}
+                          </button>
+                        );
+                      })}
                       <button
                         type="button"
                         onClick={() => {
@@ -1702,8 +1845,7 @@ const Orders = () => {
                           // Clone the section and remove the print button
                           const printContent = orderItemsSection.cloneNode(true);
                           const headerDiv = printContent.querySelector('div[style*="display: flex"]');
-                          const printBtn = headerDiv?.querySelector('button');
-                          if (printBtn) printBtn.remove();
+                          headerDiv?.querySelectorAll('button').forEach(button => button.remove());
                           
                           const printWindow = window.open('', '_blank');
                           
@@ -1841,6 +1983,7 @@ const Orders = () => {
                       >
                         <FaPrint /> Print Order Items
                       </button>
+                      </div>
                     </div>
                     {(Array.isArray(order.orderItems) ? order.orderItems : []).map((item, index) => {
                       // Determine category for hiding fields
@@ -2296,6 +2439,14 @@ const Orders = () => {
                       </div>
                     </div>
                   </div>
+
+                  <OrderPaymentsPanel order={order} onPaymentRecorded={handlePaymentRecorded} />
+
+                  <OrderShipmentsPanel key={`parts:${order.id}:${order.status}`} order={order} />
+
+                  <DesignProofsPanel key={`proofs:${order.id}:${order.status}`} order={order} onChanged={() => setRefreshKey(prev => prev + 1)} />
+
+                  <OrderStatusTimeline key={`${order.id}:${order.status}`} orderId={order.id} />
                   
                   {order.orderNotes && (
                     <div className="details-section">
@@ -2355,7 +2506,7 @@ const Orders = () => {
                       
                       {/* Assigned Artist */}
                       {assignedArtists[expandedOrder] && (
-                        <div className="status-info-card" style={{ marginTop: '0.75rem', marginBottom: '1.5rem' }}>
+                        <div className="status-info-card" style={{ marginTop: '0.75rem', marginBottom: '1.5rem', flexWrap: 'wrap' }}>
                           <span className="status-label">
                             <FaPalette style={{ marginRight: '0.5rem' }} />
                             Assigned Artist:
@@ -2363,6 +2514,12 @@ const Orders = () => {
                           <span className="status-value" style={{ color: 'var(--text-primary)' }}>
                             {assignedArtists[expandedOrder].artist_name || 'N/A'}
                           </span>
+                          {assignedArtists[expandedOrder].assignmentReasons?.reasons?.length > 0 && (
+                            <div style={{ flexBasis: '100%', marginTop: '0.375rem', fontSize: '12px', color: '#64748b' }}>
+                              Assigned because: {assignedArtists[expandedOrder].assignmentReasons.reasons.join('; ')}
+                              {assignedArtists[expandedOrder].assignmentReasons.overCapacity && ' (all artists were at daily capacity)'}
+                            </div>
+                          )}
                         </div>
                       )}
 
@@ -2866,7 +3023,7 @@ const Orders = () => {
                                   setConfirmDialog({
                                     show: true,
                                     title: 'Approve Designs?',
-                                    message: 'This will move the order status to Sizing.',
+                                    message: 'This will move the order status to Sizing. The customer must have approved the latest design proof.',
                                     currentStatus: getStatusDisplayName(order.status),
                                     newStatus: getStatusDisplayName('sizing'),
                                     onConfirm: async () => {
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaReceipt } from 'react-icons/fa';
+import './PaymentProofsQueue.css';
+import orderService from '../../services/orderService';
+
+const METHOD_LABELS = {
+  bank_transfer: 'Bank transfer',
+  gcash: 'GCash'
+};
+
+const formatPeso = (value) => `₱${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Receipts customers uploaded for bank transfer / GCash payments, waiting for an admin to verify
+const PaymentProofsQueue = () => {
+  const [status, setStatus] = useState('pending');
+  const [proofs, setProofs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const fetchProofs = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setProofs(await orderService.getPaymentProofQueue(status));
+    } catch (fetchError) {
+      console.error('Error fetching payment proofs:', fetchError);
+      setError(fetchError.message || 'Failed to load payment proofs');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchProofs();
+  }, [fetchProofs]);
+
+  const handleApprove = async (proof) => {
+    setBusyId(proof.id);
+    setError('');
+    try {
+      await orderService.approvePaymentProof(proof.id);
+      await fetchProofs();
+    } catch (approveError) {
+      setError(approveError.message || 'Failed to approve proof of payment');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = async (e) => {
+    e.preventDefault();
+    setBusyId(rejecting);
+    setError('');
+    try {
+      await orderService.rejectPaymentProof(rejecting, reason);
+      setRejecting(null);
+      setReason('');
+      await fetchProofs();
+    } catch (rejectError) {
+      setError(rejectError.message || 'Failed to reject proof of payment');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="payment-proofs-queue">
+      <div className="payment-proofs-header">
+        <h2><FaReceipt /> Payment Verification</h2>
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+        </select>
+      </div>
+
+      {error && <div className="payment-proofs-error">{error}</div>}
+
+      {loading ? (
+        <div className="payment-proofs-empty">Loading...</div>
+      ) : proofs.length === 0 ? (
+        <div className="payment-proofs-empty">
+          {status === 'pending' ? 'No receipts waiting for verification.' : `No ${status} receipts.`}
+        </div>
+      ) : (
+        <table className="payment-proofs-table">
+          <thead>
+            <tr>
+              <th>Receipt</th>
+              <th>Order</th>
+              <th>Customer</th>
+              <th>Amount</th>
+              <th>Method / Ref</th>
+              <th>Balance</th>
+              <th>Submitted</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {proofs.map(proof => (
+              <tr key={proof.id}>
+                <td>
+                  <a href={proof.image_url} target="_blank" rel="noopener noreferrer">
+                    <img src={proof.image_url} alt="Payment receipt" className="payment-proofs-thumb" />
+                  </a>
+                </td>
+                <td>
+                  {proof.order?.order_number}
+                  <div className="payment-proofs-muted">{proof.order?.pickup_location}</div>
+                </td>
+                <td>{proof.customer_name || '—'}</td>
+                <td>{formatPeso(proof.amount)}</td>
+                <td>
+                  {METHOD_LABELS[proof.method] || proof.method}
+                  <div className="payment-proofs-muted">{proof.reference || 'No reference'}</div>
+                </td>
+                <td>{formatPeso(proof.order?.balance_due)}</td>
+                <td>{new Date(proof.created_at).toLocaleString()}</td>
+                <td className="payment-proofs-actions">
+                  {proof.status === 'pending' ? (
+                    rejecting === proof.id ? (
+                      <form onSubmit={handleReject} className="payment-proofs-reject-form">
+                        <input
+                          type="text"
+                          value={reason}
+                          onChange={(e) => setReason(e.target.value)}
+                          placeholder="Reason sent to the customer"
+                          required
+                          autoFocus
+                        />
+                        <button type="submit" className="payment-proofs-btn reject" disabled={busyId === proof.id}>Send</button>
+                        <button type="button" className="payment-proofs-btn" onClick={() => setRejecting(null)}>Cancel</button>
+                      </form>
+                    ) : (
+                      <>
+                        <button
+                          className="payment-proofs-btn approve"
+                          onClick={() => handleApprove(proof)}
+                          disabled={busyId === proof.id}
+                        >
+                          Approve
+                        </button>
+                        <button
+                          className="payment-proofs-btn reject"
+                          onClick={() => { setRejecting(proof.id); setReason(''); }}
+                          disabled={busyId === proof.id}
+                        >
+                          Reject
+                        </button>
+                      </>
+                    )
+                  ) : proof.status === 'rejected' ? (
+                    <span className="payment-proofs-muted">{proof.rejection_reason}</span>
+                  ) : (
+                    <span className="payment-proofs-muted">Recorded</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default PaymentProofsQueue;
@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaStore, FaTrash } from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
+import branchService from '../../services/branchService';
+import './PickupWindowsPanel.css';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const emptyForm = {
+  dayOfWeek: 1,
+  opensAt: '09:00',
+  closesAt: '17:00',
+  slotMinutes: 60,
+  capacity: 5
+};
+
+const toInputTime = (value) => (value || '').slice(0, 5);
+
+// Weekly pickup hours of a branch; customers book slots from these at checkout or in My Orders
+const PickupWindowsPanel = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.user_metadata?.role === 'admin';
+  const adminBranchId = user?.user_metadata?.branch_id ? parseInt(user.user_metadata.branch_id) : null;
+
+  const [expanded, setExpanded] = useState(false);
+  const [branches, setBranches] = useState([]);
+  const [branchId, setBranchId] = useState(isAdmin ? adminBranchId : null);
+  const [windows, setWindows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!expanded || isAdmin) {
+      return;
+    }
+    branchService.getBranches()
+      .then(list => {
+        setBranches(list);
+        if (list.length > 0) {
+          setBranchId(prev => prev || list[0].id);
+        }
+      })
+      .catch(fetchError => console.error('Error fetching branches:', fetchError));
+  }, [expanded, isAdmin]);
+
+  const fetchWindows = useCallback(async () => {
+    if (!branchId) {
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      setWindows(await branchService.getPickupWindows(branchId));
+    } catch (fetchError) {
+      console.error('Error fetching pickup windows:', fetchError);
+      setError(fetchError.message || 'Failed to load pickup hours');
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  useEffect(() => {
+    if (expanded) {
+      fetchWindows();
+    }
+  }, [expanded, fetchWindows]);
+
+  const saveWindow = async (pickupWindow) => {
+    setSaving(true);
+    setError('');
+    try {
+      await branchService.savePickupWindow(branchId, pickupWindow);
+      await fetchWindows();
+      return true;
+    } catch (saveError) {
+      setError(saveError.message || 'Failed to save pickup hours');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await saveWindow(form)) {
+      setForm(emptyForm);
+    }
+  };
+
+  const toggleActive = (pickupWindow) => saveWindow({
+    id: pickupWindow.id,
+    dayOfWeek: pickupWindow.day_of_week,
+    opensAt: toInputTime(pickupWindow.opens_at),
+    closesAt: toInputTime(pickupWindow.closes_at),
+    slotMinutes: pickupWindow.slot_minutes,
+    capacity: pickupWindow.capacity,
+    isActive: !pickupWindow.is_active
+  });
+
+  const handleDelete = async (pickupWindow) => {
+    const label = `${DAY_NAMES[pickupWindow.day_of_week]} ${toInputTime(pickupWindow.opens_at)}–${toInputTime(pickupWindow.closes_at)}`;
+    if (!window.confirm(`Remove the ${label} pickup hours? Orders already booked keep their time.`)) {
+      return;
+    }
+    setSaving(true);
+    setError('');
+    try {
+      await branchService.deletePickupWindow(branchId, pickupWindow.id);
+      await fetchWindows();
+    } catch (deleteError) {
+      setError(deleteError.message || 'Failed to remove pickup hours');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={`pickup-windows-panel ${expanded ? '' : 'collapsed'}`}>
+      <div className="pickup-windows-header">
+        <h2><FaStore /> Pickup Hours</h2>
+        {expanded && !isAdmin && (
+          <select value={branchId || ''} onChange={(e) => setBranchId(parseInt(e.target.value))}>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        )}
+        <button className="pickup-windows-btn" onClick={() => setExpanded(prev => !prev)}>
+          {expanded ? 'Hide' : 'Manage'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          {error && <div className="pickup-windows-error">{error}</div>}
+
+          {loading ? (
+            <div className="pickup-windows-muted">Loading...</div>
+          ) : windows.length === 0 ? (
+            <div className="pickup-windows-muted">No pickup hours yet. Customers can still order for pickup, but can't book a time.</div>
+          ) : (
+            <table className="pickup-windows-table">
+              <thead>
+                <tr>
+                  <th>Day</th>
+                  <th>Hours</th>
+                  <th>Slot length</th>
+                  <th>Orders per slot</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {windows.map(pickupWindow => (
+                  <tr key={pickupWindow.id} className={pickupWindow.is_active ? '' : 'inactive'}>
+                    <td>{DAY_NAMES[pickupWindow.day_of_week]}</td>
+                    <td>{toInputTime(pickupWindow.opens_at)}–{toInputTime(pickupWindow.closes_at)}</td>
+                    <td>{pickupWindow.slot_minutes} min</td>
+                    <td>{pickupWindow.capacity}</td>
+                    <td className="pickup-windows-actions">
+                      <button className="pickup-windows-btn" onClick={() => toggleActive(pickupWindow)} disabled={saving}>
+                        {pickupWindow.is_active ? 'Pause' : 'Resume'}
+                      </button>
+                      <button className="pickup-windows-btn danger" onClick={() => handleDelete(pickupWindow)} disabled={saving}>
+                        <FaTrash />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <form className="pickup-windows-form" onSubmit={handleAdd}>
+            <select value={form.dayOfWeek} onChange={(e) => setForm(prev => ({ ...prev, dayOfWeek: parseInt(e.target.value) }))}>
+              {DAY_NAMES.map((name, index) => (
+                <option key={name} value={index}>{name}</option>
+              ))}
+            </select>
+            <input type="time" value={form.opensAt} onChange={(e) => setForm(prev => ({ ...prev, opensAt: e.target.value }))} required />
+            <span>to</span>
+            <input type="time" value={form.closesAt} onChange={(e) => setForm(prev => ({ ...prev, closesAt: e.target.value }))} required />
+            <label>
+              Slot
+              <input
+                type="number"
+                min="10"
+                max="480"
+                step="5"
+                value={form.slotMinutes}
+                onChange={(e) => setForm(prev => ({ ...prev, slotMinutes: e.target.value }))}
+              />
+              min
+            </label>
+            <label>
+              Capacity
+              <input
+                type="number"
+                min="1"
+                value={form.capacity}
+                onChange={(e) => setForm(prev => ({ ...prev, capacity: e.target.value }))}
+              />
+            </label>
+            <button type="submit" className="pickup-windows-btn primary" disabled={saving || !branchId}>Add hours</button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PickupWindowsPanel;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaIndustry, FaSyncAlt, FaExclamationTriangle, FaSlidersH } from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
+import branchService from '../../services/branchService';
+import productionWorkflowService from '../../services/productionWorkflowService';
+import './ProductionBoard.css';
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const DUE_SOON_MS = 24 * 60 * 60 * 1000;
+
+const formatDuration = (ms) => {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes % 60}m`;
+  }
+  return `${minutes}m`;
+};
+
+const formatDeadline = (value) => new Date(value).toLocaleString('en-PH', {
+  month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+const deadlineClass = (deadline, now) => {
+  if (!deadline) {
+    return '';
+  }
+  const remaining = new Date(deadline).getTime() - now;
+  if (remaining < 0) {
+    return 'overdue';
+  }
+  return remaining < DUE_SOON_MS ? 'due-soon' : '';
+};
+
+// Production floor: one column per stage. Drag a card to the next column to finish its stage
+// and start the next one. Columns over the branch's WIP limit are highlighted as bottlenecks.
+const ProductionBoard = () => {
+  const { user } = useAuth();
+  const isOwner = user?.user_metadata?.role === 'owner';
+
+  const [branches, setBranches] = useState([]);
+  const [branchId, setBranchId] = useState('');
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const [dragged, setDragged] = useState(null);
+  const [dropStage, setDropStage] = useState(null);
+  const [movingOrderId, setMovingOrderId] = useState(null);
+  const [editingLimits, setEditingLimits] = useState(false);
+  const [limitDraft, setLimitDraft] = useState({});
+  const [savingLimits, setSavingLimits] = useState(false);
+
+  useEffect(() => {
+    if (!isOwner) {
+      return;
+    }
+    branchService.getBranches()
+      .then(setBranches)
+      .catch(fetchError => console.error('Error fetching branches:', fetchError));
+  }, [isOwner]);
+
+  const fetchBoard = useCallback(async () => {
+    try {
+      setBoard(await productionWorkflowService.getBoard(isOwner ? branchId : null));
+      setNow(Date.now());
+      setError('');
+    } catch (fetchError) {
+      setError(fetchError.message || 'Failed to load the production board');
+    } finally {
+      setLoading(false);
+    }
+  }, [isOwner, branchId]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchBoard();
+    const interval = setInterval(fetchBoard, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchBoard]);
+
+  const columns = board?.columns || [];
+  const stageName = (stage) => board?.stageNames?.[stage] || productionWorkflowService.getStageDisplayName(stage);
+  const canDropOn = (stage) => {
+    if (!dragged) {
+      return false;
+    }
+    const fromIndex = columns.findIndex(column => column.stage === dragged.stage);
+    return columns[fromIndex + 1]?.stage === stage;
+  };
+
+  const handleDrop = async (stage) => {
+    const card = dragged;
+    setDragged(null);
+    setDropStage(null);
+    if (!card || !canDropOn(stage)) {
+      return;
+    }
+
+    setMovingOrderId(card.orderId);
+    let moveError = null;
+    try {
+      await productionWorkflowService.advanceStage(card.orderId, card.stage, stage);
+    } catch (advanceError) {
+      moveError = advanceError;
+    }
+    // Reload either way: a refused move usually means the board was out of date
+    await fetchBoard();
+    setMovingOrderId(null);
+    if (moveError) {
+      setError(`Order ${card.orderNumber}: ${moveError.message}`);
+    }
+  };
+
+  const startEditingLimits = () => {
+    setLimitDraft(Object.fromEntries(columns.map(column => [column.stage, column.wipLimit ?? ''])));
+    setEditingLimits(true);
+  };
+
+  const saveLimits = async () => {
+    setSavingLimits(true);
+    try {
+      await productionWorkflowService.saveWipLimits(limitDraft, isOwner ? branchId : null);
+      setEditingLimits(false);
+      await fetchBoard();
+    } catch (saveError) {
+      setError(saveError.message || 'Failed to save WIP limits');
+    } finally {
+      setSavingLimits(false);
+    }
+  };
+
+  const bottlenecks = columns.filter(column => column.overLimit);
+  // Owners looking at every branch have no single set of limits to edit
+  const canEditLimits = Boolean(board?.branch);
+
+  return (
+    <div className="production-board">
+      <div className="production-board-header">
+        <h2><FaIndustry /> Production Board</h2>
+        {isOwner && (
+          <select value={branchId} onChange={(e) => { setEditingLimits(false); setBranchId(e.target.value); }}>
+            <option value="">All branches</option>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        )}
+        {!isOwner && board?.branch?.name && <span className="production-board-muted">{board.branch.name}</span>}
+        {canEditLimits && !editingLimits && (
+          <button className="production-board-btn" onClick={startEditingLimits}><FaSlidersH /> WIP limits</button>
+        )}
+        {editingLimits && (
+          <>
+            <button className="production-board-btn primary" onClick={saveLimits} disabled={savingLimits}>
+              {savingLimits ? 'Saving...' : 'Save limits'}
+            </button>
+            <button className="production-board-btn" onClick={() => setEditingLimits(false)} disabled={savingLimits}>Cancel</button>
+          </>
+        )}
+        <button className="production-board-btn" onClick={fetchBoard} title="Refresh"><FaSyncAlt /></button>
+      </div>
+
+      {error && <div className="production-board-error">{error}</div>}
+      {bottlenecks.length > 0 && (
+        <div className="production-board-warning">
+          <FaExclamationTriangle /> Over WIP limit: {bottlenecks.map(column => `${stageName(column.stage)} (${column.count}/${column.wipLimit})`).join(', ')}
+        </div>
+      )}
+      {isOwner && !canEditLimits && (
+        <div className="production-board-muted">Pick a branch to see and set its WIP limits.</div>
+      )}
+
+      {loading && !board ? (
+        <div className="production-board-muted">Loading production board...</div>
+      ) : (
+        <div className="production-board-columns">
+          {columns.map(column => {
+            const droppable = canDropOn(column.stage);
+            return (
+              <section
+                key={column.stage}
+                className={[
+                  'production-board-column',
+                  column.overLimit ? 'over-limit' : '',
+                  column.wipLimit && column.count === column.wipLimit ? 'at-limit' : '',
+                  droppable ? 'droppable' : '',
+                  droppable && dropStage === column.stage ? 'drop-target' : ''
+                ].join(' ')}
+                onDragOver={(e) => {
+                  if (droppable) {
+                    e.preventDefault();
+                    setDropStage(column.stage);
+                  }
+                }}
+                onDragLeave={() => setDropStage(prev => (prev === column.stage ? null : prev))}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  handleDrop(column.stage);
+                }}
+              >
+                <header className="production-board-column-header">
+                  <h3>{stageName(column.stage)}</h3>
+                  {editingLimits ? (
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="No limit"
+                      value={limitDraft[column.stage] ?? ''}
+                      onChange={(e) => setLimitDraft(prev => ({ ...prev, [column.stage]: e.target.value }))}
+                    />
+                  ) : (
+                    <span className="production-board-count">
+                      {column.count}{column.wipLimit ? ` / ${column.wipLimit}` : ''}
+                    </span>
+                  )}
+                </header>
+
+                <div className="production-board-cards">
+                  {column.orders.length === 0 && <div className="production-board-empty">No orders</div>}
+                  {column.orders.map(card => (
+                    <article
+                      key={card.orderId}
+                      className={`production-board-card ${card.stageStatus} ${movingOrderId === card.orderId ? 'moving' : ''}`}
+                      draggable={!movingOrderId}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        setDragged(card);
+                      }}
+                      onDragEnd={() => {
+                        setDragged(null);
+                        setDropStage(null);
+                      }}
+                    >
+                      <div className="production-board-card-title">
+                        <strong>{card.orderNumber}</strong>
+                        {card.stageStatus === 'pending' && <span className="production-board-tag">Not started</span>}
+                      </div>
+                      <div className="production-board-muted">{card.branchName || 'No branch'}</div>
+                      <div className="production-board-card-meta">
+                        <span>{card.itemCount} {card.itemCount === 1 ? 'item' : 'items'}</span>
+                        <span title="Time in this stage">⏱ {formatDuration(now - new Date(card.stageEnteredAt).getTime())}</span>
+                      </div>
+                      {card.deadline && (
+                        <div className={`production-board-deadline ${deadlineClass(card.deadline, now)}`}>
+                          {card.deadlineKind === 'pickup' ? 'Pickup' : 'Design due'} {formatDeadline(card.deadline)}
+                        </div>
+                      )}
+                    </article>
+                  ))}
+                </div>
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductionBoard;
@@ -53,9 +53,7 @@ const ProductionWorkflow = ({ orderId, onUpdate }) => {
       await productionWorkflowService.updateStage(
         orderId, 
         stage, 
-        newStatus,
-        '',
-        'admin'
+        newStatus
       );
       
       // Reload workflow and progress
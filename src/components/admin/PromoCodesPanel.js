@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './PromoCodesPanel.css';
+import promoCodeService from '../../services/promoCodeService';
+
+const CATEGORY_OPTIONS = ['jerseys', 'uniforms', 't-shirts', 'long sleeves', 'hoodies', 'jackets', 'accessories', 'hats', 'balls', 'trophies', 'medals'];
+
+const emptyForm = {
+  code: '',
+  description: '',
+  discount_type: 'percentage',
+  discount_value: '',
+  min_spend: '',
+  categories: [],
+  max_uses: '',
+  max_uses_per_user: '1',
+  starts_at: '',
+  expires_at: ''
+};
+
+const formatDiscount = (promo) => (
+  promo.discount_type === 'percentage'
+    ? `${parseFloat(promo.discount_value)}% off`
+    : `₱${parseFloat(promo.discount_value).toLocaleString()} off`
+);
+
+const PromoCodesPanel = () => {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPromoCodes = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await promoCodeService.getPromoCodes();
+      setPromoCodes(Array.isArray(data) ? data : []);
+    } catch (fetchError) {
+      console.error('Error fetching promo codes:', fetchError);
+      setError(fetchError.message || 'Failed to load promo codes');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPromoCodes();
+  }, [fetchPromoCodes]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleCategory = (category) => {
+    setForm(prev => ({
+      ...prev,
+      categories: prev.categories.includes(category)
+        ? prev.categories.filter(item => item !== category)
+        : [...prev.categories, category]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await promoCodeService.createPromoCode({
+        ...form,
+        starts_at: form.starts_at ? new Date(form.starts_at).toISOString() : null,
+        expires_at: form.expires_at ? new Date(form.expires_at).toISOString() : null
+      });
+      setForm(emptyForm);
+      setShowForm(false);
+      await fetchPromoCodes();
+    } catch (saveError) {
+      setError(saveError.message || 'Failed to create promo code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (promo) => {
+    setError('');
+    try {
+      await promoCodeService.updatePromoCode(promo.id, { is_active: !promo.is_active });
+      await fetchPromoCodes();
+    } catch (toggleError) {
+      setError(toggleError.message || 'Failed to update promo code');
+    }
+  };
+
+  const isExpired = (promo) => promo.expires_at && new Date(promo.expires_at) <= new Date();
+
+  return (
+    <div className="promo-codes-panel">
+      <div className="promo-codes-header">
+        <div>
+          <h2>Promo Codes</h2>
+          <p>Codes customers can redeem at checkout. Use the same code in your marketing emails.</p>
+        </div>
+        <button className="promo-codes-btn" onClick={() => setShowForm(!showForm)}>
+          {showForm ? 'Cancel' : 'New Promo Code'}
+        </button>
+      </div>
+
+      {error && <div className="promo-codes-error">{error}</div>}
+
+      {showForm && (
+        <form className="promo-codes-form" onSubmit={handleSubmit}>
+          <label>
+            Code
+            <input
+              type="text"
+              value={form.code}
+              onChange={(e) => handleChange('code', e.target.value.toUpperCase())}
+              placeholder="SUMMER10"
+              required
+            />
+          </label>
+          <label>
+            Discount type
+            <select value={form.discount_type} onChange={(e) => handleChange('discount_type', e.target.value)}>
+              <option value="percentage">Percentage</option>
+              <option value="fixed">Fixed amount (₱)</option>
+            </select>
+          </label>
+          <label>
+            Discount value
+            <input
+              type="number"
+              min="1"
+              max={form.discount_type === 'percentage' ? 100 : undefined}
+              value={form.discount_value}
+              onChange={(e) => handleChange('discount_value', e.target.value)}
+              required
+            />
+          </label>
+          <label>
+            Minimum spend (₱)
+            <input type="number" min="0" value={form.min_spend} onChange={(e) => handleChange('min_spend', e.target.value)} />
+          </label>
+          <label>
+            Total uses (blank = unlimited)
+            <input type="number" min="1" value={form.max_uses} onChange={(e) => handleChange('max_uses', e.target.value)} />
+          </label>
+          <label>
+            Uses per customer (blank = unlimited)
+            <input type="number" min="1" value={form.max_uses_per_user} onChange={(e) => handleChange('max_uses_per_user', e.target.value)} />
+          </label>
+          <label>
+            Starts
+            <input type="datetime-local" value={form.starts_at} onChange={(e) => handleChange('starts_at', e.target.value)} />
+          </label>
+          <label>
+            Expires
+            <input type="datetime-local" value={form.expires_at} onChange={(e) => handleChange('expires_at', e.target.value)} />
+          </label>
+          <label className="promo-codes-wide">
+            Description
+            <input type="text" value={form.description} onChange={(e) => handleChange('description', e.target.value)} />
+          </label>
+          <div className="promo-codes-wide">
+            <span className="promo-codes-label">Only for categories (none selected = all products)</span>
+            <div className="promo-codes-categories">
+              {CATEGORY_OPTIONS.map(category => (
+                <label key={category} className="promo-codes-category">
+                  <input
+                    type="checkbox"
+                    checked={form.categories.includes(category)}
+                    onChange={() => toggleCategory(category)}
+                  />
+                  {category}
+                </label>
+              ))}
+            </div>
+          </div>
+          <button type="submit" className="promo-codes-btn" disabled={saving}>
+            {saving ? 'Saving...' : 'Create Promo Code'}
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="promo-codes-empty">Loading promo codes...</div>
+      ) : promoCodes.length === 0 ? (
+        <div className="promo-codes-empty">No promo codes yet.</div>
+      ) : (
+        <div className="promo-codes-table-wrapper">
+          <table className="promo-codes-table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Discount</th>
+                <th>Min Spend</th>
+                <th>Categories</th>
+                <th>Used</th>
+                <th>Discount Given</th>
+                <th>Expires</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {promoCodes.map(promo => (
+                <tr key={promo.id}>
+                  <td>
+                    <strong>{promo.code}</strong>
+                    {promo.description && <div className="promo-codes-description">{promo.description}</div>}
+                  </td>
+                  <td>{formatDiscount(promo)}</td>
+                  <td>{parseFloat(promo.min_spend) > 0 ? `₱${parseFloat(promo.min_spend).toLocaleString()}` : '—'}</td>
+                  <td>{promo.categories?.length ? promo.categories.join(', ') : 'All'}</td>
+                  <td>
+                    {promo.used_count}{promo.max_uses ? ` / ${promo.max_uses}` : ''}
+                    {promo.max_uses_per_user && <div className="promo-codes-description">{promo.max_uses_per_user} per customer</div>}
+                  </td>
+                  <td>₱{(promo.total_discount || 0).toLocaleString()}</td>
+                  <td>{promo.expires_at ? new Date(promo.expires_at).toLocaleDateString() : 'Never'}</td>
+                  <td>
+                    {isExpired(promo) ? (
+                      <span className="promo-codes-status expired">Expired</span>
+                    ) : (
+                      <button
+                        className={`promo-codes-status ${promo.is_active ? 'active' : 'inactive'}`}
+                        onClick={() => handleToggleActive(promo)}
+                        title={promo.is_active ? 'Click to deactivate' : 'Click to activate'}
+                      >
+                        {promo.is_active ? 'Active' : 'Inactive'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromoCodesPanel;
@@ -0,0 +1,454 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './PurchaseOrdersPanel.css';
+import { supabase } from '../../lib/supabase';
+import { getAPI_URL } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  ordered: 'Ordered',
+  partially_received: 'Partially Received',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+const emptySupplierForm = {
+  name: '',
+  contact_person: '',
+  email: '',
+  phone: '',
+  address: ''
+};
+
+const PurchaseOrdersPanel = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.user_metadata?.role === 'admin';
+  const adminBranchId = user?.user_metadata?.branch_id ? parseInt(user.user_metadata.branch_id) : null;
+
+  const [branches, setBranches] = useState([]);
+  const [branchId, setBranchId] = useState(isAdmin ? adminBranchId : null);
+  const [suppliers, setSuppliers] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [lowStockRows, setLowStockRows] = useState([]);
+  const [selectedRows, setSelectedRows] = useState([]);
+  const [draftSupplierId, setDraftSupplierId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showSupplierForm, setShowSupplierForm] = useState(false);
+  const [supplierForm, setSupplierForm] = useState(emptySupplierForm);
+  const [expandedPoId, setExpandedPoId] = useState(null);
+  const [receiveQuantities, setReceiveQuantities] = useState({});
+  const [actionId, setActionId] = useState(null);
+
+  useEffect(() => {
+    const fetchBranches = async () => {
+      try {
+        const response = await fetch(`${getAPI_URL()}/api/branches`);
+        const data = await response.json();
+        const list = Array.isArray(data) ? data : [];
+        setBranches(list);
+        if (!isAdmin && list.length > 0) {
+          setBranchId(prev => prev || list[0].id);
+        }
+      } catch (fetchError) {
+        console.error('Error fetching branches:', fetchError);
+      }
+    };
+    fetchBranches();
+  }, [isAdmin]);
+
+  const authorizedFetch = async (path, options = {}) => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      throw new Error('No active session');
+    }
+    const response = await fetch(`${getAPI_URL()}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`,
+        'Content-Type': 'application/json',
+        ...(options.headers || {})
+      }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchData = useCallback(async () => {
+    if (!branchId) return;
+    setLoading(true);
+    setError('');
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        setError('No active session');
+        return;
+      }
+      const headers = { 'Authorization': `Bearer ${session.access_token}` };
+      const [suppliersResponse, ordersResponse, reportResponse] = await Promise.all([
+        fetch(`${getAPI_URL()}/api/purchasing/suppliers`, { headers }),
+        fetch(`${getAPI_URL()}/api/purchasing/purchase-orders?branchId=${branchId}`, { headers }),
+        fetch(`${getAPI_URL()}/api/inventory/reorder-report?branchId=${branchId}`, { headers })
+      ]);
+      const [suppliersData, ordersData, reportData] = await Promise.all([
+        suppliersResponse.json(),
+        ordersResponse.json(),
+        reportResponse.json()
+      ]);
+
+      if (!ordersResponse.ok) {
+        setError(ordersData.error || 'Failed to load purchase orders');
+        return;
+      }
+
+      setSuppliers(Array.isArray(suppliersData) ? suppliersData : []);
+      setPurchaseOrders(Array.isArray(ordersData) ? ordersData : []);
+      setLowStockRows((reportData.items || []).filter(row => row.status !== 'In Stock' && row.suggestedReorderQty > 0));
+      setSelectedRows([]);
+    } catch (fetchError) {
+      console.error('Error fetching purchasing data:', fetchError);
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const runAction = async (id, action) => {
+    setError('');
+    setActionId(id);
+    try {
+      await action();
+      await fetchData();
+    } catch (actionError) {
+      setError(actionError.message);
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  const handleCreateSupplier = (e) => {
+    e.preventDefault();
+    runAction('supplier', async () => {
+      await authorizedFetch('/api/purchasing/suppliers', {
+        method: 'POST',
+        body: JSON.stringify(supplierForm)
+      });
+      setSupplierForm(emptySupplierForm);
+      setShowSupplierForm(false);
+    });
+  };
+
+  const handleDraftFromLowStock = () => {
+    runAction('draft', async () => {
+      const purchaseOrder = await authorizedFetch('/api/purchasing/purchase-orders/from-low-stock', {
+        method: 'POST',
+        body: JSON.stringify({
+          branch_id: branchId,
+          supplier_id: draftSupplierId || null,
+          row_ids: selectedRows
+        })
+      });
+      setExpandedPoId(purchaseOrder.id);
+    });
+  };
+
+  const handleStatusChange = (purchaseOrder, status) => {
+    if (status === 'cancelled' && !window.confirm(`Cancel ${purchaseOrder.po_number}?`)) {
+      return;
+    }
+    runAction(purchaseOrder.id, () => authorizedFetch(`/api/purchasing/purchase-orders/${purchaseOrder.id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status })
+    }));
+  };
+
+  const handleReceive = (purchaseOrder, receiveAll = false) => {
+    const items = purchaseOrder.items
+      .map(item => ({
+        item_id: item.id,
+        quantity: receiveAll
+          ? item.quantity_ordered - item.quantity_received
+          : parseInt(receiveQuantities[item.id]) || 0
+      }))
+      .filter(line => line.quantity > 0);
+
+    if (items.length === 0) {
+      setError('Enter a received quantity for at least one line');
+      return;
+    }
+
+    runAction(purchaseOrder.id, async () => {
+      await authorizedFetch(`/api/purchasing/purchase-orders/${purchaseOrder.id}/receive`, {
+        method: 'POST',
+        body: JSON.stringify({ branch_id: branchId, items })
+      });
+      setReceiveQuantities({});
+    });
+  };
+
+  const toggleRow = (rowId) => {
+    setSelectedRows(prev => (prev.includes(rowId) ? prev.filter(id => id !== rowId) : [...prev, rowId]));
+  };
+
+  return (
+    <div className="purchase-orders-panel">
+      <div className="purchase-orders-toolbar">
+        {isAdmin ? (
+          <span className="purchase-orders-branch">
+            {branches.find(branch => branch.id === adminBranchId)?.name || `Branch ${adminBranchId}`}
+          </span>
+        ) : (
+          <select
+            className="purchase-orders-select"
+            value={branchId || ''}
+            onChange={(e) => setBranchId(parseInt(e.target.value))}
+          >
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        )}
+        <button className="purchase-orders-btn secondary" onClick={() => setShowSupplierForm(!showSupplierForm)}>
+          {showSupplierForm ? 'Cancel' : 'Add Supplier'}
+        </button>
+      </div>
+
+      {error && <div className="purchase-orders-error">{error}</div>}
+
+      {showSupplierForm && (
+        <form className="purchase-orders-form" onSubmit={handleCreateSupplier}>
+          {Object.keys(emptySupplierForm).map(field => (
+            <label key={field}>
+              {field.replace('_', ' ').replace(/\b\w/g, letter => letter.toUpperCase())}
+              <input
+                type={field === 'email' ? 'email' : 'text'}
+                value={supplierForm[field]}
+                onChange={(e) => setSupplierForm(prev => ({ ...prev, [field]: e.target.value }))}
+                required={field === 'name'}
+              />
+            </label>
+          ))}
+          <button type="submit" className="purchase-orders-btn" disabled={actionId === 'supplier'}>
+            Save Supplier
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading purchase orders...</div>
+      ) : (
+        <>
+          <section className="purchase-orders-section">
+            <div className="purchase-orders-section-header">
+              <h3>Low Stock ({lowStockRows.length})</h3>
+              <div className="purchase-orders-draft-actions">
+                <select
+                  className="purchase-orders-select"
+                  value={draftSupplierId}
+                  onChange={(e) => setDraftSupplierId(e.target.value)}
+                >
+                  <option value="">No supplier yet</option>
+                  {suppliers.map(supplier => (
+                    <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                  ))}
+                </select>
+                <button
+                  className="purchase-orders-btn"
+                  disabled={lowStockRows.length === 0 || actionId === 'draft'}
+                  onClick={handleDraftFromLowStock}
+                >
+                  {selectedRows.length > 0 ? `Draft PO (${selectedRows.length} selected)` : 'Draft PO from all low stock'}
+                </button>
+              </div>
+            </div>
+            {lowStockRows.length === 0 ? (
+              <p className="purchase-orders-empty">Everything is above its reorder point.</p>
+            ) : (
+              <table className="inventory-table purchase-orders-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Product</th>
+                    <th>Stock</th>
+                    <th>Reorder Point</th>
+                    <th>Suggested Qty</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {lowStockRows.map(row => (
+                    <tr key={row.id}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selectedRows.includes(row.id)}
+                          onChange={() => toggleRow(row.id)}
+                        />
+                      </td>
+                      <td>{row.name}{row.size ? ` (${row.size})` : ''}</td>
+                      <td>{row.stockQuantity}</td>
+                      <td>{row.reorderPoint}</td>
+                      <td>{row.suggestedReorderQty}</td>
+                      <td>
+                        <span className={`purchase-orders-stock ${row.status === 'Out of Stock' ? 'out' : 'low'}`}>
+                          {row.status}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <section className="purchase-orders-section">
+            <div className="purchase-orders-section-header">
+              <h3>Purchase Orders</h3>
+            </div>
+            {purchaseOrders.length === 0 ? (
+              <div className="no-products">
+                <h3>No purchase orders yet</h3>
+                <p>Draft one from the low-stock items above</p>
+              </div>
+            ) : (
+              <table className="inventory-table purchase-orders-table">
+                <thead>
+                  <tr>
+                    <th>PO #</th>
+                    <th>Supplier</th>
+                    <th>Received</th>
+                    <th>Total Cost</th>
+                    <th>Status</th>
+                    <th>Created</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {purchaseOrders.map(purchaseOrder => {
+                    const isExpanded = expandedPoId === purchaseOrder.id;
+                    const canReceive = ['ordered', 'partially_received'].includes(purchaseOrder.status);
+                    return (
+                      <React.Fragment key={purchaseOrder.id}>
+                        <tr>
+                          <td>
+                            <button
+                              className="purchase-orders-link"
+                              onClick={() => setExpandedPoId(isExpanded ? null : purchaseOrder.id)}
+                            >
+                              {purchaseOrder.po_number}
+                            </button>
+                          </td>
+                          <td>{purchaseOrder.supplier_name || '—'}</td>
+                          <td>{purchaseOrder.total_received} / {purchaseOrder.total_ordered}</td>
+                          <td>₱{purchaseOrder.total_cost.toLocaleString()}</td>
+                          <td>
+                            <span className={`purchase-orders-status ${purchaseOrder.status}`}>
+                              {STATUS_LABELS[purchaseOrder.status] || purchaseOrder.status}
+                            </span>
+                          </td>
+                          <td>{new Date(purchaseOrder.created_at).toLocaleDateString()}</td>
+                          <td className="purchase-orders-actions">
+                            {purchaseOrder.status === 'draft' && (
+                              <button
+                                className="purchase-orders-btn"
+                                disabled={actionId === purchaseOrder.id}
+                                onClick={() => handleStatusChange(purchaseOrder, 'ordered')}
+                              >
+                                Mark Ordered
+                              </button>
+                            )}
+                            {canReceive && (
+                              <button
+                                className="purchase-orders-btn"
+                                disabled={actionId === purchaseOrder.id}
+                                onClick={() => handleReceive(purchaseOrder, true)}
+                              >
+                                Receive All
+                              </button>
+                            )}
+                            {['draft', 'ordered'].includes(purchaseOrder.status) && (
+                              <button
+                                className="purchase-orders-btn danger"
+                                disabled={actionId === purchaseOrder.id}
+                                onClick={() => handleStatusChange(purchaseOrder, 'cancelled')}
+                              >
+                                Cancel
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                        {isExpanded && (
+                          <tr className="purchase-orders-detail">
+                            <td colSpan={7}>
+                              <table className="purchase-orders-lines">
+                                <thead>
+                                  <tr>
+                                    <th>SKU</th>
+                                    <th>Product</th>
+                                    <th>Ordered</th>
+                                    <th>Received</th>
+                                    <th>Unit Cost</th>
+                                    {canReceive && <th>Receive Now</th>}
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {purchaseOrder.items.map(item => {
+                                    const remaining = item.quantity_ordered - item.quantity_received;
+                                    return (
+                                      <tr key={item.id}>
+                                        <td>{item.sku || '—'}</td>
+                                        <td>{item.product_name}{item.size ? ` (${item.size})` : ''}</td>
+                                        <td>{item.quantity_ordered}</td>
+                                        <td>{item.quantity_received}</td>
+                                        <td>{item.unit_cost !== null ? `₱${item.unit_cost}` : '—'}</td>
+                                        {canReceive && (
+                                          <td>
+                                            <input
+                                              type="number"
+                                              min="0"
+                                              max={remaining}
+                                              disabled={remaining === 0}
+                                              value={receiveQuantities[item.id] || ''}
+                                              onChange={(e) => setReceiveQuantities(prev => ({ ...prev, [item.id]: e.target.value }))}
+                                            />
+                                          </td>
+                                        )}
+                                      </tr>
+                                    );
+                                  })}
+                                </tbody>
+                              </table>
+                              {canReceive && (
+                                <button
+                                  className="purchase-orders-btn"
+                                  disabled={actionId === purchaseOrder.id}
+                                  onClick={() => handleReceive(purchaseOrder)}
+                                >
+                                  Receive Entered Quantities
+                                </button>
+                              )}
+                              {purchaseOrder.notes && <p className="purchase-orders-note">{purchaseOrder.notes}</p>}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrdersPanel;
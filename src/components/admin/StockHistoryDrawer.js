@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './StockHistoryDrawer.css';
+import { supabase } from '../../lib/supabase';
+import { getAPI_URL } from '../../config/api';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faXmark, faClockRotateLeft } from '@fortawesome/free-solid-svg-icons';
+
+const MOVEMENT_LABELS = {
+  initial: 'Initial stock',
+  order_deduction: 'Order',
+  cancellation_restore: 'Cancellation',
+  manual_adjustment: 'Manual adjustment',
+  transfer_out: 'Transfer out',
+  transfer_in: 'Transfer in',
+  purchase_receipt: 'Purchase order'
+};
+
+const formatChange = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+const StockHistoryDrawer = ({ product, size, branchId, onClose }) => {
+  const [movements, setMovements] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchHistory = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        setError('No active session');
+        return;
+      }
+
+      const params = new URLSearchParams();
+      if (size) params.append('size', size);
+      if (branchId && branchId !== 'all') params.append('branchId', branchId);
+
+      const query = params.toString();
+      const response = await fetch(
+        `${getAPI_URL()}/api/products/${product.id}/stock-history${query ? `?${query}` : ''}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${session.access_token}`
+          }
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Failed to load stock history');
+        return;
+      }
+
+      setMovements(data.movements || []);
+      setSummary(data.summary || {});
+    } catch (fetchError) {
+      console.error('Error fetching stock history:', fetchError);
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [product.id, size, branchId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  return (
+    <div className="stock-history-overlay" onClick={onClose}>
+      <aside className="stock-history-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="stock-history-header">
+          <div>
+            <h2>
+              <FontAwesomeIcon icon={faClockRotateLeft} /> Stock History
+            </h2>
+            <p className="stock-history-subtitle">
+              {product.name}{size ? ` (${size})` : ''}
+            </p>
+          </div>
+          <button className="stock-history-close" onClick={onClose} aria-label="Close stock history">
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        {Object.keys(summary).length > 0 && (
+          <div className="stock-history-summary">
+            {Object.entries(summary).map(([type, total]) => (
+              <div key={type} className="stock-history-summary-item">
+                <span className="stock-history-summary-label">{MOVEMENT_LABELS[type] || type}</span>
+                <span className={`stock-history-change ${total < 0 ? 'negative' : 'positive'}`}>
+                  {formatChange(total)}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="stock-history-body">
+          {loading ? (
+            <div className="stock-history-empty">Loading history...</div>
+          ) : error ? (
+            <div className="stock-history-error">{error}</div>
+          ) : movements.length === 0 ? (
+            <div className="stock-history-empty">No stock movements recorded yet.</div>
+          ) : (
+            <ul className="stock-history-list">
+              {movements.map((movement) => (
+                <li key={movement.id} className="stock-history-entry">
+                  <div className="stock-history-entry-top">
+                    <span className={`stock-history-type ${movement.movement_type}`}>
+                      {MOVEMENT_LABELS[movement.movement_type] || movement.movement_type}
+                    </span>
+                    <span className={`stock-history-change ${movement.quantity_change < 0 ? 'negative' : 'positive'}`}>
+                      {formatChange(movement.quantity_change)}
+                    </span>
+                  </div>
+                  <div className="stock-history-balance">
+                    {movement.balance_before} → {movement.balance_after}
+                    {movement.size ? ` · Size ${movement.size}` : ''}
+                    {movement.branch_name ? ` · ${movement.branch_name}` : ''}
+                  </div>
+                  {movement.reason && (
+                    <div className="stock-history-reason">
+                      {movement.reason}
+                      {movement.order_number && !movement.reason.includes(movement.order_number)
+                        ? ` (${movement.order_number})`
+                        : ''}
+                    </div>
+                  )}
+                  <div className="stock-history-meta">
+                    {new Date(movement.created_at).toLocaleString()}
+                    {movement.actor_name ? ` · ${movement.actor_name}` : ''}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default StockHistoryDrawer;
@@ -1,5 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import './StockManagementDashboard.css';
+import { supabase } from '../../lib/supabase';
+import { getAPI_URL } from '../../config/api';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
   faFilter, 
@@ -14,13 +16,15 @@ import {
 const StockManagementDashboard = () => {
   const [stockItems, setStockItems] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [velocityDays, setVelocityDays] = useState(30);
   const [searchTerm, setSearchTerm] = useState('');
   const [showSearch, setShowSearch] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
   const [filters, setFilters] = useState({
     category: '',
     status: '',
-    supplier: ''
+    branch: ''
   });
 
   // Close filters dropdown when clicking outside
@@ -37,108 +41,46 @@ const StockManagementDashboard = () => {
     }
   }, [showFilters]);
 
-  // Mock data - replace with actual API call
-  useEffect(() => {
-    // Simulate API call
-    setTimeout(() => {
-      const mockData = [
-        {
-          "id": 1,
-          "name": "Custom T-Shirt Premium",
-          "thumbnail": "https://via.placeholder.com/60",
-          "category": "t-shirts",
-          "stockQuantity": 450,
-          "reorderLevel": 100,
-          "supplier": "Textile Co.",
-          "lastRestocked": "2024-01-15",
-          "status": "In Stock"
-        },
-        {
-          "id": 2,
-          "name": "Basketball Jersey",
-          "thumbnail": "https://via.placeholder.com/60",
-          "category": "jerseys",
-          "stockQuantity": 35,
-          "reorderLevel": 50,
-          "supplier": "Sportswear Inc.",
-          "lastRestocked": "2024-01-10",
-          "status": "Low Stock"
-        },
-        {
-          "id": 3,
-          "name": "Trophy Gold",
-          "thumbnail": "https://via.placeholder.com/60",
-          "category": "trophies",
-          "stockQuantity": 0,
-          "reorderLevel": 20,
-          "supplier": "Award Master",
-          "lastRestocked": "2023-12-20",
-          "status": "Out of Stock"
-        },
-        {
-          "id": 4,
-          "name": "Medal Set",
-          "thumbnail": "https://via.placeholder.com/60",
-          "category": "trophies",
-          "stockQuantity": 120,
-          "reorderLevel": 30,
-          "supplier": "Award Master",
-          "lastRestocked": "2024-01-08",
-          "status": "In Stock"
-        },
-        {
-          "id": 5,
-          "name": "Long Sleeve Shirt",
-          "thumbnail": "https://via.placeholder.com/60",
-          "category": "long sleeves",
-          "stockQuantity": 28,
-          "reorderLevel": 50,
-          "supplier": "Textile Co.",
-          "lastRestocked": "2024-01-12",
-          "status": "Low Stock"
-        },
-        {
-          "id": 6,
-          "name": "Hoodie",
-          "thumbnail": "https://via.placeholder.com/60",
-          "category": "hoodies",
-          "stockQuantity": 200,
-          "reorderLevel": 50,
-          "supplier": "Sportswear Inc.",
-          "lastRestocked": "2024-01-05",
-          "status": "In Stock"
-        },
-        {
-          "id": 7,
-          "name": "Team Uniform Set",
-          "thumbnail": "https://via.placeholder.com/60",
-          "category": "uniforms",
-          "stockQuantity": 75,
-          "reorderLevel": 40,
-          "supplier": "Sportswear Inc.",
-          "lastRestocked": "2024-01-18",
-          "status": "In Stock"
-        },
-        {
-          "id": 8,
-          "name": "Basketball Official",
-          "thumbnail": "https://via.placeholder.com/60",
-          "category": "balls",
-          "stockQuantity": 45,
-          "reorderLevel": 25,
-          "supplier": "Sports Equipment Co.",
-          "lastRestocked": "2024-01-20",
-          "status": "In Stock"
+  const fetchReorderReport = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        setError('No active session');
+        return;
+      }
+
+      const response = await fetch(`${getAPI_URL()}/api/inventory/reorder-report?days=${velocityDays}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`
         }
-      ];
-      setStockItems(mockData);
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || 'Failed to load stock levels');
+        setStockItems([]);
+        return;
+      }
+
+      setStockItems(Array.isArray(data.items) ? data.items : []);
+    } catch (fetchError) {
+      console.error('Error fetching reorder report:', fetchError);
+      setError('Network error. Please try again.');
+      setStockItems([]);
+    } finally {
       setLoading(false);
-    }, 500);
-  }, []);
+    }
+  }, [velocityDays]);
+
+  useEffect(() => {
+    fetchReorderReport();
+  }, [fetchReorderReport]);
 
-  const getStockStatus = (quantity, reorderLevel) => {
-    if (quantity === 0) return 'out';
-    if (quantity <= reorderLevel) return 'low';
+  const getStockStatus = (status) => {
+    if (status === 'Out of Stock') return 'out';
+    if (status === 'Low Stock') return 'low';
     return 'healthy';
   };
 
@@ -160,23 +102,25 @@ const StockManagementDashboard = () => {
     return colorMap[status] || '#10b981';
   };
 
-  const getProgressPercentage = (quantity, reorderLevel) => {
-    if (quantity === 0) return 0;
-    const max = reorderLevel * 5; // Assume max is 5x reorder level
-    return Math.min((quantity / max) * 100, 100);
+  const getProgressPercentage = (item) => {
+    if (item.stockQuantity <= 0) return 0;
+    const max = Math.max(item.targetLevel, item.reorderPoint) * 2; // Full bar at twice the order-up-to level
+    return Math.min((item.stockQuantity / max) * 100, 100);
   };
 
+  const getItemLabel = (item) => (item.size ? `${item.name} (${item.size})` : item.name);
+
   const filteredItems = stockItems.filter(item => {
     const matchesSearch = !searchTerm || 
       item.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
       item.category.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      item.supplier.toLowerCase().includes(searchTerm.toLowerCase());
+      (item.branchName || '').toLowerCase().includes(searchTerm.toLowerCase());
     
     const matchesCategory = !filters.category || item.category === filters.category;
     const matchesStatus = !filters.status || item.status === filters.status;
-    const matchesSupplier = !filters.supplier || item.supplier === filters.supplier;
+    const matchesBranch = !filters.branch || item.branchName === filters.branch;
 
-    return matchesSearch && matchesCategory && matchesStatus && matchesSupplier;
+    return matchesSearch && matchesCategory && matchesStatus && matchesBranch;
   });
 
   const lowStockItems = stockItems
@@ -185,7 +129,7 @@ const StockManagementDashboard = () => {
     .slice(0, 5);
 
   const categories = [...new Set(stockItems.map(item => item.category))];
-  const suppliers = [...new Set(stockItems.map(item => item.supplier))];
+  const branches = [...new Set(stockItems.map(item => item.branchName).filter(Boolean))];
   const statuses = ['In Stock', 'Low Stock', 'Out of Stock'];
 
   const handleSearch = (e) => {
@@ -225,11 +169,12 @@ const StockManagementDashboard = () => {
     setFilters({
       category: '',
       status: '',
-      supplier: ''
+      branch: ''
     });
   };
 
   const formatDate = (dateString) => {
+    if (!dateString) return '-';
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
       month: 'short',
@@ -264,7 +209,7 @@ const StockManagementDashboard = () => {
             <input
               type="text"
               className="search-input"
-              placeholder="Search items, category, or supplier..."
+              placeholder="Search items, category, or branch..."
               value={searchTerm}
               onChange={handleSearch}
               autoFocus
@@ -295,9 +240,9 @@ const StockManagementDashboard = () => {
           >
             <FontAwesomeIcon icon={faFilter} />
             <span>Filters</span>
-            {(filters.category || filters.status || filters.supplier) && (
+            {(filters.category || filters.status || filters.branch) && (
               <span className="stock-mgmt-filter-badge">
-                {[filters.category, filters.status, filters.supplier].filter(Boolean).length}
+                {[filters.category, filters.status, filters.branch].filter(Boolean).length}
               </span>
             )}
           </button>
@@ -333,19 +278,33 @@ const StockManagementDashboard = () => {
               </div>
 
               <div className="stock-mgmt-filter-row">
-                <label>Supplier</label>
+                <label>Branch</label>
                 <select
-                  value={filters.supplier || ""}
-                  onChange={(e) => handleFilterChange('supplier', e.target.value)}
+                  value={filters.branch}
+                  onChange={(e) => handleFilterChange('branch', e.target.value)}
                   className="stock-mgmt-filter-select"
                 >
-                  {suppliers.map(supplier => (
-                    <option key={supplier} value={supplier}>{supplier}</option>
+                  <option value="">All Branches</option>
+                  {branches.map(branch => (
+                    <option key={branch} value={branch}>{branch}</option>
                   ))}
                 </select>
               </div>
 
-              {(filters.category || filters.status || filters.supplier) && (
+              <div className="stock-mgmt-filter-row">
+                <label>Sales Window</label>
+                <select
+                  value={velocityDays}
+                  onChange={(e) => setVelocityDays(parseInt(e.target.value))}
+                  className="stock-mgmt-filter-select"
+                >
+                  <option value={7}>Last 7 days</option>
+                  <option value={30}>Last 30 days</option>
+                  <option value={90}>Last 90 days</option>
+                </select>
+              </div>
+
+              {(filters.category || filters.status || filters.branch) && (
                 <button className="stock-mgmt-clear-filters" onClick={clearFilters}>
                   Clear Filters
                 </button>
@@ -363,6 +322,10 @@ const StockManagementDashboard = () => {
               <div className="stock-mgmt-spinner"></div>
               <p>Loading inventory...</p>
             </div>
+          ) : error ? (
+            <div className="stock-mgmt-empty">
+              <p>{error}</p>
+            </div>
           ) : filteredItems.length === 0 ? (
             <div className="stock-mgmt-empty">
               <p>No items found</p>
@@ -375,8 +338,10 @@ const StockManagementDashboard = () => {
                     <th>Item</th>
                     <th>Category</th>
                     <th>Stock Quantity</th>
-                    <th>Reorder Level</th>
-                    <th>Supplier</th>
+                    <th>Reorder Point</th>
+                    <th>Branch</th>
+                    <th>Sold ({velocityDays}d)</th>
+                    <th>Suggested Reorder</th>
                     <th>Last Restocked</th>
                     <th>Status</th>
                     <th>Actions</th>
@@ -384,23 +349,25 @@ const StockManagementDashboard = () => {
                 </thead>
                 <tbody>
                   {filteredItems.map((item) => {
-                    const stockStatus = getStockStatus(item.stockQuantity, item.reorderLevel);
+                    const stockStatus = getStockStatus(item.status);
                     const progressColor = getProgressBarColor(stockStatus);
-                    const progressPercentage = getProgressPercentage(item.stockQuantity, item.reorderLevel);
+                    const progressPercentage = getProgressPercentage(item);
 
                     return (
                       <tr key={item.id}>
                         <td>
                           <div className="stock-mgmt-item-cell">
-                            <img 
-                              src={item.thumbnail} 
-                              alt={item.name}
-                              className="stock-mgmt-thumbnail"
-                              onError={(e) => {
-                                e.target.style.display = 'none';
-                              }}
-                            />
-                            <span className="stock-mgmt-item-name">{item.name}</span>
+                            {item.thumbnail && (
+                              <img 
+                                src={item.thumbnail} 
+                                alt={item.name}
+                                className="stock-mgmt-thumbnail"
+                                onError={(e) => {
+                                  e.target.style.display = 'none';
+                                }}
+                              />
+                            )}
+                            <span className="stock-mgmt-item-name">{getItemLabel(item)}</span>
                           </div>
                         </td>
                         <td>{formatCategory(item.category)}</td>
@@ -418,8 +385,12 @@ const StockManagementDashboard = () => {
                             <span className="stock-mgmt-quantity-value">{item.stockQuantity}</span>
                           </div>
                         </td>
-                        <td>{item.reorderLevel}</td>
-                        <td>{item.supplier}</td>
+                        <td title={`Reorder level ${item.reorderLevel} + ${item.dailyVelocity}/day lead-time demand`}>
+                          {item.reorderPoint}
+                        </td>
+                        <td>{item.branchName || '-'}</td>
+                        <td>{item.unitsSold}</td>
+                        <td>{item.suggestedReorderQty > 0 ? item.suggestedReorderQty : '-'}</td>
                         <td>{formatDate(item.lastRestocked)}</td>
                         <td>
                           <span className={`stock-mgmt-status-badge ${getStatusBadge(item.status)}`}>
@@ -474,7 +445,9 @@ const StockManagementDashboard = () => {
                   {lowStockItems.map((item) => (
                     <li key={item.id} className="stock-mgmt-low-stock-item">
                       <div className="stock-mgmt-low-stock-info">
-                        <span className="stock-mgmt-low-stock-name">{item.name}</span>
+                        <span className="stock-mgmt-low-stock-name">
+                          {getItemLabel(item)}{item.branchName ? ` · ${item.branchName}` : ''}
+                        </span>
                         <span className={`stock-mgmt-low-stock-qty ${item.status === 'Out of Stock' ? 'out' : 'low'}`}>
                           {item.stockQuantity} units
                         </span>
@@ -483,8 +456,8 @@ const StockManagementDashboard = () => {
                         <div 
                           className="stock-mgmt-low-stock-bar"
                           style={{
-                            width: `${getProgressPercentage(item.stockQuantity, item.reorderLevel)}%`,
-                            backgroundColor: getProgressBarColor(getStockStatus(item.stockQuantity, item.reorderLevel))
+                            width: `${getProgressPercentage(item)}%`,
+                            backgroundColor: getProgressBarColor(getStockStatus(item.status))
                           }}
                         />
                       </div>
@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import './StockTransfersPanel.css';
+import { supabase } from '../../lib/supabase';
+import { getAPI_URL } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const STATUS_LABELS = {
+  requested: 'Requested',
+  in_transit: 'In Transit',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+const OPEN_STATUSES = ['requested', 'in_transit'];
+
+const STOCKED_CATEGORIES = ['balls', 'trophies'];
+
+const parseSizeStocks = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+  return typeof value === 'object' && !Array.isArray(value) ? value : null;
+};
+
+const emptyForm = {
+  product_id: '',
+  source_branch_id: '',
+  size: '',
+  quantity: 1,
+  notes: ''
+};
+
+const StockTransfersPanel = ({ products = [] }) => {
+  const { user } = useAuth();
+  const isAdmin = user?.user_metadata?.role === 'admin';
+  const adminBranchId = user?.user_metadata?.branch_id ? parseInt(user.user_metadata.branch_id) : null;
+
+  const [branches, setBranches] = useState([]);
+  const [branchId, setBranchId] = useState(isAdmin ? adminBranchId : null);
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [actionId, setActionId] = useState(null);
+
+  useEffect(() => {
+    const fetchBranches = async () => {
+      try {
+        const response = await fetch(`${getAPI_URL()}/api/branches`);
+        const data = await response.json();
+        const list = Array.isArray(data) ? data : [];
+        setBranches(list);
+        if (!isAdmin && list.length > 0) {
+          setBranchId(prev => prev || list[0].id);
+        }
+      } catch (fetchError) {
+        console.error('Error fetching branches:', fetchError);
+      }
+    };
+    fetchBranches();
+  }, [isAdmin]);
+
+  const authorizedFetch = async (path, options = {}) => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      throw new Error('No active session');
+    }
+    const response = await fetch(`${getAPI_URL()}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`,
+        'Content-Type': 'application/json',
+        ...(options.headers || {})
+      }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchTransfers = useCallback(async () => {
+    if (!branchId) return;
+    setLoading(true);
+    setError('');
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        setError('No active session');
+        return;
+      }
+      const response = await fetch(`${getAPI_URL()}/api/stock-transfers/branch/${branchId}`, {
+        headers: { 'Authorization': `Bearer ${session.access_token}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Failed to load transfers');
+        return;
+      }
+      setTransfers(Array.isArray(data) ? data : []);
+    } catch (fetchError) {
+      console.error('Error fetching stock transfers:', fetchError);
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [fetchTransfers]);
+
+  // One option per ball/trophy name (rows exist once per branch)
+  const productOptions = useMemo(() => {
+    const seen = new Map();
+    products.forEach(product => {
+      if (!STOCKED_CATEGORIES.includes(product.category?.toLowerCase()) || product.archived) return;
+      const key = `${product.name?.toLowerCase().trim()}_${product.category?.toLowerCase().trim()}`;
+      if (!seen.has(key)) {
+        seen.set(key, product);
+      }
+    });
+    return [...seen.values()].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }, [products]);
+
+  const selectedProduct = productOptions.find(product => product.id === form.product_id) || null;
+
+  // Stock the chosen source branch currently holds for the selected product
+  const sourceRow = useMemo(() => {
+    if (!selectedProduct || !form.source_branch_id) return null;
+    return products.find(product =>
+      product.name === selectedProduct.name &&
+      product.category?.toLowerCase() === selectedProduct.category?.toLowerCase() &&
+      parseInt(product.branch_id) === parseInt(form.source_branch_id)
+    ) || null;
+  }, [products, selectedProduct, form.source_branch_id]);
+
+  const sourceSizeStocks = parseSizeStocks(sourceRow?.size_stocks);
+  const isTrophy = selectedProduct?.category?.toLowerCase() === 'trophies';
+  const availableStock = isTrophy
+    ? (form.size && sourceSizeStocks ? parseInt(sourceSizeStocks[form.size]) || 0 : null)
+    : (sourceRow ? sourceRow.stock_quantity || 0 : null);
+
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: value,
+      ...(field === 'product_id' || field === 'source_branch_id' ? { size: '' } : {})
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      await authorizedFetch('/api/stock-transfers', {
+        method: 'POST',
+        body: JSON.stringify({
+          branch_id: branchId,
+          source_branch_id: parseInt(form.source_branch_id),
+          product_id: form.product_id,
+          size: isTrophy ? form.size : null,
+          quantity: parseInt(form.quantity),
+          notes: form.notes || null
+        })
+      });
+      setForm(emptyForm);
+      setShowForm(false);
+      await fetchTransfers();
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAction = async (transfer, action) => {
+    if (action === 'cancel' && !window.confirm(transfer.status === 'in_transit'
+      ? `Cancel this transfer? ${transfer.quantity} × ${transfer.product_name} goes back to the source branch stock.`
+      : 'Cancel this transfer request?')) {
+      return;
+    }
+    setError('');
+    setActionId(transfer.id);
+    try {
+      await authorizedFetch(`/api/stock-transfers/branch/${branchId}/${transfer.id}/${action}`, { method: 'PATCH' });
+      await fetchTransfers();
+    } catch (actionError) {
+      setError(actionError.message);
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  const otherBranches = branches.filter(branch => branch.id !== parseInt(branchId));
+
+  return (
+    <div className="stock-transfers-panel">
+      <div className="stock-transfers-toolbar">
+        {isAdmin ? (
+          <span className="stock-transfers-branch">
+            {branches.find(branch => branch.id === adminBranchId)?.name || `Branch ${adminBranchId}`}
+          </span>
+        ) : (
+          <select
+            className="stock-transfers-branch-select"
+            value={branchId || ''}
+            onChange={(e) => setBranchId(parseInt(e.target.value))}
+          >
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        )}
+        <button className="stock-transfers-new-btn" onClick={() => setShowForm(!showForm)}>
+          {showForm ? 'Cancel' : 'Request Stock'}
+        </button>
+      </div>
+
+      {error && <div className="stock-transfers-error">{error}</div>}
+
+      {showForm && (
+        <form className="stock-transfers-form" onSubmit={handleSubmit}>
+          <label>
+            Product
+            <select value={form.product_id} onChange={(e) => handleFormChange('product_id', e.target.value)} required>
+              <option value="">Select product</option>
+              {productOptions.map(product => (
+                <option key={product.id} value={product.id}>{product.name} ({product.category})</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            From branch
+            <select value={form.source_branch_id} onChange={(e) => handleFormChange('source_branch_id', e.target.value)} required>
+              <option value="">Select branch</option>
+              {otherBranches.map(branch => (
+                <option key={branch.id} value={branch.id}>{branch.name}</option>
+              ))}
+            </select>
+          </label>
+          {isTrophy && (
+            <label>
+              Size
+              <select value={form.size} onChange={(e) => handleFormChange('size', e.target.value)} required>
+                <option value="">Select size</option>
+                {Object.keys(sourceSizeStocks || {}).map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label>
+            Quantity
+            <input
+              type="number"
+              min="1"
+              value={form.quantity}
+              onChange={(e) => handleFormChange('quantity', e.target.value)}
+              required
+            />
+          </label>
+          {availableStock !== null && (
+            <div className="stock-transfers-available">Available at source: {availableStock}</div>
+          )}
+          <label className="stock-transfers-notes">
+            Notes
+            <input type="text" value={form.notes} onChange={(e) => handleFormChange('notes', e.target.value)} />
+          </label>
+          <button type="submit" className="stock-transfers-submit" disabled={submitting}>
+            {submitting ? 'Submitting...' : 'Submit Request'}
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading transfers...</div>
+      ) : transfers.length === 0 ? (
+        <div className="no-products">
+          <h3>No transfers yet</h3>
+          <p>Requests to and from this branch will appear here</p>
+        </div>
+      ) : (
+        <table className="inventory-table stock-transfers-table">
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Qty</th>
+              <th>From</th>
+              <th>To</th>
+              <th>Status</th>
+              <th>Requested</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {transfers.map(transfer => {
+              const isOutgoing = transfer.source_branch_id === parseInt(branchId);
+              return (
+                <tr key={transfer.id}>
+                  <td>
+                    {transfer.product_name}{transfer.size ? ` (${transfer.size})` : ''}
+                    {transfer.notes && <div className="stock-transfers-note">{transfer.notes}</div>}
+                  </td>
+                  <td>{transfer.quantity}</td>
+                  <td>{transfer.source_branch_name || transfer.source_branch_id}</td>
+                  <td>{transfer.destination_branch_name || transfer.destination_branch_id}</td>
+                  <td>
+                    <span className={`stock-transfers-status ${transfer.status}`}>
+                      {STATUS_LABELS[transfer.status] || transfer.status}
+                    </span>
+                  </td>
+                  <td>{new Date(transfer.requested_at).toLocaleDateString()}</td>
+                  <td>
+                    {isOutgoing && transfer.status === 'requested' && (
+                      <button
+                        className="stock-transfers-action-btn"
+                        disabled={actionId === transfer.id}
+                        onClick={() => handleAction(transfer, 'dispatch')}
+                      >
+                        Dispatch
+                      </button>
+                    )}
+                    {!isOutgoing && transfer.status === 'in_transit' && (
+                      <button
+                        className="stock-transfers-action-btn"
+                        disabled={actionId === transfer.id}
+                        onClick={() => handleAction(transfer, 'receive')}
+                      >
+                        Receive
+                      </button>
+                    )}
+                    {OPEN_STATUSES.includes(transfer.status) && (
+                      <button
+                        className="stock-transfers-action-btn cancel"
+                        disabled={actionId === transfer.id}
+                        onClick={() => handleAction(transfer, 'cancel')}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default StockTransfersPanel;
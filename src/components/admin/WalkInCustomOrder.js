@@ -1,12 +1,14 @@
 import React, { useMemo, useState, useEffect } from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faPlus, faTrash, faXmark, faLock, faCircleCheck, faChevronDown, faChevronUp, faArrowLeft, faCloudUpload } from '@fortawesome/free-solid-svg-icons';
-import { FaTruck, FaMapMarkerAlt, FaCloudUploadAlt } from 'react-icons/fa';
+import { FaTruck, FaMapMarkerAlt, FaCloudUploadAlt, FaFileImport } from 'react-icons/fa';
 import { useAuth } from '../../contexts/AuthContext';
 import { API_URL } from '../../config/api';
 import userService from '../../services/userService';
 import { getProvinces, getCitiesByProvince, getBarangaysByCity } from '../../utils/locationData';
 import SearchableSelect from '../common/SearchableSelect';
+import RosterImport from '../common/RosterImport';
+import { customDesignRosterRules, rosterFieldKeysFor, toCustomDesignMember } from '../../utils/teamRoster';
 import './WalkInCustomOrder.css';
 
 const branches = [
@@ -69,6 +71,7 @@ export default function WalkInCustomOrder({ onClose }) {
   const [apparelType, setApparelType] = useState(''); // 'basketball_jersey', 'volleyball_jersey', 'hoodie', 'tshirt', 'longsleeves', 'uniforms'
   const [images, setImages] = useState([]); // {file, url}
   const [members, setMembers] = useState([ { ...initialMember } ]);
+  const [showRosterImport, setShowRosterImport] = useState(false);
   const [pickupBranchId, setPickupBranchId] = useState('');
   const [shippingMethod, setShippingMethod] = useState('pickup'); // 'pickup' or 'delivery'
   const [deliveryAddress, setDeliveryAddress] = useState({
@@ -225,6 +228,23 @@ export default function WalkInCustomOrder({ onClose }) {
     console.log('✅ New team member row added');
   };
   
+  const rosterImportRules = useMemo(() => customDesignRosterRules(apparelType, {
+    adultSizes,
+    kidsSizes,
+    fabricNames: fabricOptions.map(option => option.name),
+    cutTypeNames: cutTypeOptions.map(option => option.name)
+  }), [apparelType]);
+
+  const handleRosterImport = (importedMembers, mode) => {
+    const newMembers = importedMembers.map(member => toCustomDesignMember(member, initialMember));
+    // Blank rows (the empty first member) are dropped when adding to the roster
+    setMembers(prev => (mode === 'append'
+      ? [...prev.filter(m => m.surname?.trim() || m.number?.trim()), ...newMembers]
+      : newMembers));
+    setShowRosterImport(false);
+    console.log(`✅ Imported ${newMembers.length} team member(s) from roster file`);
+  };
+
   const removeMemberRow = (index) => {
     setMembers(prev => prev.filter((_, i) => i !== index));
     console.log('✅ Team member row removed');
@@ -1338,9 +1358,14 @@ export default function WalkInCustomOrder({ onClose }) {
           <section className="wio-cdfm-card">
             <div className="wio-cdfm-card-title-row">
               <h3 className="wio-cdfm-card-title">Team Members Roster</h3>
-              <button type="button" className="wio-cdfm-add-row" onClick={addMemberRow} aria-label="Add Team Member" title="Add Team Member">
-                <FontAwesomeIcon icon={faPlus} />
-              </button>
+              <div className="wio-cdfm-roster-actions">
+                <button type="button" className="wio-cdfm-import-roster" onClick={() => setShowRosterImport(true)} title="Import roster from a CSV or Excel file">
+                  <FaFileImport /> Import
+                </button>
+                <button type="button" className="wio-cdfm-add-row" onClick={addMemberRow} aria-label="Add Team Member" title="Add Team Member">
+                  <FontAwesomeIcon icon={faPlus} />
+                </button>
+              </div>
             </div>
             <div className="wio-cdfm-members-roster">
               {members.map((m, idx) => {
@@ -1863,6 +1888,15 @@ export default function WalkInCustomOrder({ onClose }) {
             </div>
           </div>
         )}
+      <RosterImport
+        isOpen={showRosterImport}
+        onClose={() => setShowRosterImport(false)}
+        onImport={handleRosterImport}
+        rules={rosterImportRules}
+        fieldKeys={rosterFieldKeysFor(rosterImportRules)}
+        existingNumbers={members.map(m => m.number)}
+        hasExistingMembers={members.some(m => m.surname?.trim() || m.number?.trim())}
+      />
     </div>
   );
 }
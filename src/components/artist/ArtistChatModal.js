@@ -17,6 +17,7 @@ import chatService from '../../services/chatService';
 import { useAuth } from '../../contexts/AuthContext';
 import { supabase } from '../../lib/supabase';
 import { getAPI_URL } from '../../config/api';
+import designUploadService from '../../services/designUploadService';
 import ConfirmModal from '../shared/ConfirmModal';
 
 const ArtistChatModal = ({ room, isOpen, onClose }) => {
@@ -342,39 +343,8 @@ const ArtistChatModal = ({ room, isOpen, onClose }) => {
     try {
       setUploading(true);
       
-      // Get auth token
-      const { data: { session }, error: sessionError } = await supabase.auth.getSession();
-      if (sessionError || !session) {
-        throw new Error('Authentication required');
-      }
-      
-      const uploadPromises = Array.from(files).map(async (file) => {
-        const formData = new FormData();
-        formData.append('file', file);
-        
-        const response = await fetch(`${getAPI_URL()}/api/upload`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${session.access_token}`
-          },
-          body: formData
-        });
-        
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(errorData.error || 'Upload failed');
-        }
-        
-        const data = await response.json();
-        return {
-          name: file.name,
-          url: data.url,
-          type: file.type,
-          size: file.size
-        };
-      });
-
-      const uploadedFiles = await Promise.all(uploadPromises);
+      // Uploaded as protected design files; the chat message only carries the watermarked previews
+      const uploadedFiles = await designUploadService.uploadReviewFiles(room.order_id, files);
       setReviewFiles(prev => [...prev, ...uploadedFiles]);
       
     } catch (error) {
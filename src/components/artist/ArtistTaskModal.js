@@ -19,15 +19,25 @@ import {
   faChevronUp,
   faSpinner,
   faLock,
-  faTrash
+  faTrash,
+  faExchangeAlt
 } from '@fortawesome/free-solid-svg-icons';
 import { FaBasketballBall, FaTrophy, FaTshirt, FaUser, FaUserFriends, FaChevronLeft, FaChevronRight, FaDownload, FaTimes } from 'react-icons/fa';
 import designUploadService from '../../services/designUploadService';
+import designProofService from '../../services/designProofService';
+import { PROOF_STATUS_LABELS } from '../admin/DesignProofsPanel';
 import { useNotification } from '../../contexts/NotificationContext';
 import chatService from '../../services/chatService';
 import { getApparelSizeVisibility } from '../../utils/orderSizing';
 import ArtistChatModal from './ArtistChatModal';
 
+const PROOF_STATUS_COLORS = {
+  pending: '#2563eb',
+  approved: '#15803d',
+  changes_requested: '#b45309',
+  superseded: '#64748b'
+};
+
 const ArtistTaskModal = ({ task, isOpen, onClose, onStatusUpdate, onOpenChat }) => {
   const [currentTask, setCurrentTask] = useState(task);
   const [activeImageIndex, setActiveImageIndex] = useState(0);
@@ -40,6 +50,8 @@ const ArtistTaskModal = ({ task, isOpen, onClose, onStatusUpdate, onOpenChat })
   const [zoomedImage, setZoomedImage] = useState(null);
   const [elapsedTime, setElapsedTime] = useState(0);
   const [designFiles, setDesignFiles] = useState([]);
+  const [proofs, setProofs] = useState([]); // Proof versions sent to the customer, newest first
+  const [proofNotes, setProofNotes] = useState('');
   const fileInputRef = useRef(null);
   const [imageGallery, setImageGallery] = useState({ isOpen: false, images: [], currentIndex: 0 }); // Image gallery modal state
   const { showSuccess, showError } = useNotification();
@@ -118,6 +130,13 @@ const ArtistTaskModal = ({ task, isOpen, onClose, onStatusUpdate, onOpenChat })
     
     setCheckingApproval(true);
     try {
+      // The customer approved the latest proof version from the review link
+      const latestProofs = await designProofService.getOrderProofs(orderId).catch(() => []);
+      if (latestProofs[0]?.status === 'approved') {
+        setIsApproved(true);
+        return true;
+      }
+
       // Get chat room for this order
       const chatRoom = await chatService.getChatRoomByOrder(orderId);
       if (!chatRoom) {
@@ -246,8 +265,15 @@ const ArtistTaskModal = ({ task, isOpen, onClose, onStatusUpdate, onOpenChat })
           console.error('Error loading design files:', e);
           setDesignFiles([]);
         }
+        try {
+          setProofs(await designProofService.getOrderProofs(taskToCheck.order_id));
+        } catch (e) {
+          console.error('Error loading design proofs:', e);
+          setProofs([]);
+        }
       } else {
         setDesignFiles([]);
+        setProofs([]);
       }
     };
     loadDesignFiles();
@@ -489,14 +515,16 @@ const ArtistTaskModal = ({ task, isOpen, onClose, onStatusUpdate, onOpenChat })
       console.log('🎨 Files selected:', files.length);
 
       // Upload files using designUploadService (no auto-submit)
-      const result = await designUploadService.uploadDesignFiles(displayTask.order_id, files);
+      const result = await designUploadService.uploadDesignFiles(displayTask.order_id, files, proofNotes);
       console.log('✅ Design files uploaded successfully:', result);
       showSuccess(result.message || 'Design files uploaded successfully');
+      setProofNotes('');
 
-      // Refresh local list of design files
+      // Refresh local list of design files and proof versions
       try {
         const refreshed = await designUploadService.getDesignFiles(displayTask.order_id);
         setDesignFiles(Array.isArray(refreshed?.designFiles) ? refreshed.designFiles : []);
+        setProofs(await designProofService.getOrderProofs(displayTask.order_id));
       } catch {}
 
       // Reset file input
@@ -1068,6 +1096,53 @@ const ArtistTaskModal = ({ task, isOpen, onClose, onStatusUpdate, onOpenChat })
                       </div>
                     )}
 
+                    {/* Handoffs between artists (artist_tasks.reassignment_log); the design chat moved along */}
+                    {Array.isArray(displayTask.reassignment_log) && displayTask.reassignment_log.length > 0 && (
+                      <div className="artist-revision-notes-panel" style={{ border: '1px solid var(--border-color, #e5e7eb)', borderRadius: '10px', padding: '12px', marginBottom: '6px', background: '#ffffff' }}>
+                        <div className="artist-revision-notes-title" style={{ fontWeight: 700, marginBottom: '6px', fontSize: 'clamp(13px, 1.2vw, 16px)', display: 'flex', alignItems: 'center', gap: '8px', color: '#4338ca' }}>
+                          <FontAwesomeIcon icon={faExchangeAlt} />
+                          Handoff History
+                        </div>
+                        <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '6px', fontSize: 'clamp(12px, 1.1vw, 15px)', color: '#000' }}>
+                          {displayTask.reassignment_log.map((entry, index) => (
+                            <li key={`${entry.at}-${index}`}>
+                              <strong>{entry.fromArtistName || 'Previous artist'} → {entry.toArtistName}</strong>
+                              <span style={{ color: '#64748b' }}> · {formatDate(entry.at)}</span>
+                              {(entry.reason || entry.note) && (
+                                <div style={{ color: '#475569', whiteSpace: 'pre-wrap' }}>
+                                  {[entry.reason, entry.note].filter(Boolean).join(' — ')}
+                                </div>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                        <div style={{ marginTop: '6px', fontSize: '12px', color: '#64748b' }}>
+                          The customer chat for this order, with all earlier messages, is now yours.
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Artwork from the order this repeat order was copied from ("Order again") */}
+                    {Array.isArray(displayTask.reference_files) && displayTask.reference_files.length > 0 && (
+                      <div className="artist-design-files-panel">
+                        <div className="artist-design-files-title">
+                          <FontAwesomeIcon icon={faImage} /> Previous Artwork
+                          {displayTask.reference_files[0]?.sourceOrderNumber && (
+                            <span style={{ color: '#64748b', fontWeight: 600 }}> (order #{displayTask.reference_files[0].sourceOrderNumber})</span>
+                          )}
+                        </div>
+                        <ul className="artist-design-files-list" style={{ display: 'flex', flexDirection: 'column', gap: '10px', width: '100%' }}>
+                          {displayTask.reference_files.map((file, idx) => (
+                            <li key={file.publicId || idx} className="artist-design-file-item">
+                              <a href={file.url} target="_blank" rel="noopener noreferrer">
+                                {formatFilenameForDisplay(file.filename || file.publicId || `File-${idx + 1}`)}
+                              </a>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
                     {/* Uploaded Design Files moved below Order Details */}
                     <div className="artist-design-files-panel">
                       <div className="artist-design-files-title" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
@@ -1090,6 +1165,17 @@ const ArtistTaskModal = ({ task, isOpen, onClose, onStatusUpdate, onOpenChat })
                           </button>
                         )}
                       </div>
+                      {isInProgress && (
+                        <input
+                          type="text"
+                          value={proofNotes}
+                          onChange={(e) => setProofNotes(e.target.value)}
+                          placeholder="Notes for the customer, sent with the next upload (optional)"
+                          maxLength={2000}
+                          disabled={uploading}
+                          style={{ width: '100%', padding: '8px 10px', border: '1px solid #e5e7eb', borderRadius: '8px', fontSize: '13px', marginBottom: '8px' }}
+                        />
+                      )}
                       {designFiles && designFiles.length > 0 ? (
                         <ul className="artist-design-files-list" style={{ display: 'flex', flexDirection: 'column', gap: '10px', width: '100%' }}>
                           {designFiles.map((f, idx) => {
@@ -1157,6 +1243,36 @@ const ArtistTaskModal = ({ task, isOpen, onClose, onStatusUpdate, onOpenChat })
                         <div className="artist-design-files-empty">No files uploaded yet.</div>
                       )}
                     </div>
+
+                    {/* Every upload is a proof version the customer approves or sends back from their review link */}
+                    {proofs.length > 0 && (
+                      <div className="artist-design-files-panel">
+                        <div className="artist-design-files-title">
+                          <FontAwesomeIcon icon={faImage} /> Proof Versions
+                        </div>
+                        <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '8px', width: '100%', fontSize: 'clamp(12px, 1.1vw, 15px)', color: '#000' }}>
+                          {proofs.map(proof => (
+                            <li key={proof.id}>
+                              <strong>v{proof.version}</strong>
+                              <span style={{ color: PROOF_STATUS_COLORS[proof.status] || '#64748b', fontWeight: 600 }}>
+                                {' · '}{PROOF_STATUS_LABELS[proof.status] || proof.status}
+                              </span>
+                              <span style={{ color: '#64748b' }}> · {formatDate(proof.created_at)}</span>
+                              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                                {(proof.files || []).map((file, idx) => (
+                                  <a key={file.publicId || idx} href={file.url} target="_blank" rel="noopener noreferrer">
+                                    {formatFilenameForDisplay(file.filename || file.publicId || `File-${idx + 1}`)}
+                                  </a>
+                                ))}
+                              </div>
+                              {proof.response_comment && (
+                                <div style={{ color: '#475569', whiteSpace: 'pre-wrap' }}>Customer: {proof.response_comment}</div>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
                   </div>
                   )}
                   
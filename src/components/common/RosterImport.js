@@ -0,0 +1,247 @@
+import React, { useMemo, useState } from 'react';
+import { FaTimes, FaFileUpload, FaDownload, FaExclamationTriangle, FaCheckCircle } from 'react-icons/fa';
+import { ROSTER_FIELDS, readRosterFile, guessColumnMapping, validateRosterRows } from '../../utils/teamRoster';
+import './RosterImport.css';
+
+// Spreadsheet import for the team member roster of a team order form.
+// The form passes the fields it uses and its size/fabric/cut rules; every row is checked before
+// anything is handed back, and onImport receives canonical members (see validateRosterRows).
+
+const RosterImport = ({
+  isOpen,
+  onClose,
+  onImport,
+  rules,
+  fieldKeys = ROSTER_FIELDS.map(field => field.key),
+  existingNumbers = [],
+  hasExistingMembers = false
+}) => {
+  const [fileName, setFileName] = useState('');
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [mode, setMode] = useState('replace');
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [fileError, setFileError] = useState('');
+
+  const fields = useMemo(
+    () => ROSTER_FIELDS.filter(field => fieldKeys.includes(field.key)),
+    [fieldKeys]
+  );
+
+  const results = useMemo(() => {
+    if (!table) return [];
+    return validateRosterRows(table.rows, mapping, {
+      ...rules,
+      existingNumbers: mode === 'append' ? existingNumbers : []
+    });
+  }, [table, mapping, rules, mode, existingNumbers]);
+
+  const invalidCount = results.filter(result => result.errors.length > 0).length;
+  const validCount = results.length - invalidCount;
+  const missingRequired = ['surname', 'number'].filter(key => !(mapping[key] >= 0));
+
+  const reset = () => {
+    setFileName('');
+    setTable(null);
+    setMapping({});
+    setMode('replace');
+    setSkipInvalid(false);
+    setFileError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setLoading(true);
+    setFileError('');
+    try {
+      const parsed = await readRosterFile(file);
+      setFileName(file.name);
+      setTable(parsed);
+      setMapping(guessColumnMapping(parsed.headers, fields));
+    } catch (error) {
+      console.error('Error reading roster file:', error);
+      setTable(null);
+      setFileError(error.message || 'Could not read the file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownloadTemplate = () => {
+    const sample = {
+      surname: 'DELA CRUZ',
+      number: '7',
+      jerseySize: rules.shirtSizes?.adult?.[2] || 'M',
+      shortsSize: rules.shortsSizes?.adult?.[2] || 'M',
+      jerseyType: 'Full set',
+      sizingType: 'Adult',
+      fabricOption: rules.defaults?.fabricOption || '',
+      cutType: rules.defaults?.cutType || ''
+    };
+    const csv = [
+      fields.map(field => field.label).join(','),
+      fields.map(field => sample[field.key]).join(',')
+    ].join('\r\n');
+    const url = window.URL.createObjectURL(new Blob([`${csv}\r\n`], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'team-roster-template.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const handleImport = () => {
+    const members = results
+      .filter(result => result.errors.length === 0)
+      .map(result => result.member);
+    onImport(members, mode);
+    reset();
+  };
+
+  if (!isOpen) return null;
+
+  const canImport = table && missingRequired.length === 0 && validCount > 0 && (invalidCount === 0 || skipInvalid);
+
+  return (
+    // Clicks must not reach the form modal this is opened from (its overlay closes on click)
+    <div className="roster-import-overlay" onClick={(e) => { e.stopPropagation(); handleClose(); }}>
+      <div className="roster-import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="roster-import-header">
+          <h3>Import Team Roster</h3>
+          <button type="button" className="roster-import-close" onClick={handleClose} aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div className="roster-import-body">
+          <div className="roster-import-file-row">
+            <label className="roster-import-file-btn">
+              <FaFileUpload />
+              <span>{loading ? 'Reading...' : (fileName ? 'Choose another file' : 'Choose CSV or Excel file')}</span>
+              <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleFileChange} disabled={loading} />
+            </label>
+            {fileName && <span className="roster-import-file-name">{fileName}</span>}
+            <button type="button" className="roster-import-link" onClick={handleDownloadTemplate}>
+              <FaDownload /> Download template
+            </button>
+          </div>
+          <p className="roster-import-hint">
+            One row per player with a header row. Columns are matched by name; adjust the mapping below if a column was not found.
+          </p>
+          {fileError && <div className="roster-import-error">{fileError}</div>}
+
+          {table && (
+            <>
+              <div className="roster-import-section-title">Column mapping</div>
+              <div className="roster-import-mapping">
+                {fields.map(field => (
+                  <label key={field.key} className="roster-import-mapping-field">
+                    <span>
+                      {field.label}
+                      {(field.key === 'surname' || field.key === 'number') && <em> *</em>}
+                    </span>
+                    <select
+                      value={mapping[field.key] ?? -1}
+                      onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: parseInt(e.target.value, 10) }))}
+                    >
+                      <option value={-1}>— Not in file —</option>
+                      {table.headers.map((header, index) => (
+                        <option key={index} value={index}>{header}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              {missingRequired.length > 0 && (
+                <div className="roster-import-error">
+                  Map the {missingRequired.map(key => ROSTER_FIELDS.find(field => field.key === key).label).join(' and ')} column{missingRequired.length > 1 ? 's' : ''} to continue.
+                </div>
+              )}
+
+              <div className="roster-import-summary">
+                <span className="roster-import-valid"><FaCheckCircle /> {validCount} ready</span>
+                {invalidCount > 0 && (
+                  <span className="roster-import-invalid"><FaExclamationTriangle /> {invalidCount} with problems</span>
+                )}
+              </div>
+
+              <div className="roster-import-preview">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Surname</th>
+                      <th>No.</th>
+                      {fieldKeys.includes('jerseyType') && <th>Type</th>}
+                      <th>Sizing</th>
+                      <th>Jersey</th>
+                      {fieldKeys.includes('shortsSize') && <th>Shorts</th>}
+                      <th>Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map(result => (
+                      <tr key={result.rowNumber} className={result.errors.length > 0 ? 'has-errors' : ''}>
+                        <td>{result.rowNumber}</td>
+                        <td>{result.member.surname || '—'}</td>
+                        <td>{result.member.number || '—'}</td>
+                        {fieldKeys.includes('jerseyType') && <td>{result.member.jerseyType}</td>}
+                        <td>{result.member.sizingType === 'kids' ? 'Kids' : 'Adult'}</td>
+                        <td>{result.member.jerseySize || '—'}</td>
+                        {fieldKeys.includes('shortsSize') && <td>{result.member.shortsSize || '—'}</td>}
+                        <td className="roster-import-row-errors">
+                          {result.errors.length > 0 ? result.errors.join('; ') : 'OK'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="roster-import-options">
+                {hasExistingMembers && (
+                  <div className="roster-import-mode">
+                    <label>
+                      <input type="radio" name="roster-import-mode" value="replace" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                      Replace the current roster
+                    </label>
+                    <label>
+                      <input type="radio" name="roster-import-mode" value="append" checked={mode === 'append'} onChange={() => setMode('append')} />
+                      Add to the current roster
+                    </label>
+                  </div>
+                )}
+                {invalidCount > 0 && (
+                  <label className="roster-import-skip">
+                    <input type="checkbox" checked={skipInvalid} onChange={(e) => setSkipInvalid(e.target.checked)} />
+                    Skip the {invalidCount} row{invalidCount === 1 ? '' : 's'} with problems
+                  </label>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="roster-import-footer">
+          <button type="button" className="roster-import-cancel" onClick={handleClose}>Cancel</button>
+          <button type="button" className="roster-import-submit" onClick={handleImport} disabled={!canImport}>
+            Import {validCount > 0 ? `${validCount} player${validCount === 1 ? '' : 's'}` : 'players'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RosterImport;
@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import { useNotification } from '../../contexts/NotificationContext';
+import afterSalesService from '../../services/afterSalesService';
+import './AfterSalesRequest.css';
+
+const ISSUE_TYPES = {
+  misprint: 'Misprint',
+  wrong_size: 'Wrong size',
+  wrong_name_number: 'Wrong name / number',
+  damaged: 'Damaged item',
+  missing_item: 'Missing item',
+  other: 'Other'
+};
+
+const STATUS_LABELS = {
+  pending: 'Under review',
+  approved: 'Approved',
+  rejected: 'Not approved'
+};
+
+const MAX_PHOTOS = 5;
+
+const formatPeso = (value) => `₱${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+const describeMember = (member) => {
+  const name = member?.surname || member?.lastName || member?.name || '';
+  const number = member?.number || member?.jerseyNo || member?.jerseyNumber || '';
+  return [name, number ? `#${number}` : ''].filter(Boolean).join(' ') || 'Team member';
+};
+
+// Lines and team members a customer can point at when reporting a problem
+const buildItemOptions = (orderItems = []) => {
+  const options = [];
+  (Array.isArray(orderItems) ? orderItems : []).forEach((item, itemIndex) => {
+    const members = Array.isArray(item.teamMembers) ? item.teamMembers : [];
+    if (item.isTeamOrder && members.length > 0) {
+      members.forEach((member, memberIndex) => {
+        options.push({ key: `${itemIndex}:${memberIndex}`, itemIndex, memberIndex, label: `${item.name} - ${describeMember(member)}` });
+      });
+    } else {
+      options.push({ key: `${itemIndex}`, itemIndex, memberIndex: null, label: item.name || `Item ${itemIndex + 1}` });
+    }
+  });
+  return options;
+};
+
+// Report a problem with a delivered order and ask for a refund or a remake
+const AfterSalesRequest = ({ order }) => {
+  const { showSuccess, showError } = useNotification();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [issueType, setIssueType] = useState('misprint');
+  const [resolution, setResolution] = useState('remake');
+  const [description, setDescription] = useState('');
+  const [refundAmount, setRefundAmount] = useState('');
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [photos, setPhotos] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const itemOptions = buildItemOptions(order.orderItems);
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      setRequests(await afterSalesService.getOrderRequests(order.id));
+    } catch (error) {
+      console.error('Error fetching after-sales requests:', error);
+      setRequests([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [order.id]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const toggleItem = (key) => {
+    setSelectedKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (photos.length === 0) {
+      showError('Photos needed', 'Attach at least one photo showing the problem');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await afterSalesService.submitRequest({
+        orderId: order.id,
+        issueType,
+        description,
+        resolution,
+        refundAmount: resolution === 'refund' ? refundAmount : '',
+        affectedItems: itemOptions
+          .filter(option => selectedKeys.includes(option.key))
+          .map(({ itemIndex, memberIndex }) => ({ itemIndex, memberIndex })),
+        photos
+      });
+      showSuccess('Request submitted', 'Our team will review your request and get back to you.');
+      setShowForm(false);
+      setDescription('');
+      setRefundAmount('');
+      setSelectedKeys([]);
+      setPhotos([]);
+      await fetchRequests();
+    } catch (error) {
+      showError('Request failed', error.message || 'Failed to submit your request');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const canReport = order.status === 'picked_up_delivered' && !requests.some(request => request.status === 'pending');
+
+  if (loading || (requests.length === 0 && !canReport)) {
+    return null;
+  }
+
+  return (
+    <div className="asr-section">
+      {requests.length > 0 && (
+        <ul className="asr-list">
+          {requests.map(request => (
+            <li key={request.id} className={`asr-item asr-${request.status}`}>
+              <div className="asr-item-title">
+                {ISSUE_TYPES[request.issue_type] || request.issue_type} · {request.resolution === 'refund' ? 'Refund' : 'Remake'}
+                <span className="asr-status">{STATUS_LABELS[request.status] || request.status}</span>
+              </div>
+              <div className="asr-item-text">{request.description}</div>
+              {request.status === 'approved' && request.resolution === 'remake' && request.remake_order && (
+                <div className="asr-item-note">Replacement order {request.remake_order.order_number} is in production.</div>
+              )}
+              {request.status === 'approved' && request.resolution === 'refund' && (
+                <div className="asr-item-note">{formatPeso(request.refund_amount)} refunded.</div>
+              )}
+              {request.admin_notes && <div className="asr-item-note">{request.admin_notes}</div>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canReport && !showForm && (
+        <button type="button" className="asr-open-btn" onClick={() => setShowForm(true)}>
+          <FaExclamationTriangle /> Report a problem
+        </button>
+      )}
+
+      {canReport && showForm && (
+        <form className="asr-form" onSubmit={handleSubmit}>
+          <label>
+            What went wrong?
+            <select value={issueType} onChange={(e) => setIssueType(e.target.value)}>
+              {Object.entries(ISSUE_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          {itemOptions.length > 1 && (
+            <fieldset className="asr-items">
+              <legend>Affected items (leave empty if it is the whole order)</legend>
+              {itemOptions.map(option => (
+                <label key={option.key} className="asr-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={selectedKeys.includes(option.key)}
+                    onChange={() => toggleItem(option.key)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          <label>
+            Details
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="e.g. Player #7's surname is misspelled as CRUS instead of CRUZ"
+              rows={3}
+              required
+            />
+          </label>
+
+          <label>
+            Photos (up to {MAX_PHOTOS})
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={(e) => setPhotos(Array.from(e.target.files || []).slice(0, MAX_PHOTOS))}
+            />
+          </label>
+
+          <div className="asr-resolution">
+            <label className="asr-checkbox">
+              <input type="radio" name={`resolution-${order.id}`} checked={resolution === 'remake'} onChange={() => setResolution('remake')} />
+              Remake the affected items
+            </label>
+            <label className="asr-checkbox">
+              <input type="radio" name={`resolution-${order.id}`} checked={resolution === 'refund'} onChange={() => setResolution('refund')} />
+              Refund
+            </label>
+          </div>
+
+          {resolution === 'refund' && (
+            <label>
+              Refund amount (optional, up to {formatPeso(order.amountPaid)})
+              <input
+                type="number"
+                min="1"
+                step="0.01"
+                max={order.amountPaid || undefined}
+                value={refundAmount}
+                onChange={(e) => setRefundAmount(e.target.value)}
+              />
+            </label>
+          )}
+
+          <div className="asr-form-actions">
+            <button type="button" className="asr-cancel-btn" onClick={() => setShowForm(false)} disabled={submitting}>
+              Cancel
+            </button>
+            <button type="submit" className="asr-submit-btn" disabled={submitting}>
+              {submitting ? 'Submitting...' : 'Submit request'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default AfterSalesRequest;
@@ -149,10 +149,13 @@ const CartModal = () => {
         shipping_method: orderData.shippingMethod,
         pickup_location: orderData.selectedLocation || null,
         pickup_branch_id: orderData.selectedBranchId || null,
+        pickup_slot: orderData.pickupSlot || null,
         delivery_address: orderData.deliveryAddress,
         order_notes: orderData.orderNotes || null,
         subtotal_amount: orderData.subtotalAmount,
         shipping_cost: orderData.shippingCost,
+        promo_code: orderData.promoCode || null,
+        discount_amount: orderData.discountAmount || 0,
         total_amount: orderData.totalAmount,
         total_items: orderData.totalItems,
         order_items: orderData.items
@@ -215,6 +218,12 @@ const CartModal = () => {
         throw error;
       }
       
+      // Server recomputed the prices and they differ from what the cart shows
+      if (error.isPriceMismatch) {
+        showError('Prices Updated', error.message || 'Prices for some items have changed. Please review your cart and try again.');
+        throw error;
+      }
+      
       // Check if it's a network error (backend not running)
       if (error.isNetworkError || error.message?.includes('backend server')) {
         showError('Backend Server Not Running', error.message || 'Please ensure the backend server is running on port 4000. Start it with: npm run server:dev or double-click start-backend.bat');
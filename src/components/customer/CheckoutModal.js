@@ -2,7 +2,10 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { FaTimes, FaTruck, FaUsers, FaChevronDown, FaBasketballBall, FaTrophy, FaUserFriends, FaUser, FaMapMarkerAlt, FaChevronUp, FaTshirt, FaArrowLeft } from 'react-icons/fa';
 import userService from '../../services/userService';
 import branchService from '../../services/branchService';
+import promoCodeService from '../../services/promoCodeService';
+import shippingService from '../../services/shippingService';
 import OrderProcessingModal from './OrderProcessingModal';
+import PickupSlotPicker from './PickupSlotPicker';
 import './CheckoutModal.css';
 import { getApparelSizeVisibility } from '../../utils/orderSizing';
 import { getProvinces, getCitiesByProvince, getBarangaysByCity } from '../../utils/locationData';
@@ -75,6 +78,7 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
   const [showLocationDropdown, setShowLocationDropdown] = useState(false);
   const [branches, setBranches] = useState([]);
   const [selectedBranchId, setSelectedBranchId] = useState(null);
+  const [pickupSlot, setPickupSlot] = useState(null);
   const [expandedOrderIndex, setExpandedOrderIndex] = useState(null);
   const [codTermsAccepted, setCodTermsAccepted] = useState(false); // COD terms checkbox
 
@@ -90,6 +94,13 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
   const [showCancelReason, setShowCancelReason] = useState(false); // Cancel reason dialog
   const [cancelReason, setCancelReason] = useState(''); // Selected cancellation reason
   const [isProcessingOrder, setIsProcessingOrder] = useState(false); // Order processing modal
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null); // Validated promo code from the server
+  const [promoError, setPromoError] = useState('');
+  const [applyingPromo, setApplyingPromo] = useState(false);
+  const [shippingQuote, setShippingQuote] = useState(null); // COD quote from the server
+  const [shippingQuoteError, setShippingQuoteError] = useState('');
+  const [quotingShipping, setQuotingShipping] = useState(false);
 
   // Check for user address when modal opens
   useEffect(() => {
@@ -161,6 +172,60 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
     setSelectedLocation(prev => (prev && prev.trim() !== '' ? prev : branchOptions[0].name));
   }, [isOpen, branchOptions]);
 
+  // COD shipping is quoted by the server from the selected branch to the selected address.
+  // The request is keyed as a string so the quote only refreshes when its inputs change.
+  const quoteAddress = shippingMethod === 'cod'
+    ? allAddresses.find(address => address.id === selectedAddressId)
+    : null;
+  const shippingQuoteKey = quoteAddress && (selectedBranchId || selectedLocation)
+    ? JSON.stringify({
+        deliveryAddress: {
+          province: quoteAddress.province,
+          city: quoteAddress.city,
+          barangay: quoteAddress.barangay,
+          barangay_code: quoteAddress.barangay_code || quoteAddress.barangayCode || ''
+        },
+        pickupLocation: selectedLocation,
+        pickupBranchId: selectedBranchId,
+        orderItems: cartItems.map(item => ({
+          id: item.id,
+          category: item.category,
+          quantity: item.quantity,
+          isTeamOrder: item.isTeamOrder,
+          teamMembers: item.teamMembers
+        }))
+      })
+    : null;
+
+  useEffect(() => {
+    if (!isOpen || !shippingQuoteKey) {
+      setShippingQuote(null);
+      setShippingQuoteError('');
+      return;
+    }
+
+    let isCancelled = false;
+    setQuotingShipping(true);
+    setShippingQuoteError('');
+
+    shippingService.getQuote(JSON.parse(shippingQuoteKey))
+      .then(quote => {
+        if (!isCancelled) setShippingQuote(quote);
+      })
+      .catch(error => {
+        if (isCancelled) return;
+        setShippingQuote(null);
+        setShippingQuoteError(error.message || 'Unable to calculate the shipping fee');
+      })
+      .finally(() => {
+        if (!isCancelled) setQuotingShipping(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [isOpen, shippingQuoteKey]);
+
   // Load provinces on mount
   useEffect(() => {
     const provincesList = getProvinces();
@@ -217,8 +282,9 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
     return total + (price * quantity);
   }, 0);
 
-  const shippingCost = shippingMethod === 'cod' ? 50.00 : 0.00;
-  const totalAmount = subtotalAmount + shippingCost;
+  const shippingCost = shippingMethod === 'cod' ? (shippingQuote?.total || 0) : 0;
+  const discountAmount = appliedPromo?.discount || 0;
+  const totalAmount = subtotalAmount - discountAmount + shippingCost;
   
   console.log('Order Summary:', {
     subtotal: subtotalAmount,
@@ -231,6 +297,35 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
     return total + parseInt(item.quantity || 1);
   }, 0);
 
+  const handleApplyPromo = async () => {
+    const code = promoInput.trim();
+    if (!code) return;
+
+    setApplyingPromo(true);
+    setPromoError('');
+    try {
+      const shippingRequest = shippingQuoteKey ? JSON.parse(shippingQuoteKey) : {};
+      const result = await promoCodeService.validatePromoCode(code, cartItems, shippingMethod, {
+        deliveryAddress: shippingRequest.deliveryAddress,
+        pickupLocation: shippingRequest.pickupLocation,
+        pickupBranchId: shippingRequest.pickupBranchId
+      });
+      setAppliedPromo(result);
+      setPromoInput(result.code);
+    } catch (error) {
+      setAppliedPromo(null);
+      setPromoError(error.message || 'This promo code is not valid');
+    } finally {
+      setApplyingPromo(false);
+    }
+  };
+
+  const handleRemovePromo = () => {
+    setAppliedPromo(null);
+    setPromoInput('');
+    setPromoError('');
+  };
+
   const validateOrder = () => {
     const errors = {};
     
@@ -241,6 +336,11 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
         errors.address = 'Please add or select a delivery address';
       }
       
+      // The shipping fee must be quoted before the order can be placed
+      if (!shippingQuote) {
+        errors.shipping = shippingQuoteError || 'The shipping fee is still being calculated';
+      }
+
       // Check if COD terms are accepted
       if (!codTermsAccepted) {
         errors.codTerms = 'You must accept the COD shipping terms to proceed';
@@ -278,6 +378,9 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
         if (shippingMethod === 'cod' && (!deliveryAddress.receiver || !deliveryAddress.phone || !deliveryAddress.address)) {
           errors.push('Please add or select a delivery address');
         }
+        if (shippingMethod === 'cod' && !shippingQuote) {
+          errors.push(shippingQuoteError || 'The shipping fee is still being calculated');
+        }
         if (shippingMethod === 'cod' && !codTermsAccepted) {
           errors.push('You must accept the COD shipping terms to proceed');
         }
@@ -340,10 +443,13 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
       shippingMethod,
       selectedLocation,
       selectedBranchId,
+      pickupSlot: shippingMethod === 'pickup' ? pickupSlot : null,
       orderNotes,
       items: cartItems,
       subtotalAmount,
       shippingCost,
+      promoCode: appliedPromo?.code || null,
+      discountAmount,
       totalAmount,
       totalItems,
       orderDate: new Date().toISOString(),
@@ -1419,7 +1525,11 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
                   />
                   <div className="option-content">
                     <div className="option-title">Cash on Delivery</div>
-                    <div className="option-subtitle">₱50.00</div>
+                    <div className="option-subtitle">
+                      {shippingMethod === 'cod' && shippingQuote
+                        ? `₱${shippingQuote.total.toFixed(2)}`
+                        : 'Based on distance and weight'}
+                    </div>
                   </div>
                 </label>
                 
@@ -1436,9 +1546,14 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
                         }}
                       />
                       <span className="cod-terms-text">
-                        I understand that the shipping fee (₱50.00) is subject to change based on weight, quantity, and distance. The final shipping fee will be confirmed upon order processing.
+                        I understand that the shipping fee is based on the distance from the selected branch to my barangay and the weight of my order, and that I will pay it in cash together with my order upon delivery.
                       </span>
                     </label>
+                    {(orderErrors.shipping || shippingQuoteError) && (
+                      <span className="error-message" style={{ display: 'block', marginTop: '8px', color: '#ff4444', fontSize: '14px' }}>
+                        {shippingQuoteError || orderErrors.shipping}
+                      </span>
+                    )}
                     {orderErrors.codTerms && (
                       <span className="error-message" style={{ display: 'block', marginTop: '8px', color: '#ff4444', fontSize: '14px' }}>
                         {orderErrors.codTerms}
@@ -1467,6 +1582,9 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
                             onClick={() => {
                               setSelectedLocation(branchName);
                               setSelectedBranchId(branchId);
+                              if (branchId !== selectedBranchId) {
+                                setPickupSlot(null);
+                              }
                               setShowLocationDropdown(false);
                             }}
                           >
@@ -1488,6 +1606,14 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
                     </span>
                   )}
                 </div>
+
+                {/* Optional pickup time - can also be chosen later from My Orders */}
+                {shippingMethod === 'pickup' && selectedBranchId && (
+                  <div className="pickup-slot-selector">
+                    <label className="location-label">Pickup Time (optional):</label>
+                    <PickupSlotPicker branchId={selectedBranchId} value={pickupSlot} onChange={setPickupSlot} />
+                  </div>
+                )}
               </div>
             </div>
 
@@ -1515,8 +1641,57 @@ const CheckoutModal = ({ isOpen, onClose, onPlaceOrder, cartItems: selectedCartI
             </div>
             <div className="summary-row">
               <span>Shipping Subtotal:</span>
-              <span>₱{shippingCost.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</span>
+              <span>
+                {shippingMethod === 'cod' && quotingShipping
+                  ? 'Calculating...'
+                  : `₱${shippingCost.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`}
+              </span>
             </div>
+            {shippingMethod === 'cod' && shippingQuote && (
+              <div className="shipping-quote-details">
+                {shippingQuote.distanceKm} km from {shippingQuote.branchName} · {shippingQuote.weightKg} kg
+                {shippingQuote.weightFee > 0 ? ` (+₱${shippingQuote.weightFee} weight)` : ''}
+                {shippingQuote.ferrySurcharge > 0 ? ` · includes ₱${shippingQuote.ferrySurcharge} ferry surcharge` : ''}
+              </div>
+            )}
+            <div className="promo-code-row">
+              <input
+                type="text"
+                className="promo-code-input"
+                value={promoInput}
+                onChange={(e) => {
+                  setPromoInput(e.target.value.toUpperCase());
+                  setPromoError('');
+                }}
+                placeholder="Promo code"
+                disabled={!!appliedPromo || applyingPromo}
+              />
+              {appliedPromo ? (
+                <button type="button" className="promo-code-btn remove" onClick={handleRemovePromo}>
+                  Remove
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  className="promo-code-btn"
+                  onClick={handleApplyPromo}
+                  disabled={!promoInput.trim() || applyingPromo}
+                >
+                  {applyingPromo ? 'Checking...' : 'Apply'}
+                </button>
+              )}
+            </div>
+            {promoError && <div className="promo-code-error">{promoError}</div>}
+            {appliedPromo && (
+              <div className="summary-row discount-row">
+                <span>
+                  Promo {appliedPromo.code}
+                  {appliedPromo.discountType === 'percentage' ? ` (${appliedPromo.discountValue}% off)` : ''}
+                  {appliedPromo.categories?.length > 0 ? ` · ${appliedPromo.categories.join(', ')} only` : ''}:
+                </span>
+                <span>-₱{discountAmount.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}</span>
+              </div>
+            )}
             <div className="summary-row total-row">
               <span>Total Payment ({totalItems} items):</span>
               <span>₱{totalAmount.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</span>
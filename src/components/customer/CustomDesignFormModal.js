@@ -1,13 +1,15 @@
 import React, { useMemo, useState, useEffect } from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faPlus, faTrash, faXmark, faLock, faCircleCheck, faChevronDown, faChevronUp, faArrowLeft } from '@fortawesome/free-solid-svg-icons';
-import { FaTruck, FaMapMarkerAlt, FaCloudUploadAlt } from 'react-icons/fa';
+import { FaTruck, FaMapMarkerAlt, FaCloudUploadAlt, FaFileImport } from 'react-icons/fa';
 import { useAuth } from '../../contexts/AuthContext';
 import { useModal } from '../../contexts/ModalContext';
 import { API_URL } from '../../config/api';
 import userService from '../../services/userService';
 import { getProvinces, getCitiesByProvince, getBarangaysByCity } from '../../utils/locationData';
 import SearchableSelect from '../common/SearchableSelect';
+import RosterImport from '../common/RosterImport';
+import { customDesignRosterRules, rosterFieldKeysFor, toCustomDesignMember } from '../../utils/teamRoster';
 import './CustomDesignFormModal.css';
 
 const branches = [
@@ -64,7 +66,9 @@ const initialMember = {
   apparelType: '' // 'basketball_jersey', 'volleyball_jersey', 'hoodie', 'tshirt', 'longsleeves', 'uniforms'
 };
 
-export default function CustomDesignFormModal({ isOpen, onClose }) {
+// repeatOrder: { orderId, orderNumber, customDesign } from orderService.getOrderAgain - prefills
+// the form from a delivered custom design order and links the new order to it
+export default function CustomDesignFormModal({ isOpen, onClose, repeatOrder = null }) {
   const { user } = useAuth();
   const { openSignIn } = useModal();
   const [clientName, setClientName] = useState('');
@@ -73,6 +77,7 @@ export default function CustomDesignFormModal({ isOpen, onClose }) {
   const [apparelType, setApparelType] = useState(''); // 'basketball_jersey', 'volleyball_jersey', 'hoodie', 'tshirt', 'longsleeves', 'uniforms'
   const [images, setImages] = useState([]); // {file, url}
   const [members, setMembers] = useState([ { ...initialMember } ]);
+  const [showRosterImport, setShowRosterImport] = useState(false);
   const [pickupBranchId, setPickupBranchId] = useState('');
   const [shippingMethod, setShippingMethod] = useState('pickup'); // 'pickup' or 'delivery'
   const [deliveryAddress, setDeliveryAddress] = useState({
@@ -260,6 +265,23 @@ export default function CustomDesignFormModal({ isOpen, onClose }) {
     console.log('✅ New team member row added');
   };
   
+  const rosterImportRules = useMemo(() => customDesignRosterRules(apparelType, {
+    adultSizes,
+    kidsSizes,
+    fabricNames: fabricOptions.map(option => option.name),
+    cutTypeNames: cutTypeOptions.map(option => option.name)
+  }), [apparelType]);
+
+  const handleRosterImport = (importedMembers, mode) => {
+    const newMembers = importedMembers.map(member => toCustomDesignMember(member, initialMember));
+    // Blank rows (the empty first member) are dropped when adding to the roster
+    setMembers(prev => (mode === 'append'
+      ? [...prev.filter(m => m.surname?.trim() || m.number?.trim()), ...newMembers]
+      : newMembers));
+    setShowRosterImport(false);
+    console.log(`✅ Imported ${newMembers.length} team member(s) from roster file`);
+  };
+
   const removeMemberRow = (index) => {
     setMembers(prev => prev.filter((_, i) => i !== index));
     console.log('✅ Team member row removed');
@@ -378,6 +400,21 @@ export default function CustomDesignFormModal({ isOpen, onClose }) {
     }
   }, [isOpen, user]);
 
+  // "Order again": start from the previous order's team, apparel and roster
+  useEffect(() => {
+    if (!isOpen || !repeatOrder?.customDesign) {
+      return;
+    }
+    const previous = repeatOrder.customDesign;
+    setTeamName(previous.teamName || '');
+    setApparelType(previous.apparelType || '');
+    if (previous.members.length > 0) {
+      setMembers(previous.members.map(member => ({ ...initialMember, ...member })));
+    }
+    setShippingMethod(previous.shippingMethod === 'delivery' ? 'delivery' : 'pickup');
+    setPickupBranchId(branches.find(branch => branch.name === previous.pickupLocation)?.id || '');
+  }, [isOpen, repeatOrder]);
+
   // Clear cutType and knittedOption when apparel type changes
   useEffect(() => {
     if (apparelType) {
@@ -862,6 +899,10 @@ export default function CustomDesignFormModal({ isOpen, onClose }) {
       if (user?.id) {
         formData.append('userId', user.id);
       }
+
+      if (repeatOrder?.orderId) {
+        formData.append('reorderOfOrderId', repeatOrder.orderId);
+      }
       
       // Add design images if any
       images.forEach((image, index) => {
@@ -919,6 +960,29 @@ export default function CustomDesignFormModal({ isOpen, onClose }) {
         </div>
 
         <form className="cdfm-form" onSubmit={handleSubmit}>
+          {repeatOrder?.customDesign && (
+            <section className="cdfm-card cdfm-repeat-order">
+              <div>
+                Ordering again from <strong>#{repeatOrder.orderNumber}</strong>. The previous roster is filled in - add or
+                remove players and update numbers and sizes before submitting.
+              </div>
+              <div className="cdfm-helper">
+                {repeatOrder.customDesign.previousArtwork.length > 0 &&
+                  `Your artist starts from the ${repeatOrder.customDesign.previousArtwork.length} final design file(s) of that order.`}
+                {images.length === 0 && repeatOrder.customDesign.designImages.length > 0 && ' Your previous reference images are reused unless you upload new ones.'}
+              </div>
+              {images.length === 0 && repeatOrder.customDesign.designImages.length > 0 && (
+                <div className="cdfm-cust-preview-grid">
+                  {repeatOrder.customDesign.designImages.map(image => (
+                    <div key={image.publicId || image.url} className="cdfm-cust-preview-item">
+                      <img src={image.url} alt={image.filename || 'Previous reference'} />
+                    </div>
+                  ))}
+                </div>
+              )}
+            </section>
+          )}
+
           {/* Delivery Information */}
           <section className="cdfm-card">
             <div className="cdfm-section-header">
@@ -1295,9 +1359,14 @@ export default function CustomDesignFormModal({ isOpen, onClose }) {
           <section className="cdfm-card">
             <div className="cdfm-card-title-row">
               <h3 className="cdfm-card-title">Team Members Roster</h3>
-              <button type="button" className="cdfm-add-row" onClick={addMemberRow} aria-label="Add Team Member" title="Add Team Member">
-                <FontAwesomeIcon icon={faPlus} />
-              </button>
+              <div className="cdfm-roster-actions">
+                <button type="button" className="cdfm-import-roster" onClick={() => setShowRosterImport(true)} title="Import roster from a CSV or Excel file">
+                  <FaFileImport /> Import
+                </button>
+                <button type="button" className="cdfm-add-row" onClick={addMemberRow} aria-label="Add Team Member" title="Add Team Member">
+                  <FontAwesomeIcon icon={faPlus} />
+                </button>
+              </div>
             </div>
             <div className="cdfm-members-roster">
               {members.map((m, idx) => {
@@ -1861,6 +1930,15 @@ export default function CustomDesignFormModal({ isOpen, onClose }) {
           </div>
         )}
       </div>
+      <RosterImport
+        isOpen={showRosterImport}
+        onClose={() => setShowRosterImport(false)}
+        onImport={handleRosterImport}
+        rules={rosterImportRules}
+        fieldKeys={rosterFieldKeysFor(rosterImportRules)}
+        existingNumbers={members.map(m => m.number)}
+        hasExistingMembers={members.some(m => m.surname?.trim() || m.number?.trim())}
+      />
     </div>
   );
 }
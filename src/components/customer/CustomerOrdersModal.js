@@ -1,24 +1,40 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { FaTimes, FaEye, FaTruck, FaMapMarkerAlt, FaCalendarAlt, FaShoppingBag, FaUsers, FaBan, FaRoute, FaCheckCircle, FaStar, FaCamera, FaLocationArrow, FaComments, FaChevronLeft, FaChevronRight, FaDownload, FaEdit, FaTrash } from 'react-icons/fa';
+import { FaTimes, FaEye, FaImage, FaTruck, FaMapMarkerAlt, FaCalendarAlt, FaShoppingBag, FaUsers, FaBan, FaRoute, FaCheckCircle, FaStar, FaCamera, FaLocationArrow, FaComments, FaChevronLeft, FaChevronRight, FaDownload, FaEdit, FaTrash, FaRedo } from 'react-icons/fa';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNotification } from '../../contexts/NotificationContext';
+import { useCart } from '../../contexts/CartContext';
 import orderService from '../../services/orderService';
 import orderTrackingService from '../../services/orderTrackingService';
+import designUploadService from '../../services/designUploadService';
 import SimpleOrderReview from './SimpleOrderReview';
+import PaymentProofUpload from './PaymentProofUpload';
+import AfterSalesRequest from './AfterSalesRequest';
+import OrderPickupDetails from './OrderPickupDetails';
+import OrderShipments from './OrderShipments';
 import DesignChat from './DesignChat';
+import CustomDesignFormModal from './CustomDesignFormModal';
 import { supabase } from '../../lib/supabase';
 import './CustomerOrdersModal.css';
 import Loading from '../Loading';
 import ErrorState from '../ErrorState';
 
+const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  partially_paid: 'Partially paid',
+  paid: 'Paid',
+  refunded: 'Refunded'
+};
+
 const CustomerOrdersModal = ({ isOpen, onClose }) => {
   const { user } = useAuth();
   const { showSuccess, showError } = useNotification();
+  const { addToCart, openCart } = useCart();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [expandedOrder, setExpandedOrder] = useState(null);
   const [cancellingOrder, setCancellingOrder] = useState(null);
+  const [downloadingInvoice, setDownloadingInvoice] = useState(null);
   const [orderTracking, setOrderTracking] = useState({});
   const [orderReviews, setOrderReviews] = useState({});
   const [showReviewModal, setShowReviewModal] = useState(false);
@@ -30,6 +46,9 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
   const [showChat, setShowChat] = useState(false);
   const [selectedOrderForChat, setSelectedOrderForChat] = useState(null);
   const [imageGallery, setImageGallery] = useState({ isOpen: false, images: [], currentIndex: 0 }); // Image gallery modal state
+  const [reorderingOrder, setReorderingOrder] = useState(null);
+  const [repeatCustomDesign, setRepeatCustomDesign] = useState(null); // "Order again" prefill for the custom design form
+  const [loadingPreviewsFor, setLoadingPreviewsFor] = useState(null);
 
   // Image gallery functions
   const openImageGallery = useCallback((images, startIndex = 0) => {
@@ -38,7 +57,8 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
       isOpen: true,
       images: images.map(img => ({
         url: img.url || img,
-        filename: img.filename || img.originalname || `image-${images.indexOf(img) + 1}.jpg`
+        filename: img.filename || img.originalname || `image-${images.indexOf(img) + 1}.jpg`,
+        downloadUrl: img.originalUrl || null // Artist designs: the original once the order is paid
       })),
       currentIndex: startIndex
     });
@@ -246,7 +266,8 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
       case 'shipped': return 'status-shipped';
       case 'delivered': 
       case 'picked_up_delivered': return 'status-delivered';
-      case 'cancelled': return 'status-cancelled';
+      case 'cancelled':
+      case 'refunded': return 'status-cancelled';
       default: return 'status-pending';
     }
   };
@@ -329,10 +350,31 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
       case 'shipped': return 'Order is on the way';
       case 'delivered': return 'Order has been delivered';
       case 'cancelled': return 'Order has been cancelled';
+      case 'refunded': return 'Order has been refunded';
       default: return 'Order status unknown';
     }
   };
 
+  const handleDownloadInvoice = async (order) => {
+    setDownloadingInvoice(order.id);
+    try {
+      await orderService.downloadInvoice(order.id, order.orderNumber);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      showError('Download Failed', error.message || 'Failed to download invoice. Please try again.');
+    } finally {
+      setDownloadingInvoice(null);
+    }
+  };
+
+  const handlePickupSlotBooked = (orderId, booking) => {
+    setOrders(prevOrders => prevOrders.map(order => (
+      order.id === orderId
+        ? { ...order, pickupSlotStart: booking.pickup_slot_start, pickupSlotEnd: booking.pickup_slot_end }
+        : order
+    )));
+  };
+
   const handleCancelOrder = (orderId) => {
     setOrderToCancel(orderId);
     setShowCancelReason(true);
@@ -395,6 +437,46 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
     showSuccess('Edit Order', 'Edit functionality will be implemented soon.');
   };
 
+  // Delivered team orders can be ordered again: catalog lines go back into the cart with their
+  // roster (edited there before checkout), custom designs reopen the custom design form
+  const canOrderAgain = (order) => {
+    if (order.status !== 'picked_up_delivered') {
+      return false;
+    }
+    const items = order.orderItems || [];
+    return order.orderType === 'custom_design' || hasCustomDesign(order) || items.some(item => item.isTeamOrder);
+  };
+
+  const handleOrderAgain = async (order) => {
+    setReorderingOrder(order.id);
+    try {
+      const repeat = await orderService.getOrderAgain(order.id);
+      if (repeat.type === 'custom_design') {
+        setRepeatCustomDesign(repeat);
+        return;
+      }
+
+      if (repeat.lines.length === 0) {
+        showError('Order Again', 'The items from this order are no longer available.');
+        return;
+      }
+      for (const line of repeat.lines) {
+        await addToCart(line.product, line.options);
+      }
+      if (repeat.unavailable.length > 0) {
+        showError('Some Items Unavailable', `Not added: ${repeat.unavailable.map(item => item.name || 'Unknown item').join(', ')}.`);
+      }
+      showSuccess('Order Again', `Items from order #${order.orderNumber} are in your cart. Update the roster before checking out.`);
+      onClose();
+      openCart();
+    } catch (error) {
+      console.error('Error ordering again:', error);
+      showError('Order Again', error.message || 'Failed to copy this order. Please try again.');
+    } finally {
+      setReorderingOrder(null);
+    }
+  };
+
   const handleDeleteCustomOrder = async (order) => {
     if (!window.confirm(`Are you sure you want to delete order #${order.orderNumber}? This action cannot be undone.`)) {
       return;
@@ -425,6 +507,28 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
     }
   };
 
+  // The artist's designs as watermarked previews; the originals come with them once the order is paid
+  const handleViewDesignPreviews = async (order) => {
+    setLoadingPreviewsFor(order.id);
+    try {
+      const { designFiles = [], originalsReleased } = await designUploadService.getDesignPreviews(order.id);
+      const previews = designFiles.filter(file => file.previewUrl);
+      if (previews.length === 0) {
+        showError('Your artist has not uploaded a design yet.');
+        return;
+      }
+      if (!originalsReleased) {
+        showSuccess('These are watermarked previews. Full-resolution files are released once the order is paid in full.');
+      }
+      openImageGallery(previews, 0);
+    } catch (error) {
+      console.error('Error loading design previews:', error);
+      showError(error.message || 'Failed to load design previews');
+    } finally {
+      setLoadingPreviewsFor(null);
+    }
+  };
+
   const hasCustomDesign = (order) => {
     // Check both order_items and orderItems for compatibility
     const items = order.order_items || order.orderItems || [];
@@ -605,6 +709,14 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
                           return calculatedTotal.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
                         })()}
                       </div>
+                      {order.paymentStatus && (
+                        <div className={`customer-order-payment payment-${order.paymentStatus}`}>
+                          {PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus}
+                          {order.paymentStatus !== 'paid' && order.paymentStatus !== 'refunded' && order.balanceDue > 0 && (
+                            <> · Balance ₱{order.balanceDue.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}</>
+                          )}
+                        </div>
+                      )}
                       {order.assignedArtist && (
                         <div className="customer-order-artist">
                           <FaUsers /> Assigned Artist: {order.assignedArtist.artist_name}
@@ -1330,6 +1442,19 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
                           <span>Total:</span>
                                 <span>₱{calculatedTotal.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</span>
                         </div>
+                        <div className="summary-row">
+                          <span>Paid:</span>
+                                <span>₱{(order.amountPaid || 0).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}</span>
+                        </div>
+                        <div className="summary-row">
+                          <span>Balance:</span>
+                                <span>₱{(order.balanceDue || 0).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}</span>
+                        </div>
+                        {order.downpaymentRequired > 0 && order.amountPaid < order.downpaymentRequired && order.status !== 'cancelled' && (
+                          <div className="downpayment-notice">
+                            A downpayment of ₱{order.downpaymentRequired.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })} is needed before we start producing this order. You can pay at the branch, or pay by bank transfer or GCash and upload your receipt below.
+                          </div>
+                        )}
                             </>
                           );
                         })()}
@@ -1340,6 +1465,16 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
                         )}
                       </div>
 
+                      <OrderPickupDetails order={order} onSlotBooked={handlePickupSlotBooked} />
+
+                      <OrderShipments order={order} />
+
+                      <PaymentProofUpload
+                        orderId={order.id}
+                        balanceDue={order.balanceDue || 0}
+                        canSubmit={order.status !== 'cancelled' && order.balanceDue > 0}
+                      />
+
                       {/* Simple Review Section - Only for delivered/picked up orders */}
                       {(order.status.toLowerCase() === 'delivered' || order.status.toLowerCase() === 'picked_up_delivered') && (
                         <div className="simple-review-section">
@@ -1356,6 +1491,11 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
                         </div>
                       )}
 
+                      {/* Report a problem - refund or remake for delivered orders */}
+                      {['picked_up_delivered', 'refunded'].includes(order.status) && (
+                        <AfterSalesRequest order={order} />
+                      )}
+
                        {/* Chat Button - Show only for orders with custom designs AND assigned artist */}
                        {hasCustomDesign(order) && order.assignedArtist && (
                          <div className="customer-order-chat-actions">
@@ -1367,6 +1507,15 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
                              <FaComments />
                              Chat with Artist
                            </button>
+                           <button
+                             className="customer-chat-with-artist-btn"
+                             onClick={() => handleViewDesignPreviews(order)}
+                             disabled={loadingPreviewsFor === order.id}
+                             title="View the artist's design"
+                           >
+                             <FaImage />
+                             {loadingPreviewsFor === order.id ? 'Loading...' : 'View Design'}
+                           </button>
                          </div>
                        )}
 
@@ -1393,9 +1542,28 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
                          </div>
                        )}
 
-                      {/* Cancel Button - Only show for pending orders */}
-                      {order.status.toLowerCase() === 'pending' && (
-                        <div className="order-actions">
+                      <div className="order-actions">
+                        <button
+                          className="download-invoice-btn"
+                          onClick={() => handleDownloadInvoice(order)}
+                          disabled={downloadingInvoice === order.id}
+                        >
+                          <FaDownload />
+                          {downloadingInvoice === order.id ? 'Preparing...' : 'Download Invoice'}
+                        </button>
+                        {canOrderAgain(order) && (
+                          <button
+                            className="order-again-btn"
+                            onClick={() => handleOrderAgain(order)}
+                            disabled={reorderingOrder === order.id}
+                            title="Copy this order and its team roster into a new order"
+                          >
+                            <FaRedo />
+                            {reorderingOrder === order.id ? 'Copying...' : 'Order Again'}
+                          </button>
+                        )}
+                        {/* Cancel Button - Only show for pending orders */}
+                        {order.status.toLowerCase() === 'pending' && (
                           <button
                             className="cancel-order-btn"
                             onClick={() => handleCancelOrder(order.id)}
@@ -1404,8 +1572,8 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
                             <FaBan />
                             {cancellingOrder === order.id ? 'Cancelling...' : 'Cancel Order'}
                           </button>
-                        </div>
-                      )}
+                        )}
+                      </div>
                     </div>
                   )}
                 </div>
@@ -1608,7 +1776,7 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
                 <button
                   className="cd-image-gallery-download"
                   onClick={() => downloadImage(
-                    imageGallery.images[imageGallery.currentIndex].url,
+                    imageGallery.images[imageGallery.currentIndex].downloadUrl || imageGallery.images[imageGallery.currentIndex].url,
                     imageGallery.images[imageGallery.currentIndex].filename
                   )}
                   aria-label="Download image"
@@ -1629,6 +1797,17 @@ const CustomerOrdersModal = ({ isOpen, onClose }) => {
           </div>
         </div>
       )}
+
+      {/* "Order again" for custom design orders: the form opens prefilled from the old order */}
+      {repeatCustomDesign && (
+        <div className="customer-orders-repeat-design">
+          <CustomDesignFormModal
+            isOpen={!!repeatCustomDesign}
+            onClose={() => setRepeatCustomDesign(null)}
+            repeatOrder={repeatCustomDesign}
+          />
+        </div>
+      )}
     </div>
   );
 };
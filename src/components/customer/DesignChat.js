@@ -16,6 +16,7 @@ import chatService from '../../services/chatService';
 import { useAuth } from '../../contexts/AuthContext';
 import { supabase } from '../../lib/supabase';
 import ReviewResponse from './ReviewResponse';
+import designUploadService from '../../services/designUploadService';
 
 const getReviewActionFromMessage = (text = '') => {
   const normalized = text.toLowerCase();
@@ -87,6 +88,7 @@ const DesignChat = ({ orderId, isOpen, onClose }) => {
   const [assignedArtist, setAssignedArtist] = useState(null);
   const [zoomedImage, setZoomedImage] = useState(null);
   const [responseNotice, setResponseNotice] = useState(null);
+  const [designPreviews, setDesignPreviews] = useState({ designFiles: [], originalsReleased: false });
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
   const { user } = useAuth();
@@ -97,6 +99,14 @@ const DesignChat = ({ orderId, isOpen, onClose }) => {
     }
   }, [isOpen, orderId]);
 
+  // The artist's uploads as watermarked previews; full-resolution files only once the order is paid
+  useEffect(() => {
+    if (!isOpen || !orderId) return;
+    designUploadService.getDesignPreviews(orderId)
+      .then(data => setDesignPreviews({ designFiles: data.designFiles || [], originalsReleased: !!data.originalsReleased }))
+      .catch(error => console.error('Error loading design previews:', error));
+  }, [isOpen, orderId]);
+
   useEffect(() => {
     scrollToBottom();
   }, [messages]);
@@ -387,6 +397,39 @@ const DesignChat = ({ orderId, isOpen, onClose }) => {
           </div>
         )}
 
+        {designPreviews.designFiles.length > 0 && (
+          <div className="design-chat-previews">
+            <div className="design-chat-previews-files">
+              {designPreviews.designFiles.map((file, index) => (
+                file.previewUrl ? (
+                  <img
+                    key={`${file.filename}-${index}`}
+                    src={file.previewUrl}
+                    alt={file.filename || `Design ${index + 1}`}
+                    onClick={() => setZoomedImage(file.previewUrl)}
+                  />
+                ) : (
+                  <span key={`${file.filename}-${index}`} className="design-chat-previews-name">{file.filename}</span>
+                )
+              ))}
+            </div>
+            {designPreviews.originalsReleased ? (
+              <div className="design-chat-previews-originals">
+                Full-resolution files:{' '}
+                {designPreviews.designFiles.filter(file => file.originalUrl).map((file, index) => (
+                  <a key={`${file.filename}-${index}`} href={file.originalUrl} target="_blank" rel="noopener noreferrer">
+                    {file.filename || `Design ${index + 1}`}
+                  </a>
+                ))}
+              </div>
+            ) : (
+              <p className="design-chat-previews-note">
+                Watermarked previews. Full-resolution files are released once the order is paid in full.
+              </p>
+            )}
+          </div>
+        )}
+
         <div className="design-chat-body">
           {loading ? (
             <div className="chat-loading">
@@ -438,9 +481,9 @@ const DesignChat = ({ orderId, isOpen, onClose }) => {
                                     {isImage ? (
                                       <>
                                         <img 
-                                          src={attachment.url} 
+                                          src={attachment.previewUrl || attachment.url} 
                                           alt={attachment.filename || attachment.name}
-                                          onClick={() => setZoomedImage(attachment.url)}
+                                          onClick={() => setZoomedImage(attachment.previewUrl || attachment.url)}
                                           style={{ cursor: 'pointer', maxWidth: '200px', maxHeight: '150px', borderRadius: '8px' }}
                                         />
                                         <span>{attachment.filename || attachment.name}</span>
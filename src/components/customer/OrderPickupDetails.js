@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { FaStore } from 'react-icons/fa';
+import { useNotification } from '../../contexts/NotificationContext';
+import branchService from '../../services/branchService';
+import orderService from '../../services/orderService';
+import PickupSlotPicker, { formatPickupDay, formatPickupTime } from './PickupSlotPicker';
+import './PickupSlotPicker.css';
+
+const CLOSED_STATUSES = ['picked_up_delivered', 'cancelled', 'refunded'];
+
+const normalizeName = (value) => (value || '').trim().toLowerCase();
+
+// Booked pickup time and pickup code of a pickup order, with a way to book or change the slot
+const OrderPickupDetails = ({ order, onSlotBooked }) => {
+  const { showSuccess, showError } = useNotification();
+  const [branchId, setBranchId] = useState(undefined);
+  const [editing, setEditing] = useState(false);
+  const [slot, setSlot] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const canBook = !CLOSED_STATUSES.includes(order.status);
+
+  // Orders only keep the branch name; undefined = not looked up yet, null = no matching branch
+  useEffect(() => {
+    if (!editing || branchId !== undefined) {
+      return;
+    }
+    branchService.getBranches()
+      .then(branches => {
+        const branch = branches.find(candidate => normalizeName(candidate.name) === normalizeName(order.pickupLocation));
+        setBranchId(branch?.id || null);
+      })
+      .catch(error => {
+        console.error('Error loading branches:', error);
+        setBranchId(null);
+      });
+  }, [editing, branchId, order.pickupLocation]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const updated = await orderService.bookPickupSlot(order.id, slot);
+      showSuccess('Pickup time booked', `See you on ${formatPickupDay(updated.pickup_slot_start)} at ${formatPickupTime(updated.pickup_slot_start)}.`);
+      setEditing(false);
+      setSlot(null);
+      onSlotBooked?.(order.id, updated);
+    } catch (error) {
+      showError('Could not book pickup time', error.message || 'Please choose another slot');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (order.shippingMethod !== 'pickup' || order.status === 'cancelled') {
+    return null;
+  }
+
+  return (
+    <div className="psp-section">
+      <div className="psp-header">
+        <FaStore /> Pickup at {order.pickupLocation}
+      </div>
+
+      <div className="psp-booked">
+        {order.pickupSlotStart
+          ? <>Pickup time: {formatPickupDay(order.pickupSlotStart)}, {formatPickupTime(order.pickupSlotStart)}{order.pickupSlotEnd && ` – ${formatPickupTime(order.pickupSlotEnd)}`}</>
+          : 'No pickup time booked yet.'}
+      </div>
+
+      {order.pickupCode && order.status === 'packing_completing' && (
+        <div>
+          <div className="psp-muted">Your order is ready. Show this code at the branch:</div>
+          <div className="psp-code">{order.pickupCode}</div>
+        </div>
+      )}
+
+      {canBook && !editing && (
+        <div className="psp-actions">
+          <button type="button" className="psp-btn" onClick={() => setEditing(true)}>
+            {order.pickupSlotStart ? 'Change pickup time' : 'Choose pickup time'}
+          </button>
+        </div>
+      )}
+
+      {editing && (
+        <>
+          {branchId && <PickupSlotPicker branchId={branchId} value={slot} onChange={setSlot} disabled={saving} />}
+          {branchId === undefined && <div className="psp-muted">Loading pickup times...</div>}
+          {branchId === null && <div className="psp-muted">Pickup times are not available for this branch. Please contact the branch.</div>}
+          <div className="psp-actions">
+            <button type="button" className="psp-btn primary" onClick={handleSave} disabled={!slot || saving}>
+              {saving ? 'Saving...' : 'Book this time'}
+            </button>
+            <button type="button" className="psp-btn" onClick={() => { setEditing(false); setSlot(null); }} disabled={saving}>
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OrderPickupDetails;
@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import { FaBoxes } from 'react-icons/fa';
+import orderService from '../../services/orderService';
+import './OrderShipments.css';
+
+const statusLabel = (status, shippingMethod) => {
+  if (status === 'ready') {
+    return shippingMethod === 'pickup' ? 'Ready for pickup' : 'Ready for delivery';
+  }
+  if (status === 'picked_up_delivered') {
+    return shippingMethod === 'pickup' ? 'Picked up' : 'Delivered';
+  }
+  return 'Being prepared';
+};
+
+// Parts of an order the branch hands over separately (e.g. stock items first, apparel later)
+const OrderShipments = ({ order }) => {
+  const [shipments, setShipments] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    orderService.getOrderShipments(order.id)
+      .then(data => {
+        if (!cancelled) {
+          setShipments(data.shipments || []);
+        }
+      })
+      .catch(error => console.error('Error loading order parts:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [order.id, order.status]);
+
+  if (shipments.length === 0) {
+    return null;
+  }
+
+  const showPickupCode = order.shippingMethod === 'pickup' && order.pickupCode &&
+    shipments.some(shipment => shipment.status === 'ready');
+
+  return (
+    <div className="osh-section">
+      <div className="osh-header">
+        <FaBoxes /> Your order comes in {shipments.length} parts
+      </div>
+
+      {shipments.map(shipment => (
+        <div key={shipment.id} className="osh-part">
+          <div className="osh-part-header">
+            <span className="osh-label">{shipment.label}</span>
+            <span className={`osh-status ${shipment.status}`}>{statusLabel(shipment.status, order.shippingMethod)}</span>
+          </div>
+          <div className="osh-items">
+            {(shipment.items || []).map(item => `${item.name} × ${item.quantity || 1}`).join(', ')}
+          </div>
+          {shipment.proofs.some(proof => (proof.proof_images || []).length > 0) && (
+            <div className="osh-proofs">
+              {shipment.proofs.flatMap(proof => proof.proof_images || []).map(url => (
+                <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                  <img src={url} alt={`${shipment.label} handover`} />
+                </a>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {showPickupCode && (
+        <div>
+          <div className="osh-muted">Part of your order is ready. Show this code at the branch:</div>
+          <div className="osh-code">{order.pickupCode}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderShipments;
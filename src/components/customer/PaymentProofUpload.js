@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaReceipt, FaUpload } from 'react-icons/fa';
+import { useNotification } from '../../contexts/NotificationContext';
+import orderService from '../../services/orderService';
+import './PaymentProofUpload.css';
+
+const METHOD_LABELS = {
+  bank_transfer: 'Bank transfer',
+  gcash: 'GCash'
+};
+
+const STATUS_LABELS = {
+  pending: 'Awaiting verification',
+  approved: 'Verified',
+  rejected: 'Not accepted'
+};
+
+const formatPeso = (value) => `₱${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+// Proof-of-payment receipts for one order, with an upload form while a balance is due
+const PaymentProofUpload = ({ orderId, balanceDue, canSubmit }) => {
+  const { showSuccess, showError } = useNotification();
+  const [proofs, setProofs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [file, setFile] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [method, setMethod] = useState('gcash');
+  const [reference, setReference] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchProofs = useCallback(async () => {
+    try {
+      setLoading(true);
+      setProofs(await orderService.getPaymentProofs(orderId));
+    } catch (error) {
+      console.error('Error fetching payment proofs:', error);
+      setProofs([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [orderId]);
+
+  useEffect(() => {
+    fetchProofs();
+  }, [fetchProofs]);
+
+  const pendingTotal = proofs
+    .filter(proof => proof.status === 'pending')
+    .reduce((sum, proof) => sum + (parseFloat(proof.amount) || 0), 0);
+
+  const openForm = () => {
+    setAmount(String(Math.max(0, balanceDue - pendingTotal) || ''));
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      showError('Missing receipt', 'Attach a photo or screenshot of your receipt');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await orderService.submitPaymentProof(orderId, { file, amount, method, reference });
+      showSuccess('Receipt submitted', 'We will verify your payment and update your order shortly.');
+      setShowForm(false);
+      setFile(null);
+      setReference('');
+      await fetchProofs();
+    } catch (error) {
+      showError('Upload failed', error.message || 'Failed to submit your receipt');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading || (proofs.length === 0 && !canSubmit)) {
+    return null;
+  }
+
+  return (
+    <div className="ppu-section">
+      <div className="ppu-header">
+        <FaReceipt /> Proof of Payment
+      </div>
+
+      {proofs.length > 0 && (
+        <ul className="ppu-list">
+          {proofs.map(proof => (
+            <li key={proof.id} className={`ppu-item ppu-${proof.status}`}>
+              <a href={proof.image_url} target="_blank" rel="noopener noreferrer" className="ppu-thumb">
+                <img src={proof.image_url} alt="Payment receipt" />
+              </a>
+              <div className="ppu-item-details">
+                <div>
+                  {formatPeso(proof.amount)} · {METHOD_LABELS[proof.method] || proof.method}
+                  {proof.reference && <> · Ref {proof.reference}</>}
+                </div>
+                <div className="ppu-status">{STATUS_LABELS[proof.status] || proof.status}</div>
+                {proof.status === 'rejected' && proof.rejection_reason && (
+                  <div className="ppu-reason">{proof.rejection_reason}</div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canSubmit && !showForm && (
+        <button type="button" className="ppu-open-btn" onClick={openForm}>
+          <FaUpload /> Upload receipt
+        </button>
+      )}
+
+      {canSubmit && showForm && (
+        <form className="ppu-form" onSubmit={handleSubmit}>
+          <input
+            type="file"
+            accept="image/*"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            required
+          />
+          <div className="ppu-form-row">
+            <select value={method} onChange={(e) => setMethod(e.target.value)}>
+              {Object.entries(METHOD_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              step="0.01"
+              max={balanceDue}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="Amount paid"
+              required
+            />
+          </div>
+          <input
+            type="text"
+            value={reference}
+            onChange={(e) => setReference(e.target.value)}
+            placeholder="Reference no. (optional)"
+          />
+          <div className="ppu-form-actions">
+            <button type="button" className="ppu-cancel-btn" onClick={() => setShowForm(false)} disabled={submitting}>
+              Cancel
+            </button>
+            <button type="submit" className="ppu-submit-btn" disabled={submitting}>
+              {submitting ? 'Uploading...' : 'Submit'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default PaymentProofUpload;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { FaClock } from 'react-icons/fa';
+import branchService from '../../services/branchService';
+import './PickupSlotPicker.css';
+
+// Branch pickup times are in Philippine time regardless of the browser's time zone
+const BRANCH_TIME_ZONE = 'Asia/Manila';
+
+export const formatPickupDay = (value) => new Date(value).toLocaleDateString('en-PH', {
+  timeZone: BRANCH_TIME_ZONE,
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+export const formatPickupTime = (value) => new Date(value).toLocaleTimeString('en-PH', {
+  timeZone: BRANCH_TIME_ZONE,
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Upcoming pickup slots of a branch, grouped by day. value/onChange use { windowId, start, end }.
+const PickupSlotPicker = ({ branchId, value, onChange, disabled = false }) => {
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!branchId) {
+      setSlots([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    branchService.getPickupSlots(branchId)
+      .then(result => {
+        if (!cancelled) setSlots(result);
+      })
+      .catch(fetchError => {
+        console.error('Error fetching pickup slots:', fetchError);
+        if (!cancelled) setError('Could not load pickup times');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [branchId]);
+
+  if (!branchId) {
+    return null;
+  }
+  if (loading) {
+    return <div className="psp-muted">Loading pickup times...</div>;
+  }
+  if (error) {
+    return <div className="psp-muted">{error}</div>;
+  }
+  if (slots.length === 0) {
+    return <div className="psp-muted">This branch has not published pickup times yet. We will email you when your order is ready.</div>;
+  }
+
+  const days = slots.reduce((groups, slot) => {
+    (groups[slot.date] = groups[slot.date] || []).push(slot);
+    return groups;
+  }, {});
+
+  const isSelected = (slot) => value?.windowId === slot.windowId &&
+    new Date(value.start).getTime() === new Date(slot.start).getTime();
+
+  return (
+    <div className="psp-days">
+      {Object.entries(days).map(([date, daySlots]) => (
+        <div key={date} className="psp-day">
+          <div className="psp-day-label">{formatPickupDay(daySlots[0].start)}</div>
+          <div className="psp-slots">
+            {daySlots.map(slot => (
+              <button
+                key={`${slot.windowId}:${slot.start}`}
+                type="button"
+                className={`psp-slot ${isSelected(slot) ? 'selected' : ''}`}
+                disabled={disabled || (!slot.available && !isSelected(slot))}
+                onClick={() => onChange(isSelected(slot) ? null : { windowId: slot.windowId, start: slot.start, end: slot.end })}
+                title={slot.available ? `${slot.remaining} left` : 'Fully booked'}
+              >
+                <FaClock /> {formatPickupTime(slot.start)}
+                {!slot.available && <span className="psp-full">Full</span>}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PickupSlotPicker;
@@ -1,9 +1,11 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { AiOutlineStar, AiFillStar } from 'react-icons/ai';
-import { FaShoppingCart, FaTimes, FaCreditCard, FaUsers, FaPlus, FaTrash, FaChevronDown, FaChevronUp } from 'react-icons/fa';
+import { FaShoppingCart, FaTimes, FaCreditCard, FaUsers, FaPlus, FaTrash, FaChevronDown, FaChevronUp, FaFileImport } from 'react-icons/fa';
 import CheckoutModal from './CheckoutModal';
 import SizeChartModal from './SizeChartModal';
 import OrderProcessingModal from './OrderProcessingModal';
+import RosterImport from '../common/RosterImport';
+import { rosterFieldKeysFor } from '../../utils/teamRoster';
 import { useCart } from '../../contexts/CartContext';
 import { useNotification } from '../../contexts/NotificationContext';
 import orderService from '../../services/orderService';
@@ -141,7 +143,7 @@ const ProductModal = ({ isOpen, onClose, product, isFromCart = false, existingCa
   const removeFromCart = isAdminMode ? null : contextRemoveFromCart;
   
   const { user } = useAuth();
-  const { showOrderConfirmation, showError } = useNotification();
+  const { showOrderConfirmation, showError, showSuccess } = useNotification();
   const [selectedSize, setSelectedSize] = useState(existingCartItemData?.size || 'M');
   const [quantity, setQuantity] = useState(existingCartItemData?.quantity || 1);
   const [isTeamOrder, setIsTeamOrder] = useState(existingCartItemData?.isTeamOrder || false);
@@ -168,6 +170,7 @@ const ProductModal = ({ isOpen, onClose, product, isFromCart = false, existingCa
         }]
   );
   const [teamName, setTeamName] = useState(existingCartItemData?.teamMembers?.[0]?.teamName || '');
+  const [showRosterImport, setShowRosterImport] = useState(false);
   const [singleOrderDetails, setSingleOrderDetails] = useState(
     existingCartItemData?.singleOrderDetails
       ? { ...existingCartItemData.singleOrderDetails, jerseyType: existingCartItemData?.jerseyType || existingCartItemData.singleOrderDetails?.jerseyType || 'full' }
@@ -1571,6 +1574,7 @@ const ProductModal = ({ isOpen, onClose, product, isFromCart = false, existingCa
         jerseyType: variantKey, // Add jersey type for jersey products (legacy, per-member now stored in teamMembers)
         price: finalPrice,
         isReplacement: isFromCart, // Mark as replacement when coming from cart
+        reorderOfOrderId: isFromCart ? existingCartItemData?.reorderOfOrderId || null : null, // Keep the "order again" link while the roster is edited
         category: product.category, // Include category
         ballDetails: isBall ? ballDetails : null,
         trophyDetails: isTrophy ? trophyDetails : null,
@@ -2005,10 +2009,13 @@ const ProductModal = ({ isOpen, onClose, product, isFromCart = false, existingCa
         shipping_method: orderData.shippingMethod,
         pickup_location: orderData.selectedLocation || null,
         pickup_branch_id: orderData.selectedBranchId || null,
+        pickup_slot: orderData.pickupSlot || null,
         delivery_address: orderData.deliveryAddress,
         order_notes: orderData.orderNotes || null,
         subtotal_amount: orderData.subtotalAmount,
         shipping_cost: orderData.shippingCost,
+        promo_code: orderData.promoCode || null,
+        discount_amount: orderData.discountAmount || 0,
         total_amount: orderData.totalAmount,
         total_items: orderData.totalItems,
         order_items: orderData.items
@@ -2118,6 +2125,50 @@ const ProductModal = ({ isOpen, onClose, product, isFromCart = false, existingCa
     console.log('✅ New team member row added with per-member customization');
   };
 
+  // Roster import: same size lists and defaults as addTeamMember
+  const rosterShirtOnly = shouldHideJerseyType || !isJerseyCategory;
+  const rosterImportRules = {
+    shirtSizes: {
+      adult: jerseySizes?.shirts.adults.length > 0 ? jerseySizes.shirts.adults : ['S', 'M', 'L', 'XL', 'XXL'],
+      kids: jerseySizes?.shirts.kids.length > 0 ? jerseySizes.shirts.kids : ['S6', 'S8', 'S10', 'S12', 'S14']
+    },
+    shortsSizes: rosterShirtOnly ? null : {
+      adult: jerseySizes?.shorts.adults.length > 0 ? jerseySizes.shorts.adults : ['S', 'M', 'L', 'XL', 'XXL'],
+      kids: jerseySizes?.shorts.kids.length > 0 ? jerseySizes.shorts.kids : ['S6', 'S8', 'S10', 'S12', 'S14']
+    },
+    hasJerseyType: !rosterShirtOnly,
+    fabricOptions: fabricOptions.map(option => option.name),
+    cutTypes: shouldHideCutType ? [] : cutTypeOptions.map(option => option.name),
+    defaults: {
+      jerseyType: rosterShirtOnly ? 'shirt' : jerseyType,
+      fabricOption: fabricOptions.length > 0 ? fabricOptions[0].name : '',
+      cutType: shouldHideCutType ? '' : (cutTypeOptions.length > 0 ? cutTypeOptions[0].name : '')
+    }
+  };
+
+  const handleRosterImport = (importedMembers, mode) => {
+    const baseId = Date.now();
+    const newMembers = importedMembers.map((member, index) => ({
+      id: baseId + index,
+      teamName: teamName,
+      surname: member.surname,
+      number: member.number,
+      jerseySize: member.jerseySize,
+      shortsSize: member.shortsSize,
+      sizingType: member.sizingType,
+      jerseyType: member.jerseyType,
+      fabricOption: member.fabricOption,
+      cutType: member.cutType,
+      size: member.jerseySize
+    }));
+    // Blank rows (the empty first member) are dropped when adding to the roster
+    setTeamMembers(prev => (mode === 'append'
+      ? [...prev.filter(member => member.surname || member.number), ...newMembers]
+      : newMembers));
+    setShowRosterImport(false);
+    showSuccess('Roster imported', `${newMembers.length} team member${newMembers.length === 1 ? '' : 's'} added from the file.`);
+  };
+
   const updateTeamMember = (index, field, value) => {
     setTeamMembers(prev => prev.map((member, i) => {
       if (i !== index) {
@@ -2467,14 +2518,24 @@ const ProductModal = ({ isOpen, onClose, product, isFromCart = false, existingCa
               <div className="modal-team-section">
                 <div className="modal-team-header">
                   <div className="modal-team-label">Team Members</div>
-                  <button 
-                    type="button"
-                    className="modal-add-member-button"
-                    onClick={addTeamMember}
-                    title="Add Team Member"
-                  >
-                    <FaPlus />
-                  </button>
+                  <div className="modal-team-header-actions">
+                    <button
+                      type="button"
+                      className="modal-import-roster-button"
+                      onClick={() => setShowRosterImport(true)}
+                      title="Import roster from a CSV or Excel file"
+                    >
+                      <FaFileImport /> Import
+                    </button>
+                    <button 
+                      type="button"
+                      className="modal-add-member-button"
+                      onClick={addTeamMember}
+                      title="Add Team Member"
+                    >
+                      <FaPlus />
+                    </button>
+                  </div>
                 </div>
                 
                 {/* Team Name Input */}
@@ -3228,6 +3289,15 @@ const ProductModal = ({ isOpen, onClose, product, isFromCart = false, existingCa
         isOpen={showSizeChart}
         onClose={() => setShowSizeChart(false)}
       />
+      <RosterImport
+        isOpen={showRosterImport}
+        onClose={() => setShowRosterImport(false)}
+        onImport={handleRosterImport}
+        rules={rosterImportRules}
+        fieldKeys={rosterFieldKeysFor(rosterImportRules)}
+        existingNumbers={teamMembers.map(member => member.number)}
+        hasExistingMembers={teamMembers.some(member => member.surname || member.number)}
+      />
     </div>
   );
 };
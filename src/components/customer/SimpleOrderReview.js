@@ -4,6 +4,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useNotification } from '../../contexts/NotificationContext';
 import orderTrackingService from '../../services/orderTrackingService';
 import { getAPI_URL } from '../../config/api';
+import { authFetch } from '../../services/apiClient';
 import './SimpleOrderReview.css';
 
 const SimpleOrderReview = ({ orderId, orderNumber, productId = null, onReviewSubmit }) => {
@@ -80,14 +81,13 @@ const SimpleOrderReview = ({ orderId, orderNumber, productId = null, onReviewSub
     setShowReviewPopup(false);
     
     try {
-      const response = await fetch(`${getAPI_URL()}/api/order-tracking/review`, {
+      const response = await authFetch(`${getAPI_URL()}/api/order-tracking/review`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           orderId,
-          userId: user.id,
           rating: newReview.rating,
           comment: newReview.comment,
           reviewType: 'general',
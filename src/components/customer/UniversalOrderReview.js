@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { FaStar, FaUser, FaCalendarAlt, FaComment } from 'react-icons/fa';
 import { useAuth } from '../../contexts/AuthContext';
 import { getAPI_URL } from '../../config/api';
+import { authFetch } from '../../services/apiClient';
 import './UniversalOrderReview.css';
 
 const UniversalOrderReview = ({ orderId, orderNumber, productId = null, onReviewSubmit }) => {
@@ -74,14 +75,13 @@ const UniversalOrderReview = ({ orderId, orderNumber, productId = null, onReview
     setSubmitting(true);
     setValidationError(false);
     try {
-      const response = await fetch(`${getAPI_URL()}/api/order-tracking/review`, {
+      const response = await authFetch(`${getAPI_URL()}/api/order-tracking/review`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           orderId,
-          userId: user.id, // Use actual user ID from auth context
           rating: newReview.rating,
           comment: newReview.comment,
           reviewType: newReview.reviewType,
@@ -11,7 +11,8 @@ const ConfirmModal = ({
   message, 
   confirmText = 'Confirm', 
   cancelText = 'Cancel',
-  type = 'default' // 'default', 'warning', 'danger', 'success'
+  type = 'default', // 'default', 'warning', 'danger', 'success'
+  children // optional extra content (e.g. an option checkbox) under the message
 }) => {
   useEffect(() => {
     const handleEscape = (e) => {
@@ -44,6 +45,7 @@ const ConfirmModal = ({
         </div>
         <div className="confirm-modal-body">
           <p>{message}</p>
+          {children}
         </div>
         <div className="confirm-modal-actions">
           <button className="confirm-btn-cancel" onClick={onClose}>
@@ -105,6 +105,7 @@ export const CartProvider = ({ children }) => {
       sizeSurcharge: parseFloat(options.sizeSurcharge ?? 0) || 0,
       sizeSurchargeTotal: parseFloat(options.sizeSurchargeTotal ?? options.sizeSurcharge ?? 0) || 0,
       surchargeDetails: options.surchargeDetails || null,
+      reorderOfOrderId: options.reorderOfOrderId || null, // Set for lines copied with "order again"
       addedAt: new Date().toISOString(),
       uniqueId: Date.now() + Math.random() // Generate a simple unique ID
     };
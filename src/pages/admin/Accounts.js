@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useLocation } from 'react-router-dom';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faSearch, faTrash, faUsers, faUserShield, faPalette, faEdit, faSave, faTimes, faToggleOn, faToggleOff } from '@fortawesome/free-solid-svg-icons';
+import { faSearch, faTrash, faUsers, faUserShield, faPalette, faEdit, faSave, faTimes, faToggleOn, faToggleOff, faCalendarDays } from '@fortawesome/free-solid-svg-icons';
 import ConfirmModal from '../../components/shared/ConfirmModal';
+import ArtistAvailabilityDrawer from '../../components/admin/ArtistAvailabilityDrawer';
 import { FaChevronLeft, FaChevronRight } from 'react-icons/fa';
 import Sidebar from '../../components/admin/Sidebar';
 import '../admin/AdminDashboard.css';
@@ -76,6 +77,9 @@ const Accounts = () => {
   const [isStatusConfirmOpen, setIsStatusConfirmOpen] = useState(false);
   const [pendingArtist, setPendingArtist] = useState(null);
   const [pendingStatus, setPendingStatus] = useState(null);
+  const [reassignOnDeactivate, setReassignOnDeactivate] = useState(true);
+  const [availabilityArtist, setAvailabilityArtist] = useState(null);
+  const availabilityChangedRef = React.useRef(false);
 
   const showFeedback = (message, type = 'info', duration = 4000) => {
     setFeedbackNotice({ message, type });
@@ -440,7 +444,9 @@ const Accounts = () => {
     setEditingArtist(artist);
     setEditFormData({
       artist_name: artist.artist_name || '',
-      email: artist.email || ''
+      email: artist.email || '',
+      specialties: (artist.specialties || []).join(', '),
+      daily_capacity: artist.daily_capacity ?? ''
     });
   };
 
@@ -523,6 +529,7 @@ const Accounts = () => {
     const newStatus = !artist.is_active;
     setPendingArtist(artist);
     setPendingStatus(newStatus);
+    setReassignOnDeactivate(true);
     setIsStatusConfirmOpen(true);
   };
 
@@ -547,12 +554,20 @@ const Accounts = () => {
           'Authorization': `Bearer ${session.access_token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ is_active: newStatus })
+        body: JSON.stringify({ is_active: newStatus, reassign_open_tasks: !newStatus && reassignOnDeactivate })
       });
 
       if (response.ok) {
         const result = await response.json();
         console.log('✅ Status toggle successful:', result);
+        if (result.reassignment) {
+          const { reassigned = [], failed = [], error: reassignError } = result.reassignment;
+          if (reassignError || failed.length > 0) {
+            alert(`Reassigned ${reassigned.length} open task(s). ${reassignError || `${failed.length} could not be moved; use Availability to hand them over.`}`);
+          } else if (reassigned.length > 0) {
+            alert(`Reassigned ${reassigned.length} open task(s) to other artists.`);
+          }
+        }
         await fetchAccounts();
         setForceUpdate(prev => prev + 1);
       } else {
@@ -846,6 +861,8 @@ const Accounts = () => {
                 <th>User ID</th>
                 <th>Artist Name</th>
                 <th>Email</th>
+                <th title="Used when assigning layout tasks">Specialties</th>
+                <th title="Weight units of work per day (one store jersey = 1)">Capacity / Day</th>
                 <th>Tasks Assigned</th>
                 <th>Tasks Completed</th>
                 <th>Status</th>
@@ -856,7 +873,7 @@ const Accounts = () => {
             <tbody>
               {filteredArtistAccounts.length === 0 ? (
                 <tr>
-                  <td colSpan="8" className="no-data">
+                  <td colSpan="10" className="no-data">
                     {artistSearchTerm ? 'No artist accounts match your search.' : 'No artist accounts found.'}
                   </td>
                 </tr>
@@ -890,6 +907,35 @@ const Accounts = () => {
                         artist.email || 'N/A'
                       )}
                     </td>
+                    <td>
+                      {editingArtist?.id === artist.id ? (
+                        <input
+                          type="text"
+                          value={editFormData.specialties}
+                          onChange={(e) => handleEditFormChange('specialties', e.target.value)}
+                          className="edit-input"
+                          placeholder="e.g. Sublimation Layout, Trophy Engraving"
+                        />
+                      ) : (
+                        (artist.specialties || []).join(', ') || '—'
+                      )}
+                    </td>
+                    <td>
+                      {editingArtist?.id === artist.id ? (
+                        <input
+                          type="number"
+                          min="1"
+                          max="100"
+                          step="0.5"
+                          value={editFormData.daily_capacity}
+                          onChange={(e) => handleEditFormChange('daily_capacity', e.target.value)}
+                          className="edit-input"
+                          placeholder="8"
+                        />
+                      ) : (
+                        artist.daily_capacity ?? 8
+                      )}
+                    </td>
                     <td>{artist.total_tasks_assigned || 0}</td>
                     <td>{artist.total_tasks_completed || 0}</td>
                     <td>
@@ -946,6 +992,14 @@ const Accounts = () => {
                                 <FontAwesomeIcon icon={faEdit} />
                               </button>
                             )}
+                            <button
+                              onClick={() => setAvailabilityArtist(artist)}
+                              className="edit-btn availability-btn"
+                              title="Availability, leave and task handoff"
+                              aria-label="Availability, leave and task handoff"
+                            >
+                              <FontAwesomeIcon icon={faCalendarDays} />
+                            </button>
                             <button
                               onClick={() => handleDeleteArtist(artist.id)}
                               className="delete-btn"
@@ -1113,13 +1167,40 @@ const Accounts = () => {
           pendingArtist
             ? pendingStatus
               ? `Are you sure you want to activate ${pendingArtist.artist_name || pendingArtist.email}? They will be eligible to receive new task assignments from orders.`
-              : `Are you sure you want to set ${pendingArtist.artist_name || pendingArtist.email} to inactive? They will be excluded from receiving new task assignments. Existing tasks will not be affected.`
+              : `Are you sure you want to set ${pendingArtist.artist_name || pendingArtist.email} to inactive? They will be excluded from receiving new task assignments.`
             : ''
         }
         confirmText={pendingStatus ? 'Activate' : 'Set Inactive'}
         cancelText="Cancel"
         type={pendingStatus ? 'success' : 'warning'}
-      />
+      >
+        {pendingArtist && !pendingStatus && (
+          <label className="accounts-confirm-option">
+            <input
+              type="checkbox"
+              checked={reassignOnDeactivate}
+              onChange={(e) => setReassignOnDeactivate(e.target.checked)}
+            />
+            Hand their open tasks (with revision notes and design chat) to other artists
+          </label>
+        )}
+      </ConfirmModal>
+
+      {availabilityArtist && (
+        <ArtistAvailabilityDrawer
+          artist={availabilityArtist}
+          artists={artistAccounts}
+          onClose={() => {
+            setAvailabilityArtist(null);
+            // Task counts change when work is handed over
+            if (availabilityChangedRef.current) {
+              availabilityChangedRef.current = false;
+              fetchAccounts();
+            }
+          }}
+          onChanged={() => { availabilityChangedRef.current = true; }}
+        />
+      )}
     </div>
     </div>
     </div>
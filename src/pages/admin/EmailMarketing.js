@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import EmailMarketing from '../../components/admin/EmailMarketing';
+import PromoCodesPanel from '../../components/admin/PromoCodesPanel';
 import Sidebar from '../../components/admin/Sidebar';
 import './admin-shared.css';
 import './AdminDashboard.css';
@@ -18,6 +19,7 @@ const EmailMarketingPage = () => {
       />
       <div className="admin-main-content">
         <EmailMarketing />
+        <PromoCodesPanel />
       </div>
     </div>
   );
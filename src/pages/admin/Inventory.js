@@ -3,11 +3,14 @@ import './Inventory.css';
 import './admin-shared.css';
 import Sidebar from '../../components/admin/Sidebar';
 import AddProductModal from '../../components/admin/AddProductModal';
+import StockHistoryDrawer from '../../components/admin/StockHistoryDrawer';
+import StockTransfersPanel from '../../components/admin/StockTransfersPanel';
+import PurchaseOrdersPanel from '../../components/admin/PurchaseOrdersPanel';
 import ConfirmModal from '../../components/shared/ConfirmModal';
 import { supabase } from '../../lib/supabase';
 import { getAPI_URL } from '../../config/api';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faEdit, faBoxArchive, faBoxOpen, faPlus, faImage, faFilter } from '@fortawesome/free-solid-svg-icons';
+import { faEdit, faBoxArchive, faBoxOpen, faPlus, faImage, faFilter, faClockRotateLeft } from '@fortawesome/free-solid-svg-icons';
 import { FaChevronDown, FaChevronUp, FaSearch as FaSearchIcon } from 'react-icons/fa';
 
 const Inventory = () => {
@@ -40,6 +43,8 @@ const Inventory = () => {
     productId: null,
     productName: ''
   });
+  const [historyProduct, setHistoryProduct] = useState(null);
+  const [inventoryTab, setInventoryTab] = useState('products');
   
   // Default column visibility - load from localStorage or use defaults
   const defaultColumns = {
@@ -952,6 +957,15 @@ const Inventory = () => {
     setUnarchiveModal({ isOpen: false, productId: null, productName: '' });
   };
 
+  // Open the stock history drawer for a row (size rows map back to their original product)
+  const handleShowStockHistory = (product) => {
+    setHistoryProduct({
+      id: product._originalId || product.id,
+      name: product.name,
+      size: product._size || null
+    });
+  };
+
   // Handle column visibility changes
   const handleColumnVisibilityChange = (column, visible) => {
     const newVisibility = {
@@ -988,6 +1002,26 @@ const Inventory = () => {
           <div className="inventory-header">
             <div className="inventory-header-container">
               <h1>Inventory Management</h1>
+              <div className="inventory-tabs">
+                <button
+                  className={`inventory-tab ${inventoryTab === 'products' ? 'active' : ''}`}
+                  onClick={() => setInventoryTab('products')}
+                >
+                  Products
+                </button>
+                <button
+                  className={`inventory-tab ${inventoryTab === 'transfers' ? 'active' : ''}`}
+                  onClick={() => setInventoryTab('transfers')}
+                >
+                  Transfers
+                </button>
+                <button
+                  className={`inventory-tab ${inventoryTab === 'purchasing' ? 'active' : ''}`}
+                  onClick={() => setInventoryTab('purchasing')}
+                >
+                  Purchasing
+                </button>
+              </div>
               <div className="inventory-header-controls">
                 <div className="search-bar">
                   <input
@@ -1138,7 +1172,11 @@ const Inventory = () => {
           </div>
 
           <div className="inventory-content">
-          {loading ? (
+          {inventoryTab === 'transfers' ? (
+            <StockTransfersPanel products={products} />
+          ) : inventoryTab === 'purchasing' ? (
+            <PurchaseOrdersPanel />
+          ) : loading ? (
             <div className="loading">Loading products...</div>
           ) : (
             <div className="inventory-table-container">
@@ -1277,6 +1315,14 @@ const Inventory = () => {
                               >
                                 <FontAwesomeIcon icon={faEdit} />
                               </button>
+                              <button 
+                                className="history-btn"
+                                onClick={() => handleShowStockHistory(product)}
+                                title="Stock History"
+                                aria-label="Stock History"
+                              >
+                                <FontAwesomeIcon icon={faClockRotateLeft} />
+                              </button>
                               {filters.showArchived ? (
                                 <button 
                                   className="unarchive-btn"
@@ -1409,6 +1455,15 @@ const Inventory = () => {
                             <FontAwesomeIcon icon={faEdit} />
                             <span>Edit</span>
                           </button>
+                          <button 
+                            className="history-btn"
+                            onClick={() => handleShowStockHistory(product)}
+                            title="Stock History"
+                            aria-label="Stock History"
+                          >
+                            <FontAwesomeIcon icon={faClockRotateLeft} />
+                            <span>History</span>
+                          </button>
                           {filters.showArchived ? (
                             <button 
                               className="unarchive-btn"
@@ -1466,6 +1521,16 @@ const Inventory = () => {
         type="success"
       />
 
+      {/* Stock History Drawer */}
+      {historyProduct && (
+        <StockHistoryDrawer
+          product={historyProduct}
+          size={historyProduct.size}
+          branchId={filters.branch}
+          onClose={() => setHistoryProduct(null)}
+        />
+      )}
+
       {/* Floating Add Product Button */}
       <button 
         className="floating-add-btn"
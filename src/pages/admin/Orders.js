@@ -2,6 +2,10 @@ import React, { useState } from 'react';
 import Sidebar from '../../components/admin/Sidebar';
 import '../admin/AdminDashboard.css';
 import Orders from '../../components/admin/Orders';
+import PaymentProofsQueue from '../../components/admin/PaymentProofsQueue';
+import AfterSalesQueue from '../../components/admin/AfterSalesQueue';
+import PickupWindowsPanel from '../../components/admin/PickupWindowsPanel';
+import DeliveryRunsPanel from '../../components/admin/DeliveryRunsPanel';
 
 const OrdersPage = () => {
   return (
@@ -11,6 +15,10 @@ const OrdersPage = () => {
         setActivePage={() => {}}
       />
       <div className="admin-main-content">
+        <PaymentProofsQueue />
+        <AfterSalesQueue />
+        <PickupWindowsPanel />
+        <DeliveryRunsPanel />
         <Orders />
       </div>
     </div>
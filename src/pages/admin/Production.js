@@ -0,0 +1,20 @@
+import React from 'react';
+import Sidebar from '../../components/admin/Sidebar';
+import '../admin/AdminDashboard.css';
+import ProductionBoard from '../../components/admin/ProductionBoard';
+
+const ProductionPage = () => {
+  return (
+    <div className="admin-dashboard">
+      <Sidebar
+        activePage={'production'}
+        setActivePage={() => {}}
+      />
+      <div className="admin-main-content">
+        <ProductionBoard />
+      </div>
+    </div>
+  );
+};
+
+export default ProductionPage;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import designProofService from '../../services/designProofService';
+import './ProofReview.css';
+
+const STATUS_LABELS = {
+  pending: 'Waiting for your answer',
+  approved: 'Approved',
+  changes_requested: 'Changes requested',
+  superseded: 'Replaced by a newer version'
+};
+
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleString('en-PH', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : '');
+
+// Watermarked previews; the original files are linked once the order is paid
+const ProofFiles = ({ files = [] }) => (
+  <div className="proof-review-files">
+    {files.map((file, index) => (
+      <div key={`${file.filename}-${index}`} className="proof-review-file">
+        {file.previewUrl
+          ? <img src={file.previewUrl} alt={file.filename || `Design file ${index + 1}`} />
+          : <span>{file.filename || `File ${index + 1}`} (no preview)</span>}
+        {file.originalUrl && (
+          <a href={file.originalUrl} target="_blank" rel="noopener noreferrer">Full-resolution file</a>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+// Customer review of a design proof version, opened from the emailed link; no account needed
+const ProofReview = () => {
+  const { token } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [comparing, setComparing] = useState(null);
+  const [requestingChanges, setRequestingChanges] = useState(false);
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [submitError, setSubmitError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const fetchReview = useCallback(async () => {
+    try {
+      setData(await designProofService.getReview(token));
+      setError('');
+    } catch (fetchError) {
+      setError(fetchError.message || 'Failed to load design proof');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchReview();
+  }, [fetchReview]);
+
+  const submit = async (action) => {
+    setSaving(true);
+    setSubmitError('');
+    try {
+      setResult(await designProofService.respond(token, { action, comment }));
+      setRequestingChanges(false);
+      await fetchReview();
+    } catch (respondError) {
+      setSubmitError(respondError.message || 'Failed to save your response');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="proof-review"><div className="proof-review-muted">Loading design proof...</div></div>;
+  }
+
+  if (error) {
+    return <div className="proof-review"><div className="proof-review-error">{error}</div></div>;
+  }
+
+  const { proof, order, versions, latestVersion, canRespond } = data;
+  const olderVersions = versions.filter(version => version.id !== proof.id);
+  const compared = olderVersions.find(version => version.id === comparing);
+
+  return (
+    <div className="proof-review">
+      <header className="proof-review-header">
+        <h1>Design proof v{proof.version}</h1>
+        <div className="proof-review-muted">
+          Order {order?.order_number}{order?.customer_name && ` · ${order.customer_name}`} · sent {formatDate(proof.created_at)}
+        </div>
+        <span className={`proof-review-status ${proof.status}`}>{STATUS_LABELS[proof.status] || proof.status}</span>
+        {proof.version < latestVersion && (
+          <div className="proof-review-notice">A newer version (v{latestVersion}) was sent after this one. Please check your latest email.</div>
+        )}
+      </header>
+
+      {result?.proof?.status === 'approved' && (
+        <div className="proof-review-notice success">
+          Thank you! The design is approved{result.orderMoved ? ' and your order moves on to sizing.' : '.'}
+          {result.heldBack && ` The order will continue once this is sorted out: ${result.heldBack}`}
+        </div>
+      )}
+      {result?.proof?.status === 'changes_requested' && (
+        <div className="proof-review-notice success">Thanks, your comments were sent to the artist. You'll get a new proof to review.</div>
+      )}
+
+      <section className={`proof-review-compare ${compared ? 'split' : ''}`}>
+        <div className="proof-review-version">
+          {compared && <h2>v{proof.version}</h2>}
+          <ProofFiles files={proof.files} />
+          {proof.notes && <p className="proof-review-notes"><strong>Artist notes:</strong> {proof.notes}</p>}
+        </div>
+        {compared && (
+          <div className="proof-review-version">
+            <h2>v{compared.version}</h2>
+            <ProofFiles files={compared.files} />
+            {compared.notes && <p className="proof-review-notes"><strong>Artist notes:</strong> {compared.notes}</p>}
+            {compared.response_comment && <p className="proof-review-notes"><strong>Your comments:</strong> {compared.response_comment}</p>}
+          </div>
+        )}
+      </section>
+
+      {proof.response_comment && proof.status !== 'pending' && (
+        <p className="proof-review-notes"><strong>Your comments:</strong> {proof.response_comment}</p>
+      )}
+
+      {canRespond && (
+        <section className="proof-review-actions">
+          {requestingChanges ? (
+            <>
+              <textarea
+                placeholder="What should the artist change?"
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                maxLength={2000}
+                disabled={saving}
+              />
+              <div className="proof-review-buttons">
+                <button className="proof-review-btn primary" onClick={() => submit('request_changes')} disabled={saving || !comment.trim()}>
+                  {saving ? 'Sending...' : 'Send to artist'}
+                </button>
+                <button className="proof-review-btn" onClick={() => setRequestingChanges(false)} disabled={saving}>Back</button>
+              </div>
+            </>
+          ) : (
+            <div className="proof-review-buttons">
+              <button className="proof-review-btn primary" onClick={() => submit('approve')} disabled={saving}>
+                {saving ? 'Saving...' : 'Approve this design'}
+              </button>
+              <button className="proof-review-btn" onClick={() => setRequestingChanges(true)} disabled={saving}>Request changes</button>
+            </div>
+          )}
+          {submitError && <div className="proof-review-error">{submitError}</div>}
+        </section>
+      )}
+
+      {olderVersions.length > 0 && (
+        <section className="proof-review-history">
+          <h2>All versions</h2>
+          <ul>
+            {olderVersions.map(version => (
+              <li key={version.id}>
+                <div>
+                  <strong>v{version.version}</strong>
+                  <span className="proof-review-muted"> · {STATUS_LABELS[version.status] || version.status} · {formatDate(version.created_at)}</span>
+                </div>
+                <button
+                  className="proof-review-btn small"
+                  onClick={() => setComparing(comparing === version.id ? null : version.id)}
+                >
+                  {comparing === version.id ? 'Hide' : 'Compare'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ProofReview;
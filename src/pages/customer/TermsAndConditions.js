@@ -51,7 +51,7 @@ const TermsAndConditions = () => {
             <ul className="terms-list">
               <li><strong>Payment Methods:</strong> We only accept Cash on Delivery (COD) for delivery orders and payment upon pickup at our branches.</li>
               <li><strong>Pick Up Orders:</strong> Payment must be made in full when you pick up your order at the selected branch location. No advance payment is required.</li>
-              <li><strong>Cash on Delivery (COD):</strong> For delivery orders, payment is made in cash when the order is delivered to your specified address. A delivery fee of ₱50.00 applies to COD orders.</li>
+              <li><strong>Cash on Delivery (COD):</strong> For delivery orders, payment is made in cash when the order is delivered to your specified address. A delivery fee applies to COD orders, based on the distance from the fulfilling branch and the weight of your order. The fee is shown at checkout and does not change after you place your order.</li>
               <li><strong>Order Confirmation:</strong> You will receive an order confirmation via email. This does not guarantee acceptance of your order.</li>
               <li><strong>Pricing Errors:</strong> We reserve the right to correct any pricing errors, even after an order has been placed.</li>
               <li><strong>No Online Payment:</strong> We do not accept online payments, credit cards, or bank transfers. All payments are made in cash either at pickup or upon delivery.</li>
@@ -80,7 +80,7 @@ const TermsAndConditions = () => {
               <li><strong>Standard Orders:</strong> 3-5 business days</li>
               <li><strong>Custom Designs:</strong> 7-10 business days</li>
               <li><strong>Pick Up:</strong> Free pickup available at all our branch locations. You will be notified when your order is ready for pickup.</li>
-              <li><strong>Cash on Delivery (COD):</strong> Delivery to your specified address is available for ₱50.00 delivery fee. Payment is made in cash upon delivery.</li>
+              <li><strong>Cash on Delivery (COD):</strong> Delivery to your specified address is charged by distance from the fulfilling branch and by weight, with an additional ferry surcharge for deliveries between Batangas and Oriental Mindoro. Payment is made in cash upon delivery.</li>
               <li><strong>Delivery Areas:</strong> COD delivery is available in select areas. Please check with our branches for delivery availability in your location.</li>
             </ul>
             <p className="terms-text">
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import deliveryRunService from '../../services/deliveryRunService';
+import './RiderRun.css';
+
+const MAX_PHOTOS = 5;
+
+const formatPeso = (value) => `₱${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const emptyForm = (stop) => ({ cashCollected: stop.cash_expected, photos: [], notes: '', failureReason: '', failing: false });
+
+// Rider view of a delivery run, opened from the link the branch sends; no account needed
+const RiderRun = () => {
+  const { token } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [forms, setForms] = useState({});
+  const [savingStopId, setSavingStopId] = useState(null);
+  const [stopErrors, setStopErrors] = useState({});
+
+  const fetchRun = useCallback(async () => {
+    try {
+      setData(await deliveryRunService.getRiderRun(token));
+      setError('');
+    } catch (fetchError) {
+      setError(fetchError.message || 'Failed to load delivery run');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchRun();
+  }, [fetchRun]);
+
+  const formFor = (stop) => forms[stop.id] || emptyForm(stop);
+
+  const updateForm = (stop, changes) => {
+    setForms(prev => ({ ...prev, [stop.id]: { ...formFor(stop), ...changes } }));
+  };
+
+  const submitStop = async (stop, status) => {
+    const form = formFor(stop);
+    setSavingStopId(stop.id);
+    setStopErrors(prev => ({ ...prev, [stop.id]: '' }));
+    try {
+      await deliveryRunService.recordStop(token, stop.id, {
+        status,
+        cashCollected: status === 'delivered' ? form.cashCollected : undefined,
+        photos: form.photos,
+        notes: form.notes,
+        failureReason: status === 'failed' ? form.failureReason : undefined
+      });
+      setForms(prev => {
+        const next = { ...prev };
+        delete next[stop.id];
+        return next;
+      });
+      await fetchRun();
+    } catch (submitError) {
+      setStopErrors(prev => ({ ...prev, [stop.id]: submitError.message || 'Failed to save' }));
+    } finally {
+      setSavingStopId(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="rider-run"><div className="rider-run-muted">Loading run...</div></div>;
+  }
+
+  if (error) {
+    return <div className="rider-run"><div className="rider-run-error">{error}</div></div>;
+  }
+
+  const { run, stops, summary } = data;
+  const canRecord = run.status === 'out_for_delivery';
+
+  return (
+    <div className="rider-run">
+      <header className="rider-run-header">
+        <h1>{run.run_number}</h1>
+        <div className="rider-run-muted">
+          {run.riders?.name} · {run.branches?.name}{run.branches?.phone && ` · ${run.branches.phone}`}
+        </div>
+        <div className="rider-run-totals">
+          <span>{summary.stops.delivered + summary.stops.failed}/{summary.stops.total} stops done</span>
+          <span>Collected {formatPeso(summary.cashCollected)}</span>
+          {summary.cashOutstanding > 0 && <span>To collect {formatPeso(summary.cashOutstanding)}</span>}
+        </div>
+        {run.status === 'planned' && <div className="rider-run-notice">This run hasn't been dispatched yet. Wait for the branch to send you out.</div>}
+        {run.status === 'completed' && <div className="rider-run-notice">This run is closed. Thank you!</div>}
+      </header>
+
+      {stops.map(stop => {
+        const form = formFor(stop);
+        const saving = savingStopId === stop.id;
+
+        return (
+          <div key={stop.id} className={`rider-run-stop ${stop.status}`}>
+            <div className="rider-run-stop-header">
+              <span className="rider-run-sequence">{stop.sequence}</span>
+              <strong>{stop.orders?.order_number}</strong>
+              <span className={`rider-run-status ${stop.status}`}>{stop.status}</span>
+            </div>
+            <div className="rider-run-recipient">
+              <div>{stop.recipient.name || 'Customer'}</div>
+              {stop.recipient.phone && <a href={`tel:${stop.recipient.phone}`}>{stop.recipient.phone}</a>}
+              <div className="rider-run-muted">{stop.recipient.address}</div>
+            </div>
+            <div className="rider-run-cash">
+              Collect <strong>{formatPeso(stop.cash_expected)}</strong>
+              {stop.status === 'delivered' && ` · collected ${formatPeso(stop.cash_collected)}`}
+            </div>
+            {stop.failure_reason && <div className="rider-run-muted">Failed: {stop.failure_reason}</div>}
+
+            {canRecord && stop.status === 'pending' && (
+              <div className="rider-run-form">
+                <label>
+                  Cash collected
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.cashCollected}
+                    onChange={(e) => updateForm(stop, { cashCollected: e.target.value })}
+                    disabled={saving}
+                  />
+                </label>
+                <label>
+                  Proof photos (up to {MAX_PHOTOS})
+                  <input
+                    type="file"
+                    accept="image/*"
+                    capture="environment"
+                    multiple
+                    onChange={(e) => updateForm(stop, { photos: Array.from(e.target.files).slice(0, MAX_PHOTOS) })}
+                    disabled={saving}
+                  />
+                </label>
+                <textarea
+                  placeholder="Notes (optional)"
+                  value={form.notes}
+                  onChange={(e) => updateForm(stop, { notes: e.target.value })}
+                  disabled={saving}
+                />
+                {form.failing && (
+                  <textarea
+                    placeholder="Why couldn't it be delivered?"
+                    value={form.failureReason}
+                    onChange={(e) => updateForm(stop, { failureReason: e.target.value })}
+                    disabled={saving}
+                  />
+                )}
+                {stopErrors[stop.id] && <div className="rider-run-error">{stopErrors[stop.id]}</div>}
+                <div className="rider-run-actions">
+                  {form.failing ? (
+                    <>
+                      <button className="rider-run-btn danger" onClick={() => submitStop(stop, 'failed')} disabled={saving || !form.failureReason.trim()}>
+                        {saving ? 'Saving...' : 'Confirm failed'}
+                      </button>
+                      <button className="rider-run-btn" onClick={() => updateForm(stop, { failing: false })} disabled={saving}>Back</button>
+                    </>
+                  ) : (
+                    <>
+                      <button className="rider-run-btn primary" onClick={() => submitStop(stop, 'delivered')} disabled={saving || form.photos.length === 0}>
+                        {saving ? 'Saving...' : 'Delivered'}
+                      </button>
+                      <button className="rider-run-btn" onClick={() => updateForm(stop, { failing: true })} disabled={saving}>Failed</button>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RiderRun;
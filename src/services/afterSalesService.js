@@ -0,0 +1,54 @@
+import API_URL from '../config/api';
+import { authJsonFetch } from './apiClient';
+
+class AfterSalesService {
+  // Report a problem with a delivered order:
+  // { orderId, issueType, description, resolution, refundAmount, affectedItems, photos }
+  async submitRequest({ orderId, issueType, description, resolution, refundAmount, affectedItems = [], photos = [] }) {
+    const formData = new FormData();
+    formData.append('orderId', orderId);
+    formData.append('issueType', issueType);
+    formData.append('description', description);
+    formData.append('resolution', resolution);
+    if (refundAmount) formData.append('refundAmount', refundAmount);
+    formData.append('affectedItems', JSON.stringify(affectedItems));
+    Array.from(photos).forEach(photo => formData.append('photos', photo));
+
+    const data = await authJsonFetch(`${API_URL}/api/after-sales`, {
+      method: 'POST',
+      body: formData
+    });
+    return data.request;
+  }
+
+  async getOrderRequests(orderId) {
+    const data = await authJsonFetch(`${API_URL}/api/after-sales/order/${orderId}`);
+    return data.requests || [];
+  }
+
+  // Admin queue; status is pending, approved or rejected
+  async getQueue(status = 'pending') {
+    const data = await authJsonFetch(`${API_URL}/api/after-sales?status=${encodeURIComponent(status)}`);
+    return data.requests || [];
+  }
+
+  // { refundAmount, refundMethod, adminNotes }
+  async approveRequest(requestId, decision = {}) {
+    return authJsonFetch(`${API_URL}/api/after-sales/${requestId}/approve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(decision)
+    });
+  }
+
+  async rejectRequest(requestId, adminNotes) {
+    return authJsonFetch(`${API_URL}/api/after-sales/${requestId}/reject`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ adminNotes })
+    });
+  }
+}
+
+const afterSalesService = new AfterSalesService();
+export default afterSalesService;
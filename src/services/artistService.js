@@ -1,4 +1,12 @@
 import { supabase } from '../lib/supabase';
+import API_URL from '../config/api';
+import { authJsonFetch } from './apiClient';
+
+const jsonRequest = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body || {})
+});
 
 class ArtistService {
   // Assign a custom design order task to an artist
@@ -244,6 +252,46 @@ class ArtistService {
       throw error;
     }
   }
+
+  // Availability and handoff (admin). artistUserId is the artist's user ID as listed in Accounts.
+
+  // { artist, workingHours, leave, onLeaveToday, leaveTodayUntil, openTasks }
+  async getAvailability(artistUserId) {
+    return authJsonFetch(`${API_URL}/api/admin/artists/${artistUserId}/availability`);
+  }
+
+  // { days: [0-6], start: 'HH:MM', end: 'HH:MM' }
+  async saveWorkingHours(artistUserId, workingHours) {
+    const data = await authJsonFetch(`${API_URL}/api/admin/artists/${artistUserId}/working-hours`, jsonRequest('PUT', workingHours));
+    return data.workingHours;
+  }
+
+  async addLeave(artistUserId, { startDate, endDate, reason }) {
+    const data = await authJsonFetch(
+      `${API_URL}/api/admin/artists/${artistUserId}/leave`,
+      jsonRequest('POST', { start_date: startDate, end_date: endDate, reason })
+    );
+    return data.leave;
+  }
+
+  async removeLeave(artistUserId, leaveId) {
+    return authJsonFetch(`${API_URL}/api/admin/artists/${artistUserId}/leave/${leaveId}`, { method: 'DELETE' });
+  }
+
+  // Without toArtistUserId the server picks an artist for each task
+  async reassignOpenTasks(artistUserId, { toArtistUserId = null, reason = null, note = null } = {}) {
+    return authJsonFetch(
+      `${API_URL}/api/admin/artists/${artistUserId}/reassign-tasks`,
+      jsonRequest('POST', { to_artist_id: toArtistUserId, reason, note })
+    );
+  }
+
+  async reassignTask(taskId, { toArtistUserId = null, reason = null, note = null } = {}) {
+    return authJsonFetch(
+      `${API_URL}/api/admin/artists/tasks/${taskId}/reassign`,
+      jsonRequest('POST', { to_artist_id: toArtistUserId, reason, note })
+    );
+  }
 }
 
 export default new ArtistService();
@@ -1,4 +1,5 @@
 import API_URL from '../config/api';
+import { authJsonFetch } from './apiClient';
 
 class BranchService {
   async getBranches() {
@@ -17,6 +18,40 @@ class BranchService {
     }
     return [];
   }
+
+  // Upcoming pickup slots with remaining capacity: [{ windowId, start, end, remaining, available }]
+  async getPickupSlots(branchId, days = 7) {
+    const response = await fetch(`${API_URL}/api/branches/${branchId}/pickup-slots?days=${days}`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load pickup times');
+    }
+
+    const data = await response.json();
+    return data.slots || [];
+  }
+
+  async getPickupWindows(branchId) {
+    const data = await authJsonFetch(`${API_URL}/api/branches/${branchId}/pickup-windows`);
+    return data.windows || [];
+  }
+
+  // window: { dayOfWeek, opensAt, closesAt, slotMinutes, capacity, isActive }
+  async savePickupWindow(branchId, window) {
+    const url = window.id
+      ? `${API_URL}/api/branches/${branchId}/pickup-windows/${window.id}`
+      : `${API_URL}/api/branches/${branchId}/pickup-windows`;
+    const data = await authJsonFetch(url, {
+      method: window.id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(window)
+    });
+    return data.window;
+  }
+
+  async deletePickupWindow(branchId, windowId) {
+    return authJsonFetch(`${API_URL}/api/branches/${branchId}/pickup-windows/${windowId}`, { method: 'DELETE' });
+  }
 }
 
 const branchService = new BranchService();
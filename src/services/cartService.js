@@ -98,6 +98,7 @@ class CartService {
           sizeSurcharge: parseFloat(item.size_surcharge ?? 0) || 0,
           sizeSurchargeTotal: parseFloat(item.size_surcharge_total ?? item.size_surcharge ?? 0) || 0,
           surchargeDetails: item.surcharge_details || null,
+          reorderOfOrderId: item.reorder_of_order_id || null,
           uniqueId: item.id, // Use database ID as unique identifier
           createdAt: item.created_at,
           updatedAt: item.updated_at
@@ -194,6 +195,7 @@ class CartService {
           const isSameSizeSurchargeTotal = parseFloat(existingItem.size_surcharge_total ?? 0) === parseFloat(cartItem.sizeSurchargeTotal ?? cartItem.sizeSurcharge ?? 0);
           const isSameBasePrice = parseFloat(existingItem.base_price ?? 0) === parseFloat(cartItem.basePrice ?? cartItem.price ?? 0);
           const isSameSurchargeDetails = JSON.stringify(existingItem.surcharge_details) === JSON.stringify(cartItem.surchargeDetails);
+          const isSameReorderSource = (existingItem.reorder_of_order_id || null) === (cartItem.reorderOfOrderId || null);
           
           // If EVERYTHING matches (including customization), it's a true duplicate
           if (
@@ -206,7 +208,8 @@ class CartService {
             isSameSizeSurcharge &&
             isSameSizeSurchargeTotal &&
             isSameBasePrice &&
-            isSameSurchargeDetails
+            isSameSurchargeDetails &&
+            isSameReorderSource
           ) {
             foundExactMatch = existingItem;
             break;
@@ -269,7 +272,8 @@ class CartService {
         fabric_surcharge: cartItem.fabricSurcharge ?? 0,
         size_surcharge: cartItem.sizeSurcharge ?? 0,
         size_surcharge_total: cartItem.sizeSurchargeTotal ?? cartItem.sizeSurcharge ?? 0,
-        surcharge_details: cartItem.surchargeDetails || null
+        surcharge_details: cartItem.surchargeDetails || null,
+        reorder_of_order_id: cartItem.reorderOfOrderId || null
       };
       
       if (cartItem.jerseyType) {
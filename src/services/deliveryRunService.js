@@ -0,0 +1,98 @@
+import API_URL from '../config/api';
+import { authJsonFetch } from './apiClient';
+
+const jsonRequest = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body || {})
+});
+
+class DeliveryRunService {
+  async getRiders(branchId) {
+    const data = await authJsonFetch(`${API_URL}/api/delivery-runs/riders?branchId=${branchId}`);
+    return data.riders || [];
+  }
+
+  // { id, branchId, name, phone, vehicle, courierName, isActive }
+  async saveRider({ id, ...rider }) {
+    const data = id
+      ? await authJsonFetch(`${API_URL}/api/delivery-runs/riders/${id}`, jsonRequest('PUT', rider))
+      : await authJsonFetch(`${API_URL}/api/delivery-runs/riders`, jsonRequest('POST', rider));
+    return data.rider;
+  }
+
+  // Packed COD orders of the branch that are not on a run yet
+  async getAvailableOrders(branchId) {
+    const data = await authJsonFetch(`${API_URL}/api/delivery-runs/available-orders?branchId=${branchId}`);
+    return data.orders || [];
+  }
+
+  // status is open, completed, cancelled or all
+  async getRuns(branchId, status = 'open') {
+    const data = await authJsonFetch(`${API_URL}/api/delivery-runs?branchId=${branchId}&status=${encodeURIComponent(status)}`);
+    return data.runs || [];
+  }
+
+  async getRun(runId) {
+    return authJsonFetch(`${API_URL}/api/delivery-runs/${runId}`);
+  }
+
+  // { branchId, riderId, orderIds, sortBy, notes }
+  async createRun(run) {
+    return authJsonFetch(`${API_URL}/api/delivery-runs`, jsonRequest('POST', run));
+  }
+
+  async dispatchRun(runId) {
+    const data = await authJsonFetch(`${API_URL}/api/delivery-runs/${runId}/dispatch`, jsonRequest('POST'));
+    return data.run;
+  }
+
+  async completeRun(runId, { cashRemitted, notes }) {
+    return authJsonFetch(`${API_URL}/api/delivery-runs/${runId}/complete`, jsonRequest('POST', { cashRemitted, notes }));
+  }
+
+  async cancelRun(runId) {
+    const data = await authJsonFetch(`${API_URL}/api/delivery-runs/${runId}/cancel`, jsonRequest('POST'));
+    return data.run;
+  }
+
+  // Link the rider opens on their phone
+  getRiderLink(run) {
+    return `${window.location.origin}/rider/runs/${run.access_token}`;
+  }
+
+  // Rider pages are opened from the run link, without signing in
+  async getRiderRun(token) {
+    const response = await fetch(`${API_URL}/api/delivery-runs/rider/${token}`);
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load delivery run');
+    }
+    return data;
+  }
+
+  // { status, cashCollected, notes, failureReason, photos }
+  async recordStop(token, stopId, { status, cashCollected, notes, failureReason, photos = [] }) {
+    const formData = new FormData();
+    formData.append('status', status);
+    if (cashCollected !== undefined && cashCollected !== '') formData.append('cashCollected', cashCollected);
+    if (notes) formData.append('notes', notes);
+    if (failureReason) formData.append('failureReason', failureReason);
+    Array.from(photos).forEach(photo => formData.append('photos', photo));
+
+    const response = await fetch(`${API_URL}/api/delivery-runs/rider/${token}/stops/${stopId}`, {
+      method: 'POST',
+      body: formData
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to record delivery');
+    }
+    return data.stop;
+  }
+}
+
+const deliveryRunService = new DeliveryRunService();
+export default deliveryRunService;
@@ -0,0 +1,52 @@
+import API_URL from '../config/api';
+import { authJsonFetch } from './apiClient';
+
+const jsonRequest = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body || {})
+});
+
+class DesignProofService {
+  // Proof versions of an order, newest first (staff and the customer also get review_url)
+  async getOrderProofs(orderId) {
+    const data = await authJsonFetch(`${API_URL}/api/design-proofs/orders/${orderId}`);
+    return data.proofs || [];
+  }
+
+  async resendProof(orderId) {
+    return authJsonFetch(`${API_URL}/api/design-proofs/orders/${orderId}/resend`, jsonRequest('POST'));
+  }
+
+  // Staff record the customer's answer given in person: { action: approve | request_changes, comment }
+  async recordResponse(orderId, proofId, { action, comment }) {
+    return authJsonFetch(
+      `${API_URL}/api/design-proofs/orders/${orderId}/proofs/${proofId}/respond`,
+      jsonRequest('POST', { action, comment })
+    );
+  }
+
+  // Review pages are opened from the emailed link, without signing in
+  async getReview(token) {
+    const response = await fetch(`${API_URL}/api/design-proofs/review/${token}`);
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load design proof');
+    }
+    return data;
+  }
+
+  async respond(token, { action, comment }) {
+    const response = await fetch(`${API_URL}/api/design-proofs/review/${token}`, jsonRequest('POST', { action, comment }));
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save your response');
+    }
+    return data;
+  }
+}
+
+const designProofService = new DesignProofService();
+export default designProofService;
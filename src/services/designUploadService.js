@@ -3,8 +3,8 @@ import { supabase } from '../lib/supabase';
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
 
 class DesignUploadService {
-  // Upload design files for an order
-  async uploadDesignFiles(orderId, files) {
+  // Upload design files for an order; each upload becomes the next proof version for the customer
+  async uploadDesignFiles(orderId, files, notes = '') {
     try {
       // Get current session token
       const { data: { session } } = await supabase.auth.getSession();
@@ -22,6 +22,9 @@ class DesignUploadService {
       Array.from(files).forEach((file, index) => {
         formData.append('designFiles', file);
       });
+      if (notes.trim()) {
+        formData.append('notes', notes.trim());
+      }
 
       const response = await fetch(`${API_BASE_URL}/api/design-upload/${orderId}`, {
         method: 'POST',
@@ -72,6 +75,54 @@ class DesignUploadService {
     }
   }
 
+  // Watermarked previews of an order's design files for the customer; originals once the order is paid
+  async getDesignPreviews(orderId) {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/api/design-upload/${orderId}/previews`, {
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`
+      }
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to fetch design previews');
+    }
+
+    return await response.json();
+  }
+
+  // Files for a design review request in the chat; returns attachments that carry only the preview
+  async uploadReviewFiles(orderId, files) {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      throw new Error('User not authenticated');
+    }
+
+    const formData = new FormData();
+    Array.from(files).forEach(file => formData.append('files', file));
+
+    const response = await fetch(`${API_BASE_URL}/api/design-upload/${orderId}/review-files`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`
+      },
+      body: formData
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to upload review files');
+    }
+
+    const data = await response.json();
+    return data.attachments || [];
+  }
+
   // Delete a design file
   async deleteDesignFile(orderId, publicId) {
     try {
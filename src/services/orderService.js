@@ -2,6 +2,43 @@ import { supabase } from '../lib/supabase';
 import API_URL from '../config/api';
 import { authFetch, authJsonFetch } from './apiClient';
 
+// Order columns the browser reads. Browser roles can't select design_files (migration
+// restrict-order-design-files.sql), so select('*') on orders is refused; design files come from
+// designUploadService.getDesignPreviews instead.
+const CUSTOMER_ORDER_COLUMNS = [
+  'id', 'order_number', 'user_id', 'status', 'order_type', 'shipping_method', 'pickup_location',
+  'subtotal_amount', 'shipping_cost', 'total_amount', 'total_items', 'order_items',
+  'delivery_address', 'order_notes', 'payment_status', 'amount_paid', 'balance_due',
+  'downpayment_required', 'amount_refunded', 'remake_of_order_id', 'reorder_of_order_id',
+  'pickup_slot_start', 'pickup_slot_end', 'pickup_code', 'created_at'
+].join(', ');
+
+// Fetch a generated file with the session token and hand it to the browser as a download
+async function downloadFile(url, filename) {
+  const response = await authFetch(url);
+
+  if (!response.ok) {
+    let message = `HTTP error! status: ${response.status}`;
+    try {
+      const data = await response.json();
+      message = data.error || message;
+    } catch (parseError) {
+      // Non-JSON error body
+    }
+    throw new Error(message);
+  }
+
+  const blob = await response.blob();
+  const objectUrl = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = objectUrl;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(objectUrl);
+  document.body.removeChild(a);
+}
+
 class OrderService {
   async getAllOrders(filters = {}) {
     try {
@@ -152,6 +189,74 @@ class OrderService {
     }
   }
 
+  // Download the printable invoice / official receipt PDF for an order
+  async downloadInvoice(orderId, orderNumber) {
+    await downloadFile(`${API_URL}/api/orders/${orderId}/invoice.pdf`, `invoice-${orderNumber || orderId}.pdf`);
+  }
+
+  // Printable team roster of an order for the sizing and printing staff; format is 'pdf' or 'csv'
+  async downloadRoster(orderId, orderNumber, format = 'pdf') {
+    await downloadFile(`${API_URL}/api/orders/${orderId}/roster.${format}`, `roster-${orderNumber || orderId}.${format}`);
+  }
+
+  // Payment entries, totals and downpayment for an order
+  async getOrderPayments(orderId) {
+    return authJsonFetch(`${API_URL}/api/orders/${orderId}/payments`);
+  }
+
+  // Status changes of an order: { status, allowedStatuses, history }
+  async getOrderStatusHistory(orderId) {
+    return authJsonFetch(`${API_URL}/api/orders/${orderId}/status-history`);
+  }
+
+  // Record a payment or refund: { kind, amount, method, reference, notes }
+  async recordOrderPayment(orderId, payment) {
+    return authJsonFetch(`${API_URL}/api/orders/${orderId}/payments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payment)
+    });
+  }
+
+  // Proofs of payment the customer has submitted for an order
+  async getPaymentProofs(orderId) {
+    const data = await authJsonFetch(`${API_URL}/api/orders/${orderId}/payment-proofs`);
+    return data.proofs || [];
+  }
+
+  // Upload a bank transfer / GCash receipt: { file, amount, method, reference }
+  async submitPaymentProof(orderId, { file, amount, method, reference }) {
+    const formData = new FormData();
+    formData.append('proof', file);
+    formData.append('amount', amount);
+    formData.append('method', method);
+    if (reference) formData.append('reference', reference);
+
+    const data = await authJsonFetch(`${API_URL}/api/orders/${orderId}/payment-proofs`, {
+      method: 'POST',
+      body: formData
+    });
+    return data.proof;
+  }
+
+  // Admin verification queue; status is pending, approved or rejected
+  async getPaymentProofQueue(status = 'pending') {
+    const data = await authJsonFetch(`${API_URL}/api/orders/payment-proofs?status=${encodeURIComponent(status)}`);
+    return data.proofs || [];
+  }
+
+  async approvePaymentProof(proofId) {
+    return authJsonFetch(`${API_URL}/api/orders/payment-proofs/${proofId}/approve`, { method: 'POST' });
+  }
+
+  async rejectPaymentProof(proofId, reason) {
+    return authJsonFetch(`${API_URL}/api/orders/payment-proofs/${proofId}/reject`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason })
+    });
+  }
+
   async getUserOrders(userId, excludeCancelled = true) {
     try {
       console.log('📦 [OrderService] ========== FETCHING ORDERS ==========');
@@ -180,7 +285,7 @@ class OrderService {
       // Now fetch orders for this specific user
       let query = supabase
         .from('orders')
-        .select('*')
+        .select(CUSTOMER_ORDER_COLUMNS)
         .eq('user_id', userId)
         .abortSignal(AbortSignal.timeout(15000)); // Increased timeout to 15 seconds
 
@@ -235,7 +340,7 @@ class OrderService {
       // Get assigned artist - first check if task exists
       const { data: artistTask, error: taskError } = await supabase
         .from('artist_tasks')
-        .select('artist_id')
+        .select('artist_id, assignment_reasons')
         .eq('order_id', orderId)
         .maybeSingle();
 
@@ -252,7 +357,8 @@ class OrderService {
         const profile = await this.getArtistProfileById(artistTask.artist_id);
         
         if (profile && profile.is_active) {
-          assignedArtist = profile;
+          // Why the assigner picked this artist (score and reasons stored on the task)
+          assignedArtist = { ...profile, assignmentReasons: artistTask.assignment_reasons || null };
         } else {
           console.log('⚠️ Artist profile not active or not found for order', orderId);
         }
@@ -272,7 +378,59 @@ class OrderService {
     }
   }
 
-  async updateOrderStatus(orderId, status) {
+  // Book or change the pickup slot of a pickup order: slot is { windowId, start }
+  async bookPickupSlot(orderId, slot) {
+    return authJsonFetch(`${API_URL}/api/orders/${orderId}/pickup-slot`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(slot)
+    });
+  }
+
+  // "Order again" for a delivered order: { type: 'cart', lines, unavailable } for catalog orders
+  // (each line is { product, options } for CartContext addToCart) or
+  // { type: 'custom_design', customDesign } to prefill the custom design form
+  async getOrderAgain(orderId) {
+    return authJsonFetch(`${API_URL}/api/orders/${orderId}/order-again`);
+  }
+
+  // Parts of a split order ({ shipments, suggestedSplit })
+  async getOrderShipments(orderId) {
+    return authJsonFetch(`${API_URL}/api/orders/${orderId}/shipments`);
+  }
+
+  // parts: [{ label, lines }] where lines are indexes into the order's items
+  async splitOrder(orderId, parts) {
+    const data = await authJsonFetch(`${API_URL}/api/orders/${orderId}/shipments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ parts })
+    });
+    return data.shipments || [];
+  }
+
+  async mergeOrderParts(orderId) {
+    return authJsonFetch(`${API_URL}/api/orders/${orderId}/shipments`, { method: 'DELETE' });
+  }
+
+  // { status, pickupCode, photos, deliveryPersonName, deliveryPersonContact, notes }
+  async updateShipmentStatus(orderId, shipmentId, { status, pickupCode, photos = [], deliveryPersonName, deliveryPersonContact, notes }) {
+    const formData = new FormData();
+    formData.append('status', status);
+    if (pickupCode) formData.append('pickupCode', pickupCode);
+    if (deliveryPersonName) formData.append('deliveryPersonName', deliveryPersonName);
+    if (deliveryPersonContact) formData.append('deliveryPersonContact', deliveryPersonContact);
+    if (notes) formData.append('notes', notes);
+    Array.from(photos).forEach(photo => formData.append('photos', photo));
+
+    return authJsonFetch(`${API_URL}/api/orders/${orderId}/shipments/${shipmentId}`, {
+      method: 'PATCH',
+      body: formData
+    });
+  }
+
+  // options.pickupCode is required to hand over a packed pickup order
+  async updateOrderStatus(orderId, status, options = {}) {
     try {
       console.log('🔐 Updating order status with authenticated request');
 
@@ -283,6 +441,7 @@ class OrderService {
         },
         body: JSON.stringify({ 
           status,
+          pickupCode: options.pickupCode || undefined,
           skipEmail: false // Ensure email is sent
         })
       });
@@ -355,11 +514,14 @@ class OrderService {
 
   async createOrder(orderData) {
     try {
-      // Use backend API to trigger email automation
+      // Use backend API to trigger email automation. The session token (when signed in) is what
+      // per-customer promo code limits are checked against.
+      const { data: { session } } = await supabase.auth.getSession();
       const response = await fetch(`${API_URL}/api/orders`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {})
         },
         body: JSON.stringify(orderData)
       });
@@ -389,6 +551,8 @@ class OrderService {
           error.isStockError = errorData.requiresBranchSelection === true || errorData.error === 'Insufficient stock';
           error.stockCheck = errorData.stockCheck;
           error.requiresBranchSelection = errorData.requiresBranchSelection;
+          error.isPriceMismatch = errorData.error === 'Price mismatch';
+          error.pricing = errorData.pricing;
         }
         throw error;
       }
@@ -463,6 +627,7 @@ class OrderService {
       customerEmail: customerEmail,
       customerName: customerName,
       status: order.status,
+      orderType: order.order_type || null,
       shippingMethod: order.shipping_method,
       pickupLocation: order.pickup_location,
       subtotalAmount: parseFloat(order.subtotal_amount) || 0,
@@ -473,7 +638,19 @@ class OrderService {
       orderItems: order.order_items,
       deliveryAddress: order.delivery_address,
       orderNotes: order.order_notes,
-      designFiles: order.design_files || []
+      designFiles: order.design_files || [],
+      paymentStatus: order.payment_status || 'unpaid',
+      amountPaid: parseFloat(order.amount_paid) || 0,
+      balanceDue: order.balance_due !== null && order.balance_due !== undefined
+        ? parseFloat(order.balance_due) || 0
+        : parseFloat(order.total_amount) || 0,
+      downpaymentRequired: parseFloat(order.downpayment_required) || 0,
+      amountRefunded: parseFloat(order.amount_refunded) || 0,
+      remakeOfOrderId: order.remake_of_order_id || null,
+      reorderOfOrderId: order.reorder_of_order_id || null,
+      pickupSlotStart: order.pickup_slot_start || null,
+      pickupSlotEnd: order.pickup_slot_end || null,
+      pickupCode: order.pickup_code || null
     };
   }
 
@@ -589,7 +766,7 @@ class OrderService {
     try {
       const { data: orders, error } = await supabase
         .from('orders')
-        .select('*')
+        .select(CUSTOMER_ORDER_COLUMNS)
         .eq('status', 'picked_up_delivered');
 
       if (error) {
@@ -1,3 +1,5 @@
+import { authFetch } from './apiClient';
+
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
 
 class ProductionWorkflowService {
@@ -40,16 +42,16 @@ class ProductionWorkflowService {
   }
 
   /**
-   * Update a specific workflow stage
+   * Update a specific workflow stage (recorded as the signed-in user)
    */
-  async updateStage(orderId, stage, status, notes = '', updatedBy = 'admin') {
+  async updateStage(orderId, stage, status, notes = '') {
     try {
-      const response = await fetch(`${API_URL}/api/production-workflow/${orderId}/stage/${stage}`, {
+      const response = await authFetch(`${API_URL}/api/production-workflow/${orderId}/stage/${stage}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ status, notes, updatedBy })
+        body: JSON.stringify({ status, notes })
       });
       
       const data = await response.json();
@@ -66,16 +68,16 @@ class ProductionWorkflowService {
   }
 
   /**
-   * Bulk update multiple stages
+   * Bulk update multiple stages (recorded as the signed-in user)
    */
-  async bulkUpdateStages(orderId, updates, updatedBy = 'admin') {
+  async bulkUpdateStages(orderId, updates) {
     try {
-      const response = await fetch(`${API_URL}/api/production-workflow/${orderId}/bulk-update`, {
+      const response = await authFetch(`${API_URL}/api/production-workflow/${orderId}/bulk-update`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ updates, updatedBy })
+        body: JSON.stringify({ updates })
       });
       
       const data = await response.json();
@@ -91,6 +93,78 @@ class ProductionWorkflowService {
     }
   }
 
+  /**
+   * Move an order from one board column to the next (completes fromStage, starts toStage)
+   */
+  async advanceStage(orderId, fromStage, toStage) {
+    try {
+      const response = await authFetch(`${API_URL}/api/production-workflow/${orderId}/advance`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ fromStage, toStage })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to move order to the next stage');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error advancing workflow stage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Production board columns with their orders and WIP limits (branchId is only used for owners)
+   */
+  async getBoard(branchId = null) {
+    try {
+      const params = branchId ? `?branchId=${encodeURIComponent(branchId)}` : '';
+      const response = await authFetch(`${API_URL}/api/production-workflow/board/orders${params}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch production board');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error fetching production board:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a branch's WIP limits: { [stage]: number|null }
+   */
+  async saveWipLimits(limits, branchId = null) {
+    try {
+      const response = await authFetch(`${API_URL}/api/production-workflow/board/wip-limits`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ limits, branchId })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save WIP limits');
+      }
+
+      return data.wipLimits;
+    } catch (error) {
+      console.error('Error saving WIP limits:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get production progress for an order
    */
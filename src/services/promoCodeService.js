@@ -0,0 +1,37 @@
+import API_URL from '../config/api';
+import { authJsonFetch } from './apiClient';
+
+class PromoCodeService {
+  // Check a code against the checkout items; resolves with the discount and new totals.
+  // shipping carries { deliveryAddress, pickupLocation, pickupBranchId } for COD totals.
+  async validatePromoCode(code, orderItems, shippingMethod, shipping = {}) {
+    return authJsonFetch(`${API_URL}/api/promo-codes/validate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code, orderItems, shippingMethod, ...shipping })
+    });
+  }
+
+  async getPromoCodes() {
+    return authJsonFetch(`${API_URL}/api/promo-codes`);
+  }
+
+  async createPromoCode(promoCode) {
+    return authJsonFetch(`${API_URL}/api/promo-codes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(promoCode)
+    });
+  }
+
+  async updatePromoCode(id, updates) {
+    return authJsonFetch(`${API_URL}/api/promo-codes/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates)
+    });
+  }
+}
+
+const promoCodeService = new PromoCodeService();
+export default promoCodeService;
@@ -0,0 +1,17 @@
+import API_URL from '../config/api';
+import { authJsonFetch } from './apiClient';
+
+class ShippingService {
+  // COD shipping quote from the fulfilling branch to the delivery address.
+  // The server prices the order again with the same rules when it is placed.
+  async getQuote({ orderItems, deliveryAddress, pickupLocation, pickupBranchId }) {
+    return authJsonFetch(`${API_URL}/api/shipping/quote`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ orderItems, deliveryAddress, pickupLocation, pickupBranchId })
+    });
+  }
+}
+
+const shippingService = new ShippingService();
+export default shippingService;
@@ -0,0 +1,430 @@
+import JSZip from 'jszip';
+
+// Team roster import: read a CSV or XLSX roster, map its columns to team member fields and
+// validate every row before it replaces the members typed into a team order form.
+// The column labels match the roster CSV exported from an order (GET /api/orders/:id/roster.csv),
+// so an old order's sheet can be edited and imported again.
+
+export const ROSTER_FIELDS = [
+  { key: 'surname', label: 'Surname', aliases: ['surname', 'last name', 'lastname', 'name', 'player', 'player name', 'name on jersey'] },
+  { key: 'number', label: 'Number', aliases: ['number', 'no', 'no.', 'jersey number', 'jersey no', 'jersey no.', '#', 'num'] },
+  { key: 'jerseySize', label: 'Jersey Size', aliases: ['jersey size', 'shirt size', 'size', 'top size', 'upper size'] },
+  { key: 'shortsSize', label: 'Shorts Size', aliases: ['shorts size', 'short size', 'shorts', 'bottom size', 'lower size'] },
+  { key: 'jerseyType', label: 'Jersey Type', aliases: ['jersey type', 'type', 'set', 'order type'] },
+  { key: 'sizingType', label: 'Sizing', aliases: ['sizing', 'sizing type', 'size type', 'kids/adult', 'adult/kids', 'age group'] },
+  { key: 'fabricOption', label: 'Fabric', aliases: ['fabric', 'fabric option', 'material'] },
+  { key: 'cutType', label: 'Cut', aliases: ['cut', 'cut type'] }
+];
+
+export const MAX_ROSTER_ROWS = 200;
+
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+const normalizeToken = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split CSV text into rows. Handles quoted fields, escaped quotes and CRLF; the delimiter
+ * (comma, semicolon or tab) is taken from the header line.
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+export const parseCsv = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const columnIndexFromRef = (ref) => {
+  const letters = String(ref || '').replace(/[^A-Z]/gi, '').toUpperCase();
+  return letters.split('').reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+};
+
+const elementsByName = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+
+/**
+ * Read the first worksheet of an .xlsx workbook (an XLSX file is a zip of XML parts)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Array<Array<string>>>} - Rows of cells
+ */
+export const parseXlsx = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const parser = new DOMParser();
+  const readXml = async (path) => {
+    const file = zip.file(path);
+    return file ? parser.parseFromString(await file.async('string'), 'application/xml') : null;
+  };
+
+  // First sheet in workbook order, resolved through the workbook relationships
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = await readXml('xl/workbook.xml');
+  const relationships = await readXml('xl/_rels/workbook.xml.rels');
+  const firstSheet = workbook ? elementsByName(workbook, 'sheet')[0] : null;
+  if (firstSheet && relationships) {
+    const relationId = firstSheet.getAttribute('r:id') ||
+      firstSheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+    const relation = elementsByName(relationships, 'Relationship').find(rel => rel.getAttribute('Id') === relationId);
+    const target = relation?.getAttribute('Target');
+    if (target) {
+      sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    }
+  }
+
+  const sharedStringsXml = await readXml('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? elementsByName(sharedStringsXml, 'si').map(item => elementsByName(item, 't').map(t => t.textContent).join(''))
+    : [];
+
+  const sheet = await readXml(sheetPath);
+  if (!sheet) {
+    throw new Error('The workbook has no worksheet');
+  }
+
+  const rows = elementsByName(sheet, 'row').map(rowNode => {
+    const cells = [];
+    elementsByName(rowNode, 'c').forEach((cellNode, position) => {
+      const ref = cellNode.getAttribute('r');
+      const index = ref ? columnIndexFromRef(ref) : position;
+      const type = cellNode.getAttribute('t');
+      const valueNode = elementsByName(cellNode, 'v')[0];
+      let value = '';
+      if (type === 's') {
+        value = sharedStrings[parseInt(valueNode?.textContent, 10)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = elementsByName(cellNode, 't').map(t => t.textContent).join('');
+      } else {
+        value = valueNode?.textContent ?? '';
+      }
+      cells[index] = value;
+    });
+    return Array.from(cells, value => (value === undefined ? '' : String(value)));
+  });
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Read a roster file picked by the user
+ * @param {File} file - .csv or .xlsx
+ * @returns {Promise<Object>} - { headers, rows } where rows exclude the header row
+ */
+export const readRosterFile = async (file) => {
+  const name = (file?.name || '').toLowerCase();
+  let table;
+  if (name.endsWith('.csv') || name.endsWith('.txt') || file?.type === 'text/csv') {
+    table = parseCsv(await file.text());
+  } else if (name.endsWith('.xlsx')) {
+    table = await parseXlsx(await file.arrayBuffer());
+  } else if (name.endsWith('.xls')) {
+    throw new Error('Old Excel files (.xls) are not supported. Save the sheet as .xlsx or .csv and try again.');
+  } else {
+    throw new Error('Choose a .csv or .xlsx file');
+  }
+
+  if (table.length < 2) {
+    throw new Error('The file needs a header row and at least one player');
+  }
+  if (table.length - 1 > MAX_ROSTER_ROWS) {
+    throw new Error(`A roster can have at most ${MAX_ROSTER_ROWS} players`);
+  }
+
+  const [headerRow, ...rows] = table;
+  const width = Math.max(...table.map(cells => cells.length));
+  const headers = Array.from({ length: width }, (_, index) => (headerRow[index] || '').trim() || `Column ${index + 1}`);
+  return { headers, rows: rows.map(cells => Array.from({ length: width }, (_, index) => (cells[index] || '').trim())) };
+};
+
+/**
+ * Guess which column holds each roster field from the header names
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Object>} fields - Fields the form uses (subset of ROSTER_FIELDS)
+ * @returns {Object} - { [fieldKey]: columnIndex } (-1 when not found)
+ */
+export const guessColumnMapping = (headers, fields = ROSTER_FIELDS) => {
+  const normalized = headers.map(normalizeHeader);
+  const taken = new Set();
+  const mapping = {};
+
+  fields.forEach(field => {
+    const index = field.aliases
+      .map(alias => normalized.findIndex((header, position) => header === alias && !taken.has(position)))
+      .find(position => position >= 0);
+    mapping[field.key] = index === undefined ? -1 : index;
+    if (index !== undefined) {
+      taken.add(index);
+    }
+  });
+
+  return mapping;
+};
+
+const JERSEY_TYPE_ALIASES = {
+  full: ['full', 'fullset', 'set', 'jerseyshorts', 'jerseyandshorts', 'shirtandshorts', 'both'],
+  shirt: ['shirt', 'shirtonly', 'jersey', 'jerseyonly', 'top', 'toponly', 'upper', 'upperonly'],
+  shorts: ['shorts', 'shortsonly', 'short', 'shortonly', 'bottom', 'bottomonly', 'lower', 'loweronly']
+};
+
+const normalizeJerseyType = (value) => {
+  const token = normalizeToken(value);
+  if (!token) return null;
+  return Object.keys(JERSEY_TYPE_ALIASES).find(type => JERSEY_TYPE_ALIASES[type].includes(token)) || undefined;
+};
+
+const normalizeSizingType = (value) => {
+  const token = normalizeToken(value);
+  if (!token) return null;
+  if (['kid', 'kids', 'youth', 'child', 'children', 'junior', 'jr'].includes(token)) return 'kids';
+  if (['adult', 'adults', 'men', 'women', 'senior', 'sr'].includes(token)) return 'adult';
+  return undefined;
+};
+
+const findSize = (value, sizes) => {
+  const token = normalizeToken(value);
+  return sizes.find(size => normalizeToken(size) === token) || null;
+};
+
+const findOption = (value, options) => {
+  const token = normalizeToken(value);
+  return options.find(option => normalizeToken(option) === token) || null;
+};
+
+/**
+ * Turn mapped rows into team members and collect row-level problems
+ * @param {Array<Array<string>>} rows - Data rows from readRosterFile
+ * @param {Object} mapping - { [fieldKey]: columnIndex }
+ * @param {Object} rules
+ * @param {Object} rules.shirtSizes - { adult: [...], kids: [...] }
+ * @param {Object} rules.shortsSizes - { adult: [...], kids: [...] } (omit when the apparel has no shorts)
+ * @param {boolean} rules.hasJerseyType - false for hoodies, long sleeves and shirts (always shirt only)
+ * @param {Array<string>} rules.fabricOptions - Allowed fabric names (empty = not offered)
+ * @param {Array<string>} rules.cutTypes - Allowed cut names (empty = not offered)
+ * @param {Object} rules.defaults - { jerseyType, fabricOption, cutType } for empty cells
+ * @param {Array<string>} rules.existingNumbers - Numbers already on the roster (when adding)
+ * @returns {Array<Object>} - [{ rowNumber, member, errors }] where member uses canonical values:
+ *   { surname, number, jerseySize, shortsSize, jerseyType, sizingType: 'adult'|'kids', fabricOption, cutType }
+ */
+export const validateRosterRows = (rows, mapping, rules) => {
+  const {
+    shirtSizes,
+    shortsSizes = null,
+    hasJerseyType = true,
+    fabricOptions = [],
+    cutTypes = [],
+    defaults = {},
+    existingNumbers = []
+  } = rules;
+  const cell = (cells, key) => (mapping[key] >= 0 ? (cells[mapping[key]] || '').trim() : '');
+  const numberCounts = new Map();
+  existingNumbers.filter(Boolean).forEach(number => numberCounts.set(String(number), 1));
+
+  const results = rows.map((cells, index) => {
+    const errors = [];
+    const surname = cell(cells, 'surname');
+    const number = cell(cells, 'number').replace(/\.0+$/, '');
+
+    if (!surname) errors.push('Surname is missing');
+    if (!number) {
+      errors.push('Number is missing');
+    } else if (!/^\d{1,3}$/.test(number)) {
+      errors.push(`"${number}" is not a jersey number`);
+    } else {
+      numberCounts.set(number, (numberCounts.get(number) || 0) + 1);
+    }
+
+    let jerseyType = hasJerseyType ? (defaults.jerseyType || 'full') : 'shirt';
+    const rawJerseyType = cell(cells, 'jerseyType');
+    if (hasJerseyType && rawJerseyType) {
+      const parsed = normalizeJerseyType(rawJerseyType);
+      if (parsed) {
+        jerseyType = parsed;
+      } else {
+        errors.push(`Unknown jersey type "${rawJerseyType}" (use full set, shirt only or shorts only)`);
+      }
+    }
+    if (jerseyType !== 'shirt' && !shortsSizes) {
+      jerseyType = 'shirt';
+    }
+
+    const rawJerseySize = jerseyType === 'shorts' ? '' : cell(cells, 'jerseySize');
+    const rawShortsSize = jerseyType === 'shirt' ? '' : cell(cells, 'shortsSize');
+
+    // Sizing type: explicit column, or taken from the sizes when only one group has them
+    const rawSizing = cell(cells, 'sizingType');
+    let sizingType = normalizeSizingType(rawSizing);
+    if (sizingType === undefined) {
+      errors.push(`Unknown sizing "${rawSizing}" (use adult or kids)`);
+      sizingType = null;
+    }
+    const groupsFor = (value, lists) => ['adult', 'kids'].filter(group => lists && findSize(value, lists[group] || []));
+    if (!sizingType) {
+      const groups = [
+        ...(rawJerseySize ? groupsFor(rawJerseySize, shirtSizes) : []),
+        ...(rawShortsSize ? groupsFor(rawShortsSize, shortsSizes) : [])
+      ];
+      sizingType = groups.length > 0 && groups.every(group => group === 'kids') ? 'kids' : 'adult';
+    }
+    const otherGroup = sizingType === 'kids' ? 'adult' : 'kids';
+
+    const checkSize = (raw, lists, label) => {
+      if (!raw) {
+        errors.push(`${label} is missing`);
+        return null;
+      }
+      const size = findSize(raw, lists[sizingType] || []);
+      if (size) {
+        return size;
+      }
+      if (findSize(raw, lists[otherGroup] || [])) {
+        errors.push(`${label} ${raw} is a ${otherGroup === 'kids' ? 'kids' : 'adult'} size but the player is marked ${sizingType === 'kids' ? 'kids' : 'adult'}`);
+      } else {
+        errors.push(`Unknown ${label.toLowerCase()} "${raw}"`);
+      }
+      return null;
+    };
+
+    const jerseySize = jerseyType === 'shorts' ? null : checkSize(rawJerseySize, shirtSizes, 'Jersey size');
+    const shortsSize = jerseyType === 'shirt' ? null : checkSize(rawShortsSize, shortsSizes, 'Shorts size');
+
+    let fabricOption = defaults.fabricOption || '';
+    const rawFabric = cell(cells, 'fabricOption');
+    if (rawFabric && fabricOptions.length > 0) {
+      fabricOption = findOption(rawFabric, fabricOptions);
+      if (!fabricOption) {
+        errors.push(`Unknown fabric "${rawFabric}" (${fabricOptions.join(', ')})`);
+      }
+    }
+
+    let cutType = defaults.cutType || '';
+    const rawCut = cell(cells, 'cutType');
+    if (rawCut && cutTypes.length > 0) {
+      cutType = findOption(rawCut, cutTypes);
+      if (!cutType) {
+        errors.push(`Unknown cut "${rawCut}" (${cutTypes.join(', ')})`);
+      }
+    }
+
+    return {
+      rowNumber: index + 2, // +1 for the header row, +1 for 1-based spreadsheet rows
+      member: {
+        surname: surname.toUpperCase(),
+        number,
+        jerseySize,
+        shortsSize,
+        jerseyType,
+        sizingType,
+        fabricOption: fabricOption || '',
+        cutType: cutType || ''
+      },
+      errors
+    };
+  });
+
+  results.forEach(result => {
+    if (result.member.number && numberCounts.get(result.member.number) > 1) {
+      result.errors.push(`Number ${result.member.number} is used by more than one player`);
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Roster fields worth mapping for a set of import rules (no shorts/type columns for shirt-only
+ * apparel, no fabric or cut columns when the item does not offer them)
+ * @param {Object} rules - Rules as taken by validateRosterRows
+ * @returns {Array<string>} - Field keys
+ */
+export const rosterFieldKeysFor = (rules) => [
+  'surname',
+  'number',
+  'jerseySize',
+  ...(rules.shortsSizes ? ['shortsSize', 'jerseyType'] : []),
+  'sizingType',
+  ...(rules.fabricOptions?.length > 0 ? ['fabricOption'] : []),
+  ...(rules.cutTypes?.length > 0 ? ['cutType'] : [])
+];
+
+const CUSTOM_DESIGN_SHIRT_ONLY = ['hoodie', 'longsleeves', 'tshirt'];
+const CUSTOM_DESIGN_NO_CUT = ['uniforms', 'hoodie', 'longsleeves', 'tshirt'];
+const UNIFORM_FABRICS = ['Lacoste', 'Drifit', 'Polydex'];
+
+/**
+ * Import rules for the custom design roster (customer form and walk-in form share them)
+ * @param {string} apparelType - 'basketball_jersey', 'volleyball_jersey', 'hoodie', 'tshirt', 'longsleeves', 'uniforms'
+ * @param {Object} options - { adultSizes, kidsSizes, fabricNames, cutTypeNames }
+ * @returns {Object} - Rules for validateRosterRows
+ */
+export const customDesignRosterRules = (apparelType, { adultSizes, kidsSizes, fabricNames, cutTypeNames }) => {
+  const shirtOnly = CUSTOM_DESIGN_SHIRT_ONLY.includes(apparelType);
+  const hasCutType = !CUSTOM_DESIGN_NO_CUT.includes(apparelType);
+  return {
+    shirtSizes: { adult: adultSizes, kids: kidsSizes },
+    shortsSizes: shirtOnly ? null : { adult: adultSizes, kids: kidsSizes },
+    hasJerseyType: !shirtOnly,
+    fabricOptions: apparelType === 'uniforms' ? fabricNames.filter(name => UNIFORM_FABRICS.includes(name)) : fabricNames,
+    cutTypes: hasCutType ? cutTypeNames : [],
+    defaults: {
+      jerseyType: shirtOnly ? 'shirt' : 'full',
+      fabricOption: 'Polydex',
+      cutType: hasCutType ? 'Normal Cut' : ''
+    }
+  };
+};
+
+/**
+ * Custom design member row for an imported member (sizes in size/shortsSize, 'adults'/'kids')
+ * @param {Object} member - Canonical member from validateRosterRows
+ * @param {Object} baseMember - The form's empty member row
+ * @returns {Object}
+ */
+export const toCustomDesignMember = (member, baseMember) => ({
+  ...baseMember,
+  number: member.number,
+  surname: member.surname,
+  size: member.jerseySize || '',
+  shortsSize: member.shortsSize || '',
+  sizingType: member.sizingType === 'kids' ? 'kids' : 'adults',
+  jerseyType: member.jerseyType,
+  fabricOption: member.fabricOption,
+  cutType: member.cutType
+});